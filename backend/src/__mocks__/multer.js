@@ -14,8 +14,11 @@ const single = jest.fn().mockImplementation(() => (req, res, next) => {
   next();
 });
 
+const array = jest.fn().mockImplementation(() => (req, res, next) => next());
+
 const multer = jest.fn().mockImplementation(() => ({
   single,
+  array,
   memoryStorage
 }));
 
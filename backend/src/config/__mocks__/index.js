@@ -0,0 +1,31 @@
+/**
+ * Mock Configuration for Jest Tests
+ *
+ * Provides default configuration values to avoid
+ * import.meta.url issues in Jest's CommonJS environment.
+ */
+
+const config = {
+  server: { port: 3001, host: 'localhost', env: 'test', cors: { origin: '*', credentials: true } },
+  database: { path: './data', autoload: true, timestampData: true, corruptAlertThreshold: 0 },
+  sessions: { snapshotRetention: 10, backorderExpiry: 0, sessionsPerYear: 12, demandSeed: 'elmrr-switch' },
+  auth: { enabled: false, tokenTtlHours: 168, bootstrapUsername: 'superintendent', bootstrapPassword: '' },
+  realtime: { enabled: false, path: '/ws' },
+  dcc: { adapter: 'none', host: 'localhost', port: 2560, timeoutMs: 5000 },
+  features: {}
+};
+
+export const isDevelopment = () => false;
+export const isProduction = () => false;
+export const isTest = () => true;
+
+export const getServerConfig = () => config.server;
+export const getDatabaseConfig = () => config.database;
+export const getSessionsConfig = () => config.sessions;
+export const getAuthConfig = () => config.auth;
+export const getRealtimeConfig = () => config.realtime;
+export const getDccConfig = () => config.dcc;
+export const getFeaturesConfig = () => config.features;
+
+export { config };
+export default config;
@@ -63,6 +63,32 @@ const configSchema = Joi.object({
     trustProxy: Joi.boolean().default(false)
   }).default(),
 
+  sessions: Joi.object({
+    snapshotRetention: Joi.number().integer().min(1).max(100).default(10), // Restore points kept for rollback
+    backorderExpiry: Joi.number().integer().min(0).max(100).default(0), // Sessions an unfilled order is carried before it expires; 0 = never
+    sessionsPerYear: Joi.number().integer().min(1).max(365).default(12), // Length of the calendar year seasonal demand follows
+    demandSeed: Joi.string().default('elmrr-switch') // Seed for random demand; the same seed always gives the same orders
+  }).default(),
+
+  auth: Joi.object({
+    enabled: Joi.boolean().default(false), // Require a bearer token on every API call
+    tokenTtlHours: Joi.number().integer().min(1).default(7 * 24), // How long a login lasts
+    bootstrapUsername: Joi.string().default('superintendent'), // Superintendent created when no accounts exist
+    bootstrapPassword: Joi.string().allow('').default('') // Generated and printed once to the console when empty
+  }).default(),
+
+  realtime: Joi.object({
+    enabled: Joi.boolean().default(true), // Broadcast layout changes over WebSockets
+    path: Joi.string().pattern(/^\//).default('/ws')
+  }).default(),
+
+  dcc: Joi.object({
+    adapter: Joi.string().valid('none', 'simulator', 'dccex').default('none'), // Command station protocol; none turns consisting off
+    host: Joi.string().default('localhost'),
+    port: Joi.number().port().default(2560), // DCC-EX listens on 2560
+    timeoutMs: Joi.number().integer().min(100).default(5000)
+  }).default(),
+
   features: Joi.object({
     enableMetrics: Joi.boolean().default(false),
     enableHealthCheck: Joi.boolean().default(true),
@@ -121,6 +147,28 @@ const rawConfig = {
     },
     trustProxy: process.env.TRUST_PROXY ? process.env.TRUST_PROXY === 'true' : undefined
   },
+  sessions: {
+    snapshotRetention: parseInt(process.env.SESSION_SNAPSHOT_RETENTION) || undefined,
+    backorderExpiry: parseInt(process.env.BACKORDER_EXPIRY_SESSIONS) || undefined,
+    sessionsPerYear: parseInt(process.env.SESSIONS_PER_YEAR) || undefined,
+    demandSeed: process.env.DEMAND_SEED || undefined
+  },
+  auth: {
+    enabled: process.env.AUTH_ENABLED ? process.env.AUTH_ENABLED === 'true' : undefined,
+    tokenTtlHours: parseInt(process.env.AUTH_TOKEN_TTL_HOURS) || undefined,
+    bootstrapUsername: process.env.AUTH_BOOTSTRAP_USERNAME,
+    bootstrapPassword: process.env.AUTH_BOOTSTRAP_PASSWORD
+  },
+  realtime: {
+    enabled: process.env.REALTIME_ENABLED ? process.env.REALTIME_ENABLED === 'true' : undefined,
+    path: process.env.REALTIME_PATH
+  },
+  dcc: {
+    adapter: process.env.DCC_ADAPTER,
+    host: process.env.DCC_HOST,
+    port: parseInt(process.env.DCC_PORT) || undefined,
+    timeoutMs: parseInt(process.env.DCC_TIMEOUT) || undefined
+  },
   features: {
     enableMetrics: process.env.ENABLE_METRICS ? process.env.ENABLE_METRICS === 'true' : undefined,
     enableHealthCheck: process.env.ENABLE_HEALTH_CHECK ? process.env.ENABLE_HEALTH_CHECK === 'true' : undefined,
@@ -172,6 +220,10 @@ export const getDatabaseConfig = () => config.database;
 export const getApiConfig = () => config.api;
 export const getLoggingConfig = () => config.logging;
 export const getSecurityConfig = () => config.security;
+export const getSessionsConfig = () => config.sessions;
+export const getAuthConfig = () => config.auth;
+export const getRealtimeConfig = () => config.realtime;
+export const getDccConfig = () => config.dcc;
 export const getFeaturesConfig = () => config.features;
 
 // Main configuration export
@@ -17,6 +17,13 @@ export interface Collections {
   routes: Datastore;
   operatingSessions: Datastore;
   carOrders: Datastore;
+  carMovements: Datastore;
+  sessionSnapshots: Datastore;
+  waybills: Datastore;
+  carRoutingRules: Datastore;
+  users: Datastore;
+  authTokens: Datastore;
+  layouts: Datastore;
 }
 
 export type CollectionName = keyof Collections;
@@ -63,7 +70,34 @@ export interface DbHelpers {
   clearCollection(collection: CollectionName): Promise<number>;
 }
 
+/**
+ * Collections every layout keeps its own copy of
+ */
+export declare const LAYOUT_COLLECTIONS: CollectionName[];
+
+/**
+ * Collections shared by all layouts
+ */
+export declare const SHARED_COLLECTIONS: CollectionName[];
+
+/**
+ * Collections of the default layout, plus the shared ones
+ */
 export declare const collections: Collections;
+
+/**
+ * Get the collections of a layout (the current request's by default), opening its datastores on first use
+ */
+export declare function getCollections(layoutId?: string): Collections;
+
+/**
+ * Close a layout's datastores and delete its files
+ */
+export declare function dropLayoutCollections(layoutId: string): Promise<void>;
+
+/**
+ * CRUD helpers; each works on the collections of the current request's layout
+ */
 export declare const dbHelpers: DbHelpers;
 
 export default collections;
@@ -1,7 +1,9 @@
 import Datastore from 'nedb';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getDatabaseConfig } from '../config/index.js';
+import { getCurrentLayoutId, DEFAULT_LAYOUT_ID } from '../utils/layoutContext.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,53 +19,116 @@ const datastoreOptions = {
   corruptAlertThreshold: dbConfig.corruptAlertThreshold
 };
 
-export const collections = {
-  cars: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'cars.db') }),
-  locomotives: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'locomotives.db') }),
-  industries: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'industries.db') }),
-  stations: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'stations.db') }),
-  goods: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'goods.db') }),
-  aarTypes: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'aarTypes.db') }),
-  blocks: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'blocks.db') }),
-  tracks: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'tracks.db') }),
-  trains: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'trains.db') }),
-  routes: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'routes.db') }),
-  operatingSessions: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'operatingSessions.db') }),
-  carOrders: new Datastore({ ...datastoreOptions, filename: path.join(dbPath, 'carOrders.db') })
-};
+// Collections every layout keeps its own copy of
+export const LAYOUT_COLLECTIONS = [
+  'cars', 'locomotives', 'industries', 'stations', 'goods', 'aarTypes', 'blocks', 'tracks', 'trains',
+  'completedTrains', 'routes', 'operatingSessions', 'carOrders', 'carMovements', 'sessionSnapshots', 'waybills', 'carRoutingRules'
+];
+
+// Collections shared by all layouts: accounts and the layouts themselves
+export const SHARED_COLLECTIONS = ['users', 'authTokens', 'layouts'];
+
+// Open one datastore per collection name in a directory
+const openDatastores = (directory, names) => Object.fromEntries(
+  names.map(name => [name, new Datastore({ ...datastoreOptions, filename: path.join(directory, `${name}.db`) })])
+);
 
 // Ensure indexes for better performance
-collections.cars.ensureIndex({ fieldName: 'reportingMarks' });
-collections.cars.ensureIndex({ fieldName: 'reportingNumber' });
-collections.cars.ensureIndex({ fieldName: 'currentIndustry' });
-collections.cars.ensureIndex({ fieldName: 'carType' });
+const ensureLayoutIndexes = (layoutCollections) => {
+  layoutCollections.cars.ensureIndex({ fieldName: 'reportingMarks' });
+  layoutCollections.cars.ensureIndex({ fieldName: 'reportingNumber' });
+  layoutCollections.cars.ensureIndex({ fieldName: 'currentIndustry' });
+  layoutCollections.cars.ensureIndex({ fieldName: 'carType' });
+
+  layoutCollections.locomotives.ensureIndex({ fieldName: 'reportingMarks' });
+  layoutCollections.locomotives.ensureIndex({ fieldName: 'reportingNumber' });
+  layoutCollections.locomotives.ensureIndex({ fieldName: 'currentIndustry' });
+
+  layoutCollections.industries.ensureIndex({ fieldName: 'name' });
+  layoutCollections.industries.ensureIndex({ fieldName: 'stationId' });
 
-collections.locomotives.ensureIndex({ fieldName: 'reportingMarks' });
-collections.locomotives.ensureIndex({ fieldName: 'reportingNumber' });
-collections.locomotives.ensureIndex({ fieldName: 'currentIndustry' });
+  layoutCollections.stations.ensureIndex({ fieldName: 'name' });
+  layoutCollections.stations.ensureIndex({ fieldName: 'block' });
 
-collections.industries.ensureIndex({ fieldName: 'name' });
-collections.industries.ensureIndex({ fieldName: 'stationId' });
+  layoutCollections.carOrders.ensureIndex({ fieldName: 'industryId' });
+  layoutCollections.carOrders.ensureIndex({ fieldName: 'sessionNumber' });
+  layoutCollections.carOrders.ensureIndex({ fieldName: 'status' });
+  layoutCollections.carOrders.ensureIndex({ fieldName: 'aarTypeId' });
 
-collections.stations.ensureIndex({ fieldName: 'name' });
-collections.stations.ensureIndex({ fieldName: 'block' });
+  layoutCollections.trains.ensureIndex({ fieldName: 'sessionNumber' });
+  layoutCollections.trains.ensureIndex({ fieldName: 'status' });
+  layoutCollections.trains.ensureIndex({ fieldName: 'routeId' });
+  layoutCollections.trains.ensureIndex({ fieldName: 'name' });
+
+  layoutCollections.completedTrains.ensureIndex({ fieldName: 'sessionNumber' });
+
+  layoutCollections.carMovements.ensureIndex({ fieldName: 'carId' });
+  layoutCollections.carMovements.ensureIndex({ fieldName: 'sessionNumber' });
+
+  layoutCollections.sessionSnapshots.ensureIndex({ fieldName: 'sessionNumber', unique: true });
+
+  layoutCollections.waybills.ensureIndex({ fieldName: 'carOrderId', unique: true });
+  layoutCollections.waybills.ensureIndex({ fieldName: 'carId' });
+};
 
-collections.carOrders.ensureIndex({ fieldName: 'industryId' });
-collections.carOrders.ensureIndex({ fieldName: 'sessionNumber' });
-collections.carOrders.ensureIndex({ fieldName: 'status' });
-collections.carOrders.ensureIndex({ fieldName: 'aarTypeId' });
+const sharedCollections = openDatastores(dbPath, SHARED_COLLECTIONS);
 
-collections.trains.ensureIndex({ fieldName: 'sessionNumber' });
-collections.trains.ensureIndex({ fieldName: 'status' });
-collections.trains.ensureIndex({ fieldName: 'routeId' });
-collections.trains.ensureIndex({ fieldName: 'name' });
+sharedCollections.users.ensureIndex({ fieldName: 'username', unique: true });
+
+sharedCollections.authTokens.ensureIndex({ fieldName: 'tokenHash', unique: true });
+sharedCollections.authTokens.ensureIndex({ fieldName: 'userId' });
+
+sharedCollections.layouts.ensureIndex({ fieldName: 'name', unique: true });
+
+// The default layout keeps the original files directly under DB_PATH
+export const collections = {
+  ...openDatastores(dbPath, LAYOUT_COLLECTIONS),
+  ...sharedCollections
+};
+ensureLayoutIndexes(collections);
+
+// Datastore sets of the other layouts, opened on first use
+const layoutCollectionSets = new Map([[DEFAULT_LAYOUT_ID, collections]]);
+
+// Other layouts live in their own directory, so cloning and deleting one is a file copy or removal
+const getLayoutDirectory = (layoutId) => path.join(dbPath, 'layouts', layoutId);
+
+/**
+ * Get the collections of a layout, opening its datastores on first use
+ * @param {string} layoutId - Layout ID
+ * @returns {Object} Collections by name; shared collections are the same for every layout
+ */
+export const getCollections = (layoutId = getCurrentLayoutId()) => {
+  if (!layoutCollectionSets.has(layoutId)) {
+    const layoutCollections = {
+      ...openDatastores(getLayoutDirectory(layoutId), LAYOUT_COLLECTIONS),
+      ...sharedCollections
+    };
+    ensureLayoutIndexes(layoutCollections);
+    layoutCollectionSets.set(layoutId, layoutCollections);
+  }
+  return layoutCollectionSets.get(layoutId);
+};
+
+/**
+ * Close a layout's datastores and delete its files
+ * @param {string} layoutId - Layout ID; the default layout cannot be dropped
+ * @returns {Promise<void>}
+ */
+export const dropLayoutCollections = async (layoutId) => {
+  if (layoutId === DEFAULT_LAYOUT_ID) {
+    throw new Error('The default layout cannot be dropped');
+  }
+  layoutCollectionSets.delete(layoutId);
+  await fs.promises.rm(getLayoutDirectory(layoutId), { recursive: true, force: true });
+};
 
 // Helper functions for database operations
 export const dbHelpers = {
   // Generic CRUD operations
   async findAll(collection) {
     return new Promise((resolve, reject) => {
-      collections[collection].find({}, (err, docs) => {
+      getCollections()[collection].find({}, (err, docs) => {
         if (err) reject(err);
         else resolve(docs);
       });
@@ -72,7 +137,7 @@ export const dbHelpers = {
 
   async findById(collection, id) {
     return new Promise((resolve, reject) => {
-      collections[collection].findOne({ _id: id }, (err, doc) => {
+      getCollections()[collection].findOne({ _id: id }, (err, doc) => {
         if (err) reject(err);
         else resolve(doc);
       });
@@ -81,7 +146,7 @@ export const dbHelpers = {
 
   async findByQuery(collection, query) {
     return new Promise((resolve, reject) => {
-      collections[collection].find(query, (err, docs) => {
+      getCollections()[collection].find(query, (err, docs) => {
         if (err) reject(err);
         else resolve(docs);
       });
@@ -90,7 +155,7 @@ export const dbHelpers = {
 
   async create(collection, data) {
     return new Promise((resolve, reject) => {
-      collections[collection].insert(data, (err, newDoc) => {
+      getCollections()[collection].insert(data, (err, newDoc) => {
         if (err) reject(err);
         else resolve(newDoc);
       });
@@ -99,7 +164,7 @@ export const dbHelpers = {
 
   async update(collection, id, data) {
     return new Promise((resolve, reject) => {
-      collections[collection].update({ _id: id }, { $set: data }, {}, (err, numReplaced) => {
+      getCollections()[collection].update({ _id: id }, { $set: data }, {}, (err, numReplaced) => {
         if (err) reject(err);
         else resolve(numReplaced);
       });
@@ -108,7 +173,7 @@ export const dbHelpers = {
 
   async delete(collection, id) {
     return new Promise((resolve, reject) => {
-      collections[collection].remove({ _id: id }, {}, (err, numRemoved) => {
+      getCollections()[collection].remove({ _id: id }, {}, (err, numRemoved) => {
         if (err) reject(err);
         else resolve(numRemoved);
       });
@@ -118,7 +183,7 @@ export const dbHelpers = {
   // Bulk operations for data import
   async bulkInsert(collection, dataArray) {
     return new Promise((resolve, reject) => {
-      collections[collection].insert(dataArray, (err, newDocs) => {
+      getCollections()[collection].insert(dataArray, (err, newDocs) => {
         if (err) reject(err);
         else resolve(newDocs);
       });
@@ -127,7 +192,7 @@ export const dbHelpers = {
 
   async clearCollection(collection) {
     return new Promise((resolve, reject) => {
-      collections[collection].remove({}, { multi: true }, (err, numRemoved) => {
+      getCollections()[collection].remove({}, { multi: true }, (err, numRemoved) => {
         if (err) reject(err);
         else resolve(numRemoved);
       });
@@ -0,0 +1,97 @@
+/**
+ * Authentication Middleware
+ * Bearer-token sign-in and role checks for the versioned API
+ */
+
+import { getService } from '../services/index.js';
+import { asyncHandler, ApiError } from './errorHandler.js';
+import { ROLES } from '../models/user.js';
+import { getAuthConfig } from '../config/index.js';
+
+// Paths anyone may call without signing in, relative to the API version root
+const PUBLIC_PATHS = ['/auth/login', '/health'];
+
+// The only changes a crew may make: working the trains assigned to them, in any layout
+const CREW_WRITE_PATHS = [/^(\/layouts\/[^/]+)?\/trains\/[^/]+\/(generate-switch-list|complete)$/];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Whether API calls must carry a bearer token
+ * @returns {boolean} True only when AUTH_ENABLED=true
+ */
+export const isAuthEnabled = () => getAuthConfig().enabled;
+
+/**
+ * Read the bearer token from a request
+ * Links opened in a new tab (printable switch lists, car cards) and WebSockets
+ * cannot set headers, so an access_token query parameter is accepted too.
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+export const extractToken = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return match[1];
+  }
+  return typeof req.query?.access_token === 'string' ? req.query.access_token : null;
+};
+
+/**
+ * Require a valid bearer token and attach the signed-in user as req.user
+ * Passes everything through when authentication is off.
+ */
+export const authenticate = asyncHandler(async (req, res, next) => {
+  if (!isAuthEnabled() || PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const token = extractToken(req);
+  if (!token) {
+    throw new ApiError('Authentication required', 401);
+  }
+
+  const user = await getService('auth').authenticate(token);
+  if (!user) {
+    throw new ApiError('Invalid or expired token', 401);
+  }
+
+  req.user = user;
+  req.token = token;
+  next();
+});
+
+/**
+ * Allow only the given roles through
+ * @param {...string} roles - Roles from ROLES
+ * @returns {Function} Express middleware function
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!isAuthEnabled()) {
+    return next();
+  }
+  if (!req.user) {
+    return next(new ApiError('Authentication required', 401));
+  }
+  if (!roles.includes(req.user.role)) {
+    return next(new ApiError(`This action requires the ${roles.join(' or ')} role`, 403));
+  }
+  next();
+};
+
+/**
+ * Keep viewers read-only and limit crews to working their trains
+ * Signing out is always allowed.
+ */
+export const restrictWrites = (req, res, next) => {
+  if (!isAuthEnabled() || !req.user || READ_METHODS.includes(req.method) || req.path === '/auth/logout') {
+    return next();
+  }
+
+  const { role } = req.user;
+  const crewMayWrite = role === ROLES.CREW && CREW_WRITE_PATHS.some(pattern => pattern.test(req.path));
+  if ((role === ROLES.VIEWER || role === ROLES.CREW) && !crewMayWrite) {
+    return next(new ApiError(`The ${role} role cannot make this change`, 403));
+  }
+  next();
+};
@@ -42,7 +42,7 @@ export const globalErrorHandler = (err, req, res, next) => {
       statusCode: err.statusCode || 500
     },
     request: {
-      url: req.originalUrl,
+      url: logger.redactUrl(req.originalUrl),
       method: req.method,
       ip: req.ip,
       userAgent: req.get('User-Agent')
@@ -99,7 +99,7 @@ export const notFoundHandler = (req, res) => {
   
   // Log 404 errors
   logger.warn('Route not found', {
-    url: req.originalUrl,
+    url: logger.redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip
   });
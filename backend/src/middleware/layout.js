@@ -0,0 +1,30 @@
+/**
+ * Layout Selection Middleware
+ * Runs each request against the layout it names, so every repository and
+ * service works on that layout's datastores without being told.
+ */
+
+import { getService } from '../services/index.js';
+import { asyncHandler } from './errorHandler.js';
+import { runInLayout, DEFAULT_LAYOUT_ID } from '../utils/layoutContext.js';
+
+// Header naming the layout when the URL does not
+export const LAYOUT_HEADER = 'X-Layout-Id';
+
+/**
+ * Pick the layout from the /layouts/:layoutId URL prefix, then the X-Layout-Id
+ * header, falling back to the default layout; 404 if it does not exist
+ */
+export const selectLayout = asyncHandler(async (req, res, next) => {
+  const layoutId = req.params.layoutId || req.get(LAYOUT_HEADER) || DEFAULT_LAYOUT_ID;
+  await getService('layout').getLayout(layoutId);
+
+  req.layoutId = layoutId;
+  runInLayout(layoutId, () => next());
+});
+
+/**
+ * Re-enter the request's layout after middleware that drops the async context,
+ * such as multer, which parses multipart bodies from stream callbacks
+ */
+export const restoreLayout = (req, res, next) => runInLayout(req.layoutId || DEFAULT_LAYOUT_ID, next);
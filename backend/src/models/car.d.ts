@@ -4,6 +4,21 @@
 
 import Joi from 'joi';
 
+export interface NextHop {
+  finalIndustryId: string;
+  carOrderId: string | null;
+  routeId: string | null;
+  stationId: string | null;
+  industryId: string | null;
+}
+
+export interface CarDwell {
+  action: 'loading' | 'unloading';
+  goodsId: string;
+  industryId: string;
+  sessionsRemaining: number;
+}
+
 export interface Car {
   _id?: string;
   reportingMarks: string;
@@ -11,12 +26,16 @@ export interface Car {
   carType: string;
   color: string;
   notes?: string;
-  currentLoad?: string;
+  currentLoad?: string | null;
   homeYard: string;
   currentIndustry: string;
+  currentTrack?: string | null;
   isInService: boolean;
   lastMoved?: Date;
   sessionsAtCurrentLocation: number;
+  waybillCycle?: number;
+  nextHop?: NextHop | null;
+  dwell?: CarDwell | null;
 }
 
 export declare const carSchema: Joi.ObjectSchema<Car>;
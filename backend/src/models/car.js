@@ -1,4 +1,7 @@
 import Joi from 'joi';
+import { WAYBILL_CYCLES } from './waybill.js';
+import { nextHopSchema } from './routing.js';
+import { dwellSchema } from './good.js';
 
 // Validation schema for rolling stock (cars)
 export const carSchema = Joi.object({
@@ -8,12 +11,18 @@ export const carSchema = Joi.object({
   carType: Joi.string().required(), // AAR Type ID
   color: Joi.string().required().min(1).max(50),
   notes: Joi.string().allow('').max(500),
-  currentLoad: Joi.string().allow(''), // Goods ID
+  currentLoad: Joi.string().allow('', null), // Goods ID; null once a delivered car is unloaded
   homeYard: Joi.string().required(), // Industry ID
   currentIndustry: Joi.string().required(), // Industry ID
+  currentTrack: Joi.string().allow(null, '').optional(), // Track ID within currentIndustry
   isInService: Joi.boolean().default(true),
   lastMoved: Joi.date(),
-  sessionsAtCurrentLocation: Joi.number().integer().min(0).default(0)
+  sessionsAtCurrentLocation: Joi.number().integer().min(0).default(0),
+  waybillCycle: Joi.number().integer().min(1).max(WAYBILL_CYCLES).optional(), // Active panel of the car's waybill; 1 when unset
+  nextHop: nextHopSchema.allow(null).optional(), // Set while the car is staged at a transfer yard
+  dwell: dwellSchema.allow(null).optional(), // Set while the car is loading or unloading at an industry
+  createdAt: Joi.date().optional(), // NeDB timestamps on exported cars
+  updatedAt: Joi.date().optional()
 });
 
 export const validateCar = (data, isUpdate = false) => {
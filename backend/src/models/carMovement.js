@@ -0,0 +1,75 @@
+import Joi from 'joi';
+
+// Why a car moved; every ledger entry carries exactly one of these
+export const MOVEMENT_REASONS = {
+  MANUAL: 'manual',
+  TRAIN: 'train',
+  SESSION_ADVANCE: 'session-advance',
+  SESSION_ROLLBACK: 'session-rollback',
+  IMPORT: 'import'
+};
+
+export const LOAD_STATES = {
+  LOADED: 'loaded',
+  EMPTY: 'empty'
+};
+
+// Validation schema for car movement ledger entries
+export const carMovementSchema = Joi.object({
+  _id: Joi.string().optional(), // Allow custom _id when restoring an export
+  carId: Joi.string().required(),
+  fromIndustryId: Joi.string().allow(null).default(null), // Null when the car first appears (e.g. import)
+  toIndustryId: Joi.string().required(),
+  fromTrackId: Joi.string().allow(null).default(null),
+  toTrackId: Joi.string().allow(null).default(null),
+  trainId: Joi.string().allow(null).default(null),
+  sessionNumber: Joi.number().integer().min(1).required(),
+  loadState: Joi.string().valid(...Object.values(LOAD_STATES)).required(),
+  currentLoad: Joi.string().allow(null).default(null), // Goods ID after the move
+  reason: Joi.string().valid(...Object.values(MOVEMENT_REASONS)).required(),
+  movedAt: Joi.date().iso().default(() => new Date()),
+  createdAt: Joi.date().optional(), // NeDB timestamps on exported entries
+  updatedAt: Joi.date().optional()
+});
+
+export const validateCarMovement = (data) => {
+  return carMovementSchema.validate(data);
+};
+
+/**
+ * Build a ledger entry for a car moving to a new location
+ * @param {Object} car - Car as it was before the move
+ * @param {Object} destination - { industryId, trackId, currentLoad } after the move;
+ *   currentLoad is optional and defaults to the car's existing load
+ * @param {Object} context - { reason, sessionNumber, trainId }
+ * @returns {Object} Unvalidated movement entry
+ */
+export const buildCarMovement = (car, destination, context) => {
+  const currentLoad = destination.currentLoad !== undefined
+    ? destination.currentLoad
+    : (car.currentLoad || null);
+
+  return {
+    carId: car._id,
+    fromIndustryId: car.currentIndustry || null,
+    toIndustryId: destination.industryId,
+    fromTrackId: car.currentTrack || null,
+    toTrackId: destination.trackId || null,
+    trainId: context.trainId || null,
+    sessionNumber: context.sessionNumber,
+    loadState: currentLoad ? LOAD_STATES.LOADED : LOAD_STATES.EMPTY,
+    currentLoad: currentLoad || null,
+    reason: context.reason
+  };
+};
+
+/**
+ * Check whether a car's location actually changes
+ * @param {Object} car - Car before the move
+ * @param {Object} destination - { industryId, trackId }
+ * @returns {boolean} True if industry or track differs
+ */
+export const isRelocation = (car, destination) => {
+  return car.currentIndustry !== destination.industryId ||
+    (car.currentTrack || null) !== (destination.trackId || null);
+};
@@ -4,7 +4,15 @@
 
 import Joi from 'joi';
 
-export type CarOrderStatus = 'pending' | 'assigned' | 'in-transit' | 'delivered';
+export type CarOrderStatus = 'pending' | 'assigned' | 'in-transit' | 'delivered' | 'expired';
+
+export type OrderPriority = 'hot' | 'normal' | 'low';
+
+export declare const ORDER_PRIORITIES: {
+  HOT: 'hot';
+  NORMAL: 'normal';
+  LOW: 'low';
+};
 
 export interface CarOrder {
   _id?: string;
@@ -12,6 +20,8 @@ export interface CarOrder {
   aarTypeId: string;
   sessionNumber: number;
   status: CarOrderStatus;
+  backorderAge?: number;
+  priority?: OrderPriority;
   assignedCarId?: string | null;
   assignedTrainId?: string | null;
   createdAt: Date | string;
@@ -21,6 +31,7 @@ export interface OrderGenerationRequest {
   sessionNumber?: number;
   industryIds?: string[];
   force?: boolean;
+  seed?: string;
 }
 
 export interface OrderGenerationSummary {
@@ -61,3 +72,19 @@ export declare function validateStatusTransition(
   currentStatus: CarOrderStatus,
   newStatus: CarOrderStatus
 ): { valid: boolean; error?: string };
+
+export interface BackorderPlan {
+  backordered: Array<{ order: CarOrder; backorderAge: number }>;
+  expired: CarOrder[];
+}
+
+export declare function compareOrderAge(a: CarOrder, b: CarOrder): number;
+
+export declare function priorityRank(order: CarOrder): number;
+
+export declare function compareOrderPriority(a: CarOrder, b: CarOrder): number;
+
+export declare function planBackorders(
+  pendingOrders: CarOrder[],
+  expirySessions?: number
+): BackorderPlan;
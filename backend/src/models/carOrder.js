@@ -1,5 +1,18 @@
 import Joi from 'joi';
 
+// How urgently an order should be filled; hot orders take cars and train space first
+export const ORDER_PRIORITIES = {
+  HOT: 'hot',
+  NORMAL: 'normal',
+  LOW: 'low'
+};
+
+const PRIORITY_RANK = {
+  [ORDER_PRIORITIES.HOT]: 0,
+  [ORDER_PRIORITIES.NORMAL]: 1,
+  [ORDER_PRIORITIES.LOW]: 2
+};
+
 // Validation schema for car orders
 export const carOrderSchema = Joi.object({
   _id: Joi.string().optional(), // Allow custom _id for seed data imports
@@ -9,7 +22,9 @@ export const carOrderSchema = Joi.object({
   direction: Joi.string().valid('inbound', 'outbound').required(), // NEW: Direction of shipment
   compatibleCarTypes: Joi.array().items(Joi.string().min(1).max(50)).min(1).required(), // NEW: Array of acceptable AAR types
   sessionNumber: Joi.number().integer().min(1).required(),
-  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered').default('pending'),
+  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered', 'expired').default('pending'),
+  backorderAge: Joi.number().integer().min(0).default(0), // Sessions the order has gone unfilled past its own session
+  priority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).default(ORDER_PRIORITIES.NORMAL),
   assignedCarId: Joi.string().optional().allow(null).max(100),
   assignedTrainId: Joi.string().optional().allow(null).max(100),
   createdAt: Joi.date().iso().default(() => new Date())
@@ -25,7 +40,8 @@ export const validateOrderGeneration = (data) => {
   const generationSchema = Joi.object({
     sessionNumber: Joi.number().integer().min(1).optional(), // If not provided, use current session
     industryIds: Joi.array().items(Joi.string()).optional(), // If provided, only generate for these industries
-    force: Joi.boolean().default(false) // Force generation even if orders already exist for session
+    force: Joi.boolean().default(false), // Force generation even if orders already exist for session
+    seed: Joi.string().max(100).optional() // Seed for random demand; the configured seed if not provided
   });
   
   return generationSchema.validate(data);
@@ -100,10 +116,11 @@ export const checkDuplicateOrder = (existingOrders, newOrder) => {
 // Status transition validation
 export const validateStatusTransition = (currentStatus, newStatus) => {
   const validTransitions = {
-    'pending': ['assigned', 'delivered'], // Can skip in-transit for direct delivery
+    'pending': ['assigned', 'delivered', 'expired'], // Can skip in-transit for direct delivery
     'assigned': ['in-transit', 'delivered', 'pending'], // Can revert to pending if train cancelled
     'in-transit': ['delivered', 'assigned'], // Can revert if train cancelled
-    'delivered': [] // Final state, no transitions allowed
+    'delivered': [], // Final state, no transitions allowed
+    'expired': [] // Backorder dropped after too many sessions unfilled
   };
 
   const allowed = validTransitions[currentStatus] || [];
@@ -112,3 +129,35 @@ export const validateStatusTransition = (currentStatus, newStatus) => {
     allowedTransitions: allowed
   };
 };
+
+// Oldest orders first, so backorders are filled before this session's orders
+export const compareOrderAge = (a, b) =>
+  a.sessionNumber - b.sessionNumber || new Date(a.createdAt) - new Date(b.createdAt);
+
+// Lower ranks are more urgent; orders from before priorities existed count as normal
+export const priorityRank = (order) => PRIORITY_RANK[order.priority] ?? PRIORITY_RANK[ORDER_PRIORITIES.NORMAL];
+
+// Hot orders first, then normal, then low; the oldest first within each
+export const compareOrderPriority = (a, b) => priorityRank(a) - priorityRank(b) || compareOrderAge(a, b);
+
+/**
+ * Roll unfilled orders forward when a session closes
+ * @param {Array} pendingOrders - Orders still pending at the end of the session
+ * @param {number} expirySessions - Sessions an order may stay backordered; 0 keeps them until filled
+ * @returns {Object} { backordered: [{ order, backorderAge }], expired: [order] }
+ */
+export const planBackorders = (pendingOrders, expirySessions = 0) => {
+  const backordered = [];
+  const expired = [];
+
+  pendingOrders.forEach(order => {
+    const backorderAge = (order.backorderAge || 0) + 1;
+    if (expirySessions > 0 && backorderAge > expirySessions) {
+      expired.push(order);
+    } else {
+      backordered.push({ order, backorderAge });
+    }
+  });
+
+  return { backordered, expired };
+};
@@ -0,0 +1,103 @@
+import Joi from 'joi';
+
+// What a rule does with a car that no order has claimed
+export const ROUTING_ACTIONS = {
+  RETURN_HOME: 'return-home', // Send the car to its home yard
+  ROUTE_TO: 'route-to', // Send the car to a named industry, e.g. an interchange
+  HOLD: 'hold' // Leave the car where it is until an order claims it
+};
+
+// Load state a rule applies to
+export const LOAD_CONDITIONS = {
+  EMPTY: 'empty',
+  LOADED: 'loaded',
+  ANY: 'any'
+};
+
+const ACTION_LABELS = {
+  [ROUTING_ACTIONS.RETURN_HOME]: 'return to home yard',
+  [ROUTING_ACTIONS.ROUTE_TO]: 'route to designated industry',
+  [ROUTING_ACTIONS.HOLD]: 'hold until ordered'
+};
+
+// Validation schema for empty-car routing rules
+// A rule with neither aarTypeId nor reportingMarks applies to every car
+export const carRoutingRuleSchema = Joi.object({
+  _id: Joi.string().optional(), // Allow custom _id for seed data imports
+  name: Joi.string().required().min(1).max(100),
+  description: Joi.string().allow('').max(500).default(''),
+  aarTypeId: Joi.string().allow(null).default(null), // AAR type the rule applies to
+  reportingMarks: Joi.string().uppercase().max(10).allow(null).default(null), // Road the rule applies to
+  loadState: Joi.string().valid(...Object.values(LOAD_CONDITIONS)).default(LOAD_CONDITIONS.EMPTY),
+  minSessions: Joi.number().integer().min(0).default(0), // Sessions a car must sit before the rule moves it
+  action: Joi.string().valid(...Object.values(ROUTING_ACTIONS)).required(),
+  destinationIndustryId: Joi.string().allow(null).default(null)
+    .when('action', { is: ROUTING_ACTIONS.ROUTE_TO, then: Joi.string().required() }),
+  isActive: Joi.boolean().default(true)
+});
+
+// Updates skip defaults so editing a rule's action keeps the load state, wait and active flag it leaves out
+export const validateCarRoutingRule = (data, isUpdate = false) => {
+  const schema = isUpdate ? carRoutingRuleSchema.fork(Object.keys(carRoutingRuleSchema.describe().keys), (schema) => schema.optional()) : carRoutingRuleSchema;
+  return schema.validate(data, { noDefaults: isUpdate });
+};
+
+/**
+ * How specific a rule is; reporting marks outrank AAR types, and both outrank neither
+ * @param {Object} rule - Routing rule
+ * @returns {number} Higher is more specific
+ */
+const specificity = (rule) =>
+  (rule.reportingMarks ? 4 : 0) +
+  (rule.aarTypeId ? 2 : 0) +
+  (rule.loadState !== LOAD_CONDITIONS.ANY ? 1 : 0);
+
+/**
+ * Find the rule that governs a car: the most specific active rule that matches it
+ * @param {Object} car - Car document
+ * @param {Array} rules - Routing rules
+ * @returns {Object|null} Matching rule
+ */
+export const findMatchingRule = (car, rules = []) => {
+  const loadState = car.currentLoad ? LOAD_CONDITIONS.LOADED : LOAD_CONDITIONS.EMPTY;
+  const matches = rules.filter(rule =>
+    rule.isActive !== false &&
+    (!rule.aarTypeId || rule.aarTypeId === car.carType) &&
+    (!rule.reportingMarks || rule.reportingMarks === (car.reportingMarks || '').toUpperCase()) &&
+    (rule.loadState === LOAD_CONDITIONS.ANY || rule.loadState === loadState)
+  );
+  matches.sort((a, b) => specificity(b) - specificity(a) || a.name.localeCompare(b.name));
+  return matches[0] || null;
+};
+
+/**
+ * Decide where a car no order has claimed should go
+ * Without a matching rule the car returns to its home yard, as it always has.
+ * @param {Object} car - Car document
+ * @param {Array} rules - Routing rules
+ * @returns {Object} { ruleId, industryId, reason } - industryId is null when the car stays put
+ */
+export const resolveCarRouting = (car, rules = []) => {
+  const rule = findMatchingRule(car, rules);
+  const stayOrGo = (industryId) => (industryId && industryId !== car.currentIndustry ? industryId : null);
+
+  if (!rule) {
+    return { ruleId: null, industryId: stayOrGo(car.homeYard), reason: 'No rule matched: return to home yard' };
+  }
+
+  const reason = `Rule "${rule.name}": ${ACTION_LABELS[rule.action]}`;
+  const dwell = car.sessionsAtCurrentLocation || 0;
+  if (rule.action === ROUTING_ACTIONS.HOLD) {
+    return { ruleId: rule._id, industryId: null, reason };
+  }
+  if (dwell < rule.minSessions) {
+    return { ruleId: rule._id, industryId: null, reason: `${reason} after ${rule.minSessions} session(s), ${dwell} so far` };
+  }
+
+  const industryId = rule.action === ROUTING_ACTIONS.RETURN_HOME ? car.homeYard : rule.destinationIndustryId;
+  return {
+    ruleId: rule._id,
+    industryId: stayOrGo(industryId),
+    reason: rule.minSessions > 0 ? `${reason} after ${rule.minSessions} session(s)` : reason
+  };
+};
@@ -0,0 +1,132 @@
+import Joi from 'joi';
+import { clockTimeSchema, MAX_CLOCK_MINUTES } from './timetable.js';
+
+// The fast clock runs in the same minutes after midnight as train schedules, so actual times compare directly
+export const DEFAULT_FAST_CLOCK_RATIO = 4;
+export const DEFAULT_FAST_CLOCK_START = 360; // 06:00
+export const MAX_FAST_CLOCK_RATIO = 60;
+
+const MS_PER_MINUTE = 60000;
+
+// Validation schema for the clock stored on the operating session
+// The clock is kept as the fast time it showed at setAt; while running it moves on `ratio` fast minutes per real minute.
+export const fastClockSchema = Joi.object({
+  ratio: Joi.number().min(1).max(MAX_FAST_CLOCK_RATIO).default(DEFAULT_FAST_CLOCK_RATIO),
+  startTime: clockTimeSchema.default(DEFAULT_FAST_CLOCK_START), // Where the clock is set at the start of each session
+  time: Joi.number().min(0).max(MAX_CLOCK_MINUTES).default(Joi.ref('startTime')), // Fast minutes at setAt, may be fractional
+  running: Joi.boolean().default(false),
+  setAt: Joi.date().iso().default(() => new Date())
+});
+
+// Validation schema for a train status change stamped with the fast clock
+export const statusStampSchema = Joi.object({
+  status: Joi.string().required(),
+  clockTime: clockTimeSchema.required(),
+  changedAt: Joi.date().iso().required()
+});
+
+export const validateFastClock = (data) => {
+  return fastClockSchema.validate(data || {});
+};
+
+// Exact fast minutes a stored clock shows at `now`; it stops at the end of the second day
+const fastMinutesAt = (clock, now) => {
+  if (!clock.running) {
+    return clock.time;
+  }
+  const elapsed = Math.max(0, new Date(now).getTime() - new Date(clock.setAt).getTime());
+  return Math.min(MAX_CLOCK_MINUTES, clock.time + (elapsed / MS_PER_MINUTE) * clock.ratio);
+};
+
+// A stored clock with defaults filled in; sessions from before the fast clock have none
+const withDefaults = (clock) => validateFastClock(clock).value;
+
+/**
+ * Read the clock as clients see it
+ * `time` is whole fast minutes and `asOf` the real instant the clock showed exactly that time,
+ * so a client can keep the clock ticking on its own until the next change is pushed.
+ * @param {Object|null} clock - Stored clock
+ * @param {Date} now - Real time to read at
+ * @returns {Object} { ratio, startTime, running, time, asOf }
+ */
+export const readFastClock = (clock, now = new Date()) => {
+  const stored = withDefaults(clock);
+  const exact = fastMinutesAt(stored, now);
+  const time = Math.floor(exact);
+  const lag = stored.running && exact < MAX_CLOCK_MINUTES ? ((exact - time) / stored.ratio) * MS_PER_MINUTE : 0;
+  return {
+    ratio: stored.ratio,
+    startTime: stored.startTime,
+    running: stored.running && exact < MAX_CLOCK_MINUTES,
+    time,
+    asOf: new Date(new Date(now).getTime() - lag).toISOString()
+  };
+};
+
+/**
+ * Start or resume the clock from where it stopped
+ * @param {Object|null} clock - Stored clock
+ * @param {Date} now - Real time of the change
+ * @returns {Object} Stored clock
+ */
+export const startFastClock = (clock, now = new Date()) => {
+  const stored = withDefaults(clock);
+  if (stored.running) {
+    return stored;
+  }
+  return { ...stored, running: true, setAt: new Date(now) };
+};
+
+/**
+ * Stop the clock at the time it shows
+ * @param {Object|null} clock - Stored clock
+ * @param {Date} now - Real time of the change
+ * @returns {Object} Stored clock
+ */
+export const pauseFastClock = (clock, now = new Date()) => {
+  const stored = withDefaults(clock);
+  return { ...stored, time: fastMinutesAt(stored, now), running: false, setAt: new Date(now) };
+};
+
+/**
+ * Change the ratio, the start time or the time shown, keeping the clock running or paused
+ * A new ratio only applies from now on; the time already run is kept.
+ * A clock that hasn't left its start time moves with a new start time.
+ * @param {Object|null} clock - Stored clock
+ * @param {Object} settings - { ratio, startTime, time }
+ * @param {Date} now - Real time of the change
+ * @returns {Object} Stored clock
+ */
+export const updateFastClock = (clock, settings, now = new Date()) => {
+  const stored = withDefaults(clock);
+  const { ratio = stored.ratio, startTime = stored.startTime } = settings;
+  // A clock still waiting at its start time follows the new start time
+  const waiting = !stored.running && stored.time === stored.startTime;
+  const { time = waiting ? startTime : fastMinutesAt(stored, now) } = settings;
+  return { ...stored, ratio, startTime, time, setAt: new Date(now) };
+};
+
+/**
+ * Set the clock back to its start time, paused, ready for a new session
+ * @param {Object|null} clock - Stored clock
+ * @param {Date} now - Real time of the change
+ * @returns {Object} Stored clock
+ */
+export const resetFastClock = (clock, now = new Date()) => {
+  const stored = withDefaults(clock);
+  return { ...stored, time: stored.startTime, running: false, setAt: new Date(now) };
+};
+
+/**
+ * Stamp a train status change with the fast-clock time it happened at
+ * @param {Array|undefined} history - Train's statusHistory so far
+ * @param {string} status - New status
+ * @param {Object|null} clock - Stored clock
+ * @param {Date} now - Real time of the change
+ * @returns {Array} statusHistory with the new stamp appended
+ */
+export const stampStatusChange = (history, status, clock, now = new Date()) => [
+  ...(history || []),
+  { status, clockTime: readFastClock(clock, now).time, changedAt: new Date(now).toISOString() }
+];
+
@@ -0,0 +1,89 @@
+import Joi from 'joi';
+
+// What a car is doing while it sits at an industry
+export const DWELL_ACTIONS = {
+  LOADING: 'loading', // Outbound: car arrived empty and leaves loaded
+  UNLOADING: 'unloading' // Inbound: car arrived loaded and leaves empty
+};
+
+// Validation schema for goods (commodities)
+export const goodSchema = Joi.object({
+  _id: Joi.string().optional(), // Allow custom _id for seed data imports
+  name: Joi.string().required().min(1).max(100),
+  description: Joi.string().allow('').max(500),
+  category: Joi.string().allow('').max(100),
+  loadingTime: Joi.number().integer().min(0).default(0), // Operating sessions to load a car
+  unloadingTime: Joi.number().integer().min(0).default(0), // Operating sessions to unload a car
+  loadWeight: Joi.number().min(0).max(200).optional() // Tons of lading in a loaded car; a full car type's capacity when left out
+});
+
+// Updates skip defaults so a partial update does not clear the fields it leaves out
+export const validateGood = (data, isUpdate = false) => {
+  const schema = isUpdate ? goodSchema.fork(Object.keys(goodSchema.describe().keys), (schema) => schema.optional()) : goodSchema;
+  return schema.validate(data, { noDefaults: isUpdate });
+};
+
+// Load or unload in progress on a spotted car; stored on the car until it completes
+export const dwellSchema = Joi.object({
+  action: Joi.string().valid(...Object.values(DWELL_ACTIONS)).required(),
+  goodsId: Joi.string().required(),
+  industryId: Joi.string().required(),
+  sessionsRemaining: Joi.number().integer().min(1).required()
+});
+
+/**
+ * Sessions a car spends loading or unloading a good at an industry
+ * The industry's demand entry for the good overrides the good's own time.
+ * @param {Object|null} good - Good being moved
+ * @param {Object|null} industry - Industry the car was delivered to
+ * @param {string} direction - 'inbound' (unloading) or 'outbound' (loading)
+ * @returns {number} Dwell time in sessions; 0 means the load flips on delivery
+ */
+export const resolveDwellTime = (good, industry, direction) => {
+  const demand = (industry?.carDemandConfig || []).find(config =>
+    config.goodsId === good?._id && config.direction === direction
+  );
+  if (demand && demand.dwellTime !== undefined && demand.dwellTime !== null) {
+    return demand.dwellTime;
+  }
+  return (direction === 'outbound' ? good?.loadingTime : good?.unloadingTime) || 0;
+};
+
+/**
+ * Load state of a car delivered to fill an order
+ * Inbound cars arrive loaded and empty out; outbound cars arrive empty and load up.
+ * @param {Object} delivery - { goodsId, industryId, direction }
+ * @param {number} sessions - Dwell time from resolveDwellTime
+ * @returns {Object} { currentLoad, dwell } to apply to the car
+ */
+export const startDwell = ({ goodsId, industryId, direction }, sessions) => {
+  const action = direction === 'outbound' ? DWELL_ACTIONS.LOADING : DWELL_ACTIONS.UNLOADING;
+  const finishedLoad = action === DWELL_ACTIONS.LOADING ? goodsId : null;
+  if (sessions <= 0) {
+    return { currentLoad: finishedLoad, dwell: null };
+  }
+  return {
+    currentLoad: action === DWELL_ACTIONS.LOADING ? null : goodsId,
+    dwell: { action, goodsId, industryId, sessionsRemaining: sessions }
+  };
+};
+
+/**
+ * Count down a car's dwell by one session, flipping its load when it runs out
+ * @param {Object} car - Car document
+ * @returns {Object|null} { currentLoad?, dwell, completed } to apply, or null if the car is not dwelling
+ */
+export const advanceDwell = (car) => {
+  if (!car.dwell) {
+    return null;
+  }
+  const sessionsRemaining = car.dwell.sessionsRemaining - 1;
+  if (sessionsRemaining > 0) {
+    return { dwell: { ...car.dwell, sessionsRemaining }, completed: false };
+  }
+  return {
+    currentLoad: car.dwell.action === DWELL_ACTIONS.LOADING ? car.dwell.goodsId : null,
+    dwell: null,
+    completed: true
+  };
+};
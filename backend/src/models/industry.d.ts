@@ -3,11 +3,37 @@
  */
 
 import Joi from 'joi';
+import type { OrderPriority } from './carOrder.js';
+
+export type DemandModel = 'fixed' | 'probabilistic' | 'range' | 'seasonal';
+
+export declare const DEMAND_MODELS: {
+  FIXED: 'fixed';
+  PROBABILISTIC: 'probabilistic';
+  RANGE: 'range';
+  SEASONAL: 'seasonal';
+};
+
+export type PointAccess = 'facing' | 'trailing';
+
+export declare const POINT_ACCESS: {
+  FACING: 'facing';
+  TRAILING: 'trailing';
+};
+
+export declare const DEFAULT_SESSIONS_PER_YEAR: number;
 
 export interface CarDemandConfig {
   aarTypeId: string;
   carsPerSession: number;
   frequency: number;
+  dwellTime?: number;
+  priority?: OrderPriority;
+  model?: DemandModel;
+  probability?: number;
+  minCars?: number;
+  maxCars?: number;
+  seasonalCurve?: number[];
 }
 
 export interface Industry {
@@ -19,6 +45,7 @@ export interface Industry {
   preferredCarTypes: string[];
   isYard: boolean;
   isOnLayout: boolean;
+  pointAccess?: PointAccess | null;
   carDemandConfig: CarDemandConfig[];
 }
 
@@ -34,9 +61,36 @@ export declare function validateCarDemandConfig(
   demandConfig: any
 ): { valid: boolean; errors: string[] };
 
+export declare function seasonalFactor(
+  curve: number[],
+  sessionNumber: number,
+  sessionsPerYear?: number
+): number;
+
+export declare function expectedDemand(
+  config: CarDemandConfig,
+  sessionNumber: number,
+  sessionsPerYear?: number
+): number;
+
+export declare function sampleDemand(
+  config: CarDemandConfig,
+  sessionNumber: number,
+  random: () => number,
+  sessionsPerYear?: number
+): number;
+
+export declare function demandSeed(
+  seed: string,
+  sessionNumber: number,
+  industryId: string,
+  config: CarDemandConfig
+): string;
+
 export declare function calculateTotalDemand(
   demandConfig: CarDemandConfig[],
-  sessionNumber: number
+  sessionNumber: number,
+  sessionsPerYear?: number
 ): number;
 
 export declare function getActiveDemandForSession(
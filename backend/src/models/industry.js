@@ -1,4 +1,22 @@
 import Joi from 'joi';
+import { ORDER_PRIORITIES } from './carOrder.js';
+
+// How a demand entry decides the number of cars in a session it is due
+export const DEMAND_MODELS = {
+  FIXED: 'fixed', // carsPerSession every time
+  PROBABILISTIC: 'probabilistic', // carsPerSession with the given chance
+  RANGE: 'range', // Anywhere from minCars to maxCars
+  SEASONAL: 'seasonal' // carsPerSession scaled by the season's factor
+};
+
+// How an industry's switch meets an eastward train
+export const POINT_ACCESS = {
+  FACING: 'facing', // Points face the train; it has to run around its cars to shove them in
+  TRAILING: 'trailing' // The train passes the switch and backs its cars in
+};
+
+// Sessions in a calendar year when the layout sets none
+export const DEFAULT_SESSIONS_PER_YEAR = 12;
 
 // Validation schema for car demand configuration
 export const carDemandConfigSchema = Joi.object({
@@ -6,7 +24,19 @@ export const carDemandConfigSchema = Joi.object({
   direction: Joi.string().valid('inbound', 'outbound').required(),
   compatibleCarTypes: Joi.array().items(Joi.string().min(1).max(50)).min(1).required(),
   carsPerSession: Joi.number().integer().min(1).required(),
-  frequency: Joi.number().integer().min(1).required()
+  frequency: Joi.number().integer().min(1).required(),
+  dwellTime: Joi.number().integer().min(0).optional(), // Sessions to load or unload here; overrides the good's time
+  priority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).optional(), // Priority of the orders this demand generates; normal if unset
+  model: Joi.string().valid(...Object.values(DEMAND_MODELS)).optional(), // Fixed if unset
+  probability: Joi.number().min(0).max(1)
+    .when('model', { is: DEMAND_MODELS.PROBABILISTIC, then: Joi.required(), otherwise: Joi.forbidden() }),
+  minCars: Joi.number().integer().min(0)
+    .when('model', { is: DEMAND_MODELS.RANGE, then: Joi.required(), otherwise: Joi.forbidden() }),
+  maxCars: Joi.number().integer().min(Joi.ref('minCars'))
+    .when('model', { is: DEMAND_MODELS.RANGE, then: Joi.required(), otherwise: Joi.forbidden() }),
+  // Factors spread evenly over the calendar year, e.g. four for the seasons or twelve for the months
+  seasonalCurve: Joi.array().items(Joi.number().min(0).max(10)).min(1).max(52)
+    .when('model', { is: DEMAND_MODELS.SEASONAL, then: Joi.required(), otherwise: Joi.forbidden() })
 });
 
 // Validation schema for industries
@@ -16,6 +46,7 @@ export const industrySchema = Joi.object({
   stationId: Joi.string().required(),
   isYard: Joi.boolean().default(false),
   isOnLayout: Joi.boolean().default(true),
+  pointAccess: Joi.string().valid(...Object.values(POINT_ACCESS)).optional().allow(null), // Unknown if unset
   carDemandConfig: Joi.array().items(carDemandConfigSchema).default([])
 });
 
@@ -56,17 +87,87 @@ export const validateCarDemandConfig = (demandConfig) => {
   };
 };
 
+/**
+ * Seasonal factor for a session
+ * Sessions count through a calendar year of sessionsPerYear sessions, and
+ * the curve's factors each cover an equal share of that year.
+ * @param {Array<number>} curve - Factors spread over the year
+ * @param {number} sessionNumber - Session number, from 1
+ * @param {number} sessionsPerYear - Sessions in a calendar year
+ * @returns {number} Factor for the session
+ */
+export const seasonalFactor = (curve, sessionNumber, sessionsPerYear = DEFAULT_SESSIONS_PER_YEAR) => {
+  const sessionOfYear = (sessionNumber - 1) % sessionsPerYear;
+  return curve[Math.floor(sessionOfYear * curve.length / sessionsPerYear)];
+};
+
+// Whether a demand entry is due in a session
+const isDemandDue = (config, sessionNumber) => (sessionNumber % config.frequency) === 0;
+
+/**
+ * Average number of cars a demand entry asks for in a session
+ * @param {Object} config - Demand configuration entry
+ * @param {number} sessionNumber - Session number
+ * @param {number} sessionsPerYear - Sessions in a calendar year, for seasonal demand
+ * @returns {number} Expected cars; fractional for the random models
+ */
+export const expectedDemand = (config, sessionNumber, sessionsPerYear = DEFAULT_SESSIONS_PER_YEAR) => {
+  if (!isDemandDue(config, sessionNumber)) {
+    return 0;
+  }
+  switch (config.model) {
+    case DEMAND_MODELS.PROBABILISTIC:
+      return config.carsPerSession * config.probability;
+    case DEMAND_MODELS.RANGE:
+      return (config.minCars + config.maxCars) / 2;
+    case DEMAND_MODELS.SEASONAL:
+      return config.carsPerSession * seasonalFactor(config.seasonalCurve, sessionNumber, sessionsPerYear);
+    default:
+      return config.carsPerSession;
+  }
+};
+
+/**
+ * Number of cars a demand entry asks for in a session
+ * Seasonal demand that works out to a fraction of a car rounds up with the
+ * chance of the fraction, so it averages out to the expected demand.
+ * @param {Object} config - Demand configuration entry
+ * @param {number} sessionNumber - Session number
+ * @param {() => number} random - Random number generator returning [0, 1)
+ * @param {number} sessionsPerYear - Sessions in a calendar year, for seasonal demand
+ * @returns {number} Cars to order
+ */
+export const sampleDemand = (config, sessionNumber, random, sessionsPerYear = DEFAULT_SESSIONS_PER_YEAR) => {
+  if (!isDemandDue(config, sessionNumber)) {
+    return 0;
+  }
+  switch (config.model) {
+    case DEMAND_MODELS.PROBABILISTIC:
+      return random() < config.probability ? config.carsPerSession : 0;
+    case DEMAND_MODELS.RANGE:
+      return config.minCars + Math.floor(random() * (config.maxCars - config.minCars + 1));
+    case DEMAND_MODELS.SEASONAL: {
+      const expected = expectedDemand(config, sessionNumber, sessionsPerYear);
+      const whole = Math.floor(expected);
+      return whole + (random() < expected - whole ? 1 : 0);
+    }
+    default:
+      return config.carsPerSession;
+  }
+};
+
+// Seed for one demand entry in one session; entries draw independently so
+// adding or editing one does not change the others' numbers
+export const demandSeed = (seed, sessionNumber, industryId, config) =>
+  `${seed}:${sessionNumber}:${industryId}:${config.goodsId}:${config.direction}`;
+
 // Helper function to calculate total demand for an industry
-export const calculateTotalDemand = (demandConfig, sessionNumber) => {
+export const calculateTotalDemand = (demandConfig, sessionNumber, sessionsPerYear = DEFAULT_SESSIONS_PER_YEAR) => {
   if (!Array.isArray(demandConfig)) {
     return 0;
   }
 
-  return demandConfig.reduce((total, config) => {
-    // Check if demand should be generated this session
-    const shouldGenerate = (sessionNumber % config.frequency) === 0;
-    return total + (shouldGenerate ? config.carsPerSession : 0);
-  }, 0);
+  return demandConfig.reduce((total, config) => total + expectedDemand(config, sessionNumber, sessionsPerYear), 0);
 };
 
 // Helper function to get active demand for a specific session
@@ -75,9 +176,7 @@ export const getActiveDemandForSession = (demandConfig, sessionNumber) => {
     return [];
   }
 
-  return demandConfig.filter(config => {
-    return (sessionNumber % config.frequency) === 0;
-  });
+  return demandConfig.filter(config => isDemandDue(config, sessionNumber));
 };
 
 // Helper function to format demand configuration for display
@@ -86,8 +185,21 @@ export const formatDemandConfig = (demandConfig) => {
     return 'No demand configured';
   }
 
+  const describeCars = (config) => {
+    switch (config.model) {
+      case DEMAND_MODELS.PROBABILISTIC:
+        return `${config.carsPerSession} car(s) at ${Math.round(config.probability * 100)}% chance`;
+      case DEMAND_MODELS.RANGE:
+        return `${config.minCars}-${config.maxCars} car(s)`;
+      case DEMAND_MODELS.SEASONAL:
+        return `${config.carsPerSession} car(s) by season`;
+      default:
+        return `${config.carsPerSession} car(s)`;
+    }
+  };
+
   return demandConfig.map(config => 
-    `${config.direction}: ${config.carsPerSession} car(s) of ${config.goodsId} (${config.compatibleCarTypes.join('/')}) every ${config.frequency} session(s)`
+    `${config.direction}: ${describeCars(config)} of ${config.goodsId} (${config.compatibleCarTypes.join('/')}) every ${config.frequency} session(s)`
   ).join(', ');
 };
 
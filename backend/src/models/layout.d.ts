@@ -0,0 +1,25 @@
+/**
+ * Type definitions for layout model
+ */
+
+import Joi from 'joi';
+
+export interface Layout {
+  _id?: string;
+  name: string;
+  description: string;
+  createdAt?: Date | string;
+  updatedAt?: Date | string;
+}
+
+export interface LayoutInput {
+  name: string;
+  description?: string;
+}
+
+export declare const layoutSchema: Joi.ObjectSchema<LayoutInput>;
+
+export declare function validateLayout(
+  data: Partial<LayoutInput>,
+  isUpdate?: boolean
+): Joi.ValidationResult<LayoutInput>;
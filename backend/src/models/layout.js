@@ -0,0 +1,14 @@
+import Joi from 'joi';
+
+// Validation schema for layouts
+// Each layout keeps its own cars, industries, trains and sessions; accounts are shared
+export const layoutSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().allow('').max(500).default('')
+});
+
+// Updates skip defaults so renaming a layout keeps its description
+export const validateLayout = (data, isUpdate = false) => {
+  const schema = isUpdate ? layoutSchema.fork(Object.keys(layoutSchema.describe().keys), (schema) => schema.optional()) : layoutSchema;
+  return schema.validate(data, { noDefaults: isUpdate });
+};
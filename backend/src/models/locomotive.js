@@ -1,7 +1,7 @@
 import Joi from 'joi';
 
 // Valid locomotive manufacturers (model railroad brands)
-const VALID_MANUFACTURERS = ['Atlas', 'Kato', 'Lionel', 'Bachmann', 'Athearn', 'Walthers', 'Broadway Limited', 'MTH', 'Rapido'];
+export const VALID_MANUFACTURERS = ['Atlas', 'Kato', 'Lionel', 'Bachmann', 'Athearn', 'Walthers', 'Broadway Limited', 'MTH', 'Rapido'];
 
 // Validation schema for locomotives
 export const locomotiveSchema = Joi.object({
@@ -18,6 +18,8 @@ export const locomotiveSchema = Joi.object({
   }).default(3),
   homeYard: Joi.string().required(), // Industry (yard) ID
   isInService: Joi.boolean().default(true),
+  length: Joi.number().min(1).max(150).optional(), // Feet over the couplers; counts against siding length
+  tractiveRating: Joi.number().integer().min(1).max(20000).optional(), // Tons the locomotive can haul over the ruling grade
   notes: Joi.string().allow('').max(500).default('')
 });
 
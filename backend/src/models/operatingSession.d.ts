@@ -3,11 +3,29 @@
  */
 
 import Joi from 'joi';
+import { CarDwell, NextHop } from './car';
 
 export interface SessionCarSnapshot {
   id: string;
   currentIndustry: string;
+  currentTrack: string | null;
+  currentLoad: string | null;
+  isInService: boolean;
   sessionsAtCurrentLocation: number;
+  waybillCycle: number;
+  nextHop: NextHop | null;
+  dwell: CarDwell | null;
+}
+
+export interface SessionLocomotiveSnapshot {
+  id: string;
+  homeYard: string | null;
+  isInService: boolean;
+}
+
+export interface SessionIndustrySnapshot {
+  id: string;
+  carDemandConfig: any[];
 }
 
 export interface SessionSnapshot {
@@ -15,6 +33,31 @@ export interface SessionSnapshot {
   cars: SessionCarSnapshot[];
   trains: any[];
   carOrders: any[];
+  locomotives: SessionLocomotiveSnapshot[];
+  industries: SessionIndustrySnapshot[];
+  waybills: any[];
+}
+
+export interface IntegrityDrift {
+  entity: 'cars' | 'trains' | 'carOrders' | 'locomotives' | 'industries' | 'waybills';
+  id: string;
+  field: string | null;
+  expected: any;
+  actual: any;
+}
+
+export interface IntegrityReport {
+  consistent: boolean;
+  checked: Record<'cars' | 'trains' | 'carOrders' | 'locomotives' | 'industries' | 'waybills', number>;
+  drift: IntegrityDrift[];
+}
+
+export interface FastClock {
+  ratio: number;
+  startTime: number;
+  time: number;
+  running: boolean;
+  setAt: Date | string;
 }
 
 export interface OperatingSession {
@@ -22,6 +65,7 @@ export interface OperatingSession {
   currentSessionNumber: number;
   sessionDate: Date | string;
   description: string;
+  fastClock?: FastClock;
   previousSessionSnapshot?: SessionSnapshot | null;
 }
 
@@ -36,9 +80,56 @@ export declare function createSessionSnapshot(
   sessionNumber: number,
   cars: any[],
   trains: any[],
-  carOrders: any[]
+  carOrders: any[],
+  locomotives?: any[],
+  industries?: any[],
+  waybills?: any[]
 ): SessionSnapshot;
 
 export declare function validateSnapshot(
   snapshot: any
 ): Joi.ValidationResult<SessionSnapshot>;
+
+export declare function buildIntegrityReport(
+  snapshot: SessionSnapshot,
+  state: { cars: any[]; trains: any[]; carOrders: any[]; locomotives: any[]; industries: any[]; waybills?: any[] }
+): IntegrityReport;
+
+export interface SessionSnapshotRecord {
+  _id?: string;
+  sessionNumber: number;
+  name: string;
+  description: string;
+  takenAt: Date | string;
+  snapshot: SessionSnapshot;
+}
+
+export interface RestorePointSummary {
+  sessionNumber: number;
+  name: string;
+  description: string;
+  takenAt: Date | string;
+  stats: {
+    cars: number;
+    trains: number;
+    carOrders: number;
+    trainsByStatus: Record<string, number>;
+    ordersByStatus: Record<string, number>;
+  };
+}
+
+export declare const sessionSnapshotRecordSchema: Joi.ObjectSchema<SessionSnapshotRecord>;
+
+export declare function validateSessionSnapshotRecord(
+  data: any
+): Joi.ValidationResult<SessionSnapshotRecord>;
+
+export declare function defaultSnapshotName(sessionNumber: number): string;
+
+export declare function summarizeSnapshotRecord(record: SessionSnapshotRecord): RestorePointSummary;
+
+export declare function resolveRollbackTarget(
+  restorePoints: SessionSnapshotRecord[],
+  currentSessionNumber: number,
+  options?: { steps?: number; snapshotName?: string }
+): { target: SessionSnapshotRecord | null; error: string | null };
@@ -1,4 +1,29 @@
 import Joi from 'joi';
+import { fastClockSchema } from './fastClock.js';
+
+// Per-entity state captured in a snapshot; everything a session can change
+const carSnapshotSchema = Joi.object({
+  id: Joi.string().required(),
+  currentIndustry: Joi.string().required(),
+  currentTrack: Joi.string().allow(null).default(null),
+  currentLoad: Joi.string().allow(null).default(null),
+  isInService: Joi.boolean().default(true),
+  sessionsAtCurrentLocation: Joi.number().integer().min(0).required(),
+  waybillCycle: Joi.number().integer().min(1).default(1),
+  nextHop: Joi.object().unknown().allow(null).default(null), // Routing state of a car staged at a transfer yard
+  dwell: Joi.object().unknown().allow(null).default(null) // Loading or unloading in progress
+});
+
+const locomotiveSnapshotSchema = Joi.object({
+  id: Joi.string().required(),
+  homeYard: Joi.string().allow(null).default(null),
+  isInService: Joi.boolean().default(true)
+});
+
+const industrySnapshotSchema = Joi.object({
+  id: Joi.string().required(),
+  carDemandConfig: Joi.array().items(Joi.object().unknown()).default([])
+});
 
 // Validation schema for operating sessions
 // Note: This is a singleton pattern - only ONE operating session record should exist
@@ -7,15 +32,15 @@ export const operatingSessionSchema = Joi.object({
   currentSessionNumber: Joi.number().integer().min(1).default(1),
   sessionDate: Joi.date().iso().default(() => new Date()),
   description: Joi.string().allow('').max(500).default(''),
+  fastClock: fastClockSchema.optional(), // Missing on sessions from before the fast clock; read with defaults
   previousSessionSnapshot: Joi.object({
     sessionNumber: Joi.number().integer().min(1).required(),
-    cars: Joi.array().items(Joi.object({
-      id: Joi.string().required(),
-      currentIndustry: Joi.string().required(),
-      sessionsAtCurrentLocation: Joi.number().integer().min(0).required()
-    })).default([]),
+    cars: Joi.array().items(carSnapshotSchema).default([]),
     trains: Joi.array().items(Joi.object().unknown()).default([]), // Full train objects
-    carOrders: Joi.array().items(Joi.object().unknown()).default([]) // Full car order objects
+    carOrders: Joi.array().items(Joi.object().unknown()).default([]), // Full car order objects
+    locomotives: Joi.array().items(locomotiveSnapshotSchema).default([]),
+    industries: Joi.array().items(industrySnapshotSchema).default([]),
+    waybills: Joi.array().items(Joi.object().unknown()).default([]) // Full waybill objects
   }).optional().allow(null) // null means no previous session (can't rollback)
 });
 
@@ -25,31 +50,226 @@ export const validateOperatingSession = (data, isUpdate = false) => {
 };
 
 // Helper function to create snapshot of current state for rollback
-export const createSessionSnapshot = (sessionNumber, cars, trains, carOrders) => {
+export const createSessionSnapshot = (sessionNumber, cars, trains, carOrders, locomotives = [], industries = [], waybills = []) => {
   return {
     sessionNumber,
-    cars: cars.map(car => ({
+    cars: (cars || []).map(car => ({
       id: car._id || car.id,
       currentIndustry: car.currentIndustry,
-      sessionsAtCurrentLocation: car.sessionsAtCurrentLocation || 0
+      currentTrack: car.currentTrack || null,
+      currentLoad: car.currentLoad || null,
+      isInService: car.isInService !== false,
+      sessionsAtCurrentLocation: car.sessionsAtCurrentLocation || 0,
+      waybillCycle: car.waybillCycle || 1,
+      nextHop: car.nextHop || null,
+      dwell: car.dwell || null
     })),
     trains: trains || [],
-    carOrders: carOrders || []
+    carOrders: carOrders || [],
+    locomotives: (locomotives || []).map(locomotive => ({
+      id: locomotive._id || locomotive.id,
+      homeYard: locomotive.homeYard || null,
+      isInService: locomotive.isInService !== false
+    })),
+    industries: (industries || []).map(industry => ({
+      id: industry._id || industry.id,
+      carDemandConfig: industry.carDemandConfig || []
+    })),
+    waybills: waybills || []
   };
 };
 
 // Validate snapshot structure
+// Locomotives, industries and waybills default to empty so snapshots taken before they were captured still load
 export const validateSnapshot = (snapshot) => {
   const snapshotSchema = Joi.object({
     sessionNumber: Joi.number().integer().min(1).required(),
-    cars: Joi.array().items(Joi.object({
-      id: Joi.string().required(),
-      currentIndustry: Joi.string().required(),
-      sessionsAtCurrentLocation: Joi.number().integer().min(0).required()
-    })).required(),
+    cars: Joi.array().items(carSnapshotSchema).required(),
     trains: Joi.array().items(Joi.object().unknown()).required(),
-    carOrders: Joi.array().items(Joi.object().unknown()).required()
+    carOrders: Joi.array().items(Joi.object().unknown()).required(),
+    locomotives: Joi.array().items(locomotiveSnapshotSchema).default([]),
+    industries: Joi.array().items(industrySnapshotSchema).default([]),
+    waybills: Joi.array().items(Joi.object().unknown()).default([])
   });
   
   return snapshotSchema.validate(snapshot);
 };
+
+// NeDB rewrites these on insert, so they never count as drift
+const VOLATILE_FIELDS = ['createdAt', 'updatedAt'];
+
+// Same value with object keys in a fixed order at every depth, so key order never counts as drift
+const sortKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+};
+
+const comparable = (doc) => {
+  const copy = { ...doc };
+  VOLATILE_FIELDS.forEach(field => delete copy[field]);
+  return JSON.stringify(sortKeys(copy));
+};
+
+/**
+ * Compare the live layout against the snapshot it was restored from
+ * @param {Object} snapshot - Validated snapshot that was restored
+ * @param {Object} state - { cars, trains, carOrders, locomotives, industries, waybills } read back after the restore
+ * @returns {Object} - { consistent: boolean, checked: Object, drift: Array<{ entity, id, field, expected, actual }> }
+ */
+export const buildIntegrityReport = (snapshot, state) => {
+  const drift = [];
+  const note = (entity, id, field, expected, actual) => drift.push({ entity, id, field, expected, actual });
+
+  // Field-level comparison for entities captured as partial state
+  const compareFields = (entity, expectedItems, actualItems, fields) => {
+    const actualById = new Map(actualItems.map(item => [item._id, item]));
+    for (const expected of expectedItems) {
+      const actual = actualById.get(expected.id);
+      if (!actual) {
+        note(entity, expected.id, null, 'present', 'missing');
+        continue;
+      }
+      for (const [field, normalize] of Object.entries(fields)) {
+        const expectedValue = normalize(expected[field]);
+        const actualValue = normalize(actual[field]);
+        if (JSON.stringify(expectedValue) !== JSON.stringify(actualValue)) {
+          note(entity, expected.id, field, expectedValue, actualValue);
+        }
+      }
+    }
+  };
+
+  // Whole-document comparison for entities captured in full
+  const compareDocuments = (entity, expectedItems, actualItems) => {
+    const actualById = new Map(actualItems.map(item => [item._id, item]));
+    const expectedIds = new Set(expectedItems.map(item => item._id));
+    for (const expected of expectedItems) {
+      const actual = actualById.get(expected._id);
+      if (!actual) {
+        note(entity, expected._id, null, 'present', 'missing');
+      } else if (comparable(expected) !== comparable(actual)) {
+        note(entity, expected._id, null, 'matches snapshot', 'differs');
+      }
+    }
+    for (const actual of actualItems) {
+      if (!expectedIds.has(actual._id)) {
+        note(entity, actual._id, null, 'absent', 'present');
+      }
+    }
+  };
+
+  const orNull = (value) => value || null;
+  const inService = (value) => value !== false;
+
+  compareFields('cars', snapshot.cars, state.cars, {
+    currentIndustry: orNull,
+    currentTrack: orNull,
+    currentLoad: orNull,
+    isInService: inService,
+    sessionsAtCurrentLocation: (value) => value || 0,
+    waybillCycle: (value) => value || 1,
+    nextHop: orNull,
+    dwell: orNull
+  });
+  compareFields('locomotives', snapshot.locomotives || [], state.locomotives, {
+    homeYard: orNull,
+    isInService: inService
+  });
+  compareFields('industries', snapshot.industries || [], state.industries, {
+    carDemandConfig: (value) => value || []
+  });
+  compareDocuments('trains', snapshot.trains, state.trains);
+  compareDocuments('carOrders', snapshot.carOrders, state.carOrders);
+  compareDocuments('waybills', snapshot.waybills || [], state.waybills || []);
+
+  return {
+    consistent: drift.length === 0,
+    checked: {
+      cars: snapshot.cars.length,
+      trains: snapshot.trains.length,
+      carOrders: snapshot.carOrders.length,
+      locomotives: (snapshot.locomotives || []).length,
+      industries: (snapshot.industries || []).length,
+      waybills: (snapshot.waybills || []).length
+    },
+    drift
+  };
+};
+
+// Validation schema for stored restore points (sessionSnapshots collection)
+// One record per session number, holding the state captured when that session ended
+export const sessionSnapshotRecordSchema = Joi.object({
+  _id: Joi.string().optional(),
+  sessionNumber: Joi.number().integer().min(1).required(),
+  name: Joi.string().min(1).max(100).required(),
+  description: Joi.string().allow('').max(500).default(''),
+  takenAt: Joi.date().iso().default(() => new Date()),
+  snapshot: Joi.object().unknown().required() // Validated with validateSnapshot
+});
+
+export const validateSessionSnapshotRecord = (data) => {
+  return sessionSnapshotRecordSchema.validate(data);
+};
+
+// Default restore point name when the user does not supply one
+export const defaultSnapshotName = (sessionNumber) => `Session ${sessionNumber}`;
+
+// Helper function to describe a restore point without its full payload
+export const summarizeSnapshotRecord = (record) => {
+  const { snapshot } = record;
+  return {
+    sessionNumber: record.sessionNumber,
+    name: record.name,
+    description: record.description || '',
+    takenAt: record.takenAt,
+    stats: {
+      cars: (snapshot.cars || []).length,
+      trains: (snapshot.trains || []).length,
+      carOrders: (snapshot.carOrders || []).length,
+      trainsByStatus: countBy(snapshot.trains || [], 'status'),
+      ordersByStatus: countBy(snapshot.carOrders || [], 'status')
+    }
+  };
+};
+
+const countBy = (items, field) => items.reduce((acc, item) => {
+  acc[item[field]] = (acc[item[field]] || 0) + 1;
+  return acc;
+}, {});
+
+/**
+ * Pick the restore point a rollback request refers to
+ * @param {Array} restorePoints - Stored snapshot records
+ * @param {number} currentSessionNumber - Session currently in progress
+ * @param {Object} options - { steps, snapshotName }; steps defaults to 1
+ * @returns {Object} - { target: Object|null, error: string|null }
+ */
+export const resolveRollbackTarget = (restorePoints, currentSessionNumber, options = {}) => {
+  const available = restorePoints.filter(record => record.sessionNumber < currentSessionNumber);
+
+  if (options.snapshotName) {
+    const target = available.find(record => record.name === options.snapshotName);
+    return target
+      ? { target, error: null }
+      : { target: null, error: `No restore point named '${options.snapshotName}'` };
+  }
+
+  const steps = options.steps || 1;
+  const targetSessionNumber = currentSessionNumber - steps;
+  if (targetSessionNumber < 1) {
+    return { target: null, error: `Cannot rollback ${steps} session(s) from session ${currentSessionNumber}` };
+  }
+
+  const target = available.find(record => record.sessionNumber === targetSessionNumber);
+  return target
+    ? { target, error: null }
+    : { target: null, error: `No snapshot retained for session ${targetSessionNumber}` };
+};
@@ -0,0 +1,361 @@
+import { MOVEMENT_REASONS, LOAD_STATES } from './carMovement.js';
+
+// A good whose orders are delivered less often than this is underutilized
+export const UNDERUTILIZED_FULFILLMENT_RATE = 50;
+
+// How each good is doing over a session range
+export const GOODS_STATUSES = {
+  MISSING: 'missing', // No industry receives or ships it
+  UNORDERED: 'unordered', // Industries handle it but no orders were raised
+  UNDERUTILIZED: 'underutilized', // Orders raised, but too few delivered
+  OK: 'ok'
+};
+
+// Reports by URL name: a title and the columns of their rows, in CSV order
+export const REPORTS = {
+  'car-movements': {
+    title: 'Car Movement History',
+    columns: [
+      { key: 'sessionNumber', header: 'Session' },
+      { key: 'movedAt', header: 'Moved At' },
+      { key: 'car', header: 'Car' },
+      { key: 'fromIndustry', header: 'From' },
+      { key: 'toIndustry', header: 'To' },
+      { key: 'train', header: 'Train' },
+      { key: 'reason', header: 'Reason' },
+      { key: 'loadState', header: 'Load State' },
+      { key: 'load', header: 'Load' }
+    ]
+  },
+  'car-utilization': {
+    title: 'Car Utilization',
+    columns: [
+      { key: 'car', header: 'Car' },
+      { key: 'carType', header: 'Car Type' },
+      { key: 'currentIndustry', header: 'Current Location' },
+      { key: 'trainMoves', header: 'Train Moves' },
+      { key: 'loadedMoves', header: 'Loaded Moves' },
+      { key: 'sessionsMoved', header: 'Sessions Moved' },
+      { key: 'utilization', header: 'Utilization %' },
+      { key: 'sessionsAtCurrentLocation', header: 'Sessions At Location' }
+    ]
+  },
+  'idle-cars': {
+    title: 'Idle Cars',
+    columns: [
+      { key: 'car', header: 'Car' },
+      { key: 'carType', header: 'Car Type' },
+      { key: 'industry', header: 'Location' },
+      { key: 'track', header: 'Track' },
+      { key: 'load', header: 'Load' },
+      { key: 'sessionsIdle', header: 'Sessions Idle' },
+      { key: 'idleSince', header: 'Idle Since Session' }
+    ]
+  },
+  'industry-activity': {
+    title: 'Industry Activity',
+    columns: [
+      { key: 'industry', header: 'Industry' },
+      { key: 'station', header: 'Station' },
+      { key: 'ordersPlaced', header: 'Orders Placed' },
+      { key: 'ordersDelivered', header: 'Orders Delivered' },
+      { key: 'ordersOpen', header: 'Orders Open' },
+      { key: 'fulfillmentRate', header: 'Fulfillment %' },
+      { key: 'carsDelivered', header: 'Cars Delivered' },
+      { key: 'carsPickedUp', header: 'Cars Picked Up' }
+    ]
+  },
+  goods: {
+    title: 'Goods Fulfillment',
+    columns: [
+      { key: 'good', header: 'Good' },
+      { key: 'industriesReceiving', header: 'Industries Receiving' },
+      { key: 'industriesShipping', header: 'Industries Shipping' },
+      { key: 'ordersPlaced', header: 'Orders Placed' },
+      { key: 'ordersDelivered', header: 'Orders Delivered' },
+      { key: 'fulfillmentRate', header: 'Fulfillment %' },
+      { key: 'status', header: 'Status' }
+    ]
+  },
+  'train-performance': {
+    title: 'Train Performance',
+    columns: [
+      { key: 'route', header: 'Route' },
+      { key: 'trains', header: 'Trains' },
+      { key: 'completed', header: 'Completed' },
+      { key: 'cancelled', header: 'Cancelled' },
+      { key: 'carsHandled', header: 'Cars Handled' },
+      { key: 'averageCarsHandled', header: 'Avg Cars Handled' },
+      { key: 'averagePickups', header: 'Avg Pickups' },
+      { key: 'averageSetouts', header: 'Avg Setouts' },
+      { key: 'averageHeldCars', header: 'Avg Cars Held' }
+    ]
+  },
+  'locomotive-usage': {
+    title: 'Locomotive Usage',
+    columns: [
+      { key: 'locomotive', header: 'Locomotive' },
+      { key: 'model', header: 'Model' },
+      { key: 'trains', header: 'Trains' },
+      { key: 'completed', header: 'Completed' },
+      { key: 'sessionsUsed', header: 'Sessions Used' },
+      { key: 'carsHandled', header: 'Cars Handled' }
+    ]
+  }
+};
+
+// Percentage to one decimal place; null when there is nothing to divide by
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+// Average to one decimal place; 0 when there is nothing to average
+const average = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : 0);
+
+const carLabel = (car) => (car ? `${car.reportingMarks} ${car.reportingNumber}` : '');
+
+const nameOf = (byId, id) => (id && byId.get(id)?.name) || '';
+
+const indexById = (documents = []) => new Map(documents.map(doc => [doc._id, doc]));
+
+const isDelivered = (order) => order.status === 'delivered';
+
+/**
+ * Car movement history, oldest first
+ * @param {Array} movements - Car movement ledger entries in the session range
+ * @param {Object} related - { cars, industries, trains, goods }
+ * @returns {Array} Report rows
+ */
+export const buildCarMovementHistory = (movements, { cars, industries, trains, goods }) => {
+  const carsById = indexById(cars);
+  const industriesById = indexById(industries);
+  const trainsById = indexById(trains);
+  const goodsById = indexById(goods);
+
+  return [...movements]
+    .sort((a, b) => a.sessionNumber - b.sessionNumber || new Date(a.movedAt) - new Date(b.movedAt))
+    .map(movement => ({
+      movementId: movement._id,
+      sessionNumber: movement.sessionNumber,
+      movedAt: movement.movedAt ? new Date(movement.movedAt).toISOString() : null,
+      carId: movement.carId,
+      car: carLabel(carsById.get(movement.carId)),
+      fromIndustryId: movement.fromIndustryId,
+      fromIndustry: nameOf(industriesById, movement.fromIndustryId),
+      toIndustryId: movement.toIndustryId,
+      toIndustry: nameOf(industriesById, movement.toIndustryId),
+      trainId: movement.trainId,
+      train: nameOf(trainsById, movement.trainId),
+      reason: movement.reason,
+      loadState: movement.loadState,
+      load: nameOf(goodsById, movement.currentLoad)
+    }));
+};
+
+/**
+ * How much each car in service worked over a session range. Only train moves
+ * count; a car that moved in every session of the range is 100% utilized.
+ * @param {Array} cars - Cars
+ * @param {Array} movements - Car movement ledger entries in the session range
+ * @param {Object} options - { sessionCount, industries }
+ * @returns {Array} Report rows, busiest car first
+ */
+export const buildCarUtilization = (cars, movements, { sessionCount, industries }) => {
+  const industriesById = indexById(industries);
+  const trainMoves = new Map();
+  for (const movement of movements) {
+    if (movement.reason !== MOVEMENT_REASONS.TRAIN) {
+      continue;
+    }
+    if (!trainMoves.has(movement.carId)) {
+      trainMoves.set(movement.carId, []);
+    }
+    trainMoves.get(movement.carId).push(movement);
+  }
+
+  return cars
+    .filter(car => car.isInService !== false)
+    .map(car => {
+      const moves = trainMoves.get(car._id) || [];
+      const sessionsMoved = new Set(moves.map(move => move.sessionNumber)).size;
+      return {
+        carId: car._id,
+        car: carLabel(car),
+        carType: car.carType,
+        currentIndustryId: car.currentIndustry,
+        currentIndustry: nameOf(industriesById, car.currentIndustry),
+        trainMoves: moves.length,
+        loadedMoves: moves.filter(move => move.loadState === LOAD_STATES.LOADED).length,
+        sessionsMoved,
+        utilization: percent(sessionsMoved, sessionCount) ?? 0,
+        sessionsAtCurrentLocation: car.sessionsAtCurrentLocation || 0
+      };
+    })
+    .sort((a, b) => b.utilization - a.utilization || b.trainMoves - a.trainMoves || a.car.localeCompare(b.car));
+};
+
+/**
+ * Cars in service that have sat where they are for more than minSessions
+ * sessions. A car idle since a session outside the range is left out.
+ * @param {Array} cars - Cars
+ * @param {Object} options - { minSessions, currentSession, fromSession, toSession, industries, tracks, goods }
+ * @returns {Array} Report rows, longest idle first
+ */
+export const buildIdleCars = (cars, { minSessions, currentSession, fromSession, toSession, industries, tracks, goods }) => {
+  const industriesById = indexById(industries);
+  const tracksById = indexById(tracks);
+  const goodsById = indexById(goods);
+
+  return cars
+    .filter(car => car.isInService !== false && (car.sessionsAtCurrentLocation || 0) > minSessions)
+    .map(car => ({
+      carId: car._id,
+      car: carLabel(car),
+      carType: car.carType,
+      industryId: car.currentIndustry,
+      industry: nameOf(industriesById, car.currentIndustry),
+      track: nameOf(tracksById, car.currentTrack),
+      load: nameOf(goodsById, car.currentLoad),
+      sessionsIdle: car.sessionsAtCurrentLocation,
+      idleSince: Math.max(1, currentSession - car.sessionsAtCurrentLocation)
+    }))
+    .filter(row => row.idleSince >= fromSession && row.idleSince <= toSession)
+    .sort((a, b) => b.sessionsIdle - a.sessionsIdle || a.car.localeCompare(b.car));
+};
+
+/**
+ * Orders and car moves at each industry over a session range; yards are left out
+ * @param {Array} industries - Industries
+ * @param {Array} orders - Car orders raised in the session range
+ * @param {Array} movements - Car movement ledger entries in the session range
+ * @param {Object} related - { stations }
+ * @returns {Array} Report rows, busiest industry first
+ */
+export const buildIndustryActivity = (industries, orders, movements, { stations }) => {
+  const stationsById = indexById(stations);
+  const trainMoves = movements.filter(movement => movement.reason === MOVEMENT_REASONS.TRAIN);
+
+  return industries
+    .filter(industry => !industry.isYard)
+    .map(industry => {
+      const industryOrders = orders.filter(order => order.industryId === industry._id);
+      const delivered = industryOrders.filter(isDelivered).length;
+      return {
+        industryId: industry._id,
+        industry: industry.name,
+        station: nameOf(stationsById, industry.stationId),
+        ordersPlaced: industryOrders.length,
+        ordersDelivered: delivered,
+        ordersOpen: industryOrders.length - delivered,
+        fulfillmentRate: percent(delivered, industryOrders.length),
+        carsDelivered: trainMoves.filter(move => move.toIndustryId === industry._id).length,
+        carsPickedUp: trainMoves.filter(move => move.fromIndustryId === industry._id).length
+      };
+    })
+    .sort((a, b) => b.ordersPlaced - a.ordersPlaced || a.industry.localeCompare(b.industry));
+};
+
+/**
+ * Order fulfillment for each good, flagging goods that are missing from the
+ * layout's demand or underutilized
+ * @param {Array} goods - Goods
+ * @param {Array} industries - Industries, for their car demand
+ * @param {Array} orders - Car orders raised in the session range
+ * @returns {Array} Report rows, goods that need attention first
+ */
+export const buildGoodsFulfillment = (goods, industries, orders) => {
+  const statusOrder = Object.values(GOODS_STATUSES);
+
+  return goods
+    .map(good => {
+      const demands = industries.flatMap(industry =>
+        (industry.carDemandConfig || []).filter(demand => demand.goodsId === good._id)
+      );
+      const goodOrders = orders.filter(order => order.goodsId === good._id);
+      const delivered = goodOrders.filter(isDelivered).length;
+      const fulfillmentRate = percent(delivered, goodOrders.length);
+
+      let status = GOODS_STATUSES.OK;
+      if (demands.length === 0) {
+        status = GOODS_STATUSES.MISSING;
+      } else if (goodOrders.length === 0) {
+        status = GOODS_STATUSES.UNORDERED;
+      } else if (fulfillmentRate < UNDERUTILIZED_FULFILLMENT_RATE) {
+        status = GOODS_STATUSES.UNDERUTILIZED;
+      }
+
+      return {
+        goodsId: good._id,
+        good: good.name,
+        industriesReceiving: demands.filter(demand => demand.direction === 'inbound').length,
+        industriesShipping: demands.filter(demand => demand.direction === 'outbound').length,
+        ordersPlaced: goodOrders.length,
+        ordersDelivered: delivered,
+        fulfillmentRate,
+        status
+      };
+    })
+    .sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) || a.good.localeCompare(b.good));
+};
+
+/**
+ * Trains run on each route over a session range. Averages are over completed
+ * trains, counting the pickups and setouts on their switch lists.
+ * @param {Array} trains - Trains in the session range
+ * @param {Array} routes - Routes
+ * @returns {Array} Report rows, one per route that ran a train
+ */
+export const buildTrainPerformance = (trains, routes) => {
+  const routesById = indexById(routes);
+  const byRoute = new Map();
+  for (const train of trains) {
+    if (!byRoute.has(train.routeId)) {
+      byRoute.set(train.routeId, []);
+    }
+    byRoute.get(train.routeId).push(train);
+  }
+
+  return [...byRoute.entries()]
+    .map(([routeId, routeTrains]) => {
+      const completed = routeTrains.filter(train => train.status === 'Completed');
+      const switchLists = completed.map(train => train.switchList).filter(Boolean);
+      const pickups = switchLists.reduce((sum, list) => sum + (list.totalPickups || 0), 0);
+      const setouts = switchLists.reduce((sum, list) => sum + (list.totalSetouts || 0), 0);
+      const held = switchLists.reduce((sum, list) => sum + (list.heldCars?.length || 0), 0);
+      return {
+        routeId,
+        route: nameOf(routesById, routeId) || routeId,
+        trains: routeTrains.length,
+        completed: completed.length,
+        cancelled: routeTrains.filter(train => train.status === 'Cancelled').length,
+        carsHandled: pickups + setouts,
+        averageCarsHandled: average(pickups + setouts, completed.length),
+        averagePickups: average(pickups, completed.length),
+        averageSetouts: average(setouts, completed.length),
+        averageHeldCars: average(held, completed.length)
+      };
+    })
+    .sort((a, b) => a.route.localeCompare(b.route));
+};
+
+/**
+ * Trains each locomotive pulled over a session range. Cars handled counts the
+ * pickups and setouts of the completed trains.
+ * @param {Array} locomotives - Locomotives
+ * @param {Array} trains - Trains in the session range
+ * @returns {Array} Report rows, busiest locomotive first
+ */
+export const buildLocomotiveUsage = (locomotives, trains) => locomotives
+  .map(locomotive => {
+    const pulled = trains.filter(train => (train.locomotiveIds || []).includes(locomotive._id));
+    const completed = pulled.filter(train => train.status === 'Completed');
+    return {
+      locomotiveId: locomotive._id,
+      locomotive: carLabel(locomotive),
+      model: locomotive.model || '',
+      trains: pulled.length,
+      completed: completed.length,
+      sessionsUsed: new Set(pulled.map(train => train.sessionNumber)).size,
+      carsHandled: completed.reduce((sum, train) =>
+        sum + (train.switchList?.totalPickups || 0) + (train.switchList?.totalSetouts || 0), 0)
+    };
+  })
+  .sort((a, b) => b.trains - a.trains || a.locomotive.localeCompare(b.locomotive));
@@ -4,11 +4,32 @@
 
 import Joi from 'joi';
 
+export type TravelDirection = 'east' | 'west';
+
+export declare const TRAVEL_DIRECTIONS: {
+  EAST: 'east';
+  WEST: 'west';
+};
+
 export interface RouteStation {
   stationId: string;
   sequence: number;
 }
 
+export interface RouteStop {
+  stationId: string;
+  maxLength?: number; // Feet
+  hasRunaround?: boolean;
+  direction?: TravelDirection;
+}
+
+export interface ResolvedRouteStop {
+  stationId: string;
+  maxLength: number | null;
+  hasRunaround: boolean;
+  direction: TravelDirection | null;
+}
+
 export interface Route {
   _id?: string;
   name: string;
@@ -16,12 +37,26 @@ export interface Route {
   originYard: string;
   terminationYard: string;
   stationSequence: string[];
+  stops?: RouteStop[];
+  maxLength?: number; // Feet
+  maxTonnage?: number; // Trailing tons
 }
 
 export declare const routeStationSchema: Joi.ObjectSchema<RouteStation>;
+export declare const routeStopSchema: Joi.ObjectSchema<RouteStop>;
 export declare const routeSchema: Joi.ObjectSchema<Route>;
 
 export declare function validateRoute(
   data: any,
   isUpdate?: boolean
 ): Joi.ValidationResult<Route>;
+
+export declare function findRouteStop(
+  route: Pick<Route, 'stops'> | null | undefined,
+  stationId: string
+): ResolvedRouteStop;
+
+export declare function isFacingPoint(
+  stop: ResolvedRouteStop,
+  industry: { pointAccess?: 'facing' | 'trailing' | null; isYard?: boolean } | null | undefined
+): boolean;
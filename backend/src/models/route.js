@@ -1,4 +1,19 @@
 import Joi from 'joi';
+import { POINT_ACCESS } from './industry.js';
+
+// Timetable directions a train can be travelling in at a stop
+export const TRAVEL_DIRECTIONS = {
+  EAST: 'east',
+  WEST: 'west'
+};
+
+// Validation schema for what a route knows about one of its stops
+export const routeStopSchema = Joi.object({
+  stationId: Joi.string().required(),
+  maxLength: Joi.number().integer().min(1).max(20000).optional(), // Feet; the longest train the station's siding holds
+  hasRunaround: Joi.boolean().default(true), // A track the locomotives can use to get to the other end of their cars
+  direction: Joi.string().valid(...Object.values(TRAVEL_DIRECTIONS)).optional() // Which way trains on the route travel through the station
+});
 
 // Validation schema for routes
 export const routeSchema = Joi.object({
@@ -7,10 +22,49 @@ export const routeSchema = Joi.object({
   description: Joi.string().allow('').max(500),
   originYard: Joi.string().required(), // Industry ID where isYard=true
   terminationYard: Joi.string().required(), // Industry ID where isYard=true
-  stationSequence: Joi.array().items(Joi.string()).default([]) // Array of Station IDs (can be empty)
+  stationSequence: Joi.array().items(Joi.string()).default([]), // Array of Station IDs (can be empty)
+  stops: Joi.array().items(routeStopSchema).unique('stationId').optional(), // Per-station attributes; stations left out have none
+  maxLength: Joi.number().integer().min(1).max(20000).optional(), // Feet; the shortest siding a train on the route must fit
+  maxTonnage: Joi.number().integer().min(1).max(50000).optional() // Trailing tons the ruling grade allows
 });
 
 export const validateRoute = (data, isUpdate = false) => {
   const schema = isUpdate ? routeSchema.fork(Object.keys(routeSchema.describe().keys), (schema) => schema.optional()) : routeSchema;
   return schema.validate(data);
 };
+
+/**
+ * Attributes of a route's stop at a station
+ * Stations without a stop entry have no siding limit, a runaround and no set direction.
+ * @param {Object|null} route - Route with optional stops
+ * @param {string} stationId - Station the train stops at
+ * @returns {Object} { stationId, maxLength, hasRunaround, direction }
+ */
+export const findRouteStop = (route, stationId) => {
+  const stop = (route?.stops || []).find(entry => entry.stationId === stationId);
+  return {
+    stationId,
+    maxLength: stop?.maxLength ?? null,
+    hasRunaround: stop?.hasRunaround ?? true,
+    direction: stop?.direction ?? null
+  };
+};
+
+/**
+ * Whether an industry's switch is facing point for a train at a stop
+ * An industry's pointAccess is how its switch meets an eastward train; a
+ * westward train meets it the other way round. Setting cars out into a
+ * facing-point spur puts the locomotives in first, so the train has to run
+ * around its cars to shove them in. Yards and industries or stops without
+ * the information never count as facing point.
+ * @param {Object} stop - From findRouteStop
+ * @param {Object|null} industry - Industry the cars are set out at
+ * @returns {boolean} True if the setout needs a runaround
+ */
+export const isFacingPoint = (stop, industry) => {
+  if (!industry?.pointAccess || industry.isYard || !stop.direction) {
+    return false;
+  }
+  const facingEastward = industry.pointAccess === POINT_ACCESS.FACING;
+  return stop.direction === TRAVEL_DIRECTIONS.EAST ? facingEastward : !facingEastward;
+};
@@ -0,0 +1,144 @@
+import Joi from 'joi';
+
+// Where a car staged at a yard goes next; stored on the car between trains
+export const nextHopSchema = Joi.object({
+  finalIndustryId: Joi.string().required(), // Industry the car is ultimately bound for
+  carOrderId: Joi.string().allow(null).default(null), // Order being filled, null for home-yard returns
+  routeId: Joi.string().allow(null).default(null), // Route whose train should take the next leg; null if none is known
+  stationId: Joi.string().allow(null).default(null), // Station where the next leg ends
+  industryId: Joi.string().allow(null).default(null) // Industry the next leg sets the car out at
+});
+
+/**
+ * Resolve a route's run as station IDs
+ * Origin and termination yards are industries, so they are mapped to their
+ * stations; consecutive repeats collapse into one stop.
+ * @param {Object} route - Route with originYard, stationSequence, terminationYard
+ * @param {Map<string, Object>} industriesById - Industries keyed by _id
+ * @returns {Array<string>} Station IDs in running order
+ */
+export const resolveRouteStations = (route, industriesById) => {
+  const yardStation = (yardId) => industriesById.get(yardId)?.stationId || yardId;
+  const run = [yardStation(route.originYard), ...(route.stationSequence || []), yardStation(route.terminationYard)];
+  return run.filter((stationId, index) => stationId && stationId !== run[index - 1]);
+};
+
+/**
+ * Build the station graph used for routing
+ * Routes are directed: a train only carries cars toward its termination yard.
+ * @param {Array} routes - All routes
+ * @param {Array} industries - All industries
+ * @returns {Object} { runs: Map<routeId, stationIds>, yardsByStation: Map<stationId, industries> }
+ */
+export const buildStationGraph = (routes, industries) => {
+  const industriesById = new Map(industries.map(industry => [industry._id, industry]));
+  const runs = new Map(routes.map(route => [route._id, resolveRouteStations(route, industriesById)]));
+
+  const yardsByStation = new Map();
+  for (const industry of industries) {
+    if (industry.isYard && industry.stationId) {
+      if (!yardsByStation.has(industry.stationId)) {
+        yardsByStation.set(industry.stationId, []);
+      }
+      yardsByStation.get(industry.stationId).push(industry);
+    }
+  }
+
+  return { runs, yardsByStation };
+};
+
+/**
+ * Find the path with the fewest train legs between two stations
+ * Cars may only change trains at stations with a yard to stage them in.
+ * @param {Object} graph - Result of buildStationGraph
+ * @param {string} fromStationId - Where the car is now
+ * @param {string} toStationId - Where the car is bound
+ * @param {Object} options - Path options
+ * @param {string} options.firstRouteId - Only consider paths whose first leg runs on this route
+ * @param {number} options.boardAt - Index in the first route's run where the car boards; a route that
+ *   turns back visits a station twice, and a car boarding at the later visit can only go on from there
+ * @returns {Array<Object>|null} Legs ({ routeId, fromStationId, toStationId }), [] if already there, null if unreachable
+ */
+export const findPath = (graph, fromStationId, toStationId, { firstRouteId = null, boardAt: firstBoardAt = null } = {}) => {
+  if (fromStationId === toStationId) {
+    return [];
+  }
+
+  const visited = new Set([fromStationId]);
+  let frontier = [{ stationId: fromStationId, legs: [] }];
+
+  while (frontier.length > 0) {
+    const next = [];
+    for (const { stationId, legs } of frontier) {
+      for (const [routeId, run] of graph.runs) {
+        if (legs.length === 0 && firstRouteId && routeId !== firstRouteId) {
+          continue;
+        }
+        const boardAt = legs.length === 0 && firstBoardAt !== null && routeId === firstRouteId
+          ? firstBoardAt
+          : run.indexOf(stationId);
+        if (boardAt === -1) {
+          continue;
+        }
+        for (const alightAt of run.slice(boardAt + 1)) {
+          const path = [...legs, { routeId, fromStationId: stationId, toStationId: alightAt }];
+          if (alightAt === toStationId) {
+            return path;
+          }
+          if (!visited.has(alightAt) && graph.yardsByStation.has(alightAt)) {
+            visited.add(alightAt);
+            next.push({ stationId: alightAt, legs: path });
+          }
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return null;
+};
+
+/**
+ * Pick the yard a car is staged in at a transfer station
+ * @param {Object} graph - Result of buildStationGraph
+ * @param {string} stationId - Transfer station
+ * @returns {Object|null} Yard industry
+ */
+export const findStagingYard = (graph, stationId) => {
+  const yards = graph.yardsByStation.get(stationId) || [];
+  return yards[0] || null;
+};
+
+/**
+ * Work out the next hop for a car bound for an industry
+ * @param {Object} graph - Result of buildStationGraph
+ * @param {string} fromStationId - Where the car is now
+ * @param {Object} finalIndustry - Industry the car is ultimately bound for
+ * @param {Object} options - { carOrderId, firstRouteId, boardAt }
+ * @returns {Object|null} Next hop ({ finalIndustryId, carOrderId, routeId, stationId, industryId }),
+ *   or null if the industry cannot be reached
+ */
+export const planNextHop = (graph, fromStationId, finalIndustry, { carOrderId = null, firstRouteId = null, boardAt = null } = {}) => {
+  const legs = findPath(graph, fromStationId, finalIndustry.stationId, { firstRouteId, boardAt });
+  if (!legs) {
+    return null;
+  }
+
+  const leg = legs[0] || { routeId: null, toStationId: fromStationId };
+  const industry = legs.length <= 1 ? finalIndustry : findStagingYard(graph, leg.toStationId);
+
+  return {
+    finalIndustryId: finalIndustry._id,
+    carOrderId,
+    routeId: leg.routeId,
+    stationId: leg.toStationId,
+    industryId: industry._id
+  };
+};
+
+/**
+ * Whether a hop ends at the car's final destination rather than a staging yard
+ * @param {Object} hop - Next hop
+ * @returns {boolean} True if the hop delivers the car
+ */
+export const isFinalHop = (hop) => hop.industryId === hop.finalIndustryId;
@@ -0,0 +1,203 @@
+import Joi from 'joi';
+import { resolveRouteStations } from './routing.js';
+
+// Schedule times are fast-clock minutes after midnight; a session can run into a second day
+export const MINUTES_PER_DAY = 1440;
+export const MAX_CLOCK_MINUTES = MINUTES_PER_DAY * 2 - 1;
+
+// Ways two scheduled trains can collide between stations
+export const CONFLICT_TYPES = {
+  MEET: 'meet', // Opposing trains on the same stretch of track at once
+  PASS: 'pass' // One train overtaking another between stations
+};
+
+export const clockTimeSchema = Joi.number().integer().min(0).max(MAX_CLOCK_MINUTES);
+
+// Validation schema for a train's time at one station after its origin
+export const scheduledStopSchema = Joi.object({
+  stationId: Joi.string().required(),
+  arrival: clockTimeSchema.required(),
+  departure: clockTimeSchema.min(Joi.ref('arrival')).optional() // Same as arrival when the train doesn't wait
+});
+
+// Validation schema for a train's schedule: when it leaves its origin yard, then each station on its route in order
+export const trainScheduleSchema = Joi.object({
+  departure: clockTimeSchema.required(),
+  stops: Joi.array().items(scheduledStopSchema).default([])
+});
+
+/**
+ * Format fast-clock minutes as a time of day, e.g. 390 -> "06:30"; times on the next day get "+1"
+ * @param {number|null} minutes - Minutes after midnight
+ * @returns {string} "HH:MM", or '' when there is no time
+ */
+export const formatClockTime = (minutes) => {
+  if (minutes === null || minutes === undefined) {
+    return '';
+  }
+  const day = Math.floor(minutes / MINUTES_PER_DAY);
+  const time = minutes % MINUTES_PER_DAY;
+  const clock = `${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`;
+  return day > 0 ? `${clock} +${day}` : clock;
+};
+
+/**
+ * Check a schedule against the stations its route runs through
+ * @param {Object} schedule - { departure, stops }
+ * @param {Array<string>} run - Station IDs in route order, origin first (see resolveRouteStations)
+ * @returns {Object} { valid, errors }
+ */
+export const validateSchedule = (schedule, run) => {
+  const errors = [];
+  const expected = run.slice(1);
+  if (schedule.stops.length !== expected.length
+    || schedule.stops.some((stop, index) => stop.stationId !== expected[index])) {
+    errors.push(`Schedule must list the route's ${expected.length} station(s) after the origin, in route order`);
+  }
+
+  let previous = schedule.departure;
+  schedule.stops.forEach((stop, index) => {
+    if (stop.arrival < previous) {
+      errors.push(`Stop ${index + 1} arrives before the train leaves the stop before it`);
+    }
+    previous = stop.departure ?? stop.arrival;
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * A scheduled train's times at each station, origin first
+ * The origin has no arrival and the last station no departure.
+ * @param {Object} train - Train with a schedule
+ * @param {Array<string>} run - Station IDs in route order
+ * @param {Map} stationsById - Stations by ID, for names
+ * @returns {Array<Object>} { stationId, stationName, arrival, departure }
+ */
+export const buildTrainTimeline = (train, run, stationsById) => {
+  const stationName = (stationId) => stationsById.get(stationId)?.name || stationId;
+  const { departure, stops } = train.schedule;
+  return [
+    { stationId: run[0], stationName: stationName(run[0]), arrival: null, departure },
+    ...stops.map((stop, index) => ({
+      stationId: stop.stationId,
+      stationName: stationName(stop.stationId),
+      arrival: stop.arrival,
+      departure: index === stops.length - 1 ? null : (stop.departure ?? stop.arrival)
+    }))
+  ];
+};
+
+// Each run between two stations: where it starts and ends and when it leaves and arrives
+const legsOf = (timeline) => timeline.slice(1).map((stop, index) => ({
+  from: timeline[index],
+  to: stop,
+  leaves: timeline[index].departure,
+  arrives: stop.arrival
+}));
+
+/**
+ * Find meets and passes that would happen between stations
+ * Trains can meet or pass only at a station. Two trains that run between the
+ * same pair of stations conflict when they are on that stretch at the same
+ * time in opposite directions (a meet), or when one leaves after the other
+ * but arrives first, or they leave together (a pass). Trains whose routes
+ * don't run directly between the same two stations are assumed not to share
+ * track there.
+ * @param {Array<Object>} entries - Timetable entries: { trainId, trainName, stops }
+ * @returns {Array<Object>} Conflicts, earliest first
+ */
+export const findScheduleConflicts = (entries) => {
+  const conflicts = [];
+  entries.forEach((first, index) => {
+    const firstLegs = legsOf(first.stops);
+    for (const second of entries.slice(index + 1)) {
+      for (const leg of firstLegs) {
+        for (const other of legsOf(second.stops)) {
+          const opposing = leg.from.stationId === other.to.stationId && leg.to.stationId === other.from.stationId;
+          const following = leg.from.stationId === other.from.stationId && leg.to.stationId === other.to.stationId;
+          const from = Math.max(leg.leaves, other.leaves);
+          const to = Math.min(leg.arrives, other.arrives);
+          let type = null;
+          if (opposing && from < to) {
+            type = CONFLICT_TYPES.MEET;
+          } else if (following && (leg.leaves - other.leaves) * (leg.arrives - other.arrives) <= 0) {
+            type = CONFLICT_TYPES.PASS;
+          }
+          if (type) {
+            conflicts.push({
+              type,
+              trainIds: [first.trainId, second.trainId],
+              trainNames: [first.trainName, second.trainName],
+              fromStationId: leg.from.stationId,
+              fromStationName: leg.from.stationName,
+              toStationId: leg.to.stationId,
+              toStationName: leg.to.stationName,
+              from,
+              to: Math.max(from, to)
+            });
+          }
+        }
+      }
+    }
+  });
+  return conflicts.sort((a, b) => a.from - b.from);
+};
+
+/**
+ * Fast-clock time of a train's latest change to a status
+ * @param {Object} train - Train with statusHistory
+ * @param {string} status - Status to look for
+ * @returns {number|null} Minutes after midnight, or null when the train never reached the status
+ */
+export const statusClockTime = (train, status) => {
+  const stamps = (train.statusHistory || []).filter(stamp => stamp.status === status);
+  return stamps.length > 0 ? stamps[stamps.length - 1].clockTime : null;
+};
+
+/**
+ * Build the timetable for a set of trains
+ * Each train's actual departure and arrival are the fast-clock times it went In Progress and Completed.
+ * @param {Array} trains - Trains to include; cancelled trains are left out
+ * @param {Object} related - { routes, industries, stations }
+ * @returns {Object} { trains, unscheduled, conflicts }
+ */
+export const buildTimetable = (trains, related = {}) => {
+  const { routes = [], industries = [], stations = [] } = related;
+  const routesById = new Map(routes.map(route => [route._id, route]));
+  const industriesById = new Map(industries.map(industry => [industry._id, industry]));
+  const stationsById = new Map(stations.map(station => [station._id, station]));
+
+  const entries = [];
+  const unscheduled = [];
+  for (const train of trains.filter(train => train.status !== 'Cancelled')) {
+    const route = routesById.get(train.routeId);
+    if (!train.schedule || !route) {
+      unscheduled.push({ trainId: train._id, trainName: train.name, status: train.status });
+      continue;
+    }
+    const stops = buildTrainTimeline(train, resolveRouteStations(route, industriesById), stationsById);
+    entries.push({
+      trainId: train._id,
+      trainName: train.name,
+      status: train.status,
+      routeId: route._id,
+      routeName: route.name,
+      departure: stops[0].departure,
+      arrival: stops[stops.length - 1].arrival,
+      actualDeparture: statusClockTime(train, 'In Progress'),
+      actualArrival: statusClockTime(train, 'Completed'),
+      stops
+    });
+  }
+  entries.sort((a, b) => a.departure - b.departure || a.trainName.localeCompare(b.trainName));
+
+  return {
+    trains: entries,
+    unscheduled,
+    conflicts: findScheduleConflicts(entries)
+  };
+};
@@ -0,0 +1,126 @@
+import Joi from 'joi';
+
+// Wildcard entry in acceptedCarTypes meaning the track takes any AAR type
+export const ALL_CAR_TYPES = 'all';
+
+// Validation schema for tracks
+export const trackSchema = Joi.object({
+  _id: Joi.string().optional(), // Allow custom _id for seed data imports
+  name: Joi.string().required().min(1).max(100),
+  industryId: Joi.string().required(),
+  capacity: Joi.number().integer().min(1).max(100).required(), // Capacity in cars
+  acceptedCarTypes: Joi.array().items(Joi.string().min(1).max(50)).min(1).default([ALL_CAR_TYPES]), // AAR type IDs or ['all']
+  notes: Joi.string().allow('').max(500).optional()
+});
+
+export const validateTrack = (data, isUpdate = false) => {
+  const schema = isUpdate ? trackSchema.fork(Object.keys(trackSchema.describe().keys), (schema) => schema.optional()) : trackSchema;
+  // Partial updates must not reset omitted fields to their defaults
+  return schema.validate(data, { noDefaults: isUpdate });
+};
+
+/**
+ * Check whether a track accepts a given car type
+ * Tracks without an acceptedCarTypes list accept everything
+ * @param {Object} track - Track object
+ * @param {string} carType - AAR type ID
+ * @returns {boolean} True if the car type may be spotted on the track
+ */
+export const trackAcceptsCarType = (track, carType) => {
+  const accepted = track.acceptedCarTypes;
+  if (!Array.isArray(accepted) || accepted.length === 0) {
+    return true;
+  }
+  return accepted.includes(ALL_CAR_TYPES) || accepted.includes(carType);
+};
+
+/**
+ * Work out which cars currently occupy each track
+ * Cars with a currentTrack are counted on that track. Cars sitting at an
+ * industry without a track assignment (legacy data) are counted against the
+ * first track at that industry that accepts them and still has room, so they
+ * still consume capacity.
+ * @param {Array} tracks - All tracks
+ * @param {Array} cars - All cars
+ * @returns {Object} Map of trackId -> array of car IDs
+ */
+export const buildTrackOccupancy = (tracks, cars) => {
+  const occupancy = {};
+  const trackIds = new Set();
+  for (const track of tracks) {
+    occupancy[track._id] = [];
+    trackIds.add(track._id);
+  }
+
+  const unplacedCars = [];
+  for (const car of cars) {
+    if (car.currentTrack && trackIds.has(car.currentTrack)) {
+      occupancy[car.currentTrack].push(car._id);
+    } else {
+      unplacedCars.push(car);
+    }
+  }
+
+  for (const car of unplacedCars) {
+    const track = tracks.find(t =>
+      t.industryId === car.currentIndustry &&
+      trackAcceptsCarType(t, car.carType) &&
+      occupancy[t._id].length < t.capacity
+    );
+    if (track) {
+      occupancy[track._id].push(car._id);
+    }
+  }
+
+  return occupancy;
+};
+
+/**
+ * Find a track at an industry that can take one more car of the given type
+ * Industries without any tracks defined are treated as having unlimited room
+ * @param {string} industryId - Destination industry ID
+ * @param {string} carType - AAR type ID of the car being spotted
+ * @param {Array} tracks - All tracks
+ * @param {Object} occupancy - Map of trackId -> array of car IDs
+ * @returns {Object} - { hasTracks: boolean, track: Object|null }
+ */
+export const findTrackWithRoom = (industryId, carType, tracks, occupancy) => {
+  const industryTracks = tracks.filter(track => track.industryId === industryId);
+  if (industryTracks.length === 0) {
+    return { hasTracks: false, track: null };
+  }
+
+  const track = industryTracks.find(t =>
+    trackAcceptsCarType(t, carType) &&
+    (occupancy[t._id] || []).length < t.capacity
+  );
+
+  return { hasTracks: true, track: track || null };
+};
+
+/**
+ * Build the occupancy view for a single track
+ * @param {Object} track - Track object
+ * @param {Array} cars - Cars currently on the track
+ * @returns {Object} Occupancy summary with fill level and car list
+ */
+export const summarizeTrackOccupancy = (track, cars) => {
+  const occupied = cars.length;
+  return {
+    trackId: track._id,
+    trackName: track.name,
+    industryId: track.industryId,
+    capacity: track.capacity,
+    occupied,
+    available: Math.max(track.capacity - occupied, 0),
+    percentFull: track.capacity > 0 ? Math.round((occupied / track.capacity) * 100) : 0,
+    isFull: occupied >= track.capacity,
+    cars: cars.map(car => ({
+      _id: car._id,
+      reportingMarks: car.reportingMarks,
+      reportingNumber: car.reportingNumber,
+      carType: car.carType,
+      currentLoad: car.currentLoad || null
+    }))
+  };
+};
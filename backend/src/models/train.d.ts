@@ -3,6 +3,7 @@
  */
 
 import Joi from 'joi';
+import type { OrderPriority } from './carOrder.js';
 
 export interface SwitchListItem {
   carId: string;
@@ -11,7 +12,49 @@ export interface SwitchListItem {
   carType: string;
   destinationIndustryId: string;
   destinationIndustryName: string;
+  destinationTrackId?: string | null;
+  destinationTrackName?: string | null;
   carOrderId?: string | null;
+  priority?: OrderPriority;
+  finalDestinationIndustryId?: string;
+  finalDestinationIndustryName?: string | null;
+  routingRuleId?: string | null;
+  routingReason?: string;
+  position?: number;
+  blockStationId?: string;
+  blockStationName?: string;
+  needsRunaround?: boolean;
+}
+
+export interface HeldCar extends SwitchListItem {
+  stationId: string;
+  stationName: string;
+  reason: string;
+}
+
+export interface BumpedOrder {
+  carOrderId: string;
+  industryId: string;
+  industryName: string;
+  priority: OrderPriority;
+  bumpedByOrderId: string;
+  bumpedByIndustryName: string;
+  bumpedByPriority: OrderPriority;
+}
+
+export interface SwitchListBlock {
+  stationId: string;
+  stationName: string;
+  fromPosition: number;
+  toPosition: number;
+  carCount: number;
+  pickedUp: number;
+}
+
+export interface SwitchListCutOff {
+  fromPosition: number;
+  toPosition: number;
+  carCount: number;
 }
 
 export interface SwitchListStation {
@@ -19,6 +62,33 @@ export interface SwitchListStation {
   stationName: string;
   pickups: SwitchListItem[];
   setouts: SwitchListItem[];
+  cutOff?: SwitchListCutOff | null;
+  blocks?: SwitchListBlock[];
+}
+
+export type TrainLimit = 'cars' | 'length' | 'tonnage';
+
+export interface SwitchListLimits {
+  maxCars: number;
+  maxLength: number | null;
+  maxTonnage: number | null;
+  locomotiveLength: number;
+  peakCars: number;
+  peakLength: number;
+  peakTonnage: number;
+  boundBy: TrainLimit | null;
+}
+
+export interface TrainLimits {
+  maxCars: number;
+  maxLength: number | null;
+  maxTonnage: number | null;
+  locomotiveLength: number;
+}
+
+export interface CarLoad {
+  length: number;
+  tons: number;
 }
 
 export interface SwitchList {
@@ -26,11 +96,42 @@ export interface SwitchList {
   totalPickups: number;
   totalSetouts: number;
   finalCarCount: number;
+  heldCars?: HeldCar[];
+  bumpedOrders?: BumpedOrder[];
+  limits?: SwitchListLimits;
   generatedAt: string;
 }
 
+export interface ConsistLocomotive {
+  locomotiveId: string;
+  address: number;
+  reversed: boolean;
+}
+
+export interface Consist {
+  address: number;
+  locomotives: ConsistLocomotive[];
+}
+
+export interface ScheduledStop {
+  stationId: string;
+  arrival: number; // Fast-clock minutes after midnight
+  departure?: number;
+}
+
+export interface TrainSchedule {
+  departure: number; // From the origin yard
+  stops: ScheduledStop[];
+}
+
 export type TrainStatus = 'Planned' | 'In Progress' | 'Completed' | 'Cancelled';
 
+export interface StatusStamp {
+  status: TrainStatus;
+  clockTime: number; // Fast-clock minutes after midnight
+  changedAt: Date | string;
+}
+
 export interface Train {
   _id?: string;
   name: string;
@@ -39,17 +140,74 @@ export interface Train {
   status: TrainStatus;
   locomotiveIds: string[];
   maxCapacity: number;
+  maxLength?: number | null;
+  maxTonnage?: number | null;
+  schedule?: TrainSchedule | null;
+  statusHistory?: StatusStamp[];
   switchList?: SwitchList | null;
   assignedCarIds: string[];
+  crewUserIds: string[];
+  consist?: Consist | null;
   createdAt: Date | string;
   updatedAt: Date | string;
 }
 
+export declare const HELD_REASONS: Record<string, string>;
+export declare const TRAIN_LIMITS: {
+  CARS: 'cars';
+  LENGTH: 'length';
+  TONNAGE: 'tonnage';
+};
+export declare const DEFAULT_CAR_LENGTH: number;
+export declare const DEFAULT_EMPTY_WEIGHT: number;
+export declare const DEFAULT_LOCOMOTIVE_LENGTH: number;
+
 export declare const switchListItemSchema: Joi.ObjectSchema<SwitchListItem>;
+export declare const heldCarSchema: Joi.ObjectSchema<HeldCar>;
+export declare const bumpedOrderSchema: Joi.ObjectSchema<BumpedOrder>;
+export declare const switchListBlockSchema: Joi.ObjectSchema<SwitchListBlock>;
 export declare const switchListStationSchema: Joi.ObjectSchema<SwitchListStation>;
+export declare const switchListLimitsSchema: Joi.ObjectSchema<SwitchListLimits>;
 export declare const switchListSchema: Joi.ObjectSchema<SwitchList>;
+export declare const consistSchema: Joi.ObjectSchema<Consist>;
 export declare const trainSchema: Joi.ObjectSchema<Train>;
 
+export declare function blockSwitchList(
+  stations: SwitchListStation[]
+): SwitchListStation[];
+
+export declare function carLoad(
+  aarType: { length?: number; capacity?: number; emptyWeight?: number } | null | undefined,
+  good: { loadWeight?: number } | null | undefined
+): CarLoad;
+
+export declare function resolveTrainLimits(
+  train: Pick<Train, 'maxCapacity' | 'maxLength' | 'maxTonnage'>,
+  route: { maxLength?: number; maxTonnage?: number } | null | undefined,
+  locomotives?: Array<{ length?: number; tractiveRating?: number }>
+): TrainLimits;
+
+export declare function findBindingLimit(
+  limits: TrainLimits,
+  consist: { cars: number; length: number; tons: number },
+  load: CarLoad
+): TrainLimit | null;
+
+export declare function fitsSidings(
+  limits: TrainLimits,
+  sidings: Array<number | null>,
+  onBoard: Array<{ setoutIndex: number; load: CarLoad }>,
+  load: CarLoad,
+  fromIndex: number,
+  toIndex: number
+): boolean;
+
+export declare function flagRunarounds(
+  stations: SwitchListStation[],
+  route: { stops?: Array<{ stationId: string; maxLength?: number; hasRunaround?: boolean; direction?: 'east' | 'west' }> } | null | undefined,
+  industriesById: Map<string, { pointAccess?: 'facing' | 'trailing' | null; isYard?: boolean }>
+): SwitchListStation[];
+
 export declare function validateTrain(
   data: any,
   isUpdate?: boolean
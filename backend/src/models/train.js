@@ -1,4 +1,13 @@
 import Joi from 'joi';
+import { ORDER_PRIORITIES } from './carOrder.js';
+import { findRouteStop, isFacingPoint } from './route.js';
+import { trainScheduleSchema } from './timetable.js';
+import { statusStampSchema } from './fastClock.js';
+
+// Reasons a car can be held back from a switch list
+export const HELD_REASONS = {
+  NO_ROOM: 'Held - no room at destination'
+};
 
 // Validation schema for switch list pickup/setout items
 export const switchListItemSchema = Joi.object({
@@ -8,7 +17,48 @@ export const switchListItemSchema = Joi.object({
   carType: Joi.string().required(),
   destinationIndustryId: Joi.string().required(),
   destinationIndustryName: Joi.string().required(),
-  carOrderId: Joi.string().optional().allow(null) // May not have an associated order
+  destinationTrackId: Joi.string().optional().allow(null), // Track the car will be spotted on
+  destinationTrackName: Joi.string().optional().allow(null),
+  carOrderId: Joi.string().optional().allow(null), // May not have an associated order
+  goodsId: Joi.string().optional().allow(null),
+  direction: Joi.string().valid('inbound', 'outbound').optional(),
+  priority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).optional(), // Priority of the order the car fills
+  finalDestinationIndustryId: Joi.string().optional(), // Set when the car is staged at a transfer yard on its way
+  finalDestinationIndustryName: Joi.string().optional().allow(null),
+  routingRuleId: Joi.string().optional().allow(null), // Car routing rule that moved a car no order claimed; null for the default
+  routingReason: Joi.string().optional(), // Why the car was moved, shown on the switch list
+  position: Joi.number().integer().min(1).optional(), // Place in the train behind the locomotives; on arrival for setouts, on departure for pickups
+  blockStationId: Joi.string().optional(), // Station whose block a pickup joins
+  blockStationName: Joi.string().optional(),
+  needsRunaround: Joi.boolean().optional() // Setout into a facing-point spur at a station with no runaround
+});
+
+// Validation schema for cars held back from the switch list
+export const heldCarSchema = switchListItemSchema.keys({
+  stationId: Joi.string().required(),
+  stationName: Joi.string().required(),
+  reason: Joi.string().required()
+});
+
+// Validation schema for orders left off a full train for more urgent ones
+export const bumpedOrderSchema = Joi.object({
+  carOrderId: Joi.string().required(),
+  industryId: Joi.string().required(),
+  industryName: Joi.string().required(),
+  priority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).required(),
+  bumpedByOrderId: Joi.string().required(),
+  bumpedByIndustryName: Joi.string().required(),
+  bumpedByPriority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).required()
+});
+
+// Validation schema for a block of cars bound for one station, as the train leaves a station
+export const switchListBlockSchema = Joi.object({
+  stationId: Joi.string().required(), // Station the block is set out at
+  stationName: Joi.string().required(),
+  fromPosition: Joi.number().integer().min(1).required(),
+  toPosition: Joi.number().integer().min(1).required(),
+  carCount: Joi.number().integer().min(1).required(),
+  pickedUp: Joi.number().integer().min(0).required() // Cars added to the block at this station
 });
 
 // Validation schema for switch list station
@@ -16,7 +66,38 @@ export const switchListStationSchema = Joi.object({
   stationId: Joi.string().required(),
   stationName: Joi.string().required(),
   pickups: Joi.array().items(switchListItemSchema).default([]),
-  setouts: Joi.array().items(switchListItemSchema).default([])
+  setouts: Joi.array().items(switchListItemSchema).default([]),
+  // Head-end block cut off for this station's setouts; null when no cars ride in for it
+  cutOff: Joi.object({
+    fromPosition: Joi.number().integer().min(1).required(),
+    toPosition: Joi.number().integer().min(1).required(),
+    carCount: Joi.number().integer().min(1).required()
+  }).optional().allow(null),
+  blocks: Joi.array().items(switchListBlockSchema).default([]) // The train leaving the station, head end first
+});
+
+// Limits a train can run into, in the order they are checked
+export const TRAIN_LIMITS = {
+  CARS: 'cars',
+  LENGTH: 'length',
+  TONNAGE: 'tonnage'
+};
+
+// Stand-ins for equipment with no figures of its own
+export const DEFAULT_CAR_LENGTH = 50; // Feet
+export const DEFAULT_EMPTY_WEIGHT = 30; // Tons
+export const DEFAULT_LOCOMOTIVE_LENGTH = 60; // Feet
+
+// Validation schema for the limits a switch list was built to, and how close the train came
+export const switchListLimitsSchema = Joi.object({
+  maxCars: Joi.number().integer().min(1).required(),
+  maxLength: Joi.number().min(1).allow(null).required(), // Feet, locomotives included; null when nothing limits length
+  maxTonnage: Joi.number().min(1).allow(null).required(), // Trailing tons; null when nothing limits tonnage
+  locomotiveLength: Joi.number().min(0).required(),
+  peakCars: Joi.number().integer().min(0).required(), // Most the train carried on any leg
+  peakLength: Joi.number().min(0).required(), // Cars only
+  peakTonnage: Joi.number().min(0).required(),
+  boundBy: Joi.string().valid(...Object.values(TRAIN_LIMITS)).allow(null).required() // First limit that turned a car away
 });
 
 // Validation schema for complete switch list
@@ -25,9 +106,214 @@ export const switchListSchema = Joi.object({
   totalPickups: Joi.number().integer().min(0).required(),
   totalSetouts: Joi.number().integer().min(0).required(),
   finalCarCount: Joi.number().integer().min(0).required(),
+  heldCars: Joi.array().items(heldCarSchema).default([]),
+  bumpedOrders: Joi.array().items(bumpedOrderSchema).default([]),
+  limits: switchListLimitsSchema.optional(),
   generatedAt: Joi.date().iso().required()
 });
 
+/**
+ * Block a train by the station each car is set out at
+ * Cars for the nearest station ride at the head end, right behind the
+ * locomotives, so each station's setouts come off the front in one cut and
+ * new pickups go in with the block for their station, behind the cars
+ * already in it. Cars picked up and set out at the same station never
+ * join the train and get no position.
+ * @param {Array} stations - Switch list stations in route order
+ * @returns {Array} Stations with car positions, the block to cut off and the blocks leaving
+ */
+export const blockSwitchList = (stations) => {
+  // Index of the stop each picked-up car is set out at; a route can call at a station twice
+  const setoutStop = (index, carId) => {
+    const stop = stations.findIndex((station, stopIndex) =>
+      stopIndex > index && station.setouts.some(item => item.carId === carId)
+    );
+    return stop === -1 ? stations.length : stop;
+  };
+
+  let consist = []; // { carId, stop }, head end first
+  return stations.map((station, index) => {
+    const arrivalPositions = new Map(consist.map((car, position) => [car.carId, position + 1]));
+    const cutCount = consist.filter(car => car.stop === index).length;
+    const added = station.pickups.map(item => ({ carId: item.carId, stop: setoutStop(index, item.carId) }));
+    // Sorting is stable, so cars already in a block stay ahead of the ones added to it here
+    consist = [...consist.filter(car => car.stop !== index), ...added].sort((a, b) => a.stop - b.stop);
+    const departurePositions = new Map(consist.map((car, position) => [car.carId, position + 1]));
+    const addedIds = new Set(added.map(car => car.carId));
+
+    const blocks = [];
+    consist.forEach((car, position) => {
+      const last = blocks[blocks.length - 1];
+      if (last && last.stop === car.stop) {
+        last.toPosition = position + 1;
+        last.carCount++;
+        last.pickedUp += addedIds.has(car.carId) ? 1 : 0;
+        return;
+      }
+      // Cars with no setout on the run ride through to the last stop
+      const blockStation = stations[Math.min(car.stop, stations.length - 1)];
+      blocks.push({
+        stop: car.stop,
+        stationId: blockStation.stationId,
+        stationName: blockStation.stationName,
+        fromPosition: position + 1,
+        toPosition: position + 1,
+        carCount: 1,
+        pickedUp: addedIds.has(car.carId) ? 1 : 0
+      });
+    });
+    const blocksByCar = new Map(consist.map(car => [car.carId, blocks.find(block => block.stop === car.stop)]));
+
+    // Setouts in the order they come off the train, then the ones switched within the station
+    const setouts = station.setouts
+      .map(item => arrivalPositions.has(item.carId) ? { ...item, position: arrivalPositions.get(item.carId) } : { ...item })
+      .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+    const pickups = station.pickups
+      .map(item => ({
+        ...item,
+        position: departurePositions.get(item.carId),
+        blockStationId: blocksByCar.get(item.carId).stationId,
+        blockStationName: blocksByCar.get(item.carId).stationName
+      }))
+      .sort((a, b) => a.position - b.position);
+
+    return {
+      ...station,
+      pickups,
+      setouts,
+      cutOff: cutCount > 0 ? { fromPosition: 1, toPosition: cutCount, carCount: cutCount } : null,
+      blocks: blocks.map(({ stop, ...block }) => block)
+    };
+  });
+};
+
+/**
+ * Length and weight of a car as it rides in a train
+ * A loaded car weighs its empty weight plus the good's load weight, capped at
+ * the car type's capacity; a good with no load weight fills the car.
+ * @param {Object|null} aarType - The car's AAR type
+ * @param {Object|null} good - Good the car is loaded with; null for an empty car
+ * @returns {Object} { length, tons }
+ */
+export const carLoad = (aarType, good) => {
+  const length = aarType?.length || DEFAULT_CAR_LENGTH;
+  const emptyWeight = aarType?.emptyWeight ?? DEFAULT_EMPTY_WEIGHT;
+  if (!good) {
+    return { length, tons: emptyWeight };
+  }
+  const capacity = aarType?.capacity ?? good.loadWeight ?? 0;
+  return { length, tons: emptyWeight + Math.min(good.loadWeight ?? capacity, capacity) };
+};
+
+// Smallest of the limits that are set, or null when none is
+const tightest = (...limits) => {
+  const set = limits.filter(limit => typeof limit === 'number');
+  return set.length > 0 ? Math.min(...set) : null;
+};
+
+/**
+ * Work out how much a train can take
+ * Length is the tighter of the train's and the route's, and has to hold the
+ * locomotives as well as the cars. Tonnage is the tightest of the train's,
+ * the route's and the locomotives' combined tractive rating, which only
+ * counts once every locomotive has one.
+ * @param {Object} train - Train with maxCapacity and optional maxLength/maxTonnage
+ * @param {Object|null} route - Route with optional maxLength/maxTonnage
+ * @param {Array} locomotives - The train's locomotives
+ * @returns {Object} { maxCars, maxLength, maxTonnage, locomotiveLength }; unset limits are null
+ */
+export const resolveTrainLimits = (train, route, locomotives = []) => {
+  const rated = locomotives.length > 0 && locomotives.every(loco => typeof loco.tractiveRating === 'number');
+  return {
+    maxCars: train.maxCapacity,
+    maxLength: tightest(train.maxLength, route?.maxLength),
+    maxTonnage: tightest(
+      train.maxTonnage,
+      route?.maxTonnage,
+      rated ? locomotives.reduce((sum, loco) => sum + loco.tractiveRating, 0) : null
+    ),
+    locomotiveLength: locomotives.reduce((sum, loco) => sum + (loco.length || DEFAULT_LOCOMOTIVE_LENGTH), 0)
+  };
+};
+
+/**
+ * Find the limit a car would break by joining the train
+ * @param {Object} limits - From resolveTrainLimits
+ * @param {Object} consist - { cars, length, tons } already behind the locomotives
+ * @param {Object} load - { length, tons } of the car, from carLoad
+ * @returns {string|null} The TRAIN_LIMITS value that binds first, or null if the car fits
+ */
+export const findBindingLimit = (limits, consist, load) => {
+  if (consist.cars + 1 > limits.maxCars) {
+    return TRAIN_LIMITS.CARS;
+  }
+  if (limits.maxLength !== null && limits.locomotiveLength + consist.length + load.length > limits.maxLength) {
+    return TRAIN_LIMITS.LENGTH;
+  }
+  if (limits.maxTonnage !== null && consist.tons + load.tons > limits.maxTonnage) {
+    return TRAIN_LIMITS.TONNAGE;
+  }
+  return null;
+};
+
+/**
+ * Check a car against the sidings at the stops it rides into
+ * The train has to fit each siding as it arrives, with every car still
+ * aboard for that stop or a later one.
+ * @param {Object} limits - From resolveTrainLimits
+ * @param {Array} sidings - Siding length in feet at each stop of the run; null where there is no limit
+ * @param {Array} onBoard - { setoutIndex, load } for cars already in the train; -1 for cars that ride through
+ * @param {Object} load - { length, tons } of the car, from carLoad
+ * @param {number} fromIndex - Stop the car is picked up at
+ * @param {number} toIndex - Stop the car is set out at; -1 if it rides through
+ * @returns {boolean} True if the train fits every siding along the way
+ */
+export const fitsSidings = (limits, sidings, onBoard, load, fromIndex, toIndex) => {
+  const lastIndex = (index) => (index === -1 ? sidings.length - 1 : index);
+  for (let stopIndex = fromIndex + 1; stopIndex <= lastIndex(toIndex); stopIndex++) {
+    if (sidings[stopIndex] === null || sidings[stopIndex] === undefined) {
+      continue;
+    }
+    const arriving = onBoard
+      .filter(entry => lastIndex(entry.setoutIndex) >= stopIndex)
+      .reduce((length, entry) => length + entry.load.length, 0);
+    if (limits.locomotiveLength + arriving + load.length > sidings[stopIndex]) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Flag setouts the crew cannot make without a runaround the station lacks
+ * @param {Array} stations - Switch list stations
+ * @param {Object} route - Route with optional stops
+ * @param {Map} industriesById - Industries by ID
+ * @returns {Array} Stations with needsRunaround set on those setouts
+ */
+export const flagRunarounds = (stations, route, industriesById) => stations.map(station => {
+  const stop = findRouteStop(route, station.stationId);
+  if (stop.hasRunaround) {
+    return station;
+  }
+  return {
+    ...station,
+    setouts: station.setouts.map(item =>
+      isFacingPoint(stop, industriesById.get(item.destinationIndustryId)) ? { ...item, needsRunaround: true } : item
+    )
+  };
+});
+
+// Validation schema for the advanced consist a train's locomotives run as
+export const consistSchema = Joi.object({
+  address: Joi.number().integer().min(1).max(127).required(),
+  locomotives: Joi.array().items(Joi.object({
+    locomotiveId: Joi.string().required(),
+    address: Joi.number().integer().min(1).max(9999).required(),
+    reversed: Joi.boolean().default(false)
+  })).min(2).required()
+});
+
 // Validation schema for trains
 export const trainSchema = Joi.object({
   _id: Joi.string().optional(), // Allow custom _id for seed data imports
@@ -37,8 +323,14 @@ export const trainSchema = Joi.object({
   status: Joi.string().valid('Planned', 'In Progress', 'Completed', 'Cancelled').default('Planned'),
   locomotiveIds: Joi.array().items(Joi.string()).min(1).required(),
   maxCapacity: Joi.number().integer().min(1).max(100).required(),
+  maxLength: Joi.number().integer().min(1).max(20000).optional().allow(null), // Feet, locomotives included
+  maxTonnage: Joi.number().integer().min(1).max(50000).optional().allow(null), // Trailing tons
+  schedule: trainScheduleSchema.optional().allow(null), // Fast-clock times at each station on the route
+  statusHistory: Joi.array().items(statusStampSchema).optional(), // Each status change with the fast-clock time it happened at
   switchList: switchListSchema.optional().allow(null),
   assignedCarIds: Joi.array().items(Joi.string()).default([]),
+  crewUserIds: Joi.array().items(Joi.string()).default([]), // Crew members who work the train; they see only their trains
+  consist: consistSchema.optional().allow(null), // Advanced consist on the command station while the train runs
   createdAt: Joi.date().iso().default(() => new Date()),
   updatedAt: Joi.date().iso().default(() => new Date())
 });
@@ -0,0 +1,49 @@
+/**
+ * Type definitions for user model
+ */
+
+import Joi from 'joi';
+
+export type UserRole = 'superintendent' | 'dispatcher' | 'crew' | 'viewer';
+
+export interface User {
+  _id?: string;
+  username: string;
+  displayName: string;
+  role: UserRole;
+  passwordHash: string;
+  isActive: boolean;
+  createdAt?: Date | string;
+  updatedAt?: Date | string;
+}
+
+export type PublicUser = Omit<User, 'passwordHash'>;
+
+export interface UserInput {
+  username: string;
+  displayName?: string;
+  role: UserRole;
+  password: string;
+  isActive?: boolean;
+}
+
+export declare const ROLES: {
+  readonly SUPERINTENDENT: 'superintendent';
+  readonly DISPATCHER: 'dispatcher';
+  readonly CREW: 'crew';
+  readonly VIEWER: 'viewer';
+};
+
+export declare const userSchema: Joi.ObjectSchema<UserInput>;
+
+export declare function validateUser(
+  data: Partial<UserInput>,
+  isUpdate?: boolean
+): Joi.ValidationResult<UserInput>;
+
+export declare function hashPassword(password: string): string;
+export declare function verifyPassword(password: string, passwordHash: string): boolean;
+export declare function generateToken(): { token: string; tokenHash: string };
+export declare function hashToken(token: string): string;
+export declare function toPublicUser(user: User): PublicUser;
+export declare function canSeeTrain(user: PublicUser | undefined, train: { crewUserIds?: string[] }): boolean;
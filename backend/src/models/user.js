@@ -0,0 +1,92 @@
+import Joi from 'joi';
+import crypto from 'crypto';
+
+// Crew roles, from most to least authority
+export const ROLES = {
+  SUPERINTENDENT: 'superintendent', // Runs the railroad: accounts, import, session advance and rollback
+  DISPATCHER: 'dispatcher', // Plans trains and orders
+  CREW: 'crew', // Works the trains assigned to them
+  VIEWER: 'viewer' // Read-only
+};
+
+const PASSWORD_KEY_LENGTH = 64;
+
+// Validation schema for user accounts
+// password is accepted on create and update and stored only as passwordHash
+export const userSchema = Joi.object({
+  _id: Joi.string().optional(), // Allow custom _id for seed data imports
+  username: Joi.string().lowercase().pattern(/^[a-z0-9._-]+$/).min(2).max(50).required()
+    .messages({ 'string.pattern.base': 'Username may contain only letters, digits, dots, dashes and underscores' }),
+  displayName: Joi.string().allow('').max(100).default(''),
+  role: Joi.string().valid(...Object.values(ROLES)).required(),
+  password: Joi.string().min(8).max(200).required(),
+  isActive: Joi.boolean().default(true)
+});
+
+// Updates skip defaults so changing a password does not re-enable a disabled account
+export const validateUser = (data, isUpdate = false) => {
+  const schema = isUpdate ? userSchema.fork(Object.keys(userSchema.describe().keys), (schema) => schema.optional()) : userSchema;
+  return schema.validate(data, { noDefaults: isUpdate });
+};
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {string} "salt:hash", both hex
+ */
+export const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - Hash from hashPassword
+ * @returns {boolean} True if the password matches
+ */
+export const verifyPassword = (password, passwordHash) => {
+  const [salt, hash] = (passwordHash || '').split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Issue a new bearer token; only its hash is stored
+ * @returns {Object} { token, tokenHash }
+ */
+export const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Hash a bearer token for lookup
+ * @param {string} token - Bearer token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * A user document as the API returns it, without the password hash
+ * @param {Object} user - User document
+ * @returns {Object} User without passwordHash
+ */
+export const toPublicUser = (user) => {
+  const { passwordHash, ...rest } = user;
+  return rest;
+};
+
+/**
+ * Whether a user may see a train; crew members see only trains they are assigned to
+ * @param {Object|undefined} user - Signed-in user, undefined when authentication is off
+ * @param {Object} train - Train document
+ * @returns {boolean} True if the train is visible
+ */
+export const canSeeTrain = (user, train) =>
+  !user || user.role !== ROLES.CREW || (train.crewUserIds || []).includes(user._id);
@@ -0,0 +1,102 @@
+import Joi from 'joi';
+
+// Number of cycles (panels) on a car's waybill before it turns back to the first
+export const WAYBILL_CYCLES = 4;
+
+export const WAYBILL_STATUSES = {
+  OPEN: 'open', // Order not yet matched to a car
+  ASSIGNED: 'assigned', // Riding in the car's card pocket
+  DELIVERED: 'delivered'
+};
+
+// Validation schema for waybills; one per car order
+export const waybillSchema = Joi.object({
+  _id: Joi.string().optional(), // Allow custom _id when restoring an export
+  carOrderId: Joi.string().required(),
+  carId: Joi.string().allow(null).default(null),
+  direction: Joi.string().valid('inbound', 'outbound').required(),
+  goodsId: Joi.string().required(),
+  shipperIndustryId: Joi.string().allow(null).default(null), // Null when the load originates off-layout
+  consigneeIndustryId: Joi.string().allow(null).default(null), // Null when the load leaves the layout
+  emptyReturnIndustryId: Joi.string().allow(null).default(null), // Where the car goes once unloaded
+  sessionNumber: Joi.number().integer().min(1).required(),
+  status: Joi.string().valid(...Object.values(WAYBILL_STATUSES)).default(WAYBILL_STATUSES.OPEN),
+  cycle: Joi.number().integer().min(1).max(WAYBILL_CYCLES).allow(null).default(null), // Panel occupied on the car's waybill
+  deliveredAt: Joi.date().iso().allow(null).default(null),
+  createdAt: Joi.date().optional(), // NeDB timestamps on exported waybills
+  updatedAt: Joi.date().optional()
+});
+
+export const validateWaybill = (data) => {
+  return waybillSchema.validate(data);
+};
+
+/**
+ * Resolve who ships, who receives and where the empty goes
+ * Inbound loads come from wherever the car is picked up; outbound loads leave
+ * through the car's home yard. Either way the empty returns home.
+ * @param {Object} order - Car order
+ * @param {Object|null} car - Car matched to the order, if any
+ * @returns {Object} { shipperIndustryId, consigneeIndustryId, emptyReturnIndustryId }
+ */
+export const resolveWaybillParties = (order, car = null) => {
+  const homeYard = car?.homeYard || null;
+  if (order.direction === 'inbound') {
+    return {
+      shipperIndustryId: car?.currentIndustry || null,
+      consigneeIndustryId: order.industryId,
+      emptyReturnIndustryId: homeYard
+    };
+  }
+  return {
+    shipperIndustryId: order.industryId,
+    consigneeIndustryId: homeYard,
+    emptyReturnIndustryId: homeYard
+  };
+};
+
+/**
+ * Build the waybill for a car order; it starts outside any car
+ * @param {Object} order - Car order with _id
+ * @returns {Object} Unvalidated waybill
+ */
+export const buildWaybillFromOrder = (order) => ({
+  carOrderId: order._id,
+  carId: null,
+  direction: order.direction,
+  goodsId: order.goodsId,
+  ...resolveWaybillParties(order),
+  sessionNumber: order.sessionNumber,
+  status: WAYBILL_STATUSES.OPEN
+});
+
+/**
+ * Cycle that follows the given one, wrapping after the last panel
+ * @param {number} cycle - Current cycle (1-based)
+ * @returns {number} Next cycle
+ */
+export const nextWaybillCycle = (cycle) => ((cycle || 1) % WAYBILL_CYCLES) + 1;
+
+/**
+ * Lay a car's waybills out on its multi-cycle waybill
+ * Each panel shows the waybill currently assigned to that cycle, or else the
+ * most recently delivered one.
+ * @param {Object} car - Car with waybillCycle
+ * @param {Array} waybills - Waybills carried by the car
+ * @returns {Object} { currentCycle, panels: Array<{ cycle, isCurrent, waybill }> }
+ */
+export const buildCycleLayout = (car, waybills) => {
+  const currentCycle = car.waybillCycle || 1;
+  const rank = (waybill) => waybill.status === WAYBILL_STATUSES.ASSIGNED
+    ? Infinity
+    : new Date(waybill.deliveredAt || 0).getTime();
+
+  const panels = [];
+  for (let cycle = 1; cycle <= WAYBILL_CYCLES; cycle++) {
+    const candidates = waybills
+      .filter(waybill => waybill.cycle === cycle)
+      .sort((a, b) => rank(b) - rank(a));
+    panels.push({ cycle, isCurrent: cycle === currentCycle, waybill: candidates[0] || null });
+  }
+  return { currentCycle, panels };
+};
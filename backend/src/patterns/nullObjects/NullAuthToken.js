@@ -0,0 +1,28 @@
+import { BaseNullObject } from '../NullObject.js';
+
+/**
+ * Null Object for AuthToken entity
+ * Represents a bearer token that was never issued or has been revoked
+ */
+export class NullAuthToken extends BaseNullObject {
+  constructor() {
+    super();
+    this._id = '';
+    this.userId = '';
+    this.expiresAt = null;
+  }
+
+  toString() {
+    return 'NullAuthToken';
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      isNull: true
+    };
+  }
+}
+
+// Singleton instance
+export const NULL_AUTH_TOKEN = new NullAuthToken();
@@ -0,0 +1,32 @@
+import { BaseNullObject } from '../NullObject.js';
+
+/**
+ * Null Object for CarMovement entity
+ * Represents a non-existent car movement ledger entry
+ */
+export class NullCarMovement extends BaseNullObject {
+  constructor() {
+    super();
+    this._id = '';
+    this.carId = '';
+    this.fromIndustryId = null;
+    this.toIndustryId = '';
+    this.sessionNumber = 0;
+    this.reason = '';
+  }
+
+  toString() {
+    return 'NullCarMovement';
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      carId: this.carId,
+      isNull: true
+    };
+  }
+}
+
+// Singleton instance
+export const NULL_CAR_MOVEMENT = new NullCarMovement();
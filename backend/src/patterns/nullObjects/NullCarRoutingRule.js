@@ -0,0 +1,30 @@
+import { BaseNullObject } from '../NullObject.js';
+
+/**
+ * Null Object for CarRoutingRule entity
+ * Represents a non-existent or invalid routing rule
+ */
+export class NullCarRoutingRule extends BaseNullObject {
+  constructor() {
+    super();
+    this._id = '';
+    this.name = 'Unknown Routing Rule';
+    this.action = '';
+    this.isActive = false;
+  }
+
+  toString() {
+    return 'NullCarRoutingRule';
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      name: this.name,
+      isNull: true
+    };
+  }
+}
+
+// Singleton instance
+export const NULL_CAR_ROUTING_RULE = new NullCarRoutingRule();
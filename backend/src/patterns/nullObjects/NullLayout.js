@@ -0,0 +1,29 @@
+import { BaseNullObject } from '../NullObject.js';
+
+/**
+ * Null Object for Layout entity
+ * Represents a non-existent or invalid layout
+ */
+export class NullLayout extends BaseNullObject {
+  constructor() {
+    super();
+    this._id = '';
+    this.name = 'Unknown Layout';
+    this.description = '';
+  }
+
+  toString() {
+    return 'NullLayout';
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      name: this.name,
+      isNull: true
+    };
+  }
+}
+
+// Singleton instance
+export const NULL_LAYOUT = new NullLayout();
@@ -0,0 +1,32 @@
+import { BaseNullObject } from '../NullObject.js';
+
+/**
+ * Null Object for SessionSnapshot entity
+ * Represents a missing session restore point
+ */
+export class NullSessionSnapshot extends BaseNullObject {
+  constructor() {
+    super();
+    this._id = '';
+    this.sessionNumber = 0;
+    this.name = 'Unknown Snapshot';
+    this.description = '';
+    this.snapshot = null;
+  }
+
+  toString() {
+    return 'NullSessionSnapshot';
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      sessionNumber: this.sessionNumber,
+      name: this.name,
+      isNull: true
+    };
+  }
+}
+
+// Singleton instance
+export const NULL_SESSION_SNAPSHOT = new NullSessionSnapshot();
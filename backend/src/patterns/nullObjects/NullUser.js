@@ -0,0 +1,32 @@
+import { BaseNullObject } from '../NullObject.js';
+
+/**
+ * Null Object for User entity
+ * Represents a non-existent or invalid user account
+ */
+export class NullUser extends BaseNullObject {
+  constructor() {
+    super();
+    this._id = '';
+    this.username = '';
+    this.displayName = 'Unknown User';
+    this.role = '';
+    this.isActive = false;
+  }
+
+  toString() {
+    return 'NullUser';
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      username: this.username,
+      displayName: this.displayName,
+      isNull: true
+    };
+  }
+}
+
+// Singleton instance
+export const NULL_USER = new NullUser();
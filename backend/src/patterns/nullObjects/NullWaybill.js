@@ -0,0 +1,32 @@
+import { BaseNullObject } from '../NullObject.js';
+
+/**
+ * Null Object for Waybill entity
+ * Represents a car order with no waybill
+ */
+export class NullWaybill extends BaseNullObject {
+  constructor() {
+    super();
+    this._id = '';
+    this.carOrderId = '';
+    this.carId = null;
+    this.goodsId = '';
+    this.status = '';
+    this.cycle = null;
+  }
+
+  toString() {
+    return 'NullWaybill';
+  }
+
+  toJSON() {
+    return {
+      _id: this._id,
+      carOrderId: this.carOrderId,
+      isNull: true
+    };
+  }
+}
+
+// Singleton instance
+export const NULL_WAYBILL = new NullWaybill();
@@ -15,3 +15,10 @@ export { NullAarType, NULL_AAR_TYPE } from './NullAarType.js';
 export { NullBlock, NULL_BLOCK } from './NullBlock.js';
 export { NullTrack, NULL_TRACK } from './NullTrack.js';
 export { NullGood, NULL_GOOD } from './NullGood.js';
+export { NullCarMovement, NULL_CAR_MOVEMENT } from './NullCarMovement.js';
+export { NullSessionSnapshot, NULL_SESSION_SNAPSHOT } from './NullSessionSnapshot.js';
+export { NullWaybill, NULL_WAYBILL } from './NullWaybill.js';
+export { NullCarRoutingRule, NULL_CAR_ROUTING_RULE } from './NullCarRoutingRule.js';
+export { NullUser, NULL_USER } from './NullUser.js';
+export { NullAuthToken, NULL_AUTH_TOKEN } from './NullAuthToken.js';
+export { NullLayout, NULL_LAYOUT } from './NullLayout.js';
@@ -0,0 +1,208 @@
+/**
+ * Car Card Renderer
+ *
+ * Renders car cards and multi-cycle waybills four to a US Letter page, ready
+ * to be cut apart and used with a card-order system. Car cards and waybills
+ * share one card layout so both sheets come out of the same HTML and PDF code.
+ */
+
+import PDFDocument from 'pdfkit';
+import { WAYBILL_CYCLES, buildCycleLayout } from '../models/waybill.js';
+import { escapeHtml, collectPdf } from './printHelpers.js';
+
+export const CARDS_PER_PAGE = 4;
+
+const OFF_LAYOUT = 'Off-layout';
+
+const lookup = (items) => new Map((items || []).map(item => [item._id, item]));
+
+const formatCar = (car) => `${car.reportingMarks} ${car.reportingNumber}`;
+
+/**
+ * Build the print view of each car's car card
+ * @param {Array} cars - Cars to print
+ * @param {Object} related - { industries, aarTypes }
+ * @returns {Array<Object>} Card views: { heading, subheading, sections: [{ title, current, rows }] }
+ */
+export const buildCarCardViews = (cars, related = {}) => {
+  const industries = lookup(related.industries);
+  const aarTypes = lookup(related.aarTypes);
+  const industryName = (id) => industries.get(id)?.name || id || 'Unknown';
+
+  return cars.map(car => ({
+    heading: formatCar(car),
+    subheading: aarTypes.get(car.carType)?.name || car.carType,
+    sections: [{
+      title: 'Car Card',
+      current: false,
+      rows: [
+        ['AAR type', car.carType],
+        ['Color', car.color],
+        ['Return when empty to', industryName(car.homeYard)],
+        ['Waybill cycle', `${car.waybillCycle || 1} of ${WAYBILL_CYCLES}`],
+        ['Notes', car.notes || '']
+      ]
+    }]
+  }));
+};
+
+/**
+ * Build the print view of each car's multi-cycle waybill
+ * @param {Array} cars - Cars to print
+ * @param {Object} related - { waybills, industries, goods }
+ * @returns {Array<Object>} Card views with one section per cycle
+ */
+export const buildWaybillViews = (cars, related = {}) => {
+  const industries = lookup(related.industries);
+  const goods = lookup(related.goods);
+  const industryName = (id) => id ? (industries.get(id)?.name || id) : OFF_LAYOUT;
+  const waybills = related.waybills || [];
+
+  return cars.map(car => {
+    const layout = buildCycleLayout(car, waybills.filter(waybill => waybill.carId === car._id));
+    return {
+      heading: formatCar(car),
+      subheading: `Waybill - cycle ${layout.currentCycle} of ${WAYBILL_CYCLES}`,
+      sections: layout.panels.map(({ cycle, isCurrent, waybill }) => ({
+        title: `Cycle ${cycle}${waybill ? ` - ${waybill.status}` : ''}`,
+        current: isCurrent,
+        rows: waybill
+          ? [
+            ['Shipper', industryName(waybill.shipperIndustryId)],
+            ['Consignee', industryName(waybill.consigneeIndustryId)],
+            ['Goods', goods.get(waybill.goodsId)?.name || waybill.goodsId],
+            ['Return empty to', industryName(waybill.emptyReturnIndustryId)]
+          ]
+          : []
+      }))
+    };
+  });
+};
+
+const htmlCard = (card) => {
+  const sections = card.sections.map(section => {
+    const rows = section.rows.length > 0
+      ? section.rows.map(([label, value]) => `
+          <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')
+      : `
+          <tr><td class="none" colspan="2">Blank</td></tr>`;
+    return `
+      <section class="panel${section.current ? ' current' : ''}">
+        <h3>${escapeHtml(section.title)}${section.current ? ' (current)' : ''}</h3>
+        <table>${rows}
+        </table>
+      </section>`;
+  }).join('');
+
+  return `
+    <div class="card">
+      <h2>${escapeHtml(card.heading)}</h2>
+      <p class="sub">${escapeHtml(card.subheading)}</p>${sections}
+    </div>`;
+};
+
+/**
+ * Render card views four-up as a standalone printable HTML page
+ * @param {string} title - Page title
+ * @param {Array<Object>} cards - Result of buildCarCardViews or buildWaybillViews
+ * @returns {string} HTML document
+ */
+export const renderCardSheetHtml = (title, cards) => {
+  const pages = [];
+  for (let i = 0; i < cards.length; i += CARDS_PER_PAGE) {
+    pages.push(`
+  <div class="sheet">${cards.slice(i, i + CARDS_PER_PAGE).map(htmlCard).join('')}
+  </div>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 11px; margin: 24px; color: #000; }
+    h1 { font-size: 18px; margin: 0 0 12px; }
+    .sheet { display: grid; grid-template-columns: 1fr 1fr; grid-auto-rows: 4.6in; gap: 0.2in; page-break-after: always; margin-bottom: 0.2in; }
+    .sheet:last-child { page-break-after: auto; }
+    .card { border: 1px dashed #000; padding: 8px; overflow: hidden; }
+    .card h2 { font-size: 16px; margin: 0; }
+    .card .sub { margin: 0 0 6px; }
+    .panel { border: 1px solid #000; padding: 2px 4px; margin-bottom: 4px; }
+    .panel.current { border-width: 2px; }
+    .panel h3 { font-size: 11px; margin: 0 0 2px; text-transform: capitalize; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; width: 40%; font-weight: normal; color: #333; }
+    td, th { padding: 1px 2px; vertical-align: top; }
+    .none { font-style: italic; color: #666; }
+    .toolbar { margin-bottom: 12px; }
+    @media print { .toolbar, h1 { display: none; } body { margin: 0.25in; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button type="button" onclick="window.print()">Print</button></div>
+  <h1>${escapeHtml(title)}</h1>${cards.length > 0 ? pages.join('') : '\n  <p class="none">Nothing to print</p>'}
+</body>
+</html>
+`;
+};
+
+// PDF layout (US Letter, points); four cards in a 2x2 grid
+const PAGE_MARGIN = 36;
+const GUTTER = 18;
+const LINE_HEIGHT = 11;
+
+/**
+ * Render card views four-up as a PDF
+ * @param {string} title - Document title
+ * @param {Array<Object>} cards - Result of buildCarCardViews or buildWaybillViews
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export const renderCardSheetPdf = (title, cards) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, info: { Title: title } });
+  const pdf = collectPdf(doc);
+
+  const cardWidth = (doc.page.width - PAGE_MARGIN * 2 - GUTTER) / 2;
+  const cardHeight = (doc.page.height - PAGE_MARGIN * 2 - GUTTER) / 2;
+
+  if (cards.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(12).text('Nothing to print');
+  }
+
+  cards.forEach((card, index) => {
+    const slot = index % CARDS_PER_PAGE;
+    if (index > 0 && slot === 0) {
+      doc.addPage();
+    }
+    const left = PAGE_MARGIN + (slot % 2) * (cardWidth + GUTTER);
+    const top = PAGE_MARGIN + Math.floor(slot / 2) * (cardHeight + GUTTER);
+    const inner = cardWidth - 16;
+
+    doc.save().dash(4, { space: 3 }).rect(left, top, cardWidth, cardHeight).stroke().restore();
+    doc.font('Helvetica-Bold').fontSize(14).text(card.heading, left + 8, top + 8, { width: inner, lineBreak: false });
+    doc.font('Helvetica').fontSize(9).text(card.subheading, left + 8, top + 26, { width: inner, lineBreak: false });
+
+    let y = top + 42;
+    const panelSpace = (top + cardHeight - 8 - y) / card.sections.length;
+    for (const section of card.sections) {
+      const panelHeight = Math.min(panelSpace - 4, LINE_HEIGHT * (section.rows.length + 1) + 8);
+      doc.lineWidth(section.current ? 2 : 0.75).rect(left + 8, y, inner, panelHeight).stroke().lineWidth(1);
+      doc.font('Helvetica-Bold').fontSize(9)
+        .text(`${section.title}${section.current ? ' (current)' : ''}`, left + 12, y + 4, { width: inner - 8, lineBreak: false });
+      let rowY = y + 4 + LINE_HEIGHT;
+      if (section.rows.length === 0) {
+        doc.font('Helvetica-Oblique').fontSize(8).text('Blank', left + 12, rowY, { width: inner - 8, lineBreak: false });
+      }
+      for (const [label, value] of section.rows) {
+        doc.font('Helvetica').fontSize(8)
+          .text(label, left + 12, rowY, { width: inner * 0.4, lineBreak: false, ellipsis: true })
+          .text(String(value ?? ''), left + 12 + inner * 0.4, rowY, { width: inner * 0.6 - 8, lineBreak: false, ellipsis: true });
+        rowY += LINE_HEIGHT;
+      }
+      y += panelSpace;
+    }
+  });
+
+  doc.end();
+  return pdf;
+};
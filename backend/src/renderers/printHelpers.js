@@ -0,0 +1,24 @@
+/**
+ * Helpers shared by the printable HTML and PDF renderers
+ */
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export const formatTimestamp = (value) => value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '';
+
+/**
+ * Collect a pdfkit document into a single buffer
+ * @param {PDFDocument} doc - Document that has not been ended yet
+ * @returns {Promise<Buffer>} Resolves with the PDF bytes once doc.end() is called
+ */
+export const collectPdf = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
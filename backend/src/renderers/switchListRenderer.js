@@ -0,0 +1,340 @@
+/**
+ * Switch List Renderer
+ *
+ * Renders a train's stored switch list as a printable HTML page or a PDF.
+ * Everything is produced locally: inline styles for HTML and the standard
+ * PDF fonts bundled with pdfkit, so no external services are involved.
+ */
+
+import PDFDocument from 'pdfkit';
+import { escapeHtml, formatTimestamp, collectPdf } from './printHelpers.js';
+
+// Crew members who sign off a completed switch list
+export const SIGNATURE_ROLES = ['Conductor', 'Engineer', 'Yardmaster'];
+
+const formatCar = (item) => `${item.carReportingMarks} ${item.carNumber}`;
+
+const formatDestination = (item) => {
+  const destination = item.destinationTrackName
+    ? `${item.destinationIndustryName} / ${item.destinationTrackName}`
+    : item.destinationIndustryName;
+  // Cars staged at a transfer yard also show where they are ultimately bound
+  return item.finalDestinationIndustryName
+    ? `${destination} (for ${item.finalDestinationIndustryName})`
+    : destination;
+};
+
+const formatPositions = (from, to) => (from === to ? `${from}` : `${from}-${to}`);
+const describePositions = (from, to) => `${from === to ? 'position' : 'positions'} ${formatPositions(from, to)}`;
+
+// What the crew does with the train at a station: the cut to make, where pickups go and the train that leaves
+const describeStationWork = (station) => {
+  const work = [];
+  if (station.cutOff) {
+    work.push(`Cut off the first ${station.cutOff.carCount} car(s), ${describePositions(station.cutOff.fromPosition, station.cutOff.toPosition)}, and set them out`);
+  }
+  for (const block of (station.blocks || []).filter(block => block.pickedUp > 0)) {
+    work.push(`Add ${block.pickedUp} car(s) for ${block.stationName} at ${describePositions(block.toPosition - block.pickedUp + 1, block.toPosition)}`);
+  }
+  if ((station.blocks || []).length > 0) {
+    work.push(`Leave with ${station.blocks.map(block => `${formatPositions(block.fromPosition, block.toPosition)} ${block.stationName}`).join(', ')}`);
+  }
+  return work;
+};
+
+// The most the train carried on any leg against each limit, e.g. "18/20 cars, 1040/1200 ft, 2150 tons"
+const describeLimits = (limits) => {
+  if (!limits) {
+    return null;
+  }
+  const against = (peak, max, unit) => `${Math.round(peak)}${max !== null ? `/${max}` : ''} ${unit}`;
+  const text = [
+    against(limits.peakCars, limits.maxCars, 'cars'),
+    against(limits.locomotiveLength + limits.peakLength, limits.maxLength, 'ft'),
+    against(limits.peakTonnage, limits.maxTonnage, 'tons')
+  ].join(', ');
+  return limits.boundBy ? `${text}; ${limits.boundBy} limit reached` : text;
+};
+
+/**
+ * Build the print view of a switch list
+ * @param {Object} train - Train with a generated switchList
+ * @param {Object} related - { route, originYard, terminationYard, locomotives, cars, goods }
+ * @returns {Object} Plain view model consumed by both renderers
+ */
+export const buildSwitchListView = (train, related = {}) => {
+  const { route, originYard, terminationYard, locomotives = [], cars = [], goods = [] } = related;
+  const carsById = new Map(cars.map(car => [car._id, car]));
+  const goodsById = new Map(goods.map(item => [item._id, item]));
+  const switchList = train.switchList;
+
+  const toRow = (item) => {
+    const car = carsById.get(item.carId);
+    return {
+      position: item.position ? String(item.position) : '',
+      car: formatCar(item),
+      carType: item.carType,
+      destination: formatDestination(item),
+      load: item.goodsId ? (goodsById.get(item.goodsId)?.name || item.goodsId) : 'Empty',
+      direction: item.direction || '',
+      // Cars moved by a routing rule say which rule moved them; hot orders and facing-point setouts are flagged for the crew
+      notes: [
+        item.priority === 'hot' ? 'Hot' : null,
+        item.needsRunaround ? 'Facing point, no runaround' : null,
+        item.routingReason,
+        car?.notes
+      ].filter(Boolean).join('; ')
+    };
+  };
+
+  // Special handling: per-car notes plus anything that could not be moved
+  const notes = [];
+  for (const station of switchList.stations) {
+    for (const item of [...station.pickups, ...station.setouts]) {
+      const car = carsById.get(item.carId);
+      const line = car?.notes ? `${formatCar(item)}: ${car.notes}` : null;
+      if (line && !notes.includes(line)) {
+        notes.push(line);
+      }
+    }
+  }
+  for (const station of switchList.stations) {
+    for (const item of station.setouts.filter(item => item.needsRunaround)) {
+      notes.push(`${formatCar(item)} to ${item.destinationIndustryName}: facing-point spur and no runaround at ${station.stationName}`);
+    }
+  }
+  for (const held of switchList.heldCars || []) {
+    notes.push(`${formatCar(held)} held at ${held.stationName}: ${held.reason}`);
+  }
+  for (const bumped of switchList.bumpedOrders || []) {
+    notes.push(`${bumped.industryName} ${bumped.priority} order bumped for a ${bumped.bumpedByPriority} order to ${bumped.bumpedByIndustryName}`);
+  }
+
+  return {
+    trainName: train.name,
+    sessionNumber: train.sessionNumber,
+    status: train.status,
+    routeName: route?.name || 'Unknown route',
+    originYard: originYard?.name || 'Unknown yard',
+    terminationYard: terminationYard?.name || 'Unknown yard',
+    locomotives: locomotives.map(loco => `${loco.reportingMarks} ${loco.reportingNumber}`),
+    generatedAt: switchList.generatedAt,
+    totals: {
+      pickups: switchList.totalPickups,
+      setouts: switchList.totalSetouts,
+      finalCarCount: switchList.finalCarCount
+    },
+    limits: describeLimits(switchList.limits),
+    stations: switchList.stations.map(station => ({
+      stationName: station.stationName,
+      work: describeStationWork(station),
+      pickups: station.pickups.map(toRow),
+      setouts: station.setouts.map(toRow)
+    })),
+    notes
+  };
+};
+
+const htmlTable = (title, rows) => {
+  if (rows.length === 0) {
+    return `<p class="none">No ${title.toLowerCase()}</p>`;
+  }
+  const body = rows.map(row => `
+        <tr>
+          <td class="check"><span class="box"></span></td>
+          <td class="pos">${escapeHtml(row.position)}</td>
+          <td>${escapeHtml(row.car)}</td>
+          <td>${escapeHtml(row.carType)}</td>
+          <td>${escapeHtml(row.destination)}</td>
+          <td>${escapeHtml(row.load)}</td>
+          <td>${escapeHtml(row.notes)}</td>
+        </tr>`).join('');
+  return `
+    <table>
+      <caption>${escapeHtml(title)}</caption>
+      <thead>
+        <tr><th class="check">Done</th><th class="pos">Pos</th><th>Car</th><th>Type</th><th>Destination</th><th>Load</th><th>Notes</th></tr>
+      </thead>
+      <tbody>${body}
+      </tbody>
+    </table>`;
+};
+
+/**
+ * Render a switch list view as a standalone printable HTML page
+ * @param {Object} view - Result of buildSwitchListView
+ * @returns {string} HTML document
+ */
+export const renderSwitchListHtml = (view) => {
+  const stations = view.stations.map((station, index) => `
+  <section class="station">
+    <h2>${index + 1}. ${escapeHtml(station.stationName)}</h2>
+    ${station.work.length > 0 ? `<ul class="work">${station.work.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+    ${htmlTable('Pickups', station.pickups)}
+    ${htmlTable('Setouts', station.setouts)}
+  </section>`).join('');
+
+  const notes = view.notes.length > 0
+    ? `<ul>${view.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>`
+    : '<p class="none">None</p>';
+
+  const signatures = SIGNATURE_ROLES.map(role => `
+    <div class="signature"><span class="line"></span><span>${role}</span></div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Switch List - ${escapeHtml(view.trainName)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; margin: 24px; color: #000; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 18px 0 6px; border-bottom: 1px solid #000; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 8px 0; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+    caption { text-align: left; font-weight: bold; padding: 4px 0; }
+    th, td { border: 1px solid #000; padding: 3px 6px; text-align: left; }
+    th.check, td.check { width: 36px; text-align: center; }
+    th.pos, td.pos { width: 30px; text-align: center; }
+    .work { margin: 4px 0 8px; padding-left: 18px; }
+    .box { display: inline-block; width: 12px; height: 12px; border: 1px solid #000; }
+    .none { font-style: italic; margin: 4px 0; }
+    .station { page-break-inside: avoid; }
+    .signatures { display: flex; gap: 32px; margin-top: 32px; }
+    .signature { flex: 1; display: flex; flex-direction: column; }
+    .signature .line { border-bottom: 1px solid #000; height: 28px; }
+    .toolbar { margin-bottom: 12px; }
+    @media print { .toolbar { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button type="button" onclick="window.print()">Print</button></div>
+  <h1>Switch List - ${escapeHtml(view.trainName)}</h1>
+  <dl>
+    <dt>Session</dt><dd>${escapeHtml(view.sessionNumber)}</dd>
+    <dt>Route</dt><dd>${escapeHtml(view.routeName)}</dd>
+    <dt>Origin</dt><dd>${escapeHtml(view.originYard)}</dd>
+    <dt>Destination</dt><dd>${escapeHtml(view.terminationYard)}</dd>
+    <dt>Power</dt><dd>${escapeHtml(view.locomotives.join(', ') || 'None assigned')}</dd>
+    <dt>Generated</dt><dd>${escapeHtml(formatTimestamp(view.generatedAt))}</dd>
+    <dt>Totals</dt><dd>${view.totals.pickups} pickups, ${view.totals.setouts} setouts, ${view.totals.finalCarCount} cars at end of run</dd>${view.limits ? `
+    <dt>Train Limits</dt><dd>${escapeHtml(view.limits)}</dd>` : ''}
+  </dl>
+  <h2>Special Handling</h2>
+  ${notes}
+  ${stations}
+  <div class="signatures">${signatures}
+  </div>
+</body>
+</html>
+`;
+};
+
+// PDF layout (US Letter, points)
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 16;
+const PDF_COLUMNS = [
+  { key: 'check', label: 'Done', width: 34 },
+  { key: 'position', label: 'Pos', width: 28 },
+  { key: 'car', label: 'Car', width: 80 },
+  { key: 'carType', label: 'Type', width: 44 },
+  { key: 'destination', label: 'Destination', width: 160 },
+  { key: 'load', label: 'Load', width: 90 },
+  { key: 'notes', label: 'Notes', width: 96 }
+];
+
+/**
+ * Render a switch list view as a PDF
+ * @param {Object} view - Result of buildSwitchListView
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export const renderSwitchListPdf = (view) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, info: { Title: `Switch List - ${view.trainName}` } });
+  const pdf = collectPdf(doc);
+
+  const bottom = () => doc.page.height - PAGE_MARGIN;
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+    }
+  };
+
+  const drawRow = (cells, { header = false } = {}) => {
+    ensureSpace(ROW_HEIGHT);
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    for (const column of PDF_COLUMNS) {
+      doc.rect(x, y, column.width, ROW_HEIGHT).stroke();
+      if (column.key === 'check' && !header) {
+        doc.rect(x + column.width / 2 - 5, y + 3, 10, 10).stroke();
+      } else {
+        doc.text(cells[column.key] ?? '', x + 3, y + 4, { width: column.width - 6, height: ROW_HEIGHT - 4, lineBreak: false, ellipsis: true });
+      }
+      x += column.width;
+    }
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const drawTable = (title, rows) => {
+    ensureSpace(ROW_HEIGHT * 2 + 14);
+    doc.font('Helvetica-Bold').fontSize(10).text(title, PAGE_MARGIN, doc.y + 4);
+    if (rows.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(9).text(`No ${title.toLowerCase()}`);
+      return;
+    }
+    drawRow(Object.fromEntries(PDF_COLUMNS.map(column => [column.key, column.label])), { header: true });
+    rows.forEach(row => drawRow(row));
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text(`Switch List - ${view.trainName}`);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(10);
+  [
+    ['Session', view.sessionNumber],
+    ['Route', view.routeName],
+    ['Origin', view.originYard],
+    ['Destination', view.terminationYard],
+    ['Power', view.locomotives.join(', ') || 'None assigned'],
+    ['Generated', formatTimestamp(view.generatedAt)],
+    ['Totals', `${view.totals.pickups} pickups, ${view.totals.setouts} setouts, ${view.totals.finalCarCount} cars at end of run`],
+    ...(view.limits ? [['Train Limits', view.limits]] : [])
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+  });
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(12).text('Special Handling');
+  doc.font('Helvetica').fontSize(9);
+  if (view.notes.length === 0) {
+    doc.font('Helvetica-Oblique').text('None');
+  } else {
+    view.notes.forEach(note => doc.text(`- ${note}`));
+  }
+
+  view.stations.forEach((station, index) => {
+    ensureSpace(60);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(12).text(`${index + 1}. ${station.stationName}`, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9);
+    station.work.forEach(line => doc.text(`- ${line}`, PAGE_MARGIN));
+    drawTable('Pickups', station.pickups);
+    drawTable('Setouts', station.setouts);
+  });
+
+  // Signature lines
+  ensureSpace(60);
+  const lineY = doc.y + 36;
+  const lineWidth = (doc.page.width - PAGE_MARGIN * 2 - 40) / SIGNATURE_ROLES.length;
+  SIGNATURE_ROLES.forEach((role, index) => {
+    const x = PAGE_MARGIN + index * (lineWidth + 20);
+    doc.moveTo(x, lineY).lineTo(x + lineWidth, lineY).stroke();
+    doc.font('Helvetica').fontSize(9).text(role, x, lineY + 4, { width: lineWidth });
+  });
+
+  doc.end();
+  return pdf;
+};
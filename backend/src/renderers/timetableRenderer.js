@@ -0,0 +1,139 @@
+/**
+ * Timetable Renderer
+ *
+ * Renders a session's timetable as a printable HTML page: a grid of
+ * stations against trains, in order of departure, with the fast-clock times
+ * trains actually left and arrived, followed by the meets and passes the
+ * schedule can't work.
+ */
+
+import { escapeHtml } from './printHelpers.js';
+import { formatClockTime, CONFLICT_TYPES } from '../models/timetable.js';
+
+const CONFLICT_LABELS = {
+  [CONFLICT_TYPES.MEET]: 'Meet',
+  [CONFLICT_TYPES.PASS]: 'Pass'
+};
+
+// A train's time at a station: "lv" at its origin, "ar" at its last stop, otherwise arrival and departure
+const formatStopTime = (stop) => {
+  if (stop.arrival === null) {
+    return `lv ${formatClockTime(stop.departure)}`;
+  }
+  if (stop.departure === null) {
+    return `ar ${formatClockTime(stop.arrival)}`;
+  }
+  return stop.arrival === stop.departure
+    ? formatClockTime(stop.arrival)
+    : `${formatClockTime(stop.arrival)}-${formatClockTime(stop.departure)}`;
+};
+
+// An actual time against the scheduled one, e.g. "06:12 (12 late)"
+const formatActualTime = (actual, scheduled) => {
+  if (actual === null || actual === undefined) {
+    return '';
+  }
+  const delay = actual - scheduled;
+  if (delay === 0) {
+    return `${formatClockTime(actual)} (on time)`;
+  }
+  return `${formatClockTime(actual)} (${Math.abs(delay)} ${delay > 0 ? 'late' : 'early'})`;
+};
+
+const formatWindow = (from, to) => (from === to ? formatClockTime(from) : `${formatClockTime(from)}-${formatClockTime(to)}`);
+
+/**
+ * Build the print view of a timetable
+ * @param {Object} timetable - Result of TimetableService.getTimetable
+ * @returns {Object} Plain view model for the renderer
+ */
+export const buildTimetableView = (timetable) => {
+  // Stations in the order the earliest trains reach them
+  const stations = [];
+  for (const train of timetable.trains) {
+    for (const stop of train.stops) {
+      if (!stations.some(station => station.stationId === stop.stationId)) {
+        stations.push({ stationId: stop.stationId, stationName: stop.stationName });
+      }
+    }
+  }
+
+  return {
+    sessionNumber: timetable.sessionNumber,
+    trains: timetable.trains.map(train => ({ trainName: train.trainName, routeName: train.routeName })),
+    rows: stations.map(station => ({
+      stationName: station.stationName,
+      // A route can call at a station twice; show every call
+      times: timetable.trains.map(train => train.stops
+        .filter(stop => stop.stationId === station.stationId)
+        .map(formatStopTime)
+        .join(', '))
+    })),
+    // Only once a train has run
+    actuals: timetable.trains.some(train => Number.isInteger(train.actualDeparture))
+      ? [
+        { label: 'Departed', times: timetable.trains.map(train => formatActualTime(train.actualDeparture, train.departure)) },
+        { label: 'Arrived', times: timetable.trains.map(train => formatActualTime(train.actualArrival, train.arrival)) }
+      ]
+      : [],
+    conflicts: timetable.conflicts.map(conflict =>
+      `${CONFLICT_LABELS[conflict.type]}: ${conflict.trainNames.join(' and ')} between ${conflict.fromStationName} and ${conflict.toStationName}, ${formatWindow(conflict.from, conflict.to)}`
+    ),
+    unscheduled: timetable.unscheduled.map(train => train.trainName)
+  };
+};
+
+/**
+ * Render a timetable view as a standalone printable HTML page
+ * @param {Object} view - Result of buildTimetableView
+ * @returns {string} HTML document
+ */
+export const renderTimetableHtml = (view) => {
+  const grid = view.trains.length > 0
+    ? `
+  <table>
+    <thead>
+      <tr><th>Station</th>${view.trains.map(train => `<th>${escapeHtml(train.trainName)}<span class="route">${escapeHtml(train.routeName)}</span></th>`).join('')}</tr>
+    </thead>
+    <tbody>${view.rows.map(row => `
+      <tr><td class="station">${escapeHtml(row.stationName)}</td>${row.times.map(time => `<td>${escapeHtml(time)}</td>`).join('')}</tr>`).join('')}${view.actuals.map(row => `
+      <tr class="actual"><td class="station">${escapeHtml(row.label)}</td>${row.times.map(time => `<td>${escapeHtml(time)}</td>`).join('')}</tr>`).join('')}
+    </tbody>
+  </table>`
+    : '<p class="none">No scheduled trains</p>';
+
+  const list = (items) => (items.length > 0
+    ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '<p class="none">None</p>');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Timetable - Session ${escapeHtml(view.sessionNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; margin: 24px; color: #000; }
+    h1 { font-size: 20px; margin: 0 0 12px; }
+    h2 { font-size: 15px; margin: 18px 0 6px; border-bottom: 1px solid #000; }
+    table { border-collapse: collapse; margin-bottom: 8px; }
+    th, td { border: 1px solid #000; padding: 3px 8px; text-align: center; white-space: nowrap; }
+    th .route { display: block; font-weight: normal; font-size: 10px; }
+    td.station { text-align: left; font-weight: bold; }
+    tr.actual td { font-style: italic; }
+    .none { font-style: italic; margin: 4px 0; }
+    .toolbar { margin-bottom: 12px; }
+    @media print { .toolbar { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button type="button" onclick="window.print()">Print</button></div>
+  <h1>Timetable - Session ${escapeHtml(view.sessionNumber)}</h1>
+  ${grid}
+  <h2>Meets and Passes Between Stations</h2>
+  ${list(view.conflicts)}
+  <h2>Unscheduled Trains</h2>
+  ${list(view.unscheduled)}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,53 @@
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_AUTH_TOKEN } from '../patterns/nullObjects/NullAuthToken.js';
+
+/**
+ * Repository for AuthToken entities
+ * Bearer tokens issued at login, stored by hash
+ */
+export class AuthTokenRepository extends BaseRepository {
+  constructor() {
+    super('authTokens');
+  }
+
+  /**
+   * Returns the null object for this repository
+   * @returns {NullAuthToken} The null token object
+   */
+  getNullObject() {
+    return NULL_AUTH_TOKEN;
+  }
+
+  /**
+   * Find the token record for a token hash
+   * @param {string} tokenHash - Hash from hashToken
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async findByTokenHash(tokenHash) {
+    const tokens = await this.findBy({ tokenHash });
+    return tokens[0] || null;
+  }
+
+  /**
+   * Revoke every token issued to a user, e.g. when the account is disabled
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async deleteForUser(userId) {
+    const tokens = await this.findBy({ userId });
+    await Promise.all(tokens.map(token => this.delete(token._id)));
+    return tokens.length;
+  }
+
+  /**
+   * Drop tokens past their expiry
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of tokens removed
+   */
+  async deleteExpired(now = new Date()) {
+    const tokens = await this.findAll();
+    const expired = tokens.filter(token => new Date(token.expiresAt) <= now);
+    await Promise.all(expired.map(token => this.delete(token._id)));
+    return expired.length;
+  }
+}
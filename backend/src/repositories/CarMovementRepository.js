@@ -0,0 +1,76 @@
+/**
+ * CarMovement Repository
+ * Append-only ledger of car location changes
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_CAR_MOVEMENT } from '../patterns/nullObjects/NullCarMovement.js';
+import { validateCarMovement, buildCarMovement, isRelocation } from '../models/carMovement.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+export class CarMovementRepository extends BaseRepository {
+  constructor() {
+    super('carMovements');
+  }
+
+  /**
+   * Get the null object for car movements
+   * @returns {NullCarMovement} Null car movement instance
+   */
+  getNullObject() {
+    return NULL_CAR_MOVEMENT;
+  }
+
+  /**
+   * Ledger entries are immutable
+   * @throws {ApiError} Always
+   */
+  async update() {
+    throw new ApiError('Car movement history is append-only', 405);
+  }
+
+  /**
+   * Ledger entries are immutable
+   * @throws {ApiError} Always
+   */
+  async delete() {
+    throw new ApiError('Car movement history is append-only', 405);
+  }
+
+  /**
+   * Append a validated movement entry to the ledger
+   * @param {Object} movement - Movement entry
+   * @returns {Promise<Object>} Created entry
+   */
+  async record(movement) {
+    const { error, value } = validateCarMovement(movement);
+    if (error) {
+      throw new ApiError('Invalid car movement', 400, error.details.map(d => d.message));
+    }
+    return this.create(value);
+  }
+
+  /**
+   * Record a car moving to a new location, skipping no-op moves
+   * @param {Object} car - Car as it was before the move
+   * @param {Object} destination - { industryId, trackId, currentLoad } after the move
+   * @param {Object} context - { reason, sessionNumber, trainId }
+   * @returns {Promise<Object|null>} Created entry, or null if the car did not relocate
+   */
+  async recordMove(car, destination, context) {
+    if (car.currentIndustry && !isRelocation(car, destination)) {
+      return null;
+    }
+    return this.record(buildCarMovement(car, destination, context));
+  }
+
+  /**
+   * Get the movement history for a car, oldest first
+   * @param {string} carId - Car ID
+   * @returns {Promise<Array>} Movement entries
+   */
+  async findByCar(carId) {
+    const movements = await this.findBy({ carId });
+    return movements.sort((a, b) => new Date(a.movedAt) - new Date(b.movedAt));
+  }
+}
@@ -0,0 +1,30 @@
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_CAR_ROUTING_RULE } from '../patterns/nullObjects/NullCarRoutingRule.js';
+
+/**
+ * Repository for CarRoutingRule entities
+ * Rules decide where cars go when no car order claims them
+ */
+export class CarRoutingRuleRepository extends BaseRepository {
+  constructor() {
+    super('carRoutingRules');
+  }
+
+  /**
+   * Returns the null object for this repository
+   * @returns {NullCarRoutingRule} The null routing rule object
+   */
+  getNullObject() {
+    return NULL_CAR_ROUTING_RULE;
+  }
+
+  /**
+   * Find the rules switch list generation applies
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Active rules
+   */
+  async findActive(options = {}) {
+    const rules = await this.findAll(options);
+    return rules.filter(rule => rule.isActive !== false);
+  }
+}
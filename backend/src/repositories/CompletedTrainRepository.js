@@ -0,0 +1,45 @@
+/**
+ * CompletedTrain Repository
+ * Completed trains the session advance cleared away, kept for reports on past sessions
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_TRAIN } from '../patterns/nullObjects/NullTrain.js';
+import { dbHelpers } from '../database/index.js';
+
+export class CompletedTrainRepository extends BaseRepository {
+  constructor() {
+    super('completedTrains');
+  }
+
+  /**
+   * Get the null object for completed trains
+   * @returns {NullTrain} Null train instance
+   */
+  getNullObject() {
+    return NULL_TRAIN;
+  }
+
+  /**
+   * Keep a completed train under its own ID, replacing any earlier copy
+   * @param {Object} train - Train as it was when the session closed
+   * @returns {Promise<Object>} Created record
+   */
+  async archive(train) {
+    await dbHelpers.delete(this.collectionName, train._id);
+    return this.create(train);
+  }
+
+  /**
+   * Take trains out of the archive, as when a rollback puts them back on the layout
+   * @param {Array<string>} trainIds - Train IDs
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async release(trainIds) {
+    let released = 0;
+    for (const trainId of trainIds) {
+      released += await dbHelpers.delete(this.collectionName, trainId);
+    }
+    return released;
+  }
+}
@@ -0,0 +1,30 @@
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_LAYOUT } from '../patterns/nullObjects/NullLayout.js';
+
+/**
+ * Repository for Layout entities
+ * The layouts kept by this backend; their data lives in separate datastores
+ */
+export class LayoutRepository extends BaseRepository {
+  constructor() {
+    super('layouts');
+  }
+
+  /**
+   * Returns the null object for this repository
+   * @returns {NullLayout} The null layout object
+   */
+  getNullObject() {
+    return NULL_LAYOUT;
+  }
+
+  /**
+   * Find a layout by name
+   * @param {string} name - Layout name
+   * @returns {Promise<Object|null>} Layout or null
+   */
+  async findByName(name) {
+    const layouts = await this.findBy({ name });
+    return layouts[0] || null;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * SessionSnapshot Repository
+ * Stores one restore point per operating session number
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_SESSION_SNAPSHOT } from '../patterns/nullObjects/NullSessionSnapshot.js';
+import { dbHelpers } from '../database/index.js';
+
+export class SessionSnapshotRepository extends BaseRepository {
+  constructor() {
+    super('sessionSnapshots');
+  }
+
+  /**
+   * Get the null object for session snapshots
+   * @returns {NullSessionSnapshot} Null session snapshot instance
+   */
+  getNullObject() {
+    return NULL_SESSION_SNAPSHOT;
+  }
+
+  /**
+   * Get all restore points, newest session first
+   * @returns {Promise<Array>} Snapshot records
+   */
+  async findAllNewestFirst() {
+    const records = await this.findAll();
+    return records.sort((a, b) => b.sessionNumber - a.sessionNumber);
+  }
+
+  /**
+   * Find the restore point for a session
+   * @param {number} sessionNumber - Session number
+   * @param {Object} options - Query options
+   * @returns {Promise<Object|null>} Snapshot record or null
+   */
+  async findBySessionNumber(sessionNumber, options = {}) {
+    const records = await this.findBy({ sessionNumber }, options);
+    if (records.length === 0) {
+      return options.useNullObject ? this.getNullObject() : null;
+    }
+    return records[0];
+  }
+
+  /**
+   * Find a restore point by its name
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object|null>} Snapshot record or null
+   */
+  async findByName(name) {
+    const records = await this.findBy({ name });
+    return records[0] || null;
+  }
+
+  /**
+   * Store the restore point for a session, replacing any earlier one
+   * @param {Object} record - Validated snapshot record
+   * @returns {Promise<Object>} Created record
+   */
+  async saveForSession(record) {
+    await this.deleteFromSession(record.sessionNumber, record.sessionNumber);
+    return this.create(record);
+  }
+
+  /**
+   * Delete restore points for a range of sessions
+   * @param {number} fromSessionNumber - First session number to delete (inclusive)
+   * @param {number} [toSessionNumber] - Last session number to delete (inclusive); open-ended if omitted
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async deleteFromSession(fromSessionNumber, toSessionNumber = Infinity) {
+    const records = await this.findAll();
+    const doomed = records.filter(record =>
+      record.sessionNumber >= fromSessionNumber && record.sessionNumber <= toSessionNumber
+    );
+    for (const record of doomed) {
+      await dbHelpers.delete(this.collectionName, record._id);
+    }
+    return doomed.length;
+  }
+
+  /**
+   * Drop the oldest restore points beyond the retention count
+   * @param {number} retention - Number of restore points to keep
+   * @returns {Promise<number>} Number of records pruned
+   */
+  async prune(retention) {
+    const records = await this.findAllNewestFirst();
+    const expired = records.slice(retention);
+    for (const record of expired) {
+      await dbHelpers.delete(this.collectionName, record._id);
+    }
+    return expired.length;
+  }
+}
@@ -1,5 +1,7 @@
 import { BaseRepository } from './BaseRepository.js';
 import { NULL_TRACK } from '../patterns/nullObjects/NullTrack.js';
+import { dbHelpers } from '../database/index.js';
+import { buildTrackOccupancy } from '../models/track.js';
 
 /**
  * Repository for Track entities
@@ -30,4 +32,33 @@ export class TrackRepository extends BaseRepository {
     }
     return tracks[0];
   }
+
+  /**
+   * Find all tracks belonging to an industry
+   * @param {string} industryId - Industry ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Array of tracks
+   */
+  async findByIndustry(industryId, options = {}) {
+    return this.findBy({ industryId }, options);
+  }
+
+  /**
+   * Get the cars currently occupying a track
+   * Occupancy is computed across the whole industry so cars without an
+   * explicit track assignment are attributed the same way switch list
+   * generation does.
+   * @param {Object} track - Track document
+   * @returns {Promise<Array>} Cars on the track
+   */
+  async findCarsOnTrack(track) {
+    const [industryTracks, industryCars] = await Promise.all([
+      this.findByIndustry(track.industryId),
+      dbHelpers.findByQuery('cars', { currentIndustry: track.industryId })
+    ]);
+
+    const occupancy = buildTrackOccupancy(industryTracks, industryCars);
+    const carIds = new Set(occupancy[track._id] || []);
+    return industryCars.filter(car => carIds.has(car._id));
+  }
 }
@@ -0,0 +1,39 @@
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_USER } from '../patterns/nullObjects/NullUser.js';
+
+/**
+ * Repository for User entities
+ * Accounts for the superintendent, dispatchers, crews and viewers
+ */
+export class UserRepository extends BaseRepository {
+  constructor() {
+    super('users');
+  }
+
+  /**
+   * Returns the null object for this repository
+   * @returns {NullUser} The null user object
+   */
+  getNullObject() {
+    return NULL_USER;
+  }
+
+  /**
+   * Find a user by username
+   * @param {string} username - Username, matched case-insensitively
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByUsername(username) {
+    const users = await this.findBy({ username: (username || '').toLowerCase() });
+    return users[0] || null;
+  }
+
+  /**
+   * Find the users holding a role
+   * @param {string} role - One of ROLES
+   * @returns {Promise<Array>} Users with the role
+   */
+  async findByRole(role) {
+    return this.findBy({ role });
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Waybill Repository
+ * One waybill per car order, cycled through the car's multi-cycle waybill
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { NULL_WAYBILL } from '../patterns/nullObjects/NullWaybill.js';
+import {
+  WAYBILL_STATUSES,
+  validateWaybill,
+  buildWaybillFromOrder,
+  resolveWaybillParties
+} from '../models/waybill.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+export class WaybillRepository extends BaseRepository {
+  constructor() {
+    super('waybills');
+  }
+
+  /**
+   * Get the null object for waybills
+   * @returns {NullWaybill} Null waybill instance
+   */
+  getNullObject() {
+    return NULL_WAYBILL;
+  }
+
+  /**
+   * Store a validated waybill
+   * @param {Object} waybill - Waybill data
+   * @returns {Promise<Object>} Created waybill
+   */
+  async record(waybill) {
+    const { error, value } = validateWaybill(waybill);
+    if (error) {
+      throw new ApiError('Invalid waybill', 400, error.details.map(d => d.message));
+    }
+    return this.create(value);
+  }
+
+  /**
+   * Create the waybill for a car order unless it already has one
+   * @param {Object} order - Car order with _id
+   * @returns {Promise<Object>} New or existing waybill
+   */
+  async createForOrder(order) {
+    const existing = await this.findByOrder(order._id);
+    if (existing) {
+      return existing;
+    }
+    return this.record(buildWaybillFromOrder(order));
+  }
+
+  /**
+   * Find the waybill for a car order
+   * @param {string} carOrderId - Car order ID
+   * @returns {Promise<Object|null>} Waybill or null
+   */
+  async findByOrder(carOrderId) {
+    const waybills = await this.findBy({ carOrderId });
+    return waybills[0] || null;
+  }
+
+  /**
+   * Get every waybill a car has carried
+   * @param {string} carId - Car ID
+   * @returns {Promise<Array>} Waybills, oldest first
+   */
+  async findByCar(carId) {
+    const waybills = await this.findBy({ carId });
+    return waybills.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Put an order's waybill in a car's card pocket on the car's current cycle
+   * @param {Object} order - Car order with _id
+   * @param {Object} car - Car the order was matched to
+   * @returns {Promise<Object|null>} Updated waybill
+   */
+  async assignToCar(order, car) {
+    const waybill = await this.createForOrder(order);
+    return this.update(waybill._id, {
+      carId: car._id,
+      ...resolveWaybillParties(order, car),
+      status: WAYBILL_STATUSES.ASSIGNED,
+      cycle: car.waybillCycle || 1
+    });
+  }
+
+  /**
+   * Take an order's waybill back out of its car, e.g. when a train is cancelled
+   * @param {Object} order - Car order with _id
+   * @returns {Promise<Object|null>} Updated waybill, or null if the order has none
+   */
+  async release(order) {
+    const waybill = await this.findByOrder(order._id);
+    if (!waybill) {
+      return null;
+    }
+    return this.update(waybill._id, {
+      carId: null,
+      ...resolveWaybillParties(order),
+      status: WAYBILL_STATUSES.OPEN,
+      cycle: null
+    });
+  }
+
+  /**
+   * Mark an order's waybill delivered
+   * @param {Object} order - Car order with _id
+   * @returns {Promise<Object|null>} Updated waybill, or null if the order has none
+   */
+  async markDelivered(order) {
+    const waybill = await this.findByOrder(order._id);
+    if (!waybill) {
+      return null;
+    }
+    return this.update(waybill._id, {
+      status: WAYBILL_STATUSES.DELIVERED,
+      deliveredAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delete the waybill for a car order
+   * @param {string} carOrderId - Car order ID
+   * @returns {Promise<number>} Number of waybills deleted
+   */
+  async deleteForOrder(carOrderId) {
+    const waybill = await this.findByOrder(carOrderId);
+    return waybill ? this.delete(waybill._id) : 0;
+  }
+}
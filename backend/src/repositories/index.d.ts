@@ -8,6 +8,7 @@ import { AarTypeRepository } from './AarTypeRepository.js';
 
 export type EntityName = 
   | 'trains'
+  | 'completedTrains'
   | 'aarTypes'
   | 'cars'
   | 'locomotives'
@@ -18,7 +19,14 @@ export type EntityName =
   | 'tracks'
   | 'goods'
   | 'carOrders'
-  | 'operatingSessions';
+  | 'operatingSessions'
+  | 'carMovements'
+  | 'sessionSnapshots'
+  | 'waybills'
+  | 'carRoutingRules'
+  | 'users'
+  | 'authTokens'
+  | 'layouts';
 
 export type RepositoryType<T extends EntityName> = 
   T extends 'trains' ? TrainRepository :
@@ -5,6 +5,7 @@
 
 import { BaseRepository } from './BaseRepository.js';
 import { TrainRepository } from './TrainRepository.js';
+import { CompletedTrainRepository } from './CompletedTrainRepository.js';
 import { AarTypeRepository } from './AarTypeRepository.js';
 import { CarRepository } from './CarRepository.js';
 import { IndustryRepository } from './IndustryRepository.js';
@@ -16,6 +17,13 @@ import { StationRepository } from './StationRepository.js';
 import { BlockRepository } from './BlockRepository.js';
 import { TrackRepository } from './TrackRepository.js';
 import { GoodRepository } from './GoodRepository.js';
+import { CarMovementRepository } from './CarMovementRepository.js';
+import { SessionSnapshotRepository } from './SessionSnapshotRepository.js';
+import { WaybillRepository } from './WaybillRepository.js';
+import { CarRoutingRuleRepository } from './CarRoutingRuleRepository.js';
+import { UserRepository } from './UserRepository.js';
+import { AuthTokenRepository } from './AuthTokenRepository.js';
+import { LayoutRepository } from './LayoutRepository.js';
 
 // Repository instances cache
 const repositories = new Map();
@@ -38,6 +46,9 @@ export function getRepository(entityName) {
     case 'trains':
       repository = new TrainRepository();
       break;
+    case 'completedTrains':
+      repository = new CompletedTrainRepository();
+      break;
     case 'aarTypes':
       repository = new AarTypeRepository();
       break;
@@ -71,6 +82,27 @@ export function getRepository(entityName) {
     case 'goods':
       repository = new GoodRepository();
       break;
+    case 'carMovements':
+      repository = new CarMovementRepository();
+      break;
+    case 'sessionSnapshots':
+      repository = new SessionSnapshotRepository();
+      break;
+    case 'waybills':
+      repository = new WaybillRepository();
+      break;
+    case 'carRoutingRules':
+      repository = new CarRoutingRuleRepository();
+      break;
+    case 'users':
+      repository = new UserRepository();
+      break;
+    case 'authTokens':
+      repository = new AuthTokenRepository();
+      break;
+    case 'layouts':
+      repository = new LayoutRepository();
+      break;
     default:
       throw new Error(`Unknown entity: ${entityName}`);
   }
@@ -87,6 +119,7 @@ export function getRepository(entityName) {
 export function getAvailableRepositories() {
   return [
     'trains',
+    'completedTrains',
     'aarTypes',
     'cars',
     'locomotives',
@@ -97,7 +130,14 @@ export function getAvailableRepositories() {
     'tracks',
     'goods',
     'carOrders',
-    'operatingSessions'
+    'operatingSessions',
+    'carMovements',
+    'sessionSnapshots',
+    'waybills',
+    'carRoutingRules',
+    'users',
+    'authTokens',
+    'layouts'
   ];
 }
 
@@ -149,3 +189,10 @@ export { StationRepository } from './StationRepository.js';
 export { BlockRepository } from './BlockRepository.js';
 export { TrackRepository } from './TrackRepository.js';
 export { GoodRepository } from './GoodRepository.js';
+export { CarMovementRepository } from './CarMovementRepository.js';
+export { SessionSnapshotRepository } from './SessionSnapshotRepository.js';
+export { WaybillRepository } from './WaybillRepository.js';
+export { CarRoutingRuleRepository } from './CarRoutingRuleRepository.js';
+export { UserRepository } from './UserRepository.js';
+export { AuthTokenRepository } from './AuthTokenRepository.js';
+export { LayoutRepository } from './LayoutRepository.js';
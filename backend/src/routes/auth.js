@@ -0,0 +1,30 @@
+import express from 'express';
+import { getService } from '../services/index.js';
+import { validateBody } from '../middleware/validation.js';
+import { authSchemas } from '../schemas/authSchemas.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+
+const router = express.Router();
+const authService = getService('auth');
+
+// POST /api/auth/login - Sign in and receive a bearer token
+router.post('/login',
+  validateBody(authSchemas.login),
+  asyncHandler(async (req, res) => {
+  const result = await authService.login(req.body.username, req.body.password);
+  res.json(ApiResponse.success(result, 'Signed in successfully'));
+}));
+
+// POST /api/auth/logout - Revoke the token used for this request
+router.post('/logout', asyncHandler(async (req, res) => {
+  await authService.logout(req.token);
+  res.json(ApiResponse.success(null, 'Signed out successfully'));
+}));
+
+// GET /api/auth/me - The signed-in user; null when authentication is off
+router.get('/me', asyncHandler(async (req, res) => {
+  res.json(ApiResponse.success(req.user || null, 'Current user retrieved successfully'));
+}));
+
+export default router;
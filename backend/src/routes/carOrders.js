@@ -17,6 +17,22 @@ router.get('/',
   res.json(ApiResponse.success(carOrders, 'Car orders retrieved successfully'));
 }));
 
+// GET /api/car-orders/stats - Order counts by status for a session
+router.get('/stats',
+  validateQuery(carOrderSchemas.stats),
+  asyncHandler(async (req, res) => {
+  const stats = await carOrderService.getOrderStats(req.query.sessionNumber);
+  res.json(ApiResponse.success(stats, 'Car order statistics retrieved successfully'));
+}));
+
+// GET /api/car-orders/demand-preview - Demand industries will generate over the coming sessions
+router.get('/demand-preview',
+  validateQuery(carOrderSchemas.demandPreview),
+  asyncHandler(async (req, res) => {
+  const preview = await carOrderService.previewDemand(req.query);
+  res.json(ApiResponse.success(preview, 'Demand preview generated successfully'));
+}));
+
 // GET /api/car-orders/:id - Get single order
 router.get('/:id', 
   validateParams(commonSchemas.params.id),
@@ -43,6 +59,14 @@ router.put('/:id',
   res.json(ApiResponse.success(updatedOrder, 'Car order updated successfully'));
 }));
 
+// POST /api/car-orders/:id/expedite - Make a pending order hot so it is filled first
+router.post('/:id/expedite',
+  validateParams(commonSchemas.params.id),
+  asyncHandler(async (req, res) => {
+  const expeditedOrder = await carOrderService.expediteOrder(req.params.id);
+  res.json(ApiResponse.success(expeditedOrder, 'Car order expedited successfully'));
+}));
+
 // DELETE /api/car-orders/:id - Delete order
 router.delete('/:id', 
   validateParams(commonSchemas.params.id),
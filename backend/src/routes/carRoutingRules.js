@@ -0,0 +1,95 @@
+import express from 'express';
+import { getRepository } from '../repositories/index.js';
+import { dbHelpers } from '../database/index.js';
+import { validateCarRoutingRule, ROUTING_ACTIONS } from '../models/carRoutingRule.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { throwIfNull } from '../utils/nullObjectHelpers.js';
+
+const router = express.Router();
+const ruleRepository = getRepository('carRoutingRules');
+const aarTypeRepository = getRepository('aarTypes');
+const industryRepository = getRepository('industries');
+
+// Verify the AAR type and destination industry a rule refers to exist
+const verifyReferences = async ({ aarTypeId, destinationIndustryId }) => {
+  if (aarTypeId) {
+    const aarType = await aarTypeRepository.findByIdOrNull(aarTypeId);
+    throwIfNull(aarType, `AAR type '${aarTypeId}' does not exist`, 404);
+  }
+  if (destinationIndustryId) {
+    const industry = await industryRepository.findByIdOrNull(destinationIndustryId);
+    throwIfNull(industry, `Industry with ID '${destinationIndustryId}' does not exist`, 404);
+  }
+};
+
+// GET /api/car-routing-rules - Get all routing rules
+router.get('/', asyncHandler(async (req, res) => {
+  const rules = await ruleRepository.findAll();
+  res.json(ApiResponse.success(rules, 'Car routing rules retrieved successfully'));
+}));
+
+// GET /api/car-routing-rules/:id - Get routing rule by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const rule = await ruleRepository.findByIdOrNull(req.params.id);
+  throwIfNull(rule, 'Car routing rule not found', 404);
+  res.json(ApiResponse.success(rule, 'Car routing rule retrieved successfully'));
+}));
+
+// POST /api/car-routing-rules - Create new routing rule
+router.post('/', asyncHandler(async (req, res) => {
+  const { error, value } = validateCarRoutingRule(req.body);
+  if (error) {
+    throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  await verifyReferences(value);
+
+  const newRule = await dbHelpers.create('carRoutingRules', value);
+  res.status(201).json(ApiResponse.success(newRule, 'Car routing rule created successfully', 201));
+}));
+
+// PUT /api/car-routing-rules/:id - Update routing rule
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { error, value } = validateCarRoutingRule(req.body, true);
+  if (error) {
+    throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  const existingRule = await ruleRepository.findByIdOrNull(req.params.id);
+  throwIfNull(existingRule, 'Car routing rule not found', 404);
+
+  // Switching a rule to route-to needs a destination, whether new or already stored
+  const action = value.action || existingRule.action;
+  const destinationIndustryId = value.destinationIndustryId !== undefined
+    ? value.destinationIndustryId
+    : existingRule.destinationIndustryId;
+  if (action === ROUTING_ACTIONS.ROUTE_TO && !destinationIndustryId) {
+    throw new ApiError('Validation failed', 400, ['"destinationIndustryId" is required when action is route-to']);
+  }
+
+  await verifyReferences(value);
+
+  const updated = await dbHelpers.update('carRoutingRules', req.params.id, value);
+  if (updated === 0) {
+    throw new ApiError('Car routing rule not found', 404);
+  }
+
+  const rule = await dbHelpers.findById('carRoutingRules', req.params.id);
+  res.json(ApiResponse.success(rule, 'Car routing rule updated successfully'));
+}));
+
+// DELETE /api/car-routing-rules/:id - Delete routing rule
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const existingRule = await ruleRepository.findByIdOrNull(req.params.id);
+  throwIfNull(existingRule, 'Car routing rule not found', 404);
+
+  const deleted = await dbHelpers.delete('carRoutingRules', req.params.id);
+  if (deleted === 0) {
+    throw new ApiError('Car routing rule not found', 404);
+  }
+
+  res.json(ApiResponse.success(null, 'Car routing rule deleted successfully'));
+}));
+
+export default router;
@@ -6,11 +6,24 @@ import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { CarTransformer, parsePagination, parseFields } from '../transformers/index.js';
 import { throwIfNull } from '../utils/nullObjectHelpers.js';
+import { getService } from '../services/index.js';
+import { MOVEMENT_REASONS } from '../models/carMovement.js';
+import { publishLayoutEvent, LAYOUT_EVENTS } from '../utils/layoutEvents.js';
 
 const router = express.Router();
 const carTransformer = new CarTransformer();
 const carRepository = getRepository('cars');
 const industryRepository = getRepository('industries');
+const carMovementRepository = getRepository('carMovements');
+
+// Record a location change made directly through the cars API
+const recordManualMove = async (car, destination) => {
+  const session = await getService('session').getCurrentSession();
+  return carMovementRepository.recordMove(car, destination, {
+    reason: MOVEMENT_REASONS.MANUAL,
+    sessionNumber: session.currentSessionNumber
+  });
+};
 
 // GET /api/cars - Get all cars with optional filtering
 router.get('/', asyncHandler(async (req, res) => {
@@ -72,6 +85,11 @@ router.post('/', asyncHandler(async (req, res) => {
     lastMoved: new Date()
   });
 
+  await recordManualMove(
+    { _id: newCar._id, currentIndustry: null, currentTrack: null },
+    { industryId: newCar.currentIndustry, trackId: newCar.currentTrack, currentLoad: newCar.currentLoad || null }
+  );
+
   res.status(201).json(ApiResponse.success(newCar, 'Car created successfully', 201));
 }));
 
@@ -82,12 +100,27 @@ router.put('/:id', asyncHandler(async (req, res) => {
     throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
   }
 
+  const existingCar = await carRepository.findByIdOrNull(req.params.id);
+  throwIfNull(existingCar, 'Car not found', 404);
+
   const updated = await dbHelpers.update('cars', req.params.id, value);
   if (updated === 0) {
     throw new ApiError('Car not found', 404);
   }
 
+  const moved = value.currentIndustry !== undefined || value.currentTrack !== undefined;
+  if (moved) {
+    await recordManualMove(existingCar, {
+      industryId: value.currentIndustry !== undefined ? value.currentIndustry : existingCar.currentIndustry,
+      trackId: value.currentTrack !== undefined ? value.currentTrack : existingCar.currentTrack,
+      currentLoad: value.currentLoad
+    });
+  }
+
   const car = await dbHelpers.findById('cars', req.params.id);
+  if (moved) {
+    publishLayoutEvent(LAYOUT_EVENTS.CARS_MOVED, { cars: [car] });
+  }
   res.json(ApiResponse.success(car, 'Car updated successfully'));
 }));
 
@@ -102,8 +135,12 @@ router.post('/:id/move', asyncHandler(async (req, res) => {
   const industry = await industryRepository.findByIdOrNull(destinationIndustryId);
   throwIfNull(industry, 'Destination industry not found', 404);
 
+  const existingCar = await carRepository.findByIdOrNull(req.params.id);
+  throwIfNull(existingCar, 'Car not found', 404);
+
   const updated = await dbHelpers.update('cars', req.params.id, {
     currentIndustry: destinationIndustryId,
+    currentTrack: null,
     lastMoved: new Date(),
     sessionsAtCurrentLocation: 0
   });
@@ -112,10 +149,22 @@ router.post('/:id/move', asyncHandler(async (req, res) => {
     throw new ApiError('Car not found', 404);
   }
 
+  await recordManualMove(existingCar, { industryId: destinationIndustryId, trackId: null });
+
   const car = await dbHelpers.findById('cars', req.params.id);
+  publishLayoutEvent(LAYOUT_EVENTS.CARS_MOVED, { cars: [car] });
   res.json(ApiResponse.success(car, 'Car moved successfully'));
 }));
 
+// GET /api/cars/:id/history - Get movement history for a car
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const car = await carRepository.findByIdOrNull(req.params.id);
+  throwIfNull(car, 'Car not found', 404);
+
+  const history = await carMovementRepository.findByCar(req.params.id);
+  res.json(ApiResponse.success(history, 'Car history retrieved successfully'));
+}));
+
 // DELETE /api/cars/:id - Delete car
 router.delete('/:id', asyncHandler(async (req, res) => {
   const deleted = await dbHelpers.delete('cars', req.params.id);
@@ -1,6 +1,8 @@
 import express from 'express';
 import { getRepository } from '../repositories/index.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { dbHelpers } from '../database/index.js';
+import { validateGood } from '../models/good.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { throwIfNull } from '../utils/nullObjectHelpers.js';
 
@@ -18,4 +20,23 @@ router.get('/:id', asyncHandler(async (req, res) => {
   res.json(ApiResponse.success(good, 'Good retrieved successfully'));
 }));
 
+// PUT /api/goods/:id - Update a good, e.g. its loading and unloading times
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { error, value } = validateGood(req.body, true);
+  if (error) {
+    throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  const existingGood = await goodRepository.findByIdOrNull(req.params.id);
+  throwIfNull(existingGood, 'Good not found', 404);
+
+  const updated = await dbHelpers.update('goods', req.params.id, value);
+  if (updated === 0) {
+    throw new ApiError('Good not found', 404);
+  }
+
+  const good = await dbHelpers.findById('goods', req.params.id);
+  res.json(ApiResponse.success(good, 'Good updated successfully'));
+}));
+
 export default router;
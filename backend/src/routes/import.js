@@ -5,42 +5,40 @@ import { dbHelpers } from '../database/index.js';
 import { validateCar } from '../models/car.js';
 import { validateIndustry } from '../models/industry.js';
 import { validateRoute } from '../models/route.js';
+import { validateTrack } from '../models/track.js';
+import { validateCarRoutingRule } from '../models/carRoutingRule.js';
+import { MOVEMENT_REASONS } from '../models/carMovement.js';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { isNullObject } from '../patterns/NullObject.js';
+import { getService } from '../services/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { restoreLayout } from '../middleware/layout.js';
+import { ROLES } from '../models/user.js';
+import { JMRI_ROSTERS } from '../services/JmriService.js';
 
 const router = express.Router();
 const industryRepository = getRepository('industries');
 const stationRepository = getRepository('stations');
+const carMovementRepository = getRepository('carMovements');
+const waybillRepository = getRepository('waybills');
 const upload = multer({ storage: multer.memoryStorage() });
 
-// POST /api/import/json - Import JSON data
-router.post('/json', upload.single('file'), asyncHandler(async (req, res) => {
-  let data;
-  
-  if (req.file) {
-    // File upload
-    data = JSON.parse(req.file.buffer.toString());
-  } else if (req.body.data) {
-    // Direct JSON data
-    data = req.body.data;
-  } else {
-    throw new ApiError('Please provide either a file or JSON data', 400);
-  }
-
-    const results = {
-      imported: 0,
-      errors: [],
-      warnings: []
-    };
-
+/**
+ * Import layout data in dependency order, skipping records that fail validation
+ * @param {Object} data - Arrays of records keyed by collection
+ * @param {Object} results - { imported, errors, warnings } to add to
+ * @returns {Promise<Object>} results
+ */
+const importLayoutData = async (data, results = { imported: 0, errors: [], warnings: [] }) => {
     // Import in dependency order:
     // 1. Reference data (blocks, stations, goods, aarTypes)
     // 2. Industries (depend on stations)
     // 3. Tracks (depend on industries)
     // 4. Routes (depend on industries and stations)
     // 5. Rolling stock (cars, locomotives - depend on industries)
-    // 6. Trains (depend on routes and locomotives) - Phase 2.2
+    // 6. Car movement history and waybills (depend on cars)
+    // 7. Trains (depend on routes and locomotives) - Phase 2.2
 
     // Step 1: Import reference data first
     const referenceTypes = ['blocks', 'stations', 'goods', 'aarTypes'];
@@ -79,17 +77,37 @@ router.post('/json', upload.single('file'), asyncHandler(async (req, res) => {
     }
 
     // Step 3: Import tracks (which reference industries)
-    const trackTypes = ['tracks'];
+    if (data.tracks && Array.isArray(data.tracks)) {
+      for (const [index, trackData] of data.tracks.entries()) {
+        try {
+          const { error, value } = validateTrack(trackData);
+          if (error) {
+            results.errors.push(`Track ${index + 1}: ${error.details[0].message}`);
+            continue;
+          }
 
-    for (const entityType of trackTypes) {
-      if (data[entityType] && Array.isArray(data[entityType])) {
-        for (const [index, entityData] of data[entityType].entries()) {
-          try {
-            await dbHelpers.create(entityType, entityData);
-            results.imported++;
-          } catch (err) {
-            results.errors.push(`${entityType} ${index + 1}: ${err.message}`);
+          await dbHelpers.create('tracks', value);
+          results.imported++;
+        } catch (err) {
+          results.errors.push(`Track ${index + 1}: ${err.message}`);
+        }
+      }
+    }
+
+    // Step 3b: Import car routing rules (which may reference AAR types and industries)
+    if (data.carRoutingRules && Array.isArray(data.carRoutingRules)) {
+      for (const [index, ruleData] of data.carRoutingRules.entries()) {
+        try {
+          const { error, value } = validateCarRoutingRule(ruleData);
+          if (error) {
+            results.errors.push(`Car routing rule ${index + 1}: ${error.details[0].message}`);
+            continue;
           }
+
+          await dbHelpers.create('carRoutingRules', value);
+          results.imported++;
+        } catch (err) {
+          results.errors.push(`Car routing rule ${index + 1}: ${err.message}`);
         }
       }
     }
@@ -161,6 +179,9 @@ router.post('/json', upload.single('file'), asyncHandler(async (req, res) => {
 
     // Step 5: Import rolling stock (cars and locomotives - depend on industries)
     if (data.cars && Array.isArray(data.cars)) {
+      let sessionNumber = null;
+      // Cars exported with their history get it back in step 6 instead of a fresh opening entry
+      const carsWithHistory = new Set(Array.isArray(data.carMovements) ? data.carMovements.map(movement => movement.carId) : []);
       for (const [index, carData] of data.cars.entries()) {
         try {
           const { error, value } = validateCar(carData);
@@ -180,12 +201,25 @@ router.post('/json', upload.single('file'), asyncHandler(async (req, res) => {
             continue;
           }
 
-          await dbHelpers.create('cars', {
+          const newCar = await dbHelpers.create('cars', {
             ...value,
             sessionsAtCurrentLocation: value.sessionsAtCurrentLocation || 0,
             lastMoved: value.lastMoved ? new Date(value.lastMoved) : new Date()
           });
 
+          // Open the car's movement history at its imported location
+          if (!carsWithHistory.has(newCar._id)) {
+            if (sessionNumber === null) {
+              const session = await getService('session').getCurrentSession();
+              sessionNumber = session.currentSessionNumber;
+            }
+            await carMovementRepository.recordMove(
+              { _id: newCar._id, currentIndustry: null, currentTrack: null },
+              { industryId: value.currentIndustry, trackId: value.currentTrack, currentLoad: value.currentLoad || null },
+              { reason: MOVEMENT_REASONS.IMPORT, sessionNumber }
+            );
+          }
+
           results.imported++;
         } catch (err) {
           results.errors.push(`Car ${index + 1}: ${err.message}`);
@@ -209,13 +243,87 @@ router.post('/json', upload.single('file'), asyncHandler(async (req, res) => {
       }
     }
 
+    // Step 6: Restore exported movement history (depends on cars)
+    if (data.carMovements && Array.isArray(data.carMovements)) {
+      for (const [index, movementData] of data.carMovements.entries()) {
+        try {
+          await carMovementRepository.record(movementData);
+          results.imported++;
+        } catch (err) {
+          results.errors.push(`Car movement ${index + 1}: ${err.message}`);
+        }
+      }
+    }
+
+    // Restore exported waybills, so each car's waybill cycle still has its panels (depends on cars)
+    if (data.waybills && Array.isArray(data.waybills)) {
+      for (const [index, waybillData] of data.waybills.entries()) {
+        try {
+          await waybillRepository.record(waybillData);
+          results.imported++;
+        } catch (err) {
+          results.errors.push(`Waybill ${index + 1}: ${err.details?.[0] || err.message}`);
+        }
+      }
+    }
+
+  return results;
+};
+
+// POST /api/import/json - Import JSON data
+router.post('/json', upload.single('file'), restoreLayout, asyncHandler(async (req, res) => {
+  let data;
+  
+  if (req.file) {
+    // File upload
+    data = JSON.parse(req.file.buffer.toString());
+  } else if (req.body.data) {
+    // Direct JSON data
+    data = req.body.data;
+  } else {
+    throw new ApiError('Please provide either a file or JSON data', 400);
+  }
+
+  const results = await importLayoutData(data);
+
   res.json(ApiResponse.success(results, `Import completed: ${results.imported} records imported, ${results.errors.length} errors, ${results.warnings.length} warnings`));
 }));
 
+// POST /api/import/jmri - Import JMRI Operations roster files (locations, cars, engines, routes)
+router.post('/jmri', upload.array('files'), restoreLayout, asyncHandler(async (req, res) => {
+  let documents;
+
+  if (req.files && req.files.length > 0) {
+    documents = req.files.map(file => file.buffer.toString());
+  } else if (Array.isArray(req.body.files) && req.body.files.length > 0) {
+    // XML text sent directly
+    documents = req.body.files;
+  } else {
+    throw new ApiError('Please provide one or more JMRI roster files', 400);
+  }
+
+  const { data, rosters, errors, warnings } = await getService('jmri').fromJmri(documents);
+  const results = await importLayoutData(data, { imported: 0, errors, warnings });
+
+  res.json(ApiResponse.success(
+    { ...results, rosters },
+    `JMRI import completed: ${results.imported} records imported, ${results.errors.length} errors, ${results.warnings.length} warnings`
+  ));
+}));
+
+// GET /api/import/jmri/:roster - Export a JMRI Operations roster file
+router.get('/jmri/:roster', asyncHandler(async (req, res) => {
+  const xml = await getService('jmri').toJmri(req.params.roster);
+
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${JMRI_ROSTERS[req.params.roster].fileName}"`);
+  res.send(xml);
+}));
+
 // GET /api/import/export - Export all data to JSON
 router.get('/export', asyncHandler(async (req, res) => {
   const exportData = {};
-  const collections = ['cars', 'locomotives', 'industries', 'stations', 'goods', 'aarTypes', 'blocks', 'tracks', 'routes', 'operatingSessions', 'carOrders'];
+  const collections = ['cars', 'locomotives', 'industries', 'stations', 'goods', 'aarTypes', 'blocks', 'tracks', 'routes', 'operatingSessions', 'carOrders', 'carMovements', 'waybills', 'carRoutingRules'];
 
   for (const collection of collections) {
     exportData[collection] = await dbHelpers.findAll(collection);
@@ -229,9 +337,9 @@ router.get('/export', asyncHandler(async (req, res) => {
   res.json(ApiResponse.success(responseData, 'Data exported successfully'));
 }));
 
-// POST /api/import/clear - Clear all data (for testing)
-router.post('/clear', asyncHandler(async (req, res) => {
-  const collections = ['cars', 'locomotives', 'industries', 'stations', 'goods', 'aarTypes', 'blocks', 'tracks', 'routes', 'operatingSessions', 'carOrders'];
+// POST /api/import/clear - Clear all layout data (for testing); accounts are kept
+router.post('/clear', requireRole(ROLES.SUPERINTENDENT), asyncHandler(async (req, res) => {
+  const collections = ['cars', 'locomotives', 'industries', 'stations', 'goods', 'aarTypes', 'blocks', 'tracks', 'routes', 'operatingSessions', 'carOrders', 'carMovements', 'completedTrains', 'sessionSnapshots', 'waybills', 'carRoutingRules'];
   let totalCleared = 0;
 
   for (const collection of collections) {
@@ -0,0 +1,64 @@
+import express from 'express';
+import { getService } from '../services/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validation.js';
+import { layoutSchemas } from '../schemas/layoutSchemas.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { ROLES } from '../models/user.js';
+
+const router = express.Router();
+const layoutService = getService('layout');
+
+// GET /api/layouts - List layouts, the default layout first
+router.get('/', asyncHandler(async (req, res) => {
+  const layouts = await layoutService.listLayouts();
+  res.json(ApiResponse.success(layouts, 'Layouts retrieved successfully'));
+}));
+
+// GET /api/layouts/:id - Get layout
+router.get('/:id', asyncHandler(async (req, res) => {
+  const layout = await layoutService.getLayout(req.params.id);
+  res.json(ApiResponse.success(layout, 'Layout retrieved successfully'));
+}));
+
+// POST /api/layouts - Create an empty layout
+router.post('/',
+  requireRole(ROLES.SUPERINTENDENT),
+  validateBody(layoutSchemas.create),
+  asyncHandler(async (req, res) => {
+  const layout = await layoutService.createLayout(req.body);
+  res.status(201).json(ApiResponse.success(layout, 'Layout created successfully', 201));
+}));
+
+// POST /api/layouts/:id/clone - Copy a layout with all its data
+router.post('/:id/clone',
+  requireRole(ROLES.SUPERINTENDENT),
+  validateBody(layoutSchemas.clone),
+  asyncHandler(async (req, res) => {
+  const { layout, stats } = await layoutService.cloneLayout(req.params.id, req.body);
+  res.status(201).json(ApiResponse.success(
+    { layout, stats },
+    `Layout cloned: ${stats.totalCopied} records copied`,
+    201
+  ));
+}));
+
+// PUT /api/layouts/:id - Rename a layout or change its description
+router.put('/:id',
+  requireRole(ROLES.SUPERINTENDENT),
+  validateBody(layoutSchemas.update),
+  asyncHandler(async (req, res) => {
+  const layout = await layoutService.updateLayout(req.params.id, req.body);
+  res.json(ApiResponse.success(layout, 'Layout updated successfully'));
+}));
+
+// DELETE /api/layouts/:id - Delete a layout and all its data
+router.delete('/:id',
+  requireRole(ROLES.SUPERINTENDENT),
+  asyncHandler(async (req, res) => {
+  await layoutService.deleteLayout(req.params.id);
+  res.json(ApiResponse.success(null, 'Layout deleted successfully'));
+}));
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { getService } from '../services/index.js';
 import { validateBody } from '../middleware/validation.js';
+import { requireRole } from '../middleware/auth.js';
+import { ROLES } from '../models/user.js';
 import { sessionSchemas } from '../schemas/sessionSchemas.js';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
@@ -14,20 +16,32 @@ router.get('/current', asyncHandler(async (req, res) => {
   res.json(ApiResponse.success(currentSession, 'Current session retrieved successfully'));
 }));
 
+// GET /api/sessions/history - List restore points available for rollback
+router.get('/history', asyncHandler(async (req, res) => {
+  const history = await sessionService.getSessionHistory();
+  res.json(ApiResponse.success(history, 'Session history retrieved successfully'));
+}));
+
 // POST /api/sessions/advance - Advance to next session
 router.post('/advance', 
+  requireRole(ROLES.SUPERINTENDENT),
   validateBody(sessionSchemas.advance),
   asyncHandler(async (req, res) => {
-  const result = await sessionService.advanceSession(req.body.description);
+  const result = await sessionService.advanceSession(req.body.description, req.body.snapshotName);
   res.json(ApiResponse.success(result.session, `Advanced to session ${result.stats.advancedToSession}`));
 }));
 
-// POST /api/sessions/rollback - Rollback to previous session
+// POST /api/sessions/rollback - Rollback one or more sessions, or to a named restore point
 router.post('/rollback', 
+  requireRole(ROLES.SUPERINTENDENT),
   validateBody(sessionSchemas.rollback),
   asyncHandler(async (req, res) => {
-  const result = await sessionService.rollbackSession(req.body.description);
-  res.json(ApiResponse.success(result.session, `Rolled back to session ${result.stats.rolledBackToSession}`));
+  const { description, steps, snapshotName } = req.body;
+  const result = await sessionService.rollbackSession(description, { steps, snapshotName });
+  res.json({
+    ...ApiResponse.success(result.session, `Rolled back to session ${result.stats.rolledBackToSession}`),
+    integrity: result.integrity
+  });
 }));
 
 // PUT /api/sessions/current - Update current session description
@@ -38,4 +52,43 @@ router.put('/current',
   res.json(ApiResponse.success(updatedSession, 'Session description updated successfully'));
 }));
 
+// GET /api/sessions/clock - Read the fast clock
+router.get('/clock', asyncHandler(async (req, res) => {
+  const clock = await sessionService.getFastClock();
+  res.json(ApiResponse.success(clock, 'Fast clock retrieved successfully'));
+}));
+
+// PUT /api/sessions/clock - Change the fast clock's ratio, start time or the time it shows
+router.put('/clock',
+  requireRole(ROLES.SUPERINTENDENT, ROLES.DISPATCHER),
+  validateBody(sessionSchemas.fastClock),
+  asyncHandler(async (req, res) => {
+  const clock = await sessionService.updateFastClock(req.body);
+  res.json(ApiResponse.success(clock, 'Fast clock updated successfully'));
+}));
+
+// POST /api/sessions/clock/start - Start or resume the fast clock
+router.post('/clock/start',
+  requireRole(ROLES.SUPERINTENDENT, ROLES.DISPATCHER),
+  asyncHandler(async (req, res) => {
+  const clock = await sessionService.startFastClock();
+  res.json(ApiResponse.success(clock, 'Fast clock started'));
+}));
+
+// POST /api/sessions/clock/pause - Pause the fast clock
+router.post('/clock/pause',
+  requireRole(ROLES.SUPERINTENDENT, ROLES.DISPATCHER),
+  asyncHandler(async (req, res) => {
+  const clock = await sessionService.pauseFastClock();
+  res.json(ApiResponse.success(clock, 'Fast clock paused'));
+}));
+
+// POST /api/sessions/clock/reset - Set the fast clock back to its start time, paused
+router.post('/clock/reset',
+  requireRole(ROLES.SUPERINTENDENT, ROLES.DISPATCHER),
+  asyncHandler(async (req, res) => {
+  const clock = await sessionService.resetFastClock();
+  res.json(ApiResponse.success(clock, 'Fast clock reset'));
+}));
+
 export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { getService } from '../services/index.js';
+import { validateQuery } from '../middleware/validation.js';
+import { reportSchemas } from '../schemas/reportSchemas.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { REPORTS } from '../models/report.js';
+import { toCsv } from '../utils/csv.js';
+
+const router = express.Router();
+const reportService = getService('report');
+
+// Reports by URL name: the service method that builds each and the query it takes
+// The reports that name trains are built for the signed-in user, so a crew sees only its own trains
+const ENDPOINTS = {
+  'car-movements': { build: (query, user) => reportService.getCarMovementHistory(query, user), schema: reportSchemas.carMovements },
+  'car-utilization': { build: (query) => reportService.getCarUtilization(query), schema: reportSchemas.query },
+  'idle-cars': { build: (query) => reportService.getIdleCars(query), schema: reportSchemas.idleCars },
+  'industry-activity': { build: (query) => reportService.getIndustryActivity(query), schema: reportSchemas.query },
+  goods: { build: (query) => reportService.getGoodsFulfillment(query), schema: reportSchemas.query },
+  'train-performance': { build: (query, user) => reportService.getTrainPerformance(query, user), schema: reportSchemas.query },
+  'locomotive-usage': { build: (query, user) => reportService.getLocomotiveUsage(query, user), schema: reportSchemas.query }
+};
+
+// GET /api/reports - List the reports and their columns
+router.get('/', (req, res) => {
+  const reports = Object.entries(REPORTS).map(([name, { title, columns }]) => ({ name, title, columns }));
+  res.json(ApiResponse.success(reports, 'Reports retrieved successfully'));
+});
+
+// GET /api/reports/:name - One report as JSON, or as a CSV download with ?format=csv
+for (const [name, endpoint] of Object.entries(ENDPOINTS)) {
+  router.get(`/${name}`,
+    validateQuery(endpoint.schema),
+    asyncHandler(async (req, res) => {
+    const { format, ...filters } = req.query;
+    const report = await endpoint.build(filters, req.user);
+    const { title, columns } = REPORTS[name];
+
+    if (format === 'csv') {
+      const filename = `${name}-sessions-${report.filters.fromSession}-${report.filters.toSession}.csv`;
+      res.type('text/csv')
+        .set('Content-Disposition', `attachment; filename="${filename}"`)
+        .send(toCsv(report.rows, columns));
+      return;
+    }
+
+    res.json(ApiResponse.success({ name, title, columns, ...report }, `${title} report generated successfully`));
+  }));
+}
+
+export default router;
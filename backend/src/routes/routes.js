@@ -78,6 +78,12 @@ router.post('/', asyncHandler(async (req, res) => {
     }
   }
 
+  // Verify every stop names a station
+  for (const stop of value.stops || []) {
+    const station = await stationRepository.findByIdOrNull(stop.stationId);
+    throwIfNull(station, `Station with ID '${stop.stationId}' does not exist`, 404);
+  }
+
   const newRoute = await dbHelpers.create('routes', value);
 
   res.status(201).json(ApiResponse.success(newRoute, 'Route created successfully', 201));
@@ -131,6 +137,12 @@ router.put('/:id', asyncHandler(async (req, res) => {
       }
     }
 
+    // Verify every stop names a station (if being updated)
+    for (const stop of value.stops || []) {
+      const station = await stationRepository.findByIdOrNull(stop.stationId);
+      throwIfNull(station, `Station with ID '${stop.stationId}' does not exist`, 404);
+    }
+
     const updated = await dbHelpers.update('routes', req.params.id, value);
     if (updated === 0) {
       throw new ApiError('Route not found', 404);
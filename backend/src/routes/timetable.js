@@ -0,0 +1,28 @@
+import express from 'express';
+import { getService } from '../services/index.js';
+import { validateQuery } from '../middleware/validation.js';
+import { trainSchemas } from '../schemas/trainSchemas.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { buildTimetableView, renderTimetableHtml } from '../renderers/timetableRenderer.js';
+
+const router = express.Router();
+const timetableService = getService('timetable');
+
+// GET /api/timetable - Scheduled trains for a session, earliest first, with meet/pass conflicts
+router.get('/',
+  validateQuery(trainSchemas.timetable),
+  asyncHandler(async (req, res) => {
+  const timetable = await timetableService.getTimetable(req.query, req.user);
+  res.json(ApiResponse.success(timetable, 'Timetable retrieved successfully'));
+}));
+
+// GET /api/timetable/timetable.html - Printable timetable page
+router.get('/timetable.html',
+  validateQuery(trainSchemas.timetable),
+  asyncHandler(async (req, res) => {
+  const timetable = await timetableService.getTimetable(req.query, req.user);
+  res.type('html').send(renderTimetableHtml(buildTimetableView(timetable)));
+}));
+
+export default router;
@@ -1,21 +1,146 @@
 import express from 'express';
 import { getRepository } from '../repositories/index.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { dbHelpers } from '../database/index.js';
+import { validateTrack, summarizeTrackOccupancy, ALL_CAR_TYPES } from '../models/track.js';
+import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { throwIfNull } from '../utils/nullObjectHelpers.js';
 
 const router = express.Router();
 const trackRepository = getRepository('tracks');
+const industryRepository = getRepository('industries');
+const aarTypeRepository = getRepository('aarTypes');
 
+// Verify every accepted car type (other than the 'all' wildcard) exists
+const verifyAcceptedCarTypes = async (acceptedCarTypes) => {
+  for (const aarTypeId of acceptedCarTypes) {
+    if (aarTypeId === ALL_CAR_TYPES) continue;
+    const aarType = await aarTypeRepository.findByIdOrNull(aarTypeId);
+    throwIfNull(aarType, `AAR type '${aarTypeId}' does not exist`, 404);
+  }
+};
+
+// Reject a second track with the same name at the same industry
+const verifyUniqueName = async (name, industryId, excludeId = null) => {
+  const duplicates = await dbHelpers.findByQuery('tracks', { industryId, name });
+  if (duplicates.some(track => track._id !== excludeId)) {
+    throw new ApiError('A track with this name already exists at this industry', 409);
+  }
+};
+
+// GET /api/tracks - Get all tracks, optionally filtered by industry
 router.get('/', asyncHandler(async (req, res) => {
-  const tracks = await trackRepository.findAll();
+  const { industryId } = req.query;
+  const tracks = industryId
+    ? await trackRepository.findByIndustry(industryId)
+    : await trackRepository.findAll();
   res.json(ApiResponse.success(tracks, 'Tracks retrieved successfully'));
 }));
 
+// GET /api/tracks/:id - Get track by ID
 router.get('/:id', asyncHandler(async (req, res) => {
   const track = await trackRepository.findByIdOrNull(req.params.id);
   throwIfNull(track, 'Track not found', 404);
   res.json(ApiResponse.success(track, 'Track retrieved successfully'));
 }));
 
+// GET /api/tracks/:id/occupancy - Get cars currently on the track and its fill level
+router.get('/:id/occupancy', asyncHandler(async (req, res) => {
+  const track = await trackRepository.findByIdOrNull(req.params.id);
+  throwIfNull(track, 'Track not found', 404);
+
+  const cars = await trackRepository.findCarsOnTrack(track);
+  res.json(ApiResponse.success(summarizeTrackOccupancy(track, cars), 'Track occupancy retrieved successfully'));
+}));
+
+// POST /api/tracks - Create new track
+router.post('/', asyncHandler(async (req, res) => {
+  const { error, value } = validateTrack(req.body);
+  if (error) {
+    throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  const industry = await industryRepository.findByIdOrNull(value.industryId);
+  throwIfNull(industry, `Industry with ID '${value.industryId}' does not exist`, 404);
+
+  await verifyAcceptedCarTypes(value.acceptedCarTypes);
+  await verifyUniqueName(value.name, value.industryId);
+
+  const newTrack = await dbHelpers.create('tracks', value);
+  res.status(201).json(ApiResponse.success(newTrack, 'Track created successfully', 201));
+}));
+
+// PUT /api/tracks/:id - Update track
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { error, value } = validateTrack(req.body, true);
+  if (error) {
+    throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+  }
+
+  const existingTrack = await trackRepository.findByIdOrNull(req.params.id);
+  throwIfNull(existingTrack, 'Track not found', 404);
+
+  if (value.industryId && value.industryId !== existingTrack.industryId) {
+    const industry = await industryRepository.findByIdOrNull(value.industryId);
+    throwIfNull(industry, `Industry with ID '${value.industryId}' does not exist`, 404);
+  }
+
+  if (value.acceptedCarTypes) {
+    await verifyAcceptedCarTypes(value.acceptedCarTypes);
+  }
+
+  if (value.name || value.industryId) {
+    await verifyUniqueName(
+      value.name || existingTrack.name,
+      value.industryId || existingTrack.industryId,
+      req.params.id
+    );
+  }
+
+  // Cars on the track constrain moving it or shrinking it
+  const movesIndustry = value.industryId && value.industryId !== existingTrack.industryId;
+  if (movesIndustry || value.capacity !== undefined) {
+    const carsOnTrack = await trackRepository.findCarsOnTrack(existingTrack);
+    if (movesIndustry && carsOnTrack.length > 0) {
+      throw new ApiError('Cannot move a track to another industry while cars are on it', 409);
+    }
+    if (value.capacity !== undefined && value.capacity < carsOnTrack.length) {
+      throw new ApiError(
+        `Cannot reduce capacity below the ${carsOnTrack.length} car(s) currently on the track`,
+        409
+      );
+    }
+  }
+
+  const updated = await dbHelpers.update('tracks', req.params.id, value);
+  if (updated === 0) {
+    throw new ApiError('Track not found', 404);
+  }
+
+  const track = await dbHelpers.findById('tracks', req.params.id);
+  res.json(ApiResponse.success(track, 'Track updated successfully'));
+}));
+
+// DELETE /api/tracks/:id - Delete track
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const existingTrack = await trackRepository.findByIdOrNull(req.params.id);
+  throwIfNull(existingTrack, 'Track not found', 404);
+
+  const assignedCars = await dbHelpers.findByQuery('cars', { currentTrack: req.params.id });
+  if (assignedCars.length > 0) {
+    throw new ApiError(
+      `Cannot delete track. ${assignedCars.length} car(s) are spotted on it`,
+      409,
+      assignedCars.map(car => `${car.reportingMarks} ${car.reportingNumber}`)
+    );
+  }
+
+  const deleted = await dbHelpers.delete('tracks', req.params.id);
+  if (deleted === 0) {
+    throw new ApiError('Track not found', 404);
+  }
+
+  res.json(ApiResponse.success(null, 'Track deleted successfully'));
+}));
+
 export default router;
@@ -7,15 +7,58 @@ import { commonSchemas } from '../schemas/commonSchemas.js';
 import { asyncHandler, ApiError } from '../middleware/errorHandler.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { validateLocomotiveAssignments, validateTrainNameUniqueness } from '../models/train.js';
+import { ROLES, canSeeTrain } from '../models/user.js';
+import { validateSchedule } from '../models/timetable.js';
+import { resolveRouteStations } from '../models/routing.js';
 import { throwIfNull } from '../utils/nullObjectHelpers.js';
+import { buildSwitchListView, renderSwitchListHtml, renderSwitchListPdf } from '../renderers/switchListRenderer.js';
 
 const router = express.Router();
 const trainRepository = getRepository('trains');
 const sessionRepository = getRepository('operatingSessions');
 const routeRepository = getRepository('routes');
 const locomotiveRepository = getRepository('locomotives');
+const industryRepository = getRepository('industries');
+const userRepository = getRepository('users');
 const trainService = getService('train');
 
+// Verify every crew member assigned to a train has an active crew account
+const verifyCrew = async (crewUserIds = []) => {
+  for (const userId of crewUserIds) {
+    const user = await userRepository.findByIdOrNull(userId);
+    throwIfNull(user, `User with ID '${userId}' does not exist`, 404);
+    if (user.role !== ROLES.CREW || !user.isActive) {
+      throw new ApiError(`User '${user.username}' is not an active crew member`, 400);
+    }
+  }
+};
+
+// Verify a schedule lists the route's stations in order at times that never run backwards
+const verifySchedule = async (schedule, routeId) => {
+  if (!schedule) {
+    return;
+  }
+  const route = await routeRepository.findByIdOrNull(routeId);
+  throwIfNull(route, `Route with ID '${routeId}' does not exist`, 404);
+  const yards = await Promise.all([route.originYard, route.terminationYard].map(id => industryRepository.findByIdOrNull(id)));
+  const industriesById = new Map(yards.filter(Boolean).map(yard => [yard._id, yard]));
+  const { valid, errors } = validateSchedule(schedule, resolveRouteStations(route, industriesById));
+  if (!valid) {
+    throw new ApiError('Invalid schedule', 400, errors);
+  }
+};
+
+// Crews see only the trains assigned to them; to a crew, other trains do not exist
+const assertTrainVisible = async (req) => {
+  if (req.user?.role !== ROLES.CREW) {
+    return;
+  }
+  const train = await trainRepository.findByIdOrNull(req.params.id);
+  if (!canSeeTrain(req.user, train)) {
+    throw new ApiError('Train not found', 404);
+  }
+};
+
 // GET /api/trains - List all trains with optional filtering
 router.get('/', 
   validateQuery(trainSchemas.query),
@@ -30,9 +73,10 @@ router.get('/',
   });
 
   // Sort by creation date (newest first)
-  trains.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const visibleTrains = trains.filter(train => canSeeTrain(req.user, train));
+  visibleTrains.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-  res.json(ApiResponse.success(trains, 'Trains retrieved successfully'));
+  res.json(ApiResponse.success(visibleTrains, 'Trains retrieved successfully'));
 }));
 
 // GET /api/trains/:id - Get single train with enriched data
@@ -41,6 +85,9 @@ router.get('/:id',
   asyncHandler(async (req, res) => {
   const train = await trainRepository.findByIdOrNull(req.params.id, { enrich: true });
   throwIfNull(train, 'Train not found', 404);
+  if (!canSeeTrain(req.user, train)) {
+    throw new ApiError('Train not found', 404);
+  }
 
   res.json(ApiResponse.success(train, 'Train retrieved successfully'));
 }));
@@ -57,6 +104,9 @@ router.post('/',
     sessionNumber = currentSession.currentSessionNumber;
   }
 
+  await verifyCrew(req.body.crewUserIds);
+  await verifySchedule(req.body.schedule, req.body.routeId);
+
   const trainData = { ...req.body, sessionNumber, status: 'Planned' };
   
   // Use the repository's built-in validation and creation
@@ -107,6 +157,16 @@ router.put('/:id',
     }
   }
 
+  if (req.body.crewUserIds) {
+    await verifyCrew(req.body.crewUserIds);
+  }
+
+  // A new route needs a schedule for its stations, so check the kept schedule too
+  if (req.body.schedule !== undefined || req.body.routeId) {
+    const schedule = req.body.schedule !== undefined ? req.body.schedule : existingTrain.schedule;
+    await verifySchedule(schedule, req.body.routeId || existingTrain.routeId);
+  }
+
   // Check train name uniqueness if being updated
   if (req.body.name && req.body.name !== existingTrain.name) {
     const allTrains = await trainRepository.findAll();
@@ -144,14 +204,38 @@ router.delete('/:id',
 router.post('/:id/generate-switch-list', 
   validateParams(commonSchemas.params.id),
   asyncHandler(async (req, res) => {
+  await assertTrainVisible(req);
   const result = await trainService.generateSwitchList(req.params.id);
   res.json(ApiResponse.success(result.train, 'Switch list generated successfully', 200));
 }));
 
+// GET /api/trains/:id/switch-list.html - Printable switch list page
+router.get('/:id/switch-list.html', 
+  validateParams(commonSchemas.params.id),
+  asyncHandler(async (req, res) => {
+  await assertTrainVisible(req);
+  const { train, related } = await trainService.getPrintableSwitchList(req.params.id);
+  res.type('html').send(renderSwitchListHtml(buildSwitchListView(train, related)));
+}));
+
+// GET /api/trains/:id/switch-list.pdf - Switch list as a PDF
+router.get('/:id/switch-list.pdf', 
+  validateParams(commonSchemas.params.id),
+  asyncHandler(async (req, res) => {
+  await assertTrainVisible(req);
+  const { train, related } = await trainService.getPrintableSwitchList(req.params.id);
+  const pdf = await renderSwitchListPdf(buildSwitchListView(train, related));
+  const filename = `switch-list-${train.name.replace(/[^A-Za-z0-9_-]+/g, '-')}.pdf`;
+  res.type('pdf')
+    .set('Content-Disposition', `inline; filename="${filename}"`)
+    .send(pdf);
+}));
+
 // POST /api/trains/:id/complete - Mark train as completed
 router.post('/:id/complete', 
   validateParams(commonSchemas.params.id),
   asyncHandler(async (req, res) => {
+  await assertTrainVisible(req);
   const result = await trainService.completeTrain(req.params.id);
   res.json(ApiResponse.success(result.train, 'Train completed successfully'));
 }));
@@ -0,0 +1,43 @@
+import express from 'express';
+import { getService } from '../services/index.js';
+import { requireRole } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { ROLES } from '../models/user.js';
+
+const router = express.Router();
+const authService = getService('auth');
+
+// GET /api/users - List accounts; dispatchers need them to assign crews
+router.get('/',
+  requireRole(ROLES.SUPERINTENDENT, ROLES.DISPATCHER),
+  asyncHandler(async (req, res) => {
+  const users = await authService.listUsers();
+  res.json(ApiResponse.success(users, 'Users retrieved successfully'));
+}));
+
+// POST /api/users - Create account
+router.post('/',
+  requireRole(ROLES.SUPERINTENDENT),
+  asyncHandler(async (req, res) => {
+  const user = await authService.createUser(req.body);
+  res.status(201).json(ApiResponse.success(user, 'User created successfully', 201));
+}));
+
+// PUT /api/users/:id - Update account, e.g. role, password or isActive
+router.put('/:id',
+  requireRole(ROLES.SUPERINTENDENT),
+  asyncHandler(async (req, res) => {
+  const user = await authService.updateUser(req.params.id, req.body);
+  res.json(ApiResponse.success(user, 'User updated successfully'));
+}));
+
+// DELETE /api/users/:id - Delete account
+router.delete('/:id',
+  requireRole(ROLES.SUPERINTENDENT),
+  asyncHandler(async (req, res) => {
+  await authService.deleteUser(req.params.id);
+  res.json(ApiResponse.success(null, 'User deleted successfully'));
+}));
+
+export default router;
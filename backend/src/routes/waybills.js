@@ -0,0 +1,78 @@
+import express from 'express';
+import { getService } from '../services/index.js';
+import { validateQuery, validateParams } from '../middleware/validation.js';
+import { waybillSchemas } from '../schemas/waybillSchemas.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import {
+  buildCarCardViews,
+  buildWaybillViews,
+  renderCardSheetHtml,
+  renderCardSheetPdf
+} from '../renderers/carCardRenderer.js';
+
+const router = express.Router();
+const waybillService = getService('waybill');
+
+const parseCarIds = (value) => (value || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Printable sheets: car cards for every car in service, waybills for every car that has carried one
+const SHEETS = {
+  'car-cards': { title: 'Car Cards', buildViews: buildCarCardViews, waybillsOnly: false },
+  waybills: { title: 'Waybills', buildViews: buildWaybillViews, waybillsOnly: true }
+};
+
+const loadSheet = async (name, query) => {
+  const sheet = SHEETS[name];
+  const { cars, related } = await waybillService.getPrintableCards({
+    carIds: parseCarIds(query.carIds),
+    waybillsOnly: sheet.waybillsOnly
+  });
+  return { title: sheet.title, cards: sheet.buildViews(cars, related) };
+};
+
+// GET /api/waybills - List waybills with optional filtering
+router.get('/',
+  validateQuery(waybillSchemas.query),
+  asyncHandler(async (req, res) => {
+  const waybills = await waybillService.getWaybills(req.query);
+  res.json(ApiResponse.success(waybills, 'Waybills retrieved successfully'));
+}));
+
+// GET /api/waybills/cars/:carId - A car's multi-cycle waybill
+router.get('/cars/:carId',
+  validateParams(waybillSchemas.params.carId),
+  asyncHandler(async (req, res) => {
+  const carWaybill = await waybillService.getCarWaybill(req.params.carId);
+  res.json(ApiResponse.success(carWaybill, 'Car waybill retrieved successfully'));
+}));
+
+// GET /api/waybills/car-cards.html and /api/waybills/waybills.html - Printable 4-up sheets
+for (const name of Object.keys(SHEETS)) {
+  router.get(`/${name}.html`,
+    validateQuery(waybillSchemas.print),
+    asyncHandler(async (req, res) => {
+    const { title, cards } = await loadSheet(name, req.query);
+    res.type('html').send(renderCardSheetHtml(title, cards));
+  }));
+
+  router.get(`/${name}.pdf`,
+    validateQuery(waybillSchemas.print),
+    asyncHandler(async (req, res) => {
+    const { title, cards } = await loadSheet(name, req.query);
+    const pdf = await renderCardSheetPdf(title, cards);
+    res.type('pdf')
+      .set('Content-Disposition', `inline; filename="${name}.pdf"`)
+      .send(pdf);
+  }));
+}
+
+// GET /api/waybills/:id - Get single waybill
+router.get('/:id',
+  validateParams(waybillSchemas.params.id),
+  asyncHandler(async (req, res) => {
+  const waybill = await waybillService.getWaybill(req.params.id);
+  res.json(ApiResponse.success(waybill, 'Waybill retrieved successfully'));
+}));
+
+export default router;
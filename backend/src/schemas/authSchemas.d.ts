@@ -0,0 +1,11 @@
+/**
+ * Type definitions for authentication validation schemas
+ */
+
+import Joi from 'joi';
+
+export declare const loginSchema: Joi.ObjectSchema;
+
+export declare const authSchemas: {
+  login: Joi.ObjectSchema;
+};
@@ -0,0 +1,21 @@
+/**
+ * Authentication Validation Schemas
+ */
+
+import Joi from 'joi';
+
+// Login schema
+export const loginSchema = Joi.object({
+  username: Joi.string().required().min(1).max(50).messages({
+    'string.empty': 'Username is required',
+    'any.required': 'Username is required'
+  }),
+  password: Joi.string().required().min(1).max(200).messages({
+    'string.empty': 'Password is required',
+    'any.required': 'Password is required'
+  })
+});
+
+export const authSchemas = {
+  login: loginSchema
+};
@@ -8,6 +8,7 @@ export declare const createCarOrderSchema: Joi.ObjectSchema;
 export declare const updateCarOrderSchema: Joi.ObjectSchema;
 export declare const generateOrdersSchema: Joi.ObjectSchema;
 export declare const carOrderQuerySchema: Joi.ObjectSchema;
+export declare const carOrderStatsQuerySchema: Joi.ObjectSchema;
 
 export declare const carOrderParamSchemas: {
   id: Joi.ObjectSchema;
@@ -18,5 +19,6 @@ export declare const carOrderSchemas: {
   update: Joi.ObjectSchema;
   generate: Joi.ObjectSchema;
   query: Joi.ObjectSchema;
+  stats: Joi.ObjectSchema;
   params: typeof carOrderParamSchemas;
 };
@@ -5,6 +5,7 @@
 
 import Joi from 'joi';
 import { idSchema, paginationSchema } from './commonSchemas.js';
+import { ORDER_PRIORITIES } from '../models/carOrder.js';
 
 // Car order creation schema
 export const createCarOrderSchema = Joi.object({
@@ -18,14 +19,16 @@ export const createCarOrderSchema = Joi.object({
     'number.min': 'Session number must be at least 1',
     'any.required': 'Session number is required'
   }),
-  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered').default('pending'),
+  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered', 'expired').default('pending'),
+  priority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).optional(),
   assignedCarId: idSchema.optional().allow(null),
   assignedTrainId: idSchema.optional().allow(null)
 });
 
 // Car order update schema (partial)
 export const updateCarOrderSchema = Joi.object({
-  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered').optional(),
+  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered', 'expired').optional(),
+  priority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).optional(),
   assignedCarId: idSchema.optional().allow(null),
   assignedTrainId: idSchema.optional().allow(null)
 });
@@ -34,19 +37,34 @@ export const updateCarOrderSchema = Joi.object({
 export const generateOrdersSchema = Joi.object({
   sessionNumber: Joi.number().integer().min(1).optional(),
   industryIds: Joi.array().items(idSchema).optional(),
-  force: Joi.boolean().default(false)
+  force: Joi.boolean().default(false),
+  seed: Joi.string().max(100).optional()
+});
+
+// Demand preview query schema; starts after the current session unless told otherwise
+export const demandPreviewQuerySchema = Joi.object({
+  sessions: Joi.number().integer().min(1).max(52).default(10),
+  fromSession: Joi.number().integer().min(1).optional(),
+  industryId: idSchema.optional(),
+  seed: Joi.string().max(100).optional()
 });
 
 // Car order query filters schema
 export const carOrderQuerySchema = Joi.object({
   industryId: idSchema.optional(),
-  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered').optional(),
+  status: Joi.string().valid('pending', 'assigned', 'in-transit', 'delivered', 'expired').optional(),
+  priority: Joi.string().valid(...Object.values(ORDER_PRIORITIES)).optional(),
   sessionNumber: Joi.number().integer().min(1).optional(),
   aarTypeId: idSchema.optional(),
   search: Joi.string().allow('').optional(),
   ...paginationSchema.describe().keys
 });
 
+// Order statistics query schema; the current session when no session is given
+export const carOrderStatsQuerySchema = Joi.object({
+  sessionNumber: Joi.number().integer().min(1).optional()
+});
+
 // Car order parameter schemas
 export const carOrderParamSchemas = {
   id: Joi.object({
@@ -58,6 +76,8 @@ export const carOrderSchemas = {
   create: createCarOrderSchema,
   update: updateCarOrderSchema,
   generate: generateOrdersSchema,
+  demandPreview: demandPreviewQuerySchema,
   query: carOrderQuerySchema,
+  stats: carOrderStatsQuerySchema,
   params: carOrderParamSchemas
 };
@@ -6,4 +6,8 @@
 export { trainSchemas } from './trainSchemas.js';
 export { carOrderSchemas } from './carOrderSchemas.js';
 export { sessionSchemas } from './sessionSchemas.js';
+export { waybillSchemas } from './waybillSchemas.js';
+export { authSchemas } from './authSchemas.js';
+export { layoutSchemas } from './layoutSchemas.js';
+export { reportSchemas } from './reportSchemas.js';
 export { commonSchemas } from './commonSchemas.js';
@@ -0,0 +1,15 @@
+/**
+ * Type definitions for layout validation schemas
+ */
+
+import Joi from 'joi';
+
+export declare const createLayoutSchema: Joi.ObjectSchema;
+export declare const updateLayoutSchema: Joi.ObjectSchema;
+export declare const cloneLayoutSchema: Joi.ObjectSchema;
+
+export declare const layoutSchemas: {
+  create: Joi.ObjectSchema;
+  update: Joi.ObjectSchema;
+  clone: Joi.ObjectSchema;
+};
@@ -0,0 +1,31 @@
+/**
+ * Layout Validation Schemas
+ */
+
+import Joi from 'joi';
+
+const nameSchema = Joi.string().trim().min(1).max(100).messages({
+  'string.empty': 'Layout name is required',
+  'any.required': 'Layout name is required'
+});
+
+// Create layout schema
+export const createLayoutSchema = Joi.object({
+  name: nameSchema.required(),
+  description: Joi.string().allow('').max(500).optional()
+});
+
+// Update layout schema
+export const updateLayoutSchema = Joi.object({
+  name: nameSchema.optional(),
+  description: Joi.string().allow('').max(500).optional()
+}).min(1);
+
+// Clone layout schema; the copy keeps the source's description unless given one
+export const cloneLayoutSchema = createLayoutSchema;
+
+export const layoutSchemas = {
+  create: createLayoutSchema,
+  update: updateLayoutSchema,
+  clone: cloneLayoutSchema
+};
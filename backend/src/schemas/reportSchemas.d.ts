@@ -0,0 +1,15 @@
+/**
+ * Type definitions for report validation schemas
+ */
+
+import Joi from 'joi';
+
+export declare const reportQuerySchema: Joi.ObjectSchema;
+export declare const carMovementsQuerySchema: Joi.ObjectSchema;
+export declare const idleCarsQuerySchema: Joi.ObjectSchema;
+
+export declare const reportSchemas: {
+  query: Joi.ObjectSchema;
+  carMovements: Joi.ObjectSchema;
+  idleCars: Joi.ObjectSchema;
+};
@@ -0,0 +1,32 @@
+/**
+ * Report Validation Schemas
+ */
+
+import Joi from 'joi';
+
+const sessionNumberSchema = Joi.number().integer().min(1);
+
+// Query every report takes: a session range, through the current session when open-ended, and json or csv
+export const reportQuerySchema = Joi.object({
+  fromSession: sessionNumberSchema.optional(),
+  toSession: sessionNumberSchema.min(Joi.ref('fromSession', { adjust: (value) => value || 1 })).optional().messages({
+    'number.min': 'toSession must not be before fromSession'
+  }),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+// Car movement history query schema
+export const carMovementsQuerySchema = reportQuerySchema.keys({
+  carId: Joi.string().optional()
+});
+
+// Idle cars query schema; cars idle for more than minSessions sessions
+export const idleCarsQuerySchema = reportQuerySchema.keys({
+  minSessions: Joi.number().integer().min(0).optional()
+});
+
+export const reportSchemas = {
+  query: reportQuerySchema,
+  carMovements: carMovementsQuerySchema,
+  idleCars: idleCarsQuerySchema
+};
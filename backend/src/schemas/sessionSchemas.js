@@ -4,6 +4,8 @@
  */
 
 import Joi from 'joi';
+import { clockTimeSchema } from '../models/timetable.js';
+import { MAX_FAST_CLOCK_RATIO } from '../models/fastClock.js';
 
 // Session description update schema
 export const updateSessionSchema = Joi.object({
@@ -17,16 +19,29 @@ export const updateSessionSchema = Joi.object({
 
 // Session advancement schema
 export const advanceSessionSchema = Joi.object({
-  description: Joi.string().max(500).optional().allow('')
+  description: Joi.string().max(500).optional().allow(''),
+  snapshotName: Joi.string().min(1).max(100).optional() // Name for the restore point of the session being closed
 });
 
-// Session rollback schema
+// Session rollback schema - roll back a number of sessions or to a named restore point
 export const rollbackSessionSchema = Joi.object({
-  description: Joi.string().max(500).optional().allow('')
+  description: Joi.string().max(500).optional().allow(''),
+  steps: Joi.number().integer().min(1).optional(),
+  snapshotName: Joi.string().min(1).max(100).optional()
+}).oxor('steps', 'snapshotName');
+
+// Fast clock settings schema - `time` sets the clock's hands, the others take effect from now on
+export const fastClockSettingsSchema = Joi.object({
+  ratio: Joi.number().min(1).max(MAX_FAST_CLOCK_RATIO).optional(), // Fast minutes per real minute
+  startTime: clockTimeSchema.optional(), // Minutes after midnight the clock is set to for each session
+  time: clockTimeSchema.optional()
+}).min(1).messages({
+  'object.min': 'Give a ratio, start time or time to set'
 });
 
 export const sessionSchemas = {
   update: updateSessionSchema,
   advance: advanceSessionSchema,
-  rollback: rollbackSessionSchema
+  rollback: rollbackSessionSchema,
+  fastClock: fastClockSettingsSchema
 };
@@ -7,6 +7,7 @@ import Joi from 'joi';
 export declare const createTrainSchema: Joi.ObjectSchema;
 export declare const updateTrainSchema: Joi.ObjectSchema;
 export declare const trainQuerySchema: Joi.ObjectSchema;
+export declare const timetableQuerySchema: Joi.ObjectSchema;
 
 export declare const trainParamSchemas: {
   id: Joi.ObjectSchema;
@@ -16,5 +17,6 @@ export declare const trainSchemas: {
   create: Joi.ObjectSchema;
   update: Joi.ObjectSchema;
   query: Joi.ObjectSchema;
+  timetable: Joi.ObjectSchema;
   params: typeof trainParamSchemas;
 };
@@ -5,6 +5,7 @@
 
 import Joi from 'joi';
 import { idSchema, paginationSchema } from './commonSchemas.js';
+import { trainScheduleSchema } from '../models/timetable.js';
 
 // Train creation schema
 export const createTrainSchema = Joi.object({
@@ -25,6 +26,10 @@ export const createTrainSchema = Joi.object({
     'number.min': 'Maximum capacity must be at least 1',
     'number.max': 'Maximum capacity cannot exceed 200'
   }),
+  maxLength: Joi.number().integer().min(1).max(20000).optional().allow(null), // Feet, locomotives included
+  maxTonnage: Joi.number().integer().min(1).max(50000).optional().allow(null), // Trailing tons
+  schedule: trainScheduleSchema.optional().allow(null), // Fast-clock times; checked against the route
+  crewUserIds: Joi.array().items(idSchema).unique().default([]), // Crew members who work the train
   description: Joi.string().max(500).optional().allow('')
 });
 
@@ -34,6 +39,10 @@ export const updateTrainSchema = Joi.object({
   routeId: idSchema.optional(),
   locomotiveIds: Joi.array().items(idSchema).min(1).optional(),
   maxCapacity: Joi.number().integer().min(1).max(200).optional(),
+  maxLength: Joi.number().integer().min(1).max(20000).optional().allow(null),
+  maxTonnage: Joi.number().integer().min(1).max(50000).optional().allow(null),
+  schedule: trainScheduleSchema.optional().allow(null),
+  crewUserIds: Joi.array().items(idSchema).unique().optional(),
   description: Joi.string().max(500).optional().allow('')
 });
 
@@ -46,6 +55,11 @@ export const trainQuerySchema = Joi.object({
   ...paginationSchema.describe().keys
 });
 
+// Timetable query schema; the current session when none is given
+export const timetableQuerySchema = Joi.object({
+  sessionNumber: Joi.number().integer().min(1).optional()
+});
+
 // Train parameter schemas
 export const trainParamSchemas = {
   id: Joi.object({
@@ -57,5 +71,6 @@ export const trainSchemas = {
   create: createTrainSchema,
   update: updateTrainSchema,
   query: trainQuerySchema,
+  timetable: timetableQuerySchema,
   params: trainParamSchemas
 };
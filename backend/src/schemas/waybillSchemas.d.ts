@@ -0,0 +1,19 @@
+/**
+ * Type definitions for waybill validation schemas
+ */
+
+import Joi from 'joi';
+
+export declare const waybillQuerySchema: Joi.ObjectSchema;
+export declare const printQuerySchema: Joi.ObjectSchema;
+
+export declare const waybillParamSchemas: {
+  id: Joi.ObjectSchema;
+  carId: Joi.ObjectSchema;
+};
+
+export declare const waybillSchemas: {
+  query: Joi.ObjectSchema;
+  print: Joi.ObjectSchema;
+  params: typeof waybillParamSchemas;
+};
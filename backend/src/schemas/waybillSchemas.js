@@ -0,0 +1,36 @@
+/**
+ * Waybill Validation Schemas
+ */
+
+import Joi from 'joi';
+import { idSchema } from './commonSchemas.js';
+import { WAYBILL_STATUSES } from '../models/waybill.js';
+
+// Waybill query filters schema
+export const waybillQuerySchema = Joi.object({
+  carId: idSchema.optional(),
+  carOrderId: idSchema.optional(),
+  status: Joi.string().valid(...Object.values(WAYBILL_STATUSES)).optional(),
+  sessionNumber: Joi.number().integer().min(1).optional()
+});
+
+// Printable sheet query schema - comma-separated car IDs, all cars when omitted
+export const printQuerySchema = Joi.object({
+  carIds: Joi.string().allow('').optional()
+});
+
+// Waybill parameter schemas
+export const waybillParamSchemas = {
+  id: Joi.object({
+    id: idSchema
+  }),
+  carId: Joi.object({
+    carId: idSchema
+  })
+};
+
+export const waybillSchemas = {
+  query: waybillQuerySchema,
+  print: printQuerySchema,
+  params: waybillParamSchemas
+};
@@ -14,6 +14,8 @@ import {
   getApiConfig, 
   getLoggingConfig,
   getSecurityConfig,
+  getRealtimeConfig,
+  getDccConfig,
   isDevelopment,
   isProduction 
 } from './config/index.js';
@@ -32,6 +34,23 @@ import importRouter from './routes/import.js';
 import operatingSessionsRouter from './routes/operatingSessions.js';
 import carOrdersRouter from './routes/carOrders.js';
 import trainsRouter from './routes/trains.js';
+import waybillsRouter from './routes/waybills.js';
+import carRoutingRulesRouter from './routes/carRoutingRules.js';
+import authRouter from './routes/auth.js';
+import usersRouter from './routes/users.js';
+import layoutsRouter from './routes/layouts.js';
+import reportsRouter from './routes/reports.js';
+import timetableRouter from './routes/timetable.js';
+
+// Import authentication middleware
+import { authenticate, restrictWrites, isAuthEnabled } from './middleware/auth.js';
+import { getService } from './services/index.js';
+
+// Import layout selection middleware
+import { selectLayout } from './middleware/layout.js';
+
+// Import real-time updates
+import { attachRealtimeServer } from './utils/realtimeServer.js';
 
 // Import error handling middleware
 import { globalErrorHandler, notFoundHandler } from './middleware/errorHandler.js';
@@ -47,6 +66,8 @@ const serverConfig = getServerConfig();
 const apiConfig = getApiConfig();
 const loggingConfig = getLoggingConfig();
 const securityConfig = getSecurityConfig();
+const realtimeConfig = getRealtimeConfig();
+const dccConfig = getDccConfig();
 
 // Middleware
 app.use(cors({
@@ -55,6 +76,7 @@ app.use(cors({
 }));
 
 // HTTP request logging with Winston
+morgan.token('url', (req) => logger.redactUrl(req.originalUrl || req.url));
 app.use(morgan('combined', { stream: logger.stream }));
 
 app.use(express.json({ limit: apiConfig.bodyLimit }));
@@ -93,8 +115,30 @@ const initializeOperatingSession = async () => {
   }
 };
 
-// Initialize session on startup
-initializeOperatingSession();
+// Make sure someone can sign in: create the first superintendent if there are no accounts
+const initializeAccounts = async () => {
+  if (!isAuthEnabled()) {
+    logger.warn('Authentication is disabled; every caller has full access');
+    return;
+  }
+  try {
+    await getService('auth').ensureBootstrapUser();
+  } catch (error) {
+    logger.logError(error, { context: 'initializeAccounts' });
+  }
+};
+
+// Record the default layout, which owns the datastore files under DB_PATH
+const initializeLayouts = async () => {
+  try {
+    const created = await getService('layout').ensureDefaultLayout();
+    if (created) {
+      logger.info('Default layout recorded', { layoutId: created._id });
+    }
+  } catch (error) {
+    logger.logError(error, { context: 'initializeLayouts' });
+  }
+};
 
 // Create v1 API router
 const v1Router = createVersionedRouter('v1');
@@ -102,20 +146,9 @@ const v1Router = createVersionedRouter('v1');
 // Add version header middleware to v1 routes
 v1Router.use(versionHeaderMiddleware);
 
-// Mount all routes under v1
-v1Router.use('/cars', carsRouter);
-v1Router.use('/locomotives', locomotivesRouter);
-v1Router.use('/industries', industriesRouter);
-v1Router.use('/stations', stationsRouter);
-v1Router.use('/goods', goodsRouter);
-v1Router.use('/aar-types', aarTypesRouter);
-v1Router.use('/blocks', blocksRouter);
-v1Router.use('/tracks', tracksRouter);
-v1Router.use('/routes', routesRouter);
-v1Router.use('/sessions', operatingSessionsRouter);
-v1Router.use('/car-orders', carOrdersRouter);
-v1Router.use('/trains', trainsRouter);
-v1Router.use('/import', importRouter);
+// Require a bearer token on everything but login and health checks, then apply role limits
+v1Router.use(authenticate);
+v1Router.use(restrictWrites);
 
 // Health check endpoint (versioned)
 v1Router.get('/health', (req, res) => {
@@ -127,6 +160,35 @@ v1Router.get('/health', (req, res) => {
   });
 });
 
+// Routes shared by every layout
+v1Router.use('/auth', authRouter);
+v1Router.use('/users', usersRouter);
+v1Router.use('/layouts', layoutsRouter);
+
+// Routes that work on one layout's data
+const layoutDataRouter = express.Router();
+layoutDataRouter.use('/cars', carsRouter);
+layoutDataRouter.use('/locomotives', locomotivesRouter);
+layoutDataRouter.use('/industries', industriesRouter);
+layoutDataRouter.use('/stations', stationsRouter);
+layoutDataRouter.use('/goods', goodsRouter);
+layoutDataRouter.use('/aar-types', aarTypesRouter);
+layoutDataRouter.use('/blocks', blocksRouter);
+layoutDataRouter.use('/tracks', tracksRouter);
+layoutDataRouter.use('/routes', routesRouter);
+layoutDataRouter.use('/sessions', operatingSessionsRouter);
+layoutDataRouter.use('/car-orders', carOrdersRouter);
+layoutDataRouter.use('/trains', trainsRouter);
+layoutDataRouter.use('/waybills', waybillsRouter);
+layoutDataRouter.use('/car-routing-rules', carRoutingRulesRouter);
+layoutDataRouter.use('/import', importRouter);
+layoutDataRouter.use('/reports', reportsRouter);
+layoutDataRouter.use('/timetable', timetableRouter);
+
+// Pick the layout by URL prefix (/layouts/:layoutId/cars), else by X-Layout-Id header, else the default
+v1Router.use('/layouts/:layoutId', selectLayout, layoutDataRouter);
+v1Router.use(selectLayout, layoutDataRouter);
+
 // Mount v1 router
 app.use('/api/v1', v1Router);
 
@@ -144,14 +206,30 @@ app.get('/health', (req, res) => {
 app.use(notFoundHandler);
 app.use(globalErrorHandler);
 
-app.listen(serverConfig.port, serverConfig.host, () => {
+// Have the default layout, the first account and the operating session in place before taking requests
+await initializeLayouts();
+await initializeAccounts();
+await initializeOperatingSession();
+
+const server = app.listen(serverConfig.port, serverConfig.host, () => {
   logger.info('🚂 ELMRR Switch Backend started', {
     host: serverConfig.host,
     port: serverConfig.port,
     environment: serverConfig.env,
     healthCheck: `http://${serverConfig.host}:${serverConfig.port}/health`,
     apiV1: `http://${serverConfig.host}:${serverConfig.port}/api/v1/`,
+    realtime: realtimeConfig.enabled ? `ws://${serverConfig.host}:${serverConfig.port}${realtimeConfig.path}` : 'disabled',
     databasePath: config.database.path,
-    corsOrigin: serverConfig.cors.origin
+    corsOrigin: serverConfig.cors.origin,
+    authentication: isAuthEnabled() ? 'enabled' : 'disabled',
+    commandStation: dccConfig.adapter === 'none' ? 'disabled' : `${dccConfig.adapter} (${dccConfig.host}:${dccConfig.port})`
   });
 });
+
+// Broadcast layout changes to connected clients on the same port
+if (realtimeConfig.enabled) {
+  attachRealtimeServer(server, {
+    path: realtimeConfig.path,
+    authenticate: isAuthEnabled() ? (token) => getService('auth').authenticate(token) : null
+  });
+}
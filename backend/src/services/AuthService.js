@@ -0,0 +1,222 @@
+/**
+ * Auth Service - Handles user accounts, login and bearer tokens
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { getRepository } from '../repositories/index.js';
+import {
+  ROLES,
+  validateUser,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  toPublicUser
+} from '../models/user.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { throwIfNull } from '../utils/nullObjectHelpers.js';
+import { getAuthConfig } from '../config/index.js';
+
+export class AuthService {
+  constructor() {
+    this.userRepo = getRepository('users');
+    this.tokenRepo = getRepository('authTokens');
+  }
+
+  /**
+   * Sign a user in and issue a bearer token
+   * @param {string} username - Username
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object>} { token, expiresAt, user }
+   */
+  async login(username, password) {
+    const user = await this.userRepo.findByUsername(username);
+    if (!user || !user.isActive || !verifyPassword(password, user.passwordHash)) {
+      throw new ApiError('Invalid username or password', 401);
+    }
+
+    await this.tokenRepo.deleteExpired();
+
+    const { token, tokenHash } = generateToken();
+    const expiresAt = new Date(Date.now() + getAuthConfig().tokenTtlHours * 60 * 60 * 1000).toISOString();
+    await this.tokenRepo.create({ tokenHash, userId: user._id, expiresAt });
+
+    logger.info('User signed in', { username: user.username, role: user.role });
+    return { token, expiresAt, user: toPublicUser(user) };
+  }
+
+  /**
+   * Resolve a bearer token to the user it was issued to
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object|null>} User without password hash, or null if the token is unknown, expired or disabled
+   */
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const record = await this.tokenRepo.findByTokenHash(hashToken(token));
+    if (!record) {
+      return null;
+    }
+    if (new Date(record.expiresAt) <= new Date()) {
+      await this.tokenRepo.delete(record._id);
+      return null;
+    }
+
+    const user = await this.userRepo.findById(record.userId);
+    if (!user || !user.isActive) {
+      return null;
+    }
+    return toPublicUser(user);
+  }
+
+  /**
+   * Revoke a bearer token
+   * @param {string} token - Bearer token
+   * @returns {Promise<boolean>} True if the token was revoked
+   */
+  async logout(token) {
+    const record = token ? await this.tokenRepo.findByTokenHash(hashToken(token)) : null;
+    if (!record) {
+      return false;
+    }
+    await this.tokenRepo.delete(record._id);
+    return true;
+  }
+
+  /**
+   * List all accounts
+   * @returns {Promise<Array>} Users without password hashes, sorted by username
+   */
+  async listUsers() {
+    const users = await this.userRepo.findAll();
+    return users
+      .map(toPublicUser)
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * Create an account
+   * @param {Object} userData - { username, displayName, role, password, isActive }
+   * @returns {Promise<Object>} Created user without password hash
+   */
+  async createUser(userData) {
+    const { error, value } = validateUser(userData);
+    if (error) {
+      throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+    }
+
+    await this._assertUsernameFree(value.username);
+
+    const { password, ...fields } = value;
+    const user = await this.userRepo.create({ ...fields, passwordHash: hashPassword(password) });
+    return toPublicUser(user);
+  }
+
+  /**
+   * Update an account; disabling it or changing its password signs it out everywhere
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated user without password hash
+   */
+  async updateUser(userId, updateData) {
+    const { error, value } = validateUser(updateData, true);
+    if (error) {
+      throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+    }
+
+    const existingUser = await this.userRepo.findByIdOrNull(userId);
+    throwIfNull(existingUser, 'User not found', 404);
+
+    if (value.username && value.username !== existingUser.username) {
+      await this._assertUsernameFree(value.username);
+    }
+
+    const losesSuperintendent = existingUser.role === ROLES.SUPERINTENDENT &&
+      ((value.role && value.role !== ROLES.SUPERINTENDENT) || value.isActive === false);
+    if (losesSuperintendent) {
+      await this._assertAnotherSuperintendent(userId);
+    }
+
+    const { password, ...fields } = value;
+    if (password) {
+      fields.passwordHash = hashPassword(password);
+    }
+
+    const user = await this.userRepo.update(userId, fields);
+    if (password || value.isActive === false) {
+      await this.tokenRepo.deleteForUser(userId);
+    }
+    return toPublicUser(user);
+  }
+
+  /**
+   * Delete an account and revoke its tokens
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUser(userId) {
+    const existingUser = await this.userRepo.findByIdOrNull(userId);
+    throwIfNull(existingUser, 'User not found', 404);
+
+    if (existingUser.role === ROLES.SUPERINTENDENT) {
+      await this._assertAnotherSuperintendent(userId);
+    }
+
+    await this.tokenRepo.deleteForUser(userId);
+    await this.userRepo.delete(userId);
+  }
+
+  /**
+   * Create the first superintendent when there are no accounts, so someone can sign in
+   * Uses the configured password, or generates one and prints it once to the console;
+   * it never goes to the log, which may be kept or shipped elsewhere.
+   * @returns {Promise<Object|null>} { username, passwordGenerated } or null if accounts already exist
+   */
+  async ensureBootstrapUser() {
+    const users = await this.userRepo.findAll();
+    if (users.length > 0) {
+      return null;
+    }
+
+    const { bootstrapUsername, bootstrapPassword } = getAuthConfig();
+    const password = bootstrapPassword || crypto.randomBytes(9).toString('base64url');
+    await this.createUser({
+      username: bootstrapUsername,
+      displayName: 'Superintendent',
+      role: ROLES.SUPERINTENDENT,
+      password
+    });
+
+    logger.info('Created superintendent account', { username: bootstrapUsername, passwordGenerated: !bootstrapPassword });
+    if (!bootstrapPassword) {
+      process.stdout.write(`Superintendent '${bootstrapUsername}' created with password ${password}; change it after signing in\n`);
+    }
+    return { username: bootstrapUsername, passwordGenerated: !bootstrapPassword };
+  }
+
+  /**
+   * Reject a username another account already uses
+   * @param {string} username - Username
+   */
+  async _assertUsernameFree(username) {
+    const sameName = await this.userRepo.findByUsername(username);
+    if (sameName) {
+      throw new ApiError(`Username '${username}' is already taken`, 409);
+    }
+  }
+
+  /**
+   * Keep at least one active superintendent, so accounts and sessions can still be managed
+   * @param {string} userId - Superintendent about to be removed, demoted or disabled
+   */
+  async _assertAnotherSuperintendent(userId) {
+    const superintendents = await this.userRepo.findByRole(ROLES.SUPERINTENDENT);
+    const others = superintendents.filter(user => user._id !== userId && user.isActive !== false);
+    if (others.length === 0) {
+      throw new ApiError('The railroad needs at least one active superintendent', 400);
+    }
+  }
+}
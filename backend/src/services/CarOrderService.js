@@ -11,10 +11,15 @@ import {
   createOrderGenerationSummary,
   validateCarAssignment,
   checkDuplicateOrder,
-  validateStatusTransition
+  validateStatusTransition,
+  ORDER_PRIORITIES
 } from '../models/carOrder.js';
+import { sampleDemand, expectedDemand, demandSeed, DEMAND_MODELS } from '../models/industry.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { throwIfNull } from '../utils/nullObjectHelpers.js';
+import { publishLayoutEvent, LAYOUT_EVENTS } from '../utils/layoutEvents.js';
+import { createSeededRandom } from '../utils/seededRandom.js';
+import { getSessionsConfig } from '../config/index.js';
 
 export class CarOrderService {
   constructor() {
@@ -24,6 +29,7 @@ export class CarOrderService {
     this.carRepo = getRepository('cars');
     this.trainRepo = getRepository('trains');
     this.sessionRepo = getRepository('operatingSessions');
+    this.waybillRepo = getRepository('waybills');
   }
 
   /**
@@ -32,6 +38,7 @@ export class CarOrderService {
    * @param {number} options.sessionNumber - Session number (optional, uses current if not provided)
    * @param {Array<string>} options.industryIds - Specific industry IDs to process (optional)
    * @param {boolean} options.force - Force generation even if orders exist (default: false)
+   * @param {string} options.seed - Seed for random demand (optional, uses the configured seed if not provided)
    * @returns {Promise<Object>} Generation result with statistics
    */
   async generateOrders(options = {}) {
@@ -62,7 +69,12 @@ export class CarOrderService {
       );
     }
 
-    const result = await this._processIndustryDemands(industriesToProcess, sessionNumber, value.force);
+    const seed = value.seed || getSessionsConfig().demandSeed;
+    const result = await this._processIndustryDemands(industriesToProcess, sessionNumber, value.force, seed);
+    publishLayoutEvent(LAYOUT_EVENTS.ORDERS_GENERATED, {
+      sessionNumber,
+      ordersCreated: result.createdOrders.length
+    });
 
     return {
       sessionNumber,
@@ -73,6 +85,71 @@ export class CarOrderService {
     };
   }
 
+  /**
+   * Preview the demand industries will generate over the coming sessions
+   * Uses the same seeded draws as generation, so each session's cars match
+   * the orders generated for it with the same seed.
+   * @param {Object} options - Preview options
+   * @param {number} options.sessions - Number of sessions to preview (default: 10)
+   * @param {number} options.fromSession - First session (optional, uses the session after the current one)
+   * @param {string} options.industryId - Only preview this industry (optional)
+   * @param {string} options.seed - Seed for random demand (optional, uses the configured seed)
+   * @returns {Promise<Object>} Expected and drawn cars per session and demand entry
+   */
+  async previewDemand(options = {}) {
+    const { sessions = 10, industryId } = options;
+    let fromSession = options.fromSession;
+    if (!fromSession) {
+      const currentSession = await this.sessionRepo.getCurrentSession();
+      throwIfNull(currentSession, 'Cannot preview demand without an active operating session', 404);
+      fromSession = currentSession.currentSessionNumber + 1;
+    }
+    const { sessionsPerYear, demandSeed: configuredSeed } = getSessionsConfig();
+    const seed = options.seed || configuredSeed;
+
+    const industries = (await dbHelpers.findAll('industries')).filter(industry =>
+      industry.carDemandConfig?.length > 0 && (!industryId || industry._id === industryId)
+    );
+
+    const preview = [];
+    for (let sessionNumber = fromSession; sessionNumber < fromSession + sessions; sessionNumber++) {
+      const demands = [];
+      for (const industry of industries) {
+        for (const demandConfig of industry.carDemandConfig) {
+          const random = createSeededRandom(demandSeed(seed, sessionNumber, industry._id, demandConfig));
+          const expectedCars = expectedDemand(demandConfig, sessionNumber, sessionsPerYear);
+          const cars = sampleDemand(demandConfig, sessionNumber, random, sessionsPerYear);
+          if (expectedCars > 0 || cars > 0) {
+            demands.push({
+              industryId: industry._id,
+              industryName: industry.name,
+              goodsId: demandConfig.goodsId,
+              direction: demandConfig.direction,
+              model: demandConfig.model || DEMAND_MODELS.FIXED,
+              priority: demandConfig.priority || ORDER_PRIORITIES.NORMAL,
+              expectedCars: Math.round(expectedCars * 100) / 100,
+              cars
+            });
+          }
+        }
+      }
+      preview.push({
+        sessionNumber,
+        expectedCars: Math.round(demands.reduce((sum, demand) => sum + demand.expectedCars, 0) * 100) / 100,
+        cars: demands.reduce((sum, demand) => sum + demand.cars, 0),
+        demands
+      });
+    }
+
+    return {
+      fromSession,
+      toSession: fromSession + sessions - 1,
+      seed,
+      sessionsPerYear,
+      sessions: preview
+    };
+  }
+
   /**
    * Get car orders with filtering and enrichment
    * @param {Object} filters - Filter options
@@ -172,6 +249,7 @@ export class CarOrderService {
     };
 
     const newOrder = await dbHelpers.create('carOrders', orderWithTimestamps);
+    await this.waybillRepo.createForOrder(newOrder);
     return newOrder;
   }
 
@@ -213,6 +291,29 @@ export class CarOrderService {
     return updatedOrder;
   }
 
+  /**
+   * Expedite a pending order: it becomes hot, so the next switch list fills it first
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Updated order
+   */
+  async expediteOrder(orderId) {
+    const existingOrder = await this.carOrderRepo.findByIdOrNull(orderId);
+    throwIfNull(existingOrder, 'Car order not found', 404);
+
+    if (existingOrder.status !== 'pending') {
+      throw new ApiError(
+        `Cannot expedite car order with status '${existingOrder.status}'. Only pending orders can be expedited.`,
+        400
+      );
+    }
+
+    await dbHelpers.update('carOrders', orderId, {
+      priority: ORDER_PRIORITIES.HOT,
+      updatedAt: new Date().toISOString()
+    });
+    return dbHelpers.findById('carOrders', orderId);
+  }
+
   /**
    * Delete a car order with business rule validation
    * @param {string} orderId - Order ID
@@ -234,6 +335,7 @@ export class CarOrderService {
     if (deleted === 0) {
       throw new ApiError('Car order not found', 404);
     }
+    await this.waybillRepo.deleteForOrder(orderId);
   }
 
   /**
@@ -280,19 +382,22 @@ export class CarOrderService {
    * @param {Array} industries - Industries to process
    * @param {number} sessionNumber - Session number
    * @param {boolean} force - Force generation even if orders exist
+   * @param {string} seed - Seed for random demand
    * @returns {Promise<Object>} Processing result
    */
-  async _processIndustryDemands(industries, sessionNumber, force = false) {
+  async _processIndustryDemands(industries, sessionNumber, force = false, seed = getSessionsConfig().demandSeed) {
     const ordersToCreate = [];
     const processedIndustries = [];
+    const { sessionsPerYear } = getSessionsConfig();
 
     // Process each industry's demand configuration
     for (const industry of industries) {
       for (const demandConfig of industry.carDemandConfig) {
-        // Check if demand should be generated this session
-        const shouldGenerate = (sessionNumber % demandConfig.frequency) === 0;
+        // Number of cars the demand model asks for this session
+        const random = createSeededRandom(demandSeed(seed, sessionNumber, industry._id, demandConfig));
+        const carsRequested = sampleDemand(demandConfig, sessionNumber, random, sessionsPerYear);
         
-        if (shouldGenerate) {
+        if (carsRequested > 0) {
           // Check for existing pending orders unless force is true
           if (!force) {
             const existingOrders = await dbHelpers.findByQuery('carOrders', {
@@ -308,11 +413,11 @@ export class CarOrderService {
             }
           }
 
-          // Create orders based on carsPerSession
+          // Create one order per car requested
           // Use first compatible car type as primary aarTypeId for backward compatibility
           const primaryAarType = demandConfig.compatibleCarTypes[0];
           
-          for (let i = 0; i < demandConfig.carsPerSession; i++) {
+          for (let i = 0; i < carsRequested; i++) {
             ordersToCreate.push({
               industryId: industry._id,
               aarTypeId: primaryAarType, // Primary type for backward compatibility
@@ -321,6 +426,7 @@ export class CarOrderService {
               compatibleCarTypes: demandConfig.compatibleCarTypes,
               sessionNumber: sessionNumber,
               status: 'pending',
+              priority: demandConfig.priority || ORDER_PRIORITIES.NORMAL,
               assignedCarId: null,
               assignedTrainId: null,
               createdAt: new Date().toISOString()
@@ -343,6 +449,7 @@ export class CarOrderService {
     for (const orderData of ordersToCreate) {
       try {
         const newOrder = await dbHelpers.create('carOrders', orderData);
+        await this.waybillRepo.createForOrder(newOrder);
         createdOrders.push(newOrder);
       } catch (createError) {
         console.error('Failed to create order:', createError);
@@ -0,0 +1,129 @@
+/**
+ * DCC Service - Sets up and breaks up the advanced consists trains run as
+ *
+ * A train pulled by more than one DCC locomotive is consisted on the command
+ * station when its switch list is generated, and broken up again when it is
+ * completed or cancelled. The consist is kept on the train so it can still be
+ * dissolved after a restart. The command station being unreachable never stops
+ * a train: the failure is logged and the crew consists the engines by hand.
+ */
+
+import logger from '../utils/logger.js';
+import { getRepository } from '../repositories/index.js';
+import { getDccConfig } from '../config/index.js';
+import { createCommandStation, MAX_CONSIST_ADDRESS } from '../utils/commandStation.js';
+
+export class DccService {
+  /**
+   * @param {import('../utils/commandStation.js').CommandStation|null} commandStation - Defaults to the configured adapter
+   */
+  constructor(commandStation = createCommandStation(getDccConfig())) {
+    this.commandStation = commandStation;
+    this.trainRepo = getRepository('trains');
+    this.locomotiveRepo = getRepository('locomotives');
+  }
+
+  /**
+   * Whether a command station is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.commandStation !== null;
+  }
+
+  /**
+   * Consist a train's DCC locomotives, lead locomotive first
+   * @param {Object} train - Train with locomotiveIds
+   * @returns {Promise<Object|null>} The consist saved on the train, or null when none was set up
+   */
+  async setUpConsist(train) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const locomotives = await this.locomotiveRepo.findAll();
+    const members = train.locomotiveIds
+      .map(id => locomotives.find(loco => loco._id === id))
+      .filter(loco => loco && loco.isDCC && loco.dccAddress)
+      .map(loco => ({ locomotiveId: loco._id, address: loco.dccAddress, reversed: false }));
+    if (members.length < 2) {
+      return null;
+    }
+
+    const address = await this._chooseConsistAddress(train, members[0].address, locomotives);
+    if (!address) {
+      logger.warn('No free consist address; consist the locomotives by hand', { trainId: train._id, trainName: train.name });
+      return null;
+    }
+
+    try {
+      await this.commandStation.createConsist(address, members);
+    } catch (error) {
+      logger.warn('Command station could not set up consist', { trainId: train._id, trainName: train.name, error: error.message });
+      return null;
+    }
+
+    const consist = { address, locomotives: members };
+    await this.trainRepo.update(train._id, { consist });
+    logger.info('Consist set up', { trainId: train._id, trainName: train.name, address, locomotives: members.length });
+    return consist;
+  }
+
+  /**
+   * Break up a train's consist, if it has one
+   * @param {Object} train - Train
+   * @returns {Promise<boolean>} Whether the command station dissolved it
+   */
+  async dissolveConsist(train) {
+    if (!train.consist) {
+      return false;
+    }
+
+    let dissolved = false;
+    if (this.isEnabled()) {
+      try {
+        await this.commandStation.dissolveConsist(train.consist.address, train.consist.locomotives);
+        dissolved = true;
+        logger.info('Consist dissolved', { trainId: train._id, trainName: train.name, address: train.consist.address });
+      } catch (error) {
+        logger.warn('Command station could not dissolve consist; clear CV19 by hand', {
+          trainId: train._id,
+          trainName: train.name,
+          address: train.consist.address,
+          error: error.message
+        });
+      }
+    }
+
+    // Forget it either way so the address is free for the next train
+    await this.trainRepo.update(train._id, { consist: null });
+    return dissolved;
+  }
+
+  /**
+   * Pick a consist address: the lead locomotive's own address when it is a short
+   * one, otherwise the lowest address no running consist or locomotive uses
+   * @param {Object} train - Train being consisted
+   * @param {number} leadAddress - Lead locomotive's DCC address
+   * @param {Array} locomotives - All locomotives
+   * @returns {Promise<number|null>} Consist address, or null when none is free
+   */
+  async _chooseConsistAddress(train, leadAddress, locomotives) {
+    const trains = await this.trainRepo.findAll();
+    const taken = new Set(trains
+      .filter(other => other._id !== train._id && other.consist)
+      .map(other => other.consist.address));
+
+    if (leadAddress <= MAX_CONSIST_ADDRESS && !taken.has(leadAddress)) {
+      return leadAddress;
+    }
+
+    locomotives.filter(loco => loco.isDCC && loco.dccAddress).forEach(loco => taken.add(loco.dccAddress));
+    for (let address = 1; address <= MAX_CONSIST_ADDRESS; address++) {
+      if (!taken.has(address)) {
+        return address;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,435 @@
+/**
+ * JMRI Service - Reads and writes JMRI Operations roster files
+ *
+ * Import turns OperationsLocationRoster.xml, OperationsCarRoster.xml,
+ * OperationsEngineRoster.xml and OperationsRouteRoster.xml into the same data
+ * the JSON import takes, so they go through the same checks. Export writes our
+ * data back in those formats.
+ *
+ * JMRI keeps no industries: a location is a station, its spurs are industries
+ * and its yard, staging and interchange tracks make up one yard. Data JMRI has
+ * no place for (locomotive manufacturer and DCC address, station block, the
+ * industry a track belongs to) travels in extra attributes JMRI ignores.
+ */
+
+import { getRepository } from '../repositories/index.js';
+import { ALL_CAR_TYPES } from '../models/track.js';
+import { VALID_MANUFACTURERS, validateLocomotive } from '../models/locomotive.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { parseXml, buildXml, element, findChild, findChildren } from '../utils/xml.js';
+
+// Roster files, keyed by the list element each holds
+export const JMRI_ROSTERS = {
+  locations: { fileName: 'OperationsLocationRoster.xml', item: 'location', stylesheet: '/xml/XSLT/operations-locations.xsl' },
+  cars: { fileName: 'OperationsCarRoster.xml', item: 'car', stylesheet: '/xml/XSLT/operations-cars.xsl' },
+  engines: { fileName: 'OperationsEngineRoster.xml', item: 'engine', stylesheet: '/xml/XSLT/operations-engines.xsl' },
+  routes: { fileName: 'OperationsRouteRoster.xml', item: 'route', stylesheet: '/xml/XSLT/operations-routes.xsl' }
+};
+
+const ROOT_ELEMENT = 'operations-config';
+
+// JMRI track types; 'Siding' is what older versions called a spur
+const YARD_TRACK_TYPES = ['Yard', 'Staging', 'Interchange'];
+const SPUR = 'Spur';
+
+// JMRI measures track in feet; a 40-foot car plus couplers takes 44
+const FEET_PER_CAR = 44;
+const DEFAULT_CAR_LENGTH = 40;
+const DEFAULT_ENGINE_LENGTH = 60;
+const DEFAULT_SPUR_CARS = 10; // For an industry with no tracks of its own
+const MAX_TRACK_CAPACITY = 100;
+const EMPTY_LOADS = ['', 'E', 'L'];
+const LOCO_TYPES = ['Diesel', 'Steam', 'Electric'];
+const DEFAULT_CAR_COLOR = 'Unknown';
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+const isTrue = (value) => value === 'true';
+
+export class JmriService {
+  constructor() {
+    this.aarTypeRepo = getRepository('aarTypes');
+    this.goodsRepo = getRepository('goods');
+    this.stationRepo = getRepository('stations');
+    this.industryRepo = getRepository('industries');
+    this.trackRepo = getRepository('tracks');
+    this.carRepo = getRepository('cars');
+    this.locomotiveRepo = getRepository('locomotives');
+    this.routeRepo = getRepository('routes');
+  }
+
+  /**
+   * Convert JMRI roster files to import data
+   * Each file is recognised by its content, so any of the four can be given in any order.
+   * Cars, engines and routes may refer to locations imported earlier.
+   * @param {Array<string>} documents - XML text of each file
+   * @returns {Promise<Object>} { data, rosters, errors, warnings }, data shaped like a JSON import
+   */
+  async fromJmri(documents) {
+    const rosters = {};
+    documents.forEach((document, index) => {
+      let root;
+      try {
+        root = parseXml(document);
+      } catch (error) {
+        throw new ApiError(`File ${index + 1} is not valid XML: ${error.message}`, 400);
+      }
+      const list = Object.keys(JMRI_ROSTERS).find(name => findChild(root, name));
+      if (root.name !== ROOT_ELEMENT || !list) {
+        throw new ApiError(`File ${index + 1} is not a JMRI operations roster`, 400);
+      }
+      rosters[list] = findChildren(findChild(root, list), JMRI_ROSTERS[list].item);
+    });
+
+    const [aarTypes, goods, industries, tracks] = await Promise.all([
+      this.aarTypeRepo.findAll(),
+      this.goodsRepo.findAll(),
+      this.industryRepo.findAll(),
+      this.trackRepo.findAll()
+    ]);
+
+    const data = { stations: [], aarTypes: [], goods: [], industries: [], tracks: [], routes: [], cars: [], locomotives: [] };
+    const errors = [];
+    const warnings = [];
+
+    // Resolve JMRI names to our ids, adding car types and loads we have not seen
+    const knownTypes = [...aarTypes];
+    const carTypeId = (name) => {
+      let type = knownTypes.find(t => t._id === name || sameName(t.code ?? '', name) || sameName(t.name, name));
+      if (!type) {
+        type = { _id: name, code: name, name, description: 'Imported from JMRI' };
+        knownTypes.push(type);
+        data.aarTypes.push(type);
+      }
+      return type._id;
+    };
+    const knownGoods = [...goods];
+    const goodsId = (loadName) => {
+      if (EMPTY_LOADS.includes(loadName ?? '')) {
+        return '';
+      }
+      let good = knownGoods.find(g => g._id === loadName || sameName(g.name, loadName));
+      if (!good) {
+        good = { _id: loadName, name: loadName, description: 'Imported from JMRI' };
+        knownGoods.push(good);
+        data.goods.push(good);
+      }
+      return good._id;
+    };
+
+    // Where things are: existing industries and tracks, then those in the file
+    const industryById = new Map(industries.map(industry => [industry._id, industry]));
+    const trackById = new Map(tracks.map(track => [track._id, track]));
+
+    for (const location of rosters.locations ?? []) {
+      this._locationToData(location, data, industryById, trackById, carTypeId);
+    }
+    // JMRI lists every type a track takes; a track that takes them all takes any we add later too
+    for (const track of data.tracks) {
+      if (knownTypes.every(type => track.acceptedCarTypes.includes(type._id))) {
+        track.acceptedCarTypes = [ALL_CAR_TYPES];
+      }
+    }
+
+    const yardAt = (stationId) => [...industryById.values()].find(i => i.isYard && i.stationId === stationId) ?? null;
+    const anyYard = () => [...industryById.values()].find(i => i.isYard) ?? null;
+    const placeOf = ({ locationId, secLocationId }) => {
+      const track = trackById.get(secLocationId);
+      if (track) {
+        return { industry: industryById.get(track.industryId) ?? null, trackId: track._id };
+      }
+      const industry = industryById.get(secLocationId)
+        ?? yardAt(locationId)
+        ?? [...industryById.values()].find(i => i.stationId === locationId)
+        ?? null;
+      return { industry, trackId: null };
+    };
+
+    for (const [index, { attributes: car }] of (rosters.cars ?? []).entries()) {
+      const label = `Car ${index + 1} (${car.roadName} ${car.roadNumber})`;
+      const { industry, trackId } = placeOf(car);
+      if (!industry) {
+        errors.push(`${label}: location '${car.secLocationId || car.locationId || ''}' not found`);
+        continue;
+      }
+      // Home is where JMRI returns the car when empty, else the nearest yard
+      const returnTo = car.rweDestId ? placeOf({ locationId: car.rweDestId, secLocationId: car.rweSecDestId }).industry : null;
+      const homeYard = (returnTo?.isYard ? returnTo : null)
+        ?? (industry.isYard ? industry : yardAt(industry.stationId))
+        ?? anyYard();
+      data.cars.push({
+        _id: car.id,
+        reportingMarks: car.roadName,
+        reportingNumber: car.roadNumber,
+        carType: carTypeId(car.type),
+        color: car.color || DEFAULT_CAR_COLOR,
+        notes: car.comment ?? '',
+        currentLoad: goodsId(car.loadName),
+        homeYard: homeYard?._id ?? industry._id,
+        currentIndustry: industry._id,
+        currentTrack: trackId,
+        isInService: !isTrue(car.outOfService)
+      });
+    }
+
+    for (const [index, { attributes: engine }] of (rosters.engines ?? []).entries()) {
+      const label = `Engine ${index + 1} (${engine.roadName} ${engine.roadNumber})`;
+      const { industry } = placeOf(engine);
+      const homeYard = industry?.isYard ? industry : (yardAt(engine.locationId) ?? anyYard());
+      if (!homeYard) {
+        errors.push(`${label}: no yard to call home`);
+        continue;
+      }
+      const knownManufacturer = VALID_MANUFACTURERS.find(name => name === engine.manufacturer)
+        ?? VALID_MANUFACTURERS.find(name => `${engine.model ?? ''} ${engine.comment ?? ''}`.includes(name));
+      const manufacturer = knownManufacturer ?? VALID_MANUFACTURERS[0];
+      const isDCC = engine.isDCC !== 'false';
+      const { error, value } = validateLocomotive({
+        _id: engine.id,
+        reportingMarks: engine.roadName,
+        reportingNumber: engine.roadNumber,
+        model: engine.model || engine.type || 'Unknown',
+        manufacturer,
+        isDCC,
+        ...(isDCC && { dccAddress: parseInt(engine.dccAddress, 10) || parseInt(String(engine.roadNumber).slice(-4), 10) || 3 }),
+        homeYard: homeYard._id,
+        isInService: !isTrue(engine.outOfService),
+        notes: engine.comment ?? ''
+      });
+      if (error) {
+        errors.push(`${label}: ${error.details[0].message}`);
+        continue;
+      }
+      if (!knownManufacturer) {
+        warnings.push(`${label}: JMRI records no manufacturer; set to ${manufacturer}`);
+      }
+      data.locomotives.push(value);
+    }
+
+    for (const [index, route] of (rosters.routes ?? []).entries()) {
+      const label = `Route ${index + 1} (${route.attributes.name})`;
+      const stops = findChildren(route, 'location').map(stop => stop.attributes.locationId);
+      const originYard = yardAt(stops[0]);
+      const terminationYard = yardAt(stops[stops.length - 1]);
+      if (!originYard || !terminationYard) {
+        errors.push(`${label}: ${originYard ? 'last' : 'first'} stop has no yard`);
+        continue;
+      }
+      data.routes.push({
+        _id: route.attributes.id,
+        name: route.attributes.name,
+        description: route.attributes.comment ?? '',
+        originYard: originYard._id,
+        terminationYard: terminationYard._id,
+        stationSequence: stops.slice(1, -1)
+      });
+    }
+
+    return { data, rosters: Object.keys(rosters), errors, warnings };
+  }
+
+  /**
+   * Write one roster file
+   * @param {string} roster - 'locations', 'cars', 'engines' or 'routes'
+   * @returns {Promise<string>} XML text
+   */
+  async toJmri(roster) {
+    if (!Object.hasOwn(JMRI_ROSTERS, roster)) {
+      throw new ApiError(`Unknown JMRI roster '${roster}'. Use one of: ${Object.keys(JMRI_ROSTERS).join(', ')}`, 400);
+    }
+    const spec = JMRI_ROSTERS[roster];
+
+    const [stations, industries, tracks, aarTypes] = await Promise.all([
+      this.stationRepo.findAll(),
+      this.industryRepo.findAll(),
+      this.trackRepo.findAll(),
+      this.aarTypeRepo.findAll()
+    ]);
+    const spurs = this._spursByTrack(industries, tracks);
+    // A car or engine at an industry sits on its first track
+    const spurOf = (industryId, trackId) => spurs.get(trackId) ?? [...spurs.values()].find(spur => spur.industry._id === industryId);
+
+    let items;
+    if (roster === 'locations') {
+      const carTypes = aarTypes.map(type => type._id);
+      items = stations.map(station => this._stationToLocation(station, [...spurs.values()], carTypes));
+    } else if (roster === 'cars') {
+      const [cars, goods] = await Promise.all([this.carRepo.findAll(), this.goodsRepo.findAll()]);
+      items = cars.map(car => {
+        const spur = spurOf(car.currentIndustry, car.currentTrack);
+        const home = spurOf(car.homeYard);
+        const load = goods.find(good => good._id === car.currentLoad);
+        return element('car', {
+          id: car._id,
+          roadName: car.reportingMarks,
+          roadNumber: car.reportingNumber,
+          type: car.carType,
+          length: aarTypes.find(type => type._id === car.carType)?.length ?? DEFAULT_CAR_LENGTH,
+          color: car.color,
+          loadName: load ? load.name : 'E',
+          outOfService: car.isInService === false ? 'true' : undefined,
+          locationId: spur?.industry.stationId,
+          secLocationId: spur?.id,
+          rweDestId: home?.industry.stationId,
+          rweSecDestId: home?.id,
+          comment: car.notes || undefined
+        });
+      });
+    } else if (roster === 'engines') {
+      const locomotives = await this.locomotiveRepo.findAll();
+      items = locomotives.map(locomotive => {
+        const spur = spurOf(locomotive.homeYard);
+        return element('engine', {
+          id: locomotive._id,
+          roadName: locomotive.reportingMarks,
+          roadNumber: locomotive.reportingNumber,
+          type: LOCO_TYPES[0],
+          model: locomotive.model,
+          length: DEFAULT_ENGINE_LENGTH,
+          outOfService: locomotive.isInService === false ? 'true' : undefined,
+          locationId: spur?.industry.stationId,
+          secLocationId: spur?.id,
+          comment: locomotive.notes || undefined,
+          manufacturer: locomotive.manufacturer,
+          isDCC: locomotive.isDCC === false ? 'false' : undefined,
+          dccAddress: locomotive.isDCC === false ? undefined : locomotive.dccAddress
+        });
+      });
+    } else {
+      const routes = await this.routeRepo.findAll();
+      const stationName = (id) => stations.find(station => station._id === id)?.name ?? id;
+      items = routes.map(route => {
+        const stops = [
+          industries.find(i => i._id === route.originYard)?.stationId,
+          ...(route.stationSequence || []),
+          industries.find(i => i._id === route.terminationYard)?.stationId
+        ];
+        return element('route', { id: route._id, name: route.name, comment: route.description || undefined },
+          stops.map((stationId, index) => element('location', {
+            id: `${route._id}r${index + 1}`,
+            name: stationName(stationId),
+            locationId: stationId,
+            sequenceId: index + 1
+          })));
+      });
+    }
+
+    const root = element(ROOT_ELEMENT, {}, [element(roster, {}, items)]);
+    return buildXml(root, { stylesheet: spec.stylesheet });
+  }
+
+  /**
+   * Add a JMRI location to import data: a station, a yard for its yard tracks and an industry per spur
+   * @param {Object} location - <location> element
+   * @param {Object} data - Import data being built
+   * @param {Map} industryById - Industries known so far, updated
+   * @param {Map} trackById - Tracks known so far, updated
+   * @param {Function} carTypeId - Resolves a JMRI car type to an AAR type ID
+   */
+  _locationToData(location, data, industryById, trackById, carTypeId) {
+    const { id, name, comment, block } = location.attributes;
+    const jmriTracks = findChildren(location, 'track');
+    const hasYard = jmriTracks.some(track => YARD_TRACK_TYPES.includes(track.attributes.locType));
+
+    data.stations.push({
+      _id: id,
+      name,
+      block: block ?? '',
+      type: hasYard ? 'yard' : 'station',
+      description: comment ?? ''
+    });
+
+    for (const jmriTrack of jmriTracks) {
+      const attributes = jmriTrack.attributes;
+      const isYard = YARD_TRACK_TYPES.includes(attributes.locType);
+      const industryId = attributes.industryId || (isYard ? `${id}-yard` : attributes.id);
+
+      if (!industryById.has(industryId)) {
+        const industry = {
+          _id: industryId,
+          name: attributes.industryName || (isYard ? `${name} Yard` : attributes.name),
+          stationId: id,
+          isYard,
+          isOnLayout: true,
+          carDemandConfig: []
+        };
+        industryById.set(industryId, industry);
+        data.industries.push(industry);
+      }
+
+      const carTypes = findChildren(findChild(jmriTrack, 'types'), 'carType').map(type => carTypeId(type.attributes.name));
+      // Our export names the tracks of a many-track industry 'Industry - Track'
+      const prefix = `${attributes.industryName} - `;
+      const track = {
+        _id: attributes.id,
+        name: attributes.industryName && attributes.name.startsWith(prefix) ? attributes.name.slice(prefix.length) : attributes.name,
+        industryId,
+        capacity: Math.min(MAX_TRACK_CAPACITY, Math.max(1, Math.floor((parseInt(attributes.length, 10) || 0) / FEET_PER_CAR))),
+        acceptedCarTypes: carTypes.length > 0 ? carTypes : [ALL_CAR_TYPES],
+        notes: attributes.comment ?? ''
+      };
+      trackById.set(track._id, track);
+      data.tracks.push(track);
+    }
+  }
+
+  /**
+   * The JMRI track each of our tracks becomes; an industry without tracks becomes one track of its own
+   * @param {Array} industries - All industries
+   * @param {Array} tracks - All tracks
+   * @returns {Map} JMRI track ID -> { id, name, industry, track }
+   */
+  _spursByTrack(industries, tracks) {
+    const spurs = new Map();
+    for (const industry of industries) {
+      const own = tracks.filter(track => track.industryId === industry._id);
+      if (own.length === 0) {
+        spurs.set(industry._id, { id: industry._id, name: industry.name, industry, track: null });
+      }
+      for (const track of own) {
+        // Track names must be unique within a JMRI location, and a spur is known by its industry
+        let name = track.name;
+        if (!industry.isYard) {
+          name = own.length === 1 ? industry.name : `${industry.name} - ${track.name}`;
+        }
+        spurs.set(track._id, { id: track._id, name, industry, track });
+      }
+    }
+    return spurs;
+  }
+
+  /**
+   * Write a station as a JMRI location with its tracks
+   * @param {Object} station - Station
+   * @param {Array} spurs - All JMRI tracks from _spursByTrack
+   * @param {Array<string>} carTypes - All AAR type IDs
+   * @returns {Object} <location> element
+   */
+  _stationToLocation(station, spurs, carTypes) {
+    const typesElement = (accepted, withLocos) => element('types', {}, [
+      ...accepted.map(type => element('carType', { name: type })),
+      ...(withLocos ? LOCO_TYPES.map(type => element('locoType', { name: type })) : [])
+    ]);
+
+    const trackElements = spurs
+      .filter(spur => spur.industry.stationId === station._id)
+      .map(({ id, name, industry, track }) => {
+        const accepted = track?.acceptedCarTypes ?? [ALL_CAR_TYPES];
+        return element('track', {
+          id,
+          name,
+          locType: industry.isYard ? YARD_TRACK_TYPES[0] : SPUR,
+          length: (track?.capacity ?? DEFAULT_SPUR_CARS) * FEET_PER_CAR,
+          comment: track?.notes || undefined,
+          industryId: industry._id,
+          industryName: industry.name
+        }, [typesElement(accepted.includes(ALL_CAR_TYPES) ? carTypes : accepted, industry.isYard)]);
+      });
+
+    return element('location', {
+      id: station._id,
+      name: station.name,
+      comment: station.description || undefined,
+      block: station.block || undefined
+    }, [typesElement(carTypes, true), ...trackElements]);
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Layout Service - Creates, clones and deletes the layouts one backend keeps apart
+ */
+
+import logger from '../utils/logger.js';
+import { getRepository } from '../repositories/index.js';
+import { dbHelpers, LAYOUT_COLLECTIONS, dropLayoutCollections } from '../database/index.js';
+import { validateLayout } from '../models/layout.js';
+import { validateOperatingSession } from '../models/operatingSession.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { throwIfNull } from '../utils/nullObjectHelpers.js';
+import { runInLayout, DEFAULT_LAYOUT_ID } from '../utils/layoutContext.js';
+
+export class LayoutService {
+  constructor() {
+    this.layoutRepo = getRepository('layouts');
+    this.sessionRepo = getRepository('operatingSessions');
+  }
+
+  /**
+   * List all layouts, the default layout first
+   * @returns {Promise<Array>} Layouts
+   */
+  async listLayouts() {
+    const layouts = await this.layoutRepo.findAll();
+    return layouts.sort((a, b) => {
+      if (a._id === DEFAULT_LAYOUT_ID) return -1;
+      if (b._id === DEFAULT_LAYOUT_ID) return 1;
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Get a layout
+   * @param {string} layoutId - Layout ID
+   * @returns {Promise<Object>} Layout
+   */
+  async getLayout(layoutId) {
+    const layout = await this.layoutRepo.findByIdOrNull(layoutId);
+    throwIfNull(layout, 'Layout not found', 404);
+    return layout;
+  }
+
+  /**
+   * Create an empty layout, ready to import data into
+   * @param {Object} layoutData - { name, description }
+   * @returns {Promise<Object>} Created layout
+   */
+  async createLayout(layoutData) {
+    const value = await this._validateNewLayout(layoutData);
+    const layout = await this.layoutRepo.create(value);
+
+    await runInLayout(layout._id, () => this._initializeSession());
+
+    logger.info('Layout created', { layoutId: layout._id, name: layout.name });
+    return layout;
+  }
+
+  /**
+   * Copy a layout and everything in it: cars, industries, trains, sessions and restore points
+   * @param {string} sourceId - Layout to copy
+   * @param {Object} layoutData - { name, description } of the copy
+   * @returns {Promise<Object>} { layout, stats: { copied, totalCopied } }
+   */
+  async cloneLayout(sourceId, layoutData) {
+    const source = await this.getLayout(sourceId);
+    const value = await this._validateNewLayout({
+      description: source.description,
+      ...layoutData
+    });
+    const layout = await this.layoutRepo.create(value);
+
+    const copied = {};
+    try {
+      for (const collection of LAYOUT_COLLECTIONS) {
+        const docs = await runInLayout(source._id, () => dbHelpers.findAll(collection));
+        if (docs.length > 0) {
+          await runInLayout(layout._id, () => dbHelpers.bulkInsert(collection, docs));
+        }
+        copied[collection] = docs.length;
+      }
+    } catch (error) {
+      // Leave no half-copied layout behind
+      await this.layoutRepo.delete(layout._id);
+      await dropLayoutCollections(layout._id);
+      throw error;
+    }
+
+    const totalCopied = Object.values(copied).reduce((sum, count) => sum + count, 0);
+    logger.info('Layout cloned', { sourceId: source._id, layoutId: layout._id, totalCopied });
+    return { layout, stats: { copied, totalCopied } };
+  }
+
+  /**
+   * Rename a layout or change its description
+   * @param {string} layoutId - Layout ID
+   * @param {Object} updateData - { name, description }
+   * @returns {Promise<Object>} Updated layout
+   */
+  async updateLayout(layoutId, updateData) {
+    const { error, value } = validateLayout(updateData, true);
+    if (error) {
+      throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+    }
+
+    const existingLayout = await this.getLayout(layoutId);
+    if (value.name && value.name !== existingLayout.name) {
+      await this._assertNameFree(value.name);
+    }
+
+    return this.layoutRepo.update(layoutId, value);
+  }
+
+  /**
+   * Delete a layout and all its data
+   * @param {string} layoutId - Layout ID; the default layout cannot be deleted
+   * @returns {Promise<void>}
+   */
+  async deleteLayout(layoutId) {
+    if (layoutId === DEFAULT_LAYOUT_ID) {
+      throw new ApiError('The default layout cannot be deleted', 400);
+    }
+    const layout = await this.getLayout(layoutId);
+
+    await this.layoutRepo.delete(layout._id);
+    await dropLayoutCollections(layout._id);
+    logger.info('Layout deleted', { layoutId: layout._id, name: layout.name });
+  }
+
+  /**
+   * Record the default layout, whose data lives in the original datastore files
+   * @returns {Promise<Object|null>} The layout if it was just created, otherwise null
+   */
+  async ensureDefaultLayout() {
+    const existing = await this.layoutRepo.findById(DEFAULT_LAYOUT_ID);
+    if (existing) {
+      return null;
+    }
+    return this.layoutRepo.create({ _id: DEFAULT_LAYOUT_ID, name: 'Default Layout', description: '' });
+  }
+
+  /**
+   * Validate a new layout and check its name is free
+   * @param {Object} layoutData - { name, description }
+   * @returns {Promise<Object>} Validated layout data
+   */
+  async _validateNewLayout(layoutData) {
+    const { error, value } = validateLayout(layoutData);
+    if (error) {
+      throw new ApiError('Validation failed', 400, error.details.map(d => d.message));
+    }
+    await this._assertNameFree(value.name);
+    return value;
+  }
+
+  /**
+   * Reject a name another layout already uses
+   * @param {string} name - Layout name
+   */
+  async _assertNameFree(name) {
+    const sameName = await this.layoutRepo.findByName(name);
+    if (sameName) {
+      throw new ApiError(`A layout named '${name}' already exists`, 409);
+    }
+  }
+
+  /**
+   * Start a new layout at session 1
+   * @returns {Promise<Object>} The operating session
+   */
+  async _initializeSession() {
+    const { error, value } = validateOperatingSession({
+      currentSessionNumber: 1,
+      sessionDate: new Date().toISOString(),
+      description: 'Initial operating session',
+      previousSessionSnapshot: null
+    });
+    if (error) {
+      throw new ApiError('Failed to create initial session', 500, error.details.map(d => d.message));
+    }
+    return this.sessionRepo.create(value);
+  }
+}
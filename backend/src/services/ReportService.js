@@ -0,0 +1,243 @@
+/**
+ * Report Service - Car, industry, goods and train reports over a range of sessions
+ * The numbers are worked out in models/report.js; this service loads what they need.
+ */
+
+import { getRepository } from '../repositories/index.js';
+import {
+  buildCarMovementHistory,
+  buildCarUtilization,
+  buildIdleCars,
+  buildIndustryActivity,
+  buildGoodsFulfillment,
+  buildTrainPerformance,
+  buildLocomotiveUsage
+} from '../models/report.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { canSeeTrain } from '../models/user.js';
+
+// Cars that have sat for more than this many sessions are idle, unless the request says otherwise
+export const DEFAULT_IDLE_SESSIONS = 3;
+
+export class ReportService {
+  constructor() {
+    this.sessionRepo = getRepository('operatingSessions');
+    this.carMovementRepo = getRepository('carMovements');
+    this.carOrderRepo = getRepository('carOrders');
+    this.carRepo = getRepository('cars');
+    this.industryRepo = getRepository('industries');
+    this.stationRepo = getRepository('stations');
+    this.trackRepo = getRepository('tracks');
+    this.goodRepo = getRepository('goods');
+    this.trainRepo = getRepository('trains');
+    this.completedTrainRepo = getRepository('completedTrains');
+    this.routeRepo = getRepository('routes');
+    this.locomotiveRepo = getRepository('locomotives');
+  }
+
+  /**
+   * Car movement history; crews see no moves made by trains they are not assigned to
+   * @param {Object} filters - { fromSession, toSession, carId }
+   * @param {Object|null} user - Signed-in user; null when authentication is off
+   * @returns {Promise<Object>} { filters, rows }
+   */
+  async getCarMovementHistory(filters = {}, user = null) {
+    const range = await this.resolveSessionRange(filters);
+    const query = { sessionNumber: this._sessionQuery(range) };
+    if (filters.carId) {
+      query.carId = filters.carId;
+    }
+
+    const [movements, cars, industries, trains, completedTrains, goods] = await Promise.all([
+      this.carMovementRepo.findBy(query),
+      this.carRepo.findAll(),
+      this.industryRepo.findAll(),
+      this.trainRepo.findAll(),
+      this.completedTrainRepo.findAll(),
+      this.goodRepo.findAll()
+    ]);
+
+    const trainsById = new Map([...trains, ...completedTrains].map(train => [train._id, train]));
+    const visibleMovements = movements.filter(movement =>
+      !movement.trainId || canSeeTrain(user, trainsById.get(movement.trainId) || {})
+    );
+
+    return {
+      filters: { ...range, carId: filters.carId || null },
+      rows: buildCarMovementHistory(visibleMovements, { cars, industries, trains: [...trainsById.values()], goods })
+    };
+  }
+
+  /**
+   * How much each car worked
+   * @param {Object} filters - { fromSession, toSession }
+   * @returns {Promise<Object>} { filters, rows }
+   */
+  async getCarUtilization(filters = {}) {
+    const range = await this.resolveSessionRange(filters);
+    const [movements, cars, industries] = await Promise.all([
+      this.carMovementRepo.findBy({ sessionNumber: this._sessionQuery(range) }),
+      this.carRepo.findAll(),
+      this.industryRepo.findAll()
+    ]);
+
+    return {
+      filters: range,
+      rows: buildCarUtilization(cars, movements, {
+        sessionCount: range.toSession - range.fromSession + 1,
+        industries
+      })
+    };
+  }
+
+  /**
+   * Cars idle for more than minSessions sessions
+   * @param {Object} filters - { fromSession, toSession, minSessions }; the range limits the session they went idle in
+   * @returns {Promise<Object>} { filters, rows }
+   */
+  async getIdleCars(filters = {}) {
+    const range = await this.resolveSessionRange(filters);
+    const minSessions = filters.minSessions ?? DEFAULT_IDLE_SESSIONS;
+    const [cars, industries, tracks, goods] = await Promise.all([
+      this.carRepo.findAll(),
+      this.industryRepo.findAll(),
+      this.trackRepo.findAll(),
+      this.goodRepo.findAll()
+    ]);
+
+    return {
+      filters: { ...range, minSessions },
+      rows: buildIdleCars(cars, {
+        minSessions,
+        currentSession: range.currentSession,
+        fromSession: range.fromSession,
+        toSession: range.toSession,
+        industries,
+        tracks,
+        goods
+      })
+    };
+  }
+
+  /**
+   * Orders and car moves at each industry
+   * @param {Object} filters - { fromSession, toSession }
+   * @returns {Promise<Object>} { filters, rows }
+   */
+  async getIndustryActivity(filters = {}) {
+    const range = await this.resolveSessionRange(filters);
+    const sessionNumber = this._sessionQuery(range);
+    const [industries, orders, movements, stations] = await Promise.all([
+      this.industryRepo.findAll(),
+      this.carOrderRepo.findBy({ sessionNumber }),
+      this.carMovementRepo.findBy({ sessionNumber }),
+      this.stationRepo.findAll()
+    ]);
+
+    return {
+      filters: range,
+      rows: buildIndustryActivity(industries, orders, movements, { stations })
+    };
+  }
+
+  /**
+   * Order fulfillment per good, with missing and underutilized goods flagged
+   * @param {Object} filters - { fromSession, toSession }
+   * @returns {Promise<Object>} { filters, rows }
+   */
+  async getGoodsFulfillment(filters = {}) {
+    const range = await this.resolveSessionRange(filters);
+    const [goods, industries, orders] = await Promise.all([
+      this.goodRepo.findAll(),
+      this.industryRepo.findAll(),
+      this.carOrderRepo.findBy({ sessionNumber: this._sessionQuery(range) })
+    ]);
+
+    return {
+      filters: range,
+      rows: buildGoodsFulfillment(goods, industries, orders)
+    };
+  }
+
+  /**
+   * Trains run per route and the cars they handled; crews see only their own trains
+   * @param {Object} filters - { fromSession, toSession }
+   * @param {Object|null} user - Signed-in user; null when authentication is off
+   * @returns {Promise<Object>} { filters, rows }
+   */
+  async getTrainPerformance(filters = {}, user = null) {
+    const range = await this.resolveSessionRange(filters);
+    const [trains, routes] = await Promise.all([
+      this._findTrains(range, user),
+      this.routeRepo.findAll()
+    ]);
+
+    return {
+      filters: range,
+      rows: buildTrainPerformance(trains, routes)
+    };
+  }
+
+  /**
+   * Trains each locomotive pulled; crews see only their own trains
+   * @param {Object} filters - { fromSession, toSession }
+   * @param {Object|null} user - Signed-in user; null when authentication is off
+   * @returns {Promise<Object>} { filters, rows }
+   */
+  async getLocomotiveUsage(filters = {}, user = null) {
+    const range = await this.resolveSessionRange(filters);
+    const [locomotives, trains] = await Promise.all([
+      this.locomotiveRepo.findAll(),
+      this._findTrains(range, user)
+    ]);
+
+    return {
+      filters: range,
+      rows: buildLocomotiveUsage(locomotives, trains)
+    };
+  }
+
+  /**
+   * Fill in a session range: from session 1 through the current session unless given
+   * @param {Object} filters - { fromSession, toSession }
+   * @returns {Promise<Object>} { fromSession, toSession, currentSession }
+   */
+  async resolveSessionRange({ fromSession, toSession } = {}) {
+    const session = await this.sessionRepo.getCurrentSession();
+    const currentSession = session?.currentSessionNumber || 1;
+    const range = {
+      fromSession: fromSession || 1,
+      toSession: toSession || currentSession,
+      currentSession
+    };
+
+    if (range.fromSession > range.toSession) {
+      throw new ApiError('fromSession must not be after toSession', 400);
+    }
+    return range;
+  }
+
+  /**
+   * Trains run in a session range that the user may see, including those a session advance has archived
+   * @param {Object} range - { fromSession, toSession }
+   * @param {Object|null} user - Signed-in user
+   * @returns {Promise<Array>} Trains
+   */
+  async _findTrains(range, user) {
+    const query = { sessionNumber: this._sessionQuery(range) };
+    const [trains, completedTrains] = await Promise.all([
+      this.trainRepo.findBy(query),
+      this.completedTrainRepo.findBy(query)
+    ]);
+    return [...trains, ...completedTrains].filter(train => canSeeTrain(user, train));
+  }
+
+  /**
+   * NeDB condition matching session numbers in a range
+   * @param {Object} range - { fromSession, toSession }
+   * @returns {Object} Query condition
+   */
+  _sessionQuery({ fromSession, toSession }) {
+    return { $gte: fromSession, $lte: toSession };
+  }
+}
@@ -8,13 +8,36 @@ import { dbHelpers } from '../database/index.js';
 import { 
   validateOperatingSession, 
   createSessionSnapshot, 
-  validateSnapshot 
+  validateSnapshot,
+  validateSessionSnapshotRecord,
+  defaultSnapshotName,
+  summarizeSnapshotRecord,
+  resolveRollbackTarget,
+  buildIntegrityReport
 } from '../models/operatingSession.js';
+import {
+  validateFastClock,
+  readFastClock,
+  startFastClock,
+  pauseFastClock,
+  updateFastClock,
+  resetFastClock
+} from '../models/fastClock.js';
+import { MOVEMENT_REASONS } from '../models/carMovement.js';
+import { planBackorders } from '../models/carOrder.js';
+import { DWELL_ACTIONS, advanceDwell } from '../models/good.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import { getSessionsConfig } from '../config/index.js';
+import { publishLayoutEvent, LAYOUT_EVENTS } from '../utils/layoutEvents.js';
 
 export class SessionService {
   constructor() {
     this.sessionRepo = getRepository('operatingSessions');
+    this.carMovementRepo = getRepository('carMovements');
+    this.snapshotRepo = getRepository('sessionSnapshots');
+    this.carOrderRepo = getRepository('carOrders');
+    this.waybillRepo = getRepository('waybills');
+    this.completedTrainRepo = getRepository('completedTrains');
   }
 
   /**
@@ -48,14 +71,31 @@ export class SessionService {
   /**
    * Advance to the next operating session
    * @param {string} description - Optional description for the new session
+   * @param {string} snapshotName - Optional name for the restore point of the session being closed
    * @returns {Promise<Object>} Advanced session with stats
    */
-  async advanceSession(description = null) {
+  async advanceSession(description = null, snapshotName = null) {
     // Get current session
     const currentSession = await this.getCurrentSession();
+    const name = snapshotName || defaultSnapshotName(currentSession.currentSessionNumber);
+
+    // Restore point names must be unique so they can be used as rollback targets
+    const sameName = await this.snapshotRepo.findByName(name);
+    if (sameName && sameName.sessionNumber !== currentSession.currentSessionNumber) {
+      throw new ApiError(`A restore point named '${name}' already exists`, 409);
+    }
 
     // Create snapshot of current state
-    const snapshot = await createSessionSnapshot();
+    const state = await this._readLayoutState();
+    const snapshot = createSessionSnapshot(
+      currentSession.currentSessionNumber,
+      state.cars,
+      state.trains,
+      state.carOrders,
+      state.locomotives,
+      state.industries,
+      state.waybills
+    );
 
     // Validate snapshot
     const { error: snapshotError } = validateSnapshot(snapshot);
@@ -63,16 +103,31 @@ export class SessionService {
       throw new ApiError('Failed to create session snapshot', 500, snapshotError.details[0].message);
     }
 
+    const { error: recordError, value: record } = validateSessionSnapshotRecord({
+      sessionNumber: currentSession.currentSessionNumber,
+      name,
+      description: currentSession.description || '',
+      snapshot
+    });
+    if (recordError) {
+      throw new ApiError('Failed to create session snapshot', 500, recordError.details.map(d => d.message));
+    }
+
     // Perform session advancement operations
     const stats = await this._performSessionAdvancement(snapshot, currentSession);
 
-    // Update session to next number with snapshot
+    // Store the restore point and drop the oldest beyond the retention count
+    await this.snapshotRepo.saveForSession(record);
+    const snapshotsPruned = await this.snapshotRepo.prune(getSessionsConfig().snapshotRetention);
+
+    // Update session to next number
     const nextSessionNumber = currentSession.currentSessionNumber + 1;
     const updateData = {
       currentSessionNumber: nextSessionNumber,
       sessionDate: new Date().toISOString(),
       description: description || `Operating session ${nextSessionNumber}`,
-      previousSessionSnapshot: snapshot
+      fastClock: resetFastClock(currentSession.fastClock), // Each session starts at the clock's start time
+      previousSessionSnapshot: null // Restore points live in the sessionSnapshots collection
     };
 
     const { error, value } = validateOperatingSession(updateData);
@@ -82,22 +137,26 @@ export class SessionService {
 
     await dbHelpers.update('operatingSessions', currentSession._id, value);
     const updatedSession = await dbHelpers.findById('operatingSessions', currentSession._id);
+    publishLayoutEvent(LAYOUT_EVENTS.SESSION_ADVANCED, { session: updatedSession });
+    publishLayoutEvent(LAYOUT_EVENTS.FAST_CLOCK_CHANGED, { clock: readFastClock(updatedSession.fastClock) });
 
     return {
       session: updatedSession,
       stats: {
         ...stats,
+        snapshotsPruned,
         advancedToSession: nextSessionNumber
       }
     };
   }
 
   /**
-   * Rollback to the previous operating session
+   * Rollback one or more operating sessions
    * @param {string} description - Optional description for the rollback
+   * @param {Object} options - { steps, snapshotName }; rolls back one session by default
    * @returns {Promise<Object>} Rolled back session with stats
    */
-  async rollbackSession(description = null) {
+  async rollbackSession(description = null, options = {}) {
     // Get current session
     const currentSession = await this.getCurrentSession();
 
@@ -106,28 +165,41 @@ export class SessionService {
       throw new ApiError('Cannot rollback from session 1', 400);
     }
 
-    if (!currentSession.previousSessionSnapshot) {
+    const restorePoints = await this.snapshotRepo.findAllNewestFirst();
+    if (restorePoints.length === 0) {
       throw new ApiError('No previous session snapshot available', 400);
     }
 
-    const snapshot = currentSession.previousSessionSnapshot;
+    const { target, error: targetError } = resolveRollbackTarget(
+      restorePoints,
+      currentSession.currentSessionNumber,
+      options
+    );
+    if (targetError) {
+      throw new ApiError(targetError, 400);
+    }
 
-    // Validate snapshot
-    const { error: snapshotError } = validateSnapshot(snapshot);
+    // Validate snapshot (also fills defaults for fields older snapshots lack)
+    const { error: snapshotError, value: snapshot } = validateSnapshot(target.snapshot);
     if (snapshotError) {
       throw new ApiError('Invalid session snapshot', 500, snapshotError.details[0].message);
     }
 
-    // Perform rollback operations
-    const stats = await this._performSessionRollback(snapshot);
+    // Perform rollback operations, then verify the layout matches the snapshot
+    const stats = await this._performSessionRollback(snapshot, currentSession);
+    const integrity = buildIntegrityReport(snapshot, await this._readLayoutState());
 
-    // Update session to previous number and clear snapshot
-    const previousSessionNumber = currentSession.currentSessionNumber - 1;
+    // The target and every later restore point describe a future that no longer happened
+    const snapshotsDiscarded = await this.snapshotRepo.deleteFromSession(target.sessionNumber);
+
+    // Update session to the target number
+    const targetSessionNumber = target.sessionNumber;
     const updateData = {
-      currentSessionNumber: previousSessionNumber,
+      currentSessionNumber: targetSessionNumber,
       sessionDate: new Date().toISOString(),
-      description: description || `Rolled back to session ${previousSessionNumber}`,
-      previousSessionSnapshot: null // Clear the snapshot after rollback
+      description: description || `Rolled back to session ${targetSessionNumber}`,
+      fastClock: resetFastClock(currentSession.fastClock),
+      previousSessionSnapshot: null
     };
 
     const { error, value } = validateOperatingSession(updateData);
@@ -137,13 +209,37 @@ export class SessionService {
 
     await dbHelpers.update('operatingSessions', currentSession._id, value);
     const updatedSession = await dbHelpers.findById('operatingSessions', currentSession._id);
+    publishLayoutEvent(LAYOUT_EVENTS.SESSION_ROLLED_BACK, { session: updatedSession });
+    publishLayoutEvent(LAYOUT_EVENTS.FAST_CLOCK_CHANGED, { clock: readFastClock(updatedSession.fastClock) });
 
     return {
       session: updatedSession,
       stats: {
         ...stats,
-        rolledBackToSession: previousSessionNumber
-      }
+        snapshotsDiscarded,
+        rolledBackToSession: targetSessionNumber
+      },
+      integrity
+    };
+  }
+
+  /**
+   * List the restore points available for rollback, newest first
+   * @returns {Promise<Object>} Current session number, retention and restore point summaries
+   */
+  async getSessionHistory() {
+    const currentSession = await this.getCurrentSession();
+    const restorePoints = await this.snapshotRepo.findAllNewestFirst();
+
+    return {
+      currentSessionNumber: currentSession.currentSessionNumber,
+      retention: getSessionsConfig().snapshotRetention,
+      restorePoints: restorePoints
+        .filter(record => record.sessionNumber < currentSession.currentSessionNumber)
+        .map(record => ({
+          ...summarizeSnapshotRecord(record),
+          steps: currentSession.currentSessionNumber - record.sessionNumber
+        }))
     };
   }
 
@@ -174,6 +270,90 @@ export class SessionService {
     return updatedSession;
   }
 
+  /**
+   * Read the current session's fast clock
+   * @returns {Promise<Object>} { ratio, startTime, running, time, asOf }
+   */
+  async getFastClock() {
+    const currentSession = await this.getCurrentSession();
+    return readFastClock(currentSession.fastClock);
+  }
+
+  /**
+   * Start or resume the fast clock
+   * @returns {Promise<Object>} Clock as read after the change
+   */
+  async startFastClock() {
+    const currentSession = await this.getCurrentSession();
+    return this._saveFastClock(currentSession, startFastClock(currentSession.fastClock));
+  }
+
+  /**
+   * Pause the fast clock at the time it shows
+   * @returns {Promise<Object>} Clock as read after the change
+   */
+  async pauseFastClock() {
+    const currentSession = await this.getCurrentSession();
+    return this._saveFastClock(currentSession, pauseFastClock(currentSession.fastClock));
+  }
+
+  /**
+   * Change the fast clock's ratio, start time or the time it shows
+   * @param {Object} settings - { ratio, startTime, time }
+   * @returns {Promise<Object>} Clock as read after the change
+   */
+  async updateFastClock(settings) {
+    const currentSession = await this.getCurrentSession();
+    return this._saveFastClock(currentSession, updateFastClock(currentSession.fastClock, settings));
+  }
+
+  /**
+   * Set the fast clock back to its start time, paused
+   * @returns {Promise<Object>} Clock as read after the change
+   */
+  async resetFastClock() {
+    const currentSession = await this.getCurrentSession();
+    return this._saveFastClock(currentSession, resetFastClock(currentSession.fastClock));
+  }
+
+  /**
+   * Private method to store the session's fast clock and push it to clients
+   * @param {Object} currentSession - Current session object
+   * @param {Object} fastClock - Clock to store
+   * @returns {Promise<Object>} Clock as read after the change
+   */
+  async _saveFastClock(currentSession, fastClock) {
+    const { error, value } = validateFastClock(fastClock);
+    if (error) {
+      throw new ApiError('Invalid fast clock', 400, error.details.map(d => d.message));
+    }
+
+    await dbHelpers.update('operatingSessions', currentSession._id, {
+      fastClock: value,
+      updatedAt: new Date().toISOString()
+    });
+
+    const clock = readFastClock(value);
+    publishLayoutEvent(LAYOUT_EVENTS.FAST_CLOCK_CHANGED, { clock });
+    return clock;
+  }
+
+  /**
+   * Private method to read every collection a snapshot covers
+   * @returns {Promise<Object>} { cars, trains, carOrders, locomotives, industries, waybills }
+   */
+  async _readLayoutState() {
+    const [cars, trains, carOrders, locomotives, industries, waybills] = await Promise.all([
+      dbHelpers.findAll('cars'),
+      dbHelpers.findAll('trains'),
+      dbHelpers.findAll('carOrders'),
+      dbHelpers.findAll('locomotives'),
+      dbHelpers.findAll('industries'),
+      dbHelpers.findAll('waybills')
+    ]);
+    return { cars, trains, carOrders, locomotives, industries, waybills };
+  }
+
   /**
    * Private method to perform session advancement operations
    * @param {Object} snapshot - Current state snapshot
@@ -184,21 +364,32 @@ export class SessionService {
     const stats = {
       carsUpdated: 0,
       trainsDeleted: 0,
-      carsReverted: 0
+      carsReverted: 0,
+      carsLoaded: 0,
+      carsUnloaded: 0,
+      ordersBackordered: 0,
+      ordersExpired: 0
     };
 
     // Update car locations (increment sessionsAtCurrentLocation for all cars)
+    // and count down loading and unloading, flipping the load once the dwell time has run
     const cars = await dbHelpers.findAll('cars');
     for (const car of cars) {
+      const { completed, ...dwellUpdate } = advanceDwell(car) || {};
       await dbHelpers.update('cars', car._id, {
-        sessionsAtCurrentLocation: (car.sessionsAtCurrentLocation || 0) + 1
+        sessionsAtCurrentLocation: (car.sessionsAtCurrentLocation || 0) + 1,
+        ...dwellUpdate
       });
       stats.carsUpdated++;
+      if (completed) {
+        stats[car.dwell.action === DWELL_ACTIONS.LOADING ? 'carsLoaded' : 'carsUnloaded']++;
+      }
     }
 
-    // Delete completed trains
+    // Delete completed trains, archiving each for the reports on past sessions
     const completedTrains = await dbHelpers.findByQuery('trains', { status: 'Completed' });
     for (const train of completedTrains) {
+      await this.completedTrainRepo.archive(train);
       await dbHelpers.delete('trains', train._id);
       stats.trainsDeleted++;
     }
@@ -208,43 +399,105 @@ export class SessionService {
     for (const train of activeTrains) {
       if (train.assignedCarIds && train.assignedCarIds.length > 0) {
         for (const carId of train.assignedCarIds) {
-          // Find the car's original location from the snapshot
-          const originalCar = snapshot.cars.find(c => c._id === carId);
+          // Find the car's original location from the snapshot, which keys cars by id
+          const originalCar = snapshot.cars.find(c => c.id === carId);
           if (originalCar) {
+            const car = cars.find(c => c._id === carId);
             await dbHelpers.update('cars', carId, {
               currentIndustry: originalCar.currentIndustry,
+              currentTrack: originalCar.currentTrack,
               sessionsAtCurrentLocation: 0 // Reset counter
             });
+            if (car) {
+              await this.carMovementRepo.recordMove(car, { industryId: originalCar.currentIndustry, trackId: originalCar.currentTrack }, {
+                reason: MOVEMENT_REASONS.SESSION_ADVANCE,
+                sessionNumber: currentSession.currentSessionNumber,
+                trainId: train._id
+              });
+            }
             stats.carsReverted++;
           }
         }
       }
     }
 
+    // Carry unfilled orders into the next session as backorders, dropping any past the expiry age
+    const pendingOrders = await this.carOrderRepo.findByStatus('pending');
+    const { backordered, expired } = planBackorders(pendingOrders, getSessionsConfig().backorderExpiry);
+    for (const { order, backorderAge } of backordered) {
+      await dbHelpers.update('carOrders', order._id, { backorderAge });
+      stats.ordersBackordered++;
+    }
+    for (const order of expired) {
+      await dbHelpers.update('carOrders', order._id, { status: 'expired' });
+      await this.waybillRepo.deleteForOrder(order._id);
+      stats.ordersExpired++;
+    }
+
     return stats;
   }
 
   /**
    * Private method to perform session rollback operations
    * @param {Object} snapshot - Previous state snapshot
+   * @param {Object} currentSession - Session being rolled back
    * @returns {Promise<Object>} Operation statistics
    */
-  async _performSessionRollback(snapshot) {
+  async _performSessionRollback(snapshot, currentSession) {
     const stats = {
       carsRestored: 0,
       trainsRestored: 0,
-      ordersRestored: 0
+      ordersRestored: 0,
+      locomotivesRestored: 0,
+      industriesRestored: 0,
+      waybillsRestored: 0
     };
 
-    // Restore car locations from snapshot
+    // Restore car state from snapshot; cars deleted since then cannot be restored
+    const cars = await dbHelpers.findAll('cars');
     for (const snapshotCar of snapshot.cars) {
-      await dbHelpers.update('cars', snapshotCar._id, {
+      const car = cars.find(c => c._id === snapshotCar.id);
+      if (!car) continue;
+
+      await dbHelpers.update('cars', snapshotCar.id, {
         currentIndustry: snapshotCar.currentIndustry,
-        sessionsAtCurrentLocation: snapshotCar.sessionsAtCurrentLocation
+        currentTrack: snapshotCar.currentTrack,
+        currentLoad: snapshotCar.currentLoad,
+        isInService: snapshotCar.isInService,
+        sessionsAtCurrentLocation: snapshotCar.sessionsAtCurrentLocation,
+        waybillCycle: snapshotCar.waybillCycle,
+        nextHop: snapshotCar.nextHop,
+        dwell: snapshotCar.dwell
+      });
+      // Rollback is recorded as a compensating move; the ledger is never rewritten
+      await this.carMovementRepo.recordMove(car, {
+        industryId: snapshotCar.currentIndustry,
+        trackId: snapshotCar.currentTrack,
+        currentLoad: snapshotCar.currentLoad
+      }, {
+        reason: MOVEMENT_REASONS.SESSION_ROLLBACK,
+        sessionNumber: currentSession.currentSessionNumber
       });
       stats.carsRestored++;
     }
 
+    // Restore locomotive state
+    for (const snapshotLocomotive of snapshot.locomotives) {
+      const updated = await dbHelpers.update('locomotives', snapshotLocomotive.id, {
+        homeYard: snapshotLocomotive.homeYard,
+        isInService: snapshotLocomotive.isInService
+      });
+      stats.locomotivesRestored += updated;
+    }
+
+    // Restore industry demand
+    for (const snapshotIndustry of snapshot.industries) {
+      const updated = await dbHelpers.update('industries', snapshotIndustry.id, {
+        carDemandConfig: snapshotIndustry.carDemandConfig
+      });
+      stats.industriesRestored += updated;
+    }
+
     // Restore trains from snapshot
     // First, delete all current trains
     const currentTrains = await dbHelpers.findAll('trains');
@@ -258,6 +511,9 @@ export class SessionService {
       stats.trainsRestored++;
     }
 
+    // Completed trains the snapshot puts back are no longer archived
+    await this.completedTrainRepo.release(snapshot.trains.map(train => train._id));
+
     // Restore car orders from snapshot
     // First, delete all current car orders
     const currentOrders = await dbHelpers.findAll('carOrders');
@@ -271,6 +527,16 @@ export class SessionService {
       stats.ordersRestored++;
     }
 
+    // Restore waybills from snapshot, replacing the current set like car orders
+    const currentWaybills = await dbHelpers.findAll('waybills');
+    for (const waybill of currentWaybills) {
+      await dbHelpers.delete('waybills', waybill._id);
+    }
+    for (const snapshotWaybill of snapshot.waybills) {
+      await dbHelpers.create('waybills', snapshotWaybill);
+      stats.waybillsRestored++;
+    }
+
     return stats;
   }
 
@@ -282,11 +548,15 @@ export class SessionService {
     const currentSession = await this.getCurrentSession();
     
     // Get counts of various entities
-    const [cars, trains, carOrders] = await Promise.all([
+    const [cars, trains, carOrders, restorePoints] = await Promise.all([
       dbHelpers.findAll('cars'),
       dbHelpers.findAll('trains'),
-      dbHelpers.findAll('carOrders')
+      dbHelpers.findAll('carOrders'),
+      this.snapshotRepo.findAll()
     ]);
+    const availableRestorePoints = restorePoints.filter(
+      record => record.sessionNumber < currentSession.currentSessionNumber
+    ).length;
 
     const trainsByStatus = trains.reduce((acc, train) => {
       acc[train.status] = (acc[train.status] || 0) + 1;
@@ -302,8 +572,9 @@ export class SessionService {
       currentSessionNumber: currentSession.currentSessionNumber,
       sessionDate: currentSession.sessionDate,
       description: currentSession.description,
-      hasSnapshot: !!currentSession.previousSessionSnapshot,
-      canRollback: currentSession.currentSessionNumber > 1 && !!currentSession.previousSessionSnapshot,
+      hasSnapshot: availableRestorePoints > 0,
+      canRollback: currentSession.currentSessionNumber > 1 && availableRestorePoints > 0,
+      restorePoints: availableRestorePoints,
       entityCounts: {
         cars: cars.length,
         trains: trains.length,
@@ -0,0 +1,44 @@
+/**
+ * Timetable Service - Scheduled trains for a session and the meets and passes between them
+ * The timetable is worked out in models/timetable.js; this service loads what it needs.
+ */
+
+import { getRepository } from '../repositories/index.js';
+import { buildTimetable } from '../models/timetable.js';
+import { canSeeTrain } from '../models/user.js';
+
+export class TimetableService {
+  constructor() {
+    this.sessionRepo = getRepository('operatingSessions');
+    this.trainRepo = getRepository('trains');
+    this.routeRepo = getRepository('routes');
+    this.industryRepo = getRepository('industries');
+    this.stationRepo = getRepository('stations');
+  }
+
+  /**
+   * A session's timetable
+   * Crews only see the trains they are assigned to, and the meets and passes between them.
+   * @param {Object} filters - { sessionNumber }; the current session when not given
+   * @param {Object|null} user - Signed-in user; null when authentication is off
+   * @returns {Promise<Object>} { sessionNumber, trains, unscheduled, conflicts }
+   */
+  async getTimetable({ sessionNumber } = {}, user = null) {
+    if (!sessionNumber) {
+      const session = await this.sessionRepo.getCurrentSession();
+      sessionNumber = session?.currentSessionNumber || 1;
+    }
+
+    const [trains, routes, industries, stations] = await Promise.all([
+      this.trainRepo.findBy({ sessionNumber }),
+      this.routeRepo.findAll(),
+      this.industryRepo.findAll(),
+      this.stationRepo.findAll()
+    ]);
+
+    return {
+      sessionNumber,
+      ...buildTimetable(trains.filter(train => canSeeTrain(user, train)), { routes, industries, stations })
+    };
+  }
+}
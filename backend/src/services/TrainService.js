@@ -8,10 +8,29 @@ import { getRepository } from '../repositories/index.js';
 import { dbHelpers } from '../database/index.js';
 import { 
   validateSwitchListRequirements,
-  validateStatusTransition
+  validateStatusTransition,
+  blockSwitchList,
+  carLoad,
+  resolveTrainLimits,
+  findBindingLimit,
+  fitsSidings,
+  flagRunarounds,
+  TRAIN_LIMITS,
+  HELD_REASONS
 } from '../models/train.js';
+import { buildTrackOccupancy, findTrackWithRoom } from '../models/track.js';
+import { MOVEMENT_REASONS } from '../models/carMovement.js';
+import { nextWaybillCycle } from '../models/waybill.js';
+import { compareOrderPriority, priorityRank, ORDER_PRIORITIES } from '../models/carOrder.js';
+import { buildStationGraph, resolveRouteStations, planNextHop, isFinalHop } from '../models/routing.js';
+import { findRouteStop } from '../models/route.js';
+import { resolveCarRouting } from '../models/carRoutingRule.js';
+import { resolveDwellTime, startDwell } from '../models/good.js';
+import { stampStatusChange } from '../models/fastClock.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { throwIfNull } from '../utils/nullObjectHelpers.js';
+import { publishLayoutEvent, LAYOUT_EVENTS } from '../utils/layoutEvents.js';
+import { getService } from './index.js';
 
 export class TrainService {
   constructor() {
@@ -22,6 +41,11 @@ export class TrainService {
     this.locomotiveRepo = getRepository('locomotives');
     this.industryRepo = getRepository('industries');
     this.stationRepo = getRepository('stations');
+    this.trackRepo = getRepository('tracks');
+    this.carMovementRepo = getRepository('carMovements');
+    this.waybillRepo = getRepository('waybills');
+    this.carRoutingRuleRepo = getRepository('carRoutingRules');
+    this.sessionRepo = getRepository('operatingSessions');
   }
 
   /**
@@ -64,7 +88,7 @@ export class TrainService {
     }
 
     // Generate the switch list
-    const switchListResult = await this._generateSwitchListAlgorithm(train, route);
+    const switchListResult = await this._generateSwitchListAlgorithm(train, route, locomotives.filter(Boolean));
     
     if (!switchListResult.success) {
       logger.error('Switch list algorithm failed', { 
@@ -79,19 +103,33 @@ export class TrainService {
     const updateData = {
       switchList: switchListResult.switchList,
       assignedCarIds: switchListResult.assignedCarIds,
-      status: 'In Progress',
+      ...(await this._stampStatus(train, 'In Progress')),
       updatedAt: new Date().toISOString()
     };
 
     await this.trainRepo.update(trainId, updateData);
 
-    // Update car orders to assigned status
+    // Run the locomotives as one on the command station
+    await getService('dcc').setUpConsist(train);
+
+    // Update car orders to assigned status and put their waybills in the cars' card pockets.
+    // Orders moving via a transfer yard, or forwarded from one, are in transit instead.
     for (const carOrderUpdate of switchListResult.carOrderUpdates) {
       await dbHelpers.update('carOrders', carOrderUpdate.orderId, {
-        status: 'assigned',
+        status: carOrderUpdate.staged || carOrderUpdate.continuing ? 'in-transit' : 'assigned',
         assignedCarId: carOrderUpdate.carId,
         assignedTrainId: trainId
       });
+      if (carOrderUpdate.continuing) {
+        continue; // Waybill was assigned when the car started its journey
+      }
+      const [order, car] = await Promise.all([
+        dbHelpers.findById('carOrders', carOrderUpdate.orderId),
+        dbHelpers.findById('cars', carOrderUpdate.carId)
+      ]);
+      if (order && car) {
+        await this.waybillRepo.assignToCar(order, car);
+      }
     }
 
     logger.info('Switch list generated successfully', {
@@ -100,11 +138,14 @@ export class TrainService {
       stationsServed: switchListResult.switchList.stations.length,
       totalPickups: switchListResult.switchList.totalPickups,
       totalSetouts: switchListResult.switchList.totalSetouts,
+      carsHeld: switchListResult.switchList.heldCars.length,
+      ordersBumped: switchListResult.switchList.bumpedOrders.length,
       assignedCars: switchListResult.assignedCarIds.length
     });
 
     // Get updated train with enriched data
     const updatedTrain = await this.trainRepo.findById(trainId, { enrich: true });
+    publishLayoutEvent(LAYOUT_EVENTS.TRAIN_UPDATED, { train: updatedTrain });
 
     return {
       train: updatedTrain,
@@ -113,6 +154,8 @@ export class TrainService {
         totalPickups: switchListResult.switchList.totalPickups,
         totalSetouts: switchListResult.switchList.totalSetouts,
         finalCarCount: switchListResult.switchList.finalCarCount,
+        carsHeld: switchListResult.switchList.heldCars.length,
+        ordersBumped: switchListResult.switchList.bumpedOrders.length,
         carOrdersFulfilled: switchListResult.carOrderUpdates.length
       }
     };
@@ -133,60 +176,117 @@ export class TrainService {
 
     // Move cars to their destinations and reset session counters
     const carUpdates = [];
+    const stagedOrderIds = new Set();
+    let routing = null;
     if (train.switchList && train.switchList.stations) {
       for (const station of train.switchList.stations) {
         for (const setout of station.setouts) {
           const carUpdate = {
             currentIndustry: setout.destinationIndustryId,
-            sessionsAtCurrentLocation: 0 // Reset counter for moved cars
+            currentTrack: setout.destinationTrackId || null,
+            sessionsAtCurrentLocation: 0, // Reset counter for moved cars
+            nextHop: null
           };
-
-          // Handle currentLoad based on direction
-          if (setout.direction === 'inbound') {
+          const staged = Boolean(setout.finalDestinationIndustryId) &&
+            setout.finalDestinationIndustryId !== setout.destinationIndustryId;
+
+          // Staged cars keep their load and wait in the yard for the next leg
+          if (staged) {
+            routing = routing || await this._loadRoutingGraph();
+            carUpdate.nextHop = this._planStagedHop(routing, setout);
+            if (setout.carOrderId) {
+              stagedOrderIds.add(setout.carOrderId);
+            }
+          } else if (setout.direction && setout.goodsId) {
+            // Inbound cars unload and outbound cars load, over the good's dwell time at this industry
+            const [good, industry] = await Promise.all([
+              dbHelpers.findById('goods', setout.goodsId),
+              dbHelpers.findById('industries', setout.destinationIndustryId)
+            ]);
+            Object.assign(carUpdate, startDwell({
+              goodsId: setout.goodsId,
+              industryId: setout.destinationIndustryId,
+              direction: setout.direction
+            }, resolveDwellTime(good, industry, setout.direction)));
+          } else if (setout.direction === 'inbound') {
             // Inbound: Clear currentLoad when delivered (car is being unloaded)
             carUpdate.currentLoad = null;
-          } else if (setout.direction === 'outbound' && setout.goodsId) {
-            // Outbound: Set currentLoad to goods being shipped
-            carUpdate.currentLoad = setout.goodsId;
           }
 
+          const car = await dbHelpers.findById('cars', setout.carId);
           await dbHelpers.update('cars', setout.carId, carUpdate);
+          if (car) {
+            await this.carMovementRepo.recordMove(car, {
+              industryId: carUpdate.currentIndustry,
+              trackId: carUpdate.currentTrack,
+              currentLoad: carUpdate.currentLoad
+            }, {
+              reason: MOVEMENT_REASONS.TRAIN,
+              sessionNumber: train.sessionNumber,
+              trainId
+            });
+          }
           carUpdates.push({
             carId: setout.carId,
             newLocation: setout.destinationIndustryId,
+            newTrack: setout.destinationTrackId || null,
             goodsId: setout.goodsId,
             direction: setout.direction,
-            loadAction: setout.direction === 'inbound' ? 'unloaded' : 'loaded'
+            loadAction: staged ? 'staged'
+              : carUpdate.dwell ? carUpdate.dwell.action
+                : setout.direction === 'inbound' ? 'unloaded' : 'loaded'
           });
         }
       }
     }
 
-    // Update car orders to delivered status
+    // Update car orders to delivered status and turn each car's waybill to its next cycle
     const carOrders = await dbHelpers.findByQuery('carOrders', { assignedTrainId: trainId });
     const deliveredOrders = [];
+    let waybillsTurned = 0;
     for (const order of carOrders) {
-      if (order.status === 'assigned' || order.status === 'in-transit') {
+      if (stagedOrderIds.has(order._id)) {
+        // Still on its way; a later train takes it on from the yard
+        await dbHelpers.update('carOrders', order._id, {
+          status: 'in-transit',
+          assignedTrainId: null
+        });
+      } else if (order.status === 'assigned' || order.status === 'in-transit') {
         await dbHelpers.update('carOrders', order._id, {
           status: 'delivered'
         });
         deliveredOrders.push(order);
+
+        const waybill = await this.waybillRepo.markDelivered(order);
+        if (waybill && waybill.carId) {
+          await dbHelpers.update('cars', waybill.carId, {
+            waybillCycle: nextWaybillCycle(waybill.cycle)
+          });
+          waybillsTurned++;
+        }
       }
     }
 
+    await getService('dcc').dissolveConsist(train);
+
     // Update train status to Completed
     await this.trainRepo.update(trainId, {
-      status: 'Completed',
+      ...(await this._stampStatus(train, 'Completed')),
       updatedAt: new Date().toISOString()
     });
 
     const updatedTrain = await this.trainRepo.findById(trainId, { enrich: true });
+    const movedCars = await Promise.all(carUpdates.map(update => dbHelpers.findById('cars', update.carId)));
+    publishLayoutEvent(LAYOUT_EVENTS.CARS_MOVED, { cars: movedCars.filter(Boolean) });
+    publishLayoutEvent(LAYOUT_EVENTS.TRAIN_UPDATED, { train: updatedTrain });
 
     return {
       train: updatedTrain,
       stats: {
         carsMoved: carUpdates.length,
-        ordersDelivered: deliveredOrders.length
+        carsStaged: carUpdates.filter(update => update.loadAction === 'staged').length,
+        ordersDelivered: deliveredOrders.length,
+        waybillsTurned
       }
     };
   }
@@ -211,24 +311,36 @@ export class TrainService {
     if (train.status === 'In Progress') {
       const carOrders = await dbHelpers.findByQuery('carOrders', { assignedTrainId: trainId });
       for (const order of carOrders) {
-        if (order.status === 'assigned' || order.status === 'in-transit') {
+        // Cars forwarded from a transfer yard stay staged there, still bound for the order
+        const car = order.assignedCarId ? await dbHelpers.findById('cars', order.assignedCarId) : null;
+        if (car && car.nextHop && car.nextHop.carOrderId === order._id) {
+          await dbHelpers.update('carOrders', order._id, {
+            status: 'in-transit',
+            assignedTrainId: null
+          });
+          revertedOrders.push(order);
+        } else if (order.status === 'assigned' || order.status === 'in-transit') {
           await dbHelpers.update('carOrders', order._id, {
             status: 'pending',
             assignedCarId: null,
             assignedTrainId: null
           });
+          await this.waybillRepo.release(order);
           revertedOrders.push(order);
         }
       }
     }
 
+    await getService('dcc').dissolveConsist(train);
+
     // Update train status to Cancelled
     await this.trainRepo.update(trainId, {
-      status: 'Cancelled',
+      ...(await this._stampStatus(train, 'Cancelled')),
       updatedAt: new Date().toISOString()
     });
 
     const updatedTrain = await this.trainRepo.findById(trainId, { enrich: true });
+    publishLayoutEvent(LAYOUT_EVENTS.TRAIN_UPDATED, { train: updatedTrain });
 
     return {
       train: updatedTrain,
@@ -238,24 +350,89 @@ export class TrainService {
     };
   }
 
+  /**
+   * Gather a train's switch list and everything needed to print it
+   * @param {string} trainId - Train ID
+   * @returns {Promise<Object>} { train, related } for the switch list renderer
+   */
+  async getPrintableSwitchList(trainId) {
+    const train = await this.trainRepo.findByIdOrNull(trainId);
+    throwIfNull(train, 'Train not found', 404);
+
+    if (!train.switchList) {
+      throw new ApiError(`Train '${train.name}' has no switch list. Generate one before printing.`, 400);
+    }
+
+    const route = await this.routeRepo.findByIdOrNull(train.routeId);
+    const carIds = new Set();
+    for (const station of train.switchList.stations) {
+      [...station.pickups, ...station.setouts].forEach(item => carIds.add(item.carId));
+    }
+
+    const [originYard, terminationYard, locomotives, cars, goods] = await Promise.all([
+      route ? this.industryRepo.findByIdOrNull(route.originYard) : null,
+      route ? this.industryRepo.findByIdOrNull(route.terminationYard) : null,
+      Promise.all((train.locomotiveIds || []).map(id => this.locomotiveRepo.findByIdOrNull(id))),
+      Promise.all([...carIds].map(id => this.carRepo.findByIdOrNull(id))),
+      dbHelpers.findAll('goods')
+    ]);
+
+    return {
+      train,
+      related: {
+        route,
+        originYard,
+        terminationYard,
+        locomotives: locomotives.filter(Boolean),
+        cars: cars.filter(Boolean),
+        goods
+      }
+    };
+  }
+
   /**
    * Switch List Generation Algorithm
    * Private method that implements the complex routing logic
+   * Cars bound for industries off this route are carried to a transfer yard and
+   * staged there with their next hop, so a later train on another route forwards them.
+   * The train takes cars only while it stays within its car count, length and tonnage,
+   * and fits the siding at each stop it arrives at.
    * @param {Object} train - Train object
    * @param {Object} route - Route object
+   * @param {Array} locomotives - The train's locomotives
    * @returns {Promise<Object>} Switch list result
    */
-  async _generateSwitchListAlgorithm(train, route) {
+  async _generateSwitchListAlgorithm(train, route, locomotives = []) {
     try {
-      // Get all stations in the route sequence
-      const stationSequence = [route.originYard, ...route.stationSequence, route.terminationYard];
+      const [allIndustries, routes, tracks, allCars, pendingOrders, inTransitOrders, routingRules, aarTypes, goods] = await Promise.all([
+        dbHelpers.findAll('industries'),
+        dbHelpers.findAll('routes'),
+        dbHelpers.findAll('tracks'),
+        dbHelpers.findAll('cars'),
+        dbHelpers.findByQuery('carOrders', { status: 'pending', sessionNumber: { $lte: train.sessionNumber } }),
+        dbHelpers.findByQuery('carOrders', { status: 'in-transit' }),
+        this.carRoutingRuleRepo.findActive(),
+        dbHelpers.findAll('aarTypes'),
+        dbHelpers.findAll('goods')
+      ]);
+      const industriesById = new Map(allIndustries.map(industry => [industry._id, industry]));
+      const aarTypesById = new Map(aarTypes.map(aarType => [aarType._id, aarType]));
+      const goodsById = new Map(goods.map(good => [good._id, good]));
+      const limits = resolveTrainLimits(train, route, locomotives);
+      const ordersById = new Map(inTransitOrders.map(order => [order._id, order]));
+      // Hot orders get the first pick of cars, then backorders from earlier sessions
+      pendingOrders.sort(compareOrderPriority);
+      const graph = buildStationGraph(routes, allIndustries);
+
+      // Get all stations in the route sequence; origin and termination yards resolve to their stations
+      const run = resolveRouteStations(route, industriesById);
       const stations = [];
-      
-      // Get station details
-      for (const stationId of stationSequence) {
+      const runIndexes = []; // Where each stop sits in the run, so cars board at the visit being worked
+      for (const [runIndex, stationId] of run.entries()) {
         const station = await dbHelpers.findById('stations', stationId);
         if (station) {
           stations.push(station);
+          runIndexes.push(runIndex);
         }
       }
 
@@ -266,155 +443,303 @@ export class TrainService {
         };
       }
 
-      const switchListStations = [];
-      const assignedCarIds = [];
-      const carOrderUpdates = [];
-      let currentCarCount = 0;
-      let totalPickups = 0;
-      let totalSetouts = 0;
-
-      // Process each station in sequence
-      for (let i = 0; i < stations.length; i++) {
-        const station = stations[i];
-        const stationPickups = [];
-        const stationSetouts = [];
-
-        // Get industries at this station
-        const industries = await dbHelpers.findByQuery('industries', { stationId: station._id });
-
-        // Find pending car orders at industries in this station
-        const pendingOrders = await dbHelpers.findByQuery('carOrders', {
-          status: 'pending',
-          sessionNumber: train.sessionNumber
-        });
-
-        const stationOrders = pendingOrders.filter(order =>
-          industries.some(industry => industry._id === order.industryId)
-        );
+      const availableCars = allCars.filter(car => car.isInService === true);
+      const sidings = stations.map(station => findRouteStop(route, station._id).maxLength);
 
-        // Find available cars at this station
-        const availableCars = await dbHelpers.findByQuery('cars', {
-          isInService: true
-        });
-
-        const stationCars = availableCars.filter(car =>
-          industries.some(industry => industry._id === car.currentIndustry)
-        );
+      // Length and weight of a car in the train; cars for inbound orders travel loaded, outbound ones empty
+      const loadOf = (car, order) => {
+        const goodsId = order ? (order.direction === 'inbound' ? order.goodsId : null) : car.currentLoad;
+        return carLoad(aarTypesById.get(car.carType), goodsId ? goodsById.get(goodsId) : null);
+      };
 
-        // Process car orders (pickups)
-        for (const order of stationOrders) {
-          // Check if we're at capacity
-          if (currentCarCount >= train.maxCapacity) {
-            break;
+      // Walk the route once, leaving out excluded orders
+      const planRun = (excludedOrderIds) => {
+        // Track capacity: work out current occupancy so setouts never overfill a track
+        const trackOccupancy = buildTrackOccupancy(tracks, allCars);
+        const switchListStations = [];
+        const assignedCarIds = [];
+        const heldCars = [];
+        const heldCarIds = [];
+        const carOrderUpdates = [];
+        const onBoard = []; // { item, setoutIndex, load } for cars picked up earlier on this run
+        const filledOrderIds = new Set();
+        const crowdedOutOrderIds = new Set();
+        const consist = { cars: 0, length: 0, tons: 0 }; // Cars behind the locomotives
+        const peak = { cars: 0, length: 0, tons: 0 };
+        let boundBy = null;
+        let totalPickups = 0;
+        let totalSetouts = 0;
+
+        // Process each station in sequence
+        for (const [stopIndex, station] of stations.entries()) {
+          const stationPickups = [];
+          const stationSetouts = [];
+
+          // Set out cars picked up earlier that are bound for this station
+          for (const entry of onBoard.filter(entry => entry.setoutIndex === stopIndex)) {
+            onBoard.splice(onBoard.indexOf(entry), 1);
+            stationSetouts.push(entry.item);
+            consist.cars--;
+            consist.length -= entry.load.length;
+            consist.tons -= entry.load.tons;
+            totalSetouts++;
           }
 
-          // Find a matching car for this order using compatibleCarTypes array
-          const compatibleTypes = order.compatibleCarTypes || [order.aarTypeId]; // Fallback for backward compatibility
-          const matchingCar = stationCars.find(car =>
-            compatibleTypes.includes(car.carType) &&
-            !assignedCarIds.includes(car._id)
+          // Cars still loading or unloading stay spotted until their dwell time runs out
+          const stationCars = availableCars.filter(car =>
+            industriesById.get(car.currentIndustry)?.stationId === station._id && !car.dwell
           );
+          const isFree = car => !assignedCarIds.includes(car._id) && !heldCarIds.includes(car._id);
+
+          // Stop a car taken toward this hop is set out at; -1 if it rides through
+          const setoutIndexOf = (hop) => stations.findIndex((stop, index) => index > stopIndex && stop._id === hop.stationId);
+          // A turn route visits stations twice; only hops ending at this stop or one still ahead can be worked
+          const isAhead = (hop) => hop.stationId === station._id || setoutIndexOf(hop) !== -1;
+          const planFromHere = (finalIndustry, carOrderId = null) => planNextHop(graph, station._id, finalIndustry, {
+            carOrderId,
+            firstRouteId: route._id,
+            boardAt: runIndexes[stopIndex]
+          });
 
-          if (matchingCar) {
-            // Find destination industry for this car
-            const destinationIndustry = await dbHelpers.findById('industries', order.industryId);
-            
-            if (destinationIndustry) {
-              stationPickups.push({
-                carId: matchingCar._id,
-                carReportingMarks: matchingCar.reportingMarks,
-                carNumber: matchingCar.reportingNumber,
-                carType: matchingCar.carType,
-                destinationIndustryId: destinationIndustry._id,
-                destinationIndustryName: destinationIndustry.name,
-                carOrderId: order._id,
-                goodsId: order.goodsId, // NEW: Track what goods are being moved
-                direction: order.direction // NEW: Track direction (inbound/outbound)
-              });
+          // Whether the train can take a car toward this hop; cars switched within the station never join it
+          const fits = (car, hop, order) => {
+            if (hop.stationId === station._id) {
+              return true;
+            }
+            const load = loadOf(car, order);
+            const limit = findBindingLimit(limits, consist, load) ||
+              (fitsSidings(limits, sidings, onBoard, load, stopIndex, setoutIndexOf(hop)) ? null : TRAIN_LIMITS.LENGTH);
+            boundBy = boundBy || limit;
+            return !limit;
+          };
+
+          // Take a car toward its next hop; cars whose hop ends here are set out straight away
+          const pickUp = (car, hop, order, routing = null) => {
+            const destinationIndustry = industriesById.get(hop.industryId);
+            if (!destinationIndustry) {
+              return false;
+            }
+
+            // Make sure a track at the destination has room for this car
+            const placement = findTrackWithRoom(destinationIndustry._id, car.carType, tracks, trackOccupancy);
+            if (placement.hasTracks && !placement.track) {
+              heldCars.push(this._createHeldEntry(car, destinationIndustry, station, order ? order._id : null));
+              heldCarIds.push(car._id);
+              return false;
+            }
+            if (placement.track) {
+              trackOccupancy[placement.track._id].push(car._id);
+            }
+
+            const item = {
+              carId: car._id,
+              carReportingMarks: car.reportingMarks,
+              carNumber: car.reportingNumber,
+              carType: car.carType,
+              destinationIndustryId: destinationIndustry._id,
+              destinationIndustryName: destinationIndustry.name,
+              destinationTrackId: placement.track ? placement.track._id : null,
+              destinationTrackName: placement.track ? placement.track.name : null,
+              carOrderId: order ? order._id : null // No specific order for home-yard returns
+            };
+            if (order) {
+              item.goodsId = order.goodsId;
+              item.direction = order.direction;
+              item.priority = order.priority || ORDER_PRIORITIES.NORMAL;
+            }
+            if (routing) {
+              item.routingRuleId = routing.ruleId;
+              item.routingReason = routing.reason;
+            }
+            if (!isFinalHop(hop)) {
+              const finalIndustry = industriesById.get(hop.finalIndustryId);
+              item.finalDestinationIndustryId = hop.finalIndustryId;
+              item.finalDestinationIndustryName = finalIndustry ? finalIndustry.name : null;
+            }
+
+            assignedCarIds.push(car._id);
+            if (hop.stationId === station._id) {
+              stationSetouts.push(item);
+              totalSetouts++;
+            } else {
+              const load = loadOf(car, order);
+              stationPickups.push(item);
+              onBoard.push({ item, setoutIndex: setoutIndexOf(hop), load });
+              consist.cars++;
+              consist.length += load.length;
+              consist.tons += load.tons;
+              peak.cars = Math.max(peak.cars, consist.cars);
+              peak.length = Math.max(peak.length, consist.length);
+              peak.tons = Math.max(peak.tons, consist.tons);
+              totalPickups++;
+            }
+            return true;
+          };
+
+          // Forward cars staged here by an earlier train
+          for (const car of stationCars.filter(car => car.nextHop && isFree(car))) {
+            const finalIndustry = industriesById.get(car.nextHop.finalIndustryId);
+            if (!finalIndustry) {
+              continue;
+            }
+
+            // Follow the stored hop when this train serves it; leave cars planned for another route to that route's trains
+            let hop = car.nextHop;
+            const hopIsServed = hop.routeId === route._id && setoutIndexOf(hop) !== -1;
+            if (!hopIsServed) {
+              if (hop.routeId && hop.routeId !== route._id && graph.runs.has(hop.routeId)) {
+                continue;
+              }
+              hop = planFromHere(finalIndustry, car.nextHop.carOrderId);
+              if (!hop || !isAhead(hop)) {
+                continue;
+              }
+            }
 
-              assignedCarIds.push(matchingCar._id);
+            const order = hop.carOrderId ? ordersById.get(hop.carOrderId) : null;
+            if (!fits(car, hop, order)) {
+              continue;
+            }
+            if (pickUp(car, hop, order) && order) {
               carOrderUpdates.push({
                 orderId: order._id,
-                carId: matchingCar._id,
-                goodsId: order.goodsId, // NEW: Include goods info
-                direction: order.direction // NEW: Include direction
+                carId: car._id,
+                goodsId: order.goodsId,
+                direction: order.direction,
+                staged: !isFinalHop(hop),
+                continuing: true
               });
-              currentCarCount++;
-              totalPickups++;
             }
           }
-        }
 
-        // Process setouts (cars reaching their destination at this station)
-        const carsToSetout = stationPickups.filter(pickup => {
-          // Check if any industry at this station is the destination
-          return industries.some(industry => industry._id === pickup.destinationIndustryId);
-        });
+          // Fill pending orders, whether the industry is on this route or reached through a transfer yard
+          for (const order of pendingOrders) {
+            if (filledOrderIds.has(order._id) || excludedOrderIds.has(order._id)) {
+              continue;
+            }
 
-        // Move cars from pickups to setouts if they're being delivered here
-        for (const setout of carsToSetout) {
-          // Remove from pickups
-          const pickupIndex = stationPickups.findIndex(p => p.carId === setout.carId);
-          if (pickupIndex > -1) {
-            stationPickups.splice(pickupIndex, 1);
-            totalPickups--; // Adjust count since we're not actually picking up
-          }
+            const finalIndustry = industriesById.get(order.industryId);
+            if (!finalIndustry) {
+              continue;
+            }
 
-          stationSetouts.push(setout);
-          currentCarCount--;
-          totalSetouts++;
-        }
+            // Find a matching car for this order using compatibleCarTypes array
+            const compatibleTypes = order.compatibleCarTypes || [order.aarTypeId]; // Fallback for backward compatibility
+            const matchingCar = stationCars.find(car =>
+              compatibleTypes.includes(car.carType) && !car.nextHop && isFree(car)
+            );
+            if (!matchingCar) {
+              continue;
+            }
 
-        // Add cars being routed to home yards (additional logic)
-        const additionalCars = stationCars.filter(car =>
-          !assignedCarIds.includes(car._id) &&
-          currentCarCount < train.maxCapacity
-        ).slice(0, train.maxCapacity - currentCarCount);
-
-        for (const car of additionalCars) {
-          // Route to home yard if different from current location
-          if (car.homeYard !== car.currentIndustry) {
-            const homeYard = await dbHelpers.findById('industries', car.homeYard);
-            if (homeYard) {
-              stationPickups.push({
-                carId: car._id,
-                carReportingMarks: car.reportingMarks,
-                carNumber: car.reportingNumber,
-                carType: car.carType,
-                destinationIndustryId: homeYard._id,
-                destinationIndustryName: homeYard.name,
-                carOrderId: null // No specific order
+            const hop = planFromHere(finalIndustry, order._id);
+            if (!hop || !isAhead(hop)) {
+              continue;
+            }
+
+            // A full train leaves the order behind; remember it in case a lower-priority order can make room
+            if (!fits(matchingCar, hop, order)) {
+              crowdedOutOrderIds.add(order._id);
+              continue;
+            }
+
+            if (pickUp(matchingCar, hop, order)) {
+              filledOrderIds.add(order._id);
+              carOrderUpdates.push({
+                orderId: order._id,
+                carId: matchingCar._id,
+                goodsId: order.goodsId,
+                direction: order.direction,
+                staged: !isFinalHop(hop),
+                continuing: false
               });
+            }
+          }
 
-              assignedCarIds.push(car._id);
-              currentCarCount++;
-              totalPickups++;
+          // Route remaining cars by the car routing rules; with no matching rule they go back to their home yards
+          for (const car of stationCars.filter(car => isFree(car) && !car.nextHop)) {
+            const routing = resolveCarRouting(car, routingRules);
+            const destination = routing.industryId && industriesById.get(routing.industryId);
+            const hop = destination && planFromHere(destination);
+            if (hop && isAhead(hop) && fits(car, hop, null)) {
+              pickUp(car, hop, null, routing);
             }
           }
+
+          // Create station entry
+          switchListStations.push({
+            stationId: station._id,
+            stationName: station.name,
+            pickups: stationPickups,
+            setouts: stationSetouts
+          });
         }
 
-        // Create station entry
-        switchListStations.push({
-          stationId: station._id,
-          stationName: station.name,
-          pickups: stationPickups,
-          setouts: stationSetouts
-        });
+        return {
+          switchListStations,
+          assignedCarIds,
+          heldCars,
+          carOrderUpdates,
+          filledOrderIds,
+          // Orders a car was waiting for when the train had no room left
+          crowdedOutOrders: pendingOrders.filter(order =>
+            crowdedOutOrderIds.has(order._id) && !filledOrderIds.has(order._id)
+          ),
+          totalPickups,
+          totalSetouts,
+          currentCarCount: consist.cars,
+          peak,
+          boundBy
+        };
+      };
+
+      // When the train fills up, bump lower-priority orders for higher-priority ones left behind,
+      // one at a time, keeping a bump only when it gets the waiting order onto the train
+      const excludedOrderIds = new Set();
+      const bumpedOrders = [];
+      let plan = planRun(excludedOrderIds);
+      for (const waiting of [...plan.crowdedOutOrders]) {
+        if (plan.filledOrderIds.has(waiting._id)) {
+          continue;
+        }
+        const candidates = pendingOrders
+          .filter(order => plan.filledOrderIds.has(order._id) && priorityRank(order) > priorityRank(waiting))
+          .reverse();
+        for (const candidate of candidates) {
+          const replan = planRun(new Set([...excludedOrderIds, candidate._id]));
+          if (replan.filledOrderIds.has(waiting._id)) {
+            excludedOrderIds.add(candidate._id);
+            bumpedOrders.push(this._createBumpedEntry(candidate, waiting, industriesById));
+            plan = replan;
+            break;
+          }
+        }
       }
 
+      // Put the cars in station order so every setout is a single cut off the head end,
+      // and flag setouts into facing-point spurs where there is no runaround
       const switchList = {
-        stations: switchListStations,
-        totalPickups,
-        totalSetouts,
-        finalCarCount: currentCarCount,
+        stations: flagRunarounds(blockSwitchList(plan.switchListStations), route, industriesById),
+        totalPickups: plan.totalPickups,
+        totalSetouts: plan.totalSetouts,
+        finalCarCount: plan.currentCarCount,
+        heldCars: plan.heldCars,
+        bumpedOrders,
+        limits: {
+          ...limits,
+          peakCars: plan.peak.cars,
+          peakLength: plan.peak.length,
+          peakTonnage: plan.peak.tons,
+          boundBy: plan.boundBy
+        },
         generatedAt: new Date().toISOString()
       };
 
       return {
         success: true,
         switchList,
-        assignedCarIds,
-        carOrderUpdates
+        assignedCarIds: plan.assignedCarIds,
+        carOrderUpdates: plan.carOrderUpdates
       };
     } catch (error) {
       return {
@@ -423,4 +748,92 @@ export class TrainService {
       };
     }
   }
+
+  /**
+   * Status update for a train, stamped with the fast-clock time of the change
+   * @param {Object} train - Train before the change
+   * @param {string} status - New status
+   * @returns {Promise<Object>} { status, statusHistory }
+   */
+  async _stampStatus(train, status) {
+    const session = await this.sessionRepo.getCurrentSession();
+    return { status, statusHistory: stampStatusChange(train.statusHistory, status, session.fastClock) };
+  }
+
+  /**
+   * Load everything needed to route cars across the layout
+   * @returns {Promise<Object>} { graph, industriesById }
+   */
+  async _loadRoutingGraph() {
+    const [routes, industries] = await Promise.all([
+      dbHelpers.findAll('routes'),
+      dbHelpers.findAll('industries')
+    ]);
+    return {
+      graph: buildStationGraph(routes, industries),
+      industriesById: new Map(industries.map(industry => [industry._id, industry]))
+    };
+  }
+
+  /**
+   * Work out where a car staged at a yard goes next
+   * @param {Object} routing - Result of _loadRoutingGraph
+   * @param {Object} setout - Switch list setout that staged the car
+   * @returns {Object} Next hop; route fields are null if no train can take it on yet
+   */
+  _planStagedHop({ graph, industriesById }, setout) {
+    const yard = industriesById.get(setout.destinationIndustryId);
+    const finalIndustry = industriesById.get(setout.finalDestinationIndustryId);
+    const carOrderId = setout.carOrderId || null;
+    const hop = yard && finalIndustry ? planNextHop(graph, yard.stationId, finalIndustry, { carOrderId }) : null;
+    return hop || {
+      finalIndustryId: setout.finalDestinationIndustryId,
+      carOrderId,
+      routeId: null,
+      stationId: null,
+      industryId: null
+    };
+  }
+
+  /**
+   * Build a switch list entry for an order left off the train to make room for a more urgent one
+   * @param {Object} order - Order that was bumped
+   * @param {Object} bumpedBy - Higher-priority order that took its place
+   * @param {Map} industriesById - Industries by ID
+   * @returns {Object} Bumped order entry
+   */
+  _createBumpedEntry(order, bumpedBy, industriesById) {
+    return {
+      carOrderId: order._id,
+      industryId: order.industryId,
+      industryName: industriesById.get(order.industryId)?.name || 'Unknown industry',
+      priority: order.priority || ORDER_PRIORITIES.NORMAL,
+      bumpedByOrderId: bumpedBy._id,
+      bumpedByIndustryName: industriesById.get(bumpedBy.industryId)?.name || 'Unknown industry',
+      bumpedByPriority: bumpedBy.priority || ORDER_PRIORITIES.NORMAL
+    };
+  }
+
+  /**
+   * Build a switch list entry for a car that cannot be spotted
+   * @param {Object} car - Car being held
+   * @param {Object} destinationIndustry - Industry the car was bound for
+   * @param {Object} station - Station where the car is being held
+   * @param {string|null} carOrderId - Order the car would have filled, if any
+   * @returns {Object} Held car entry
+   */
+  _createHeldEntry(car, destinationIndustry, station, carOrderId) {
+    return {
+      carId: car._id,
+      carReportingMarks: car.reportingMarks,
+      carNumber: car.reportingNumber,
+      carType: car.carType,
+      destinationIndustryId: destinationIndustry._id,
+      destinationIndustryName: destinationIndustry.name,
+      carOrderId,
+      stationId: station._id,
+      stationName: station.name,
+      reason: HELD_REASONS.NO_ROOM
+    };
+  }
 }
@@ -0,0 +1,132 @@
+/**
+ * Waybill Service - Car card and waybill lookups and printing
+ * Waybill lifecycle (assign, deliver, release) is driven by TrainService and
+ * CarOrderService through the waybill repository.
+ */
+
+import { getRepository } from '../repositories/index.js';
+import { dbHelpers } from '../database/index.js';
+import { buildCycleLayout } from '../models/waybill.js';
+import { throwIfNull } from '../utils/nullObjectHelpers.js';
+
+// Orders that should be carrying a waybill
+const ACTIVE_ORDER_STATUSES = ['pending', 'assigned', 'in-transit'];
+
+export class WaybillService {
+  constructor() {
+    this.waybillRepo = getRepository('waybills');
+    this.carRepo = getRepository('cars');
+  }
+
+  /**
+   * Create waybills for active orders that predate the waybill system
+   * @returns {Promise<number>} Number of waybills created
+   */
+  async syncActiveOrders() {
+    const [orders, waybills] = await Promise.all([
+      dbHelpers.findAll('carOrders'),
+      this.waybillRepo.findAll()
+    ]);
+    const billedOrderIds = new Set(waybills.map(waybill => waybill.carOrderId));
+
+    let created = 0;
+    for (const order of orders) {
+      if (!ACTIVE_ORDER_STATUSES.includes(order.status) || billedOrderIds.has(order._id)) {
+        continue;
+      }
+      const car = order.assignedCarId ? await dbHelpers.findById('cars', order.assignedCarId) : null;
+      if (car) {
+        await this.waybillRepo.assignToCar(order, car);
+      } else {
+        await this.waybillRepo.createForOrder(order);
+      }
+      created++;
+    }
+    return created;
+  }
+
+  /**
+   * Get waybills with filtering
+   * @param {Object} filters - Filter options
+   * @param {string} filters.carId - Filter by car
+   * @param {string} filters.carOrderId - Filter by car order
+   * @param {string} filters.status - Filter by waybill status
+   * @param {number} filters.sessionNumber - Filter by session the order was raised in
+   * @returns {Promise<Array>} Waybills, newest first
+   */
+  async getWaybills(filters = {}) {
+    await this.syncActiveOrders();
+
+    const { carId, carOrderId, status, sessionNumber } = filters;
+    const query = {};
+    if (carId) query.carId = carId;
+    if (carOrderId) query.carOrderId = carOrderId;
+    if (status) query.status = status;
+    if (sessionNumber) query.sessionNumber = parseInt(sessionNumber);
+
+    const waybills = await this.waybillRepo.findBy(query);
+    return waybills.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get a single waybill
+   * @param {string} waybillId - Waybill ID
+   * @returns {Promise<Object>} Waybill
+   */
+  async getWaybill(waybillId) {
+    const waybill = await this.waybillRepo.findByIdOrNull(waybillId);
+    throwIfNull(waybill, 'Waybill not found', 404);
+    return waybill;
+  }
+
+  /**
+   * Get a car's multi-cycle waybill
+   * @param {string} carId - Car ID
+   * @returns {Promise<Object>} { car, currentCycle, panels }
+   */
+  async getCarWaybill(carId) {
+    const car = await this.carRepo.findByIdOrNull(carId);
+    throwIfNull(car, 'Car not found', 404);
+
+    await this.syncActiveOrders();
+    const waybills = await this.waybillRepo.findByCar(carId);
+    return { car, ...buildCycleLayout(car, waybills) };
+  }
+
+  /**
+   * Gather cars and everything needed to print their car cards or waybills
+   * @param {Object} options - Print options
+   * @param {Array<string>} options.carIds - Cars to print; defaults to every car in service,
+   *   or for waybills every car that has carried one
+   * @param {boolean} options.waybillsOnly - Default to cars that have carried a waybill
+   * @returns {Promise<Object>} { cars, related } for the car card renderer
+   */
+  async getPrintableCards({ carIds = [], waybillsOnly = false } = {}) {
+    await this.syncActiveOrders();
+
+    const [allCars, waybills, industries, aarTypes, goods] = await Promise.all([
+      dbHelpers.findAll('cars'),
+      this.waybillRepo.findAll(),
+      dbHelpers.findAll('industries'),
+      dbHelpers.findAll('aarTypes'),
+      dbHelpers.findAll('goods')
+    ]);
+
+    let cars;
+    if (carIds.length > 0) {
+      cars = allCars.filter(car => carIds.includes(car._id));
+    } else if (waybillsOnly) {
+      const billedCarIds = new Set(waybills.map(waybill => waybill.carId).filter(Boolean));
+      cars = allCars.filter(car => billedCarIds.has(car._id));
+    } else {
+      cars = allCars.filter(car => car.isInService !== false);
+    }
+
+    cars.sort((a, b) =>
+      a.reportingMarks.localeCompare(b.reportingMarks) ||
+      a.reportingNumber.localeCompare(b.reportingNumber, undefined, { numeric: true })
+    );
+
+    return { cars, related: { waybills, industries, aarTypes, goods } };
+  }
+}
@@ -5,13 +5,27 @@
 import { TrainService } from './TrainService.js';
 import { SessionService } from './SessionService.js';
 import { CarOrderService } from './CarOrderService.js';
+import { WaybillService } from './WaybillService.js';
+import { AuthService } from './AuthService.js';
+import { LayoutService } from './LayoutService.js';
+import { JmriService } from './JmriService.js';
+import { DccService } from './DccService.js';
+import { ReportService } from './ReportService.js';
+import { TimetableService } from './TimetableService.js';
 
-export type ServiceName = 'train' | 'session' | 'carOrder';
+export type ServiceName = 'train' | 'session' | 'carOrder' | 'waybill' | 'auth' | 'layout' | 'jmri' | 'dcc' | 'report' | 'timetable';
 
 export type ServiceType<T extends ServiceName> = 
   T extends 'train' ? TrainService :
   T extends 'session' ? SessionService :
   T extends 'carOrder' ? CarOrderService :
+  T extends 'waybill' ? WaybillService :
+  T extends 'auth' ? AuthService :
+  T extends 'layout' ? LayoutService :
+  T extends 'jmri' ? JmriService :
+  T extends 'dcc' ? DccService :
+  T extends 'report' ? ReportService :
+  T extends 'timetable' ? TimetableService :
   never;
 
 /**
@@ -33,3 +47,10 @@ export declare function clearServiceCache(): void;
 export { TrainService } from './TrainService.js';
 export { SessionService } from './SessionService.js';
 export { CarOrderService } from './CarOrderService.js';
+export { WaybillService } from './WaybillService.js';
+export { AuthService } from './AuthService.js';
+export { LayoutService } from './LayoutService.js';
+export { JmriService } from './JmriService.js';
+export { DccService } from './DccService.js';
+export { ReportService } from './ReportService.js';
+export { TimetableService } from './TimetableService.js';
@@ -6,6 +6,13 @@
 import { TrainService } from './TrainService.js';
 import { SessionService } from './SessionService.js';
 import { CarOrderService } from './CarOrderService.js';
+import { WaybillService } from './WaybillService.js';
+import { AuthService } from './AuthService.js';
+import { LayoutService } from './LayoutService.js';
+import { JmriService } from './JmriService.js';
+import { DccService } from './DccService.js';
+import { ReportService } from './ReportService.js';
+import { TimetableService } from './TimetableService.js';
 
 // Service instances cache
 const services = new Map();
@@ -34,6 +41,27 @@ export function getService(serviceName) {
     case 'carOrder':
       service = new CarOrderService();
       break;
+    case 'waybill':
+      service = new WaybillService();
+      break;
+    case 'auth':
+      service = new AuthService();
+      break;
+    case 'layout':
+      service = new LayoutService();
+      break;
+    case 'jmri':
+      service = new JmriService();
+      break;
+    case 'dcc':
+      service = new DccService();
+      break;
+    case 'report':
+      service = new ReportService();
+      break;
+    case 'timetable':
+      service = new TimetableService();
+      break;
     default:
       throw new Error(`Unknown service: ${serviceName}`);
   }
@@ -51,7 +79,14 @@ export function getAvailableServices() {
   return [
     'train',
     'session',
-    'carOrder'
+    'carOrder',
+    'waybill',
+    'auth',
+    'layout',
+    'jmri',
+    'dcc',
+    'report',
+    'timetable'
   ];
 }
 
@@ -66,3 +101,10 @@ export function clearServiceCache() {
 export { TrainService } from './TrainService.js';
 export { SessionService } from './SessionService.js';
 export { CarOrderService } from './CarOrderService.js';
+export { WaybillService } from './WaybillService.js';
+export { AuthService } from './AuthService.js';
+export { LayoutService } from './LayoutService.js';
+export { JmriService } from './JmriService.js';
+export { DccService } from './DccService.js';
+export { ReportService } from './ReportService.js';
+export { TimetableService } from './TimetableService.js';
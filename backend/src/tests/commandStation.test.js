@@ -0,0 +1,116 @@
+import net from 'net';
+import {
+  CommandStation,
+  SimulatedCommandStation,
+  DccExCommandStation,
+  createCommandStation,
+  CONSIST_CV
+} from '../utils/commandStation.js';
+
+describe('Command Station', () => {
+  describe('SimulatedCommandStation', () => {
+    it('should consist locomotives by writing CV19, adding 128 for reversed ones', async () => {
+      const station = new SimulatedCommandStation();
+
+      await station.createConsist(12, [{ address: 1201 }, { address: 1202, reversed: true }]);
+
+      expect(station.commands).toEqual([
+        { address: 1201, cv: CONSIST_CV, value: 12 },
+        { address: 1202, cv: CONSIST_CV, value: 140 }
+      ]);
+      expect(station.consistOf(1201)).toEqual({ address: 12, reversed: false });
+      expect(station.consistOf(1202)).toEqual({ address: 12, reversed: true });
+    });
+
+    it('should clear CV19 when the consist is dissolved', async () => {
+      const station = new SimulatedCommandStation();
+      const members = [{ address: 1201 }, { address: 1202 }];
+
+      await station.createConsist(12, members);
+      await station.dissolveConsist(12, members);
+
+      expect(station.consistOf(1201)).toBeNull();
+      expect(station.consistOf(1202)).toBeNull();
+    });
+
+    it('should reject consist addresses outside 1-127', async () => {
+      const station = new SimulatedCommandStation();
+
+      await expect(station.createConsist(128, [{ address: 3 }])).rejects.toThrow('Consist address must be 1-127');
+      await expect(station.createConsist(0, [{ address: 3 }])).rejects.toThrow('Consist address must be 1-127');
+      expect(station.commands).toEqual([]);
+    });
+  });
+
+  describe('CommandStation', () => {
+    it('should refuse CV writes an adapter does not support', async () => {
+      await expect(new CommandStation().createConsist(5, [{ address: 3 }]))
+        .rejects.toThrow('CommandStation cannot write CVs on the main');
+    });
+  });
+
+  describe('DccExCommandStation', () => {
+    let server;
+    let received;
+    let port;
+
+    beforeEach(async () => {
+      received = '';
+      server = net.createServer(socket => {
+        socket.on('data', data => { received += data.toString(); });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const waitFor = async (text) => {
+      for (let i = 0; i < 50 && !received.includes(text); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    it('should send operations mode CV writes in the DCC-EX text protocol', async () => {
+      const station = new DccExCommandStation({ host: '127.0.0.1', port });
+
+      await station.createConsist(12, [{ address: 1201 }, { address: 1202, reversed: true }]);
+      await station.dissolveConsist(12, [{ address: 1201 }]);
+      await waitFor('<w 1201 19 0>');
+      await station.close();
+
+      expect(received).toBe('<w 1201 19 12>\n<w 1202 19 140>\n<w 1201 19 0>\n');
+    });
+
+    it('should reject commands when the command station cannot be reached', async () => {
+      const station = new DccExCommandStation({ host: '127.0.0.1', port });
+      await new Promise(resolve => server.close(resolve));
+
+      await expect(station.send('s')).rejects.toThrow();
+
+      // Reopen so afterEach has a server to close
+      server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+  });
+
+  describe('createCommandStation', () => {
+    it('should create the configured adapter', () => {
+      expect(createCommandStation({ adapter: 'simulator' })).toBeInstanceOf(SimulatedCommandStation);
+      const station = createCommandStation({ adapter: 'dccex', host: 'cs.local', port: 2560, timeoutMs: 1000 });
+      expect(station).toBeInstanceOf(DccExCommandStation);
+      expect(station.host).toBe('cs.local');
+    });
+
+    it('should return null when there is no command station', () => {
+      expect(createCommandStation({ adapter: 'none' })).toBeNull();
+      expect(createCommandStation()).toBeNull();
+    });
+
+    it('should reject unknown adapters', () => {
+      expect(() => createCommandStation({ adapter: 'loconet' })).toThrow('Unknown command station adapter: loconet');
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { toCsv } from '../utils/csv.js';
+
+describe('CSV', () => {
+  const columns = [{ key: 'car', header: 'Car' }, { key: 'note', header: 'Note' }, { key: 'moves', header: 'Moves' }];
+
+  it('should write a header line and a line per row with CRLF endings', () => {
+    expect(toCsv([{ car: 'ATSF 1234', note: 'ok', moves: 3 }], columns))
+      .toBe('Car,Note,Moves\r\nATSF 1234,ok,3\r\n');
+  });
+
+  it('should quote fields with commas, quotes or line breaks', () => {
+    const csv = toCsv([{ car: 'ATSF, 1234', note: 'says "hi"\nthere', moves: 0 }], columns);
+    expect(csv).toBe('Car,Note,Moves\r\n"ATSF, 1234","says ""hi""\nthere",0\r\n');
+  });
+
+  it('should leave null and missing fields empty and ignore fields without a column', () => {
+    expect(toCsv([{ car: 'ATSF 1234', note: null, extra: 'x' }], columns))
+      .toBe('Car,Note,Moves\r\nATSF 1234,,\r\n');
+  });
+
+  it('should write only the header when there are no rows', () => {
+    expect(toCsv([], columns)).toBe('Car,Note,Moves\r\n');
+  });
+});
@@ -0,0 +1,107 @@
+import { DccService } from '../services/DccService.js';
+import { SimulatedCommandStation } from '../utils/commandStation.js';
+
+const mockRecords = {};
+const mockTrainUpdate = jest.fn();
+
+jest.mock('../repositories/index.js', () => ({
+  getRepository: jest.fn((name) => ({
+    findAll: jest.fn(async () => mockRecords[name] ?? []),
+    update: (...args) => mockTrainUpdate(...args)
+  }))
+}));
+
+const loco = (id, dccAddress, extra = {}) => ({ _id: id, reportingMarks: 'ELMR', reportingNumber: id, isDCC: true, dccAddress, ...extra });
+
+describe('DccService', () => {
+  let station;
+  let service;
+
+  beforeEach(() => {
+    Object.keys(mockRecords).forEach(key => delete mockRecords[key]);
+    mockTrainUpdate.mockReset();
+    mockRecords.locomotives = [loco('gp9a', 12), loco('gp9b', 1202), loco('sw1', 3), loco('steam', null, { isDCC: false })];
+    mockRecords.trains = [];
+    station = new SimulatedCommandStation();
+    service = new DccService(station);
+  });
+
+  describe('setUpConsist', () => {
+    it('should consist the locomotives at the lead locomotive\'s short address', async () => {
+      const consist = await service.setUpConsist({ _id: 't1', name: 'Local', locomotiveIds: ['gp9a', 'gp9b'] });
+
+      expect(consist).toEqual({
+        address: 12,
+        locomotives: [
+          { locomotiveId: 'gp9a', address: 12, reversed: false },
+          { locomotiveId: 'gp9b', address: 1202, reversed: false }
+        ]
+      });
+      expect(station.consistOf(12)).toEqual({ address: 12, reversed: false });
+      expect(station.consistOf(1202)).toEqual({ address: 12, reversed: false });
+      expect(mockTrainUpdate).toHaveBeenCalledWith('t1', { consist });
+    });
+
+    it('should pick a free address when the lead locomotive has a long address', async () => {
+      mockRecords.trains = [{ _id: 't0', consist: { address: 1, locomotives: [] } }];
+      mockRecords.locomotives.push(loco('rs3', 2));
+
+      const consist = await service.setUpConsist({ _id: 't1', name: 'Local', locomotiveIds: ['gp9b', 'gp9a'] });
+
+      // 1 is another train's consist, 2 and 3 are locomotive addresses
+      expect(consist.address).toBe(4);
+    });
+
+    it('should leave trains with one DCC locomotive alone', async () => {
+      const consist = await service.setUpConsist({ _id: 't1', name: 'Local', locomotiveIds: ['gp9a', 'steam'] });
+
+      expect(consist).toBeNull();
+      expect(station.commands).toEqual([]);
+      expect(mockTrainUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should carry on without a consist when the command station fails', async () => {
+      jest.spyOn(station, 'writeCvOnMain').mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const consist = await service.setUpConsist({ _id: 't1', name: 'Local', locomotiveIds: ['gp9a', 'gp9b'] });
+
+      expect(consist).toBeNull();
+      expect(mockTrainUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing without a command station', async () => {
+      const consist = await new DccService(null).setUpConsist({ _id: 't1', locomotiveIds: ['gp9a', 'gp9b'] });
+
+      expect(consist).toBeNull();
+      expect(mockTrainUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dissolveConsist', () => {
+    it('should break up the train\'s consist and forget it', async () => {
+      const consist = await service.setUpConsist({ _id: 't1', name: 'Local', locomotiveIds: ['gp9a', 'gp9b'] });
+
+      const dissolved = await service.dissolveConsist({ _id: 't1', name: 'Local', consist });
+
+      expect(dissolved).toBe(true);
+      expect(station.consistOf(12)).toBeNull();
+      expect(station.consistOf(1202)).toBeNull();
+      expect(mockTrainUpdate).toHaveBeenLastCalledWith('t1', { consist: null });
+    });
+
+    it('should forget the consist even when the command station fails', async () => {
+      jest.spyOn(station, 'writeCvOnMain').mockRejectedValue(new Error('ECONNREFUSED'));
+      const consist = { address: 12, locomotives: [{ locomotiveId: 'gp9a', address: 12, reversed: false }] };
+
+      const dissolved = await service.dissolveConsist({ _id: 't1', name: 'Local', consist });
+
+      expect(dissolved).toBe(false);
+      expect(mockTrainUpdate).toHaveBeenCalledWith('t1', { consist: null });
+    });
+
+    it('should skip trains without a consist', async () => {
+      expect(await service.dissolveConsist({ _id: 't1', consist: null })).toBe(false);
+      expect(mockTrainUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * In-memory stand-in for database/index.js in Jest tests
+ *
+ * Keeps each collection in an array so services can run on their real
+ * repositories. Queries support plain equality and the few NeDB
+ * operators the services use.
+ *
+ * Usage:
+ *   jest.mock('../database/index.js', () => jest.requireActual('./helpers/memoryDatabase.js'));
+ */
+
+const store = new Map();
+let nextId = 1;
+
+const recordsOf = (collection) => {
+  if (!store.has(collection)) {
+    store.set(collection, []);
+  }
+  return store.get(collection);
+};
+
+const OPERATORS = {
+  $gte: (value, operand) => value >= operand,
+  $lte: (value, operand) => value <= operand,
+  $in: (value, operand) => operand.includes(value),
+  $ne: (value, operand) => value !== operand
+};
+
+const matchesCondition = (value, condition) => {
+  if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`The in-memory database does not support ${operator}`);
+      }
+      return OPERATORS[operator](value, operand);
+    });
+  }
+  return value === condition;
+};
+
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => matchesCondition(doc[field], condition));
+
+const copy = (doc) => structuredClone(doc);
+
+export const dbHelpers = {
+  async findAll(collection) {
+    return recordsOf(collection).map(copy);
+  },
+
+  async findById(collection, id) {
+    const doc = recordsOf(collection).find(record => record._id === id);
+    return doc ? copy(doc) : null;
+  },
+
+  async findByQuery(collection, query) {
+    return recordsOf(collection).filter(record => matches(record, query)).map(copy);
+  },
+
+  async create(collection, data) {
+    const now = new Date();
+    const doc = { _id: `${collection}-${nextId++}`, createdAt: now, updatedAt: now, ...copy(data) };
+    recordsOf(collection).push(doc);
+    return copy(doc);
+  },
+
+  async update(collection, id, data) {
+    const doc = recordsOf(collection).find(record => record._id === id);
+    if (!doc) {
+      return 0;
+    }
+    Object.assign(doc, copy(data), { updatedAt: new Date() });
+    return 1;
+  },
+
+  async delete(collection, id) {
+    const records = recordsOf(collection);
+    const index = records.findIndex(record => record._id === id);
+    if (index === -1) {
+      return 0;
+    }
+    records.splice(index, 1);
+    return 1;
+  },
+
+  async bulkInsert(collection, dataArray) {
+    return Promise.all(dataArray.map(data => dbHelpers.create(collection, data)));
+  },
+
+  async clearCollection(collection) {
+    const cleared = recordsOf(collection).length;
+    store.set(collection, []);
+    return cleared;
+  }
+};
+
+/**
+ * Empty every collection between tests
+ */
+export const resetDatabase = () => {
+  store.clear();
+  nextId = 1;
+};
@@ -0,0 +1,230 @@
+import { JmriService } from '../services/JmriService.js';
+import { parseXml, findChild, findChildren } from '../utils/xml.js';
+
+const mockRecords = {};
+
+jest.mock('../repositories/index.js', () => ({
+  getRepository: jest.fn((name) => ({
+    findAll: jest.fn(async () => mockRecords[name] ?? [])
+  }))
+}));
+
+const roster = (list, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<operations-config>
+  <${list}>
+    ${items}
+  </${list}>
+</operations-config>`;
+
+const locationRoster = roster('locations', `
+  <location id="1" name="Lakeside" comment="East end">
+    <track id="1s1" name="Yard 1" locType="Yard" length="440" />
+    <track id="1s2" name="Staging" locType="Staging" length="880" />
+    <track id="1s3" name="Acme Feed" locType="Spur" length="132">
+      <types><carType name="Boxcar" /><locoType name="Diesel" /></types>
+    </track>
+  </location>
+  <location id="2" name="Hill City">
+    <track id="2s1" name="Hill Yard" locType="Interchange" length="300" />
+  </location>
+  <location id="3" name="Midway" />`);
+
+describe('JmriService', () => {
+  let service;
+
+  beforeEach(() => {
+    Object.keys(mockRecords).forEach(key => delete mockRecords[key]);
+    mockRecords.aarTypes = [
+      { _id: 'XM', code: 'XM', name: 'Boxcar', length: 50 },
+      { _id: 'FM', code: 'FM', name: 'Flatcar', length: 50 }
+    ];
+    mockRecords.goods = [{ _id: 'feed', name: 'Feed' }];
+    service = new JmriService();
+  });
+
+  describe('fromJmri', () => {
+    it('should turn locations into stations, a yard per location and an industry per spur', async () => {
+      const { data, rosters } = await service.fromJmri([locationRoster]);
+
+      expect(rosters).toEqual(['locations']);
+      expect(data.stations).toEqual([
+        { _id: '1', name: 'Lakeside', block: '', type: 'yard', description: 'East end' },
+        { _id: '2', name: 'Hill City', block: '', type: 'yard', description: '' },
+        { _id: '3', name: 'Midway', block: '', type: 'station', description: '' }
+      ]);
+      expect(data.industries.map(i => [i._id, i.name, i.stationId, i.isYard])).toEqual([
+        ['1-yard', 'Lakeside Yard', '1', true],
+        ['1s3', 'Acme Feed', '1', false],
+        ['2-yard', 'Hill City Yard', '2', true]
+      ]);
+      expect(data.tracks.map(t => [t._id, t.industryId, t.capacity])).toEqual([
+        ['1s1', '1-yard', 10],
+        ['1s2', '1-yard', 20],
+        ['1s3', '1s3', 3],
+        ['2s1', '2-yard', 6]
+      ]);
+    });
+
+    it('should match JMRI car types to AAR types by name', async () => {
+      const { data } = await service.fromJmri([locationRoster]);
+
+      const spur = data.tracks.find(t => t._id === '1s3');
+      expect(spur.acceptedCarTypes).toEqual(['XM']);
+      // No types listed: the track takes any car
+      expect(data.tracks.find(t => t._id === '1s1').acceptedCarTypes).toEqual(['all']);
+      expect(data.aarTypes).toEqual([]);
+    });
+
+    it('should place cars on their tracks and send them home to a yard', async () => {
+      const cars = roster('cars', `
+        <car id="ATSF1" roadName="ATSF" roadNumber="1" type="Boxcar" color="Red" locationId="1" secLocationId="1s3" loadName="Feed" rweDestId="2" />
+        <car id="UTLX5" roadName="UTLX" roadNumber="5" type="Tank Oil" color="" locationId="1" loadName="Crude" outOfService="true" comment="Leaks" />
+        <car id="BAD1" roadName="BAD" roadNumber="1" type="Boxcar" locationId="99" />`);
+
+      const { data, errors } = await service.fromJmri([cars, locationRoster]);
+
+      expect(data.cars).toEqual([
+        {
+          _id: 'ATSF1', reportingMarks: 'ATSF', reportingNumber: '1', carType: 'XM', color: 'Red', notes: '',
+          currentLoad: 'feed', homeYard: '2-yard', currentIndustry: '1s3', currentTrack: '1s3', isInService: true
+        },
+        {
+          _id: 'UTLX5', reportingMarks: 'UTLX', reportingNumber: '5', carType: 'Tank Oil', color: 'Unknown', notes: 'Leaks',
+          currentLoad: 'Crude', homeYard: '1-yard', currentIndustry: '1-yard', currentTrack: null, isInService: false
+        }
+      ]);
+      expect(errors).toEqual(["Car 3 (BAD 1): location '99' not found"]);
+      // Types and loads we had not seen are added
+      expect(data.aarTypes).toEqual([expect.objectContaining({ _id: 'Tank Oil', name: 'Tank Oil' })]);
+      expect(data.goods).toEqual([expect.objectContaining({ _id: 'Crude', name: 'Crude' })]);
+    });
+
+    it('should place cars at locations imported earlier', async () => {
+      mockRecords.industries = [{ _id: 'lakeside-yard', stationId: '1', isYard: true }];
+      mockRecords.tracks = [{ _id: 'ly1', industryId: 'lakeside-yard' }];
+
+      const { data } = await service.fromJmri([roster('cars',
+        '<car id="ATSF1" roadName="ATSF" roadNumber="1" type="XM" color="Red" locationId="1" secLocationId="ly1" />')]);
+
+      expect(data.cars[0]).toMatchObject({ currentIndustry: 'lakeside-yard', currentTrack: 'ly1', homeYard: 'lakeside-yard' });
+    });
+
+    it('should fill in what JMRI does not record for engines', async () => {
+      const engines = roster('engines', `
+        <engine id="SP4401" roadName="SP" roadNumber="4401" type="Diesel" model="GP9" comment="Kato" locationId="1" secLocationId="1s1" />
+        <engine id="UP1" roadName="UP" roadNumber="1" type="Diesel" model="SD40" locationId="2" />
+        <engine id="BN1" roadName="BN" roadNumber="X1" type="Diesel" model="SD40" locationId="2" />`);
+
+      const { data, errors, warnings } = await service.fromJmri([locationRoster, engines]);
+
+      expect(data.locomotives.map(l => [l._id, l.manufacturer, l.dccAddress, l.homeYard])).toEqual([
+        ['SP4401', 'Kato', 4401, '1-yard'],
+        ['UP1', 'Atlas', 1, '2-yard']
+      ]);
+      expect(warnings).toEqual(['Engine 2 (UP 1): JMRI records no manufacturer; set to Atlas']);
+      expect(errors).toEqual([expect.stringContaining('Engine 3 (BN X1): "reportingNumber"')]);
+    });
+
+    it('should run routes from the yard at the first stop to the yard at the last', async () => {
+      const routes = roster('routes', `
+        <route id="1" name="Lakeside Turn" comment="Daily">
+          <location id="1r1" locationId="1" /><location id="1r2" locationId="3" /><location id="1r3" locationId="2" />
+        </route>
+        <route id="2" name="Midway Local">
+          <location id="2r1" locationId="3" /><location id="2r2" locationId="2" />
+        </route>`);
+
+      const { data, errors } = await service.fromJmri([locationRoster, routes]);
+
+      expect(data.routes).toEqual([{
+        _id: '1', name: 'Lakeside Turn', description: 'Daily', originYard: '1-yard', terminationYard: '2-yard', stationSequence: ['3']
+      }]);
+      expect(errors).toEqual(['Route 2 (Midway Local): first stop has no yard']);
+    });
+
+    it('should reject files that are not JMRI rosters', async () => {
+      await expect(service.fromJmri(['<cars><car></cars>'])).rejects.toThrow('File 1 is not valid XML');
+      await expect(service.fromJmri([locationRoster, '<roster><locomotive /></roster>'])).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'File 2 is not a JMRI operations roster'
+      });
+    });
+  });
+
+  describe('toJmri', () => {
+    beforeEach(() => {
+      mockRecords.stations = [{ _id: 'lakeside', name: 'Lakeside', block: 'EAST', description: '' }];
+      mockRecords.industries = [
+        { _id: 'lakeside-yard', name: 'Lakeside Yard', stationId: 'lakeside', isYard: true },
+        { _id: 'acme', name: 'Acme Feed', stationId: 'lakeside', isYard: false },
+        { _id: 'mill', name: 'Mill', stationId: 'lakeside', isYard: false }
+      ];
+      mockRecords.tracks = [
+        { _id: 'ly1', name: 'Yard 1', industryId: 'lakeside-yard', capacity: 10, acceptedCarTypes: ['all'] },
+        { _id: 'acme1', name: 'Door 1', industryId: 'acme', capacity: 2, acceptedCarTypes: ['XM'] },
+        { _id: 'acme2', name: 'Door 2', industryId: 'acme', capacity: 2, acceptedCarTypes: ['XM'] }
+      ];
+    });
+
+    it('should write stations as locations with a track per yard track and spur', async () => {
+      const root = parseXml(await service.toJmri('locations'));
+
+      const [location] = findChildren(findChild(root, 'locations'), 'location');
+      expect(location.attributes).toEqual({ id: 'lakeside', name: 'Lakeside', block: 'EAST' });
+      expect(findChildren(location, 'track').map(t => [t.attributes.id, t.attributes.name, t.attributes.locType, t.attributes.length])).toEqual([
+        ['ly1', 'Yard 1', 'Yard', '440'],
+        ['acme1', 'Acme Feed - Door 1', 'Spur', '88'],
+        ['acme2', 'Acme Feed - Door 2', 'Spur', '88'],
+        ['mill', 'Mill', 'Spur', '440']
+      ]);
+      // A track taking any car lists every type
+      const yardTypes = findChildren(findChild(findChildren(location, 'track')[0], 'types'), 'carType');
+      expect(yardTypes.map(t => t.attributes.name)).toEqual(['XM', 'FM']);
+    });
+
+    it('should write cars at their tracks with their loads', async () => {
+      mockRecords.cars = [
+        { _id: 'c1', reportingMarks: 'ATSF', reportingNumber: '1', carType: 'XM', color: 'Red', currentIndustry: 'acme', currentTrack: 'acme2', homeYard: 'lakeside-yard', currentLoad: 'feed', isInService: true },
+        { _id: 'c2', reportingMarks: 'ATSF', reportingNumber: '2', carType: 'XM', color: 'Red', currentIndustry: 'mill', homeYard: 'lakeside-yard', currentLoad: '', isInService: false, notes: 'Bad order' }
+      ];
+
+      const root = parseXml(await service.toJmri('cars'));
+
+      expect(findChildren(findChild(root, 'cars'), 'car').map(c => c.attributes)).toEqual([
+        {
+          id: 'c1', roadName: 'ATSF', roadNumber: '1', type: 'XM', length: '50', color: 'Red', loadName: 'Feed',
+          locationId: 'lakeside', secLocationId: 'acme2', rweDestId: 'lakeside', rweSecDestId: 'ly1'
+        },
+        {
+          id: 'c2', roadName: 'ATSF', roadNumber: '2', type: 'XM', length: '50', color: 'Red', loadName: 'E', outOfService: 'true',
+          locationId: 'lakeside', secLocationId: 'mill', rweDestId: 'lakeside', rweSecDestId: 'ly1', comment: 'Bad order'
+        }
+      ]);
+    });
+
+    it('should read back what it writes', async () => {
+      mockRecords.locomotives = [
+        { _id: 'l1', reportingMarks: 'ELMR', reportingNumber: '3801', model: 'GP38-2', manufacturer: 'Atlas', isDCC: true, dccAddress: 38, homeYard: 'lakeside-yard', isInService: true, notes: '' }
+      ];
+      const files = [await service.toJmri('locations'), await service.toJmri('engines')];
+      const exported = { industries: mockRecords.industries, tracks: mockRecords.tracks };
+      delete mockRecords.industries;
+      delete mockRecords.tracks;
+
+      const { data, errors, warnings } = await service.fromJmri(files);
+
+      expect(errors).toEqual([]);
+      expect(warnings).toEqual([]);
+      expect(data.industries.map(i => [i._id, i.name, i.isYard])).toEqual(
+        [['lakeside-yard', 'Lakeside Yard', true], ['acme', 'Acme Feed', false], ['mill', 'Mill', false]]
+      );
+      expect(data.tracks.filter(t => t._id !== 'mill')).toEqual(exported.tracks.map(track => ({ ...track, notes: '' })));
+      expect(data.locomotives).toEqual(mockRecords.locomotives);
+    });
+
+    it('should reject unknown rosters', async () => {
+      await expect(service.toJmri('trains')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.toJmri('constructor')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
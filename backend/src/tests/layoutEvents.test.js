@@ -0,0 +1,65 @@
+import logger from '../utils/logger.js';
+import { LAYOUT_EVENTS, publishLayoutEvent, subscribeToLayoutEvents } from '../utils/layoutEvents.js';
+import { runInLayout } from '../utils/layoutContext.js';
+
+describe('Layout Events', () => {
+  const unsubscribers = [];
+  const subscribe = (listener) => {
+    unsubscribers.push(subscribeToLayoutEvents(listener));
+  };
+
+  afterEach(() => {
+    unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+    jest.clearAllMocks();
+  });
+
+  it('should deliver events to every subscriber with a timestamp', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    subscribe(first);
+    subscribe(second);
+
+    const event = publishLayoutEvent(LAYOUT_EVENTS.TRAIN_UPDATED, { train: { _id: 'train1', status: 'Completed' } });
+
+    expect(event).toEqual({
+      type: 'train-updated',
+      payload: { train: { _id: 'train1', status: 'Completed' } },
+      layoutId: 'default',
+      timestamp: expect.any(String)
+    });
+    expect(first).toHaveBeenCalledWith(event);
+    expect(second).toHaveBeenCalledWith(event);
+  });
+
+  it('should stamp events with the layout of the change', async () => {
+    const listener = jest.fn();
+    subscribe(listener);
+
+    await runInLayout('club', async () => {
+      await Promise.resolve();
+      publishLayoutEvent(LAYOUT_EVENTS.CARS_MOVED, { cars: [] });
+    });
+
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'cars-moved', layoutId: 'club' }));
+  });
+
+  it('should stop delivering once unsubscribed', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToLayoutEvents(listener);
+    unsubscribe();
+
+    publishLayoutEvent(LAYOUT_EVENTS.SESSION_ADVANCED, { session: { currentSessionNumber: 3 } });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should keep publishing when a subscriber throws', () => {
+    const listener = jest.fn();
+    subscribe(() => { throw new Error('socket closed'); });
+    subscribe(listener);
+
+    expect(() => publishLayoutEvent(LAYOUT_EVENTS.ORDERS_GENERATED, { sessionNumber: 2, ordersCreated: 4 })).not.toThrow();
+    expect(listener).toHaveBeenCalled();
+    expect(logger.logError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ type: 'orders-generated' }));
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  MOVEMENT_REASONS,
+  LOAD_STATES,
+  validateCarMovement,
+  buildCarMovement,
+  isRelocation
+} from '../../models/carMovement.js';
+
+describe('Car Movement Model', () => {
+  const car = {
+    _id: 'car1',
+    currentIndustry: 'industry1',
+    currentTrack: 'track1',
+    currentLoad: 'grain'
+  };
+
+  const validMovement = {
+    carId: 'car1',
+    fromIndustryId: 'industry1',
+    toIndustryId: 'industry2',
+    sessionNumber: 3,
+    loadState: LOAD_STATES.LOADED,
+    currentLoad: 'grain',
+    reason: MOVEMENT_REASONS.TRAIN,
+    trainId: 'train1'
+  };
+
+  describe('Validation', () => {
+    it('should validate a complete movement', () => {
+      const { error } = validateCarMovement(validMovement);
+      expect(error).toBeUndefined();
+    });
+
+    it('should default optional references to null', () => {
+      const { value } = validateCarMovement({ ...validMovement, fromIndustryId: undefined, trainId: undefined });
+      expect(value.fromIndustryId).toBeNull();
+      expect(value.trainId).toBeNull();
+      expect(value.fromTrackId).toBeNull();
+      expect(value.toTrackId).toBeNull();
+    });
+
+    it('should stamp movedAt when not provided', () => {
+      const { value } = validateCarMovement(validMovement);
+      expect(value.movedAt).toBeInstanceOf(Date);
+    });
+
+    it('should require carId, toIndustryId, sessionNumber, loadState and reason', () => {
+      ['carId', 'toIndustryId', 'sessionNumber', 'loadState', 'reason'].forEach(field => {
+        const { error } = validateCarMovement({ ...validMovement, [field]: undefined });
+        expect(error).toBeDefined();
+        expect(error.details[0].path).toContain(field);
+      });
+    });
+
+    it('should reject unknown reasons', () => {
+      const { error } = validateCarMovement({ ...validMovement, reason: 'teleport' });
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('Building Movements', () => {
+    it('should capture origin, destination and context', () => {
+      const movement = buildCarMovement(car, { industryId: 'industry2', trackId: 'track9' }, {
+        reason: MOVEMENT_REASONS.TRAIN,
+        sessionNumber: 3,
+        trainId: 'train1'
+      });
+
+      expect(movement).toEqual({
+        carId: 'car1',
+        fromIndustryId: 'industry1',
+        toIndustryId: 'industry2',
+        fromTrackId: 'track1',
+        toTrackId: 'track9',
+        trainId: 'train1',
+        sessionNumber: 3,
+        loadState: LOAD_STATES.LOADED,
+        currentLoad: 'grain',
+        reason: MOVEMENT_REASONS.TRAIN
+      });
+    });
+
+    it('should record the load after the move when it changes', () => {
+      const movement = buildCarMovement(car, { industryId: 'industry2', currentLoad: null }, {
+        reason: MOVEMENT_REASONS.TRAIN,
+        sessionNumber: 3
+      });
+
+      expect(movement.loadState).toBe(LOAD_STATES.EMPTY);
+      expect(movement.currentLoad).toBeNull();
+      expect(movement.trainId).toBeNull();
+    });
+  });
+
+  describe('Relocation Check', () => {
+    it('should detect an industry change', () => {
+      expect(isRelocation(car, { industryId: 'industry2', trackId: 'track1' })).toBe(true);
+    });
+
+    it('should detect a track change within the same industry', () => {
+      expect(isRelocation(car, { industryId: 'industry1', trackId: 'track2' })).toBe(true);
+    });
+
+    it('should ignore moves to the current location', () => {
+      expect(isRelocation(car, { industryId: 'industry1', trackId: 'track1' })).toBe(false);
+      expect(isRelocation({ currentIndustry: 'industry1' }, { industryId: 'industry1', trackId: null })).toBe(false);
+    });
+  });
+});
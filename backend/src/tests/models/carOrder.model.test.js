@@ -4,7 +4,11 @@ import {
   createOrderGenerationSummary,
   validateCarAssignment,
   checkDuplicateOrder,
-  validateStatusTransition
+  validateStatusTransition,
+  compareOrderAge,
+  planBackorders,
+  compareOrderPriority,
+  ORDER_PRIORITIES
 } from '../../models/carOrder.js';
 
 describe('Car Order Model Validation', () => {
@@ -453,7 +457,7 @@ describe('Car Order Model Validation', () => {
     it('should reject invalid transitions', () => {
       const result = validateStatusTransition('pending', 'in-transit');
       expect(result.valid).toBe(false);
-      expect(result.allowedTransitions).toEqual(['assigned', 'delivered']);
+      expect(result.allowedTransitions).toEqual(['assigned', 'delivered', 'expired']);
     });
 
     it('should handle unknown current status', () => {
@@ -467,5 +471,71 @@ describe('Car Order Model Validation', () => {
       expect(result.valid).toBe(false);
       expect(result.allowedTransitions).toEqual(['in-transit', 'delivered', 'pending']);
     });
+
+    it('should not allow transitions from expired', () => {
+      expect(validateStatusTransition('pending', 'expired').valid).toBe(true);
+      expect(validateStatusTransition('expired', 'pending').valid).toBe(false);
+    });
+  });
+
+  describe('Priority', () => {
+    it('should default to normal priority', () => {
+      const { value } = validateCarOrder(validOrder);
+      expect(value.priority).toBe(ORDER_PRIORITIES.NORMAL);
+    });
+
+    it('should reject unknown priorities', () => {
+      const { error } = validateCarOrder({ ...validOrder, priority: 'urgent' });
+      expect(error).toBeDefined();
+    });
+
+    it('should put hot orders first, then the oldest within a priority', () => {
+      const orders = [
+        { _id: 'low', priority: 'low', sessionNumber: 1, createdAt: '2024-01-01T00:00:00Z' },
+        { _id: 'newer', sessionNumber: 2, createdAt: '2024-01-02T00:00:00Z' },
+        { _id: 'older', priority: 'normal', sessionNumber: 1, createdAt: '2024-01-01T00:00:00Z' },
+        { _id: 'hot', priority: 'hot', sessionNumber: 3, createdAt: '2024-01-03T00:00:00Z' }
+      ];
+
+      expect(orders.sort(compareOrderPriority).map(order => order._id)).toEqual(['hot', 'older', 'newer', 'low']);
+    });
+  });
+
+  describe('Backorders', () => {
+    it('should default the backorder age to zero', () => {
+      const { value } = validateCarOrder(validOrder);
+      expect(value.backorderAge).toBe(0);
+    });
+
+    it('should put older orders first', () => {
+      const orders = [
+        { _id: 'new', sessionNumber: 3, createdAt: '2024-01-03T00:00:00Z' },
+        { _id: 'later', sessionNumber: 1, createdAt: '2024-01-01T12:00:00Z' },
+        { _id: 'first', sessionNumber: 1, createdAt: '2024-01-01T00:00:00Z' }
+      ];
+
+      expect(orders.sort(compareOrderAge).map(order => order._id)).toEqual(['first', 'later', 'new']);
+    });
+
+    it('should carry unfilled orders forward one session older', () => {
+      const orders = [{ _id: 'order1' }, { _id: 'order2', backorderAge: 2 }];
+
+      const { backordered, expired } = planBackorders(orders);
+
+      expect(backordered).toEqual([
+        { order: orders[0], backorderAge: 1 },
+        { order: orders[1], backorderAge: 3 }
+      ]);
+      expect(expired).toEqual([]);
+    });
+
+    it('should expire orders backordered for longer than the expiry', () => {
+      const orders = [{ _id: 'order1', backorderAge: 1 }, { _id: 'order2', backorderAge: 2 }];
+
+      const { backordered, expired } = planBackorders(orders, 2);
+
+      expect(backordered).toEqual([{ order: orders[0], backorderAge: 2 }]);
+      expect(expired).toEqual([orders[1]]);
+    });
   });
 });
@@ -0,0 +1,114 @@
+import {
+  ROUTING_ACTIONS,
+  LOAD_CONDITIONS,
+  validateCarRoutingRule,
+  findMatchingRule,
+  resolveCarRouting
+} from '../../models/carRoutingRule.js';
+
+describe('Car Routing Rule Model', () => {
+  const car = (overrides = {}) => ({
+    _id: 'car1',
+    reportingMarks: 'ELMR',
+    carType: 'XM',
+    homeYard: 'yard1',
+    currentIndustry: 'mill',
+    currentLoad: '',
+    sessionsAtCurrentLocation: 0,
+    ...overrides
+  });
+  const rule = (overrides = {}) => ({
+    _id: 'rule1',
+    name: 'Rule',
+    aarTypeId: null,
+    reportingMarks: null,
+    loadState: LOAD_CONDITIONS.EMPTY,
+    minSessions: 0,
+    action: ROUTING_ACTIONS.RETURN_HOME,
+    destinationIndustryId: null,
+    isActive: true,
+    ...overrides
+  });
+
+  describe('Validation', () => {
+    it('should apply defaults to a new rule', () => {
+      const { error, value } = validateCarRoutingRule({ name: 'Empties home', action: 'return-home' });
+      expect(error).toBeUndefined();
+      expect(value).toMatchObject({ loadState: 'empty', minSessions: 0, aarTypeId: null, reportingMarks: null, isActive: true });
+    });
+
+    it('should upper-case reporting marks', () => {
+      const { value } = validateCarRoutingRule({ name: 'Santa Fe', reportingMarks: 'atsf', action: 'hold' });
+      expect(value.reportingMarks).toBe('ATSF');
+    });
+
+    it('should require a destination for route-to rules', () => {
+      expect(validateCarRoutingRule({ name: 'Interchange', action: 'route-to' }).error).toBeDefined();
+    });
+
+    it('should not fill defaults into partial updates', () => {
+      const { error, value } = validateCarRoutingRule({ minSessions: 2 }, true);
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ minSessions: 2 });
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    it('should prefer reporting mark rules over AAR type rules', () => {
+      const rules = [
+        rule({ _id: 'type', aarTypeId: 'XM' }),
+        rule({ _id: 'mark', reportingMarks: 'ELMR' }),
+        rule({ _id: 'all' })
+      ];
+      expect(findMatchingRule(car(), rules)._id).toBe('mark');
+    });
+
+    it('should match on load state', () => {
+      const rules = [rule({ _id: 'empty' }), rule({ _id: 'loaded', loadState: LOAD_CONDITIONS.LOADED })];
+      expect(findMatchingRule(car({ currentLoad: 'grain' }), rules)._id).toBe('loaded');
+      expect(findMatchingRule(car(), rules)._id).toBe('empty');
+    });
+
+    it('should ignore inactive and non-matching rules', () => {
+      const rules = [rule({ isActive: false }), rule({ aarTypeId: 'FM' }), rule({ reportingMarks: 'ATSF' })];
+      expect(findMatchingRule(car(), rules)).toBeNull();
+    });
+  });
+
+  describe('resolveCarRouting', () => {
+    it('should return cars home when no rule matches', () => {
+      expect(resolveCarRouting(car(), [])).toEqual({
+        ruleId: null,
+        industryId: 'yard1',
+        reason: 'No rule matched: return to home yard'
+      });
+      expect(resolveCarRouting(car({ currentIndustry: 'yard1' }), []).industryId).toBeNull();
+    });
+
+    it('should wait out the dwell time before moving a car', () => {
+      const rules = [rule({ name: 'Empties home', minSessions: 3 })];
+      const waiting = resolveCarRouting(car({ sessionsAtCurrentLocation: 1 }), rules);
+      expect(waiting.industryId).toBeNull();
+      expect(waiting.reason).toBe('Rule "Empties home": return to home yard after 3 session(s), 1 so far');
+
+      const moving = resolveCarRouting(car({ sessionsAtCurrentLocation: 3 }), rules);
+      expect(moving).toEqual({ ruleId: 'rule1', industryId: 'yard1', reason: 'Rule "Empties home": return to home yard after 3 session(s)' });
+    });
+
+    it('should route foreign cars to the rule\'s industry', () => {
+      const rules = [rule({ name: 'Santa Fe home', reportingMarks: 'ATSF', action: ROUTING_ACTIONS.ROUTE_TO, destinationIndustryId: 'interchange' })];
+      expect(resolveCarRouting(car({ reportingMarks: 'ATSF' }), rules)).toEqual({
+        ruleId: 'rule1',
+        industryId: 'interchange',
+        reason: 'Rule "Santa Fe home": route to designated industry'
+      });
+    });
+
+    it('should keep held cars in place', () => {
+      const rules = [rule({ name: 'Loads stay', loadState: LOAD_CONDITIONS.LOADED, action: ROUTING_ACTIONS.HOLD })];
+      const routing = resolveCarRouting(car({ currentLoad: 'grain', sessionsAtCurrentLocation: 9 }), rules);
+      expect(routing.industryId).toBeNull();
+      expect(routing.reason).toBe('Rule "Loads stay": hold until ordered');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import {
+  validateFastClock,
+  readFastClock,
+  startFastClock,
+  pauseFastClock,
+  updateFastClock,
+  resetFastClock,
+  stampStatusChange,
+  DEFAULT_FAST_CLOCK_RATIO,
+  DEFAULT_FAST_CLOCK_START
+} from '../../models/fastClock.js';
+
+describe('Fast Clock Model', () => {
+  const start = new Date('2024-01-15T19:00:00.000Z');
+  const later = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+  // 4:1 clock set to 06:00 and started at `start`
+  const running = () => startFastClock({ ratio: 4, startTime: 360, time: 360, setAt: start }, start);
+
+  describe('validateFastClock', () => {
+    it('should default to a paused clock at the start time', () => {
+      const { error, value } = validateFastClock(null);
+
+      expect(error).toBeUndefined();
+      expect(value).toEqual(expect.objectContaining({
+        ratio: DEFAULT_FAST_CLOCK_RATIO,
+        startTime: DEFAULT_FAST_CLOCK_START,
+        time: DEFAULT_FAST_CLOCK_START,
+        running: false
+      }));
+    });
+
+    it('should reject a ratio below real time', () => {
+      expect(validateFastClock({ ratio: 0.5 }).error).toBeDefined();
+    });
+  });
+
+  describe('readFastClock', () => {
+    it('should move on ratio fast minutes per real minute while running', () => {
+      // 2.5 real minutes at 4:1 is 10 fast minutes
+      expect(readFastClock(running(), later(150))).toEqual({
+        ratio: 4,
+        startTime: 360,
+        running: true,
+        time: 370,
+        asOf: later(150).toISOString()
+      });
+    });
+
+    it('should give the instant the clock showed the whole minute', () => {
+      // 20 real seconds is 1 fast minute and 20 fast seconds; the clock showed 06:01 5 real seconds earlier
+      const clock = readFastClock(running(), later(20));
+
+      expect(clock.time).toBe(361);
+      expect(clock.asOf).toBe(later(15).toISOString());
+    });
+
+    it('should stop at the end of the second day', () => {
+      const clock = readFastClock({ ratio: 60, time: 2870, running: true, setAt: start }, later(3600));
+
+      expect(clock.time).toBe(2879);
+      expect(clock.running).toBe(false);
+    });
+  });
+
+  describe('pause and resume', () => {
+    it('should hold the time while paused and carry on from it', () => {
+      const paused = pauseFastClock(running(), later(150));
+      expect(readFastClock(paused, later(600)).time).toBe(370);
+
+      const resumed = startFastClock(paused, later(600));
+      expect(readFastClock(resumed, later(615)).time).toBe(371);
+    });
+
+    it('should leave a running clock alone when started again', () => {
+      const clock = running();
+      expect(startFastClock(clock, later(60))).toEqual(clock);
+    });
+  });
+
+  describe('updateFastClock', () => {
+    it('should keep the time already run when the ratio changes', () => {
+      const faster = updateFastClock(running(), { ratio: 12 }, later(150));
+
+      expect(readFastClock(faster, later(150)).time).toBe(370);
+      expect(readFastClock(faster, later(160)).time).toBe(372);
+    });
+
+    it('should move a clock that has not started along with its start time', () => {
+      const waiting = updateFastClock(resetFastClock(running(), start), { startTime: 420 }, later(10));
+      expect(readFastClock(waiting, later(20)).time).toBe(420);
+
+      const underway = updateFastClock(pauseFastClock(running(), later(150)), { startTime: 420 }, later(160));
+      expect(readFastClock(underway, later(170)).time).toBe(370);
+    });
+
+    it('should set the time shown', () => {
+      const clock = updateFastClock(running(), { time: 480 }, later(150));
+      expect(readFastClock(clock, later(150)).time).toBe(480);
+    });
+  });
+
+  describe('resetFastClock', () => {
+    it('should set a paused clock at the start time', () => {
+      const clock = resetFastClock({ ...running(), startTime: 420 }, later(150));
+      expect(readFastClock(clock, later(600))).toEqual(expect.objectContaining({ time: 420, running: false }));
+    });
+  });
+
+  describe('stampStatusChange', () => {
+    it('should append the status with the fast-clock time of the change', () => {
+      const history = stampStatusChange([{ status: 'In Progress', clockTime: 362, changedAt: start.toISOString() }], 'Completed', running(), later(150));
+
+      expect(history).toEqual([
+        { status: 'In Progress', clockTime: 362, changedAt: start.toISOString() },
+        { status: 'Completed', clockTime: 370, changedAt: later(150).toISOString() }
+      ]);
+    });
+  });
+});
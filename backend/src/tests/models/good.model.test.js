@@ -0,0 +1,107 @@
+import {
+  DWELL_ACTIONS,
+  validateGood,
+  dwellSchema,
+  resolveDwellTime,
+  startDwell,
+  advanceDwell
+} from '../../models/good.js';
+
+describe('Good Model', () => {
+  const grain = { _id: 'grain', name: 'Grain', loadingTime: 2, unloadingTime: 1 };
+  const mill = {
+    _id: 'mill',
+    carDemandConfig: [
+      { goodsId: 'grain', direction: 'inbound', compatibleCarTypes: ['LO'], carsPerSession: 1, frequency: 1, dwellTime: 3 },
+      { goodsId: 'flour', direction: 'outbound', compatibleCarTypes: ['XM'], carsPerSession: 1, frequency: 1 }
+    ]
+  };
+
+  describe('Validation', () => {
+    it('should default loading and unloading times to zero', () => {
+      const { error, value } = validateGood({ name: 'Lumber', description: '', category: 'Forest Products' });
+      expect(error).toBeUndefined();
+      expect(value.loadingTime).toBe(0);
+      expect(value.unloadingTime).toBe(0);
+    });
+
+    it('should reject negative times', () => {
+      expect(validateGood({ name: 'Lumber', loadingTime: -1 }).error).toBeDefined();
+    });
+
+    it('should accept a load weight and reject a negative one', () => {
+      expect(validateGood({ name: 'Coal', loadWeight: 100 }).error).toBeUndefined();
+      expect(validateGood({ name: 'Coal', loadWeight: -5 }).error).toBeDefined();
+    });
+
+    it('should not fill defaults into partial updates', () => {
+      expect(validateGood({ unloadingTime: 2 }, true).value).toEqual({ unloadingTime: 2 });
+    });
+
+    it('should require a dwell to have sessions left', () => {
+      const dwell = { action: DWELL_ACTIONS.LOADING, goodsId: 'grain', industryId: 'mill', sessionsRemaining: 0 };
+      expect(dwellSchema.validate(dwell).error).toBeDefined();
+    });
+  });
+
+  describe('resolveDwellTime', () => {
+    it('should use the industry\'s time where it differs', () => {
+      expect(resolveDwellTime(grain, mill, 'inbound')).toBe(3);
+    });
+
+    it('should fall back to the good\'s loading or unloading time', () => {
+      expect(resolveDwellTime(grain, { _id: 'elevator', carDemandConfig: [] }, 'outbound')).toBe(2);
+      expect(resolveDwellTime(grain, null, 'inbound')).toBe(1);
+    });
+
+    it('should be zero for goods without times', () => {
+      expect(resolveDwellTime({ _id: 'flour', name: 'Flour' }, mill, 'outbound')).toBe(0);
+      expect(resolveDwellTime(null, null, 'inbound')).toBe(0);
+    });
+  });
+
+  describe('startDwell', () => {
+    const delivery = (direction) => ({ goodsId: 'grain', industryId: 'mill', direction });
+
+    it('should spot inbound cars loaded and unload them over the dwell time', () => {
+      expect(startDwell(delivery('inbound'), 2)).toEqual({
+        currentLoad: 'grain',
+        dwell: { action: DWELL_ACTIONS.UNLOADING, goodsId: 'grain', industryId: 'mill', sessionsRemaining: 2 }
+      });
+    });
+
+    it('should spot outbound cars empty and load them over the dwell time', () => {
+      expect(startDwell(delivery('outbound'), 1)).toEqual({
+        currentLoad: null,
+        dwell: { action: DWELL_ACTIONS.LOADING, goodsId: 'grain', industryId: 'mill', sessionsRemaining: 1 }
+      });
+    });
+
+    it('should flip the load on delivery when there is no dwell time', () => {
+      expect(startDwell(delivery('inbound'), 0)).toEqual({ currentLoad: null, dwell: null });
+      expect(startDwell(delivery('outbound'), 0)).toEqual({ currentLoad: 'grain', dwell: null });
+    });
+  });
+
+  describe('advanceDwell', () => {
+    const dwell = (action, sessionsRemaining) => ({ action, goodsId: 'grain', industryId: 'mill', sessionsRemaining });
+
+    it('should ignore cars that are not dwelling', () => {
+      expect(advanceDwell({ _id: 'car1', dwell: null })).toBeNull();
+    });
+
+    it('should count down while time remains', () => {
+      expect(advanceDwell({ dwell: dwell(DWELL_ACTIONS.LOADING, 2) })).toEqual({
+        dwell: dwell(DWELL_ACTIONS.LOADING, 1),
+        completed: false
+      });
+    });
+
+    it('should flip the load when the dwell runs out', () => {
+      expect(advanceDwell({ currentLoad: null, dwell: dwell(DWELL_ACTIONS.LOADING, 1) }))
+        .toEqual({ currentLoad: 'grain', dwell: null, completed: true });
+      expect(advanceDwell({ currentLoad: 'grain', dwell: dwell(DWELL_ACTIONS.UNLOADING, 1) }))
+        .toEqual({ currentLoad: null, dwell: null, completed: true });
+    });
+  });
+});
@@ -7,7 +7,10 @@ import {
   getInboundDemand,
   getOutboundDemand,
   getIndustryGoods,
-  getCompatibleCarTypesForGood
+  getCompatibleCarTypesForGood,
+  seasonalFactor,
+  expectedDemand,
+  sampleDemand
 } from '../../models/industry.js';
 
 describe('Industry Model Validation', () => {
@@ -69,6 +72,12 @@ describe('Industry Model Validation', () => {
       expect(error).toBeDefined();
       expect(error.details[0].path).toContain('name');
     });
+
+    it('should accept facing or trailing point access', () => {
+      expect(validateIndustry({ ...validIndustry, pointAccess: 'facing' }).error).toBeUndefined();
+      expect(validateIndustry({ ...validIndustry, pointAccess: 'trailing' }).error).toBeUndefined();
+      expect(validateIndustry({ ...validIndustry, pointAccess: 'sideways' }).error).toBeDefined();
+    });
   });
 
   describe('Update Validation', () => {
@@ -205,6 +214,34 @@ describe('Industry Model Validation', () => {
       expect(error.details[0].message).toContain('greater than or equal to 1');
     });
 
+    it('should accept an order priority on demand entries', () => {
+      const demand = { goodsId: 'logs', direction: 'inbound', compatibleCarTypes: ['GN'], carsPerSession: 1, frequency: 1 };
+      expect(validateIndustry({ ...validIndustry, carDemandConfig: [{ ...demand, priority: 'hot' }] }).error).toBeUndefined();
+
+      const { error } = validateIndustry({ ...validIndustry, carDemandConfig: [{ ...demand, priority: 'urgent' }] });
+      expect(error).toBeDefined();
+    });
+
+    it('should require the settings of each demand model', () => {
+      const demand = { goodsId: 'logs', direction: 'inbound', compatibleCarTypes: ['GN'], carsPerSession: 2, frequency: 1 };
+      const check = (entry) => validateIndustry({ ...validIndustry, carDemandConfig: [entry] }).error;
+
+      expect(check({ ...demand, model: 'probabilistic', probability: 0.5 })).toBeUndefined();
+      expect(check({ ...demand, model: 'range', minCars: 0, maxCars: 3 })).toBeUndefined();
+      expect(check({ ...demand, model: 'seasonal', seasonalCurve: [0.5, 1, 1.5, 1] })).toBeUndefined();
+
+      expect(check({ ...demand, model: 'probabilistic' })).toBeDefined();
+      expect(check({ ...demand, model: 'probabilistic', probability: 1.5 })).toBeDefined();
+      expect(check({ ...demand, model: 'range', minCars: 3, maxCars: 1 })).toBeDefined();
+      expect(check({ ...demand, model: 'seasonal', seasonalCurve: [] })).toBeDefined();
+      expect(check({ ...demand, model: 'weekly' })).toBeDefined();
+    });
+
+    it('should reject model settings the demand model does not use', () => {
+      const demand = { goodsId: 'logs', direction: 'inbound', compatibleCarTypes: ['GN'], carsPerSession: 2, frequency: 1 };
+      expect(validateIndustry({ ...validIndustry, carDemandConfig: [{ ...demand, probability: 0.5 }] }).error).toBeDefined();
+    });
+
     it('should enforce integer values for carsPerSession and frequency', () => {
       const industry1 = {
         ...validIndustry,
@@ -316,6 +353,60 @@ describe('Industry Model Validation', () => {
     });
   });
 
+  describe('Demand Models', () => {
+    const base = { goodsId: 'logs', direction: 'inbound', compatibleCarTypes: ['GN'], carsPerSession: 2, frequency: 1 };
+    const always = () => 0;
+    const never = () => 0.999;
+
+    it('should treat demand without a model as fixed', () => {
+      expect(expectedDemand(base, 1)).toBe(2);
+      expect(sampleDemand(base, 1, never)).toBe(2);
+    });
+
+    it('should ask for nothing in sessions the demand is not due', () => {
+      const config = { ...base, frequency: 2, model: 'range', minCars: 1, maxCars: 3 };
+      expect(expectedDemand(config, 3)).toBe(0);
+      expect(sampleDemand(config, 3, always)).toBe(0);
+      expect(sampleDemand(config, 4, always)).toBe(1);
+    });
+
+    it('should order cars by chance for probabilistic demand', () => {
+      const config = { ...base, model: 'probabilistic', probability: 0.25 };
+      expect(expectedDemand(config, 1)).toBe(0.5);
+      expect(sampleDemand(config, 1, () => 0.2)).toBe(2);
+      expect(sampleDemand(config, 1, () => 0.3)).toBe(0);
+    });
+
+    it('should order from minCars to maxCars for range demand', () => {
+      const config = { ...base, model: 'range', minCars: 1, maxCars: 4 };
+      expect(expectedDemand(config, 1)).toBe(2.5);
+      expect(sampleDemand(config, 1, always)).toBe(1);
+      expect(sampleDemand(config, 1, never)).toBe(4);
+    });
+
+    it('should spread the seasonal curve over the calendar year', () => {
+      const curve = [0, 1, 2, 1];
+      expect(seasonalFactor(curve, 1, 12)).toBe(0);
+      expect(seasonalFactor(curve, 4, 12)).toBe(1);
+      expect(seasonalFactor(curve, 7, 12)).toBe(2);
+      expect(seasonalFactor(curve, 12, 12)).toBe(1);
+      expect(seasonalFactor(curve, 13, 12)).toBe(0); // Next year
+    });
+
+    it('should scale seasonal demand and round fractions by chance', () => {
+      const config = { ...base, carsPerSession: 3, model: 'seasonal', seasonalCurve: [0.5, 1] };
+      expect(expectedDemand(config, 1, 2)).toBe(1.5);
+      expect(sampleDemand(config, 1, () => 0.4, 2)).toBe(2);
+      expect(sampleDemand(config, 1, () => 0.6, 2)).toBe(1);
+      expect(sampleDemand(config, 2, never, 2)).toBe(3);
+    });
+
+    it('should total expected demand across models', () => {
+      const demandConfig = [base, { ...base, goodsId: 'coal', model: 'probabilistic', probability: 0.5 }];
+      expect(calculateTotalDemand(demandConfig, 1)).toBe(3);
+    });
+  });
+
   describe('Active Demand for Session', () => {
     const demandConfig = [
       { goodsId: 'logs', direction: 'inbound', compatibleCarTypes: ['GN'], carsPerSession: 2, frequency: 1 },
@@ -0,0 +1,26 @@
+import { validateLayout } from '../../models/layout.js';
+
+describe('Layout Model', () => {
+  describe('Validation', () => {
+    it('should accept a valid layout and trim its name', () => {
+      const { error, value } = validateLayout({ name: '  Club Modules  ' });
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ name: 'Club Modules', description: '' });
+    });
+
+    it('should require a name', () => {
+      expect(validateLayout({ description: 'Free-mo setup' }).error).toBeDefined();
+      expect(validateLayout({ name: '   ' }).error).toBeDefined();
+    });
+
+    it('should not let clients choose the layout id', () => {
+      expect(validateLayout({ _id: 'mine', name: 'Club Modules' }).error).toBeDefined();
+    });
+
+    it('should leave out fields a partial update does not mention', () => {
+      const { error, value } = validateLayout({ name: 'Club' }, true);
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ name: 'Club' });
+    });
+  });
+});
@@ -1,7 +1,12 @@
 import { 
   validateOperatingSession, 
   createSessionSnapshot, 
-  validateSnapshot 
+  validateSnapshot,
+  validateSessionSnapshotRecord,
+  defaultSnapshotName,
+  summarizeSnapshotRecord,
+  resolveRollbackTarget,
+  buildIntegrityReport
 } from '../../models/operatingSession.js';
 
 describe('Operating Session Model Validation', () => {
@@ -184,19 +189,81 @@ describe('Operating Session Model Validation', () => {
           {
             id: 'car1',
             currentIndustry: 'yard1',
-            sessionsAtCurrentLocation: 2
+            currentTrack: null,
+            currentLoad: null,
+            isInService: true,
+            sessionsAtCurrentLocation: 2,
+            waybillCycle: 1,
+            nextHop: null,
+            dwell: null
           },
           {
             id: 'car2',
             currentIndustry: 'industry1',
-            sessionsAtCurrentLocation: 0
+            currentTrack: null,
+            currentLoad: null,
+            isInService: true,
+            sessionsAtCurrentLocation: 0,
+            waybillCycle: 1,
+            nextHop: null,
+            dwell: null
           }
         ],
         trains: mockTrains,
-        carOrders: mockCarOrders
+        carOrders: mockCarOrders,
+        locomotives: [],
+        industries: [],
+        waybills: []
+      });
+    });
+
+    it('should capture car load, track, service, routing and dwell state', () => {
+      const nextHop = { finalIndustryId: 'mill', carOrderId: 'order1', routeId: 'route2', stationId: 'station3', industryId: 'mill' };
+      const dwell = { action: 'unloading', goodsId: 'goods1', industryId: 'industry1', sessionsRemaining: 2 };
+      const snapshot = createSessionSnapshot(1, [{
+        _id: 'car1',
+        currentIndustry: 'industry1',
+        currentTrack: 'track1',
+        currentLoad: 'goods1',
+        isInService: false,
+        sessionsAtCurrentLocation: 3,
+        waybillCycle: 3,
+        nextHop,
+        dwell
+      }], [], []);
+
+      expect(snapshot.cars[0]).toEqual({
+        id: 'car1',
+        currentIndustry: 'industry1',
+        currentTrack: 'track1',
+        currentLoad: 'goods1',
+        isInService: false,
+        sessionsAtCurrentLocation: 3,
+        waybillCycle: 3,
+        nextHop,
+        dwell
       });
     });
 
+    it('should capture waybills in full', () => {
+      const waybills = [{ _id: 'waybill1', carOrderId: 'order1', carId: 'car1', status: 'assigned', cycle: 2 }];
+      const snapshot = createSessionSnapshot(1, [], [], [], [], [], waybills);
+
+      expect(snapshot.waybills).toEqual(waybills);
+    });
+
+    it('should capture locomotive state and industry demand', () => {
+      const demand = [{ goodsId: 'goods1', direction: 'inbound', compatibleCarTypes: ['XM'], carsPerSession: 1, frequency: 1 }];
+      const snapshot = createSessionSnapshot(
+        1, [], [], [],
+        [{ _id: 'loco1', homeYard: 'yard1', isInService: false, model: 'GP38' }],
+        [{ _id: 'industry1', name: 'Mill', carDemandConfig: demand }]
+      );
+
+      expect(snapshot.locomotives).toEqual([{ id: 'loco1', homeYard: 'yard1', isInService: false }]);
+      expect(snapshot.industries).toEqual([{ id: 'industry1', carDemandConfig: demand }]);
+    });
+
     it('should handle missing sessionsAtCurrentLocation', () => {
       const carsWithoutSessions = [
         {
@@ -309,6 +376,15 @@ describe('Operating Session Model Validation', () => {
       expect(error).toBeUndefined();
     });
 
+    it('should default locomotives, industries and waybills for older snapshots', () => {
+      const { error, value } = validateSnapshot(validSnapshot);
+      expect(error).toBeUndefined();
+      expect(value.locomotives).toEqual([]);
+      expect(value.industries).toEqual([]);
+      expect(value.waybills).toEqual([]);
+      expect(value.cars.every(car => car.waybillCycle === 1)).toBe(true);
+    });
+
     it('should allow unknown properties in trains and carOrders', () => {
       const { error } = validateSnapshot({
         ...validSnapshot,
@@ -318,4 +394,177 @@ describe('Operating Session Model Validation', () => {
       expect(error).toBeUndefined();
     });
   });
+
+  describe('Integrity Report', () => {
+    const snapshot = {
+      sessionNumber: 2,
+      cars: [
+        { id: 'car1', currentIndustry: 'industry1', currentTrack: 'track1', currentLoad: 'goods1', isInService: true, sessionsAtCurrentLocation: 1 },
+        { id: 'car2', currentIndustry: 'yard1', currentTrack: null, currentLoad: null, isInService: true, sessionsAtCurrentLocation: 0 }
+      ],
+      trains: [{ _id: 'train1', name: 'Local', status: 'Planned' }],
+      carOrders: [{ _id: 'order1', status: 'pending' }],
+      locomotives: [{ id: 'loco1', homeYard: 'yard1', isInService: true }],
+      industries: [{ id: 'industry1', carDemandConfig: [{ goodsId: 'goods1', direction: 'inbound' }] }],
+      waybills: [{ _id: 'waybill1', carOrderId: 'order1', carId: null, status: 'open', cycle: null }]
+    };
+
+    const matchingState = () => ({
+      cars: [
+        { _id: 'car1', currentIndustry: 'industry1', currentTrack: 'track1', currentLoad: 'goods1', sessionsAtCurrentLocation: 1 },
+        { _id: 'car2', currentIndustry: 'yard1', currentLoad: '', sessionsAtCurrentLocation: 0 },
+        { _id: 'car3', currentIndustry: 'yard1' } // Added after the snapshot; not drift
+      ],
+      trains: [{ _id: 'train1', name: 'Local', status: 'Planned', createdAt: 'later', updatedAt: 'later' }],
+      carOrders: [{ _id: 'order1', status: 'pending' }],
+      locomotives: [{ _id: 'loco1', homeYard: 'yard1', isInService: true, model: 'GP38' }],
+      industries: [{ _id: 'industry1', name: 'Mill', carDemandConfig: [{ goodsId: 'goods1', direction: 'inbound' }] }],
+      waybills: [{ _id: 'waybill1', carOrderId: 'order1', carId: null, status: 'open', cycle: null }]
+    });
+
+    it('should report a consistent restore', () => {
+      const report = buildIntegrityReport(snapshot, matchingState());
+      expect(report.consistent).toBe(true);
+      expect(report.drift).toEqual([]);
+      expect(report.checked).toEqual({ cars: 2, trains: 1, carOrders: 1, locomotives: 1, industries: 1, waybills: 1 });
+    });
+
+    it('should list field-level drift', () => {
+      const state = matchingState();
+      state.cars[0].currentLoad = null;
+      state.cars[1].waybillCycle = 2;
+      state.locomotives[0].isInService = false;
+      state.industries[0].carDemandConfig = [];
+
+      const report = buildIntegrityReport(snapshot, state);
+      expect(report.consistent).toBe(false);
+      expect(report.drift).toEqual([
+        { entity: 'cars', id: 'car1', field: 'currentLoad', expected: 'goods1', actual: null },
+        { entity: 'cars', id: 'car2', field: 'waybillCycle', expected: 1, actual: 2 },
+        { entity: 'locomotives', id: 'loco1', field: 'isInService', expected: true, actual: false },
+        { entity: 'industries', id: 'industry1', field: 'carDemandConfig', expected: snapshot.industries[0].carDemandConfig, actual: [] }
+      ]);
+    });
+
+    it('should list missing, changed and unexpected documents', () => {
+      const state = matchingState();
+      state.cars.splice(1, 1);
+      state.trains[0].status = 'Completed';
+      state.carOrders.push({ _id: 'order2', status: 'pending' });
+      state.waybills[0].status = 'delivered';
+
+      const { drift } = buildIntegrityReport(snapshot, state);
+      expect(drift).toEqual([
+        { entity: 'cars', id: 'car2', field: null, expected: 'present', actual: 'missing' },
+        { entity: 'trains', id: 'train1', field: null, expected: 'matches snapshot', actual: 'differs' },
+        { entity: 'carOrders', id: 'order2', field: null, expected: 'absent', actual: 'present' },
+        { entity: 'waybills', id: 'waybill1', field: null, expected: 'matches snapshot', actual: 'differs' }
+      ]);
+    });
+
+    it('should find drift nested inside documents and ignore key order', () => {
+      const nestedSnapshot = {
+        ...snapshot,
+        trains: [{ _id: 'train1', status: 'In Progress', switchList: { stations: [{ stationId: 'mill', pickups: ['car1'] }] }, schedule: { departure: 360, stops: [] } }],
+        waybills: []
+      };
+      const state = { ...matchingState(), waybills: [] };
+
+      state.trains = [{ _id: 'train1', schedule: { stops: [], departure: 360 }, status: 'In Progress', switchList: { stations: [{ pickups: ['car1'], stationId: 'mill' }] } }];
+      expect(buildIntegrityReport(nestedSnapshot, state).consistent).toBe(true);
+
+      state.trains[0].switchList.stations[0].pickups = [];
+      state.trains[0].schedule.departure = 390;
+      expect(buildIntegrityReport(nestedSnapshot, state).drift).toEqual([
+        { entity: 'trains', id: 'train1', field: null, expected: 'matches snapshot', actual: 'differs' }
+      ]);
+    });
+  });
+
+  describe('Restore Point Records', () => {
+    const snapshot = {
+      sessionNumber: 2,
+      cars: [{ id: 'car1', currentIndustry: 'yard1', sessionsAtCurrentLocation: 1 }],
+      trains: [{ _id: 'train1', status: 'Completed' }, { _id: 'train2', status: 'Planned' }],
+      carOrders: [{ _id: 'order1', status: 'pending' }]
+    };
+
+    it('should validate a record and default its description', () => {
+      const { error, value } = validateSessionSnapshotRecord({ sessionNumber: 2, name: 'Session 2', snapshot });
+      expect(error).toBeUndefined();
+      expect(value.description).toBe('');
+      expect(value.takenAt).toBeInstanceOf(Date);
+    });
+
+    it('should require a name', () => {
+      const { error } = validateSessionSnapshotRecord({ sessionNumber: 2, snapshot });
+      expect(error).toBeDefined();
+    });
+
+    it('should default the name from the session number', () => {
+      expect(defaultSnapshotName(4)).toBe('Session 4');
+    });
+
+    it('should summarize a record without its payload', () => {
+      const summary = summarizeSnapshotRecord({ sessionNumber: 2, name: 'Session 2', takenAt: 'now', snapshot });
+      expect(summary).toEqual({
+        sessionNumber: 2,
+        name: 'Session 2',
+        description: '',
+        takenAt: 'now',
+        stats: {
+          cars: 1,
+          trains: 2,
+          carOrders: 1,
+          trainsByStatus: { Completed: 1, Planned: 1 },
+          ordersByStatus: { pending: 1 }
+        }
+      });
+    });
+  });
+
+  describe('Rollback Target Resolution', () => {
+    const restorePoints = [
+      { sessionNumber: 4, name: 'Session 4' },
+      { sessionNumber: 3, name: 'Before the rush' },
+      { sessionNumber: 2, name: 'Session 2' }
+    ];
+
+    it('should default to the previous session', () => {
+      const { target, error } = resolveRollbackTarget(restorePoints, 5);
+      expect(error).toBeNull();
+      expect(target.sessionNumber).toBe(4);
+    });
+
+    it('should roll back several sessions', () => {
+      const { target } = resolveRollbackTarget(restorePoints, 5, { steps: 3 });
+      expect(target.sessionNumber).toBe(2);
+    });
+
+    it('should find a named snapshot', () => {
+      const { target } = resolveRollbackTarget(restorePoints, 5, { snapshotName: 'Before the rush' });
+      expect(target.sessionNumber).toBe(3);
+    });
+
+    it('should report an unknown name', () => {
+      const { target, error } = resolveRollbackTarget(restorePoints, 5, { snapshotName: 'Nope' });
+      expect(target).toBeNull();
+      expect(error).toBe("No restore point named 'Nope'");
+    });
+
+    it('should report a pruned session', () => {
+      const { error } = resolveRollbackTarget(restorePoints, 5, { steps: 4 });
+      expect(error).toBe('No snapshot retained for session 1');
+    });
+
+    it('should refuse to go before session 1', () => {
+      const { error } = resolveRollbackTarget(restorePoints, 5, { steps: 5 });
+      expect(error).toBe('Cannot rollback 5 session(s) from session 5');
+    });
+
+    it('should ignore restore points at or after the current session', () => {
+      const { error } = resolveRollbackTarget(restorePoints, 4, { snapshotName: 'Session 4' });
+      expect(error).toBe("No restore point named 'Session 4'");
+    });
+  });
 });
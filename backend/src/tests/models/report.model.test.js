@@ -0,0 +1,164 @@
+import {
+  buildCarMovementHistory,
+  buildCarUtilization,
+  buildIdleCars,
+  buildIndustryActivity,
+  buildGoodsFulfillment,
+  buildTrainPerformance,
+  buildLocomotiveUsage,
+  GOODS_STATUSES,
+  REPORTS
+} from '../../models/report.js';
+
+describe('Report Model', () => {
+  const cars = [
+    { _id: 'car1', reportingMarks: 'ATSF', reportingNumber: '100', carType: 'XM', currentIndustry: 'mill', currentTrack: 'mill-1', currentLoad: 'grain', sessionsAtCurrentLocation: 5 },
+    { _id: 'car2', reportingMarks: 'UP', reportingNumber: '200', carType: 'FM', currentIndustry: 'yard', sessionsAtCurrentLocation: 1 },
+    { _id: 'car3', reportingMarks: 'SP', reportingNumber: '300', carType: 'XM', currentIndustry: 'yard', sessionsAtCurrentLocation: 9, isInService: false }
+  ];
+  const industries = [
+    { _id: 'yard', name: 'East Yard', stationId: 'east', isYard: true },
+    { _id: 'mill', name: 'Feed Mill', stationId: 'east', carDemandConfig: [{ goodsId: 'grain', direction: 'inbound' }] },
+    { _id: 'elevator', name: 'Elevator', stationId: 'west', carDemandConfig: [{ goodsId: 'grain', direction: 'outbound' }, { goodsId: 'lumber', direction: 'inbound' }] }
+  ];
+  const stations = [{ _id: 'east', name: 'Eastville' }, { _id: 'west', name: 'Westburg' }];
+  const goods = [{ _id: 'grain', name: 'Grain' }, { _id: 'lumber', name: 'Lumber' }, { _id: 'coal', name: 'Coal' }];
+  const movements = [
+    { _id: 'm2', carId: 'car1', fromIndustryId: 'yard', toIndustryId: 'mill', trainId: 't1', sessionNumber: 2, loadState: 'loaded', currentLoad: 'grain', reason: 'train', movedAt: '2026-01-02T00:00:00.000Z' },
+    { _id: 'm1', carId: 'car1', fromIndustryId: 'elevator', toIndustryId: 'yard', trainId: 't1', sessionNumber: 1, loadState: 'loaded', currentLoad: 'grain', reason: 'train', movedAt: '2026-01-01T00:00:00.000Z' },
+    { _id: 'm3', carId: 'car2', fromIndustryId: 'mill', toIndustryId: 'yard', trainId: null, sessionNumber: 2, loadState: 'empty', currentLoad: null, reason: 'manual', movedAt: '2026-01-02T01:00:00.000Z' }
+  ];
+
+  describe('REPORTS', () => {
+    it('should give every report a title and columns', () => {
+      for (const report of Object.values(REPORTS)) {
+        expect(report.title).toEqual(expect.any(String));
+        expect(report.columns.length).toBeGreaterThan(0);
+      }
+    });
+  });
+
+  describe('buildCarMovementHistory', () => {
+    it('should list moves oldest first with names filled in', () => {
+      const rows = buildCarMovementHistory(movements, { cars, industries, trains: [{ _id: 't1', name: 'Local 1' }], goods });
+
+      expect(rows.map(row => row.movementId)).toEqual(['m1', 'm2', 'm3']);
+      expect(rows[0]).toMatchObject({
+        car: 'ATSF 100',
+        fromIndustry: 'Elevator',
+        toIndustry: 'East Yard',
+        train: 'Local 1',
+        load: 'Grain',
+        movedAt: '2026-01-01T00:00:00.000Z'
+      });
+      expect(rows[2]).toMatchObject({ train: '', load: '', reason: 'manual' });
+    });
+  });
+
+  describe('buildCarUtilization', () => {
+    it('should count train moves and the share of sessions each car moved in', () => {
+      const rows = buildCarUtilization(cars, movements, { sessionCount: 4, industries });
+
+      expect(rows).toEqual([
+        expect.objectContaining({ carId: 'car1', trainMoves: 2, loadedMoves: 2, sessionsMoved: 2, utilization: 50, currentIndustry: 'Feed Mill' }),
+        expect.objectContaining({ carId: 'car2', trainMoves: 0, sessionsMoved: 0, utilization: 0 })
+      ]);
+    });
+  });
+
+  describe('buildIdleCars', () => {
+    const options = { currentSession: 10, fromSession: 1, toSession: 10, industries, tracks: [{ _id: 'mill-1', name: 'Door 1' }], goods };
+
+    it('should list cars in service idle for more than minSessions', () => {
+      const rows = buildIdleCars(cars, { ...options, minSessions: 1 });
+
+      expect(rows).toEqual([
+        expect.objectContaining({ carId: 'car1', industry: 'Feed Mill', track: 'Door 1', load: 'Grain', sessionsIdle: 5, idleSince: 5 })
+      ]);
+    });
+
+    it('should leave out cars that went idle outside the session range', () => {
+      expect(buildIdleCars(cars, { ...options, minSessions: 0, fromSession: 6 }).map(row => row.carId)).toEqual(['car2']);
+    });
+  });
+
+  describe('buildIndustryActivity', () => {
+    it('should count orders, fulfillment and train moves per industry, leaving out yards', () => {
+      const orders = [
+        { industryId: 'mill', goodsId: 'grain', status: 'delivered' },
+        { industryId: 'mill', goodsId: 'grain', status: 'pending' },
+        { industryId: 'mill', goodsId: 'grain', status: 'delivered' }
+      ];
+
+      const rows = buildIndustryActivity(industries, orders, movements, { stations });
+
+      expect(rows).toEqual([
+        expect.objectContaining({ industryId: 'mill', station: 'Eastville', ordersPlaced: 3, ordersDelivered: 2, ordersOpen: 1, fulfillmentRate: 66.7, carsDelivered: 1, carsPickedUp: 0 }),
+        expect.objectContaining({ industryId: 'elevator', ordersPlaced: 0, fulfillmentRate: null, carsDelivered: 0, carsPickedUp: 1 })
+      ]);
+    });
+  });
+
+  describe('buildGoodsFulfillment', () => {
+    it('should flag missing, unordered and underutilized goods', () => {
+      const orders = [
+        { industryId: 'mill', goodsId: 'grain', status: 'delivered' },
+        { industryId: 'mill', goodsId: 'grain', status: 'pending' },
+        { industryId: 'mill', goodsId: 'grain', status: 'pending' }
+      ];
+
+      const rows = buildGoodsFulfillment(goods, industries, orders);
+
+      expect(rows.map(row => [row.goodsId, row.status])).toEqual([
+        ['coal', GOODS_STATUSES.MISSING],
+        ['lumber', GOODS_STATUSES.UNORDERED],
+        ['grain', GOODS_STATUSES.UNDERUTILIZED]
+      ]);
+      expect(rows[2]).toMatchObject({ industriesReceiving: 1, industriesShipping: 1, ordersPlaced: 3, ordersDelivered: 1, fulfillmentRate: 33.3 });
+    });
+
+    it('should mark well-delivered goods ok', () => {
+      const rows = buildGoodsFulfillment([goods[0]], industries, [{ goodsId: 'grain', status: 'delivered' }]);
+      expect(rows[0]).toMatchObject({ status: GOODS_STATUSES.OK, fulfillmentRate: 100 });
+    });
+  });
+
+  describe('buildTrainPerformance', () => {
+    it('should group trains by route and average the cars completed trains handled', () => {
+      const trains = [
+        { routeId: 'r1', status: 'Completed', switchList: { totalPickups: 3, totalSetouts: 2, heldCars: [{}] } },
+        { routeId: 'r1', status: 'Completed', switchList: { totalPickups: 1, totalSetouts: 2, heldCars: [] } },
+        { routeId: 'r1', status: 'Cancelled', switchList: null },
+        { routeId: 'r2', status: 'Planned' }
+      ];
+
+      const rows = buildTrainPerformance(trains, [{ _id: 'r1', name: 'Branch Turn' }, { _id: 'r2', name: 'Yard Job' }]);
+
+      expect(rows).toEqual([
+        { routeId: 'r1', route: 'Branch Turn', trains: 3, completed: 2, cancelled: 1, carsHandled: 8, averageCarsHandled: 4, averagePickups: 2, averageSetouts: 2, averageHeldCars: 0.5 },
+        { routeId: 'r2', route: 'Yard Job', trains: 1, completed: 0, cancelled: 0, carsHandled: 0, averageCarsHandled: 0, averagePickups: 0, averageSetouts: 0, averageHeldCars: 0 }
+      ]);
+    });
+  });
+
+  describe('buildLocomotiveUsage', () => {
+    it('should count the trains each locomotive pulled and the cars they handled', () => {
+      const locomotives = [
+        { _id: 'gp9', reportingMarks: 'ELMR', reportingNumber: '101', model: 'GP9' },
+        { _id: 'sw1', reportingMarks: 'ELMR', reportingNumber: '5', model: 'SW1' },
+        { _id: 'rs3', reportingMarks: 'ELMR', reportingNumber: '202' }
+      ];
+      const trains = [
+        { locomotiveIds: ['gp9', 'rs3'], sessionNumber: 1, status: 'Completed', switchList: { totalPickups: 2, totalSetouts: 3 } },
+        { locomotiveIds: ['gp9'], sessionNumber: 1, status: 'Cancelled', switchList: { totalPickups: 9, totalSetouts: 9 } },
+        { locomotiveIds: ['gp9'], sessionNumber: 2, status: 'Completed', switchList: { totalPickups: 1, totalSetouts: 0 } }
+      ];
+
+      expect(buildLocomotiveUsage(locomotives, trains)).toEqual([
+        { locomotiveId: 'gp9', locomotive: 'ELMR 101', model: 'GP9', trains: 3, completed: 2, sessionsUsed: 2, carsHandled: 6 },
+        { locomotiveId: 'rs3', locomotive: 'ELMR 202', model: '', trains: 1, completed: 1, sessionsUsed: 1, carsHandled: 5 },
+        { locomotiveId: 'sw1', locomotive: 'ELMR 5', model: 'SW1', trains: 0, completed: 0, sessionsUsed: 0, carsHandled: 0 }
+      ]);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { validateRoute } from '../../models/route.js';
+import { validateRoute, findRouteStop, isFacingPoint, TRAVEL_DIRECTIONS } from '../../models/route.js';
 
 describe('Route Model Validation', () => {
   const validRoute = {
@@ -121,6 +121,76 @@ describe('Route Model Validation', () => {
       });
       expect(error).toBeUndefined();
     });
+  
+    it('should accept train length and tonnage limits', () => {
+      const { error, value } = validateRoute({ ...validRoute, maxLength: 900, maxTonnage: 2400 });
+      expect(error).toBeUndefined();
+      expect(value.maxLength).toBe(900);
+      expect(value.maxTonnage).toBe(2400);
+    });
+
+    it('should reject limits below one', () => {
+      expect(validateRoute({ ...validRoute, maxLength: 0 }).error).toBeDefined();
+      expect(validateRoute({ ...validRoute, maxTonnage: -100 }).error).toBeDefined();
+    });
+  });
+
+  describe('Stops', () => {
+    const stop = (overrides = {}) => ({ stationId: 'station2', ...overrides });
+
+    it('should accept per-stop siding length, runaround and direction', () => {
+      const { error, value } = validateRoute({
+        ...validRoute,
+        stops: [stop({ maxLength: 600, hasRunaround: false, direction: TRAVEL_DIRECTIONS.WEST })]
+      });
+      expect(error).toBeUndefined();
+      expect(value.stops[0]).toEqual({ stationId: 'station2', maxLength: 600, hasRunaround: false, direction: 'west' });
+    });
+
+    it('should default a stop to having a runaround', () => {
+      expect(validateRoute({ ...validRoute, stops: [stop()] }).value.stops[0].hasRunaround).toBe(true);
+    });
+
+    it('should reject unknown directions and repeated stations', () => {
+      expect(validateRoute({ ...validRoute, stops: [stop({ direction: 'up' })] }).error).toBeDefined();
+      expect(validateRoute({ ...validRoute, stops: [stop(), stop()] }).error).toBeDefined();
+    });
+
+    it('should fill in defaults for stations without a stop', () => {
+      expect(findRouteStop(validRoute, 'station1')).toEqual({
+        stationId: 'station1',
+        maxLength: null,
+        hasRunaround: true,
+        direction: null
+      });
+    });
+
+    it('should find a station\'s stop', () => {
+      const route = { ...validRoute, stops: [stop({ maxLength: 600, hasRunaround: false })] };
+      expect(findRouteStop(route, 'station2')).toMatchObject({ maxLength: 600, hasRunaround: false });
+    });
+  });
+
+  describe('isFacingPoint', () => {
+    const eastward = { stationId: 'station2', maxLength: null, hasRunaround: false, direction: 'east' };
+    const westward = { ...eastward, direction: 'west' };
+
+    it('should take an industry\'s point access as an eastward train meets it', () => {
+      expect(isFacingPoint(eastward, { pointAccess: 'facing' })).toBe(true);
+      expect(isFacingPoint(eastward, { pointAccess: 'trailing' })).toBe(false);
+    });
+
+    it('should turn the points round for westward trains', () => {
+      expect(isFacingPoint(westward, { pointAccess: 'facing' })).toBe(false);
+      expect(isFacingPoint(westward, { pointAccess: 'trailing' })).toBe(true);
+    });
+
+    it('should not count yards or missing information as facing point', () => {
+      expect(isFacingPoint(eastward, { pointAccess: 'facing', isYard: true })).toBe(false);
+      expect(isFacingPoint(eastward, {})).toBe(false);
+      expect(isFacingPoint({ ...eastward, direction: null }, { pointAccess: 'facing' })).toBe(false);
+      expect(isFacingPoint(eastward, null)).toBe(false);
+    });
   });
 
   describe('Update Validation', () => {
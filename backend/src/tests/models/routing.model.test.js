@@ -0,0 +1,146 @@
+import {
+  nextHopSchema,
+  resolveRouteStations,
+  buildStationGraph,
+  findPath,
+  findStagingYard,
+  planNextHop,
+  isFinalHop
+} from '../../models/routing.js';
+
+describe('Routing Model', () => {
+  // Two branches meeting at a junction yard:
+  //   east: eastYard(st1) -> st2 -> junctionYard(st3)
+  //   west: junctionYard(st3) -> st4 -> westYard(st5)
+  const industries = [
+    { _id: 'eastYard', stationId: 'st1', isYard: true },
+    { _id: 'junctionYard', stationId: 'st3', isYard: true },
+    { _id: 'westYard', stationId: 'st5', isYard: true },
+    { _id: 'team', stationId: 'st2', isYard: false },
+    { _id: 'mill', stationId: 'st4', isYard: false },
+    { _id: 'siding', stationId: 'st6', isYard: false }
+  ];
+  const routes = [
+    { _id: 'east', originYard: 'eastYard', terminationYard: 'junctionYard', stationSequence: ['st2'] },
+    { _id: 'west', originYard: 'junctionYard', terminationYard: 'westYard', stationSequence: ['st4'] }
+  ];
+  const industriesById = new Map(industries.map(industry => [industry._id, industry]));
+  const graph = buildStationGraph(routes, industries);
+  const mill = industriesById.get('mill');
+
+  describe('resolveRouteStations', () => {
+    it('should map origin and termination yards to their stations', () => {
+      expect(resolveRouteStations(routes[0], industriesById)).toEqual(['st1', 'st2', 'st3']);
+    });
+
+    it('should collapse a yard that sits at the first stop', () => {
+      const route = { originYard: 'eastYard', terminationYard: 'junctionYard', stationSequence: ['st1', 'st2'] };
+      expect(resolveRouteStations(route, industriesById)).toEqual(['st1', 'st2', 'st3']);
+    });
+  });
+
+  describe('buildStationGraph', () => {
+    it('should index runs by route and yards by station', () => {
+      expect(graph.runs.get('west')).toEqual(['st3', 'st4', 'st5']);
+      expect(graph.yardsByStation.get('st3').map(yard => yard._id)).toEqual(['junctionYard']);
+      expect(graph.yardsByStation.has('st4')).toBe(false);
+    });
+  });
+
+  describe('findPath', () => {
+    it('should stay on one route when it reaches the destination', () => {
+      expect(findPath(graph, 'st1', 'st2')).toEqual([{ routeId: 'east', fromStationId: 'st1', toStationId: 'st2' }]);
+    });
+
+    it('should transfer at a yard to reach another route', () => {
+      expect(findPath(graph, 'st2', 'st4')).toEqual([
+        { routeId: 'east', fromStationId: 'st2', toStationId: 'st3' },
+        { routeId: 'west', fromStationId: 'st3', toStationId: 'st4' }
+      ]);
+    });
+
+    it('should only run trains toward their termination yard', () => {
+      expect(findPath(graph, 'st4', 'st2')).toBeNull();
+    });
+
+    it('should not transfer at stations without a yard', () => {
+      const branch = { _id: 'branch', originYard: 'team', terminationYard: 'siding', stationSequence: [] };
+      const branched = buildStationGraph([...routes, branch], industries);
+      expect(findPath(branched, 'st1', 'st6')).toBeNull();
+    });
+
+    it('should restrict the first leg to the given route', () => {
+      expect(findPath(graph, 'st3', 'st4', { firstRouteId: 'east' })).toBeNull();
+      expect(findPath(graph, 'st3', 'st4', { firstRouteId: 'west' })).toHaveLength(1);
+    });
+
+    it('should return no legs when the car is already there', () => {
+      expect(findPath(graph, 'st4', 'st4')).toEqual([]);
+    });
+
+    describe('out-and-back routes', () => {
+      // turn: eastYard(st1) -> st2 -> st7 -> st2 -> eastYard(st1)
+      const turn = { _id: 'turn', originYard: 'eastYard', terminationYard: 'eastYard', stationSequence: ['st2', 'st7', 'st2'] };
+      const turnGraph = buildStationGraph([turn], industries);
+
+      it('should board at the first visit by default', () => {
+        expect(findPath(turnGraph, 'st2', 'st7')).toEqual([{ routeId: 'turn', fromStationId: 'st2', toStationId: 'st7' }]);
+      });
+
+      it('should only go on from the visit the car boards at', () => {
+        // Back out of st7 the car rides on to the yard and waits there for the next train out
+        expect(findPath(turnGraph, 'st2', 'st7', { firstRouteId: 'turn', boardAt: 3 })).toEqual([
+          { routeId: 'turn', fromStationId: 'st2', toStationId: 'st1' },
+          { routeId: 'turn', fromStationId: 'st1', toStationId: 'st7' }
+        ]);
+      });
+    });
+  });
+
+  describe('planNextHop', () => {
+    it('should stage the car at the transfer yard when more legs follow', () => {
+      const hop = planNextHop(graph, 'st2', mill, { carOrderId: 'order1', firstRouteId: 'east' });
+      expect(hop).toEqual({
+        finalIndustryId: 'mill',
+        carOrderId: 'order1',
+        routeId: 'east',
+        stationId: 'st3',
+        industryId: 'junctionYard'
+      });
+      expect(isFinalHop(hop)).toBe(false);
+    });
+
+    it('should deliver straight to the industry on the last leg', () => {
+      const hop = planNextHop(graph, 'st3', mill);
+      expect(hop).toEqual({ finalIndustryId: 'mill', carOrderId: null, routeId: 'west', stationId: 'st4', industryId: 'mill' });
+      expect(isFinalHop(hop)).toBe(true);
+    });
+
+    it('should return null when the industry cannot be reached', () => {
+      expect(planNextHop(graph, 'st4', industriesById.get('team'))).toBeNull();
+    });
+
+    it('should stage the car rather than send it back to a stop a turn route has passed', () => {
+      const turn = { _id: 'turn', originYard: 'eastYard', terminationYard: 'eastYard', stationSequence: ['st2', 'st4', 'st2'] };
+      const turnGraph = buildStationGraph([turn], industries);
+
+      expect(planNextHop(turnGraph, 'st2', mill, { firstRouteId: 'turn', boardAt: 1 })).toEqual(expect.objectContaining({ stationId: 'st4' }));
+      expect(planNextHop(turnGraph, 'st2', mill, { firstRouteId: 'turn', boardAt: 3 })).toEqual(expect.objectContaining({ stationId: 'st1', industryId: 'eastYard' }));
+    });
+  });
+
+  describe('findStagingYard', () => {
+    it('should return null at stations without a yard', () => {
+      expect(findStagingYard(graph, 'st4')).toBeNull();
+    });
+  });
+
+  describe('nextHopSchema', () => {
+    it('should require the final industry and default the rest to null', () => {
+      const { error, value } = nextHopSchema.validate({ finalIndustryId: 'mill' });
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ finalIndustryId: 'mill', carOrderId: null, routeId: null, stationId: null, industryId: null });
+      expect(nextHopSchema.validate({ routeId: 'east' }).error).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import {
+  buildTimetable,
+  buildTrainTimeline,
+  findScheduleConflicts,
+  formatClockTime,
+  trainScheduleSchema,
+  validateSchedule,
+  CONFLICT_TYPES
+} from '../../models/timetable.js';
+
+describe('Timetable Model', () => {
+  // East Yard (east) - Junction (junction) - Mill Town (mill) - West Yard (west)
+  const stations = [
+    { _id: 'east', name: 'East Yard' },
+    { _id: 'junction', name: 'Junction' },
+    { _id: 'mill', name: 'Mill Town' },
+    { _id: 'west', name: 'West Yard' }
+  ];
+  const stationsById = new Map(stations.map(station => [station._id, station]));
+  const industries = [
+    { _id: 'eastYard', name: 'East Yard', stationId: 'east', isYard: true },
+    { _id: 'westYard', name: 'West Yard', stationId: 'west', isYard: true }
+  ];
+  const routes = [
+    { _id: 'westbound', name: 'Westbound Local', originYard: 'eastYard', terminationYard: 'westYard', stationSequence: ['junction', 'mill'] },
+    { _id: 'eastbound', name: 'Eastbound Local', originYard: 'westYard', terminationYard: 'eastYard', stationSequence: ['mill', 'junction'] }
+  ];
+
+  const train = (_id, routeId, schedule, overrides = {}) => ({
+    _id,
+    name: _id.toUpperCase(),
+    routeId,
+    sessionNumber: 1,
+    status: 'Planned',
+    schedule,
+    ...overrides
+  });
+
+  // Westbound: leaves East Yard at 06:00, 20 minutes a leg with 10 at Junction
+  const westbound = (departure = 360) => ({
+    departure,
+    stops: [
+      { stationId: 'junction', arrival: departure + 20, departure: departure + 30 },
+      { stationId: 'mill', arrival: departure + 50 },
+      { stationId: 'west', arrival: departure + 70 }
+    ]
+  });
+  const eastbound = (departure) => ({
+    departure,
+    stops: [
+      { stationId: 'mill', arrival: departure + 20 },
+      { stationId: 'junction', arrival: departure + 40 },
+      { stationId: 'east', arrival: departure + 60 }
+    ]
+  });
+
+  describe('formatClockTime', () => {
+    it('should format minutes after midnight as HH:MM', () => {
+      expect(formatClockTime(0)).toBe('00:00');
+      expect(formatClockTime(390)).toBe('06:30');
+      expect(formatClockTime(1439)).toBe('23:59');
+    });
+
+    it('should mark times on the next day', () => {
+      expect(formatClockTime(1445)).toBe('00:05 +1');
+    });
+
+    it('should leave missing times blank', () => {
+      expect(formatClockTime(null)).toBe('');
+    });
+  });
+
+  describe('trainScheduleSchema', () => {
+    it('should accept a schedule in fast-clock minutes', () => {
+      const { error } = trainScheduleSchema.validate(westbound());
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject a departure before the arrival at a stop', () => {
+      const { error } = trainScheduleSchema.validate({
+        departure: 360,
+        stops: [{ stationId: 'junction', arrival: 400, departure: 390 }]
+      });
+      expect(error).toBeDefined();
+    });
+
+    it('should reject times past the second day', () => {
+      const { error } = trainScheduleSchema.validate({ departure: 2880, stops: [] });
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    const run = ['east', 'junction', 'mill', 'west'];
+
+    it('should accept a schedule for every station after the origin', () => {
+      expect(validateSchedule(westbound(), run)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject stops out of route order', () => {
+      const schedule = westbound();
+      schedule.stops = [schedule.stops[1], schedule.stops[0], schedule.stops[2]];
+      const result = validateSchedule(schedule, run);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain("route's 3 station(s)");
+    });
+
+    it('should reject a stop reached before the train leaves the one before it', () => {
+      const schedule = westbound();
+      schedule.stops[1].arrival = 385;
+      expect(validateSchedule(schedule, run).errors).toEqual([
+        'Stop 2 arrives before the train leaves the stop before it'
+      ]);
+    });
+  });
+
+  describe('buildTrainTimeline', () => {
+    it('should give each station its times, with no arrival at the origin and no departure at the end', () => {
+      const timeline = buildTrainTimeline(train('w1', 'westbound', westbound()), ['east', 'junction', 'mill', 'west'], stationsById);
+
+      expect(timeline).toEqual([
+        { stationId: 'east', stationName: 'East Yard', arrival: null, departure: 360 },
+        { stationId: 'junction', stationName: 'Junction', arrival: 380, departure: 390 },
+        { stationId: 'mill', stationName: 'Mill Town', arrival: 410, departure: 410 },
+        { stationId: 'west', stationName: 'West Yard', arrival: 430, departure: null }
+      ]);
+    });
+  });
+
+  describe('findScheduleConflicts', () => {
+    const entriesFor = (...trains) => buildTimetable(trains, { routes, industries, stations }).trains;
+
+    it('should find opposing trains on the same stretch at once', () => {
+      // Eastbound waits at West Yard until westbound arrives at 07:10
+      const clear = findScheduleConflicts(entriesFor(
+        train('w1', 'westbound', westbound()),
+        train('e1', 'eastbound', eastbound(430))
+      ));
+      expect(clear).toEqual([]);
+
+      // Leaving at 06:20, eastbound is between Mill Town and Junction 06:40-07:00 while westbound is too
+      const conflicts = findScheduleConflicts(entriesFor(
+        train('w1', 'westbound', westbound()),
+        train('e1', 'eastbound', eastbound(380))
+      ));
+      expect(conflicts).toEqual([
+        expect.objectContaining({
+          type: CONFLICT_TYPES.MEET,
+          trainNames: ['W1', 'E1'],
+          fromStationName: 'Junction',
+          toStationName: 'Mill Town',
+          from: 400,
+          to: 410
+        })
+      ]);
+    });
+
+    it('should find a train overtaking another between stations', () => {
+      // The second train leaves Junction after the first but runs to Mill Town in 5 minutes
+      const fast = westbound(370);
+      fast.stops[1].arrival = 405;
+      fast.stops[2].arrival = 425;
+      const conflicts = findScheduleConflicts(entriesFor(
+        train('w1', 'westbound', westbound()),
+        train('w2', 'westbound', fast)
+      ));
+
+      expect(conflicts).toEqual([
+        expect.objectContaining({ type: CONFLICT_TYPES.PASS, fromStationId: 'junction', toStationId: 'mill', trainIds: ['w1', 'w2'] })
+      ]);
+    });
+
+    it('should not flag trains following each other in order', () => {
+      expect(findScheduleConflicts(entriesFor(
+        train('w1', 'westbound', westbound()),
+        train('w2', 'westbound', westbound(380))
+      ))).toEqual([]);
+    });
+  });
+
+  describe('buildTimetable', () => {
+    it('should list scheduled trains by departure and the rest as unscheduled', () => {
+      const timetable = buildTimetable([
+        train('w2', 'westbound', westbound(480)),
+        train('w1', 'westbound', westbound()),
+        train('x1', 'westbound', null),
+        train('c1', 'westbound', westbound(600), { status: 'Cancelled' })
+      ], { routes, industries, stations });
+
+      expect(timetable.trains.map(entry => entry.trainId)).toEqual(['w1', 'w2']);
+      expect(timetable.trains[0]).toEqual(expect.objectContaining({
+        routeName: 'Westbound Local',
+        departure: 360,
+        arrival: 430
+      }));
+      expect(timetable.unscheduled).toEqual([{ trainId: 'x1', trainName: 'X1', status: 'Planned' }]);
+      expect(timetable.conflicts).toEqual([]);
+    });
+
+    it('should give the fast-clock times trains actually left and arrived', () => {
+      const timetable = buildTimetable([
+        train('w1', 'westbound', westbound(), {
+          status: 'Completed',
+          statusHistory: [
+            { status: 'In Progress', clockTime: 365, changedAt: '2024-01-15T19:00:00.000Z' },
+            { status: 'Completed', clockTime: 441, changedAt: '2024-01-15T19:20:00.000Z' }
+          ]
+        }),
+        train('w2', 'westbound', westbound(480))
+      ], { routes, industries, stations });
+
+      expect(timetable.trains.map(({ actualDeparture, actualArrival }) => ({ actualDeparture, actualArrival }))).toEqual([
+        { actualDeparture: 365, actualArrival: 441 },
+        { actualDeparture: null, actualArrival: null }
+      ]);
+    });
+  });
+});
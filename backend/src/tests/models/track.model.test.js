@@ -0,0 +1,173 @@
+import {
+  ALL_CAR_TYPES,
+  validateTrack,
+  summarizeTrackOccupancy,
+  trackAcceptsCarType,
+  buildTrackOccupancy,
+  findTrackWithRoom
+} from '../../models/track.js';
+
+describe('Track Model', () => {
+  const tracks = [
+    { _id: 'track1', name: 'Dock 1', industryId: 'industry1', capacity: 2, acceptedCarTypes: ['XM'] },
+    { _id: 'track2', name: 'Dock 2', industryId: 'industry1', capacity: 1, acceptedCarTypes: [ALL_CAR_TYPES] },
+    { _id: 'track3', name: 'Team Track', industryId: 'industry2', capacity: 3 }
+  ];
+
+  describe('Validation', () => {
+    const validTrack = { name: 'Dock 1', industryId: 'industry1', capacity: 4, acceptedCarTypes: ['XM'] };
+
+    it('should validate a complete track', () => {
+      const { error } = validateTrack(validTrack);
+      expect(error).toBeUndefined();
+    });
+
+    it('should require name, industryId and capacity', () => {
+      ['name', 'industryId', 'capacity'].forEach(field => {
+        const { error } = validateTrack({ ...validTrack, [field]: undefined });
+        expect(error).toBeDefined();
+        expect(error.details[0].path).toContain(field);
+      });
+    });
+
+    it('should require a positive integer capacity', () => {
+      expect(validateTrack({ ...validTrack, capacity: 0 }).error).toBeDefined();
+      expect(validateTrack({ ...validTrack, capacity: 2.5 }).error).toBeDefined();
+    });
+
+    it('should default accepted car types to all', () => {
+      const { value } = validateTrack({ name: 'Dock 1', industryId: 'industry1', capacity: 4 });
+      expect(value.acceptedCarTypes).toEqual([ALL_CAR_TYPES]);
+    });
+
+    it('should reject an empty accepted car types list', () => {
+      const { error } = validateTrack({ ...validTrack, acceptedCarTypes: [] });
+      expect(error).toBeDefined();
+    });
+
+    it('should allow partial updates without applying defaults', () => {
+      const { error, value } = validateTrack({ capacity: 6 }, true);
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ capacity: 6 });
+    });
+  });
+
+  describe('Accepted Car Types', () => {
+    it('should accept listed car types', () => {
+      expect(trackAcceptsCarType(tracks[0], 'XM')).toBe(true);
+    });
+
+    it('should reject car types that are not listed', () => {
+      expect(trackAcceptsCarType(tracks[0], 'FB')).toBe(false);
+    });
+
+    it('should accept any car type when "all" is listed', () => {
+      expect(trackAcceptsCarType(tracks[1], 'FB')).toBe(true);
+    });
+
+    it('should accept any car type when no types are listed', () => {
+      expect(trackAcceptsCarType(tracks[2], 'FB')).toBe(true);
+      expect(trackAcceptsCarType({ ...tracks[2], acceptedCarTypes: [] }, 'FB')).toBe(true);
+    });
+  });
+
+  describe('Track Occupancy', () => {
+    it('should start every track empty', () => {
+      const occupancy = buildTrackOccupancy(tracks, []);
+      expect(occupancy).toEqual({ track1: [], track2: [], track3: [] });
+    });
+
+    it('should count cars on their assigned track', () => {
+      const cars = [
+        { _id: 'car1', carType: 'XM', currentIndustry: 'industry1', currentTrack: 'track1' },
+        { _id: 'car2', carType: 'FB', currentIndustry: 'industry1', currentTrack: 'track2' }
+      ];
+      const occupancy = buildTrackOccupancy(tracks, cars);
+      expect(occupancy.track1).toEqual(['car1']);
+      expect(occupancy.track2).toEqual(['car2']);
+    });
+
+    it('should count unassigned cars against the first track with room', () => {
+      const cars = [
+        { _id: 'car1', carType: 'XM', currentIndustry: 'industry1', currentTrack: 'track1' },
+        { _id: 'car2', carType: 'XM', currentIndustry: 'industry1', currentTrack: 'track1' },
+        { _id: 'car3', carType: 'XM', currentIndustry: 'industry1' }
+      ];
+      const occupancy = buildTrackOccupancy(tracks, cars);
+      expect(occupancy.track1).toEqual(['car1', 'car2']);
+      expect(occupancy.track2).toEqual(['car3']);
+    });
+
+    it('should skip tracks that do not accept an unassigned car', () => {
+      const cars = [{ _id: 'car1', carType: 'FB', currentIndustry: 'industry1' }];
+      const occupancy = buildTrackOccupancy(tracks, cars);
+      expect(occupancy.track1).toEqual([]);
+      expect(occupancy.track2).toEqual(['car1']);
+    });
+
+    it('should ignore cars at industries without tracks', () => {
+      const cars = [{ _id: 'car1', carType: 'XM', currentIndustry: 'industry9' }];
+      const occupancy = buildTrackOccupancy(tracks, cars);
+      expect(Object.values(occupancy).flat()).toEqual([]);
+    });
+
+    it('should treat a stale track assignment as unassigned', () => {
+      const cars = [{ _id: 'car1', carType: 'XM', currentIndustry: 'industry2', currentTrack: 'deleted-track' }];
+      const occupancy = buildTrackOccupancy(tracks, cars);
+      expect(occupancy.track3).toEqual(['car1']);
+    });
+  });
+
+  describe('Find Track With Room', () => {
+    it('should report industries without tracks as unconstrained', () => {
+      const result = findTrackWithRoom('industry9', 'XM', tracks, buildTrackOccupancy(tracks, []));
+      expect(result).toEqual({ hasTracks: false, track: null });
+    });
+
+    it('should return the first accepting track with room', () => {
+      const result = findTrackWithRoom('industry1', 'XM', tracks, buildTrackOccupancy(tracks, []));
+      expect(result.hasTracks).toBe(true);
+      expect(result.track._id).toBe('track1');
+    });
+
+    it('should fall through to the next track when the first is full', () => {
+      const occupancy = { track1: ['car1', 'car2'], track2: [], track3: [] };
+      const result = findTrackWithRoom('industry1', 'XM', tracks, occupancy);
+      expect(result.track._id).toBe('track2');
+    });
+
+    it('should only consider tracks that accept the car type', () => {
+      const result = findTrackWithRoom('industry1', 'FB', tracks, buildTrackOccupancy(tracks, []));
+      expect(result.track._id).toBe('track2');
+    });
+
+    it('should return no track when every track is full', () => {
+      const occupancy = { track1: ['car1', 'car2'], track2: ['car3'], track3: [] };
+      const result = findTrackWithRoom('industry1', 'XM', tracks, occupancy);
+      expect(result).toEqual({ hasTracks: true, track: null });
+    });
+  });
+  describe('Occupancy Summary', () => {
+    it('should report fill level and cars on the track', () => {
+      const cars = [{ _id: 'car1', reportingMarks: 'UP', reportingNumber: '1', carType: 'XM', currentLoad: 'grain' }];
+      const summary = summarizeTrackOccupancy(tracks[0], cars);
+      expect(summary).toEqual({
+        trackId: 'track1',
+        trackName: 'Dock 1',
+        industryId: 'industry1',
+        capacity: 2,
+        occupied: 1,
+        available: 1,
+        percentFull: 50,
+        isFull: false,
+        cars: [{ _id: 'car1', reportingMarks: 'UP', reportingNumber: '1', carType: 'XM', currentLoad: 'grain' }]
+      });
+    });
+
+    it('should flag full tracks', () => {
+      const summary = summarizeTrackOccupancy(tracks[1], [{ _id: 'car1' }]);
+      expect(summary.isFull).toBe(true);
+      expect(summary.available).toBe(0);
+    });
+  });
+});
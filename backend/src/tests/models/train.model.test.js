@@ -5,7 +5,18 @@ import {
   validateStatusTransition,
   calculateCapacityUsage,
   formatTrainSummary,
-  validateSwitchListRequirements
+  validateSwitchListRequirements,
+  blockSwitchList,
+  carLoad,
+  resolveTrainLimits,
+  findBindingLimit,
+  fitsSidings,
+  flagRunarounds,
+  TRAIN_LIMITS,
+  DEFAULT_CAR_LENGTH,
+  DEFAULT_EMPTY_WEIGHT,
+  DEFAULT_LOCOMOTIVE_LENGTH,
+  HELD_REASONS
 } from '../../models/train.js';
 
 describe('Train Model Validation', () => {
@@ -220,6 +231,32 @@ describe('Train Model Validation', () => {
     });
   });
 
+  describe('Validation - Consist', () => {
+    const consist = {
+      address: 12,
+      locomotives: [
+        { locomotiveId: 'loco1', address: 12 },
+        { locomotiveId: 'loco2', address: 1202, reversed: true }
+      ]
+    };
+
+    it('should accept an advanced consist', () => {
+      const { error, value } = validateTrain({ ...validTrain, consist });
+      expect(error).toBeUndefined();
+      expect(value.consist.locomotives[0].reversed).toBe(false);
+    });
+
+    it('should allow a null consist', () => {
+      const { error } = validateTrain({ ...validTrain, consist: null });
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject consist addresses above 127', () => {
+      const { error } = validateTrain({ ...validTrain, consist: { ...consist, address: 1202 } });
+      expect(error).toBeDefined();
+    });
+  });
+
   describe('Validation - Switch List Schema', () => {
     it('should validate complete switch list', () => {
       const train = {
@@ -258,6 +295,60 @@ describe('Train Model Validation', () => {
       const { error } = validateTrain(train);
       expect(error).toBeDefined();
     });
+
+    it('should validate held cars and destination tracks', () => {
+      const pickup = validSwitchList.stations[0].pickups[0];
+      const train = {
+        ...validTrain,
+        switchList: {
+          ...validSwitchList,
+          stations: [{
+            ...validSwitchList.stations[0],
+            pickups: [{ ...pickup, destinationTrackId: 'track1', destinationTrackName: 'Dock 1' }]
+          }],
+          heldCars: [{
+            ...pickup,
+            stationId: 'station1',
+            stationName: 'Station One',
+            reason: HELD_REASONS.NO_ROOM
+          }]
+        }
+      };
+      const { error } = validateTrain(train);
+      expect(error).toBeUndefined();
+    });
+
+    it('should validate bumped orders', () => {
+      const bumped = {
+        carOrderId: 'order2',
+        industryId: 'industry2',
+        industryName: 'Cannery',
+        priority: 'low',
+        bumpedByOrderId: 'order1',
+        bumpedByIndustryName: 'Feed Mill',
+        bumpedByPriority: 'hot'
+      };
+      expect(validateTrain({ ...validTrain, switchList: { ...validSwitchList, bumpedOrders: [bumped] } }).error).toBeUndefined();
+
+      const { error } = validateTrain({
+        ...validTrain,
+        switchList: { ...validSwitchList, bumpedOrders: [{ ...bumped, priority: 'urgent' }] }
+      });
+      expect(error).toBeDefined();
+    });
+
+    it('should require a reason on held cars', () => {
+      const pickup = validSwitchList.stations[0].pickups[0];
+      const train = {
+        ...validTrain,
+        switchList: {
+          ...validSwitchList,
+          heldCars: [{ ...pickup, stationId: 'station1', stationName: 'Station One' }]
+        }
+      };
+      const { error } = validateTrain(train);
+      expect(error).toBeDefined();
+    });
   });
 
   describe('Train Name Uniqueness Validation', () => {
@@ -413,6 +504,216 @@ describe('Train Model Validation', () => {
     });
   });
 
+  describe('Switch List Blocking', () => {
+    const car = (carId) => ({ carId });
+    const station = (stationId, pickups, setouts) => ({
+      stationId,
+      stationName: stationId.toUpperCase(),
+      pickups: pickups.map(car),
+      setouts: setouts.map(car)
+    });
+    // Yard picks up cars for B and C in mixed order; B adds a car for C and one for D; C sets out its cars
+    const stations = blockSwitchList([
+      station('yard', ['c1', 'b1', 'c2', 'b2'], []),
+      station('b', ['c3', 'd1'], ['b1', 'b2']),
+      station('c', [], ['c1', 'c2', 'c3']),
+      station('d', [], ['d1'])
+    ]);
+    const positions = (items) => items.map(item => [item.carId, item.position]);
+
+    it('should put the nearest station\'s cars at the head end', () => {
+      expect(positions(stations[0].pickups)).toEqual([['b1', 1], ['b2', 2], ['c1', 3], ['c2', 4]]);
+      expect(stations[0].pickups[0]).toMatchObject({ blockStationId: 'b', blockStationName: 'B' });
+      expect(stations[0].blocks).toEqual([
+        { stationId: 'b', stationName: 'B', fromPosition: 1, toPosition: 2, carCount: 2, pickedUp: 2 },
+        { stationId: 'c', stationName: 'C', fromPosition: 3, toPosition: 4, carCount: 2, pickedUp: 2 }
+      ]);
+    });
+
+    it('should cut each station\'s setouts off the head end in one block', () => {
+      expect(stations[0].cutOff).toBeNull();
+      expect(stations[1].cutOff).toEqual({ fromPosition: 1, toPosition: 2, carCount: 2 });
+      expect(positions(stations[1].setouts)).toEqual([['b1', 1], ['b2', 2]]);
+      expect(stations[2].cutOff).toEqual({ fromPosition: 1, toPosition: 3, carCount: 3 });
+    });
+
+    it('should add pickups behind the cars already in their block', () => {
+      expect(positions(stations[1].pickups)).toEqual([['c3', 3], ['d1', 4]]);
+      expect(stations[1].blocks).toEqual([
+        { stationId: 'c', stationName: 'C', fromPosition: 1, toPosition: 3, carCount: 3, pickedUp: 1 },
+        { stationId: 'd', stationName: 'D', fromPosition: 4, toPosition: 4, carCount: 1, pickedUp: 1 }
+      ]);
+      expect(positions(stations[2].setouts)).toEqual([['c1', 1], ['c2', 2], ['c3', 3]]);
+      expect(stations[3].blocks).toEqual([]);
+    });
+
+    it('should leave cars switched within a station out of the train', () => {
+      const [only] = blockSwitchList([station('a', [], ['local'])]);
+      expect(only.setouts).toEqual([{ carId: 'local' }]);
+      expect(only.cutOff).toBeNull();
+      expect(only.blocks).toEqual([]);
+    });
+
+    it('should keep blocks valid against the switch list schema', () => {
+      const switchList = {
+        stations: stations.map(entry => ({
+          ...entry,
+          pickups: entry.pickups.map(item => ({ ...item, carReportingMarks: 'UP', carNumber: '1', carType: 'XM', destinationIndustryId: 'i', destinationIndustryName: 'I' })),
+          setouts: entry.setouts.map(item => ({ ...item, carReportingMarks: 'UP', carNumber: '1', carType: 'XM', destinationIndustryId: 'i', destinationIndustryName: 'I' }))
+        })),
+        totalPickups: 6,
+        totalSetouts: 6,
+        finalCarCount: 0,
+        generatedAt: new Date().toISOString()
+      };
+      const { error } = validateTrain({ ...validTrain, switchList });
+      expect(error).toBeUndefined();
+    });
+  });
+
+  describe('Train Limits', () => {
+    const boxcar = { _id: 'XM', length: 50, capacity: 70, emptyWeight: 32 };
+    const gp38 = { _id: 'loco1', length: 59, tractiveRating: 1800 };
+    const sd40 = { _id: 'loco2', length: 68, tractiveRating: 2400 };
+
+    it('should accept optional length and tonnage limits on a train', () => {
+      const { error, value } = validateTrain({ ...validTrain, maxLength: 1200, maxTonnage: 3000 });
+      expect(error).toBeUndefined();
+      expect(value.maxLength).toBe(1200);
+      expect(validateTrain({ ...validTrain, maxTonnage: 0 }).error).toBeDefined();
+    });
+
+    it('should accept a fast-clock schedule on a train', () => {
+      const schedule = { departure: 360, stops: [{ stationId: 'station1', arrival: 380, departure: 390 }] };
+      const { error, value } = validateTrain({ ...validTrain, schedule });
+      expect(error).toBeUndefined();
+      expect(value.schedule).toEqual(schedule);
+      expect(validateTrain({ ...validTrain, schedule: { departure: -5, stops: [] } }).error).toBeDefined();
+    });
+
+    it('should weigh an empty car at its empty weight', () => {
+      expect(carLoad(boxcar, null)).toEqual({ length: 50, tons: 32 });
+    });
+
+    it('should add the good\'s load weight to a loaded car', () => {
+      expect(carLoad(boxcar, { _id: 'paper', loadWeight: 65 })).toEqual({ length: 50, tons: 97 });
+    });
+
+    it('should fill a car with goods that have no load weight and never overload it', () => {
+      expect(carLoad(boxcar, { _id: 'lumber' }).tons).toBe(102);
+      expect(carLoad(boxcar, { _id: 'coal', loadWeight: 100 }).tons).toBe(102);
+    });
+
+    it('should fall back to default figures for unknown car types', () => {
+      expect(carLoad(null, null)).toEqual({ length: DEFAULT_CAR_LENGTH, tons: DEFAULT_EMPTY_WEIGHT });
+    });
+
+    it('should take the tightest of the train\'s, the route\'s and the locomotives\' limits', () => {
+      const limits = resolveTrainLimits(
+        { maxCapacity: 20, maxLength: 1500, maxTonnage: 5000 },
+        { maxLength: 1000, maxTonnage: 6000 },
+        [gp38, sd40]
+      );
+      expect(limits).toEqual({ maxCars: 20, maxLength: 1000, maxTonnage: 4200, locomotiveLength: 127 });
+    });
+
+    it('should leave limits nothing sets as null', () => {
+      const limits = resolveTrainLimits({ maxCapacity: 20 }, {}, [{ _id: 'loco3' }]);
+      expect(limits).toEqual({ maxCars: 20, maxLength: null, maxTonnage: null, locomotiveLength: DEFAULT_LOCOMOTIVE_LENGTH });
+    });
+
+    it('should ignore tractive ratings unless every locomotive has one', () => {
+      const limits = resolveTrainLimits({ maxCapacity: 20 }, null, [gp38, { _id: 'loco3' }]);
+      expect(limits.maxTonnage).toBeNull();
+    });
+
+    it('should report the first limit a car would break', () => {
+      const limits = { maxCars: 3, maxLength: 300, maxTonnage: 250, locomotiveLength: 60 };
+      const car = { length: 50, tons: 100 };
+      expect(findBindingLimit(limits, { cars: 0, length: 0, tons: 0 }, car)).toBeNull();
+      expect(findBindingLimit(limits, { cars: 3, length: 150, tons: 100 }, car)).toBe(TRAIN_LIMITS.CARS);
+      expect(findBindingLimit(limits, { cars: 2, length: 200, tons: 100 }, car)).toBe(TRAIN_LIMITS.LENGTH);
+      expect(findBindingLimit(limits, { cars: 2, length: 100, tons: 200 }, car)).toBe(TRAIN_LIMITS.TONNAGE);
+    });
+
+    it('should let a car fill a limit exactly', () => {
+      const limits = { maxCars: 10, maxLength: 160, maxTonnage: 200, locomotiveLength: 60 };
+      expect(findBindingLimit(limits, { cars: 1, length: 50, tons: 100 }, { length: 50, tons: 100 })).toBeNull();
+    });
+
+    it('should fit a car only if the train fits every siding it rides into', () => {
+      const limits = { maxCars: 20, maxLength: null, maxTonnage: null, locomotiveLength: 60 };
+      const sidings = [null, 250, null, 500];
+      const onBoard = [{ setoutIndex: 1, load: { length: 50 } }, { setoutIndex: 3, load: { length: 50 } }];
+      const car = { length: 50, tons: 30 };
+      // Arriving at stop 1 takes 60 + 50 + 50 + 50 = 210 ft of the 250; one more car aboard makes 260
+      expect(fitsSidings(limits, sidings, onBoard, car, 0, 3)).toBe(true);
+      expect(fitsSidings(limits, sidings, [...onBoard, { setoutIndex: 2, load: { length: 50 } }], car, 0, 3)).toBe(false);
+      // Picked up after the short siding, it only has to fit the long one
+      expect(fitsSidings(limits, sidings, [...onBoard, { setoutIndex: 3, load: { length: 50 } }], car, 1, 3)).toBe(true);
+    });
+
+    it('should check cars that ride through against every later siding', () => {
+      const limits = { maxCars: 20, maxLength: null, maxTonnage: null, locomotiveLength: 60 };
+      expect(fitsSidings(limits, [null, null, 100], [], { length: 50 }, 0, -1)).toBe(false);
+      expect(fitsSidings(limits, [null, null, 100], [], { length: 40 }, 0, -1)).toBe(true);
+    });
+
+    it('should validate the limits stored on a switch list', () => {
+      const limits = {
+        maxCars: 20,
+        maxLength: 1000,
+        maxTonnage: null,
+        locomotiveLength: 127,
+        peakCars: 12,
+        peakLength: 640,
+        peakTonnage: 980,
+        boundBy: TRAIN_LIMITS.LENGTH
+      };
+      expect(validateTrain({ ...validTrain, switchList: { ...validSwitchList, limits } }).error).toBeUndefined();
+      expect(validateTrain({ ...validTrain, switchList: { ...validSwitchList, limits: { ...limits, boundBy: 'speed' } } }).error).toBeDefined();
+    });
+  });
+
+  describe('Runaround Flags', () => {
+    const setout = (carId, destinationIndustryId) => ({
+      carId,
+      carReportingMarks: 'UP',
+      carNumber: carId,
+      carType: 'XM',
+      destinationIndustryId,
+      destinationIndustryName: destinationIndustryId
+    });
+    const stations = [
+      { stationId: 'station1', stationName: 'One', pickups: [], setouts: [setout('car1', 'mill'), setout('car2', 'dock')] },
+      { stationId: 'station2', stationName: 'Two', pickups: [], setouts: [setout('car3', 'mill')] }
+    ];
+    const industriesById = new Map([
+      ['mill', { _id: 'mill', pointAccess: 'facing' }],
+      ['dock', { _id: 'dock', pointAccess: 'trailing' }]
+    ]);
+
+    it('should flag facing-point setouts at stations without a runaround', () => {
+      const route = { stops: [{ stationId: 'station1', hasRunaround: false, direction: 'east' }] };
+      const flagged = flagRunarounds(stations, route, industriesById);
+      expect(flagged[0].setouts.map(item => item.needsRunaround)).toEqual([true, undefined]);
+      expect(flagged[1]).toBe(stations[1]);
+    });
+
+    it('should leave stations with a runaround alone', () => {
+      const route = { stops: [{ stationId: 'station1', hasRunaround: true, direction: 'east' }] };
+      expect(flagRunarounds(stations, route, industriesById)).toEqual(stations);
+    });
+
+    it('should allow a needsRunaround flag on switch list items', () => {
+      const switchList = {
+        ...validSwitchList,
+        stations: [{ ...validSwitchList.stations[0], setouts: [{ ...validSwitchList.stations[0].pickups[0], needsRunaround: true }] }]
+      };
+      expect(validateTrain({ ...validTrain, switchList }).error).toBeUndefined();
+    });
+  });
+
   describe('Train Summary Formatting', () => {
     it('should format basic train summary', () => {
       const train = {
@@ -0,0 +1,94 @@
+import {
+  ROLES,
+  validateUser,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  toPublicUser,
+  canSeeTrain
+} from '../../models/user.js';
+
+describe('User Model', () => {
+  const validUser = {
+    username: 'Engineer.Bob',
+    displayName: 'Bob',
+    role: ROLES.CREW,
+    password: 'highball123'
+  };
+
+  describe('Validation', () => {
+    it('should accept a valid user and lowercase the username', () => {
+      const { error, value } = validateUser(validUser);
+      expect(error).toBeUndefined();
+      expect(value.username).toBe('engineer.bob');
+      expect(value.isActive).toBe(true);
+    });
+
+    it('should reject unknown roles', () => {
+      expect(validateUser({ ...validUser, role: 'brakeman' }).error).toBeDefined();
+    });
+
+    it('should reject short passwords', () => {
+      expect(validateUser({ ...validUser, password: 'short' }).error).toBeDefined();
+    });
+
+    it('should reject usernames with spaces', () => {
+      const { error } = validateUser({ ...validUser, username: 'bob smith' });
+      expect(error.details[0].message).toContain('Username may contain only');
+    });
+
+    it('should not fill defaults into partial updates', () => {
+      expect(validateUser({ role: ROLES.VIEWER }, true).value).toEqual({ role: ROLES.VIEWER });
+    });
+  });
+
+  describe('Passwords', () => {
+    it('should verify the password a hash was made from', () => {
+      const hash = hashPassword('highball123');
+      expect(verifyPassword('highball123', hash)).toBe(true);
+      expect(verifyPassword('highball124', hash)).toBe(false);
+    });
+
+    it('should salt each hash', () => {
+      expect(hashPassword('highball123')).not.toBe(hashPassword('highball123'));
+    });
+
+    it('should reject malformed hashes', () => {
+      expect(verifyPassword('highball123', '')).toBe(false);
+      expect(verifyPassword('highball123', 'nocolon')).toBe(false);
+    });
+  });
+
+  describe('Tokens', () => {
+    it('should issue distinct tokens stored by hash', () => {
+      const first = generateToken();
+      const second = generateToken();
+      expect(first.token).not.toBe(second.token);
+      expect(first.tokenHash).toBe(hashToken(first.token));
+      expect(first.tokenHash).not.toBe(first.token);
+    });
+  });
+
+  describe('toPublicUser', () => {
+    it('should drop the password hash', () => {
+      expect(toPublicUser({ _id: 'u1', username: 'bob', passwordHash: 'salt:hash' })).toEqual({ _id: 'u1', username: 'bob' });
+    });
+  });
+
+  describe('canSeeTrain', () => {
+    const train = { _id: 'train1', crewUserIds: ['crew1'] };
+
+    it('should show crews only their own trains', () => {
+      expect(canSeeTrain({ _id: 'crew1', role: ROLES.CREW }, train)).toBe(true);
+      expect(canSeeTrain({ _id: 'crew2', role: ROLES.CREW }, train)).toBe(false);
+      expect(canSeeTrain({ _id: 'crew1', role: ROLES.CREW }, { _id: 'train2' })).toBe(false);
+    });
+
+    it('should show every train to other roles and when authentication is off', () => {
+      expect(canSeeTrain({ _id: 'disp1', role: ROLES.DISPATCHER }, train)).toBe(true);
+      expect(canSeeTrain({ _id: 'view1', role: ROLES.VIEWER }, train)).toBe(true);
+      expect(canSeeTrain(undefined, train)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  WAYBILL_CYCLES,
+  WAYBILL_STATUSES,
+  validateWaybill,
+  resolveWaybillParties,
+  buildWaybillFromOrder,
+  nextWaybillCycle,
+  buildCycleLayout
+} from '../../models/waybill.js';
+
+describe('Waybill Model', () => {
+  const inboundOrder = {
+    _id: 'order1',
+    industryId: 'mill',
+    goodsId: 'grain',
+    direction: 'inbound',
+    sessionNumber: 4,
+    status: 'pending'
+  };
+  const outboundOrder = { ...inboundOrder, _id: 'order2', direction: 'outbound', goodsId: 'flour' };
+  const car = { _id: 'car1', homeYard: 'yard1', currentIndustry: 'interchange', waybillCycle: 2 };
+
+  describe('Validation', () => {
+    it('should validate a waybill built from an order', () => {
+      const { error, value } = validateWaybill(buildWaybillFromOrder(inboundOrder));
+      expect(error).toBeUndefined();
+      expect(value.status).toBe(WAYBILL_STATUSES.OPEN);
+      expect(value.cycle).toBeNull();
+      expect(value.deliveredAt).toBeNull();
+    });
+
+    it('should require the car order', () => {
+      const { error } = validateWaybill({ ...buildWaybillFromOrder(inboundOrder), carOrderId: undefined });
+      expect(error).toBeDefined();
+    });
+
+    it('should reject cycles beyond the last panel', () => {
+      const { error } = validateWaybill({ ...buildWaybillFromOrder(inboundOrder), cycle: WAYBILL_CYCLES + 1 });
+      expect(error).toBeDefined();
+    });
+
+    it('should reject unknown statuses', () => {
+      const { error } = validateWaybill({ ...buildWaybillFromOrder(inboundOrder), status: 'lost' });
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('Parties', () => {
+    it('should consign inbound loads to the ordering industry', () => {
+      expect(resolveWaybillParties(inboundOrder, car)).toEqual({
+        shipperIndustryId: 'interchange',
+        consigneeIndustryId: 'mill',
+        emptyReturnIndustryId: 'yard1'
+      });
+    });
+
+    it('should ship outbound loads from the ordering industry to the home yard', () => {
+      expect(resolveWaybillParties(outboundOrder, car)).toEqual({
+        shipperIndustryId: 'mill',
+        consigneeIndustryId: 'yard1',
+        emptyReturnIndustryId: 'yard1'
+      });
+    });
+
+    it('should leave off-layout parties open until a car is matched', () => {
+      expect(resolveWaybillParties(inboundOrder)).toEqual({
+        shipperIndustryId: null,
+        consigneeIndustryId: 'mill',
+        emptyReturnIndustryId: null
+      });
+    });
+  });
+
+  describe('Cycles', () => {
+    it('should turn to the next cycle and wrap after the last', () => {
+      expect(nextWaybillCycle(1)).toBe(2);
+      expect(nextWaybillCycle(WAYBILL_CYCLES)).toBe(1);
+      expect(nextWaybillCycle(undefined)).toBe(2);
+    });
+
+    it('should lay out one panel per cycle and mark the current one', () => {
+      const layout = buildCycleLayout(car, []);
+      expect(layout.currentCycle).toBe(2);
+      expect(layout.panels).toHaveLength(WAYBILL_CYCLES);
+      expect(layout.panels.filter(panel => panel.isCurrent).map(panel => panel.cycle)).toEqual([2]);
+      expect(layout.panels.every(panel => panel.waybill === null)).toBe(true);
+    });
+
+    it('should prefer the assigned waybill, then the latest delivery', () => {
+      const waybills = [
+        { _id: 'old', cycle: 1, status: 'delivered', deliveredAt: '2024-01-01T00:00:00.000Z' },
+        { _id: 'new', cycle: 1, status: 'delivered', deliveredAt: '2024-02-01T00:00:00.000Z' },
+        { _id: 'delivered', cycle: 2, status: 'delivered', deliveredAt: '2024-03-01T00:00:00.000Z' },
+        { _id: 'active', cycle: 2, status: 'assigned', deliveredAt: null }
+      ];
+      const { panels } = buildCycleLayout(car, waybills);
+      expect(panels[0].waybill._id).toBe('new');
+      expect(panels[1].waybill._id).toBe('active');
+    });
+
+    it('should default the current cycle to 1', () => {
+      expect(buildCycleLayout({ _id: 'car2' }, []).currentCycle).toBe(1);
+    });
+  });
+});
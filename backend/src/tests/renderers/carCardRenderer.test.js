@@ -0,0 +1,119 @@
+import {
+  CARDS_PER_PAGE,
+  buildCarCardViews,
+  buildWaybillViews,
+  renderCardSheetHtml,
+  renderCardSheetPdf
+} from '../../renderers/carCardRenderer.js';
+
+describe('Car Card Renderer', () => {
+  const car = (overrides = {}) => ({
+    _id: 'car1',
+    reportingMarks: 'ATSF',
+    reportingNumber: '1234',
+    carType: 'XM',
+    color: 'Red',
+    homeYard: 'yard1',
+    notes: '',
+    waybillCycle: 2,
+    ...overrides
+  });
+
+  const related = {
+    industries: [{ _id: 'yard1', name: 'East Yard' }, { _id: 'mill', name: 'Feed Mill' }],
+    aarTypes: [{ _id: 'XM', name: 'Boxcar' }],
+    goods: [{ _id: 'grain', name: 'Grain' }],
+    waybills: [
+      {
+        _id: 'w1',
+        carId: 'car1',
+        carOrderId: 'order1',
+        shipperIndustryId: null,
+        consigneeIndustryId: 'mill',
+        emptyReturnIndustryId: 'yard1',
+        goodsId: 'grain',
+        status: 'delivered',
+        cycle: 1,
+        deliveredAt: '2024-01-15T10:00:00.000Z'
+      },
+      {
+        _id: 'w2',
+        carId: 'car1',
+        carOrderId: 'order2',
+        shipperIndustryId: 'mill',
+        consigneeIndustryId: 'yard1',
+        emptyReturnIndustryId: 'yard1',
+        goodsId: 'grain',
+        status: 'assigned',
+        cycle: 2,
+        deliveredAt: null
+      }
+    ]
+  };
+
+  describe('buildCarCardViews', () => {
+    it('should show the car, its type and where to return it empty', () => {
+      const [card] = buildCarCardViews([car()], related);
+      expect(card.heading).toBe('ATSF 1234');
+      expect(card.subheading).toBe('Boxcar');
+      expect(card.sections[0].rows).toEqual(expect.arrayContaining([
+        ['Return when empty to', 'East Yard'],
+        ['Waybill cycle', '2 of 4']
+      ]));
+    });
+  });
+
+  describe('buildWaybillViews', () => {
+    it('should lay out all four cycles and mark the current one', () => {
+      const [card] = buildWaybillViews([car()], related);
+      expect(card.subheading).toBe('Waybill - cycle 2 of 4');
+      expect(card.sections.map(section => section.current)).toEqual([false, true, false, false]);
+      expect(card.sections[0].title).toBe('Cycle 1 - delivered');
+      expect(card.sections[2].rows).toEqual([]);
+    });
+
+    it('should name shipper, consignee, goods and the empty-return leg', () => {
+      const [card] = buildWaybillViews([car()], related);
+      expect(card.sections[0].rows).toEqual([
+        ['Shipper', 'Off-layout'],
+        ['Consignee', 'Feed Mill'],
+        ['Goods', 'Grain'],
+        ['Return empty to', 'East Yard']
+      ]);
+    });
+
+    it('should only use waybills carried by the car', () => {
+      const [card] = buildWaybillViews([car({ _id: 'car2' })], related);
+      expect(card.sections.every(section => section.rows.length === 0)).toBe(true);
+    });
+  });
+
+  describe('renderCardSheetHtml', () => {
+    it('should put four cards on each sheet', () => {
+      const cards = buildCarCardViews(
+        Array.from({ length: CARDS_PER_PAGE + 1 }, (_, i) => car({ _id: `car${i}`, reportingNumber: String(i) })),
+        related
+      );
+      const html = renderCardSheetHtml('Car Cards', cards);
+      expect(html.match(/class="sheet"/g)).toHaveLength(2);
+      expect(html.match(/class="card"/g)).toHaveLength(CARDS_PER_PAGE + 1);
+    });
+
+    it('should escape card content', () => {
+      const html = renderCardSheetHtml('Car Cards', buildCarCardViews([car({ notes: '<b>Bad order</b>' })], related));
+      expect(html).toContain('&lt;b&gt;Bad order&lt;/b&gt;');
+      expect(html).not.toContain('<b>Bad order</b>');
+    });
+
+    it('should say when there is nothing to print', () => {
+      expect(renderCardSheetHtml('Waybills', [])).toContain('Nothing to print');
+    });
+  });
+
+  describe('renderCardSheetPdf', () => {
+    it('should produce a PDF', async () => {
+      const pdf = await renderCardSheetPdf('Waybills', buildWaybillViews([car()], related));
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,242 @@
+import {
+  buildSwitchListView,
+  renderSwitchListHtml,
+  renderSwitchListPdf,
+  SIGNATURE_ROLES
+} from '../../renderers/switchListRenderer.js';
+
+describe('Switch List Renderer', () => {
+  const item = (overrides = {}) => ({
+    carId: 'car1',
+    carReportingMarks: 'ATSF',
+    carNumber: '1234',
+    carType: 'XM',
+    destinationIndustryId: 'ind1',
+    destinationIndustryName: 'Feed Mill',
+    destinationTrackId: null,
+    destinationTrackName: null,
+    goodsId: null,
+    ...overrides
+  });
+
+  const train = {
+    _id: 'train1',
+    name: 'Valley Local',
+    sessionNumber: 4,
+    status: 'In Progress',
+    switchList: {
+      stations: [
+        {
+          stationId: 'st1',
+          stationName: 'Riverside',
+          pickups: [item({ carId: 'car2', carNumber: '99', destinationIndustryName: 'West Yard' })],
+          setouts: [item({ destinationTrackName: 'Spur 2', goodsId: 'g1', direction: 'inbound' })]
+        },
+        { stationId: 'st2', stationName: 'Hilltop', pickups: [], setouts: [] }
+      ],
+      totalPickups: 1,
+      totalSetouts: 1,
+      finalCarCount: 1,
+      heldCars: [{ ...item({ carId: 'car3', carNumber: '77' }), stationId: 'st1', stationName: 'Riverside', reason: 'Held - no room at destination' }],
+      generatedAt: '2024-01-15T10:00:00.000Z'
+    }
+  };
+
+  const related = {
+    route: { name: 'Valley Turn' },
+    originYard: { name: 'East Yard' },
+    terminationYard: { name: 'West Yard' },
+    locomotives: [{ reportingMarks: 'ELMR', reportingNumber: '101' }],
+    cars: [{ _id: 'car1', notes: 'Excess height' }, { _id: 'car2', notes: '' }],
+    goods: [{ _id: 'g1', name: 'Grain' }]
+  };
+
+  describe('buildSwitchListView', () => {
+    it('should resolve train identification and yards', () => {
+      const view = buildSwitchListView(train, related);
+      expect(view).toMatchObject({
+        trainName: 'Valley Local',
+        sessionNumber: 4,
+        routeName: 'Valley Turn',
+        originYard: 'East Yard',
+        terminationYard: 'West Yard',
+        locomotives: ['ELMR 101'],
+        totals: { pickups: 1, setouts: 1, finalCarCount: 1 }
+      });
+    });
+
+    it('should build pickup and setout rows per station', () => {
+      const view = buildSwitchListView(train, related);
+      expect(view.stations[0].setouts[0]).toEqual({
+        position: '',
+        car: 'ATSF 1234',
+        carType: 'XM',
+        destination: 'Feed Mill / Spur 2',
+        load: 'Grain',
+        direction: 'inbound',
+        notes: 'Excess height'
+      });
+      expect(view.stations[0].pickups[0].load).toBe('Empty');
+      expect(view.stations[1]).toEqual({ stationName: 'Hilltop', work: [], pickups: [], setouts: [] });
+    });
+
+    it('should give car positions and the work at each station', () => {
+      const blocked = {
+        ...train,
+        switchList: {
+          ...train.switchList,
+          stations: [{
+            stationId: 'st1',
+            stationName: 'Riverside',
+            pickups: [item({ carId: 'car2', position: 3, blockStationId: 'st3', blockStationName: 'Summit' })],
+            setouts: [item({ position: 1 }), item({ carId: 'car4', position: 2 })],
+            cutOff: { fromPosition: 1, toPosition: 2, carCount: 2 },
+            blocks: [
+              { stationId: 'st2', stationName: 'Hilltop', fromPosition: 1, toPosition: 2, carCount: 2, pickedUp: 0 },
+              { stationId: 'st3', stationName: 'Summit', fromPosition: 3, toPosition: 3, carCount: 1, pickedUp: 1 }
+            ]
+          }]
+        }
+      };
+      const view = buildSwitchListView(blocked, related);
+      expect(view.stations[0].setouts.map(row => row.position)).toEqual(['1', '2']);
+      expect(view.stations[0].pickups[0].position).toBe('3');
+      expect(view.stations[0].work).toEqual([
+        'Cut off the first 2 car(s), positions 1-2, and set them out',
+        'Add 1 car(s) for Summit at position 3',
+        'Leave with 1-2 Hilltop, 3 Summit'
+      ]);
+      expect(renderSwitchListHtml(view)).toContain('Leave with 1-2 Hilltop, 3 Summit');
+    });
+
+    it('should show where staged cars are ultimately bound', () => {
+      const staged = {
+        ...train,
+        switchList: {
+          ...train.switchList,
+          stations: [{
+            stationId: 'st1',
+            stationName: 'Riverside',
+            pickups: [item({ destinationIndustryName: 'Junction Yard', finalDestinationIndustryName: 'Feed Mill' })],
+            setouts: []
+          }]
+        }
+      };
+      const view = buildSwitchListView(staged, related);
+      expect(view.stations[0].pickups[0].destination).toBe('Junction Yard (for Feed Mill)');
+    });
+
+    it('should say which routing rule moved a car', () => {
+      const ruled = {
+        ...train,
+        switchList: {
+          ...train.switchList,
+          stations: [{
+            stationId: 'st1',
+            stationName: 'Riverside',
+            pickups: [item({ routingRuleId: 'rule1', routingReason: 'Rule "Empties home": return to home yard' })],
+            setouts: []
+          }]
+        }
+      };
+      const view = buildSwitchListView(ruled, related);
+      expect(view.stations[0].pickups[0].notes).toBe('Rule "Empties home": return to home yard; Excess height');
+    });
+
+    it('should collect special handling notes and held cars', () => {
+      const view = buildSwitchListView(train, related);
+      expect(view.notes).toEqual([
+        'ATSF 1234: Excess height',
+        'ATSF 77 held at Riverside: Held - no room at destination'
+      ]);
+    });
+
+    it('should flag hot orders and list bumped orders', () => {
+      const prioritized = {
+        ...train,
+        switchList: {
+          ...train.switchList,
+          stations: [{
+            stationId: 'st1',
+            stationName: 'Riverside',
+            pickups: [item({ carId: 'car2', carOrderId: 'order1', priority: 'hot' })],
+            setouts: []
+          }],
+          heldCars: [],
+          bumpedOrders: [{
+            carOrderId: 'order2',
+            industryId: 'ind2',
+            industryName: 'Cannery',
+            priority: 'low',
+            bumpedByOrderId: 'order1',
+            bumpedByIndustryName: 'Feed Mill',
+            bumpedByPriority: 'hot'
+          }]
+        }
+      };
+      const view = buildSwitchListView(prioritized, related);
+      expect(view.stations[0].pickups[0].notes).toBe('Hot');
+      expect(view.notes).toEqual(['Cannery low order bumped for a hot order to Feed Mill']);
+    });
+
+    it('should warn the crew about facing-point setouts with no runaround', () => {
+      const stations = [{
+        ...train.switchList.stations[0],
+        setouts: [item({ carId: 'car2', carNumber: '99', needsRunaround: true })]
+      }];
+      const view = buildSwitchListView({ ...train, switchList: { ...train.switchList, stations } }, related);
+      expect(view.stations[0].setouts[0].notes).toBe('Facing point, no runaround');
+      expect(view.notes).toContain('ATSF 99 to Feed Mill: facing-point spur and no runaround at Riverside');
+    });
+
+    it('should describe how close the train came to its limits', () => {
+      const limits = {
+        maxCars: 20,
+        maxLength: 1000,
+        maxTonnage: null,
+        locomotiveLength: 127,
+        peakCars: 12,
+        peakLength: 640,
+        peakTonnage: 980.5,
+        boundBy: 'length'
+      };
+      const view = buildSwitchListView({ ...train, switchList: { ...train.switchList, limits } }, related);
+      expect(view.limits).toBe('12/20 cars, 767/1000 ft, 981 tons; length limit reached');
+      expect(renderSwitchListHtml(view)).toContain('Train Limits');
+      expect(buildSwitchListView(train, related).limits).toBeNull();
+    });
+
+    it('should tolerate missing related records', () => {
+      const view = buildSwitchListView(train);
+      expect(view.routeName).toBe('Unknown route');
+      expect(view.originYard).toBe('Unknown yard');
+      expect(view.locomotives).toEqual([]);
+    });
+  });
+
+  describe('renderSwitchListHtml', () => {
+    it('should render a self-contained page with check boxes and signature lines', () => {
+      const html = renderSwitchListHtml(buildSwitchListView(train, related));
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).not.toMatch(/<(link|script)[^>]+(src|href)=/);
+      expect(html).toContain('Riverside');
+      expect((html.match(/class="box"/g) || []).length).toBe(2);
+      SIGNATURE_ROLES.forEach(role => expect(html).toContain(role));
+      expect(html).toContain('No pickups');
+    });
+
+    it('should escape user-supplied text', () => {
+      const html = renderSwitchListHtml(buildSwitchListView({ ...train, name: '<b>Local</b>' }, related));
+      expect(html).toContain('&lt;b&gt;Local&lt;/b&gt;');
+      expect(html).not.toContain('<b>Local</b>');
+    });
+  });
+
+  describe('renderSwitchListPdf', () => {
+    it('should produce a PDF document', async () => {
+      const pdf = await renderSwitchListPdf(buildSwitchListView(train, related));
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
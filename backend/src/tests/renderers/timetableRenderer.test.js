@@ -0,0 +1,79 @@
+import { buildTimetableView, renderTimetableHtml } from '../../renderers/timetableRenderer.js';
+
+describe('Timetable Renderer', () => {
+  const stop = (stationId, stationName, arrival, departure) => ({ stationId, stationName, arrival, departure });
+
+  const timetable = {
+    sessionNumber: 2,
+    trains: [
+      {
+        trainId: 't1',
+        trainName: 'Turn <1>',
+        routeName: 'Mill Turn',
+        departure: 360,
+        arrival: 420,
+        actualDeparture: null,
+        actualArrival: null,
+        stops: [
+          stop('yard', 'East Yard', null, 360),
+          stop('mill', 'Mill Town', 380, 400),
+          stop('yard', 'East Yard', 420, null)
+        ]
+      },
+      {
+        trainId: 't2',
+        trainName: 'Through Freight',
+        routeName: 'Main Line',
+        departure: 450,
+        arrival: 1450,
+        actualDeparture: null,
+        actualArrival: null,
+        stops: [stop('yard', 'East Yard', null, 450), stop('west', 'West Yard', 1450, null)]
+      }
+    ],
+    unscheduled: [],
+    conflicts: []
+  };
+
+  describe('buildTimetableView', () => {
+    it('should lay out stations against trains in the order they are reached', () => {
+      const view = buildTimetableView(timetable);
+
+      expect(view.trains.map(train => train.trainName)).toEqual(['Turn <1>', 'Through Freight']);
+      expect(view.rows).toEqual([
+        { stationName: 'East Yard', times: ['lv 06:00, ar 07:00', 'lv 07:30'] },
+        { stationName: 'Mill Town', times: ['06:20-06:40', ''] },
+        { stationName: 'West Yard', times: ['', 'ar 00:10 +1'] }
+      ]);
+      expect(view.actuals).toEqual([]);
+    });
+
+    it('should compare actual departures and arrivals with the schedule once trains have run', () => {
+      const [turn, through] = timetable.trains;
+      const view = buildTimetableView({
+        ...timetable,
+        trains: [{ ...turn, actualDeparture: 365, actualArrival: 418 }, { ...through, actualDeparture: 450 }]
+      });
+
+      expect(view.actuals).toEqual([
+        { label: 'Departed', times: ['06:05 (5 late)', '07:30 (on time)'] },
+        { label: 'Arrived', times: ['06:58 (2 early)', ''] }
+      ]);
+    });
+  });
+
+  describe('renderTimetableHtml', () => {
+    it('should escape names and say when nothing conflicts', () => {
+      const html = renderTimetableHtml(buildTimetableView(timetable));
+
+      expect(html).toContain('Turn &lt;1&gt;');
+      expect(html).not.toContain('Turn <1>');
+      expect(html).toContain('<h2>Meets and Passes Between Stations</h2>\n  <p class="none">None</p>');
+    });
+
+    it('should say when no trains are scheduled', () => {
+      const html = renderTimetableHtml(buildTimetableView({ ...timetable, trains: [] }));
+      expect(html).toContain('No scheduled trains');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { ReportService } from '../services/ReportService.js';
+import { SessionService } from '../services/SessionService.js';
+import { dbHelpers, resetDatabase } from '../database/index.js';
+
+// Services run on their real repositories over an in-memory database
+jest.mock('../database/index.js', () => jest.requireActual('./helpers/memoryDatabase.js'));
+
+describe('ReportService', () => {
+  const runTrain = (_id, sessionNumber, crewUserIds = []) => dbHelpers.create('trains', {
+    _id,
+    name: `Valley Local ${sessionNumber}`,
+    routeId: 'valley',
+    sessionNumber,
+    status: 'Completed',
+    locomotiveIds: ['gp9'],
+    crewUserIds,
+    switchList: { totalPickups: 2, totalSetouts: 3, heldCars: [] }
+  });
+
+  beforeEach(async () => {
+    resetDatabase();
+    await dbHelpers.create('routes', { _id: 'valley', name: 'Valley Line' });
+    await dbHelpers.create('locomotives', { _id: 'gp9', reportingMarks: 'ELMR', reportingNumber: '101', model: 'GP9' });
+  });
+
+  it('should report trains from sessions that have since been advanced', async () => {
+    const sessionService = new SessionService();
+    await runTrain('local1', 1);
+    await sessionService.advanceSession();
+    await runTrain('local2', 2);
+    await sessionService.advanceSession();
+
+    const reportService = new ReportService();
+    const performance = await reportService.getTrainPerformance({ fromSession: 1, toSession: 1 });
+    const usage = await reportService.getLocomotiveUsage({ fromSession: 1, toSession: 1 });
+
+    expect(await dbHelpers.findAll('trains')).toEqual([]);
+    expect(performance.rows).toEqual([
+      expect.objectContaining({ routeId: 'valley', trains: 1, completed: 1, carsHandled: 5 })
+    ]);
+    expect(usage.rows).toEqual([
+      expect.objectContaining({ locomotiveId: 'gp9', trains: 1, completed: 1, sessionsUsed: 1, carsHandled: 5 })
+    ]);
+  });
+
+  it('should not count a train twice once a rollback puts it back on the layout', async () => {
+    const sessionService = new SessionService();
+    await runTrain('local1', 1);
+    await sessionService.advanceSession();
+    await sessionService.rollbackSession();
+
+    const performance = await new ReportService().getTrainPerformance({ fromSession: 1, toSession: 1 });
+
+    expect(await dbHelpers.findAll('trains')).toHaveLength(1);
+    expect(performance.rows).toEqual([expect.objectContaining({ trains: 1, completed: 1 })]);
+  });
+
+  it('should show a crew only the trains they are assigned to', async () => {
+    const crew = { _id: 'user1', role: 'crew' };
+    await runTrain('local1', 1, ['user1']);
+    await runTrain('local2', 1, ['user2']);
+    await dbHelpers.create('carMovements', { carId: 'car1', sessionNumber: 1, reason: 'train', trainId: 'local1' });
+    await dbHelpers.create('carMovements', { carId: 'car2', sessionNumber: 1, reason: 'train', trainId: 'local2' });
+    await dbHelpers.create('carMovements', { carId: 'car3', sessionNumber: 1, reason: 'manual' });
+
+    const reportService = new ReportService();
+    const performance = await reportService.getTrainPerformance({}, crew);
+    const usage = await reportService.getLocomotiveUsage({}, crew);
+    const movements = await reportService.getCarMovementHistory({}, crew);
+
+    expect(performance.rows).toEqual([expect.objectContaining({ trains: 1 })]);
+    expect(usage.rows).toEqual([expect.objectContaining({ trains: 1 })]);
+    expect(movements.rows.map(row => row.carId)).toEqual(['car1', 'car3']);
+    expect(movements.rows[0].train).toBe('Valley Local 1');
+  });
+
+  it('should show dispatchers every train', async () => {
+    await runTrain('local1', 1, ['user1']);
+    await runTrain('local2', 1, ['user2']);
+
+    const performance = await new ReportService().getTrainPerformance({}, { _id: 'user3', role: 'dispatcher' });
+
+    expect(performance.rows).toEqual([expect.objectContaining({ trains: 2 })]);
+  });
+});
@@ -0,0 +1,209 @@
+import express from 'express';
+import request from 'supertest';
+import { globalErrorHandler, ApiError } from '../../middleware/errorHandler.js';
+import { config } from '../../config/index.js';
+
+const mockAuthService = {
+  login: jest.fn(),
+  logout: jest.fn(),
+  authenticate: jest.fn(),
+  listUsers: jest.fn(),
+  createUser: jest.fn(),
+  updateUser: jest.fn(),
+  deleteUser: jest.fn()
+};
+const mockSessionService = {
+  advanceSession: jest.fn()
+};
+
+// Routers call getService when they load, so resolve the mocks lazily
+jest.mock('../../services/index.js', () => ({
+  getService: jest.fn(() => ({
+    login: (...args) => mockAuthService.login(...args),
+    logout: (...args) => mockAuthService.logout(...args),
+    authenticate: (...args) => mockAuthService.authenticate(...args),
+    listUsers: (...args) => mockAuthService.listUsers(...args),
+    createUser: (...args) => mockAuthService.createUser(...args),
+    updateUser: (...args) => mockAuthService.updateUser(...args),
+    deleteUser: (...args) => mockAuthService.deleteUser(...args),
+    advanceSession: (...args) => mockSessionService.advanceSession(...args)
+  }))
+}));
+
+import { authenticate, restrictWrites } from '../../middleware/auth.js';
+import authRouter from '../../routes/auth.js';
+import usersRouter from '../../routes/users.js';
+import operatingSessionsRouter from '../../routes/operatingSessions.js';
+
+// Mirror server.js: authenticate and restrict writes ahead of every router
+const v1Router = express.Router();
+v1Router.use(authenticate);
+v1Router.use(restrictWrites);
+v1Router.use('/auth', authRouter);
+v1Router.use('/users', usersRouter);
+v1Router.use('/sessions', operatingSessionsRouter);
+v1Router.get('/cars', (req, res) => res.json({ success: true }));
+v1Router.post('/cars', (req, res) => res.json({ success: true }));
+v1Router.post('/trains/:id/complete', (req, res) => res.json({ success: true }));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1', v1Router);
+app.use(globalErrorHandler);
+
+describe('Auth Routes', () => {
+  const users = {
+    superintendent: { _id: 'u1', username: 'super', role: 'superintendent', isActive: true },
+    dispatcher: { _id: 'u2', username: 'disp', role: 'dispatcher', isActive: true },
+    crew: { _id: 'u3', username: 'crew', role: 'crew', isActive: true },
+    viewer: { _id: 'u4', username: 'view', role: 'viewer', isActive: true }
+  };
+  const as = (role) => ({ Authorization: `Bearer ${role}-token` });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.auth.enabled = true;
+    mockAuthService.authenticate.mockImplementation(async (token) => users[(token || '').replace('-token', '')] || null);
+  });
+
+  afterEach(() => {
+    config.auth.enabled = false;
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return a token without needing one', async () => {
+      mockAuthService.login.mockResolvedValue({ token: 'abc', expiresAt: '2024-01-22T10:00:00.000Z', user: users.crew });
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ username: 'crew', password: 'highball123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBe('abc');
+      expect(mockAuthService.login).toHaveBeenCalledWith('crew', 'highball123');
+    });
+
+    it('should reject bad credentials', async () => {
+      mockAuthService.login.mockRejectedValue(new ApiError('Invalid username or password', 401));
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ username: 'crew', password: 'wrong' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should require a username and password', async () => {
+      const response = await request(app).post('/api/v1/auth/login').send({ username: 'crew' });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should reject requests without a token', async () => {
+      const response = await request(app).get('/api/v1/cars');
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    it('should reject unknown tokens', async () => {
+      const response = await request(app).get('/api/v1/cars').set({ Authorization: 'Bearer nope' });
+      expect(response.status).toBe(401);
+    });
+
+    it('should accept a token in the query string for links opened in a new tab', async () => {
+      const response = await request(app).get('/api/v1/cars?access_token=viewer-token');
+      expect(response.status).toBe(200);
+    });
+
+    it('should let everyone through when authentication is off', async () => {
+      config.auth.enabled = false;
+      const response = await request(app).post('/api/v1/cars');
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('GET /api/auth/me', () => {
+    it('should return the signed-in user', async () => {
+      const response = await request(app).get('/api/v1/auth/me').set(as('dispatcher'));
+      expect(response.body.data).toEqual(users.dispatcher);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the request\'s token, even for viewers', async () => {
+      const response = await request(app).post('/api/v1/auth/logout').set(as('viewer'));
+      expect(response.status).toBe(200);
+      expect(mockAuthService.logout).toHaveBeenCalledWith('viewer-token');
+    });
+  });
+
+  describe('restrictWrites', () => {
+    it('should keep viewers read-only', async () => {
+      expect((await request(app).get('/api/v1/cars').set(as('viewer'))).status).toBe(200);
+      expect((await request(app).post('/api/v1/cars').set(as('viewer'))).status).toBe(403);
+    });
+
+    it('should let crews work trains but change nothing else', async () => {
+      expect((await request(app).post('/api/v1/trains/train1/complete').set(as('crew'))).status).toBe(200);
+      expect((await request(app).post('/api/v1/cars').set(as('crew'))).status).toBe(403);
+    });
+
+    it('should let dispatchers make changes', async () => {
+      expect((await request(app).post('/api/v1/cars').set(as('dispatcher'))).status).toBe(200);
+    });
+  });
+
+  describe('superintendent-only actions', () => {
+    it('should stop dispatchers advancing the session', async () => {
+      const response = await request(app).post('/api/v1/sessions/advance').set(as('dispatcher')).send({});
+      expect(response.status).toBe(403);
+      expect(mockSessionService.advanceSession).not.toHaveBeenCalled();
+    });
+
+    it('should let the superintendent advance the session', async () => {
+      mockSessionService.advanceSession.mockResolvedValue({
+        session: { currentSessionNumber: 4 },
+        stats: { advancedToSession: 4 }
+      });
+      const response = await request(app).post('/api/v1/sessions/advance').set(as('superintendent')).send({});
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('/api/users', () => {
+    it('should list users for dispatchers assigning crews', async () => {
+      mockAuthService.listUsers.mockResolvedValue([users.crew]);
+      const response = await request(app).get('/api/v1/users').set(as('dispatcher'));
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([users.crew]);
+    });
+
+    it('should hide the user list from crews', async () => {
+      const response = await request(app).get('/api/v1/users').set(as('crew'));
+      expect(response.status).toBe(403);
+    });
+
+    it('should let only the superintendent create accounts', async () => {
+      mockAuthService.createUser.mockResolvedValue(users.viewer);
+      const body = { username: 'view', role: 'viewer', password: 'highball123' };
+
+      expect((await request(app).post('/api/v1/users').set(as('dispatcher')).send(body)).status).toBe(403);
+      const response = await request(app).post('/api/v1/users').set(as('superintendent')).send(body);
+      expect(response.status).toBe(201);
+      expect(mockAuthService.createUser).toHaveBeenCalledWith(body);
+    });
+
+    it('should update and delete accounts', async () => {
+      mockAuthService.updateUser.mockResolvedValue({ ...users.crew, isActive: false });
+
+      const updated = await request(app).put('/api/v1/users/u3').set(as('superintendent')).send({ isActive: false });
+      expect(updated.body.data.isActive).toBe(false);
+      expect(mockAuthService.updateUser).toHaveBeenCalledWith('u3', { isActive: false });
+
+      const deleted = await request(app).delete('/api/v1/users/u3').set(as('superintendent'));
+      expect(deleted.status).toBe(200);
+      expect(mockAuthService.deleteUser).toHaveBeenCalledWith('u3');
+    });
+  });
+});
@@ -10,6 +10,8 @@ const mockUpdateOrder = jest.fn();
 const mockDeleteOrder = jest.fn();
 const mockGenerateOrders = jest.fn();
 const mockGetOrderStats = jest.fn();
+const mockExpediteOrder = jest.fn();
+const mockPreviewDemand = jest.fn();
 
 // Mock getService to return an object with our mock methods
 jest.mock('../../services/index.js', () => ({
@@ -20,7 +22,9 @@ jest.mock('../../services/index.js', () => ({
     updateOrder: (...args) => mockUpdateOrder(...args),
     deleteOrder: (...args) => mockDeleteOrder(...args),
     generateOrders: (...args) => mockGenerateOrders(...args),
-    getOrderStats: (...args) => mockGetOrderStats(...args)
+    getOrderStats: (...args) => mockGetOrderStats(...args),
+    expediteOrder: (...args) => mockExpediteOrder(...args),
+    previewDemand: (...args) => mockPreviewDemand(...args)
   }))
 }));
 
@@ -165,6 +169,79 @@ describe('Car Orders Routes', () => {
     });
   });
 
+  describe('GET /stats', () => {
+    const stats = {
+      totalOrders: 3,
+      sessionNumber: 2,
+      ordersByStatus: { pending: 1, delivered: 2 },
+      ordersByAarType: { flatcar: 3 },
+      pendingOrders: 1,
+      assignedOrders: 0,
+      deliveredOrders: 2
+    };
+
+    it('should return order statistics for a session', async () => {
+      mockGetOrderStats.mockResolvedValue(stats);
+
+      const response = await request(app)
+        .get('/api/v1/car-orders/stats?sessionNumber=2')
+        .expect(200);
+
+      expect(mockGetOrderStats).toHaveBeenCalledWith(2);
+      expect(response.body.data).toEqual(stats);
+    });
+
+    it('should use the current session when none is given', async () => {
+      mockGetOrderStats.mockResolvedValue(stats);
+
+      await request(app).get('/api/v1/car-orders/stats').expect(200);
+
+      expect(mockGetOrderStats).toHaveBeenCalledWith(undefined);
+    });
+
+    it('should reject an invalid session number', async () => {
+      await request(app).get('/api/v1/car-orders/stats?sessionNumber=0').expect(400);
+      expect(mockGetOrderStats).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /demand-preview', () => {
+    const preview = {
+      fromSession: 3,
+      toSession: 4,
+      seed: 'elmrr-switch',
+      sessionsPerYear: 12,
+      sessions: [
+        { sessionNumber: 3, expectedCars: 1.5, cars: 2, demands: [] },
+        { sessionNumber: 4, expectedCars: 1.5, cars: 1, demands: [] }
+      ]
+    };
+
+    it('should preview demand for the coming sessions', async () => {
+      mockPreviewDemand.mockResolvedValue(preview);
+
+      const response = await request(app)
+        .get('/api/v1/car-orders/demand-preview?sessions=2&seed=test')
+        .expect(200);
+
+      expect(mockPreviewDemand).toHaveBeenCalledWith(expect.objectContaining({ sessions: 2, seed: 'test' }));
+      expect(response.body.data).toEqual(preview);
+    });
+
+    it('should preview ten sessions by default', async () => {
+      mockPreviewDemand.mockResolvedValue(preview);
+
+      await request(app).get('/api/v1/car-orders/demand-preview').expect(200);
+
+      expect(mockPreviewDemand).toHaveBeenCalledWith(expect.objectContaining({ sessions: 10 }));
+    });
+
+    it('should reject too many sessions', async () => {
+      await request(app).get('/api/v1/car-orders/demand-preview?sessions=500').expect(400);
+      expect(mockPreviewDemand).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /:id', () => {
     it('should return single car order with enriched data', async () => {
       const enrichedOrder = {
@@ -403,6 +480,32 @@ describe('Car Orders Routes', () => {
     });
   });
 
+  describe('POST /:id/expedite', () => {
+    it('should expedite a pending order', async () => {
+      mockExpediteOrder.mockResolvedValue({ ...mockOrder, priority: 'hot' });
+
+      const response = await request(app)
+        .post('/api/v1/car-orders/order1/expedite')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.priority).toBe('hot');
+      expect(mockExpediteOrder).toHaveBeenCalledWith('order1');
+    });
+
+    it('should reject orders that are no longer pending', async () => {
+      mockExpediteOrder.mockRejectedValue(
+        new ApiError("Cannot expedite car order with status 'delivered'. Only pending orders can be expedited.", 400)
+      );
+
+      const response = await request(app)
+        .post('/api/v1/car-orders/order1/expedite')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('POST /generate', () => {
     const mockSession = { currentSessionNumber: 2 };
     const mockIndustryWithDemand = {
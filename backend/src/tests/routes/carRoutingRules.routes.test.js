@@ -0,0 +1,138 @@
+import express from 'express';
+import request from 'supertest';
+import carRoutingRulesRouter from '../../routes/carRoutingRules.js';
+import { dbHelpers } from '../../database/index.js';
+import { ApiError } from '../../middleware/errorHandler.js';
+
+// Mock the database helpers
+jest.mock('../../database/index.js', () => ({
+  dbHelpers: {
+    findAll: jest.fn(),
+    findById: jest.fn(),
+    findByQuery: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  }
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/car-routing-rules', carRoutingRulesRouter);
+
+app.use((error, req, res, next) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+});
+
+describe('Car Routing Rules Routes', () => {
+  const mockRule = {
+    _id: 'rule1',
+    name: 'Foreign boxcars to interchange',
+    description: '',
+    aarTypeId: 'XM',
+    reportingMarks: 'ATSF',
+    loadState: 'empty',
+    minSessions: 0,
+    action: 'route-to',
+    destinationIndustryId: 'interchange',
+    isActive: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbHelpers.findAll.mockResolvedValue([mockRule]);
+    dbHelpers.findById.mockImplementation((collection, id) => Promise.resolve({ ...mockRule, _id: id }));
+    dbHelpers.create.mockImplementation((collection, data) => Promise.resolve({ _id: 'new', ...data }));
+    dbHelpers.update.mockResolvedValue(1);
+    dbHelpers.delete.mockResolvedValue(1);
+  });
+
+  describe('GET /api/car-routing-rules', () => {
+    it('should return all rules', async () => {
+      const response = await request(app).get('/api/v1/car-routing-rules').expect(200);
+      expect(response.body.data).toEqual([mockRule]);
+      expect(dbHelpers.findAll).toHaveBeenCalledWith('carRoutingRules');
+    });
+
+    it('should return 404 for a missing rule', async () => {
+      dbHelpers.findById.mockResolvedValue(null);
+      const response = await request(app).get('/api/v1/car-routing-rules/missing').expect(404);
+      expect(response.body.error).toBe('Car routing rule not found');
+    });
+  });
+
+  describe('POST /api/car-routing-rules', () => {
+    it('should create a rule with defaults', async () => {
+      const response = await request(app)
+        .post('/api/v1/car-routing-rules')
+        .send({ name: 'Return empty boxcars', aarTypeId: 'XM', minSessions: 2, action: 'return-home' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        name: 'Return empty boxcars',
+        loadState: 'empty',
+        reportingMarks: null,
+        isActive: true
+      });
+      expect(dbHelpers.findById).toHaveBeenCalledWith('aarTypes', 'XM');
+    });
+
+    it('should require a destination for route-to rules', async () => {
+      const response = await request(app)
+        .post('/api/v1/car-routing-rules')
+        .send({ name: 'Foreign cars', reportingMarks: 'ATSF', action: 'route-to' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+      expect(dbHelpers.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown destination industry', async () => {
+      dbHelpers.findById.mockResolvedValue(null);
+      const response = await request(app)
+        .post('/api/v1/car-routing-rules')
+        .send({ name: 'Foreign cars', reportingMarks: 'ATSF', action: 'route-to', destinationIndustryId: 'nowhere' })
+        .expect(404);
+
+      expect(response.body.error).toBe("Industry with ID 'nowhere' does not exist");
+    });
+  });
+
+  describe('PUT /api/car-routing-rules/:id', () => {
+    it('should update only the given fields', async () => {
+      await request(app)
+        .put('/api/v1/car-routing-rules/rule1')
+        .send({ minSessions: 3 })
+        .expect(200);
+
+      expect(dbHelpers.update).toHaveBeenCalledWith('carRoutingRules', 'rule1', { minSessions: 3 });
+    });
+
+    it('should refuse to switch to route-to without a destination', async () => {
+      dbHelpers.findById.mockResolvedValue({ ...mockRule, action: 'hold', destinationIndustryId: null });
+      await request(app)
+        .put('/api/v1/car-routing-rules/rule1')
+        .send({ action: 'route-to' })
+        .expect(400);
+
+      expect(dbHelpers.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/car-routing-rules/:id', () => {
+    it('should delete a rule', async () => {
+      await request(app).delete('/api/v1/car-routing-rules/rule1').expect(200);
+      expect(dbHelpers.delete).toHaveBeenCalledWith('carRoutingRules', 'rule1');
+    });
+  });
+});
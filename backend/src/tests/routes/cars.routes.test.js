@@ -3,10 +3,12 @@ import request from 'supertest';
 import carsRouter from '../../routes/cars.js';
 import { dbHelpers } from '../../database/index.js';
 import { globalErrorHandler } from '../../middleware/errorHandler.js';
+import { subscribeToLayoutEvents } from '../../utils/layoutEvents.js';
 
 // Mock the database helpers
 jest.mock('../../database/index.js', () => ({
   dbHelpers: {
+    findAll: jest.fn(),
     findByQuery: jest.fn(),
     findById: jest.fn(),
     create: jest.fn(),
@@ -46,6 +48,7 @@ describe('Car Routes', () => {
     dbHelpers.create.mockResolvedValue(mockCar);
     dbHelpers.update.mockResolvedValue(1);
     dbHelpers.delete.mockResolvedValue(1);
+    dbHelpers.findAll.mockResolvedValue([{ _id: 'session1', currentSessionNumber: 2 }]);
   });
 
   describe('GET /api/cars', () => {
@@ -203,6 +206,19 @@ describe('Car Routes', () => {
       expect(dbHelpers.update).toHaveBeenCalledWith('cars', '1', updates);
     });
 
+    it('should record a movement when the location changes', async () => {
+      await request(app)
+        .put('/api/v1/cars/1')
+        .send(updates);
+
+      expect(dbHelpers.create).toHaveBeenCalledWith('carMovements', expect.objectContaining({
+        carId: '1',
+        fromIndustryId: 'industry1',
+        toIndustryId: 'industry3',
+        reason: 'manual'
+      }));
+    });
+
     it('should return 404 if car not found', async () => {
       dbHelpers.update.mockResolvedValue(0);
       
@@ -220,6 +236,97 @@ describe('Car Routes', () => {
     });
   });
 
+  describe('POST /api/cars/:id/move', () => {
+    it('should move the car and record the movement', async () => {
+      const response = await request(app)
+        .post('/api/v1/cars/1/move')
+        .send({ destinationIndustryId: 'industry2' });
+
+      expect(response.status).toBe(200);
+      expect(dbHelpers.update).toHaveBeenCalledWith('cars', '1', expect.objectContaining({
+        currentIndustry: 'industry2',
+        currentTrack: null,
+        sessionsAtCurrentLocation: 0
+      }));
+      expect(dbHelpers.create).toHaveBeenCalledWith('carMovements', expect.objectContaining({
+        carId: '1',
+        fromIndustryId: 'industry1',
+        toIndustryId: 'industry2',
+        sessionNumber: 2,
+        loadState: 'empty',
+        reason: 'manual'
+      }));
+    });
+
+    it('should tell connected clients where the car went', async () => {
+      const events = [];
+      const unsubscribe = subscribeToLayoutEvents(event => events.push(event));
+
+      await request(app)
+        .post('/api/v1/cars/1/move')
+        .send({ destinationIndustryId: 'industry2' });
+      unsubscribe();
+
+      expect(events).toEqual([expect.objectContaining({ type: 'cars-moved', payload: { cars: [mockCar] } })]);
+    });
+
+    it('should not record a movement when the car stays put', async () => {
+      const response = await request(app)
+        .post('/api/v1/cars/1/move')
+        .send({ destinationIndustryId: 'industry1' });
+
+      expect(response.status).toBe(200);
+      expect(dbHelpers.create).not.toHaveBeenCalled();
+    });
+
+    it('should require a destination industry', async () => {
+      const response = await request(app)
+        .post('/api/v1/cars/1/move')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(dbHelpers.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if car not found', async () => {
+      dbHelpers.findById.mockImplementation((collection) =>
+        Promise.resolve(collection === 'cars' ? null : { _id: 'industry2' })
+      );
+
+      const response = await request(app)
+        .post('/api/v1/cars/nonexistent/move')
+        .send({ destinationIndustryId: 'industry2' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Car not found');
+      expect(dbHelpers.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/cars/:id/history', () => {
+    it('should return movements oldest first', async () => {
+      dbHelpers.findByQuery.mockResolvedValue([
+        { _id: 'm2', carId: '1', movedAt: '2024-01-02T00:00:00.000Z', reason: 'train' },
+        { _id: 'm1', carId: '1', movedAt: '2024-01-01T00:00:00.000Z', reason: 'import' }
+      ]);
+
+      const response = await request(app).get('/api/v1/cars/1/history');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(m => m._id)).toEqual(['m1', 'm2']);
+      expect(dbHelpers.findByQuery).toHaveBeenCalledWith('carMovements', { carId: '1' });
+    });
+
+    it('should return 404 if car not found', async () => {
+      dbHelpers.findById.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/v1/cars/nonexistent/history');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Car not found');
+    });
+  });
+
   describe('DELETE /api/cars/:id', () => {
     it('should delete a car', async () => {
       const response = await request(app).delete('/api/v1/cars/1');
@@ -8,7 +8,8 @@ import { ApiError } from '../../middleware/errorHandler.js';
 jest.mock('../../database/index.js', () => ({
   dbHelpers: {
     findAll: jest.fn(),
-    findById: jest.fn()
+    findById: jest.fn(),
+    update: jest.fn()
   }
 }));
 
@@ -46,6 +47,7 @@ describe('Goods Routes', () => {
     jest.clearAllMocks();
     dbHelpers.findAll.mockResolvedValue([mockGood]);
     dbHelpers.findById.mockResolvedValue(mockGood);
+    dbHelpers.update.mockResolvedValue(1);
   });
 
   describe('GET /api/goods', () => {
@@ -99,4 +101,35 @@ describe('Goods Routes', () => {
       expect(response.body.error).toBe('Internal server error');
     });
   });
+
+  describe('PUT /api/goods/:id', () => {
+    it('should update loading and unloading times', async () => {
+      const response = await request(app)
+        .put('/api/v1/goods/1')
+        .send({ loadingTime: 2, unloadingTime: 1 });
+
+      expect(response.status).toBe(200);
+      expect(dbHelpers.update).toHaveBeenCalledWith('goods', '1', { loadingTime: 2, unloadingTime: 1 });
+    });
+
+    it('should reject negative times', async () => {
+      const response = await request(app)
+        .put('/api/v1/goods/1')
+        .send({ loadingTime: -1 });
+
+      expect(response.status).toBe(400);
+      expect(dbHelpers.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if good not found', async () => {
+      dbHelpers.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put('/api/v1/goods/nonexistent')
+        .send({ loadingTime: 1 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Good not found');
+    });
+  });
 });
@@ -0,0 +1,74 @@
+import express from 'express';
+import request from 'supertest';
+import { globalErrorHandler } from '../../middleware/errorHandler.js';
+import { dbHelpers, resetDatabase } from '../../database/index.js';
+
+// Export and import run on the real repositories over an in-memory database
+jest.mock('../../database/index.js', () => jest.requireActual('../helpers/memoryDatabase.js'));
+
+jest.mock('multer');
+
+import importRouter from '../../routes/import.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/import', importRouter);
+app.use(globalErrorHandler);
+
+describe('Import Routes - export round trip', () => {
+  beforeEach(async () => {
+    resetDatabase();
+    await dbHelpers.create('operatingSessions', { _id: 'session1', currentSessionNumber: 3 });
+    await dbHelpers.create('cars', {
+      _id: 'car1',
+      reportingMarks: 'ATSF',
+      reportingNumber: '12345',
+      carType: 'XM',
+      color: 'red',
+      homeYard: 'yard1',
+      currentIndustry: 'mill',
+      currentLoad: null,
+      waybillCycle: 2
+    });
+    await dbHelpers.create('waybills', {
+      _id: 'waybill1',
+      carOrderId: 'order1',
+      carId: 'car1',
+      direction: 'inbound',
+      goodsId: 'grain',
+      shipperIndustryId: 'yard1',
+      consigneeIndustryId: 'mill',
+      emptyReturnIndustryId: 'yard1',
+      sessionNumber: 2,
+      status: 'assigned',
+      cycle: 2,
+      deliveredAt: null
+    });
+  });
+
+  it('should bring back the waybills each car carries', async () => {
+    const exported = await request(app).get('/api/v1/import/export').expect(200);
+    resetDatabase();
+
+    const imported = await request(app)
+      .post('/api/v1/import/json')
+      .send({ data: exported.body.data })
+      .expect(200);
+
+    expect(imported.body.data.errors).toEqual([]);
+    expect(await dbHelpers.findById('cars', 'car1')).toMatchObject({ waybillCycle: 2 });
+    expect(await dbHelpers.findAll('waybills')).toEqual([
+      expect.objectContaining({ _id: 'waybill1', carOrderId: 'order1', carId: 'car1', status: 'assigned', cycle: 2 })
+    ]);
+  });
+
+  it('should report waybills that fail validation', async () => {
+    const response = await request(app)
+      .post('/api/v1/import/json')
+      .send({ data: { waybills: [{ carOrderId: 'order2', direction: 'sideways', goodsId: 'grain', sessionNumber: 1 }] } })
+      .expect(200);
+
+    expect(response.body.data.imported).toBe(0);
+    expect(response.body.data.errors).toEqual(['Waybill 1: "direction" must be one of [inbound, outbound]']);
+  });
+});
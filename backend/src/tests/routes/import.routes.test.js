@@ -7,6 +7,7 @@ import { validateCar } from '../../models/car.js';
 import { validateIndustry } from '../../models/industry.js';
 import { validateRoute } from '../../models/route.js';
 import { ApiError } from '../../middleware/errorHandler.js';
+import { getService } from '../../services/index.js';
 
 // Mock multer is now in src/__mocks__/multer.js
 jest.mock('multer');
@@ -15,6 +16,7 @@ jest.mock('multer');
 jest.mock('../../database/index.js', () => ({
   dbHelpers: {
     create: jest.fn(),
+    findAll: jest.fn(),
     findById: jest.fn(),
     findByQuery: jest.fn()
   }
@@ -101,6 +103,7 @@ describe('Import Routes', () => {
     dbHelpers.findByQuery.mockResolvedValue([]);
     dbHelpers.findById.mockResolvedValue(mockYard);
     dbHelpers.create.mockResolvedValue({ _id: '123' });
+    dbHelpers.findAll.mockResolvedValue([{ _id: 'session1', currentSessionNumber: 4 }]);
     validateCar.mockReturnValue({ error: null, value: mockCar });
     validateIndustry.mockReturnValue({ error: null, value: mockIndustry });
     validateRoute.mockReturnValue({ error: null, value: mockRoute });
@@ -142,6 +145,43 @@ describe('Import Routes', () => {
       expect(response.body.data.imported).toBeGreaterThan(0);
     });
 
+    it('should open movement history for imported cars', async () => {
+      const response = await request(app)
+        .post('/api/v1/import/json')
+        .send({ data: { cars: [mockCar] } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.errors).toEqual([]);
+      expect(dbHelpers.create).toHaveBeenCalledWith('carMovements', expect.objectContaining({
+        carId: '123',
+        fromIndustryId: null,
+        toIndustryId: mockCar.currentIndustry,
+        sessionNumber: 4,
+        reason: 'import'
+      }));
+    });
+
+    it('should restore exported history instead of opening it again', async () => {
+      const movement = {
+        carId: '123',
+        fromIndustryId: null,
+        toIndustryId: mockCar.currentIndustry,
+        sessionNumber: 1,
+        loadState: 'empty',
+        reason: 'import',
+        movedAt: '2024-01-15T10:00:00.000Z'
+      };
+
+      const response = await request(app)
+        .post('/api/v1/import/json')
+        .send({ data: { cars: [mockCar], carMovements: [movement] } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.errors).toEqual([]);
+      const movementsCreated = dbHelpers.create.mock.calls.filter(([collection]) => collection === 'carMovements');
+      expect(movementsCreated).toEqual([['carMovements', expect.objectContaining({ carId: '123', sessionNumber: 1 })]]);
+    });
+
     it('should report validation errors for car data', async () => {
       const invalidCar = { ...mockCar, reportingMarks: undefined };
       const error = { details: [{ message: 'Validation error' }] };
@@ -371,5 +411,54 @@ describe('Import Routes', () => {
     });
   });
 
+  describe('POST /api/import/jmri', () => {
+    const jmriService = getService('jmri');
+
+    it('should import converted rosters through the same checks as JSON', async () => {
+      const fromJmri = jest.spyOn(jmriService, 'fromJmri').mockResolvedValue({
+        data: { cars: [mockCar] },
+        rosters: ['cars'],
+        errors: ["Car 2 (BAD 1): location '99' not found"],
+        warnings: []
+      });
+
+      const response = await request(app)
+        .post('/api/v1/import/jmri')
+        .send({ files: ['<operations-config><cars /></operations-config>'] });
+
+      expect(response.status).toBe(200);
+      expect(fromJmri).toHaveBeenCalledWith(['<operations-config><cars /></operations-config>']);
+      expect(validateCar).toHaveBeenCalledWith(mockCar);
+      expect(response.body.data).toMatchObject({
+        imported: 1,
+        rosters: ['cars'],
+        errors: ["Car 2 (BAD 1): location '99' not found"]
+      });
+      expect(response.body.message).toBe('JMRI import completed: 1 records imported, 1 errors, 0 warnings');
+    });
+
+    it('should return 400 if no files provided', async () => {
+      const response = await request(app)
+        .post('/api/v1/import/jmri')
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Please provide one or more JMRI roster files');
+    });
+  });
+
+  describe('GET /api/import/jmri/:roster', () => {
+    it('should download the roster under its JMRI file name', async () => {
+      jest.spyOn(getService('jmri'), 'toJmri').mockResolvedValue('<?xml version="1.0"?><operations-config />');
+
+      const response = await request(app).get('/api/v1/import/jmri/cars');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/xml');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="OperationsCarRoster.xml"');
+      expect(response.text).toBe('<?xml version="1.0"?><operations-config />');
+    });
+  });
+
   // CSV import is not implemented in the current version
 });
@@ -0,0 +1,83 @@
+import express from 'express';
+import request from 'supertest';
+import { globalErrorHandler } from '../../middleware/errorHandler.js';
+import { getCurrentLayoutId } from '../../utils/layoutContext.js';
+import { dbHelpers } from '../../database/index.js';
+
+const mockLayoutService = {
+  getLayout: jest.fn()
+};
+
+const mockJmriService = {
+  fromJmri: jest.fn()
+};
+
+// Routers call getService when they load, so resolve the mocks lazily
+jest.mock('../../services/index.js', () => ({
+  getService: jest.fn((name) => (name === 'layout'
+    ? { getLayout: (...args) => mockLayoutService.getLayout(...args) }
+    : { fromJmri: (...args) => mockJmriService.fromJmri(...args) }))
+}));
+
+jest.mock('../../database/index.js', () => ({
+  dbHelpers: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findById: jest.fn(),
+    findByQuery: jest.fn()
+  }
+}));
+
+// The shared multer mock never fills in req.file or req.files
+jest.unmock('multer');
+
+import importRouter from '../../routes/import.js';
+import { selectLayout } from '../../middleware/layout.js';
+
+// Uploads go through the real multer, which parses the body outside the request's layout context
+const app = express();
+app.use(express.json());
+app.use('/api/v1/layouts/:layoutId/import', selectLayout, importRouter);
+app.use(globalErrorHandler);
+
+describe('Import Routes - file uploads', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLayoutService.getLayout.mockImplementation(async (id) => ({ _id: id, name: id }));
+  });
+
+  it('should import an uploaded JSON file into the selected layout', async () => {
+    const layoutIds = [];
+    dbHelpers.create.mockImplementation(async (collection, data) => {
+      layoutIds.push(getCurrentLayoutId());
+      return data;
+    });
+    const file = Buffer.from(JSON.stringify({ stations: [{ _id: 'station1', name: 'Test Station' }] }));
+
+    const response = await request(app)
+      .post('/api/v1/layouts/club/import/json')
+      .attach('file', file, { filename: 'layout.json', contentType: 'application/json' })
+      .expect(200);
+
+    expect(response.body.data.imported).toBe(1);
+    expect(layoutIds).toEqual(['club']);
+  });
+
+  it('should import uploaded JMRI rosters into the selected layout', async () => {
+    let layoutId = null;
+    mockJmriService.fromJmri.mockImplementation(async (documents) => {
+      layoutId = getCurrentLayoutId();
+      return { data: {}, rosters: documents.map(() => 'locations'), errors: [], warnings: [] };
+    });
+
+    const response = await request(app)
+      .post('/api/v1/layouts/club/import/jmri')
+      .attach('files', Buffer.from('<operations-config/>'), 'Operations.xml')
+      .attach('files', Buffer.from('<operations-config/>'), 'OperationsLocationRoster.xml')
+      .expect(200);
+
+    expect(mockJmriService.fromJmri).toHaveBeenCalledWith(['<operations-config/>', '<operations-config/>']);
+    expect(response.body.data.rosters).toEqual(['locations', 'locations']);
+    expect(layoutId).toBe('club');
+  });
+});
@@ -0,0 +1,160 @@
+import express from 'express';
+import request from 'supertest';
+import { globalErrorHandler, ApiError } from '../../middleware/errorHandler.js';
+import { getCurrentLayoutId } from '../../utils/layoutContext.js';
+
+const mockLayoutService = {
+  listLayouts: jest.fn(),
+  getLayout: jest.fn(),
+  createLayout: jest.fn(),
+  cloneLayout: jest.fn(),
+  updateLayout: jest.fn(),
+  deleteLayout: jest.fn()
+};
+
+// Routers call getService when they load, so resolve the mocks lazily
+jest.mock('../../services/index.js', () => ({
+  getService: jest.fn(() => ({
+    listLayouts: (...args) => mockLayoutService.listLayouts(...args),
+    getLayout: (...args) => mockLayoutService.getLayout(...args),
+    createLayout: (...args) => mockLayoutService.createLayout(...args),
+    cloneLayout: (...args) => mockLayoutService.cloneLayout(...args),
+    updateLayout: (...args) => mockLayoutService.updateLayout(...args),
+    deleteLayout: (...args) => mockLayoutService.deleteLayout(...args)
+  }))
+}));
+
+import layoutsRouter from '../../routes/layouts.js';
+import { selectLayout } from '../../middleware/layout.js';
+
+// Reports which layout a request ran against, after an await like a real handler
+const layoutProbe = express.Router();
+layoutProbe.get('/cars', async (req, res) => {
+  await Promise.resolve();
+  res.json({ success: true, data: { layoutId: getCurrentLayoutId() } });
+});
+
+// Mirror server.js: layout CRUD first, then layout data by URL prefix or header
+const app = express();
+app.use(express.json());
+app.use('/api/v1/layouts', layoutsRouter);
+app.use('/api/v1/layouts/:layoutId', selectLayout, layoutProbe);
+app.use('/api/v1', selectLayout, layoutProbe);
+app.use(globalErrorHandler);
+
+describe('Layouts Routes', () => {
+  const defaultLayout = { _id: 'default', name: 'Default Layout', description: '' };
+  const clubLayout = { _id: 'club', name: 'Club Modules', description: 'Free-mo setup' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLayoutService.getLayout.mockImplementation(async (id) => {
+      const layout = [defaultLayout, clubLayout].find(l => l._id === id);
+      if (!layout) {
+        throw new ApiError('Layout not found', 404);
+      }
+      return layout;
+    });
+  });
+
+  describe('GET /api/layouts', () => {
+    it('should list layouts', async () => {
+      mockLayoutService.listLayouts.mockResolvedValue([defaultLayout, clubLayout]);
+
+      const response = await request(app).get('/api/v1/layouts').expect(200);
+
+      expect(response.body.data).toEqual([defaultLayout, clubLayout]);
+    });
+  });
+
+  describe('POST /api/layouts', () => {
+    it('should create a layout', async () => {
+      mockLayoutService.createLayout.mockResolvedValue(clubLayout);
+
+      const response = await request(app)
+        .post('/api/v1/layouts')
+        .send({ name: 'Club Modules', description: 'Free-mo setup' })
+        .expect(201);
+
+      expect(response.body.data).toEqual(clubLayout);
+      expect(mockLayoutService.createLayout).toHaveBeenCalledWith({ name: 'Club Modules', description: 'Free-mo setup' });
+    });
+
+    it('should require a name', async () => {
+      await request(app).post('/api/v1/layouts').send({ description: 'No name' }).expect(400);
+      expect(mockLayoutService.createLayout).not.toHaveBeenCalled();
+    });
+
+    it('should pass on name clashes', async () => {
+      mockLayoutService.createLayout.mockRejectedValue(new ApiError("A layout named 'Club Modules' already exists", 409));
+
+      const response = await request(app).post('/api/v1/layouts').send({ name: 'Club Modules' }).expect(409);
+
+      expect(response.body.error).toBe("A layout named 'Club Modules' already exists");
+    });
+  });
+
+  describe('POST /api/layouts/:id/clone', () => {
+    it('should clone a layout with its data', async () => {
+      const copy = { _id: 'copy', name: 'Club Modules (test)', description: 'Free-mo setup' };
+      mockLayoutService.cloneLayout.mockResolvedValue({ layout: copy, stats: { copied: { cars: 12 }, totalCopied: 12 } });
+
+      const response = await request(app)
+        .post('/api/v1/layouts/club/clone')
+        .send({ name: 'Club Modules (test)' })
+        .expect(201);
+
+      expect(response.body.data.layout).toEqual(copy);
+      expect(response.body.message).toBe('Layout cloned: 12 records copied');
+      expect(mockLayoutService.cloneLayout).toHaveBeenCalledWith('club', { name: 'Club Modules (test)' });
+    });
+  });
+
+  describe('PUT /api/layouts/:id', () => {
+    it('should rename a layout', async () => {
+      mockLayoutService.updateLayout.mockResolvedValue({ ...clubLayout, name: 'Club' });
+
+      const response = await request(app).put('/api/v1/layouts/club').send({ name: 'Club' }).expect(200);
+
+      expect(response.body.data.name).toBe('Club');
+    });
+  });
+
+  describe('DELETE /api/layouts/:id', () => {
+    it('should delete a layout', async () => {
+      await request(app).delete('/api/v1/layouts/club').expect(200);
+      expect(mockLayoutService.deleteLayout).toHaveBeenCalledWith('club');
+    });
+
+    it('should refuse to delete the default layout', async () => {
+      mockLayoutService.deleteLayout.mockRejectedValue(new ApiError('The default layout cannot be deleted', 400));
+
+      await request(app).delete('/api/v1/layouts/default').expect(400);
+    });
+  });
+
+  describe('layout selection', () => {
+    it('should use the default layout when none is named', async () => {
+      const response = await request(app).get('/api/v1/cars').expect(200);
+      expect(response.body.data.layoutId).toBe('default');
+    });
+
+    it('should use the layout named in the header', async () => {
+      const response = await request(app).get('/api/v1/cars').set('X-Layout-Id', 'club').expect(200);
+      expect(response.body.data.layoutId).toBe('club');
+    });
+
+    it('should prefer the layout in the URL prefix', async () => {
+      const response = await request(app)
+        .get('/api/v1/layouts/club/cars')
+        .set('X-Layout-Id', 'default')
+        .expect(200);
+      expect(response.body.data.layoutId).toBe('club');
+    });
+
+    it('should reject unknown layouts', async () => {
+      const response = await request(app).get('/api/v1/cars').set('X-Layout-Id', 'missing').expect(404);
+      expect(response.body.error).toBe('Layout not found');
+    });
+  });
+});
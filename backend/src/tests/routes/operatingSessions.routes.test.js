@@ -8,6 +8,12 @@ const mockAdvanceSession = jest.fn();
 const mockRollbackSession = jest.fn();
 const mockUpdateSessionDescription = jest.fn();
 const mockGetSessionStats = jest.fn();
+const mockGetSessionHistory = jest.fn();
+const mockGetFastClock = jest.fn();
+const mockUpdateFastClock = jest.fn();
+const mockStartFastClock = jest.fn();
+const mockPauseFastClock = jest.fn();
+const mockResetFastClock = jest.fn();
 
 // Mock getService to return an object with our mock methods
 jest.mock('../../services/index.js', () => ({
@@ -16,7 +22,13 @@ jest.mock('../../services/index.js', () => ({
     advanceSession: (...args) => mockAdvanceSession(...args),
     rollbackSession: (...args) => mockRollbackSession(...args),
     updateSessionDescription: (...args) => mockUpdateSessionDescription(...args),
-    getSessionStats: (...args) => mockGetSessionStats(...args)
+    getSessionStats: (...args) => mockGetSessionStats(...args),
+    getSessionHistory: (...args) => mockGetSessionHistory(...args),
+    getFastClock: (...args) => mockGetFastClock(...args),
+    updateFastClock: (...args) => mockUpdateFastClock(...args),
+    startFastClock: (...args) => mockStartFastClock(...args),
+    pauseFastClock: (...args) => mockPauseFastClock(...args),
+    resetFastClock: (...args) => mockResetFastClock(...args)
   }))
 }));
 
@@ -132,6 +144,37 @@ describe('Operating Sessions Routes', () => {
     });
   });
 
+  describe('GET /history', () => {
+    it('should list available restore points', async () => {
+      const history = {
+        currentSessionNumber: 3,
+        retention: 10,
+        restorePoints: [
+          { sessionNumber: 2, name: 'Session 2', steps: 1, stats: { cars: 2, trains: 1, carOrders: 0 } },
+          { sessionNumber: 1, name: 'Session 1', steps: 2, stats: { cars: 2, trains: 0, carOrders: 0 } }
+        ]
+      };
+      mockGetSessionHistory.mockResolvedValue(history);
+
+      const response = await request(app)
+        .get('/api/v1/sessions/history')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual(history);
+    });
+
+    it('should handle database errors', async () => {
+      mockGetSessionHistory.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .get('/api/v1/sessions/history')
+        .expect(500);
+
+      expect(response.body.error).toBe('Internal server error');
+    });
+  });
+
   describe('POST /advance', () => {
     // Remove the beforeEach that was interfering with individual test setups
 
@@ -152,7 +195,7 @@ describe('Operating Sessions Routes', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(mockAdvanceSession).toHaveBeenCalledWith('Session 4');
+      expect(mockAdvanceSession).toHaveBeenCalledWith('Session 4', undefined);
     });
 
     it('should handle missing session', async () => {
@@ -208,7 +251,34 @@ describe('Operating Sessions Routes', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(mockAdvanceSession).toHaveBeenCalledWith(undefined);
+      expect(mockAdvanceSession).toHaveBeenCalledWith(undefined, undefined);
+    });
+
+    it('should pass a snapshot name for the closing session', async () => {
+      mockAdvanceSession.mockResolvedValue({
+        session: { ...mockSession, currentSessionNumber: 4 },
+        stats: { advancedToSession: 4 }
+      });
+
+      await request(app)
+        .post('/api/v1/sessions/advance')
+        .send({ snapshotName: 'Before the big rush' })
+        .expect(200);
+
+      expect(mockAdvanceSession).toHaveBeenCalledWith(undefined, 'Before the big rush');
+    });
+
+    it('should reject a duplicate snapshot name', async () => {
+      mockAdvanceSession.mockRejectedValue(
+        new ApiError("A restore point named 'Session 1' already exists", 409)
+      );
+
+      const response = await request(app)
+        .post('/api/v1/sessions/advance')
+        .send({ snapshotName: 'Session 1' })
+        .expect(409);
+
+      expect(response.body.error).toContain('already exists');
     });
   });
 
@@ -225,7 +295,75 @@ describe('Operating Sessions Routes', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(mockRollbackSession).toHaveBeenCalled();
+      expect(mockRollbackSession).toHaveBeenCalledWith(undefined, { steps: undefined, snapshotName: undefined });
+    });
+
+    it('should include the integrity report', async () => {
+      const integrity = {
+        consistent: false,
+        checked: { cars: 1, trains: 0, carOrders: 0, locomotives: 0, industries: 0 },
+        drift: [{ entity: 'cars', id: 'car1', field: null, expected: 'present', actual: 'missing' }]
+      };
+      mockRollbackSession.mockResolvedValue({
+        session: { ...mockSession, currentSessionNumber: 2 },
+        stats: { rolledBackToSession: 2 },
+        integrity
+      });
+
+      const response = await request(app)
+        .post('/api/v1/sessions/rollback')
+        .expect(200);
+
+      expect(response.body.data.currentSessionNumber).toBe(2);
+      expect(response.body.integrity).toEqual(integrity);
+    });
+
+    it('should rollback several sessions', async () => {
+      mockRollbackSession.mockResolvedValue({
+        session: { ...mockSession, currentSessionNumber: 1 },
+        stats: { rolledBackToSession: 1 }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/sessions/rollback')
+        .send({ steps: 2 })
+        .expect(200);
+
+      expect(response.body.message).toBe('Rolled back to session 1');
+      expect(mockRollbackSession).toHaveBeenCalledWith(undefined, { steps: 2, snapshotName: undefined });
+    });
+
+    it('should rollback to a named snapshot', async () => {
+      mockRollbackSession.mockResolvedValue({
+        session: { ...mockSession, currentSessionNumber: 2 },
+        stats: { rolledBackToSession: 2 }
+      });
+
+      await request(app)
+        .post('/api/v1/sessions/rollback')
+        .send({ snapshotName: 'Session 2' })
+        .expect(200);
+
+      expect(mockRollbackSession).toHaveBeenCalledWith(undefined, { steps: undefined, snapshotName: 'Session 2' });
+    });
+
+    it('should reject steps combined with a snapshot name', async () => {
+      const response = await request(app)
+        .post('/api/v1/sessions/rollback')
+        .send({ steps: 1, snapshotName: 'Session 2' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(mockRollbackSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject non-positive steps', async () => {
+      await request(app)
+        .post('/api/v1/sessions/rollback')
+        .send({ steps: 0 })
+        .expect(400);
+
+      expect(mockRollbackSession).not.toHaveBeenCalled();
     });
 
     it('should prevent rollback from session 1', async () => {
@@ -354,6 +492,54 @@ describe('Operating Sessions Routes', () => {
     });
   });
 
+  describe('Fast clock', () => {
+    const clock = { ratio: 4, startTime: 360, running: true, time: 372, asOf: '2024-01-15T19:03:00.000Z' };
+
+    it('should read the clock', async () => {
+      mockGetFastClock.mockResolvedValue(clock);
+
+      const response = await request(app)
+        .get('/api/v1/sessions/clock')
+        .expect(200);
+
+      expect(response.body.data).toEqual(clock);
+    });
+
+    it('should change the ratio and start time', async () => {
+      mockUpdateFastClock.mockResolvedValue({ ...clock, ratio: 6, startTime: 420 });
+
+      const response = await request(app)
+        .put('/api/v1/sessions/clock')
+        .send({ ratio: 6, startTime: 420 })
+        .expect(200);
+
+      expect(response.body.data.ratio).toBe(6);
+      expect(mockUpdateFastClock).toHaveBeenCalledWith({ ratio: 6, startTime: 420 });
+    });
+
+    it('should reject an empty change and out-of-range settings', async () => {
+      await request(app).put('/api/v1/sessions/clock').send({}).expect(400);
+      await request(app).put('/api/v1/sessions/clock').send({ ratio: 0 }).expect(400);
+      await request(app).put('/api/v1/sessions/clock').send({ time: 2880 }).expect(400);
+
+      expect(mockUpdateFastClock).not.toHaveBeenCalled();
+    });
+
+    it('should start, pause and reset the clock', async () => {
+      mockStartFastClock.mockResolvedValue(clock);
+      mockPauseFastClock.mockResolvedValue({ ...clock, running: false });
+      mockResetFastClock.mockResolvedValue({ ...clock, running: false, time: 360 });
+
+      const started = await request(app).post('/api/v1/sessions/clock/start').expect(200);
+      const paused = await request(app).post('/api/v1/sessions/clock/pause').expect(200);
+      const reset = await request(app).post('/api/v1/sessions/clock/reset').expect(200);
+
+      expect(started.body.data.running).toBe(true);
+      expect(paused.body.data.running).toBe(false);
+      expect(reset.body.data.time).toBe(360);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle database connection errors', async () => {
       mockGetCurrentSession.mockRejectedValue(new Error('Connection failed'));
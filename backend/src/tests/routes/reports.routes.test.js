@@ -0,0 +1,162 @@
+import express from 'express';
+import request from 'supertest';
+import { ApiError } from '../../middleware/errorHandler.js';
+
+const mockReportService = {
+  getCarMovementHistory: jest.fn(),
+  getCarUtilization: jest.fn(),
+  getIdleCars: jest.fn(),
+  getIndustryActivity: jest.fn(),
+  getGoodsFulfillment: jest.fn(),
+  getTrainPerformance: jest.fn(),
+  getLocomotiveUsage: jest.fn()
+};
+
+jest.mock('../../services/index.js', () => ({
+  getService: jest.fn(() => ({
+    getCarMovementHistory: (...args) => mockReportService.getCarMovementHistory(...args),
+    getCarUtilization: (...args) => mockReportService.getCarUtilization(...args),
+    getIdleCars: (...args) => mockReportService.getIdleCars(...args),
+    getIndustryActivity: (...args) => mockReportService.getIndustryActivity(...args),
+    getGoodsFulfillment: (...args) => mockReportService.getGoodsFulfillment(...args),
+    getTrainPerformance: (...args) => mockReportService.getTrainPerformance(...args),
+    getLocomotiveUsage: (...args) => mockReportService.getLocomotiveUsage(...args)
+  }))
+}));
+
+import reportsRouter from '../../routes/reports.js';
+
+// Stands in for authenticate; null when authentication is off
+let signedInUser = null;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = signedInUser;
+  next();
+});
+app.use('/api/v1/reports', reportsRouter);
+
+app.use((error, req, res, next) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+});
+
+describe('Reports Routes', () => {
+  const idleReport = {
+    filters: { fromSession: 1, toSession: 4, currentSession: 4, minSessions: 2 },
+    rows: [{ carId: 'car1', car: 'ATSF 100', carType: 'XM', industry: 'Feed Mill, East', track: '', load: null, sessionsIdle: 3, idleSince: 1 }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    signedInUser = null;
+  });
+
+  describe('GET /api/v1/reports', () => {
+    it('should list the reports', async () => {
+      const response = await request(app).get('/api/v1/reports').expect(200);
+
+      expect(response.body.data.map(report => report.name)).toEqual([
+        'car-movements', 'car-utilization', 'idle-cars', 'industry-activity', 'goods', 'train-performance', 'locomotive-usage'
+      ]);
+      expect(response.body.data[0].columns[0]).toEqual({ key: 'sessionNumber', header: 'Session' });
+    });
+  });
+
+  describe('GET /api/v1/reports/idle-cars', () => {
+    it('should return the report with its filters as JSON', async () => {
+      mockReportService.getIdleCars.mockResolvedValue(idleReport);
+
+      const response = await request(app)
+        .get('/api/v1/reports/idle-cars?fromSession=1&minSessions=2')
+        .expect(200);
+
+      expect(mockReportService.getIdleCars).toHaveBeenCalledWith({ fromSession: 1, minSessions: 2 });
+      expect(response.body.data).toMatchObject({ name: 'idle-cars', title: 'Idle Cars', ...idleReport });
+      expect(response.body.message).toBe('Idle Cars report generated successfully');
+    });
+
+    it('should return CSV with format=csv', async () => {
+      mockReportService.getIdleCars.mockResolvedValue(idleReport);
+
+      const response = await request(app)
+        .get('/api/v1/reports/idle-cars?format=csv')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="idle-cars-sessions-1-4.csv"');
+      expect(response.text).toBe(
+        'Car,Car Type,Location,Track,Load,Sessions Idle,Idle Since Session\r\n' +
+        'ATSF 100,XM,"Feed Mill, East",,,3,1\r\n'
+      );
+    });
+
+    it('should reject a negative minSessions', async () => {
+      await request(app).get('/api/v1/reports/idle-cars?minSessions=-1').expect(400);
+      expect(mockReportService.getIdleCars).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('session range filters', () => {
+    it.each([
+      ['car-movements', 'getCarMovementHistory'],
+      ['car-utilization', 'getCarUtilization'],
+      ['industry-activity', 'getIndustryActivity'],
+      ['goods', 'getGoodsFulfillment'],
+      ['train-performance', 'getTrainPerformance'],
+      ['locomotive-usage', 'getLocomotiveUsage']
+    ])('should pass the session range to %s', async (name, method) => {
+      mockReportService[method].mockResolvedValue({ filters: { fromSession: 2, toSession: 3 }, rows: [] });
+
+      await request(app).get(`/api/v1/reports/${name}?fromSession=2&toSession=3`).expect(200);
+
+      expect(mockReportService[method].mock.calls[0][0]).toEqual({ fromSession: 2, toSession: 3 });
+    });
+
+    it('should reject a range that ends before it starts', async () => {
+      const response = await request(app)
+        .get('/api/v1/reports/goods?fromSession=5&toSession=2')
+        .expect(400);
+
+      expect(response.body.details[0].message).toBe('toSession must not be before fromSession');
+      expect(mockReportService.getGoodsFulfillment).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown formats', async () => {
+      await request(app).get('/api/v1/reports/goods?format=xlsx').expect(400);
+    });
+
+    it('should filter car movements by car', async () => {
+      mockReportService.getCarMovementHistory.mockResolvedValue({ filters: { fromSession: 1, toSession: 1, carId: 'car1' }, rows: [] });
+
+      await request(app).get('/api/v1/reports/car-movements?carId=car1').expect(200);
+
+      expect(mockReportService.getCarMovementHistory).toHaveBeenCalledWith({ carId: 'car1' }, null);
+    });
+  });
+
+  describe('train visibility', () => {
+    it.each([
+      ['car-movements', 'getCarMovementHistory'],
+      ['train-performance', 'getTrainPerformance'],
+      ['locomotive-usage', 'getLocomotiveUsage']
+    ])('should build %s for the signed-in crew', async (name, method) => {
+      signedInUser = { _id: 'user1', username: 'engineer', role: 'crew' };
+      mockReportService[method].mockResolvedValue({ filters: { fromSession: 1, toSession: 1 }, rows: [] });
+
+      await request(app).get(`/api/v1/reports/${name}`).expect(200);
+
+      expect(mockReportService[method]).toHaveBeenCalledWith({}, signedInUser);
+    });
+  });
+});
@@ -356,6 +356,25 @@ describe('Route Routes', () => {
       expect(response.body.error).toContain('does not exist');
     });
 
+    it('should return 404 if a stop names a station that does not exist', async () => {
+      const { validateRoute } = require('../../models/route.js');
+      validateRoute.mockReturnValue({ value: { ...newRoute, stops: [{ stationId: 'ghost', hasRunaround: false }] } });
+      dbHelpers.findByQuery.mockResolvedValue([]); // No duplicates
+      dbHelpers.findById
+        .mockResolvedValueOnce({ ...mockYard, isYard: true }) // origin valid
+        .mockResolvedValueOnce({ ...mockYard, isYard: true }) // termination valid
+        .mockResolvedValueOnce(mockStation) // sequence station valid
+        .mockResolvedValueOnce(null); // stop station not found
+
+      const response = await request(app)
+        .post('/api/v1/routes')
+        .send(newRoute);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toContain("Station with ID 'ghost' does not exist");
+      expect(dbHelpers.create).not.toHaveBeenCalled();
+    });
+
     it('should handle database errors', async () => {
       dbHelpers.findByQuery.mockRejectedValue(new Error('Database error'));
 
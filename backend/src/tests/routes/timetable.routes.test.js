@@ -0,0 +1,141 @@
+import express from 'express';
+import request from 'supertest';
+import { ApiError } from '../../middleware/errorHandler.js';
+
+const mockTimetableService = {
+  getTimetable: jest.fn()
+};
+
+jest.mock('../../services/index.js', () => ({
+  getService: jest.fn(() => ({
+    getTimetable: (...args) => mockTimetableService.getTimetable(...args)
+  }))
+}));
+
+import timetableRouter from '../../routes/timetable.js';
+
+// Stands in for authenticate; null when authentication is off
+let signedInUser = null;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = signedInUser;
+  next();
+});
+app.use('/api/v1/timetable', timetableRouter);
+
+app.use((error, req, res, next) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+});
+
+describe('Timetable Routes', () => {
+  const timetable = {
+    sessionNumber: 3,
+    trains: [
+      {
+        trainId: 'w1',
+        trainName: 'Westbound Local',
+        status: 'Planned',
+        routeId: 'route1',
+        routeName: 'Valley Line',
+        departure: 360,
+        arrival: 400,
+        stops: [
+          { stationId: 'east', stationName: 'East Yard', arrival: null, departure: 360 },
+          { stationId: 'mill', stationName: 'Mill Town', arrival: 380, departure: 385 },
+          { stationId: 'west', stationName: 'West Yard', arrival: 400, departure: null }
+        ]
+      },
+      {
+        trainId: 'e1',
+        trainName: 'Eastbound Local',
+        status: 'Planned',
+        routeId: 'route2',
+        routeName: 'Valley Line East',
+        departure: 370,
+        arrival: 410,
+        stops: [
+          { stationId: 'west', stationName: 'West Yard', arrival: null, departure: 370 },
+          { stationId: 'mill', stationName: 'Mill Town', arrival: 390, departure: 390 },
+          { stationId: 'east', stationName: 'East Yard', arrival: 410, departure: null }
+        ]
+      }
+    ],
+    unscheduled: [{ trainId: 'x1', trainName: 'Extra 4401', status: 'Planned' }],
+    conflicts: [{
+      type: 'meet',
+      trainIds: ['w1', 'e1'],
+      trainNames: ['Westbound Local', 'Eastbound Local'],
+      fromStationId: 'mill',
+      fromStationName: 'Mill Town',
+      toStationId: 'west',
+      toStationName: 'West Yard',
+      from: 385,
+      to: 390
+    }]
+  };
+
+  const crew = { _id: 'user1', username: 'engineer', role: 'crew' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    signedInUser = null;
+    mockTimetableService.getTimetable.mockResolvedValue(timetable);
+  });
+
+  describe('GET /api/v1/timetable', () => {
+    it('should return the timetable for the requested session', async () => {
+      const response = await request(app).get('/api/v1/timetable?sessionNumber=3').expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual(timetable);
+      expect(mockTimetableService.getTimetable).toHaveBeenCalledWith({ sessionNumber: 3 }, null);
+    });
+
+    it('should build a crew\'s timetable from the trains they can see', async () => {
+      signedInUser = crew;
+
+      await request(app).get('/api/v1/timetable').expect(200);
+
+      expect(mockTimetableService.getTimetable).toHaveBeenCalledWith({}, crew);
+    });
+
+    it('should reject an invalid session number', async () => {
+      await request(app).get('/api/v1/timetable?sessionNumber=0').expect(400);
+      expect(mockTimetableService.getTimetable).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/timetable/timetable.html', () => {
+    it('should render a printable timetable with its conflicts', async () => {
+      const response = await request(app).get('/api/v1/timetable/timetable.html').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toContain('<title>Timetable - Session 3</title>');
+      expect(response.text).toContain('window.print()');
+      expect(response.text).toContain('<td>lv 06:00</td><td>ar 06:50</td>');
+      expect(response.text).toContain('<td>06:20-06:25</td><td>06:30</td>');
+      expect(response.text).toContain('Meet: Westbound Local and Eastbound Local between Mill Town and West Yard, 06:25-06:30');
+      expect(response.text).toContain('Extra 4401');
+    });
+
+    it('should print a crew\'s timetable from the trains they can see', async () => {
+      signedInUser = crew;
+
+      await request(app).get('/api/v1/timetable/timetable.html').expect(200);
+
+      expect(mockTimetableService.getTimetable).toHaveBeenCalledWith({}, crew);
+    });
+  });
+});
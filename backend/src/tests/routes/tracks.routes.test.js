@@ -8,7 +8,11 @@ import { ApiError } from '../../middleware/errorHandler.js';
 jest.mock('../../database/index.js', () => ({
   dbHelpers: {
     findAll: jest.fn(),
-    findById: jest.fn()
+    findById: jest.fn(),
+    findByQuery: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
   }
 }));
 
@@ -51,6 +55,10 @@ describe('Tracks Routes', () => {
     jest.clearAllMocks();
     dbHelpers.findAll.mockResolvedValue([mockTrack]);
     dbHelpers.findById.mockResolvedValue(mockTrack);
+    dbHelpers.findByQuery.mockResolvedValue([]);
+    dbHelpers.create.mockImplementation((collection, data) => Promise.resolve({ _id: 'new', ...data }));
+    dbHelpers.update.mockResolvedValue(1);
+    dbHelpers.delete.mockResolvedValue(1);
   });
 
   describe('GET /api/tracks', () => {
@@ -104,4 +112,202 @@ describe('Tracks Routes', () => {
       expect(response.body.error).toBe('Internal server error');
     });
   });
+  describe('GET /api/tracks?industryId=', () => {
+    it('should filter tracks by industry', async () => {
+      dbHelpers.findByQuery.mockResolvedValue([mockTrack]);
+
+      const response = await request(app).get('/api/v1/tracks?industryId=industry1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([mockTrack]);
+      expect(dbHelpers.findByQuery).toHaveBeenCalledWith('tracks', { industryId: 'industry1' });
+    });
+  });
+
+  describe('GET /api/tracks/:id/occupancy', () => {
+    const dock = { _id: 'track1', name: 'Dock 1', industryId: 'industry1', capacity: 2, acceptedCarTypes: ['all'] };
+    const overflow = { _id: 'track2', name: 'Dock 2', industryId: 'industry1', capacity: 2, acceptedCarTypes: ['all'] };
+    const cars = [
+      { _id: 'car1', reportingMarks: 'UP', reportingNumber: '1', carType: 'XM', currentIndustry: 'industry1', currentTrack: 'track1' },
+      { _id: 'car2', reportingMarks: 'UP', reportingNumber: '2', carType: 'XM', currentIndustry: 'industry1', currentTrack: 'track2' },
+      { _id: 'car3', reportingMarks: 'UP', reportingNumber: '3', carType: 'XM', currentIndustry: 'industry1' }
+    ];
+
+    beforeEach(() => {
+      dbHelpers.findById.mockResolvedValue(dock);
+      dbHelpers.findByQuery.mockImplementation((collection) =>
+        Promise.resolve(collection === 'tracks' ? [dock, overflow] : cars)
+      );
+    });
+
+    it('should compute the cars on the track', async () => {
+      const response = await request(app).get('/api/v1/tracks/track1/occupancy');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        trackId: 'track1',
+        capacity: 2,
+        occupied: 2,
+        available: 0,
+        percentFull: 100,
+        isFull: true
+      });
+      expect(response.body.data.cars.map(car => car._id)).toEqual(['car1', 'car3']);
+      expect(dbHelpers.findByQuery).toHaveBeenCalledWith('cars', { currentIndustry: 'industry1' });
+    });
+
+    it('should return 404 if track not found', async () => {
+      dbHelpers.findById.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/v1/tracks/nonexistent/occupancy');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Track not found');
+    });
+  });
+
+  describe('POST /api/tracks', () => {
+    const newTrack = {
+      name: 'Dock 1',
+      industryId: 'industry1',
+      capacity: 4,
+      acceptedCarTypes: ['XM']
+    };
+
+    beforeEach(() => {
+      dbHelpers.findById.mockImplementation((collection, id) => Promise.resolve({ _id: id }));
+    });
+
+    it('should create a track', async () => {
+      const response = await request(app).post('/api/v1/tracks').send(newTrack);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject(newTrack);
+      expect(dbHelpers.create).toHaveBeenCalledWith('tracks', newTrack);
+    });
+
+    it('should default accepted car types to all', async () => {
+      const { acceptedCarTypes, ...trackWithoutTypes } = newTrack;
+
+      const response = await request(app).post('/api/v1/tracks').send(trackWithoutTypes);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.acceptedCarTypes).toEqual(['all']);
+    });
+
+    it('should validate track data', async () => {
+      const response = await request(app).post('/api/v1/tracks').send({ name: 'Dock 1', capacity: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Validation failed');
+      expect(dbHelpers.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if industry does not exist', async () => {
+      dbHelpers.findById.mockImplementation((collection, id) =>
+        Promise.resolve(collection === 'industries' ? null : { _id: id })
+      );
+
+      const response = await request(app).post('/api/v1/tracks').send(newTrack);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("Industry with ID 'industry1' does not exist");
+    });
+
+    it('should return 404 if an accepted car type does not exist', async () => {
+      dbHelpers.findById.mockImplementation((collection, id) =>
+        Promise.resolve(collection === 'aarTypes' ? null : { _id: id })
+      );
+
+      const response = await request(app).post('/api/v1/tracks').send(newTrack);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("AAR type 'XM' does not exist");
+    });
+
+    it('should reject duplicate names at the same industry', async () => {
+      dbHelpers.findByQuery.mockResolvedValue([{ _id: 'other', ...newTrack }]);
+
+      const response = await request(app).post('/api/v1/tracks').send(newTrack);
+
+      expect(response.status).toBe(409);
+      expect(dbHelpers.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/tracks/:id', () => {
+    const existing = { _id: 'track1', name: 'Dock 1', industryId: 'industry1', capacity: 3, acceptedCarTypes: ['all'] };
+    const carsOnTrack = [
+      { _id: 'car1', currentIndustry: 'industry1', currentTrack: 'track1' },
+      { _id: 'car2', currentIndustry: 'industry1', currentTrack: 'track1' }
+    ];
+
+    beforeEach(() => {
+      dbHelpers.findById.mockImplementation((collection, id) =>
+        Promise.resolve(collection === 'tracks' ? existing : { _id: id })
+      );
+      dbHelpers.findByQuery.mockImplementation((collection) =>
+        Promise.resolve(collection === 'cars' ? carsOnTrack : [existing])
+      );
+    });
+
+    it('should update a track', async () => {
+      const response = await request(app).put('/api/v1/tracks/track1').send({ capacity: 5 });
+
+      expect(response.status).toBe(200);
+      expect(dbHelpers.update).toHaveBeenCalledWith('tracks', 'track1', { capacity: 5 });
+    });
+
+    it('should not reduce capacity below current occupancy', async () => {
+      const response = await request(app).put('/api/v1/tracks/track1').send({ capacity: 1 });
+
+      expect(response.status).toBe(409);
+      expect(dbHelpers.update).not.toHaveBeenCalled();
+    });
+
+    it('should not move an occupied track to another industry', async () => {
+      const response = await request(app).put('/api/v1/tracks/track1').send({ industryId: 'industry2' });
+
+      expect(response.status).toBe(409);
+      expect(dbHelpers.update).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if track not found', async () => {
+      dbHelpers.findById.mockResolvedValue(null);
+
+      const response = await request(app).put('/api/v1/tracks/nonexistent').send({ capacity: 5 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Track not found');
+    });
+  });
+
+  describe('DELETE /api/tracks/:id', () => {
+    it('should delete an empty track', async () => {
+      const response = await request(app).delete('/api/v1/tracks/1');
+
+      expect(response.status).toBe(200);
+      expect(dbHelpers.findByQuery).toHaveBeenCalledWith('cars', { currentTrack: '1' });
+      expect(dbHelpers.delete).toHaveBeenCalledWith('tracks', '1');
+    });
+
+    it('should not delete a track with cars spotted on it', async () => {
+      dbHelpers.findByQuery.mockResolvedValue([{ _id: 'car1', reportingMarks: 'UP', reportingNumber: '1' }]);
+
+      const response = await request(app).delete('/api/v1/tracks/1');
+
+      expect(response.status).toBe(409);
+      expect(response.body.details).toEqual(['UP 1']);
+      expect(dbHelpers.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if track not found', async () => {
+      dbHelpers.findById.mockResolvedValue(null);
+
+      const response = await request(app).delete('/api/v1/tracks/nonexistent');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Track not found');
+    });
+  });
 });
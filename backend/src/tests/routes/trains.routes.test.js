@@ -26,7 +26,8 @@ jest.mock('../../services/index.js', () => {
     const mockService = {
         generateSwitchList: jest.fn(),
         completeTrain: jest.fn(),
-        cancelTrain: jest.fn()
+        cancelTrain: jest.fn(),
+        getPrintableSwitchList: jest.fn()
     };
     
     return {
@@ -67,6 +68,10 @@ jest.mock('../../repositories/index.js', () => {
         findByIdOrNull: jest.fn()
     };
     
+    const mockUserRepo = {
+        findByIdOrNull: jest.fn()
+    };
+    
     return {
         getRepository: jest.fn((repoName) => {
             if (repoName === 'trains') {
@@ -81,6 +86,9 @@ jest.mock('../../repositories/index.js', () => {
             if (repoName === 'locomotives') {
                 return mockLocomotiveRepo;
             }
+            if (repoName === 'users') {
+                return mockUserRepo;
+            }
             return {
                 findAll: jest.fn(),
                 findById: jest.fn(),
@@ -90,7 +98,8 @@ jest.mock('../../repositories/index.js', () => {
         __mockTrainRepository: mockTrainRepo,
         __mockSessionRepository: mockSessionRepo,
         __mockRouteRepository: mockRouteRepo,
-        __mockLocomotiveRepository: mockLocomotiveRepo
+        __mockLocomotiveRepository: mockLocomotiveRepo,
+        __mockUserRepository: mockUserRepo
     };
 });
 
@@ -116,9 +125,18 @@ import { NULL_TRAIN } from '../../patterns/nullObjects/NullTrain.js';
 const mockTrainRepoInstance = getRepository('trains');
 const mockSessionRepoInstance = getRepository('operatingSessions');
 const mockTrainServiceInstance = getService('train');
+const mockUserRepoInstance = getRepository('users');
+const mockRouteRepoInstance = getRepository('routes');
+
+// Signed-in user, as the authenticate middleware would set it
+let currentUser;
 
 const app = express();
 app.use(express.json());
+app.use((req, res, next) => {
+    req.user = currentUser;
+    next();
+});
 app.use('/api/v1/trains', trainsRouter);
 
 // Add error handling middleware
@@ -159,6 +177,7 @@ describe('Trains Routes', () => {
 
     beforeEach(() => {
         jest.clearAllMocks();
+        currentUser = undefined;
 
         // Setup default successful mocks
         mockSessionRepoInstance.findAll.mockResolvedValue([mockSession]);
@@ -269,6 +288,66 @@ describe('Trains Routes', () => {
             expect(response.body.success).toBe(false);
             expect(response.body.error).toBe('Cannot create train without an active operating session');
         });
+
+        describe('schedules', () => {
+            // Yards the industry mock doesn't know stand in for their own stations
+            const route = { _id: 'route1', originYard: 'yard1', terminationYard: 'yard2', stationSequence: ['station1', 'station2'] };
+
+            beforeEach(() => {
+                mockRouteRepoInstance.findByIdOrNull.mockResolvedValue(route);
+            });
+
+            it('should create a train scheduled at every station on its route', async () => {
+                const schedule = {
+                    departure: 360,
+                    stops: [
+                        { stationId: 'station1', arrival: 380, departure: 400 },
+                        { stationId: 'station2', arrival: 420 },
+                        { stationId: 'yard2', arrival: 450 }
+                    ]
+                };
+
+                await request(app)
+                    .post('/api/v1/trains')
+                    .send({ ...newTrainData, schedule })
+                    .expect(201);
+
+                expect(mockTrainRepoInstance.createTrain).toHaveBeenCalledWith(expect.objectContaining({ schedule }));
+            });
+
+            it('should reject a schedule that skips a station', async () => {
+                const response = await request(app)
+                    .post('/api/v1/trains')
+                    .send({
+                        ...newTrainData,
+                        schedule: { departure: 360, stops: [{ stationId: 'station1', arrival: 380 }, { stationId: 'yard2', arrival: 450 }] }
+                    })
+                    .expect(400);
+
+                expect(response.body.error).toBe('Invalid schedule');
+                expect(response.body.details[0]).toContain("route's 3 station(s)");
+                expect(mockTrainRepoInstance.createTrain).not.toHaveBeenCalled();
+            });
+
+            it('should reject a schedule that runs backwards', async () => {
+                const response = await request(app)
+                    .post('/api/v1/trains')
+                    .send({
+                        ...newTrainData,
+                        schedule: {
+                            departure: 360,
+                            stops: [
+                                { stationId: 'station1', arrival: 380, departure: 400 },
+                                { stationId: 'station2', arrival: 390 },
+                                { stationId: 'yard2', arrival: 450 }
+                            ]
+                        }
+                    })
+                    .expect(400);
+
+                expect(response.body.details).toEqual(['Stop 2 arrives before the train leaves the stop before it']);
+            });
+        });
     });
 
     describe('PUT /:id', () => {
@@ -300,6 +379,23 @@ describe('Trains Routes', () => {
             expect(response.body.success).toBe(false);
             expect(response.body.error).toContain('Cannot update train with status: In Progress');
         });
+
+        it('should check the kept schedule when the route changes', async () => {
+            mockTrainRepoInstance.findByIdOrNull.mockResolvedValue({
+                ...mockTrain,
+                schedule: { departure: 360, stops: [{ stationId: 'yard2', arrival: 400 }] }
+            });
+            mockRouteRepoInstance.findByIdOrNull.mockResolvedValue({ _id: 'route2', originYard: 'yard1', terminationYard: 'yard2', stationSequence: ['station1'] });
+
+            const response = await request(app)
+                .put('/api/v1/trains/train1')
+                .send({ routeId: 'route2' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Invalid schedule');
+            expect(mockRouteRepoInstance.findByIdOrNull).toHaveBeenCalledWith('route2');
+            expect(mockTrainRepoInstance.update).not.toHaveBeenCalled();
+        });
     });
 
     describe('DELETE /:id', () => {
@@ -349,6 +445,89 @@ describe('Trains Routes', () => {
         });
     });
 
+    describe('GET /:id/switch-list.(html|pdf)', () => {
+        const printable = {
+            train: {
+                ...mockTrain,
+                name: 'Local 123',
+                status: 'In Progress',
+                switchList: {
+                    stations: [{
+                        stationId: 'station1',
+                        stationName: 'Riverside',
+                        pickups: [],
+                        setouts: [{
+                            carId: 'car1',
+                            carReportingMarks: 'ATSF',
+                            carNumber: '1234',
+                            carType: 'XM',
+                            destinationIndustryId: 'ind1',
+                            destinationIndustryName: 'Mill <East>',
+                            destinationTrackName: 'Spur 1'
+                        }]
+                    }],
+                    totalPickups: 0,
+                    totalSetouts: 1,
+                    finalCarCount: 0,
+                    heldCars: [],
+                    generatedAt: '2024-01-15T10:00:00.000Z'
+                }
+            },
+            related: {
+                route: { name: 'Valley Turn' },
+                originYard: { name: 'East Yard' },
+                terminationYard: { name: 'West Yard' },
+                locomotives: [{ reportingMarks: 'ELMR', reportingNumber: '101' }],
+                cars: [],
+                goods: []
+            }
+        };
+
+        it('should render the switch list as HTML', async () => {
+            mockTrainServiceInstance.getPrintableSwitchList.mockResolvedValue(printable);
+
+            const response = await request(app)
+                .get('/api/v1/trains/train1/switch-list.html')
+                .expect('Content-Type', /html/)
+                .expect(200);
+
+            expect(mockTrainServiceInstance.getPrintableSwitchList).toHaveBeenCalledWith('train1');
+            expect(response.text).toContain('Switch List - Local 123');
+            expect(response.text).toContain('Mill &lt;East&gt; / Spur 1');
+            expect(response.text).toContain('East Yard');
+        });
+
+        it('should render the switch list as a PDF', async () => {
+            mockTrainServiceInstance.getPrintableSwitchList.mockResolvedValue(printable);
+
+            const response = await request(app)
+                .get('/api/v1/trains/train1/switch-list.pdf')
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                })
+                .expect('Content-Type', /pdf/)
+                .expect(200);
+
+            expect(response.headers['content-disposition']).toContain('switch-list-Local-123.pdf');
+            expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+        });
+
+        it('should reject trains without a switch list', async () => {
+            mockTrainServiceInstance.getPrintableSwitchList.mockRejectedValue(
+                new ApiError("Train 'Local 123' has no switch list. Generate one before printing.", 400)
+            );
+
+            const response = await request(app)
+                .get('/api/v1/trains/train1/switch-list.html')
+                .expect(400);
+
+            expect(response.body.error).toContain('has no switch list');
+        });
+    });
+
     describe('POST /:id/complete', () => {
         it('should complete train successfully', async () => {
             const response = await request(app)
@@ -398,4 +577,60 @@ describe('Trains Routes', () => {
             expect(response.body.error).toBe('Cancellation failed');
         });
     });
-});
\ No newline at end of file
+
+    describe('crew assignments', () => {
+        const crewUser = { _id: 'crew1', username: 'engineer', role: 'crew', isActive: true };
+        const crewTrain = { ...mockTrain, _id: 'train2', name: 'Turn 7', crewUserIds: ['crew1'] };
+
+        it('should show crews only the trains assigned to them', async () => {
+            currentUser = crewUser;
+            mockTrainRepoInstance.findWithFilters.mockResolvedValue([mockTrain, crewTrain]);
+
+            const response = await request(app)
+                .get('/api/v1/trains')
+                .expect(200);
+
+            expect(response.body.data).toEqual([crewTrain]);
+        });
+
+        it('should hide other trains from crews', async () => {
+            currentUser = crewUser;
+
+            await request(app).get('/api/v1/trains/train1').expect(404);
+            await request(app).post('/api/v1/trains/train1/complete').expect(404);
+            expect(mockTrainServiceInstance.completeTrain).not.toHaveBeenCalled();
+        });
+
+        it('should let crews complete their own trains', async () => {
+            currentUser = crewUser;
+            mockTrainRepoInstance.findByIdOrNull.mockResolvedValue(crewTrain);
+
+            await request(app).post('/api/v1/trains/train2/complete').expect(200);
+            expect(mockTrainServiceInstance.completeTrain).toHaveBeenCalledWith('train2');
+        });
+
+        it('should only assign active crew accounts', async () => {
+            mockTrainRepoInstance.findAll.mockResolvedValue([mockTrain]);
+            mockUserRepoInstance.findByIdOrNull.mockResolvedValue({ _id: 'disp1', username: 'dispatcher', role: 'dispatcher', isActive: true });
+
+            const response = await request(app)
+                .put('/api/v1/trains/train1')
+                .send({ crewUserIds: ['disp1'] })
+                .expect(400);
+
+            expect(response.body.error).toBe("User 'dispatcher' is not an active crew member");
+        });
+
+        it('should assign crew members to a train', async () => {
+            mockTrainRepoInstance.findAll.mockResolvedValue([mockTrain]);
+            mockUserRepoInstance.findByIdOrNull.mockResolvedValue(crewUser);
+
+            await request(app)
+                .put('/api/v1/trains/train1')
+                .send({ crewUserIds: ['crew1'] })
+                .expect(200);
+
+            expect(mockTrainRepoInstance.update).toHaveBeenCalledWith('train1', expect.objectContaining({ crewUserIds: ['crew1'] }));
+        });
+    });
+});
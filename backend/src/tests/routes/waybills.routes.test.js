@@ -0,0 +1,180 @@
+import express from 'express';
+import request from 'supertest';
+import { ApiError } from '../../middleware/errorHandler.js';
+
+const mockGetWaybills = jest.fn();
+const mockGetWaybill = jest.fn();
+const mockGetCarWaybill = jest.fn();
+const mockGetPrintableCards = jest.fn();
+
+jest.mock('../../services/index.js', () => ({
+  getService: jest.fn(() => ({
+    getWaybills: (...args) => mockGetWaybills(...args),
+    getWaybill: (...args) => mockGetWaybill(...args),
+    getCarWaybill: (...args) => mockGetCarWaybill(...args),
+    getPrintableCards: (...args) => mockGetPrintableCards(...args)
+  }))
+}));
+
+import waybillsRouter from '../../routes/waybills.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/waybills', waybillsRouter);
+
+app.use((error, req, res, next) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+});
+
+describe('Waybills Routes', () => {
+  const mockWaybill = {
+    _id: 'waybill1',
+    carOrderId: 'order1',
+    carId: 'car1',
+    direction: 'inbound',
+    goodsId: 'grain',
+    shipperIndustryId: 'yard1',
+    consigneeIndustryId: 'mill',
+    emptyReturnIndustryId: 'yard1',
+    sessionNumber: 1,
+    status: 'assigned',
+    cycle: 1,
+    deliveredAt: null
+  };
+
+  const mockCar = {
+    _id: 'car1',
+    reportingMarks: 'ATSF',
+    reportingNumber: '1234',
+    carType: 'XM',
+    color: 'Red',
+    homeYard: 'yard1',
+    waybillCycle: 1
+  };
+
+  const printable = {
+    cars: [mockCar],
+    related: {
+      waybills: [mockWaybill],
+      industries: [{ _id: 'yard1', name: 'East Yard' }, { _id: 'mill', name: 'Feed Mill' }],
+      aarTypes: [{ _id: 'XM', name: 'Boxcar' }],
+      goods: [{ _id: 'grain', name: 'Grain' }]
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/v1/waybills', () => {
+    it('should list waybills with filters', async () => {
+      mockGetWaybills.mockResolvedValue([mockWaybill]);
+
+      const response = await request(app)
+        .get('/api/v1/waybills?status=assigned&carId=car1')
+        .expect(200);
+
+      expect(response.body.data).toEqual([mockWaybill]);
+      expect(mockGetWaybills).toHaveBeenCalledWith(expect.objectContaining({ status: 'assigned', carId: 'car1' }));
+    });
+
+    it('should reject an unknown status', async () => {
+      await request(app)
+        .get('/api/v1/waybills?status=lost')
+        .expect(400);
+
+      expect(mockGetWaybills).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/waybills/:id', () => {
+    it('should return a waybill', async () => {
+      mockGetWaybill.mockResolvedValue(mockWaybill);
+
+      const response = await request(app)
+        .get('/api/v1/waybills/waybill1')
+        .expect(200);
+
+      expect(response.body.data).toEqual(mockWaybill);
+    });
+
+    it('should return 404 for a missing waybill', async () => {
+      mockGetWaybill.mockRejectedValue(new ApiError('Waybill not found', 404));
+
+      const response = await request(app)
+        .get('/api/v1/waybills/missing')
+        .expect(404);
+
+      expect(response.body.error).toBe('Waybill not found');
+    });
+  });
+
+  describe('GET /api/v1/waybills/cars/:carId', () => {
+    it('should return the car\'s multi-cycle waybill', async () => {
+      const carWaybill = { car: mockCar, currentCycle: 1, panels: [{ cycle: 1, isCurrent: true, waybill: mockWaybill }] };
+      mockGetCarWaybill.mockResolvedValue(carWaybill);
+
+      const response = await request(app)
+        .get('/api/v1/waybills/cars/car1')
+        .expect(200);
+
+      expect(response.body.data).toEqual(carWaybill);
+      expect(mockGetCarWaybill).toHaveBeenCalledWith('car1');
+    });
+  });
+
+  describe('Printable sheets', () => {
+    it('should render car cards as HTML', async () => {
+      mockGetPrintableCards.mockResolvedValue(printable);
+
+      const response = await request(app)
+        .get('/api/v1/waybills/car-cards.html?carIds=car1,car2')
+        .expect('Content-Type', /html/)
+        .expect(200);
+
+      expect(response.text).toContain('ATSF 1234');
+      expect(response.text).toContain('Return when empty to');
+      expect(mockGetPrintableCards).toHaveBeenCalledWith({ carIds: ['car1', 'car2'], waybillsOnly: false });
+    });
+
+    it('should render waybills as HTML for cars that carry them', async () => {
+      mockGetPrintableCards.mockResolvedValue(printable);
+
+      const response = await request(app)
+        .get('/api/v1/waybills/waybills.html')
+        .expect(200);
+
+      expect(response.text).toContain('Feed Mill');
+      expect(response.text).toContain('Cycle 1 - assigned');
+      expect(mockGetPrintableCards).toHaveBeenCalledWith({ carIds: [], waybillsOnly: true });
+    });
+
+    it('should render waybills as an inline PDF', async () => {
+      mockGetPrintableCards.mockResolvedValue(printable);
+
+      const response = await request(app)
+        .get('/api/v1/waybills/waybills.pdf')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect('Content-Type', /pdf/)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('inline; filename="waybills.pdf"');
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
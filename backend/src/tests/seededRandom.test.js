@@ -0,0 +1,21 @@
+import { createSeededRandom } from '../utils/seededRandom.js';
+
+describe('Seeded Random', () => {
+  const draw = (random, count) => Array.from({ length: count }, () => random());
+
+  it('should give the same sequence for the same seed', () => {
+    expect(draw(createSeededRandom('layout:5'), 10)).toEqual(draw(createSeededRandom('layout:5'), 10));
+  });
+
+  it('should give different sequences for different seeds', () => {
+    expect(draw(createSeededRandom('layout:5'), 10)).not.toEqual(draw(createSeededRandom('layout:6'), 10));
+  });
+
+  it('should return numbers from 0 up to but not including 1', () => {
+    const values = draw(createSeededRandom(42), 1000);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+    // Spread over the range rather than bunched at one end
+    expect(Math.min(...values)).toBeLessThan(0.1);
+    expect(Math.max(...values)).toBeGreaterThan(0.9);
+  });
+});
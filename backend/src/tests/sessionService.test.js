@@ -0,0 +1,58 @@
+import { SessionService } from '../services/SessionService.js';
+import { createSessionSnapshot } from '../models/operatingSession.js';
+import { dbHelpers, resetDatabase } from '../database/index.js';
+
+// Services run on their real repositories over an in-memory database
+jest.mock('../database/index.js', () => jest.requireActual('./helpers/memoryDatabase.js'));
+
+describe('SessionService', () => {
+  beforeEach(async () => {
+    resetDatabase();
+    await dbHelpers.create('cars', {
+      _id: 'car1',
+      reportingMarks: 'ATSF',
+      reportingNumber: '12345',
+      currentIndustry: 'mill',
+      currentTrack: 'spur1',
+      sessionsAtCurrentLocation: 2
+    });
+    await dbHelpers.create('trains', {
+      _id: 'local1',
+      name: 'Valley Local',
+      sessionNumber: 1,
+      status: 'In Progress',
+      assignedCarIds: ['car1']
+    });
+  });
+
+  it('should send the cars of a train still in progress back where the session found them', async () => {
+    const { stats } = await new SessionService().advanceSession();
+
+    expect(stats.carsReverted).toBe(1);
+    expect(await dbHelpers.findById('cars', 'car1')).toMatchObject({
+      currentIndustry: 'mill',
+      currentTrack: 'spur1',
+      sessionsAtCurrentLocation: 0
+    });
+  });
+
+  it('should restore the industry and track of a car moved since the snapshot', async () => {
+    const service = new SessionService();
+    const session = await service.getCurrentSession();
+    const snapshot = createSessionSnapshot(1, await dbHelpers.findAll('cars'), [], []);
+    await dbHelpers.update('cars', 'car1', { currentIndustry: 'yard', currentTrack: 'track3' });
+
+    await service._performSessionAdvancement(snapshot, session);
+
+    expect(await dbHelpers.findById('cars', 'car1')).toMatchObject({ currentIndustry: 'mill', currentTrack: 'spur1' });
+    expect(await dbHelpers.findAll('carMovements')).toEqual([
+      expect.objectContaining({
+        carId: 'car1',
+        toIndustryId: 'mill',
+        toTrackId: 'spur1',
+        reason: 'session-advance',
+        trainId: 'local1'
+      })
+    ]);
+  });
+});
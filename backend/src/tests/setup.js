@@ -13,3 +13,6 @@ process.env.NODE_ENV = 'test';
 
 // Mock the logger module to avoid import.meta.url issues in Jest
 jest.mock('../utils/logger.js');
+
+// Mock the configuration module for the same reason
+jest.mock('../config/index.js');
@@ -0,0 +1,67 @@
+import { TimetableService } from '../services/TimetableService.js';
+
+const mockRecords = {};
+
+jest.mock('../repositories/index.js', () => ({
+  getRepository: jest.fn((name) => ({
+    findAll: jest.fn(async () => mockRecords[name] ?? []),
+    findBy: jest.fn(async () => mockRecords[name] ?? []),
+    getCurrentSession: jest.fn(async () => ({ currentSessionNumber: 3 }))
+  }))
+}));
+
+describe('TimetableService', () => {
+  const schedule = (departure, destination) => ({
+    departure,
+    stops: [
+      { stationId: 'mill', arrival: departure + 20, departure: departure + 25 },
+      { stationId: destination, arrival: departure + 40 }
+    ]
+  });
+
+  // Westbound and eastbound locals meet between Mill Town and West Yard
+  beforeEach(() => {
+    mockRecords.stations = [
+      { _id: 'east', name: 'East Yard' },
+      { _id: 'mill', name: 'Mill Town' },
+      { _id: 'west', name: 'West Yard' }
+    ];
+    mockRecords.industries = [
+      { _id: 'eastYard', stationId: 'east', isYard: true },
+      { _id: 'westYard', stationId: 'west', isYard: true }
+    ];
+    mockRecords.routes = [
+      { _id: 'westbound', name: 'Valley Line', originYard: 'eastYard', terminationYard: 'westYard', stationSequence: ['mill'] },
+      { _id: 'eastbound', name: 'Valley Line East', originYard: 'westYard', terminationYard: 'eastYard', stationSequence: ['mill'] }
+    ];
+    mockRecords.trains = [
+      { _id: 'w1', name: 'Westbound Local', status: 'Planned', routeId: 'westbound', crewUserIds: ['user1'], schedule: schedule(360, 'west') },
+      { _id: 'e1', name: 'Eastbound Local', status: 'Planned', routeId: 'eastbound', crewUserIds: ['user2'], schedule: schedule(370, 'east') },
+      { _id: 'x1', name: 'Extra 4401', status: 'Planned', routeId: 'westbound', crewUserIds: ['user2'] }
+    ];
+  });
+
+  it('should list every train and conflict when nobody is signed in', async () => {
+    const timetable = await new TimetableService().getTimetable();
+
+    expect(timetable.sessionNumber).toBe(3);
+    expect(timetable.trains.map(entry => entry.trainId)).toEqual(['w1', 'e1']);
+    expect(timetable.unscheduled.map(entry => entry.trainId)).toEqual(['x1']);
+    expect(timetable.conflicts).toHaveLength(1);
+  });
+
+  it('should show a crew only the trains they are assigned to', async () => {
+    const timetable = await new TimetableService().getTimetable({}, { _id: 'user1', role: 'crew' });
+
+    expect(timetable.trains.map(entry => entry.trainId)).toEqual(['w1']);
+    expect(timetable.unscheduled).toEqual([]);
+    expect(timetable.conflicts).toEqual([]);
+  });
+
+  it('should show dispatchers every train', async () => {
+    const timetable = await new TimetableService().getTimetable({ sessionNumber: 3 }, { _id: 'user3', role: 'dispatcher' });
+
+    expect(timetable.trains).toHaveLength(2);
+    expect(timetable.conflicts).toHaveLength(1);
+  });
+});
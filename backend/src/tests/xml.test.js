@@ -0,0 +1,60 @@
+import { parseXml, buildXml, element, findChild, findChildren } from '../utils/xml.js';
+
+describe('XML', () => {
+  describe('parseXml', () => {
+    it('should read elements, attributes and text', () => {
+      const root = parseXml(`﻿<?xml version="1.0" encoding="UTF-8"?>
+<?xml-stylesheet type="text/xsl" href="/xml/XSLT/operations-cars.xsl"?>
+<!DOCTYPE operations-config SYSTEM "operations-config.dtd">
+<!-- Written by JMRI -->
+<operations-config xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <version>5.4</version>
+  <cars>
+    <car id="ATSF1" roadName='ATSF' comment="Feed &amp; Grain &#x2192; &lt;east&gt;" />
+    <car id="ATSF2"></car>
+  </cars>
+</operations-config>`);
+
+      expect(root.name).toBe('operations-config');
+      expect(root.attributes['xmlns:xsi']).toBe('http://www.w3.org/2001/XMLSchema-instance');
+      expect(findChild(root, 'version').text).toBe('5.4');
+      const cars = findChildren(findChild(root, 'cars'), 'car');
+      expect(cars.map(car => car.attributes.id)).toEqual(['ATSF1', 'ATSF2']);
+      expect(cars[0].attributes).toEqual({ id: 'ATSF1', roadName: 'ATSF', comment: 'Feed & Grain → <east>' });
+    });
+
+    it('should reject documents that are not well-formed', () => {
+      expect(() => parseXml('<cars><car></cars>')).toThrow('Unexpected </cars>, expected </car>');
+      expect(() => parseXml('<cars>')).toThrow('Missing </cars>');
+      expect(() => parseXml('<a /><b />')).toThrow('Second root element <b>');
+      expect(() => parseXml('<cars>1 < 2</cars>')).toThrow("Unexpected '<'");
+      expect(() => parseXml('no markup')).toThrow('Text outside the root element');
+      expect(() => parseXml('')).toThrow('No root element');
+    });
+
+    it('should leave unknown and out-of-range entities as written', () => {
+      const root = parseXml('<note>&#x110000; &#99999999999; &bogus; &constructor; &#65;</note>');
+
+      expect(root.text).toBe('&#x110000; &#99999999999; &bogus; &constructor; A');
+    });
+  });
+
+  describe('buildXml', () => {
+    it('should write a document that reads back the same', () => {
+      const root = element('operations-config', {}, [
+        element('cars', {}, [
+          element('car', { id: 'ATSF1', comment: 'Say "hi" & <go>\nnow', outOfService: undefined, length: 40 })
+        ])
+      ]);
+
+      const xml = buildXml(root, { stylesheet: '/xml/XSLT/operations-cars.xsl' });
+
+      expect(xml.split('\n').slice(0, 2)).toEqual([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<?xml-stylesheet type="text/xsl" href="/xml/XSLT/operations-cars.xsl"?>'
+      ]);
+      const car = findChild(findChild(parseXml(xml), 'cars'), 'car');
+      expect(car.attributes).toEqual({ id: 'ATSF1', comment: 'Say "hi" & <go>\nnow', length: '40' });
+    });
+  });
+});
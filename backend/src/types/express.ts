@@ -6,6 +6,7 @@
  */
 
 import type { Request, Response, NextFunction } from 'express';
+import type { PublicUser } from '../models/user.js';
 
 /**
  * Query Parameters
@@ -26,6 +27,8 @@ export interface TypedRequest<
   body: TBody;
   query: TQuery;
   apiVersion?: string;
+  user?: PublicUser; // Signed-in user, set by the authenticate middleware
+  token?: string;
 }
 
 /**
@@ -14,6 +14,7 @@ const mockLogger = {
   logError: jest.fn(),
   logDatabaseOperation: jest.fn(),
   logBusinessLogic: jest.fn(),
+  redactUrl: jest.fn(url => url),
   stream: {
     write: jest.fn()
   }
@@ -0,0 +1,222 @@
+/**
+ * Command Station
+ *
+ * Adapters that pass commands to the layout's DCC command station. Each
+ * adapter speaks one protocol; the rest of the backend only calls the methods
+ * on CommandStation, so another system can be added by subclassing it and
+ * listing it in COMMAND_STATION_ADAPTERS.
+ *
+ * Advanced consists are set up the NMRA way: every locomotive in the consist
+ * has CV19 written on the main with the consist address, plus 128 when it runs
+ * reversed. Writing 0 takes it out again. Only the consist address is 1-127.
+ *
+ * Adapters:
+ *   simulator - Keeps the decoders' CVs in memory; for tests and running without a layout
+ *   dccex     - DCC-EX text protocol over TCP (the command station's WiFi or Ethernet port)
+ *
+ * Usage:
+ *   const commandStation = createCommandStation({ adapter: 'dccex', host: '192.168.4.1', port: 2560 });
+ *   await commandStation.createConsist(12, [{ address: 1201 }, { address: 1202, reversed: true }]);
+ */
+
+import net from 'net';
+import logger from './logger.js';
+
+// Decoder CV holding a locomotive's advanced consist address
+export const CONSIST_CV = 19;
+
+// Added to the consist address when a locomotive runs reversed in the consist
+const REVERSED_BIT = 0x80;
+
+// Highest address an advanced consist can use
+export const MAX_CONSIST_ADDRESS = 127;
+
+/**
+ * Base adapter; subclasses provide writeCvOnMain or override the consist methods
+ */
+export class CommandStation {
+  /**
+   * Write a decoder CV on the main track (operations mode programming)
+   * @param {number} address - Locomotive DCC address
+   * @param {number} cv - CV number
+   * @param {number} value - Byte to write
+   * @returns {Promise<void>}
+   */
+  async writeCvOnMain(address, cv, value) {
+    throw new Error(`${this.constructor.name} cannot write CVs on the main`);
+  }
+
+  /**
+   * Put locomotives in an advanced consist
+   * @param {number} consistAddress - Consist address, 1-127
+   * @param {Array} members - [{ address, reversed }], lead locomotive first
+   * @returns {Promise<void>}
+   */
+  async createConsist(consistAddress, members) {
+    if (!Number.isInteger(consistAddress) || consistAddress < 1 || consistAddress > MAX_CONSIST_ADDRESS) {
+      throw new Error(`Consist address must be 1-${MAX_CONSIST_ADDRESS}, got ${consistAddress}`);
+    }
+    for (const member of members) {
+      await this.writeCvOnMain(member.address, CONSIST_CV, consistAddress | (member.reversed ? REVERSED_BIT : 0));
+    }
+  }
+
+  /**
+   * Take locomotives out of their advanced consist
+   * @param {number} consistAddress - Consist address
+   * @param {Array} members - [{ address }]
+   * @returns {Promise<void>}
+   */
+  async dissolveConsist(consistAddress, members) {
+    for (const member of members) {
+      await this.writeCvOnMain(member.address, CONSIST_CV, 0);
+    }
+  }
+
+  /**
+   * Release the connection to the command station
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Stand-in for a command station that remembers what it was told
+ */
+export class SimulatedCommandStation extends CommandStation {
+  constructor() {
+    super();
+    this.commands = []; // { address, cv, value } in the order they were sent
+    this.cvs = new Map(); // address -> Map(cv -> value)
+  }
+
+  async writeCvOnMain(address, cv, value) {
+    this.commands.push({ address, cv, value });
+    if (!this.cvs.has(address)) {
+      this.cvs.set(address, new Map());
+    }
+    this.cvs.get(address).set(cv, value);
+  }
+
+  /**
+   * The consist a locomotive is in
+   * @param {number} address - Locomotive DCC address
+   * @returns {Object|null} { address, reversed }, or null when it runs on its own
+   */
+  consistOf(address) {
+    const value = this.cvs.get(address)?.get(CONSIST_CV) ?? 0;
+    if (value === 0) {
+      return null;
+    }
+    return { address: value & ~REVERSED_BIT, reversed: Boolean(value & REVERSED_BIT) };
+  }
+}
+
+/**
+ * DCC-EX EX-CommandStation over TCP
+ *
+ * Connects on first use and again after the connection drops. Replies from
+ * the command station are read and discarded: writes on the main are not
+ * acknowledged by the decoder anyway.
+ */
+export class DccExCommandStation extends CommandStation {
+  /**
+   * @param {Object} options - { host, port, timeoutMs }
+   */
+  constructor({ host = 'localhost', port = 2560, timeoutMs = 5000 } = {}) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+    this.connection = null;
+  }
+
+  async writeCvOnMain(address, cv, value) {
+    await this.send(`w ${address} ${cv} ${value}`);
+  }
+
+  /**
+   * Send one command
+   * @param {string} command - Command without the angle brackets, e.g. 'w 3 19 12'
+   * @returns {Promise<void>}
+   */
+  async send(command) {
+    const socket = await this._connect();
+    await new Promise((resolve, reject) => {
+      socket.write(`<${command}>\n`, (error) => (error ? reject(error) : resolve()));
+    });
+    logger.debug('DCC-EX command sent', { command });
+  }
+
+  async close() {
+    const connection = this.connection;
+    this.connection = null;
+    const socket = connection ? await connection.catch(() => null) : null;
+    if (socket) {
+      socket.end();
+    }
+  }
+
+  /**
+   * Open the connection, or reuse the open one
+   * @returns {Promise<import('net').Socket>} Connected socket
+   */
+  _connect() {
+    if (this.connection) {
+      return this.connection;
+    }
+
+    const connection = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.timeoutMs);
+      socket.once('timeout', () => {
+        socket.destroy(new Error(`Timed out talking to DCC-EX at ${this.host}:${this.port}`));
+      });
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        logger.info('Connected to DCC-EX command station', { host: this.host, port: this.port });
+        resolve(socket);
+      });
+      socket.on('error', (error) => {
+        reject(error);
+        logger.warn('DCC-EX connection error', { host: this.host, port: this.port, error: error.message });
+      });
+      socket.on('close', () => {
+        if (this.connection === connection) {
+          this.connection = null;
+        }
+      });
+      socket.resume();
+    });
+
+    this.connection = connection;
+    connection.catch(() => {
+      if (this.connection === connection) {
+        this.connection = null;
+      }
+    });
+    return connection;
+  }
+}
+
+// Adapters by the name used in DCC_ADAPTER
+export const COMMAND_STATION_ADAPTERS = {
+  simulator: SimulatedCommandStation,
+  dccex: DccExCommandStation
+};
+
+/**
+ * Create the adapter a configuration asks for
+ * @param {Object} options - { adapter, ...adapter options }; adapter 'none' means no command station
+ * @returns {CommandStation|null} Command station, or null when there is none
+ */
+export const createCommandStation = ({ adapter = 'none', ...options } = {}) => {
+  if (adapter === 'none') {
+    return null;
+  }
+  const Adapter = COMMAND_STATION_ADAPTERS[adapter];
+  if (!Adapter) {
+    throw new Error(`Unknown command station adapter: ${adapter}`);
+  }
+  return new Adapter(options);
+};
@@ -0,0 +1,28 @@
+/**
+ * CSV
+ *
+ * Writes report rows as RFC 4180 CSV that spreadsheets open directly: a
+ * header line, CRLF line endings, and fields quoted only when they need it.
+ *
+ * Usage:
+ *   const csv = toCsv(rows, [{ key: 'car', header: 'Car' }, { key: 'trainMoves', header: 'Train Moves' }]);
+ */
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV
+ * @param {Array} rows - Objects to write, one per line
+ * @param {Array} columns - [{ key, header }] in column order; other row fields are left out
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows, columns) => [
+  columns.map(column => escapeField(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
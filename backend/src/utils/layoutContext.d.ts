@@ -0,0 +1,15 @@
+/**
+ * Type definitions for the per-request layout context
+ */
+
+export declare const DEFAULT_LAYOUT_ID: 'default';
+
+/**
+ * Run a function, and everything it awaits, against a layout
+ */
+export declare function runInLayout<T>(layoutId: string, fn: () => T): T;
+
+/**
+ * The layout the current request works on; DEFAULT_LAYOUT_ID outside runInLayout
+ */
+export declare function getCurrentLayoutId(): string;
@@ -0,0 +1,33 @@
+/**
+ * Layout Context
+ *
+ * Tracks which layout the current request works on, so one backend can keep
+ * several layouts (say the home layout and the club's modular layout) in
+ * separate datastores. The layout middleware runs each request inside
+ * runInLayout; dbHelpers reads getCurrentLayoutId to pick the datastore set.
+ * Code running outside any request (startup tasks, scripts) uses the default layout.
+ *
+ * Usage:
+ *   await runInLayout(layoutId, () => dbHelpers.findAll('cars'));
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+// The layout that owns the original datastore files under DB_PATH
+export const DEFAULT_LAYOUT_ID = 'default';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function, and everything it awaits, against a layout
+ * @param {string} layoutId - Layout ID
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+export const runInLayout = (layoutId, fn) => storage.run({ layoutId }, fn);
+
+/**
+ * The layout the current request works on
+ * @returns {string} Layout ID, or DEFAULT_LAYOUT_ID outside runInLayout
+ */
+export const getCurrentLayoutId = () => storage.getStore()?.layoutId || DEFAULT_LAYOUT_ID;
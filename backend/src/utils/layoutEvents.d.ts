@@ -0,0 +1,35 @@
+/**
+ * Type definitions for layout events
+ */
+
+export declare const LAYOUT_EVENTS: {
+  readonly CARS_MOVED: 'cars-moved';
+  readonly TRAIN_UPDATED: 'train-updated';
+  readonly ORDERS_GENERATED: 'orders-generated';
+  readonly SESSION_ADVANCED: 'session-advanced';
+  readonly SESSION_ROLLED_BACK: 'session-rolled-back';
+};
+
+export type LayoutEventType = typeof LAYOUT_EVENTS[keyof typeof LAYOUT_EVENTS];
+
+export interface LayoutEvent<T = Record<string, unknown>> {
+  type: LayoutEventType;
+  payload: T;
+  layoutId: string;
+  timestamp: string;
+}
+
+/**
+ * Publish a layout change to every subscriber
+ */
+export declare function publishLayoutEvent<T = Record<string, unknown>>(
+  type: LayoutEventType,
+  payload?: T
+): LayoutEvent<T>;
+
+/**
+ * Receive every layout event published from now on; returns an unsubscribe function
+ */
+export declare function subscribeToLayoutEvents(
+  listener: (event: LayoutEvent) => void
+): () => void;
@@ -0,0 +1,62 @@
+/**
+ * Layout Events
+ *
+ * In-process bus for changes other clients need to see while an operating
+ * session is running. Services publish after their writes succeed; the
+ * WebSocket server (utils/realtimeServer.js) relays every event to the clients
+ * watching the same layout so a dispatcher screen and an operator's tablet stay in sync.
+ *
+ * Usage:
+ *   import { publishLayoutEvent, LAYOUT_EVENTS } from './utils/layoutEvents.js';
+ *
+ *   publishLayoutEvent(LAYOUT_EVENTS.TRAIN_UPDATED, { train });
+ */
+
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+import { getCurrentLayoutId } from './layoutContext.js';
+
+// Event types and the payload each carries
+export const LAYOUT_EVENTS = {
+  CARS_MOVED: 'cars-moved', // { cars } - car documents after the move
+  TRAIN_UPDATED: 'train-updated', // { train } - train document after a status change
+  ORDERS_GENERATED: 'orders-generated', // { sessionNumber, ordersCreated }
+  SESSION_ADVANCED: 'session-advanced', // { session }
+  SESSION_ROLLED_BACK: 'session-rolled-back', // { session }
+  FAST_CLOCK_CHANGED: 'fast-clock-changed' // { clock } - clock as read at the change, for clients to tick on from
+};
+
+const CHANNEL = 'layout-event';
+const emitter = new EventEmitter();
+// One listener per connected WebSocket server, plus any in tests
+emitter.setMaxListeners(0);
+
+/**
+ * Publish a layout change to every subscriber
+ * A failing subscriber is logged and never breaks the write that published the event.
+ * The event is stamped with the layout of the request that made the change.
+ * @param {string} type - One of LAYOUT_EVENTS
+ * @param {Object} payload - Event data
+ * @returns {Object} The event as delivered: { type, payload, layoutId, timestamp }
+ */
+export const publishLayoutEvent = (type, payload = {}) => {
+  const event = { type, payload, layoutId: getCurrentLayoutId(), timestamp: new Date().toISOString() };
+  emitter.listeners(CHANNEL).forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.logError(error, { context: 'publishLayoutEvent', type });
+    }
+  });
+  return event;
+};
+
+/**
+ * Receive every layout event published from now on
+ * @param {Function} listener - Called with { type, payload, layoutId, timestamp }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToLayoutEvents = (listener) => {
+  emitter.on(CHANNEL, listener);
+  return () => emitter.off(CHANNEL, listener);
+};
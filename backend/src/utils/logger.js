@@ -128,6 +128,9 @@ logger.stream = {
   }
 };
 
+// Keep tokens passed as ?access_token= (printable links, WebSockets) out of the logs
+logger.redactUrl = (url) => (url || '').replace(/([?&]access_token=)[^&#]*/gi, '$1[REDACTED]');
+
 // Helper methods for common logging patterns
 logger.logRequest = (req, statusCode, responseTime) => {
   const logData = {
@@ -0,0 +1,91 @@
+/**
+ * Real-time Server
+ *
+ * Shares the HTTP server's port and relays layout events to every connected
+ * WebSocket client as JSON: { type, payload, timestamp }. Clients only listen;
+ * anything they send is ignored.
+ *
+ * Clients connect with ?layout=<layoutId> to follow a layout other than the
+ * default one. With authentication on, they add ?access_token=<token>, and crew
+ * members only hear about the trains assigned to them.
+ *
+ * Usage:
+ *   const server = app.listen(port);
+ *   attachRealtimeServer(server, { path: '/ws', authenticate: (token) => authService.authenticate(token) });
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import logger from './logger.js';
+import { subscribeToLayoutEvents, LAYOUT_EVENTS } from './layoutEvents.js';
+import { canSeeTrain } from '../models/user.js';
+import { DEFAULT_LAYOUT_ID } from './layoutContext.js';
+
+// Ping interval used to drop clients whose connection has gone away silently
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Whether a client may hear about an event
+const canReceive = (socket, event) =>
+  event.layoutId === socket.layoutId &&
+  (event.type !== LAYOUT_EVENTS.TRAIN_UPDATED || canSeeTrain(socket.user, event.payload.train));
+
+/**
+ * Attach a WebSocket endpoint to an HTTP server and start broadcasting layout events
+ * @param {import('http').Server} server - Server returned by app.listen
+ * @param {Object} options - { path, authenticate }; authenticate(token) resolves to a user or null, omit it to accept everyone
+ * @returns {WebSocketServer} The WebSocket server; closing it stops the broadcast
+ */
+export const attachRealtimeServer = (server, { path = '/ws', authenticate = null } = {}) => {
+  const verifyClient = authenticate
+    ? (info, done) => {
+      const token = new URL(info.req.url, 'http://localhost').searchParams.get('access_token');
+      authenticate(token)
+        .then(user => {
+          info.req.user = user;
+          done(Boolean(user), 401, 'Unauthorized');
+        })
+        .catch(error => {
+          logger.logError(error, { context: 'realtimeServer' });
+          done(false, 500, 'Internal Server Error');
+        });
+    }
+    : undefined;
+
+  const wss = new WebSocketServer({ server, path, verifyClient });
+
+  wss.on('connection', (socket, req) => {
+    socket.user = req.user;
+    socket.layoutId = new URL(req.url, 'http://localhost').searchParams.get('layout') || DEFAULT_LAYOUT_ID;
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('error', (error) => logger.logError(error, { context: 'realtimeServer' }));
+    logger.debug('Real-time client connected', { clients: wss.clients.size, remoteAddress: req.socket.remoteAddress });
+  });
+
+  const unsubscribe = subscribeToLayoutEvents((event) => {
+    const message = JSON.stringify(event);
+    wss.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN && canReceive(client, event)) {
+        client.send(message);
+      }
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(client => {
+      if (!client.isAlive) {
+        client.terminate();
+        return;
+      }
+      client.isAlive = false;
+      client.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  logger.info('Real-time updates enabled', { path });
+  return wss;
+};
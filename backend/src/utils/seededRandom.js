@@ -0,0 +1,41 @@
+/**
+ * Seeded Random
+ *
+ * Repeatable random numbers for demand generation. The same seed always
+ * gives the same sequence, so a session's demand can be previewed ahead of
+ * time and generated again later with the same result.
+ *
+ * Usage:
+ *   const random = createSeededRandom(`${seed}:${sessionNumber}`);
+ *   const roll = random(); // 0 <= roll < 1
+ */
+
+// Hash a string seed into a 32-bit integer (cyrb53, folded to 32 bits)
+const hashSeed = (seed) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < seed.length; i++) {
+    const code = seed.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (h1 ^ h2) >>> 0;
+};
+
+/**
+ * Create a random number generator from a seed (mulberry32)
+ * @param {string|number} seed - Any string or number
+ * @returns {() => number} Function returning numbers in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
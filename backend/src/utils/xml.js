@@ -0,0 +1,178 @@
+/**
+ * XML
+ *
+ * Just enough XML to read and write the roster files other railroad programs
+ * keep (JMRI Operations): elements, attributes and text. Namespaces are kept as
+ * part of the name, DTDs are skipped and entities other than the five
+ * predefined ones and character references are left as written.
+ *
+ * An element is { name, attributes, children, text }.
+ *
+ * Usage:
+ *   const root = parseXml(xmlText);
+ *   const cars = findChildren(findChild(root, 'cars'), 'car');
+ *   const xmlText = buildXml(element('cars', {}, [element('car', { id: 'ATSF1' })]));
+ */
+
+const TOKEN = new RegExp([
+  '<!--[\\s\\S]*?-->', // comment
+  '<\\?[\\s\\S]*?\\?>', // declaration or processing instruction
+  '<!DOCTYPE[^>[]*(?:\\[[\\s\\S]*?\\])?\\s*>', // document type
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>', // 1: character data
+  '<\\/([^\\s>]+)\\s*>', // 2: end tag
+  '<([^\\s/>!?]+)((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>', // 3: start tag, 4: attributes, 5: self-closing
+  '([^<]+)' // 6: text
+].join('|'), 'g');
+
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+const MAX_CODE_POINT = 0x10FFFF;
+
+const decode = (text) => text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    // Character references past the last Unicode code point are left as written
+    return code <= MAX_CODE_POINT ? String.fromCodePoint(code) : match;
+  }
+  return Object.hasOwn(ENTITIES, entity) ? ENTITIES[entity] : match;
+});
+
+const encode = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\n/g, '&#10;');
+
+/**
+ * Create an element
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Attribute values; null and undefined ones are left out
+ * @param {Array} children - Child elements
+ * @param {string} text - Text content
+ * @returns {Object} Element
+ */
+export const element = (name, attributes = {}, children = [], text = '') => ({
+  name,
+  attributes: Object.fromEntries(
+    Object.entries(attributes)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, String(value)])
+  ),
+  children,
+  text
+});
+
+/**
+ * Parse an XML document
+ * @param {string} xml - Document text
+ * @returns {Object} Root element
+ * @throws {Error} If the document is not well-formed
+ */
+export const parseXml = (xml) => {
+  const text = String(xml).replace(/^\uFEFF/, '');
+  const stack = [];
+  let root = null;
+  let position = 0;
+
+  TOKEN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN.exec(text)) !== null) {
+    if (match.index !== position) {
+      throw new Error(`Unexpected '<' at character ${position}`);
+    }
+    position = TOKEN.lastIndex;
+
+    const [, cdata, endTag, startTag, attributeText, selfClosing, chars] = match;
+    const parent = stack[stack.length - 1];
+
+    if (startTag) {
+      const attributes = {};
+      for (const [, key, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE)) {
+        attributes[key] = decode(doubleQuoted ?? singleQuoted);
+      }
+      const node = { name: startTag, attributes, children: [], text: '' };
+      if (parent) {
+        parent.children.push(node);
+      } else if (root) {
+        throw new Error(`Second root element <${startTag}>`);
+      } else {
+        root = node;
+      }
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    } else if (endTag) {
+      if (!parent || parent.name !== endTag) {
+        throw new Error(`Unexpected </${endTag}>${parent ? `, expected </${parent.name}>` : ''}`);
+      }
+      stack.pop();
+    } else if (cdata !== undefined || chars !== undefined) {
+      const content = cdata ?? decode(chars);
+      if (parent) {
+        parent.text += content;
+      } else if (content.trim()) {
+        throw new Error('Text outside the root element');
+      }
+    }
+  }
+
+  if (position !== text.length) {
+    throw new Error(`Unexpected '<' at character ${position}`);
+  }
+  if (stack.length > 0) {
+    throw new Error(`Missing </${stack[stack.length - 1].name}>`);
+  }
+  if (!root) {
+    throw new Error('No root element');
+  }
+  return root;
+};
+
+const writeElement = (node, indent) => {
+  const attributes = Object.entries(node.attributes || {})
+    .map(([key, value]) => ` ${key}="${encode(value)}"`)
+    .join('');
+  const children = node.children || [];
+  const text = node.text ? encode(node.text).replace(/&#10;/g, '\n') : '';
+
+  if (children.length === 0 && !text) {
+    return `${indent}<${node.name}${attributes} />`;
+  }
+  if (children.length === 0) {
+    return `${indent}<${node.name}${attributes}>${text}</${node.name}>`;
+  }
+  const inner = children.map(child => writeElement(child, `${indent}  `)).join('\n');
+  return `${indent}<${node.name}${attributes}>${text}\n${inner}\n${indent}</${node.name}>`;
+};
+
+/**
+ * Write an XML document
+ * @param {Object} root - Root element
+ * @param {Object} options - { stylesheet } to add an xml-stylesheet instruction
+ * @returns {string} Document text
+ */
+export const buildXml = (root, { stylesheet } = {}) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  ...(stylesheet ? [`<?xml-stylesheet type="text/xsl" href="${encode(stylesheet)}"?>`] : []),
+  writeElement(root, ''),
+  ''
+].join('\n');
+
+/**
+ * First child element with a name
+ * @param {Object} node - Parent element
+ * @param {string} name - Tag name
+ * @returns {Object|null} Child element
+ */
+export const findChild = (node, name) => node?.children.find(child => child.name === name) ?? null;
+
+/**
+ * All child elements with a name
+ * @param {Object} node - Parent element
+ * @param {string} name - Tag name
+ * @returns {Array} Child elements
+ */
+export const findChildren = (node, name) => node?.children.filter(child => child.name === name) ?? [];
@@ -1,9 +1,14 @@
+import type { ReactNode } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { ThemeProvider } from '@mui/material/styles';
 import { CssBaseline } from '@mui/material';
 import theme from './theme';
 import { AppProvider } from './contexts/AppContext';
+import { AuthProvider } from './contexts/AuthContext';
+import { LayoutsProvider } from './contexts/LayoutsContext';
+import { useLayouts } from './contexts/useLayouts';
 import Layout from './components/Layout';
+import AuthGate from './components/AuthGate';
 import Dashboard from './pages/Dashboard';
 import CarManagement from './pages/CarManagement';
 import LocomotiveManagement from './pages/LocomotiveManagement';
@@ -13,28 +18,46 @@ import DataImport from './pages/DataImport';
 import SessionManagement from './pages/SessionManagement';
 import TrainOperations from './pages/TrainOperations';
 import CarOrderManagement from './pages/CarOrderManagement';
+import Reports from './pages/Reports';
+import Timetable from './pages/Timetable';
+import UserManagement from './pages/UserManagement';
+
+// Switching layouts remounts the app state, so every list is fetched again from the new layout
+function LayoutData({ children }: { children: ReactNode }) {
+  const { currentLayoutId } = useLayouts();
+  return <AppProvider key={currentLayoutId}>{children}</AppProvider>;
+}
 
 function App() {
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
-      <AppProvider>
-        <Router>
-          <Layout>
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-              <Route path="/sessions" element={<SessionManagement />} />
-              <Route path="/trains" element={<TrainOperations />} />
-              <Route path="/orders" element={<CarOrderManagement />} />
-              <Route path="/cars" element={<CarManagement />} />
-              <Route path="/locomotives" element={<LocomotiveManagement />} />
-              <Route path="/industries" element={<IndustryView />} />
-              <Route path="/routes" element={<RouteManagement />} />
-              <Route path="/import" element={<DataImport />} />
-            </Routes>
-          </Layout>
-        </Router>
-      </AppProvider>
+      <AuthProvider>
+        <AuthGate>
+          <LayoutsProvider>
+            <LayoutData>
+              <Router>
+                <Layout>
+                  <Routes>
+                    <Route path="/" element={<Dashboard />} />
+                    <Route path="/sessions" element={<SessionManagement />} />
+                    <Route path="/trains" element={<TrainOperations />} />
+                    <Route path="/timetable" element={<Timetable />} />
+                    <Route path="/orders" element={<CarOrderManagement />} />
+                    <Route path="/reports" element={<Reports />} />
+                    <Route path="/cars" element={<CarManagement />} />
+                    <Route path="/locomotives" element={<LocomotiveManagement />} />
+                    <Route path="/industries" element={<IndustryView />} />
+                    <Route path="/routes" element={<RouteManagement />} />
+                    <Route path="/import" element={<DataImport />} />
+                    <Route path="/users" element={<UserManagement />} />
+                  </Routes>
+                </Layout>
+              </Router>
+            </LayoutData>
+          </LayoutsProvider>
+        </AuthGate>
+      </AuthProvider>
     </ThemeProvider>
   );
 }
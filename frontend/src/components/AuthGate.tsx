@@ -0,0 +1,29 @@
+import React from 'react';
+import { Box, CircularProgress } from '@mui/material';
+import { useAuth } from '../contexts/useAuth';
+import Login from '../pages/Login';
+
+interface AuthGateProps {
+  children: React.ReactNode;
+}
+
+// Show the sign-in page until someone signs in; with authentication off, show the app straight away
+const AuthGate: React.FC<AuthGateProps> = ({ children }) => {
+  const { user, authEnabled, loading } = useAuth();
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh">
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  if (authEnabled && !user) {
+    return <Login />;
+  }
+
+  return <>{children}</>;
+};
+
+export default AuthGate;
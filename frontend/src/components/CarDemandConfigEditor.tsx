@@ -9,6 +9,7 @@
  * - Goods selector with direction (inbound/outbound)
  * - Multi-select for compatible AAR types
  * - Frequency and cars per session configuration
+ * - Demand models: fixed, probabilistic, range and seasonal
  * - Validation and error handling
  */
 
@@ -43,7 +44,7 @@ import {
   ArrowUpward,
   Info,
 } from '@mui/icons-material';
-import type { CarDemandConfig } from '../types';
+import type { CarDemandConfig, DemandModel, OrderPriority } from '../types';
 
 interface CarDemandConfigEditorProps {
   value: CarDemandConfig[];
@@ -54,9 +55,26 @@ interface CarDemandConfigEditorProps {
 }
 
 interface ConfigFormData extends Partial<CarDemandConfig> {
+  seasonalCurveText?: string; // Seasonal factors as typed, comma separated
   errors?: Record<string, string>;
 }
 
+const parseSeasonalCurve = (text: string | undefined): number[] =>
+  (text || '').split(',').map(part => part.trim()).filter(Boolean).map(Number);
+
+const describeDemand = (config: CarDemandConfig): string => {
+  switch (config.model) {
+    case 'probabilistic':
+      return `${config.carsPerSession} car(s) at ${Math.round((config.probability ?? 0) * 100)}% chance`;
+    case 'range':
+      return `${config.minCars}-${config.maxCars} car(s)`;
+    case 'seasonal':
+      return `${config.carsPerSession} car(s) scaled by season (${config.seasonalCurve?.join(', ')})`;
+    default:
+      return `${config.carsPerSession} car(s)`;
+  }
+};
+
 export const CarDemandConfigEditor: React.FC<CarDemandConfigEditorProps> = ({
   value = [],
   onChange,
@@ -93,6 +111,7 @@ export const CarDemandConfigEditor: React.FC<CarDemandConfigEditorProps> = ({
     setEditIndex(index);
     setFormData({
       ...config,
+      seasonalCurveText: config.seasonalCurve?.join(', '),
       errors: {},
     });
     setDialogOpen(true);
@@ -127,6 +146,26 @@ export const CarDemandConfigEditor: React.FC<CarDemandConfigEditorProps> = ({
       errors.frequency = 'Frequency must be at least 1';
     }
 
+    if (formData.model === 'probabilistic' && (formData.probability === undefined || formData.probability < 0 || formData.probability > 1)) {
+      errors.probability = 'Chance must be between 0 and 1';
+    }
+
+    if (formData.model === 'range') {
+      if (formData.minCars === undefined || formData.minCars < 0) {
+        errors.minCars = 'Minimum cars must be 0 or more';
+      }
+      if (formData.maxCars === undefined || formData.maxCars < (formData.minCars ?? 0)) {
+        errors.maxCars = 'Maximum cars must be at least the minimum';
+      }
+    }
+
+    if (formData.model === 'seasonal') {
+      const curve = parseSeasonalCurve(formData.seasonalCurveText);
+      if (curve.length === 0 || curve.length > 52 || curve.some(factor => Number.isNaN(factor) || factor < 0 || factor > 10)) {
+        errors.seasonalCurve = 'Enter 1 to 52 factors from 0 to 10, separated by commas';
+      }
+    }
+
     // Check for duplicate goods+direction combination
     const isDuplicate = value.some((config, index) => {
       if (editIndex !== null && index === editIndex) return false;
@@ -150,6 +189,11 @@ export const CarDemandConfigEditor: React.FC<CarDemandConfigEditorProps> = ({
       compatibleCarTypes: formData.compatibleCarTypes!,
       carsPerSession: formData.carsPerSession!,
       frequency: formData.frequency!,
+      ...(formData.dwellTime !== undefined ? { dwellTime: formData.dwellTime } : {}),
+      ...(formData.priority && formData.priority !== 'normal' ? { priority: formData.priority } : {}),
+      ...(formData.model === 'probabilistic' ? { model: formData.model, probability: formData.probability } : {}),
+      ...(formData.model === 'range' ? { model: formData.model, minCars: formData.minCars, maxCars: formData.maxCars } : {}),
+      ...(formData.model === 'seasonal' ? { model: formData.model, seasonalCurve: parseSeasonalCurve(formData.seasonalCurveText) } : {}),
     };
 
     const updatedConfig = [...value];
@@ -235,6 +279,14 @@ export const CarDemandConfigEditor: React.FC<CarDemandConfigEditorProps> = ({
                       <Typography variant="subtitle1" fontWeight="bold">
                         {getGoodName(config.goodsId)}
                       </Typography>
+                      {config.priority && config.priority !== 'normal' && (
+                        <Chip
+                          label={config.priority.toUpperCase()}
+                          color={config.priority === 'hot' ? 'error' : 'default'}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
                     </Stack>
 
                     <Typography variant="body2" color="text.secondary" gutterBottom>
@@ -246,8 +298,14 @@ export const CarDemandConfigEditor: React.FC<CarDemandConfigEditorProps> = ({
                     </Typography>
 
                     <Typography variant="body2" color="text.secondary">
-                      <strong>Demand:</strong> {config.carsPerSession} car(s) every {config.frequency} session(s)
+                      <strong>Demand:</strong> {describeDemand(config)} every {config.frequency} session(s)
                     </Typography>
+
+                    {config.dwellTime !== undefined && (
+                      <Typography variant="body2" color="text.secondary">
+                        <strong>{config.direction === 'inbound' ? 'Unloading' : 'Loading'} time:</strong> {config.dwellTime} session(s)
+                      </Typography>
+                    )}
                   </Box>
 
                   <Stack direction="row" spacing={1}>
@@ -391,6 +449,102 @@ export const CarDemandConfigEditor: React.FC<CarDemandConfigEditorProps> = ({
               helperText={formData.errors?.frequency || 'Generate orders every N sessions (1 = every session)'}
               inputProps={{ min: 1 }}
             />
+
+            {/* Demand Model */}
+            <FormControl fullWidth>
+              <InputLabel>Demand Model</InputLabel>
+              <Select
+                value={formData.model || 'fixed'}
+                onChange={(e) => setFormData({ ...formData, model: e.target.value as DemandModel })}
+                label="Demand Model"
+              >
+                <MenuItem value="fixed">Fixed</MenuItem>
+                <MenuItem value="probabilistic">Probabilistic (chance per session)</MenuItem>
+                <MenuItem value="range">Range (min-max cars)</MenuItem>
+                <MenuItem value="seasonal">Seasonal (follows the calendar)</MenuItem>
+              </Select>
+              <FormHelperText>
+                How many cars each due session asks for
+              </FormHelperText>
+            </FormControl>
+
+            {formData.model === 'probabilistic' && (
+              <TextField
+                label="Chance (0-1) *"
+                type="number"
+                fullWidth
+                value={formData.probability ?? ''}
+                onChange={(e) => setFormData({ ...formData, probability: e.target.value === '' ? undefined : parseFloat(e.target.value), errors: { ...formData.errors, probability: '' } })}
+                error={!!formData.errors?.probability}
+                helperText={formData.errors?.probability || 'Chance of ordering the cars in each due session'}
+                inputProps={{ min: 0, max: 1, step: 0.05 }}
+              />
+            )}
+
+            {formData.model === 'range' && (
+              <Stack direction="row" spacing={2}>
+                <TextField
+                  label="Min Cars *"
+                  type="number"
+                  fullWidth
+                  value={formData.minCars ?? ''}
+                  onChange={(e) => setFormData({ ...formData, minCars: e.target.value === '' ? undefined : parseInt(e.target.value), errors: { ...formData.errors, minCars: '' } })}
+                  error={!!formData.errors?.minCars}
+                  helperText={formData.errors?.minCars}
+                  inputProps={{ min: 0 }}
+                />
+                <TextField
+                  label="Max Cars *"
+                  type="number"
+                  fullWidth
+                  value={formData.maxCars ?? ''}
+                  onChange={(e) => setFormData({ ...formData, maxCars: e.target.value === '' ? undefined : parseInt(e.target.value), errors: { ...formData.errors, maxCars: '' } })}
+                  error={!!formData.errors?.maxCars}
+                  helperText={formData.errors?.maxCars}
+                  inputProps={{ min: 0 }}
+                />
+              </Stack>
+            )}
+
+            {formData.model === 'seasonal' && (
+              <TextField
+                label="Seasonal Factors *"
+                fullWidth
+                value={formData.seasonalCurveText ?? ''}
+                onChange={(e) => setFormData({ ...formData, seasonalCurveText: e.target.value, errors: { ...formData.errors, seasonalCurve: '' } })}
+                error={!!formData.errors?.seasonalCurve}
+                helperText={formData.errors?.seasonalCurve || 'Factors on cars per session, spread evenly over the year, e.g. 0.5, 1, 1.5, 1 for the four seasons'}
+                placeholder="0.5, 1, 1.5, 1"
+              />
+            )}
+
+            {/* Dwell Time */}
+            <TextField
+              label={formData.direction === 'outbound' ? 'Loading Time (Sessions)' : 'Unloading Time (Sessions)'}
+              type="number"
+              fullWidth
+              value={formData.dwellTime ?? ''}
+              onChange={(e) => setFormData({ ...formData, dwellTime: e.target.value === '' ? undefined : Math.max(0, parseInt(e.target.value) || 0) })}
+              helperText="Leave blank to use the good's own time"
+              inputProps={{ min: 0 }}
+            />
+
+            {/* Priority */}
+            <FormControl fullWidth>
+              <InputLabel>Order Priority</InputLabel>
+              <Select
+                value={formData.priority || 'normal'}
+                onChange={(e) => setFormData({ ...formData, priority: e.target.value as OrderPriority })}
+                label="Order Priority"
+              >
+                <MenuItem value="hot">Hot</MenuItem>
+                <MenuItem value="normal">Normal</MenuItem>
+                <MenuItem value="low">Low</MenuItem>
+              </Select>
+              <FormHelperText>
+                Hot orders are filled first when a train is short of room
+              </FormHelperText>
+            </FormControl>
           </Stack>
         </DialogContent>
         <DialogActions>
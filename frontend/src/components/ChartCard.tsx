@@ -0,0 +1,147 @@
+import React, { useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Download as DownloadIcon, Image as ImageIcon } from '@mui/icons-material';
+import { downloadSvgAsPng, type SessionRange } from '../utils/reportCharts';
+
+interface ChartCardProps {
+  title: string;
+  description?: string;
+  filename: string; // Export file name without the extension
+  range: SessionRange;
+  currentSession: number;
+  onRangeChange: (range: SessionRange) => void;
+  onExportCsv: () => void;
+  loading?: boolean;
+  error?: string | null;
+  empty?: boolean;
+  height?: number;
+  children: React.ReactNode;
+}
+
+// A chart with its own session range and CSV/PNG export
+const ChartCard: React.FC<ChartCardProps> = ({
+  title,
+  description,
+  filename,
+  range,
+  currentSession,
+  onRangeChange,
+  onExportCsv,
+  loading = false,
+  error = null,
+  empty = false,
+  height = 300,
+  children,
+}) => {
+  const chartRef = useRef<HTMLDivElement>(null);
+  const [exportError, setExportError] = useState<string | null>(null);
+
+  const handleSessionChange = (field: keyof SessionRange) => (event: React.ChangeEvent<HTMLInputElement>) => {
+    const value = parseInt(event.target.value, 10);
+    if (!Number.isInteger(value) || value < 1 || value > currentSession) {
+      return;
+    }
+    const next = { ...range, [field]: value };
+    // Keep the range the right way round when one end passes the other
+    if (next.fromSession > next.toSession) {
+      if (field === 'fromSession') {
+        next.toSession = value;
+      } else {
+        next.fromSession = value;
+      }
+    }
+    onRangeChange(next);
+  };
+
+  const handleExportPng = async () => {
+    const svg = chartRef.current?.querySelector<SVGSVGElement>('svg[data-chart], .recharts-wrapper > svg');
+    if (!svg) {
+      return;
+    }
+    setExportError(null);
+    try {
+      await downloadSvgAsPng(svg, `${filename}.png`);
+    } catch (err) {
+      setExportError(err instanceof Error ? err.message : 'Failed to export chart');
+    }
+  };
+
+  const disabled = loading || Boolean(error) || empty;
+
+  return (
+    <Card>
+      <CardContent>
+        <Box display="flex" justifyContent="space-between" alignItems="flex-start" flexWrap="wrap" gap={2} mb={2}>
+          <Box>
+            <Typography variant="h6">{title}</Typography>
+            {description && (
+              <Typography variant="body2" color="text.secondary">
+                {description}
+              </Typography>
+            )}
+          </Box>
+          <Stack direction="row" spacing={1} alignItems="center">
+            <TextField
+              label="From session"
+              type="number"
+              size="small"
+              value={range.fromSession}
+              onChange={handleSessionChange('fromSession')}
+              inputProps={{ min: 1, max: currentSession }}
+              sx={{ width: 120 }}
+            />
+            <TextField
+              label="To session"
+              type="number"
+              size="small"
+              value={range.toSession}
+              onChange={handleSessionChange('toSession')}
+              inputProps={{ min: 1, max: currentSession }}
+              sx={{ width: 120 }}
+            />
+            <Button size="small" startIcon={<DownloadIcon />} onClick={onExportCsv} disabled={disabled}>
+              CSV
+            </Button>
+            <Button size="small" startIcon={<ImageIcon />} onClick={handleExportPng} disabled={disabled}>
+              PNG
+            </Button>
+          </Stack>
+        </Box>
+
+        {exportError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setExportError(null)}>
+            {exportError}
+          </Alert>
+        )}
+
+        <Box ref={chartRef} sx={{ height, position: 'relative' }}>
+          {loading ? (
+            <Box display="flex" justifyContent="center" alignItems="center" height="100%">
+              <CircularProgress />
+            </Box>
+          ) : error ? (
+            <Alert severity="error">{error}</Alert>
+          ) : empty ? (
+            <Box display="flex" justifyContent="center" alignItems="center" height="100%">
+              <Typography color="text.secondary">No data for these sessions</Typography>
+            </Box>
+          ) : (
+            children
+          )}
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ChartCard;
@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Refresh } from '@mui/icons-material';
+import { useApp } from '../contexts/AppContext';
+import type { DemandPreview } from '../types';
+
+interface DemandPreviewDialogProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+// The orders industry demand will generate over the coming sessions, drawn with the same seed as generation
+const DemandPreviewDialog: React.FC<DemandPreviewDialogProps> = ({ open, onClose }) => {
+  const { goods, getDemandPreview } = useApp();
+  const [sessions, setSessions] = useState(10);
+  const [seed, setSeed] = useState('');
+  // Settings the shown preview was drawn with; Refresh copies the form into it
+  const [request, setRequest] = useState({ sessions: 10, seed: '' });
+  const [preview, setPreview] = useState<DemandPreview | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    const loadPreview = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setPreview(await getDemandPreview({ sessions: request.sessions, seed: request.seed || undefined }));
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'Failed to preview demand');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPreview();
+  }, [open, request, getDemandPreview]);
+
+  const getGoodName = (goodsId: string) => goods.find(good => (good._id || good.id) === goodsId)?.name || goodsId;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Demand Preview</DialogTitle>
+      <DialogContent>
+        <Stack direction="row" spacing={2} alignItems="center" sx={{ mt: 1, mb: 2 }}>
+          <TextField
+            label="Sessions"
+            type="number"
+            size="small"
+            value={sessions}
+            onChange={(e) => setSessions(Math.min(52, Math.max(1, parseInt(e.target.value) || 1)))}
+            inputProps={{ min: 1, max: 52 }}
+            sx={{ width: 120 }}
+          />
+          <TextField
+            label="Seed"
+            size="small"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+            placeholder={preview?.seed}
+            helperText="Leave blank for the server's seed"
+          />
+          <Button startIcon={<Refresh />} onClick={() => setRequest({ sessions, seed })} disabled={loading}>
+            Refresh
+          </Button>
+        </Stack>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress />
+          </Box>
+        ) : preview && (
+          <>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Sessions {preview.fromSession}-{preview.toSession}, {preview.sessionsPerYear} sessions to the year
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Session</TableCell>
+                  <TableCell align="right">Cars</TableCell>
+                  <TableCell align="right">Expected</TableCell>
+                  <TableCell>Demand</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {preview.sessions.map((session) => (
+                  <TableRow key={session.sessionNumber}>
+                    <TableCell>{session.sessionNumber}</TableCell>
+                    <TableCell align="right">{session.cars}</TableCell>
+                    <TableCell align="right">{session.expectedCars}</TableCell>
+                    <TableCell>
+                      <Box display="flex" flexWrap="wrap" gap={0.5}>
+                        {session.demands.filter(demand => demand.cars > 0).map((demand) => (
+                          <Chip
+                            key={`${demand.industryId}:${demand.goodsId}:${demand.direction}`}
+                            label={`${demand.industryName}: ${demand.cars} ${getGoodName(demand.goodsId)} ${demand.direction}`}
+                            color={demand.priority === 'hot' ? 'error' : 'default'}
+                            size="small"
+                            variant="outlined"
+                          />
+                        ))}
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DemandPreviewDialog;
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  AccessTime as ClockIcon,
+  Pause as PauseIcon,
+  PlayArrow as PlayIcon,
+} from '@mui/icons-material';
+import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../contexts/useAuth';
+import type { FastClockSettings } from '../types';
+import { currentClockTime, formatRatio } from '../utils/fastClock';
+import { formatClockTime, parseClockTime, toTimeInput } from '../utils/timetable';
+
+interface ClockForm {
+  ratio: string;
+  startTime: string;
+  time: string;
+}
+
+// The session's fast clock in the app bar; superintendents and dispatchers can run and set it
+const FastClockDisplay: React.FC = () => {
+  const { fastClock, startFastClock, pauseFastClock, updateFastClock, resetFastClock } = useApp();
+  const { hasRole } = useAuth();
+  const canRunClock = hasRole('superintendent', 'dispatcher');
+
+  const [now, setNow] = useState(() => Date.now());
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [form, setForm] = useState<ClockForm>({ ratio: '', startTime: '', time: '' });
+
+  // Tick locally; the server only pushes when the clock is started, paused or set
+  useEffect(() => {
+    if (!fastClock?.running) {
+      return;
+    }
+    const timer = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(timer);
+  }, [fastClock]);
+
+  if (!fastClock) {
+    return null;
+  }
+
+  const time = currentClockTime(fastClock, now);
+  const ratio = parseFloat(form.ratio);
+  const ratioValid = Number.isFinite(ratio) && ratio >= 1 && ratio <= 60;
+
+  const openDialog = () => {
+    setForm({
+      ratio: String(fastClock.ratio),
+      startTime: toTimeInput(fastClock.startTime),
+      time: toTimeInput(time),
+    });
+    setDialogOpen(true);
+  };
+
+  const handleToggle = async () => {
+    try {
+      await (fastClock.running ? pauseFastClock() : startFastClock());
+    } catch {
+      // Error is handled by AppContext
+    }
+  };
+
+  const handleSave = async () => {
+    // Only send what changed so a running clock isn't set back to the minute the dialog opened
+    const settings: FastClockSettings = {};
+    if (ratio !== fastClock.ratio) {
+      settings.ratio = ratio;
+    }
+    const startTime = parseClockTime(form.startTime);
+    if (startTime !== null && startTime !== fastClock.startTime) {
+      settings.startTime = startTime;
+    }
+    const newTime = parseClockTime(form.time);
+    if (newTime !== null && form.time !== toTimeInput(time)) {
+      settings.time = newTime;
+    }
+    try {
+      if (Object.keys(settings).length > 0) {
+        await updateFastClock(settings);
+      }
+      setDialogOpen(false);
+    } catch {
+      // Error is handled by AppContext
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      await resetFastClock();
+      setDialogOpen(false);
+    } catch {
+      // Error is handled by AppContext
+    }
+  };
+
+  const face = (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, opacity: fastClock.running ? 1 : 0.7 }}>
+      <ClockIcon fontSize="small" />
+      <Typography variant="body1" component="span" sx={{ fontVariantNumeric: 'tabular-nums', fontWeight: 500 }}>
+        {formatClockTime(time)}
+      </Typography>
+      <Typography variant="caption" component="span" sx={{ display: { xs: 'none', sm: 'inline' } }}>
+        {fastClock.running ? formatRatio(fastClock.ratio) : 'Paused'}
+      </Typography>
+    </Box>
+  );
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', mr: 1 }}>
+      {canRunClock ? (
+        <Tooltip title="Set fast clock">
+          <Button color="inherit" aria-label="fast clock" onClick={openDialog} sx={{ textTransform: 'none' }}>
+            {face}
+          </Button>
+        </Tooltip>
+      ) : (
+        <Box aria-label="fast clock" sx={{ px: 1 }}>{face}</Box>
+      )}
+      {canRunClock && (
+        <IconButton
+          color="inherit"
+          aria-label={fastClock.running ? 'pause fast clock' : 'start fast clock'}
+          onClick={handleToggle}
+          size="small"
+        >
+          {fastClock.running ? <PauseIcon /> : <PlayIcon />}
+        </IconButton>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Fast Clock</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              label="Ratio"
+              type="number"
+              value={form.ratio}
+              onChange={(e) => setForm({ ...form, ratio: e.target.value })}
+              error={!ratioValid}
+              helperText="Fast minutes per real minute, 1 to 60"
+              inputProps={{ min: 1, max: 60, step: 0.5 }}
+              fullWidth
+            />
+            <TextField
+              label="Start time"
+              type="time"
+              value={form.startTime}
+              onChange={(e) => setForm({ ...form, startTime: e.target.value })}
+              helperText="Where the clock is set when a session starts"
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+            <TextField
+              label="Time now"
+              type="time"
+              value={form.time}
+              onChange={(e) => setForm({ ...form, time: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleReset} sx={{ mr: 'auto' }}>
+            Reset to Start
+          </Button>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={!ratioValid}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default FastClockDisplay;
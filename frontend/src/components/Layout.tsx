@@ -28,8 +28,15 @@ import {
   CalendarMonth as SessionIcon,
   Assignment as OrderIcon,
   DirectionsRailway as LocomotiveIcon,
+  People as UsersIcon,
+  BarChart as ReportsIcon,
+  Schedule as TimetableIcon,
+  Logout as LogoutIcon,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/useAuth';
+import LayoutSwitcher from './LayoutSwitcher';
+import FastClockDisplay from './FastClockDisplay';
 
 const drawerWidth = 240;
 
@@ -43,6 +50,7 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
   const navigate = useNavigate();
   const location = useLocation();
+  const { user, hasRole, logout } = useAuth();
 
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
@@ -60,7 +68,9 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
       items: [
         { text: 'Session Management', icon: <SessionIcon />, path: '/sessions' },
         { text: 'Train Operations', icon: <TrainIcon />, path: '/trains' },
+        { text: 'Timetable', icon: <TimetableIcon />, path: '/timetable' },
         { text: 'Car Orders', icon: <OrderIcon />, path: '/orders' },
+        { text: 'Reports', icon: <ReportsIcon />, path: '/reports' },
       ]
     },
     {
@@ -71,6 +81,7 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
         { text: 'Industries', icon: <IndustryIcon />, path: '/industries' },
         { text: 'Routes', icon: <RouteIcon />, path: '/routes' },
         { text: 'Data Import', icon: <ImportIcon />, path: '/import' },
+        ...(hasRole('superintendent') ? [{ text: 'Users', icon: <UsersIcon />, path: '/users' }] : []),
       ]
     }
   ];
@@ -157,9 +168,21 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
           >
             <MenuIcon />
           </IconButton>
-          <Typography variant="h6" noWrap component="div">
+          <Typography variant="h6" noWrap component="div" sx={{ flexGrow: 1 }}>
             Model Railroad Layout Tracking System
           </Typography>
+          <FastClockDisplay />
+          <LayoutSwitcher />
+          {user && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="body2" noWrap sx={{ display: { xs: 'none', sm: 'block' } }}>
+                {user.displayName || user.username} ({user.role})
+              </Typography>
+              <IconButton color="inherit" aria-label="sign out" onClick={logout}>
+                <LogoutIcon />
+              </IconButton>
+            </Box>
+          )}
         </Toolbar>
       </AppBar>
       <Box
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  ArrowDropDown as ArrowDropDownIcon,
+  Check as CheckIcon,
+  ContentCopy as CloneIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { useLayouts } from '../contexts/useLayouts';
+import { useAuth } from '../contexts/useAuth';
+import { DEFAULT_LAYOUT_ID } from '../services/api';
+import type { RailroadLayoutFormData } from '../types';
+
+type DialogMode = 'create' | 'clone' | 'delete' | null;
+
+const emptyForm: RailroadLayoutFormData = { name: '', description: '' };
+
+// Switch between the layouts the backend keeps; superintendents can also add, copy and remove them
+const LayoutSwitcher: React.FC = () => {
+  const { layouts, currentLayoutId, currentLayout, error, switchLayout, createLayout, cloneLayout, deleteLayout } = useLayouts();
+  const { hasRole } = useAuth();
+  const canManage = hasRole('superintendent');
+
+  const [anchorEl, setAnchorEl] = useState<HTMLElement | null>(null);
+  const [dialogMode, setDialogMode] = useState<DialogMode>(null);
+  const [formData, setFormData] = useState<RailroadLayoutFormData>(emptyForm);
+
+  // Nothing to switch between or manage
+  if (layouts.length === 0 || (layouts.length === 1 && !canManage)) {
+    return null;
+  }
+
+  const openDialog = (mode: DialogMode) => {
+    setAnchorEl(null);
+    setFormData(mode === 'clone' && currentLayout
+      ? { name: `${currentLayout.name} (copy)`, description: currentLayout.description }
+      : emptyForm);
+    setDialogMode(mode);
+  };
+
+  const handleSwitch = (id: string) => {
+    setAnchorEl(null);
+    if (id !== currentLayoutId) {
+      switchLayout(id);
+    }
+  };
+
+  const handleSubmit = async () => {
+    try {
+      if (dialogMode === 'create') {
+        const created = await createLayout(formData);
+        switchLayout(created._id);
+      } else if (dialogMode === 'clone') {
+        const { layout } = await cloneLayout(currentLayoutId, formData);
+        switchLayout(layout._id);
+      } else if (dialogMode === 'delete') {
+        await deleteLayout(currentLayoutId);
+      }
+      setDialogMode(null);
+    } catch {
+      // Error is handled by LayoutsContext
+    }
+  };
+
+  return (
+    <>
+      <Button
+        color="inherit"
+        aria-label="switch layout"
+        endIcon={<ArrowDropDownIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{ textTransform: 'none', maxWidth: 240 }}
+      >
+        <Typography variant="body2" noWrap>
+          {currentLayout?.name ?? 'Layout'}
+        </Typography>
+      </Button>
+      <Menu anchorEl={anchorEl} open={anchorEl !== null} onClose={() => setAnchorEl(null)}>
+        {layouts.map((layout) => (
+          <MenuItem key={layout._id} selected={layout._id === currentLayoutId} onClick={() => handleSwitch(layout._id)}>
+            <ListItemIcon>{layout._id === currentLayoutId && <CheckIcon fontSize="small" />}</ListItemIcon>
+            <ListItemText primary={layout.name} secondary={layout.description || undefined} />
+          </MenuItem>
+        ))}
+        {canManage && <Divider />}
+        {canManage && (
+          <MenuItem onClick={() => openDialog('create')}>
+            <ListItemIcon><AddIcon fontSize="small" /></ListItemIcon>
+            <ListItemText primary="New Layout" />
+          </MenuItem>
+        )}
+        {canManage && (
+          <MenuItem onClick={() => openDialog('clone')}>
+            <ListItemIcon><CloneIcon fontSize="small" /></ListItemIcon>
+            <ListItemText primary="Clone Current Layout" />
+          </MenuItem>
+        )}
+        {canManage && (
+          <MenuItem onClick={() => openDialog('delete')} disabled={currentLayoutId === DEFAULT_LAYOUT_ID}>
+            <ListItemIcon><DeleteIcon fontSize="small" /></ListItemIcon>
+            <ListItemText primary="Delete Current Layout" />
+          </MenuItem>
+        )}
+      </Menu>
+
+      {/* New/Clone Dialog */}
+      <Dialog open={dialogMode === 'create' || dialogMode === 'clone'} onClose={() => setDialogMode(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{dialogMode === 'clone' ? `Clone "${currentLayout?.name}"` : 'New Layout'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            {error && <Alert severity="error">{error}</Alert>}
+            <Typography variant="body2" color="textSecondary">
+              {dialogMode === 'clone'
+                ? 'The copy starts with every car, industry, train and session of this layout.'
+                : 'The new layout starts empty at session 1; import its data once you switch to it.'}
+            </Typography>
+            <TextField
+              label="Name"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              fullWidth
+              required
+            />
+            <TextField
+              label="Description"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              fullWidth
+              multiline
+              minRows={2}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogMode(null)}>Cancel</Button>
+          <Button onClick={handleSubmit} variant="contained" disabled={!formData.name.trim()}>
+            {dialogMode === 'clone' ? 'Clone' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={dialogMode === 'delete'} onClose={() => setDialogMode(null)}>
+        <DialogTitle>Delete Layout?</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <Typography>
+            Delete "{currentLayout?.name}" and all its cars, industries, trains and sessions? This cannot be undone.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogMode(null)}>Cancel</Button>
+          <Button onClick={handleSubmit} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default LayoutSwitcher;
@@ -318,6 +318,48 @@ describe('CarDemandConfigEditor', () => {
     });
   });
 
+  describe('Dwell Time', () => {
+    it('should save an industry-specific unloading time and show it', async () => {
+      const user = userEvent.setup();
+      const config: CarDemandConfig[] = [
+        {
+          goodsId: 'grain',
+          direction: 'inbound',
+          compatibleCarTypes: ['HT'],
+          carsPerSession: 1,
+          frequency: 1,
+        },
+      ];
+
+      const { rerender } = render(
+        <CarDemandConfigEditor
+          value={config}
+          onChange={mockOnChange}
+          goods={mockGoods}
+          aarTypes={mockAarTypes}
+        />
+      );
+
+      await user.click(screen.getByLabelText('Edit'));
+      await user.type(screen.getByLabelText(/Unloading Time/), '2');
+      await user.click(screen.getByRole('button', { name: /Save Changes/i }));
+
+      expect(mockOnChange).toHaveBeenCalledWith([
+        expect.objectContaining({ dwellTime: 2 }),
+      ]);
+
+      rerender(
+        <CarDemandConfigEditor
+          value={[{ ...config[0], dwellTime: 2 }]}
+          onChange={mockOnChange}
+          goods={mockGoods}
+          aarTypes={mockAarTypes}
+        />
+      );
+      expect(screen.getByText(/Unloading time:/)).toBeInTheDocument();
+    });
+  });
+
   describe('Deleting Configurations', () => {
     it('should delete configuration when delete button is clicked', async () => {
       const user = userEvent.setup();
@@ -7,6 +7,7 @@
  * - Active route highlighting
  * - Mobile drawer functionality
  * - Navigation clicks
+ * - Fast clock in the app bar
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
@@ -14,6 +15,7 @@ import { render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { BrowserRouter, MemoryRouter } from 'react-router-dom';
 import Layout from '../Layout';
+import type { FastClock } from '../../types';
 
 const mockNavigate = vi.fn();
 vi.mock('react-router-dom', async () => {
@@ -24,9 +26,22 @@ vi.mock('react-router-dom', async () => {
   };
 });
 
+const mockPauseFastClock = vi.fn();
+let mockFastClock: FastClock | null = null;
+vi.mock('../../contexts/AppContext', () => ({
+  useApp: () => ({
+    fastClock: mockFastClock,
+    startFastClock: vi.fn(),
+    pauseFastClock: mockPauseFastClock,
+    updateFastClock: vi.fn(),
+    resetFastClock: vi.fn(),
+  }),
+}));
+
 describe('Layout Component', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    mockFastClock = null;
   });
 
   describe('Basic Rendering', () => {
@@ -299,6 +314,41 @@ describe('Layout Component', () => {
     });
   });
 
+  describe('Fast Clock', () => {
+    it('should show the fast clock and pause it', async () => {
+      const user = userEvent.setup();
+      mockFastClock = { ratio: 4, startTime: 360, running: true, time: 375, asOf: new Date().toISOString() };
+      render(
+        <BrowserRouter>
+          <Layout>
+            <div>Content</div>
+          </Layout>
+        </BrowserRouter>
+      );
+
+      expect(screen.getByText('06:15')).toBeInTheDocument();
+      expect(screen.getByText('4:1')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /pause fast clock/i }));
+      expect(mockPauseFastClock).toHaveBeenCalled();
+    });
+
+    it('should show a paused clock', () => {
+      mockFastClock = { ratio: 4, startTime: 360, running: false, time: 360, asOf: new Date().toISOString() };
+      render(
+        <BrowserRouter>
+          <Layout>
+            <div>Content</div>
+          </Layout>
+        </BrowserRouter>
+      );
+
+      expect(screen.getByText('06:00')).toBeInTheDocument();
+      expect(screen.getByText('Paused')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /start fast clock/i })).toBeInTheDocument();
+    });
+  });
+
   describe('Menu Structure', () => {
     it('should have all menu items', () => {
       render(
@@ -314,6 +364,7 @@ describe('Layout Component', () => {
         'Session Management',
         'Train Operations',
         'Car Orders',
+        'Reports',
         'Car Management',
         'Industries',
         'Routes',
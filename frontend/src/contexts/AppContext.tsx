@@ -1,7 +1,9 @@
-import React, { createContext, useContext, useReducer, useCallback, type ReactNode } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useEffect, type ReactNode } from 'react';
 import type { 
   AppContextType, 
   RollingStock, 
+  CarMovement,
+  CardSheet,
   Locomotive, 
   LocomotiveStatistics,
   LocomotiveTrainAssignment,
@@ -11,9 +13,17 @@ import type {
   AarType, 
   Block, 
   Track, 
+  TrackOccupancy,
   Route, 
   ImportResult,
+  JmriRoster,
   OperatingSession,
+  FastClock,
+  FastClockSettings,
+  SessionHistory,
+  SessionRollbackOptions,
+  SwitchListFormat,
+  Timetable,
   Train,
   CarOrder,
   TrainFormData,
@@ -22,8 +32,17 @@ import type {
   CarOrderGenerationSummary,
   TrainStatus,
   CarOrderStatus,
+  LayoutEvent,
+  CarOrderStats,
+  DemandPreview,
+  DemandPreviewRequest,
+  Report,
+  ReportName,
+  ReportFilters,
 } from '../types';
 import { apiService } from '../services/api';
+import { subscribeToLayoutEvents, REALTIME_URL } from '../services/realtime';
+import { useLayouts } from './useLayouts';
 
 // State interface
 interface AppState {
@@ -40,6 +59,7 @@ interface AppState {
   
   // Train operations data
   currentSession: OperatingSession | null;
+  fastClock: FastClock | null;
   trains: Train[];
   carOrders: CarOrder[];
   locomotiveStatistics: LocomotiveStatistics | null;
@@ -93,6 +113,7 @@ type AppAction =
   // Train operations - Session
   | { type: 'SET_SESSION_LOADING'; payload: boolean }
   | { type: 'SET_CURRENT_SESSION'; payload: OperatingSession | null }
+  | { type: 'SET_FAST_CLOCK'; payload: FastClock | null }
   
   // Train operations - Trains
   | { type: 'SET_TRAINS_LOADING'; payload: boolean }
@@ -104,6 +125,7 @@ type AppAction =
   // Train operations - Car Orders
   | { type: 'SET_ORDERS_LOADING'; payload: boolean }
   | { type: 'SET_CAR_ORDERS'; payload: CarOrder[] }
+  | { type: 'UPDATE_CAR_ORDER'; payload: CarOrder }
   | { type: 'DELETE_CAR_ORDER'; payload: string };
 
 // Initial state
@@ -121,6 +143,7 @@ const initialState: AppState = {
   
   // Train operations data
   currentSession: null,
+  fastClock: null,
   trains: [],
   carOrders: [],
   locomotiveStatistics: null,
@@ -236,6 +259,8 @@ const appReducer = (state: AppState, action: AppAction): AppState => {
       return { ...state, sessionLoading: action.payload };
     case 'SET_CURRENT_SESSION':
       return { ...state, currentSession: action.payload };
+    case 'SET_FAST_CLOCK':
+      return { ...state, fastClock: action.payload };
     
     // Train operations - Trains
     case 'SET_TRAINS_LOADING':
@@ -262,6 +287,14 @@ const appReducer = (state: AppState, action: AppAction): AppState => {
       return { ...state, ordersLoading: action.payload };
     case 'SET_CAR_ORDERS':
       return { ...state, carOrders: action.payload };
+    case 'UPDATE_CAR_ORDER':
+      // Keep the industry and goods the list was enriched with
+      return {
+        ...state,
+        carOrders: state.carOrders.map(order =>
+          (order.id || order._id) === (action.payload.id || action.payload._id) ? { ...order, ...action.payload } : order
+        )
+      };
     case 'DELETE_CAR_ORDER':
       return {
         ...state,
@@ -279,6 +312,7 @@ const AppContext = createContext<AppContextType | undefined>(undefined);
 // Provider component
 export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
   const [state, dispatch] = useReducer(appReducer, initialState);
+  const { currentLayoutId } = useLayouts();
 
   // Note: Using apiService from services/api.ts for all API calls
 
@@ -299,6 +333,7 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
         tracksResponse,
         routesResponse,
         sessionResponse,
+        fastClockResponse,
       ] = await Promise.all([
         apiService.getCars(),
         apiService.getLocomotives(),
@@ -310,6 +345,7 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
         apiService.getTracks(),
         apiService.getRoutes(),
         apiService.getCurrentSession().catch(() => ({ data: null })), // Session might not exist yet
+        apiService.getFastClock().catch(() => ({ data: null })),
       ]);
 
       dispatch({ type: 'SET_CARS', payload: (carsResponse.data as RollingStock[]) || [] });
@@ -322,6 +358,7 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
       dispatch({ type: 'SET_TRACKS', payload: (tracksResponse.data as Track[]) || [] });
       dispatch({ type: 'SET_ROUTES', payload: (routesResponse.data as Route[]) || [] });
       dispatch({ type: 'SET_CURRENT_SESSION', payload: (sessionResponse.data as OperatingSession | null) || null });
+      dispatch({ type: 'SET_FAST_CLOCK', payload: (fastClockResponse.data as FastClock | null) || null });
     } catch (error) {
       dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to fetch data' });
     } finally {
@@ -329,6 +366,50 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // Keep this screen in step with changes made from any other screen
+  useEffect(() => {
+    const refresh = (request: Promise<void>) => request.catch(error => {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to refresh data' });
+    });
+    const refreshCars = () => apiService.getCars().then(r => dispatch({ type: 'SET_CARS', payload: (r.data as RollingStock[]) || [] }));
+    const refreshTrains = () => apiService.getTrains().then(r => dispatch({ type: 'SET_TRAINS', payload: r.data || [] }));
+    const refreshCarOrders = () => apiService.getCarOrders().then(r => dispatch({ type: 'SET_CAR_ORDERS', payload: r.data || [] }));
+
+    const handleLayoutEvent = (event: LayoutEvent) => {
+      switch (event.type) {
+        case 'cars-moved':
+          event.payload.cars.forEach(car => dispatch({ type: 'UPDATE_CAR', payload: car }));
+          break;
+        case 'train-updated':
+          dispatch({ type: 'UPDATE_TRAIN', payload: event.payload.train });
+          // Switch lists assign orders; completing or cancelling a train delivers or releases them
+          refresh(refreshCarOrders());
+          break;
+        case 'orders-generated':
+          refresh(refreshCarOrders());
+          break;
+        case 'session-advanced':
+          dispatch({ type: 'SET_CURRENT_SESSION', payload: event.payload.session });
+          // Advancing ages every car and can finish loads and unloads
+          refresh(Promise.all([refreshCars(), refreshTrains(), refreshCarOrders()]).then(() => undefined));
+          break;
+        case 'session-rolled-back':
+          dispatch({ type: 'SET_CURRENT_SESSION', payload: event.payload.session });
+          fetchData();
+          break;
+        case 'fast-clock-changed':
+          dispatch({ type: 'SET_FAST_CLOCK', payload: event.payload.clock });
+          break;
+      }
+    };
+
+    // Events sent while disconnected are lost, so reload everything on reconnect
+    return subscribeToLayoutEvents(handleLayoutEvent, {
+      url: apiService.withAccessToken(`${REALTIME_URL}?layout=${encodeURIComponent(currentLayoutId)}`),
+      onReconnect: fetchData,
+    });
+  }, [fetchData, currentLayoutId]);
+
   // Import data
   const importData = useCallback(async (data: any): Promise<ImportResult> => {
     dispatch({ type: 'SET_LOADING', payload: true });
@@ -350,6 +431,30 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, [fetchData]);
 
+  // Import JMRI roster files
+  const importJmri = useCallback(async (files: string[]): Promise<ImportResult> => {
+    dispatch({ type: 'SET_LOADING', payload: true });
+    dispatch({ type: 'SET_ERROR', payload: null });
+
+    try {
+      const response = await apiService.importJmri(files);
+
+      await fetchData();
+
+      return response.data as ImportResult;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'JMRI import failed';
+      dispatch({ type: 'SET_ERROR', payload: errorMessage });
+      throw error;
+    } finally {
+      dispatch({ type: 'SET_LOADING', payload: false });
+    }
+  }, [fetchData]);
+
+  const getJmriExportUrl = useCallback((roster: JmriRoster): string => {
+    return apiService.getJmriExportUrl(roster);
+  }, []);
+
   // Clear database
   const clearDatabase = useCallback(async (): Promise<void> => {
     dispatch({ type: 'SET_LOADING', payload: true });
@@ -426,6 +531,22 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // Get movement history for a car
+  const getCarHistory = useCallback(async (carId: string): Promise<CarMovement[]> => {
+    try {
+      const response = await apiService.getCarHistory(carId);
+      return (response.data as CarMovement[]) || [];
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to get car history' });
+      throw error;
+    }
+  }, []);
+
+  // Printable car card and waybill sheets
+  const getCardSheetUrl = useCallback((sheet: CardSheet, format: SwitchListFormat, carIds?: string[]): string => {
+    return apiService.getCardSheetUrl(sheet, format, carIds);
+  }, []);
+
   // Create industry
   const createIndustry = useCallback(async (data: Partial<Industry>): Promise<Industry> => {
     try {
@@ -496,6 +617,17 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // Get computed occupancy for a track
+  const getTrackOccupancy = useCallback(async (id: string): Promise<TrackOccupancy> => {
+    try {
+      const response = await apiService.getTrackOccupancy(id);
+      return response.data as TrackOccupancy;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to get track occupancy' });
+      throw error;
+    }
+  }, []);
+
   // ========== Locomotive Methods ==========
 
   // Fetch locomotives with optional filters
@@ -595,16 +727,28 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // Fetch restore points available for rollback
+  const fetchSessionHistory = useCallback(async (): Promise<SessionHistory> => {
+    try {
+      const response = await apiService.getSessionHistory();
+      return response.data as SessionHistory;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to fetch session history' });
+      throw error;
+    }
+  }, []);
+
   // Advance session
-  const advanceSession = useCallback(async (): Promise<OperatingSession> => {
+  const advanceSession = useCallback(async (snapshotName?: string): Promise<OperatingSession> => {
     dispatch({ type: 'SET_SESSION_LOADING', payload: true });
     try {
-      const response = await apiService.advanceSession();
+      const response = await apiService.advanceSession(snapshotName);
       dispatch({ type: 'SET_CURRENT_SESSION', payload: response.data as OperatingSession });
-      // Refresh trains and orders after session advance
+      // Refresh trains and orders after session advance, and the clock it set back to the start time
       await Promise.all([
         apiService.getTrains().then(r => dispatch({ type: 'SET_TRAINS', payload: r.data || [] })),
         apiService.getCarOrders().then(r => dispatch({ type: 'SET_CAR_ORDERS', payload: r.data || [] })),
+        apiService.getFastClock().then(r => dispatch({ type: 'SET_FAST_CLOCK', payload: r.data as FastClock })),
       ]);
       return response.data as OperatingSession;
     } catch (error) {
@@ -616,10 +760,10 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
   }, []);
 
   // Rollback session
-  const rollbackSession = useCallback(async (): Promise<OperatingSession> => {
+  const rollbackSession = useCallback(async (options?: SessionRollbackOptions): Promise<OperatingSession> => {
     dispatch({ type: 'SET_SESSION_LOADING', payload: true });
     try {
-      const response = await apiService.rollbackSession();
+      const response = await apiService.rollbackSession(options);
       dispatch({ type: 'SET_CURRENT_SESSION', payload: response.data as OperatingSession });
       // Refresh all data after rollback
       await fetchData();
@@ -646,6 +790,61 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // Fetch the fast clock; it ticks on locally from the time and ratio it was read with
+  const fetchFastClock = useCallback(async () => {
+    try {
+      const response = await apiService.getFastClock();
+      dispatch({ type: 'SET_FAST_CLOCK', payload: response.data as FastClock });
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to fetch fast clock' });
+      throw error;
+    }
+  }, []);
+
+  // Change the fast clock's ratio, start time or time shown
+  const updateFastClock = useCallback(async (settings: FastClockSettings) => {
+    try {
+      const response = await apiService.updateFastClock(settings);
+      dispatch({ type: 'SET_FAST_CLOCK', payload: response.data as FastClock });
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to update fast clock' });
+      throw error;
+    }
+  }, []);
+
+  // Start or resume the fast clock
+  const startFastClock = useCallback(async () => {
+    try {
+      const response = await apiService.startFastClock();
+      dispatch({ type: 'SET_FAST_CLOCK', payload: response.data as FastClock });
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to start fast clock' });
+      throw error;
+    }
+  }, []);
+
+  // Pause the fast clock
+  const pauseFastClock = useCallback(async () => {
+    try {
+      const response = await apiService.pauseFastClock();
+      dispatch({ type: 'SET_FAST_CLOCK', payload: response.data as FastClock });
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to pause fast clock' });
+      throw error;
+    }
+  }, []);
+
+  // Set the fast clock back to its start time
+  const resetFastClock = useCallback(async () => {
+    try {
+      const response = await apiService.resetFastClock();
+      dispatch({ type: 'SET_FAST_CLOCK', payload: response.data as FastClock });
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to reset fast clock' });
+      throw error;
+    }
+  }, []);
+
   // Fetch trains
   const fetchTrains = useCallback(async (filters?: { sessionNumber?: number; status?: TrainStatus; routeId?: string; search?: string }) => {
     dispatch({ type: 'SET_TRAINS_LOADING', payload: true });
@@ -755,6 +954,27 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // Printable switch list URL
+  const getSwitchListUrl = useCallback((id: string, format: SwitchListFormat): string => {
+    return apiService.getSwitchListUrl(id, format);
+  }, []);
+
+  // Load a session's timetable; the page shows it, so it is not kept in state
+  const getTimetable = useCallback(async (sessionNumber?: number): Promise<Timetable> => {
+    try {
+      const response = await apiService.getTimetable(sessionNumber);
+      return response.data as Timetable;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to load timetable' });
+      throw error;
+    }
+  }, []);
+
+  // Printable timetable URL
+  const getTimetableUrl = useCallback((sessionNumber?: number): string => {
+    return apiService.getTimetableUrl(sessionNumber);
+  }, []);
+
   // Fetch car orders
   const fetchCarOrders = useCallback(async (filters?: { industryId?: string; status?: CarOrderStatus; sessionNumber?: number; aarTypeId?: string; search?: string }) => {
     dispatch({ type: 'SET_ORDERS_LOADING', payload: true });
@@ -786,6 +1006,19 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // Expedite car order: it becomes hot and is filled first
+  const expediteCarOrder = useCallback(async (id: string): Promise<CarOrder> => {
+    try {
+      const response = await apiService.expediteCarOrder(id);
+      const order = response.data as CarOrder;
+      dispatch({ type: 'UPDATE_CAR_ORDER', payload: order });
+      return order;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to expedite car order' });
+      throw error;
+    }
+  }, []);
+
   // Delete car order
   const deleteCarOrder = useCallback(async (id: string) => {
     dispatch({ type: 'SET_ORDERS_LOADING', payload: true });
@@ -800,18 +1033,58 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     }
   }, []);
 
+  // ========== Report Methods ==========
+
+  // Load a report over a range of sessions; the page charts it, so it is not kept in state
+  const getReport = useCallback(async <Row,>(name: ReportName, filters?: ReportFilters): Promise<Report<Row>> => {
+    try {
+      const response = await apiService.getReport<Row>(name, filters);
+      return response.data as Report<Row>;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to load report' });
+      throw error;
+    }
+  }, []);
+
+  // Order counts by status for one session
+  const getCarOrderStats = useCallback(async (sessionNumber?: number): Promise<CarOrderStats> => {
+    try {
+      const response = await apiService.getCarOrderStats(sessionNumber);
+      return response.data as CarOrderStats;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to get order statistics' });
+      throw error;
+    }
+  }, []);
+
+  // Demand industries will generate over the coming sessions
+  const getDemandPreview = useCallback(async (request?: DemandPreviewRequest): Promise<DemandPreview> => {
+    try {
+      const response = await apiService.getDemandPreview(request);
+      return response.data as DemandPreview;
+    } catch (error) {
+      dispatch({ type: 'SET_ERROR', payload: error instanceof Error ? error.message : 'Failed to preview demand' });
+      throw error;
+    }
+  }, []);
+
   const contextValue: AppContextType = {
     ...state,
     fetchData,
     importData,
+    importJmri,
+    getJmriExportUrl,
     clearDatabase,
     createCar,
     updateCar,
     deleteCar,
     moveCar,
+    getCarHistory,
+    getCardSheetUrl,
     createIndustry,
     updateIndustry,
     deleteIndustry,
+    getTrackOccupancy,
     createRoute,
     updateRoute,
     deleteRoute,
@@ -824,19 +1097,33 @@ export const AppProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     getLocomotiveAssignments,
     // Train operations
     fetchCurrentSession,
+    fetchSessionHistory,
     advanceSession,
     rollbackSession,
     updateSessionDescription,
+    fetchFastClock,
+    updateFastClock,
+    startFastClock,
+    pauseFastClock,
+    resetFastClock,
     fetchTrains,
     createTrain,
     updateTrain,
     deleteTrain,
     generateSwitchList,
+    getSwitchListUrl,
+    getTimetable,
+    getTimetableUrl,
     completeTrain,
     cancelTrain,
     fetchCarOrders,
     generateCarOrders,
+    expediteCarOrder,
     deleteCarOrder,
+    // Reports
+    getReport,
+    getCarOrderStats,
+    getDemandPreview,
   };
 
   return (
@@ -0,0 +1,146 @@
+import React, { createContext, useState, useCallback, useEffect, useMemo, type ReactNode } from 'react';
+import type { AuthContextType, User, UserFormData, UserRole } from '../types';
+import { apiService } from '../services/api';
+
+const notSignedIn = async () => {
+  throw new Error('Authentication is not available');
+};
+
+// Outside an AuthProvider the app behaves as if authentication were off
+const AuthContext = createContext<AuthContextType>({
+  user: null,
+  authEnabled: false,
+  loading: false,
+  error: null,
+  users: [],
+  login: notSignedIn,
+  logout: async () => {},
+  hasRole: () => true,
+  fetchUsers: async () => {},
+  createUser: notSignedIn,
+  updateUser: notSignedIn,
+  deleteUser: notSignedIn,
+});
+
+export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
+  const [user, setUser] = useState<User | null>(null);
+  const [authEnabled, setAuthEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [users, setUsers] = useState<User[]>([]);
+
+  // Find out who is signed in, or that nobody needs to be
+  useEffect(() => {
+    apiService.onUnauthorized(() => setUser(null));
+
+    apiService.getMe()
+      .then(response => {
+        const me = response.data ?? null;
+        setUser(me);
+        setAuthEnabled(me !== null);
+      })
+      .catch(() => {
+        // 401: authentication is on and the stored token, if any, is no good
+        setUser(null);
+        setAuthEnabled(true);
+      })
+      .finally(() => setLoading(false));
+
+    return () => apiService.onUnauthorized(null);
+  }, []);
+
+  const login = useCallback(async (username: string, password: string) => {
+    try {
+      setError(null);
+      const response = await apiService.login(username, password);
+      setUser(response.data?.user ?? null);
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to sign in');
+      throw error;
+    }
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await apiService.logout();
+    } catch {
+      // The token is dropped locally either way
+    } finally {
+      setUser(null);
+      setUsers([]);
+    }
+  }, []);
+
+  const hasRole = useCallback(
+    (...roles: UserRole[]) => !authEnabled || (user !== null && roles.includes(user.role)),
+    [authEnabled, user]
+  );
+
+  // Fetch all accounts (superintendents and dispatchers only)
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await apiService.getUsers();
+      setUsers(response.data || []);
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to fetch users');
+      throw error;
+    }
+  }, []);
+
+  const createUser = useCallback(async (data: UserFormData): Promise<User> => {
+    try {
+      const response = await apiService.createUser(data);
+      const created = response.data as User;
+      setUsers(prev => [...prev, created].sort((a, b) => a.username.localeCompare(b.username)));
+      return created;
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to create user');
+      throw error;
+    }
+  }, []);
+
+  const updateUser = useCallback(async (id: string, data: Partial<UserFormData>) => {
+    try {
+      const response = await apiService.updateUser(id, data);
+      const updated = response.data as User;
+      setUsers(prev => prev.map(u => (u._id === id ? updated : u)));
+      setUser(prev => (prev?._id === id ? updated : prev));
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to update user');
+      throw error;
+    }
+  }, []);
+
+  const deleteUser = useCallback(async (id: string) => {
+    try {
+      await apiService.deleteUser(id);
+      setUsers(prev => prev.filter(u => u._id !== id));
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to delete user');
+      throw error;
+    }
+  }, []);
+
+  const contextValue = useMemo<AuthContextType>(() => ({
+    user,
+    authEnabled,
+    loading,
+    error,
+    users,
+    login,
+    logout,
+    hasRole,
+    fetchUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+  }), [user, authEnabled, loading, error, users, login, logout, hasRole, fetchUsers, createUser, updateUser, deleteUser]);
+
+  return (
+    <AuthContext.Provider value={contextValue}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthContext;
@@ -0,0 +1,121 @@
+import React, { createContext, useState, useCallback, useEffect, useMemo, type ReactNode } from 'react';
+import type { LayoutCloneResult, LayoutsContextType, RailroadLayout, RailroadLayoutFormData } from '../types';
+import { apiService, DEFAULT_LAYOUT_ID } from '../services/api';
+
+const notAvailable = async () => {
+  throw new Error('Layouts are not available');
+};
+
+// Outside a LayoutsProvider the app works on the default layout alone
+const LayoutsContext = createContext<LayoutsContextType>({
+  layouts: [],
+  currentLayoutId: DEFAULT_LAYOUT_ID,
+  currentLayout: null,
+  error: null,
+  switchLayout: () => {},
+  fetchLayouts: async () => {},
+  createLayout: notAvailable,
+  cloneLayout: notAvailable,
+  deleteLayout: notAvailable,
+});
+
+// Same order as the server: the default layout first, then by name
+const sortLayouts = (layouts: RailroadLayout[]) => [...layouts].sort((a, b) => {
+  if (a._id === DEFAULT_LAYOUT_ID) return -1;
+  if (b._id === DEFAULT_LAYOUT_ID) return 1;
+  return a.name.localeCompare(b.name);
+});
+
+export const LayoutsProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
+  const [layouts, setLayouts] = useState<RailroadLayout[]>([]);
+  const [currentLayoutId, setCurrentLayoutId] = useState(() => apiService.getLayoutId());
+  const [error, setError] = useState<string | null>(null);
+
+  const switchLayout = useCallback((id: string) => {
+    apiService.setLayoutId(id);
+    setCurrentLayoutId(id);
+  }, []);
+
+  const fetchLayouts = useCallback(async () => {
+    try {
+      const response = await apiService.getLayouts();
+      const list = response.data || [];
+      setLayouts(list);
+      // The remembered layout may have been deleted from another browser
+      if (!list.some(layout => layout._id === apiService.getLayoutId())) {
+        switchLayout(DEFAULT_LAYOUT_ID);
+      }
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to fetch layouts');
+      throw error;
+    }
+  }, [switchLayout]);
+
+  useEffect(() => {
+    fetchLayouts().catch(() => {
+      // Error is kept in context state
+    });
+  }, [fetchLayouts]);
+
+  const createLayout = useCallback(async (data: RailroadLayoutFormData): Promise<RailroadLayout> => {
+    try {
+      setError(null);
+      const response = await apiService.createLayout(data);
+      const created = response.data as RailroadLayout;
+      setLayouts(prev => sortLayouts([...prev, created]));
+      return created;
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to create layout');
+      throw error;
+    }
+  }, []);
+
+  const cloneLayout = useCallback(async (sourceId: string, data: RailroadLayoutFormData): Promise<LayoutCloneResult> => {
+    try {
+      setError(null);
+      const response = await apiService.cloneLayout(sourceId, data);
+      const result = response.data as LayoutCloneResult;
+      setLayouts(prev => sortLayouts([...prev, result.layout]));
+      return result;
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to clone layout');
+      throw error;
+    }
+  }, []);
+
+  const deleteLayout = useCallback(async (id: string) => {
+    try {
+      setError(null);
+      await apiService.deleteLayout(id);
+      setLayouts(prev => prev.filter(layout => layout._id !== id));
+      if (apiService.getLayoutId() === id) {
+        switchLayout(DEFAULT_LAYOUT_ID);
+      }
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Failed to delete layout');
+      throw error;
+    }
+  }, [switchLayout]);
+
+  const currentLayout = layouts.find(layout => layout._id === currentLayoutId) ?? null;
+
+  const contextValue = useMemo<LayoutsContextType>(() => ({
+    layouts,
+    currentLayoutId,
+    currentLayout,
+    error,
+    switchLayout,
+    fetchLayouts,
+    createLayout,
+    cloneLayout,
+    deleteLayout,
+  }), [layouts, currentLayoutId, currentLayout, error, switchLayout, fetchLayouts, createLayout, cloneLayout, deleteLayout]);
+
+  return (
+    <LayoutsContext.Provider value={contextValue}>
+      {children}
+    </LayoutsContext.Provider>
+  );
+};
+
+export default LayoutsContext;
@@ -25,7 +25,9 @@ import type {
 
 // Mock apiService
 vi.mock('../../services/api', () => ({
+  DEFAULT_LAYOUT_ID: 'default',
   apiService: {
+    withAccessToken: vi.fn((url: string) => url),
     getCars: vi.fn(),
     getLocomotives: vi.fn(),
     getIndustries: vi.fn(),
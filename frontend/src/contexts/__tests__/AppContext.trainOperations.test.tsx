@@ -17,7 +17,9 @@ import type { ReactNode } from 'react';
 
 // Mock apiService
 vi.mock('../../services/api', () => ({
+  DEFAULT_LAYOUT_ID: 'default',
   apiService: {
+    withAccessToken: vi.fn((url: string) => url),
     getCars: vi.fn(),
     getLocomotives: vi.fn(),
     getIndustries: vi.fn(),
@@ -31,6 +33,9 @@ vi.mock('../../services/api', () => ({
     advanceSession: vi.fn(),
     rollbackSession: vi.fn(),
     updateSessionDescription: vi.fn(),
+    getFastClock: vi.fn(),
+    updateFastClock: vi.fn(),
+    pauseFastClock: vi.fn(),
     getTrains: vi.fn(),
     createTrain: vi.fn(),
     updateTrain: vi.fn(),
@@ -63,6 +68,7 @@ describe('AppContext - Train Operations', () => {
     (apiService.getTracks as any).mockResolvedValue({ data: [] });
     (apiService.getRoutes as any).mockResolvedValue({ data: [] });
     (apiService.getCurrentSession as any).mockResolvedValue({ data: null });
+    vi.mocked(apiService.getFastClock).mockResolvedValue({ success: true });
   });
 
   describe('Session Management', () => {
@@ -115,6 +121,7 @@ describe('AppContext - Train Operations', () => {
         expect(result.current.currentSession?.currentSessionNumber).toBe(2);
         expect(apiService.getTrains).toHaveBeenCalled();
         expect(apiService.getCarOrders).toHaveBeenCalled();
+        expect(apiService.getFastClock).toHaveBeenCalled();
       });
     });
 
@@ -167,6 +174,25 @@ describe('AppContext - Train Operations', () => {
       });
     });
 
+    it('should change and pause the fast clock', async () => {
+      const clock = { ratio: 6, startTime: 420, running: true, time: 430, asOf: '2025-10-28T14:00:00.000Z' };
+      vi.mocked(apiService.updateFastClock).mockResolvedValue({ success: true, data: clock });
+      vi.mocked(apiService.pauseFastClock).mockResolvedValue({ success: true, data: { ...clock, running: false } });
+
+      const { result } = renderHook(() => useApp(), { wrapper });
+
+      await act(async () => {
+        await result.current.updateFastClock({ ratio: 6, startTime: 420 });
+      });
+      expect(apiService.updateFastClock).toHaveBeenCalledWith({ ratio: 6, startTime: 420 });
+      expect(result.current.fastClock).toEqual(clock);
+
+      await act(async () => {
+        await result.current.pauseFastClock();
+      });
+      expect(result.current.fastClock?.running).toBe(false);
+    });
+
     it('should handle session errors', async () => {
       (apiService.getCurrentSession as any).mockRejectedValue(new Error('Session not found'));
 
@@ -0,0 +1,132 @@
+/**
+ * AuthContext Tests
+ *
+ * Tests sign-in state and role checks:
+ * - Detecting whether authentication is on
+ * - Login, logout and rejected tokens
+ * - hasRole with and without authentication
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { AuthProvider } from '../AuthContext';
+import { useAuth } from '../useAuth';
+import { apiService } from '../../services/api';
+import type { ReactNode } from 'react';
+import type { User } from '../../types';
+
+// Mock apiService
+vi.mock('../../services/api', () => ({
+  apiService: {
+    getMe: vi.fn(),
+    login: vi.fn(),
+    logout: vi.fn(),
+    onUnauthorized: vi.fn(),
+    getUsers: vi.fn(),
+    createUser: vi.fn(),
+    updateUser: vi.fn(),
+    deleteUser: vi.fn(),
+  },
+}));
+
+const wrapper = ({ children }: { children: ReactNode }) => (
+  <AuthProvider>{children}</AuthProvider>
+);
+
+describe('AuthContext', () => {
+  const dispatcher: User = {
+    _id: 'user1',
+    username: 'dispatcher',
+    displayName: 'Dispatcher',
+    role: 'dispatcher',
+    isActive: true,
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should treat a null user as authentication turned off', async () => {
+    vi.mocked(apiService.getMe).mockResolvedValue({ success: true, data: null });
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.authEnabled).toBe(false);
+    expect(result.current.hasRole('superintendent')).toBe(true);
+  });
+
+  it('should restore the signed-in user', async () => {
+    vi.mocked(apiService.getMe).mockResolvedValue({ success: true, data: dispatcher });
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.authEnabled).toBe(true);
+    expect(result.current.user).toEqual(dispatcher);
+    expect(result.current.hasRole('superintendent', 'dispatcher')).toBe(true);
+    expect(result.current.hasRole('superintendent')).toBe(false);
+  });
+
+  it('should ask for sign-in when the server rejects the request', async () => {
+    vi.mocked(apiService.getMe).mockRejectedValue(new Error('Authentication required'));
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.authEnabled).toBe(true);
+    expect(result.current.user).toBeNull();
+    expect(result.current.hasRole('viewer')).toBe(false);
+  });
+
+  it('should sign in and out', async () => {
+    vi.mocked(apiService.getMe).mockRejectedValue(new Error('Authentication required'));
+    vi.mocked(apiService.login).mockResolvedValue({ success: true, data: { token: 'abc', expiresAt: '', user: dispatcher } });
+    vi.mocked(apiService.logout).mockResolvedValue({ success: true });
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(async () => {
+      await result.current.login('dispatcher', 'highball123');
+    });
+    expect(result.current.user).toEqual(dispatcher);
+
+    await act(async () => {
+      await result.current.logout();
+    });
+    expect(result.current.user).toBeNull();
+  });
+
+  it('should keep the error from a failed sign-in', async () => {
+    vi.mocked(apiService.getMe).mockRejectedValue(new Error('Authentication required'));
+    vi.mocked(apiService.login).mockRejectedValue(new Error('Invalid username or password'));
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    await act(async () => {
+      await expect(result.current.login('dispatcher', 'wrong')).rejects.toThrow();
+    });
+    expect(result.current.error).toBe('Invalid username or password');
+  });
+
+  it('should sign out when a token is rejected', async () => {
+    vi.mocked(apiService.getMe).mockResolvedValue({ success: true, data: dispatcher });
+
+    const { result } = renderHook(() => useAuth(), { wrapper });
+    await waitFor(() => expect(result.current.user).toEqual(dispatcher));
+
+    const onUnauthorized = vi.mocked(apiService.onUnauthorized).mock.calls[0][0];
+    act(() => onUnauthorized?.());
+
+    expect(result.current.user).toBeNull();
+  });
+
+  it('should let the app run without a provider as if authentication were off', () => {
+    const { result } = renderHook(() => useAuth());
+
+    expect(result.current.authEnabled).toBe(false);
+    expect(result.current.hasRole('superintendent')).toBe(true);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * LayoutsContext Tests
+ *
+ * Tests choosing and managing layouts:
+ * - Loading layouts and falling back from a layout that no longer exists
+ * - Switching layouts
+ * - Creating, cloning and deleting layouts
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { LayoutsProvider } from '../LayoutsContext';
+import { useLayouts } from '../useLayouts';
+import { apiService } from '../../services/api';
+import type { ReactNode } from 'react';
+import type { RailroadLayout } from '../../types';
+
+// Mock apiService, remembering the chosen layout like the real one does
+vi.mock('../../services/api', () => {
+  let layoutId = 'default';
+  return {
+    DEFAULT_LAYOUT_ID: 'default',
+    apiService: {
+      getLayoutId: vi.fn(() => layoutId),
+      setLayoutId: vi.fn((id: string) => { layoutId = id; }),
+      getLayouts: vi.fn(),
+      createLayout: vi.fn(),
+      cloneLayout: vi.fn(),
+      deleteLayout: vi.fn(),
+    },
+  };
+});
+
+const wrapper = ({ children }: { children: ReactNode }) => (
+  <LayoutsProvider>{children}</LayoutsProvider>
+);
+
+describe('LayoutsContext', () => {
+  const defaultLayout: RailroadLayout = { _id: 'default', name: 'Default Layout', description: '' };
+  const clubLayout: RailroadLayout = { _id: 'club', name: 'Club Modules', description: 'Free-mo setup' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    apiService.setLayoutId('default');
+    vi.mocked(apiService.getLayouts).mockResolvedValue({ success: true, data: [defaultLayout, clubLayout] });
+  });
+
+  it('should load layouts and start on the remembered one', async () => {
+    apiService.setLayoutId('club');
+
+    const { result } = renderHook(() => useLayouts(), { wrapper });
+
+    await waitFor(() => expect(result.current.layouts).toHaveLength(2));
+    expect(result.current.currentLayoutId).toBe('club');
+    expect(result.current.currentLayout).toEqual(clubLayout);
+  });
+
+  it('should fall back to the default layout when the remembered one is gone', async () => {
+    apiService.setLayoutId('deleted');
+
+    const { result } = renderHook(() => useLayouts(), { wrapper });
+
+    await waitFor(() => expect(result.current.currentLayoutId).toBe('default'));
+    expect(apiService.setLayoutId).toHaveBeenLastCalledWith('default');
+  });
+
+  it('should switch layouts', async () => {
+    const { result } = renderHook(() => useLayouts(), { wrapper });
+    await waitFor(() => expect(result.current.layouts).toHaveLength(2));
+
+    act(() => result.current.switchLayout('club'));
+
+    expect(result.current.currentLayoutId).toBe('club');
+    expect(apiService.getLayoutId()).toBe('club');
+  });
+
+  it('should keep the default layout first when adding layouts', async () => {
+    const attic: RailroadLayout = { _id: 'attic', name: 'Attic Layout', description: '' };
+    vi.mocked(apiService.createLayout).mockResolvedValue({ success: true, data: attic });
+
+    const { result } = renderHook(() => useLayouts(), { wrapper });
+    await waitFor(() => expect(result.current.layouts).toHaveLength(2));
+
+    await act(async () => {
+      await result.current.createLayout({ name: 'Attic Layout', description: '' });
+    });
+
+    expect(result.current.layouts.map(l => l._id)).toEqual(['default', 'attic', 'club']);
+  });
+
+  it('should add a cloned layout', async () => {
+    const copy: RailroadLayout = { _id: 'copy', name: 'Club Modules (copy)', description: 'Free-mo setup' };
+    vi.mocked(apiService.cloneLayout).mockResolvedValue({ success: true, data: { layout: copy, stats: { copied: {}, totalCopied: 0 } } });
+
+    const { result } = renderHook(() => useLayouts(), { wrapper });
+    await waitFor(() => expect(result.current.layouts).toHaveLength(2));
+
+    await act(async () => {
+      await result.current.cloneLayout('club', { name: 'Club Modules (copy)', description: 'Free-mo setup' });
+    });
+
+    expect(apiService.cloneLayout).toHaveBeenCalledWith('club', { name: 'Club Modules (copy)', description: 'Free-mo setup' });
+    expect(result.current.layouts).toContainEqual(copy);
+  });
+
+  it('should return to the default layout after deleting the current one', async () => {
+    apiService.setLayoutId('club');
+    vi.mocked(apiService.deleteLayout).mockResolvedValue({ success: true, data: null });
+
+    const { result } = renderHook(() => useLayouts(), { wrapper });
+    await waitFor(() => expect(result.current.layouts).toHaveLength(2));
+
+    await act(async () => {
+      await result.current.deleteLayout('club');
+    });
+
+    expect(result.current.layouts).toEqual([defaultLayout]);
+    expect(result.current.currentLayoutId).toBe('default');
+  });
+
+  it('should keep the error when a request fails', async () => {
+    vi.mocked(apiService.createLayout).mockRejectedValue(new Error("A layout named 'Club Modules' already exists"));
+
+    const { result } = renderHook(() => useLayouts(), { wrapper });
+    await waitFor(() => expect(result.current.layouts).toHaveLength(2));
+
+    await act(async () => {
+      await expect(result.current.createLayout({ name: 'Club Modules', description: '' })).rejects.toThrow();
+    });
+
+    expect(result.current.error).toBe("A layout named 'Club Modules' already exists");
+  });
+});
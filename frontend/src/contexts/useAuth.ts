@@ -0,0 +1,6 @@
+import { useContext } from 'react';
+import type { AuthContextType } from '../types';
+import AuthContext from './AuthContext';
+
+// Hook to use the context
+export const useAuth = (): AuthContextType => useContext(AuthContext);
@@ -0,0 +1,6 @@
+import { useContext } from 'react';
+import type { LayoutsContextType } from '../types';
+import LayoutsContext from './LayoutsContext';
+
+// Hook to use the context
+export const useLayouts = (): LayoutsContextType => useContext(LayoutsContext);
@@ -22,6 +22,11 @@ import {
   FormControlLabel,
   Switch,
   Stack,
+  Tabs,
+  Tab,
+  List,
+  ListItem,
+  ListItemText,
 } from '@mui/material';
 import {
   Add,
@@ -31,10 +36,11 @@ import {
   LocationOn,
   DirectionsCar,
   FilterList,
+  Print,
 } from '@mui/icons-material';
 import { DataGrid, type GridColDef, type GridRowsProp } from '@mui/x-data-grid';
 import { useApp } from '../contexts/AppContext';
-import type { RollingStock } from '../types';
+import type { CardSheet, CarMovement, CarMovementReason, RollingStock } from '../types';
 
 interface CarFilters {
   search: string;
@@ -43,6 +49,15 @@ interface CarFilters {
   inService: string; // 'all' | 'true' | 'false'
 }
 
+// Display labels for movement ledger reasons
+const MOVEMENT_REASON_LABELS: Record<CarMovementReason, string> = {
+  manual: 'Manual move',
+  train: 'Train',
+  'session-advance': 'Session advance',
+  'session-rollback': 'Session rollback',
+  import: 'Import',
+};
+
 interface CarFormData {
   reportingMarks: string;
   reportingNumber: string;
@@ -59,12 +74,15 @@ const CarManagement: React.FC = () => {
     cars,
     industries,
     aarTypes,
+    goods,
     loading,
     error,
     fetchData,
     createCar,
     updateCar,
     deleteCar,
+    getCarHistory,
+    getCardSheetUrl,
   } = useApp();
 
   const [filters, setFilters] = useState<CarFilters>({
@@ -80,11 +98,49 @@ const CarManagement: React.FC = () => {
   const [formData, setFormData] = useState<CarFormData | null>(null);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [carToDelete, setCarToDelete] = useState<RollingStock | null>(null);
+  const [dialogTab, setDialogTab] = useState<'details' | 'history'>('details');
+  const [carHistory, setCarHistory] = useState<CarMovement[]>([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
 
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
+  // Load movement history when the history tab is opened
+  useEffect(() => {
+    const carId = selectedCar?.id || selectedCar?._id;
+    if (dialogTab !== 'history' || !carId) {
+      return;
+    }
+
+    let cancelled = false;
+    setHistoryLoading(true);
+    getCarHistory(carId)
+      .then((history) => {
+        if (!cancelled) setCarHistory(history);
+      })
+      .catch(() => {
+        if (!cancelled) setCarHistory([]);
+      })
+      .finally(() => {
+        if (!cancelled) setHistoryLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dialogTab, selectedCar, getCarHistory]);
+
+  const getIndustryName = (industryId: string | null): string => {
+    if (!industryId) return 'New';
+    return industries.find(i => (i.id || i._id) === industryId)?.name || industryId;
+  };
+
+  const getGoodName = (goodsId: string | null): string => {
+    if (!goodsId) return '';
+    return goods.find(g => (g.id || g._id) === goodsId)?.name || goodsId;
+  };
+
   // Filter cars based on current filters
   const filteredCars = cars.filter((car) => {
     // Search filter (reporting marks or number)
@@ -255,6 +311,11 @@ const CarManagement: React.FC = () => {
     setDialogOpen(true);
   };
 
+  // Car cards and waybills print four to a page from the backend
+  const handlePrintCardSheet = (sheet: CardSheet) => {
+    window.open(getCardSheetUrl(sheet, 'html'), '_blank', 'noopener');
+  };
+
   const handleDeleteClick = (car: RollingStock) => {
     setCarToDelete(car);
     setDeleteConfirmOpen(true);
@@ -307,6 +368,8 @@ const CarManagement: React.FC = () => {
     setDialogOpen(false);
     setSelectedCar(null);
     setFormData(null);
+    setDialogTab('details');
+    setCarHistory([]);
   };
 
   if (loading) {
@@ -331,13 +394,29 @@ const CarManagement: React.FC = () => {
         <Typography variant="h4" component="h1">
           Car Management
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<Add />}
-          onClick={handleAddCar}
-        >
-          Add Car
-        </Button>
+        <Box display="flex" gap={1}>
+          <Button
+            variant="outlined"
+            startIcon={<Print />}
+            onClick={() => handlePrintCardSheet('car-cards')}
+          >
+            Car Cards
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<Print />}
+            onClick={() => handlePrintCardSheet('waybills')}
+          >
+            Waybills
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={handleAddCar}
+          >
+            Add Car
+          </Button>
+        </Box>
       </Box>
 
       {/* Filters Card */}
@@ -468,7 +547,40 @@ const CarManagement: React.FC = () => {
           {dialogMode === 'add' ? 'Add New Car' : 'Edit Car'}
         </DialogTitle>
         <DialogContent>
-          {formData && (
+          {dialogMode === 'edit' && (
+            <Tabs value={dialogTab} onChange={(_, value) => setDialogTab(value)} sx={{ mb: 1 }}>
+              <Tab label="Details" value="details" />
+              <Tab label="History" value="history" />
+            </Tabs>
+          )}
+          {dialogTab === 'history' && (
+            historyLoading ? (
+              <Box display="flex" justifyContent="center" py={3}>
+                <CircularProgress size={32} />
+              </Box>
+            ) : carHistory.length > 0 ? (
+              <List dense>
+                {[...carHistory].reverse().map((movement, idx) => (
+                  <ListItem key={movement._id || idx} divider>
+                    <ListItemText
+                      primary={`${getIndustryName(movement.fromIndustryId)} → ${getIndustryName(movement.toIndustryId)}`}
+                      secondary={[
+                        `Session ${movement.sessionNumber}`,
+                        MOVEMENT_REASON_LABELS[movement.reason] || movement.reason,
+                        movement.loadState === 'loaded' ? `Loaded${movement.currentLoad ? ` (${getGoodName(movement.currentLoad)})` : ''}` : 'Empty',
+                        new Date(movement.movedAt).toLocaleString(),
+                      ].join(' • ')}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                No recorded movements for this car
+              </Typography>
+            )
+          )}
+          {formData && dialogTab === 'details' && (
             <Stack spacing={2} sx={{ pt: 2 }}>
               <Box
                 sx={{
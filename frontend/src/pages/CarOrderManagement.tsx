@@ -26,10 +26,13 @@ import {
   Add,
   Delete,
   Refresh,
+  LocalFireDepartment,
+  Insights,
 } from '@mui/icons-material';
 import { DataGrid, type GridColDef } from '@mui/x-data-grid';
 import { useApp } from '../contexts/AppContext';
-import type { CarOrder, CarOrderStatus, CarOrderGenerationRequest } from '../types';
+import DemandPreviewDialog from '../components/DemandPreviewDialog';
+import type { CarOrder, CarOrderStatus, CarOrderGenerationRequest, OrderPriority } from '../types';
 
 interface OrderFilters {
   industryId: string | 'all';
@@ -51,6 +54,7 @@ const CarOrderManagement: React.FC = () => {
     fetchCurrentSession,
     fetchCarOrders,
     deleteCarOrder,
+    expediteCarOrder,
     generateCarOrders,
   } = useApp();
 
@@ -64,6 +68,7 @@ const CarOrderManagement: React.FC = () => {
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [orderToDelete, setOrderToDelete] = useState<CarOrder | null>(null);
   const [generateDialogOpen, setGenerateDialogOpen] = useState(false);
+  const [previewDialogOpen, setPreviewDialogOpen] = useState(false);
   const [generateRequest, setGenerateRequest] = useState<CarOrderGenerationRequest>({
     sessionNumber: undefined,
     force: false,
@@ -102,7 +107,7 @@ const CarOrderManagement: React.FC = () => {
   });
 
   // Get status color
-  const getStatusColor = (status: CarOrderStatus): 'default' | 'primary' | 'warning' | 'success' => {
+  const getStatusColor = (status: CarOrderStatus): 'default' | 'primary' | 'warning' | 'success' | 'error' => {
     switch (status) {
       case 'pending':
         return 'default';
@@ -112,11 +117,27 @@ const CarOrderManagement: React.FC = () => {
         return 'warning';
       case 'delivered':
         return 'success';
+      case 'expired':
+        return 'error';
       default:
         return 'default';
     }
   };
 
+  // Get priority color
+  const getPriorityColor = (priority: OrderPriority): 'error' | 'default' => (
+    priority === 'hot' ? 'error' : 'default'
+  );
+
+  // Handle expedite; failures show in the page's error banner
+  const handleExpedite = async (order: CarOrder) => {
+    try {
+      await expediteCarOrder(order._id || order.id || '');
+    } catch (error) {
+      console.error('Failed to expedite order:', error);
+    }
+  };
+
   // Handle delete
   const handleDeleteClick = (order: CarOrder) => {
     setOrderToDelete(order);
@@ -203,6 +224,20 @@ const CarOrderManagement: React.FC = () => {
       headerName: 'Session',
       width: 100,
     },
+    {
+      field: 'backorderAge',
+      headerName: 'Backorder Age',
+      width: 130,
+      valueGetter: (_value, row) => row.backorderAge || 0,
+      renderCell: (params) => params.value > 0 ? (
+        <Chip
+          label={`${params.value} session${params.value === 1 ? '' : 's'}`}
+          color={params.row.status === 'pending' ? 'warning' : 'default'}
+          size="small"
+          variant="outlined"
+        />
+      ) : '-',
+    },
     {
       field: 'status',
       headerName: 'Status',
@@ -215,6 +250,20 @@ const CarOrderManagement: React.FC = () => {
         />
       ),
     },
+    {
+      field: 'priority',
+      headerName: 'Priority',
+      width: 100,
+      valueGetter: (_value, row) => row.priority || 'normal',
+      renderCell: (params) => (
+        <Chip
+          label={params.value}
+          color={getPriorityColor(params.value as OrderPriority)}
+          size="small"
+          variant={params.value === 'normal' ? 'outlined' : 'filled'}
+        />
+      ),
+    },
     {
       field: 'assignedCar',
       headerName: 'Assigned Car',
@@ -244,9 +293,22 @@ const CarOrderManagement: React.FC = () => {
       renderCell: (params) => {
         const order = params.row as CarOrder;
         const canDelete = order.status === 'pending';
+        const canExpedite = order.status === 'pending' && order.priority !== 'hot';
 
         return (
           <Box display="flex" gap={0.5}>
+            {canExpedite && (
+              <Tooltip title="Expedite Order">
+                <IconButton
+                  size="small"
+                  onClick={() => handleExpedite(order)}
+                  disabled={ordersLoading}
+                  color="warning"
+                >
+                  <LocalFireDepartment fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
             {canDelete && (
               <Tooltip title="Delete Order">
                 <IconButton
@@ -269,6 +331,7 @@ const CarOrderManagement: React.FC = () => {
   const stats = {
     total: filteredOrders.length,
     pending: filteredOrders.filter(o => o.status === 'pending').length,
+    backordered: filteredOrders.filter(o => o.status === 'pending' && (o.backorderAge || 0) > 0).length,
     assigned: filteredOrders.filter(o => o.status === 'assigned').length,
     inTransit: filteredOrders.filter(o => o.status === 'in-transit').length,
     delivered: filteredOrders.filter(o => o.status === 'delivered').length,
@@ -297,6 +360,14 @@ const CarOrderManagement: React.FC = () => {
           >
             Refresh
           </Button>
+          <Button
+            variant="outlined"
+            startIcon={<Insights />}
+            onClick={() => setPreviewDialogOpen(true)}
+            disabled={!currentSession}
+          >
+            Preview Demand
+          </Button>
           <Button
             variant="contained"
             startIcon={<Add />}
@@ -337,6 +408,11 @@ const CarOrderManagement: React.FC = () => {
               Pending
             </Typography>
             <Typography variant="h4">{stats.pending}</Typography>
+            {stats.backordered > 0 && (
+              <Typography variant="body2" color="warning.main">
+                {stats.backordered} backordered
+              </Typography>
+            )}
           </CardContent>
         </Card>
         <Card>
@@ -399,6 +475,7 @@ const CarOrderManagement: React.FC = () => {
                 <MenuItem value="assigned">Assigned</MenuItem>
                 <MenuItem value="in-transit">In Transit</MenuItem>
                 <MenuItem value="delivered">Delivered</MenuItem>
+                <MenuItem value="expired">Expired</MenuItem>
               </Select>
             </FormControl>
             <FormControl size="small" sx={{ minWidth: 150 }}>
@@ -527,6 +604,8 @@ const CarOrderManagement: React.FC = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <DemandPreviewDialog open={previewDialogOpen} onClose={() => setPreviewDialogOpen(false)} />
     </Box>
   );
 };
@@ -26,9 +26,18 @@ import {
   Error,
   Warning,
   DeleteForever,
+  Download,
 } from '@mui/icons-material';
 import { useApp } from '../contexts/AppContext';
-import type { ImportResult } from '../types';
+import { useAuth } from '../contexts/useAuth';
+import type { ImportResult, JmriRoster } from '../types';
+
+const JMRI_ROSTERS: { roster: JmriRoster; label: string }[] = [
+  { roster: 'locations', label: 'Locations' },
+  { roster: 'cars', label: 'Cars' },
+  { roster: 'engines', label: 'Engines' },
+  { roster: 'routes', label: 'Routes' },
+];
 
 // Local state type for import results
 interface LocalImportResult {
@@ -38,11 +47,13 @@ interface LocalImportResult {
 }
 
 const DataImport: React.FC = () => {
-  const { importData, clearDatabase, loading } = useApp();
+  const { importData, importJmri, getJmriExportUrl, clearDatabase, loading } = useApp();
+  const { hasRole } = useAuth();
   const [importResult, setImportResult] = useState<LocalImportResult | null>(null);
   const [jsonInput, setJsonInput] = useState('');
   const [file, setFile] = useState<File | null>(null);
   const [clearDialogOpen, setClearDialogOpen] = useState(false);
+  const [jmriFiles, setJmriFiles] = useState<File[]>([]);
 
   const handleFileUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
     const selectedFile = event.target.files?.[0];
@@ -91,6 +102,29 @@ const DataImport: React.FC = () => {
     }
   };
 
+  const handleJmriImport = async () => {
+    try {
+      const files = await Promise.all(jmriFiles.map(jmriFile => jmriFile.text()));
+      const result = await importJmri(files);
+      setImportResult({
+        success: true,
+        data: result,
+      });
+      setJmriFiles([]);
+    } catch (err: unknown) {
+      let errorMessage = 'JMRI import failed';
+      if (err instanceof Error) {
+        errorMessage = (err as Error).message;
+      } else if (typeof err === 'string') {
+        errorMessage = err;
+      }
+      setImportResult({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  };
+
   const handleClear = () => {
     setJsonInput('');
     setFile(null);
@@ -163,15 +197,17 @@ const DataImport: React.FC = () => {
         <Typography variant="h4" component="h1">
           Data Import
         </Typography>
-        <Button
-          variant="outlined"
-          color="error"
-          startIcon={<DeleteForever />}
-          onClick={() => setClearDialogOpen(true)}
-          disabled={loading}
-        >
-          Clear Database
-        </Button>
+        {hasRole('superintendent') && (
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<DeleteForever />}
+            onClick={() => setClearDialogOpen(true)}
+            disabled={loading}
+          >
+            Clear Database
+          </Button>
+        )}
       </Box>
 
       <Box
@@ -259,6 +295,71 @@ const DataImport: React.FC = () => {
             </CardContent>
           </Card>
 
+          {/* JMRI Section */}
+          <Card sx={{ mt: 3 }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                JMRI Operations
+              </Typography>
+              <Typography variant="body2" color="text.secondary" paragraph>
+                Import OperationsLocationRoster.xml, OperationsCarRoster.xml, OperationsEngineRoster.xml
+                and OperationsRouteRoster.xml from JMRI's operations folder. Locations become stations,
+                spurs become industries and yard, staging and interchange tracks become each location's yard.
+              </Typography>
+
+              <Box display="flex" gap={2} flexWrap="wrap" alignItems="center" sx={{ mb: 2 }}>
+                <Button
+                  variant="outlined"
+                  component="label"
+                  startIcon={<FileUpload />}
+                >
+                  Choose JMRI Files
+                  <input
+                    type="file"
+                    accept=".xml"
+                    multiple
+                    hidden
+                    onChange={(e) => setJmriFiles(Array.from(e.target.files ?? []))}
+                  />
+                </Button>
+                {jmriFiles.map((jmriFile) => (
+                  <Chip
+                    key={jmriFile.name}
+                    label={jmriFile.name}
+                    onDelete={() => setJmriFiles(jmriFiles.filter(f => f !== jmriFile))}
+                  />
+                ))}
+              </Box>
+
+              <Button
+                variant="contained"
+                onClick={handleJmriImport}
+                disabled={loading || jmriFiles.length === 0}
+                startIcon={<CloudUpload />}
+                sx={{ mb: 3 }}
+              >
+                Import JMRI Files
+              </Button>
+
+              <Typography variant="subtitle2" gutterBottom>
+                Export for JMRI:
+              </Typography>
+              <Box display="flex" gap={1} flexWrap="wrap">
+                {JMRI_ROSTERS.map(({ roster, label }) => (
+                  <Button
+                    key={roster}
+                    size="small"
+                    variant="outlined"
+                    startIcon={<Download />}
+                    href={getJmriExportUrl(roster)}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </Box>
+            </CardContent>
+          </Card>
+
           {/* Import Results */}
           {importResult && (
             <Card sx={{ mt: 3 }}>
@@ -17,6 +17,7 @@ import {
   DialogContent,
   DialogActions,
   FormControl,
+  FormHelperText,
   InputLabel,
   Select,
   Stack,
@@ -45,7 +46,7 @@ import {
 } from '@mui/icons-material';
 import { DataGrid, type GridColDef, type GridRowsProp } from '@mui/x-data-grid';
 import { useApp } from '../contexts/AppContext';
-import type { Industry, RollingStock, Track } from '../types';
+import type { Industry, PointAccess, RollingStock, Track, TrackOccupancy } from '../types';
 import { CarDemandConfigEditor } from '../components/CarDemandConfigEditor';
 
 interface IndustryFilters {
@@ -69,6 +70,7 @@ const IndustryView: React.FC = () => {
     createIndustry,
     updateIndustry,
     deleteIndustry,
+    getTrackOccupancy,
   } = useApp();
 
   const [filters, setFilters] = useState<IndustryFilters>({
@@ -92,16 +94,54 @@ const IndustryView: React.FC = () => {
   const [formErrors, setFormErrors] = useState<Record<string, string>>({});
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [industryToDelete, setIndustryToDelete] = useState<Industry | null>(null);
+  const [trackOccupancy, setTrackOccupancy] = useState<Record<string, TrackOccupancy>>({});
 
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
+  // Load per-track fill levels for the industry being viewed
+  useEffect(() => {
+    if (!selectedIndustry) {
+      setTrackOccupancy({});
+      return;
+    }
+
+    let cancelled = false;
+    const industryId = selectedIndustry.id || selectedIndustry._id || '';
+    const industryTracks = tracks.filter(track => track.industryId === industryId);
+
+    Promise.all(industryTracks.map(track => getTrackOccupancy(track.id || track._id || '')))
+      .then((results) => {
+        if (cancelled) return;
+        const byTrack: Record<string, TrackOccupancy> = {};
+        results.forEach((occupancy) => {
+          byTrack[occupancy.trackId] = occupancy;
+        });
+        setTrackOccupancy(byTrack);
+      })
+      .catch(() => {
+        // Error is surfaced through the app context
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedIndustry, tracks, getTrackOccupancy]);
+
   // Get cars at each industry
   const getCarsAtIndustry = (industryId: string): RollingStock[] => {
     return cars.filter(car => (car.currentIndustry === industryId));
   };
 
+  // Loading or unloading progress for a spotted car
+  const describeDwell = (car: RollingStock): string | null => {
+    if (!car.dwell) return null;
+    const goodName = goods.find(g => (g.id || g._id) === car.dwell!.goodsId)?.name || car.dwell.goodsId;
+    const verb = car.dwell.action === 'loading' ? 'Loading' : 'Unloading';
+    return `${verb} ${goodName}: ${car.dwell.sessionsRemaining} session(s) remaining`;
+  };
+
   // Get tracks for an industry
   const getTracksForIndustry = (industryId: string): Track[] => {
     return tracks.filter(track => track.industryId === industryId);
@@ -557,6 +597,12 @@ const IndustryView: React.FC = () => {
                     icon={<LocationOn />}
                     label={stations.find(s => (s.id || s._id) === selectedIndustry.stationId)?.name || 'Unknown'}
                   />
+                  {selectedIndustry.pointAccess && (
+                    <Chip
+                      label={selectedIndustry.pointAccess === 'facing' ? 'Facing point eastward' : 'Trailing point eastward'}
+                      variant="outlined"
+                    />
+                  )}
                 </Box>
               </Box>
 
@@ -574,7 +620,10 @@ const IndustryView: React.FC = () => {
                       <ListItem key={car.id || car._id}>
                         <ListItemText
                           primary={`${car.reportingMarks} ${car.reportingNumber}`}
-                          secondary={`${aarTypes.find(t => (t.id || t._id) === car.carType)?.name || car.carType} - ${car.color}`}
+                          secondary={[
+                            `${aarTypes.find(t => (t.id || t._id) === car.carType)?.name || car.carType} - ${car.color}`,
+                            describeDwell(car),
+                          ].filter(Boolean).join(' | ')}
                         />
                         <Chip
                           label={car.isInService ? 'In Service' : 'Out of Service'}
@@ -653,20 +702,29 @@ const IndustryView: React.FC = () => {
                   <AccordionDetails>
                     {getTracksForIndustry(selectedIndustry.id || selectedIndustry._id || '').length > 0 ? (
                       <List>
-                        {getTracksForIndustry(selectedIndustry.id || selectedIndustry._id || '').map((track) => (
-                          <ListItem key={track.id || track._id}>
-                            <ListItemText
-                              primary={`Track ${track.id || track._id}`}
-                              secondary={`Capacity: ${track.capacity} | Current: ${track.currentCars.length} cars`}
-                            />
-                            <Chip
-                              icon={track.currentCars.length >= track.capacity ? <Warning /> : <CheckCircle />}
-                              label={`${Math.round((track.currentCars.length / track.capacity) * 100)}% Full`}
-                              size="small"
-                              color={track.currentCars.length >= track.capacity ? 'error' : 'success'}
-                            />
-                          </ListItem>
-                        ))}
+                        {getTracksForIndustry(selectedIndustry.id || selectedIndustry._id || '').map((track) => {
+                          const occupancy = trackOccupancy[track.id || track._id || ''];
+                          return (
+                            <ListItem key={track.id || track._id}>
+                              <ListItemText
+                                primary={track.name || `Track ${track.id || track._id}`}
+                                secondary={occupancy
+                                  ? `Capacity: ${occupancy.capacity} | Current: ${occupancy.occupied} cars${occupancy.cars.length > 0 ? ` (${occupancy.cars.map(car => `${car.reportingMarks} ${car.reportingNumber}`).join(', ')})` : ''}`
+                                  : `Capacity: ${track.capacity}`}
+                              />
+                              {occupancy ? (
+                                <Chip
+                                  icon={occupancy.isFull ? <Warning /> : <CheckCircle />}
+                                  label={`${occupancy.percentFull}% Full`}
+                                  size="small"
+                                  color={occupancy.isFull ? 'error' : 'success'}
+                                />
+                              ) : (
+                                <CircularProgress size={16} />
+                              )}
+                            </ListItem>
+                          );
+                        })}
                       </List>
                     ) : (
                       <Typography variant="body2" color="text.secondary">
@@ -764,6 +822,24 @@ const IndustryView: React.FC = () => {
               </FormControl>
             </Box>
 
+            {!formData.isYard && (
+              <FormControl fullWidth>
+                <InputLabel>Switch Points</InputLabel>
+                <Select
+                  value={formData.pointAccess || ''}
+                  label="Switch Points"
+                  onChange={(e) => setFormData({ ...formData, pointAccess: (e.target.value || null) as PointAccess | null })}
+                >
+                  <MenuItem value="">
+                    <em>Not set</em>
+                  </MenuItem>
+                  <MenuItem value="facing">Facing point for eastward trains</MenuItem>
+                  <MenuItem value="trailing">Trailing point for eastward trains</MenuItem>
+                </Select>
+                <FormHelperText>Facing-point spurs need a runaround to set cars out</FormHelperText>
+              </FormControl>
+            )}
+
             <Divider sx={{ my: 2 }} />
             
             <CarDemandConfigEditor
@@ -163,6 +163,8 @@ const LocomotiveManagement: React.FC = () => {
           dccAddress: loco.dccAddress,
           homeYard: loco.homeYard,
           isInService: loco.isInService,
+          length: loco.length,
+          tractiveRating: loco.tractiveRating,
           notes: loco.notes || '',
         });
       }
@@ -606,6 +608,18 @@ const LocomotiveManagement: React.FC = () => {
                     size="small"
                   />
                 </Box>
+                <Box>
+                  <Typography variant="body2" color="textSecondary">Length</Typography>
+                  <Typography variant="body1">
+                    {selectedLocomotive.length ? `${selectedLocomotive.length} ft` : 'Not set'}
+                  </Typography>
+                </Box>
+                <Box>
+                  <Typography variant="body2" color="textSecondary">Tractive Rating</Typography>
+                  <Typography variant="body1">
+                    {selectedLocomotive.tractiveRating ? `${selectedLocomotive.tractiveRating.toLocaleString()} tons` : 'Not set'}
+                  </Typography>
+                </Box>
               </Box>
               <Box>
                 <Typography variant="body2" color="textSecondary">Home Yard</Typography>
@@ -709,6 +723,28 @@ const LocomotiveManagement: React.FC = () => {
                   inputProps={{ min: 1, max: 9999 }}
                 />
               )}
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                <TextField
+                  label="Length (ft)"
+                  type="number"
+                  value={formData.length || ''}
+                  onChange={(e) => setFormData({ ...formData, length: parseFloat(e.target.value) || undefined })}
+                  helperText="Over the couplers; counts against siding length"
+                  fullWidth
+                  disabled={dialogMode === 'view'}
+                  inputProps={{ min: 1, max: 150 }}
+                />
+                <TextField
+                  label="Tractive Rating (tons)"
+                  type="number"
+                  value={formData.tractiveRating || ''}
+                  onChange={(e) => setFormData({ ...formData, tractiveRating: parseInt(e.target.value) || undefined })}
+                  helperText="Tons it can haul over the ruling grade"
+                  fullWidth
+                  disabled={dialogMode === 'view'}
+                  inputProps={{ min: 1, max: 20000 }}
+                />
+              </Box>
               <FormControlLabel
                 control={
                   <Switch
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Alert,
+  TextField,
+  Stack,
+} from '@mui/material';
+import { Train as TrainIcon } from '@mui/icons-material';
+import { useAuth } from '../contexts/useAuth';
+
+const Login: React.FC = () => {
+  const { login, error } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    try {
+      await login(username, password);
+    } catch {
+      // Error is handled by AuthContext
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh" p={2}>
+      <Card sx={{ width: '100%', maxWidth: 400 }}>
+        <CardContent>
+          <Box display="flex" alignItems="center" gap={1} mb={1}>
+            <TrainIcon color="primary" />
+            <Typography variant="h5" component="h1">
+              ELMRR Sign In
+            </Typography>
+          </Box>
+          <Typography variant="body2" color="textSecondary" mb={3}>
+            Model Railroad Layout Tracking System
+          </Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <Stack spacing={2}>
+              <TextField
+                label="Username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                autoFocus
+                fullWidth
+                required
+              />
+              <TextField
+                label="Password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                fullWidth
+                required
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={submitting || !username || !password}
+              >
+                Sign In
+              </Button>
+            </Stack>
+          </form>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default Login;
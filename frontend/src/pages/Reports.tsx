@@ -0,0 +1,337 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Box, Typography, useTheme } from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { useApp } from '../contexts/AppContext';
+import ChartCard from '../components/ChartCard';
+import type { CarMovementReportRow, LocomotiveUsageReportRow } from '../types';
+import {
+  buildCarUtilizationSeries,
+  buildIndustryHeatmap,
+  buildOrderStatusSeries,
+  defaultSessionRange,
+  downloadCsv,
+  heatmapTable,
+  sessionsInRange,
+  type IndustryHeatmap,
+  type SessionRange,
+} from '../utils/reportCharts';
+
+// Load a chart's data whenever its session range changes
+function useChartData<T>(range: SessionRange | null, load: (range: SessionRange) => Promise<T>) {
+  const [data, setData] = useState<T | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!range) {
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    load(range)
+      .then(result => {
+        if (!cancelled) {
+          setData(result);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load chart');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [range, load]);
+
+  return { data, loading, error };
+}
+
+const rangeSuffix = ({ fromSession, toSession }: SessionRange) => `sessions-${fromSession}-${toSession}`;
+
+const HEATMAP_LABEL_WIDTH = 180;
+const HEATMAP_HEADER_HEIGHT = 28;
+const HEATMAP_CELL_WIDTH = 44;
+const HEATMAP_CELL_HEIGHT = 26;
+
+// Industries down the side, sessions across the top, darker cells for busier sessions
+const IndustryHeatmapChart: React.FC<{ heatmap: IndustryHeatmap; color: string }> = ({ heatmap, color }) => {
+  const width = HEATMAP_LABEL_WIDTH + heatmap.sessions.length * HEATMAP_CELL_WIDTH;
+  const height = HEATMAP_HEADER_HEIGHT + heatmap.industries.length * HEATMAP_CELL_HEIGHT;
+
+  return (
+    <svg data-chart="industry-heatmap" width={width} height={height} fontSize={12} fontFamily="sans-serif">
+      {heatmap.sessions.map((sessionNumber, column) => (
+        <text
+          key={sessionNumber}
+          x={HEATMAP_LABEL_WIDTH + column * HEATMAP_CELL_WIDTH + HEATMAP_CELL_WIDTH / 2}
+          y={HEATMAP_HEADER_HEIGHT - 10}
+          textAnchor="middle"
+        >
+          {sessionNumber}
+        </text>
+      ))}
+      {heatmap.industries.map((industry, row) => {
+        const y = HEATMAP_HEADER_HEIGHT + row * HEATMAP_CELL_HEIGHT;
+        return (
+          <g key={industry.industryId}>
+            <text x={HEATMAP_LABEL_WIDTH - 8} y={y + HEATMAP_CELL_HEIGHT / 2 + 4} textAnchor="end">
+              {industry.name}
+            </text>
+            {industry.counts.map((count, column) => (
+              <rect
+                key={column}
+                x={HEATMAP_LABEL_WIDTH + column * HEATMAP_CELL_WIDTH + 1}
+                y={y + 1}
+                width={HEATMAP_CELL_WIDTH - 2}
+                height={HEATMAP_CELL_HEIGHT - 2}
+                fill={count > 0 && heatmap.max > 0 ? alpha(color, 0.15 + 0.85 * (count / heatmap.max)) : '#f0f0f0'}
+              >
+                <title>{`${industry.name}, session ${heatmap.sessions[column]}: ${count} car${count === 1 ? '' : 's'}`}</title>
+              </rect>
+            ))}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const Reports: React.FC = () => {
+  const { cars, industries, currentSession, fetchData, fetchCurrentSession, getReport, getCarOrderStats } = useApp();
+  const theme = useTheme();
+  const sessionNumber = currentSession?.currentSessionNumber ?? 1;
+
+  const [utilizationRange, setUtilizationRange] = useState<SessionRange | null>(null);
+  const [ordersRange, setOrdersRange] = useState<SessionRange | null>(null);
+  const [heatmapRange, setHeatmapRange] = useState<SessionRange | null>(null);
+  const [locomotiveRange, setLocomotiveRange] = useState<SessionRange | null>(null);
+
+  useEffect(() => {
+    fetchData();
+    fetchCurrentSession();
+  }, [fetchData, fetchCurrentSession]);
+
+  // Start every chart on the latest sessions once the current session is known
+  useEffect(() => {
+    if (!currentSession) {
+      return;
+    }
+    const range = defaultSessionRange(currentSession.currentSessionNumber);
+    setUtilizationRange(range);
+    setOrdersRange(range);
+    setHeatmapRange(range);
+    setLocomotiveRange(range);
+  }, [currentSession]);
+
+  const loadMovements = useCallback(
+    async (range: SessionRange) => (await getReport<CarMovementReportRow>('car-movements', range)).rows,
+    [getReport]
+  );
+  const loadOrderStats = useCallback(
+    (range: SessionRange) => Promise.all(sessionsInRange(range).map(session => getCarOrderStats(session))),
+    [getCarOrderStats]
+  );
+  const loadLocomotiveUsage = useCallback(
+    async (range: SessionRange) => (await getReport<LocomotiveUsageReportRow>('locomotive-usage', range)).rows,
+    [getReport]
+  );
+
+  const utilizationMoves = useChartData(utilizationRange, loadMovements);
+  const orderStats = useChartData(ordersRange, loadOrderStats);
+  const heatmapMoves = useChartData(heatmapRange, loadMovements);
+  const locomotiveUsage = useChartData(locomotiveRange, loadLocomotiveUsage);
+
+  const carsInService = useMemo(() => cars.filter(car => car.isInService).length, [cars]);
+  const utilizationSeries = useMemo(
+    () => (utilizationRange && utilizationMoves.data
+      ? buildCarUtilizationSeries(utilizationMoves.data, utilizationRange, carsInService)
+      : []),
+    [utilizationMoves.data, utilizationRange, carsInService]
+  );
+  const orderSeries = useMemo(() => buildOrderStatusSeries(orderStats.data ?? []), [orderStats.data]);
+  const heatmap = useMemo(
+    () => (heatmapRange && heatmapMoves.data ? buildIndustryHeatmap(heatmapMoves.data, industries, heatmapRange) : null),
+    [heatmapMoves.data, industries, heatmapRange]
+  );
+  const locomotiveRows = locomotiveUsage.data ?? [];
+
+  if (!utilizationRange || !ordersRange || !heatmapRange || !locomotiveRange) {
+    return (
+      <Box>
+        <Typography variant="h4" gutterBottom>
+          Reports
+        </Typography>
+        <Typography color="text.secondary">Loading the current session...</Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Reports
+      </Typography>
+
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: { xs: '1fr', lg: '1fr 1fr' },
+          gap: 3,
+        }}
+      >
+        <Box>
+          <ChartCard
+            title="Car Utilization"
+            description={`Cars moved by trains each session, out of ${carsInService} in service`}
+            filename={`car-utilization-${rangeSuffix(utilizationRange)}`}
+            range={utilizationRange}
+            currentSession={sessionNumber}
+            onRangeChange={setUtilizationRange}
+            onExportCsv={() => downloadCsv(utilizationSeries, [
+              { key: 'sessionNumber', header: 'Session' },
+              { key: 'carsMoved', header: 'Cars Moved' },
+              { key: 'utilization', header: 'Utilization %' },
+            ], `car-utilization-${rangeSuffix(utilizationRange)}.csv`)}
+            loading={utilizationMoves.loading}
+            error={utilizationMoves.error}
+            empty={utilizationSeries.length === 0}
+          >
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={utilizationSeries}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="sessionNumber" />
+                <YAxis yAxisId="cars" allowDecimals={false} />
+                <YAxis yAxisId="percent" orientation="right" domain={[0, 100]} unit="%" />
+                <Tooltip />
+                <Legend />
+                <Bar yAxisId="cars" dataKey="carsMoved" name="Cars moved" fill={theme.palette.primary.main} />
+                <Line
+                  yAxisId="percent"
+                  dataKey="utilization"
+                  name="Utilization %"
+                  stroke={theme.palette.secondary.main}
+                  strokeWidth={2}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </Box>
+
+        <Box>
+          <ChartCard
+            title="Orders by Session"
+            description="Pending, in-progress and delivered car orders"
+            filename={`orders-${rangeSuffix(ordersRange)}`}
+            range={ordersRange}
+            currentSession={sessionNumber}
+            onRangeChange={setOrdersRange}
+            onExportCsv={() => downloadCsv(orderSeries, [
+              { key: 'sessionNumber', header: 'Session' },
+              { key: 'pending', header: 'Pending' },
+              { key: 'inProgress', header: 'In Progress' },
+              { key: 'delivered', header: 'Delivered' },
+            ], `orders-${rangeSuffix(ordersRange)}.csv`)}
+            loading={orderStats.loading}
+            error={orderStats.error}
+            empty={orderSeries.length === 0}
+          >
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={orderSeries}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="sessionNumber" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="pending" name="Pending" stackId="orders" fill={theme.palette.warning.main} />
+                <Bar dataKey="inProgress" name="In progress" stackId="orders" fill={theme.palette.info.main} />
+                <Bar dataKey="delivered" name="Delivered" stackId="orders" fill={theme.palette.success.main} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </Box>
+
+        <Box sx={{ gridColumn: '1 / -1' }}>
+          <ChartCard
+            title="Industry Activity"
+            description="Cars delivered to or picked up from each industry by trains"
+            filename={`industry-activity-${rangeSuffix(heatmapRange)}`}
+            range={heatmapRange}
+            currentSession={sessionNumber}
+            onRangeChange={setHeatmapRange}
+            onExportCsv={() => {
+              if (heatmap) {
+                const table = heatmapTable(heatmap);
+                downloadCsv(table.rows, table.columns, `industry-activity-${rangeSuffix(heatmapRange)}.csv`);
+              }
+            }}
+            loading={heatmapMoves.loading}
+            error={heatmapMoves.error}
+            empty={!heatmap || heatmap.industries.length === 0}
+            height={heatmap ? HEATMAP_HEADER_HEIGHT + Math.max(1, heatmap.industries.length) * HEATMAP_CELL_HEIGHT + 8 : 300}
+          >
+            {heatmap && (
+              <Box sx={{ overflowX: 'auto' }}>
+                <IndustryHeatmapChart heatmap={heatmap} color={theme.palette.primary.main} />
+              </Box>
+            )}
+          </ChartCard>
+        </Box>
+
+        <Box sx={{ gridColumn: '1 / -1' }}>
+          <ChartCard
+            title="Locomotive Usage"
+            description="Trains each locomotive was assigned to, and how many it completed"
+            filename={`locomotive-usage-${rangeSuffix(locomotiveRange)}`}
+            range={locomotiveRange}
+            currentSession={sessionNumber}
+            onRangeChange={setLocomotiveRange}
+            onExportCsv={() => downloadCsv(locomotiveRows, [
+              { key: 'locomotive', header: 'Locomotive' },
+              { key: 'model', header: 'Model' },
+              { key: 'trains', header: 'Trains' },
+              { key: 'completed', header: 'Completed' },
+              { key: 'sessionsUsed', header: 'Sessions Used' },
+              { key: 'carsHandled', header: 'Cars Handled' },
+            ], `locomotive-usage-${rangeSuffix(locomotiveRange)}.csv`)}
+            loading={locomotiveUsage.loading}
+            error={locomotiveUsage.error}
+            empty={locomotiveRows.length === 0}
+          >
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={locomotiveRows}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="locomotive" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="trains" name="Trains" fill={theme.palette.primary.main} />
+                <Bar dataKey="completed" name="Completed" fill={theme.palette.success.main} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default Reports;
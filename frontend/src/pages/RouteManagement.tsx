@@ -13,8 +13,10 @@ import {
   MenuItem,
   InputAdornment,
   FormControl,
+  FormControlLabel,
   InputLabel,
   Select,
+  Switch,
   Dialog,
   DialogTitle,
   DialogContent,
@@ -41,7 +43,7 @@ import {
 } from '@mui/icons-material';
 import { DataGrid, type GridColDef, type GridRowsProp } from '@mui/x-data-grid';
 import { useApp } from '../contexts/AppContext';
-import type { Route } from '../types';
+import type { Route, RouteStop, TravelDirection } from '../types';
 
 interface RouteFilters {
   search: string;
@@ -56,6 +58,9 @@ interface RouteFormData {
   originYard: string;
   terminationYard: string;
   stationSequence: string[];
+  stops: RouteStop[];
+  maxLength?: number;
+  maxTonnage?: number;
 }
 
 const RouteManagement: React.FC = () => {
@@ -87,6 +92,7 @@ const RouteManagement: React.FC = () => {
     originYard: '',
     terminationYard: '',
     stationSequence: [],
+    stops: [],
   });
   const [formErrors, setFormErrors] = useState<Record<string, string>>({});
   const [availableStation, setAvailableStation] = useState<string>('');
@@ -301,6 +307,9 @@ const RouteManagement: React.FC = () => {
       originYard: route.originYard,
       terminationYard: route.terminationYard,
       stationSequence: [...route.stationSequence],
+      stops: [...(route.stops || [])],
+      maxLength: route.maxLength,
+      maxTonnage: route.maxTonnage,
     });
     setFormErrors({});
     setAvailableStation('');
@@ -316,6 +325,7 @@ const RouteManagement: React.FC = () => {
       originYard: yards[0]?.id || yards[0]?._id || '',
       terminationYard: yards[0]?.id || yards[0]?._id || '',
       stationSequence: [],
+      stops: [],
     });
     setFormErrors({});
     setAvailableStation('');
@@ -330,6 +340,7 @@ const RouteManagement: React.FC = () => {
       originYard: '',
       terminationYard: '',
       stationSequence: [],
+      stops: [],
     });
     setFormErrors({});
     setAvailableStation('');
@@ -405,12 +416,36 @@ const RouteManagement: React.FC = () => {
   };
 
   const handleRemoveStation = (index: number) => {
+    const stationId = formData.stationSequence[index];
     setFormData({
       ...formData,
       stationSequence: formData.stationSequence.filter((_, i) => i !== index),
+      stops: formData.stops.filter(stop => stop.stationId !== stationId),
     });
   };
 
+  // Attributes of the stop at a station; stations without an entry have none
+  const getStop = (stops: RouteStop[] | undefined, stationId: string): RouteStop =>
+    stops?.find(stop => stop.stationId === stationId) || { stationId };
+
+  const handleStopChange = (stationId: string, changes: Partial<RouteStop>) => {
+    setFormData({
+      ...formData,
+      stops: [
+        ...formData.stops.filter(stop => stop.stationId !== stationId),
+        { ...getStop(formData.stops, stationId), ...changes },
+      ],
+    });
+  };
+
+  // e.g. "600 ft siding, no runaround, eastward"
+  const describeStop = (stop: RouteStop): string =>
+    [
+      stop.maxLength && `${stop.maxLength.toLocaleString()} ft siding`,
+      stop.hasRunaround === false && 'no runaround',
+      stop.direction && `${stop.direction}ward`,
+    ].filter(Boolean).join(', ');
+
   const handleMoveStationUp = (index: number) => {
     if (index === 0) return;
 
@@ -690,6 +725,32 @@ const RouteManagement: React.FC = () => {
               </FormControl>
             </Box>
 
+            {/* Train Limits */}
+            <Box
+              sx={{
+                display: 'grid',
+                gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' },
+                gap: 2,
+              }}
+            >
+              <TextField
+                label="Max Train Length (ft)"
+                type="number"
+                value={formData.maxLength || ''}
+                onChange={(e) => setFormData({ ...formData, maxLength: parseInt(e.target.value) || undefined })}
+                helperText="The shortest siding trains must fit, locomotives included"
+                inputProps={{ min: 1 }}
+              />
+              <TextField
+                label="Max Tonnage"
+                type="number"
+                value={formData.maxTonnage || ''}
+                onChange={(e) => setFormData({ ...formData, maxTonnage: parseInt(e.target.value) || undefined })}
+                helperText="Trailing tons the ruling grade allows"
+                inputProps={{ min: 1 }}
+              />
+            </Box>
+
             <Divider />
 
             {/* Station Sequence Builder */}
@@ -786,6 +847,42 @@ const RouteManagement: React.FC = () => {
                             }
                           />
                         </ListItem>
+                        {/* Stop attributes */}
+                        <Box display="flex" alignItems="center" gap={1} flexWrap="wrap" sx={{ px: 2, pb: 1.5 }}>
+                          <TextField
+                            label="Siding (ft)"
+                            type="number"
+                            size="small"
+                            value={getStop(formData.stops, stationId).maxLength || ''}
+                            onChange={(e) => handleStopChange(stationId, { maxLength: parseInt(e.target.value) || undefined })}
+                            inputProps={{ min: 1 }}
+                            sx={{ width: 120 }}
+                          />
+                          <FormControl size="small" sx={{ minWidth: 130 }}>
+                            <InputLabel>Direction</InputLabel>
+                            <Select
+                              value={getStop(formData.stops, stationId).direction || ''}
+                              label="Direction"
+                              onChange={(e) => handleStopChange(stationId, { direction: (e.target.value || undefined) as TravelDirection | undefined })}
+                            >
+                              <MenuItem value="">
+                                <em>Not set</em>
+                              </MenuItem>
+                              <MenuItem value="east">Eastward</MenuItem>
+                              <MenuItem value="west">Westward</MenuItem>
+                            </Select>
+                          </FormControl>
+                          <FormControlLabel
+                            control={
+                              <Switch
+                                size="small"
+                                checked={getStop(formData.stops, stationId).hasRunaround !== false}
+                                onChange={(e) => handleStopChange(stationId, { hasRunaround: e.target.checked })}
+                              />
+                            }
+                            label="Runaround"
+                          />
+                        </Box>
                       </React.Fragment>
                     ))}
                   </List>
@@ -886,6 +983,21 @@ const RouteManagement: React.FC = () => {
                 </Box>
               </Box>
 
+              {/* Train Limits */}
+              {(viewRoute.maxLength || viewRoute.maxTonnage) && (
+                <Box>
+                  <Typography variant="overline" color="text.secondary">
+                    Train Limits
+                  </Typography>
+                  <Typography variant="body1">
+                    {[
+                      viewRoute.maxLength && `${viewRoute.maxLength.toLocaleString()} ft`,
+                      viewRoute.maxTonnage && `${viewRoute.maxTonnage.toLocaleString()} tons`,
+                    ].filter(Boolean).join(', ')}
+                  </Typography>
+                </Box>
+              )}
+
               <Divider />
 
               {/* Station Sequence */}
@@ -914,6 +1026,7 @@ const RouteManagement: React.FC = () => {
                                   </Typography>
                                 </Box>
                               }
+                              secondary={describeStop(getStop(viewRoute.stops, stationId)) || undefined}
                             />
                           </ListItem>
                         </React.Fragment>
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import {
   Box,
   Card,
@@ -15,6 +15,9 @@ import {
   TextField,
   Divider,
   Paper,
+  List,
+  ListItem,
+  ListItemText,
 } from '@mui/material';
 import {
   PlayArrow,
@@ -22,8 +25,11 @@ import {
   Edit,
   CalendarToday,
   Info,
+  History,
 } from '@mui/icons-material';
 import { useApp } from '../contexts/AppContext';
+import { useAuth } from '../contexts/useAuth';
+import type { SessionHistory, SessionRestorePoint } from '../types';
 
 const SessionManagement: React.FC = () => {
   const {
@@ -31,20 +37,42 @@ const SessionManagement: React.FC = () => {
     sessionLoading,
     error,
     fetchCurrentSession,
+    fetchSessionHistory,
     advanceSession,
     rollbackSession,
     updateSessionDescription,
   } = useApp();
+  const { hasRole } = useAuth();
+  const canRunSessions = hasRole('superintendent');
 
   const [descriptionDialogOpen, setDescriptionDialogOpen] = useState(false);
   const [description, setDescription] = useState('');
   const [confirmDialogOpen, setConfirmDialogOpen] = useState(false);
   const [confirmAction, setConfirmAction] = useState<'advance' | 'rollback' | null>(null);
+  const [history, setHistory] = useState<SessionHistory | null>(null);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [rollbackTarget, setRollbackTarget] = useState<SessionRestorePoint | null>(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistory(await fetchSessionHistory());
+    } catch {
+      // Error is handled by AppContext
+    }
+  }, [fetchSessionHistory]);
 
   useEffect(() => {
     fetchCurrentSession();
   }, [fetchCurrentSession]);
 
+  // Restore points change whenever the session number does
+  const currentSessionNumber = currentSession?.currentSessionNumber;
+  useEffect(() => {
+    if (currentSessionNumber !== undefined) {
+      loadHistory();
+    }
+  }, [currentSessionNumber, loadHistory]);
+
   useEffect(() => {
     if (currentSession?.description) {
       setDescription(currentSession.description);
@@ -69,25 +97,29 @@ const SessionManagement: React.FC = () => {
     }
   };
 
-  const handleOpenConfirmDialog = (action: 'advance' | 'rollback') => {
+  const handleOpenConfirmDialog = (action: 'advance' | 'rollback', target: SessionRestorePoint | null = null) => {
     setConfirmAction(action);
+    setRollbackTarget(target);
+    setSnapshotName('');
     setConfirmDialogOpen(true);
   };
 
   const handleCloseConfirmDialog = () => {
     setConfirmDialogOpen(false);
     setConfirmAction(null);
+    setRollbackTarget(null);
   };
 
   const handleConfirmAction = async () => {
     try {
       if (confirmAction === 'advance') {
-        await advanceSession();
-      } else if (confirmAction === 'rollback') {
-        await rollbackSession();
+        await advanceSession(snapshotName.trim() || undefined);
+      } else if (confirmAction === 'rollback' && rollbackTarget) {
+        await rollbackSession({ steps: rollbackTarget.steps });
       }
       setConfirmDialogOpen(false);
       setConfirmAction(null);
+      setRollbackTarget(null);
     } catch (err) {
       // Error is handled by AppContext
     }
@@ -119,7 +151,9 @@ const SessionManagement: React.FC = () => {
     );
   }
 
-  const canRollback = currentSession && currentSession.currentSessionNumber > 1 && currentSession.previousSessionSnapshot;
+  const restorePoints = history?.restorePoints || [];
+  const previousRestorePoint = restorePoints.find(point => point.steps === 1) || null;
+  const canRollback = currentSession && currentSession.currentSessionNumber > 1 && previousRestorePoint;
 
   return (
     <Box>
@@ -178,41 +212,49 @@ const SessionManagement: React.FC = () => {
                 <Typography variant="body1" sx={{ flex: 1 }}>
                   {currentSession?.description || 'No description'}
                 </Typography>
-                <Button
-                  size="small"
-                  startIcon={<Edit />}
-                  onClick={handleOpenDescriptionDialog}
-                >
-                  Edit
-                </Button>
+                {hasRole('superintendent', 'dispatcher') && (
+                  <Button
+                    size="small"
+                    startIcon={<Edit />}
+                    onClick={handleOpenDescriptionDialog}
+                  >
+                    Edit
+                  </Button>
+                )}
               </Box>
             </Paper>
           </Box>
 
-          <Box mt={3} display="flex" gap={2} flexWrap="wrap">
-            <Button
-              variant="contained"
-              color="primary"
-              size="large"
-              startIcon={<PlayArrow />}
-              onClick={() => handleOpenConfirmDialog('advance')}
-              disabled={sessionLoading}
-            >
-              Advance to Next Session
-            </Button>
-            <Button
-              variant="outlined"
-              color="warning"
-              size="large"
-              startIcon={<Undo />}
-              onClick={() => handleOpenConfirmDialog('rollback')}
-              disabled={sessionLoading || !canRollback}
-            >
-              Rollback to Previous Session
-            </Button>
-          </Box>
+          {canRunSessions ? (
+            <Box mt={3} display="flex" gap={2} flexWrap="wrap">
+              <Button
+                variant="contained"
+                color="primary"
+                size="large"
+                startIcon={<PlayArrow />}
+                onClick={() => handleOpenConfirmDialog('advance')}
+                disabled={sessionLoading}
+              >
+                Advance to Next Session
+              </Button>
+              <Button
+                variant="outlined"
+                color="warning"
+                size="large"
+                startIcon={<Undo />}
+                onClick={() => handleOpenConfirmDialog('rollback', previousRestorePoint)}
+                disabled={sessionLoading || !canRollback}
+              >
+                Rollback to Previous Session
+              </Button>
+            </Box>
+          ) : (
+            <Alert severity="info" sx={{ mt: 3 }}>
+              Only the superintendent can advance or roll back the session
+            </Alert>
+          )}
 
-          {!canRollback && currentSession && (
+          {canRunSessions && !canRollback && currentSession && (
             <Alert severity="info" sx={{ mt: 2 }}>
               {currentSession.currentSessionNumber === 1
                 ? 'Cannot rollback from session 1'
@@ -222,6 +264,53 @@ const SessionManagement: React.FC = () => {
         </CardContent>
       </Card>
 
+      {/* Restore Points */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box display="flex" alignItems="center" mb={1}>
+            <History sx={{ mr: 1, color: 'text.secondary' }} />
+            <Typography variant="h6">Restore Points</Typography>
+          </Box>
+          <Typography variant="body2" color="textSecondary">
+            The last {history?.retention ?? '–'} sessions are kept and can be restored directly.
+          </Typography>
+          {restorePoints.length === 0 ? (
+            <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
+              No restore points yet
+            </Typography>
+          ) : (
+            <List dense>
+              {restorePoints.map(point => (
+                <ListItem
+                  key={point.sessionNumber}
+                  divider
+                  secondaryAction={canRunSessions && (
+                    <Button
+                      size="small"
+                      color="warning"
+                      startIcon={<Undo />}
+                      onClick={() => handleOpenConfirmDialog('rollback', point)}
+                      disabled={sessionLoading}
+                      aria-label={`Restore ${point.name}`}
+                    >
+                      Restore
+                    </Button>
+                  )}
+                >
+                  <ListItemText
+                    primary={point.name}
+                    secondary={
+                      `Start of session ${point.sessionNumber} · ${formatDate(point.takenAt)} · ` +
+                      `${point.stats.cars} cars, ${point.stats.trains} trains, ${point.stats.carOrders} orders`
+                    }
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Session Information */}
       <Card>
         <CardContent>
@@ -233,8 +322,8 @@ const SessionManagement: React.FC = () => {
             updates car locations, deletes completed trains, and reverts cars from active trains.
           </Typography>
           <Typography variant="body2" color="textSecondary" paragraph>
-            <strong>Rollback Session:</strong> Restores the previous session state from the snapshot, including car
-            locations, trains, and car orders. This operation can only be performed if a previous session snapshot exists.
+            <strong>Rollback Session:</strong> Restores an earlier session state from its restore point, including car
+            locations, trains, and car orders. Restore points after the one restored are discarded.
           </Typography>
           <Typography variant="body2" color="textSecondary">
             <strong>Note:</strong> Session operations affect all trains, car orders, and car locations. Make sure to
@@ -281,11 +370,12 @@ const SessionManagement: React.FC = () => {
                   <strong>This will:</strong>
                 </Typography>
                 <Typography variant="body2" component="div">
-                  • Create a snapshot of the current session<br />
+                  • Create a restore point for the current session<br />
                   • Advance to session {(currentSession?.currentSessionNumber || 1) + 1}<br />
                   • Update car locations based on completed trains<br />
                   • Delete all completed trains<br />
-                  • Revert cars from active trains to their original locations
+                  • Revert cars from active trains to their original locations<br />
+                  • Carry unfilled car orders forward as backorders
                 </Typography>
               </>
             ) : (
@@ -294,14 +384,27 @@ const SessionManagement: React.FC = () => {
                   <strong>This will:</strong>
                 </Typography>
                 <Typography variant="body2" component="div">
-                  • Restore session {(currentSession?.currentSessionNumber || 1) - 1}<br />
+                  • Restore session {rollbackTarget?.sessionNumber} ({rollbackTarget?.name})<br />
                   • Restore all car locations from the snapshot<br />
                   • Restore all trains from the snapshot<br />
-                  • Restore all car orders from the snapshot
+                  • Restore all car orders from the snapshot<br />
+                  • Discard this and any later restore points
                 </Typography>
               </>
             )}
           </Alert>
+          {confirmAction === 'advance' && (
+            <TextField
+              margin="dense"
+              label="Restore point name (optional)"
+              fullWidth
+              value={snapshotName}
+              onChange={(e) => setSnapshotName(e.target.value)}
+              placeholder={`Session ${currentSession?.currentSessionNumber || 1}`}
+              inputProps={{ maxLength: 100 }}
+              sx={{ mb: 2 }}
+            />
+          )}
           <Typography variant="body2" color="textSecondary">
             Are you sure you want to continue?
           </Typography>
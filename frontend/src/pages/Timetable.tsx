@@ -0,0 +1,212 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Print } from '@mui/icons-material';
+import { useApp } from '../contexts/AppContext';
+import type { Timetable as TimetableData } from '../types';
+import { buildActualRows, buildTimetableGrid, formatClockTime } from '../utils/timetable';
+
+const CONFLICT_LABELS = {
+  meet: 'Meet',
+  pass: 'Pass',
+};
+
+const formatWindow = (from: number, to: number) => (from === to ? formatClockTime(from) : `${formatClockTime(from)}-${formatClockTime(to)}`);
+
+// A session's scheduled trains against the stations they call at, with the meets and passes the schedule can't work
+const Timetable: React.FC = () => {
+  const { currentSession, fetchCurrentSession, getTimetable, getTimetableUrl } = useApp();
+  const [sessionNumber, setSessionNumber] = useState<number | null>(null);
+  const [timetable, setTimetable] = useState<TimetableData | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchCurrentSession();
+  }, [fetchCurrentSession]);
+
+  // Start on the current session once it is known
+  useEffect(() => {
+    if (currentSession && sessionNumber === null) {
+      setSessionNumber(currentSession.currentSessionNumber);
+    }
+  }, [currentSession, sessionNumber]);
+
+  useEffect(() => {
+    if (sessionNumber === null) {
+      return;
+    }
+    let cancelled = false;
+    const loadTimetable = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const result = await getTimetable(sessionNumber);
+        if (!cancelled) {
+          setTimetable(result);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load timetable');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+    loadTimetable();
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionNumber, getTimetable]);
+
+  const rows = useMemo(() => (timetable ? buildTimetableGrid(timetable) : []), [timetable]);
+  const actualRows = useMemo(() => (timetable ? buildActualRows(timetable) : []), [timetable]);
+
+  const handleSessionChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const value = parseInt(event.target.value, 10);
+    if (Number.isInteger(value) && value >= 1) {
+      setSessionNumber(value);
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" flexWrap="wrap" gap={2} mb={3}>
+        <Typography variant="h4">Timetable</Typography>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TextField
+            label="Session"
+            type="number"
+            size="small"
+            value={sessionNumber ?? ''}
+            onChange={handleSessionChange}
+            inputProps={{ min: 1 }}
+            sx={{ width: 110 }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<Print />}
+            onClick={() => window.open(getTimetableUrl(sessionNumber ?? undefined), '_blank', 'noopener')}
+            disabled={sessionNumber === null}
+          >
+            Print
+          </Button>
+        </Stack>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading || !timetable ? (
+        !error && (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress />
+          </Box>
+        )
+      ) : (
+        <Stack spacing={3}>
+          {timetable.conflicts.length > 0 ? (
+            <Alert severity="warning">
+              <Typography variant="body2" fontWeight={500} gutterBottom>
+                {timetable.conflicts.length} meet/pass conflict(s) between stations
+              </Typography>
+              {timetable.conflicts.map((conflict, index) => (
+                <Typography key={index} variant="body2">
+                  {CONFLICT_LABELS[conflict.type]}: {conflict.trainNames.join(' and ')} between {conflict.fromStationName} and {conflict.toStationName}, {formatWindow(conflict.from, conflict.to)}
+                </Typography>
+              ))}
+            </Alert>
+          ) : timetable.trains.length > 1 && (
+            <Alert severity="success">No meets or passes between stations</Alert>
+          )}
+
+          <Card>
+            <CardContent>
+              {timetable.trains.length === 0 ? (
+                <Typography color="text.secondary">
+                  No scheduled trains in session {timetable.sessionNumber}. Give trains a schedule in Train Operations.
+                </Typography>
+              ) : (
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Station</TableCell>
+                        {timetable.trains.map(train => (
+                          <TableCell key={train.trainId} align="center">
+                            {train.trainName}
+                            <Typography variant="caption" display="block" color="text.secondary">
+                              {train.routeName}
+                            </Typography>
+                          </TableCell>
+                        ))}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {rows.map(row => (
+                        <TableRow key={row.stationId}>
+                          <TableCell sx={{ fontWeight: 500 }}>{row.stationName}</TableCell>
+                          {row.times.map((time, index) => (
+                            <TableCell key={timetable.trains[index].trainId} align="center" sx={{ whiteSpace: 'nowrap' }}>
+                              {time}
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                      {actualRows.map(row => (
+                        <TableRow key={row.label}>
+                          <TableCell sx={{ fontStyle: 'italic' }}>{row.label}</TableCell>
+                          {row.times.map((time, index) => (
+                            <TableCell key={timetable.trains[index].trainId} align="center" sx={{ whiteSpace: 'nowrap', fontStyle: 'italic' }}>
+                              {time}
+                            </TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+
+          {timetable.unscheduled.length > 0 && (
+            <Box>
+              <Typography variant="subtitle2" gutterBottom>
+                Unscheduled trains
+              </Typography>
+              <Box display="flex" flexWrap="wrap" gap={1}>
+                {timetable.unscheduled.map(train => (
+                  <Chip key={train.trainId} label={train.trainName} size="small" variant="outlined" />
+                ))}
+              </Box>
+            </Box>
+          )}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default Timetable;
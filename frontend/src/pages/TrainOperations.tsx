@@ -34,10 +34,22 @@ import {
   CheckCircle,
   Cancel,
   ViewList,
+  Print,
+  PictureAsPdf,
 } from '@mui/icons-material';
 import { DataGrid, type GridColDef } from '@mui/x-data-grid';
 import { useApp } from '../contexts/AppContext';
-import type { Train, TrainFormData, TrainStatus } from '../types';
+import { useAuth } from '../contexts/useAuth';
+import type { SwitchListFormat, SwitchListItem, Train, TrainFormData, TrainStatus } from '../types';
+import { buildSchedule, parseClockTime, routeStationIds, toTimeInput } from '../utils/timetable';
+
+// Schedule as entered: times of day, null where not filled in; stops follow the route's stations after the origin
+interface ScheduleTimes {
+  departure: number | null;
+  stops: Array<{ arrival: number | null; departure: number | null }>;
+}
+
+const EMPTY_SCHEDULE: ScheduleTimes = { departure: null, stops: [] };
 
 interface TrainFilters {
   sessionNumber: number | 'all';
@@ -50,6 +62,8 @@ const TrainOperations: React.FC = () => {
     trains,
     routes,
     locomotives,
+    industries,
+    stations,
     currentSession,
     trainsLoading,
     error,
@@ -59,9 +73,13 @@ const TrainOperations: React.FC = () => {
     updateTrain,
     deleteTrain,
     generateSwitchList,
+    getSwitchListUrl,
     completeTrain,
     cancelTrain,
   } = useApp();
+  const { user, users, hasRole, fetchUsers } = useAuth();
+  const canPlanTrains = hasRole('superintendent', 'dispatcher');
+  const canWorkTrains = hasRole('superintendent', 'dispatcher', 'crew');
 
   const [filters, setFilters] = useState<TrainFilters>({
     sessionNumber: 'all',
@@ -77,7 +95,9 @@ const TrainOperations: React.FC = () => {
     routeId: '',
     locomotiveIds: [],
     maxCapacity: 20,
+    crewUserIds: [],
   });
+  const [scheduleTimes, setScheduleTimes] = useState<ScheduleTimes>(EMPTY_SCHEDULE);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [trainToDelete, setTrainToDelete] = useState<Train | null>(null);
   const [switchListDialogOpen, setSwitchListDialogOpen] = useState(false);
@@ -91,6 +111,27 @@ const TrainOperations: React.FC = () => {
     fetchTrains();
   }, [fetchCurrentSession, fetchTrains]);
 
+  // Crew accounts to assign; only planners may list accounts
+  useEffect(() => {
+    if (canPlanTrains) {
+      fetchUsers().catch(() => {
+        // Error is handled by AuthContext
+      });
+    }
+  }, [canPlanTrains, fetchUsers]);
+
+  const crewMembers = users.filter(u => u.role === 'crew' && u.isActive);
+
+  // Crew names for a train; a crew member only knows their own name
+  const formatCrew = (crewUserIds: string[] = []): string => {
+    const known = user ? [...users, user] : users;
+    return crewUserIds
+      .map(id => known.find(u => u._id === id))
+      .filter((member): member is NonNullable<typeof member> => Boolean(member))
+      .map(member => member.displayName || member.username)
+      .join(', ');
+  };
+
   // Filter trains
   const filteredTrains = trains.filter((train) => {
     if (filters.sessionNumber !== 'all' && train.sessionNumber !== filters.sessionNumber) {
@@ -121,6 +162,37 @@ const TrainOperations: React.FC = () => {
     }
   };
 
+  // Destination label including the assigned track, if any, and the final destination of staged cars
+  const formatDestination = (item: SwitchListItem): string => {
+    const destination = item.destinationTrackName
+      ? `${item.destinationIndustryName} (${item.destinationTrackName})`
+      : item.destinationIndustryName;
+    return item.finalDestinationIndustryName
+      ? `${destination}, for ${item.finalDestinationIndustryName}`
+      : destination;
+  };
+
+  // Switch list line: car type, destination and, for cars no order claimed, the routing rule that moved them
+  const describeMove = (item: SwitchListItem): string => {
+    const move = `${item.carType} → ${formatDestination(item)}`;
+    return item.routingReason ? `${move} (${item.routingReason})` : move;
+  };
+
+  // Car with its place in the train; cars switched within a station have none
+  const describeCar = (item: SwitchListItem): string => {
+    const car = `${item.carReportingMarks} ${item.carNumber}${item.priority === 'hot' ? ' (Hot)' : ''}`;
+    return item.position ? `#${item.position} ${car}` : car;
+  };
+
+  const formatPositions = (from: number, to: number): string => (from === to ? `${from}` : `${from}-${to}`);
+
+  // Most the train carried on any leg against a limit, e.g. "940/1,000 ft"; just the most when nothing limits it
+  const formatLimit = (peak: number, max: number | null, unit: string): string =>
+    `${Math.round(peak).toLocaleString()}${max !== null ? `/${max.toLocaleString()}` : ''} ${unit}`;
+
+  // Optional limit fields are cleared to null rather than sent as 0
+  const parseLimit = (value: string): number | null => parseInt(value) || null;
+
   // Handle dialog open
   const handleOpenDialog = (mode: 'add' | 'edit', train?: Train) => {
     setDialogMode(mode);
@@ -131,7 +203,17 @@ const TrainOperations: React.FC = () => {
         routeId: train.routeId,
         locomotiveIds: train.locomotiveIds,
         maxCapacity: train.maxCapacity,
+        maxLength: train.maxLength ?? null,
+        maxTonnage: train.maxTonnage ?? null,
+        crewUserIds: train.crewUserIds || [],
       });
+      setScheduleTimes(train.schedule ? {
+        departure: train.schedule.departure % 1440,
+        stops: train.schedule.stops.map(stop => ({
+          arrival: stop.arrival % 1440,
+          departure: stop.departure === undefined ? null : stop.departure % 1440,
+        })),
+      } : EMPTY_SCHEDULE);
     } else {
       setSelectedTrain(null);
       setFormData({
@@ -139,7 +221,11 @@ const TrainOperations: React.FC = () => {
         routeId: '',
         locomotiveIds: [],
         maxCapacity: 20,
+        maxLength: null,
+        maxTonnage: null,
+        crewUserIds: [],
       });
+      setScheduleTimes(EMPTY_SCHEDULE);
     }
     setDialogOpen(true);
   };
@@ -150,13 +236,37 @@ const TrainOperations: React.FC = () => {
     setSelectedTrain(null);
   };
 
+  // Stations the schedule covers: every one on the route after the origin
+  const selectedRoute = routes.find(route => (route._id || route.id) === formData.routeId);
+  const scheduleStationIds = selectedRoute ? routeStationIds(selectedRoute, industries).slice(1) : [];
+  const originStationId = selectedRoute ? routeStationIds(selectedRoute, industries)[0] : '';
+  const getStationName = (stationId: string) => stations.find(station => (station._id || station.id) === stationId)?.name || stationId;
+  const scheduleEntered = scheduleTimes.departure !== null
+    || scheduleTimes.stops.some(stop => stop.arrival !== null || stop.departure !== null);
+  const schedule = buildSchedule(
+    scheduleTimes.departure,
+    scheduleStationIds.map((stationId, index) => ({
+      stationId,
+      arrival: scheduleTimes.stops[index]?.arrival ?? null,
+      departure: scheduleTimes.stops[index]?.departure ?? null,
+    }))
+  );
+  const scheduleIncomplete = scheduleEntered && schedule === null;
+
+  const handleStopTimeChange = (index: number, field: 'arrival' | 'departure', value: string) => {
+    const stops = scheduleStationIds.map((_, stopIndex) => scheduleTimes.stops[stopIndex] || { arrival: null, departure: null });
+    stops[index] = { ...stops[index], [field]: parseClockTime(value) };
+    setScheduleTimes({ ...scheduleTimes, stops });
+  };
+
   // Handle form submit
   const handleSubmit = async () => {
     try {
+      const data = { ...formData, schedule: scheduleEntered ? schedule : null };
       if (dialogMode === 'add') {
-        await createTrain(formData);
+        await createTrain(data);
       } else if (dialogMode === 'edit' && selectedTrain) {
-        await updateTrain(selectedTrain._id || selectedTrain.id!, formData);
+        await updateTrain(selectedTrain._id || selectedTrain.id!, data);
       }
       handleCloseDialog();
       await fetchTrains();
@@ -219,6 +329,12 @@ const TrainOperations: React.FC = () => {
     setSwitchListDialogOpen(true);
   };
 
+  // Open the printable switch list in a new window
+  const handleOpenSwitchListOutput = (format: SwitchListFormat) => {
+    if (!trainForSwitchList) return;
+    window.open(getSwitchListUrl(trainForSwitchList._id || trainForSwitchList.id!, format), '_blank', 'noopener');
+  };
+
   // DataGrid columns
   const columns: GridColDef[] = [
     {
@@ -257,8 +373,18 @@ const TrainOperations: React.FC = () => {
     {
       field: 'locomotiveCount',
       headerName: 'Locos',
-      width: 80,
-      valueGetter: (_value, row) => row.locomotiveIds?.length || 0,
+      width: 110,
+      valueGetter: (_value, row) => {
+        const count = row.locomotiveIds?.length || 0;
+        return row.consist ? `${count} (consist ${row.consist.address})` : count;
+      },
+    },
+    {
+      field: 'crew',
+      headerName: 'Crew',
+      flex: 1,
+      minWidth: 120,
+      valueGetter: (_value, row) => formatCrew(row.crewUserIds),
     },
     {
       field: 'capacity',
@@ -276,9 +402,9 @@ const TrainOperations: React.FC = () => {
       sortable: false,
       renderCell: (params) => {
         const train = params.row as Train;
-        const canEdit = train.status === 'Planned';
-        const canGenerate = train.status === 'Planned';
-        const canComplete = train.status === 'In Progress';
+        const canEdit = canPlanTrains && train.status === 'Planned';
+        const canGenerate = canWorkTrains && train.status === 'Planned';
+        const canComplete = canWorkTrains && train.status === 'In Progress';
         const canViewSwitchList = train.switchList !== undefined;
 
         return (
@@ -341,7 +467,7 @@ const TrainOperations: React.FC = () => {
                 </IconButton>
               </Tooltip>
             )}
-            {train.status !== 'Completed' && (
+            {canPlanTrains && train.status !== 'Completed' && (
               <Tooltip title="Cancel Train">
                 <IconButton
                   size="small"
@@ -382,14 +508,16 @@ const TrainOperations: React.FC = () => {
         <Typography variant="h4" component="h1">
           Train Operations
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<Add />}
-          onClick={() => handleOpenDialog('add')}
-          disabled={trainsLoading || !currentSession}
-        >
-          Add Train
-        </Button>
+        {canPlanTrains && (
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={() => handleOpenDialog('add')}
+            disabled={trainsLoading || !currentSession}
+          >
+            Add Train
+          </Button>
+        )}
       </Box>
 
       {error && (
@@ -541,7 +669,11 @@ const TrainOperations: React.FC = () => {
               <Select
                 value={formData.routeId}
                 label="Route"
-                onChange={(e) => setFormData({ ...formData, routeId: e.target.value })}
+                onChange={(e) => {
+                  setFormData({ ...formData, routeId: e.target.value });
+                  // Stop times belong to the old route's stations
+                  setScheduleTimes({ ...scheduleTimes, stops: [] });
+                }}
               >
                 {routes.map((route) => (
                   <MenuItem key={route._id || route.id} value={route._id || route.id}>
@@ -582,6 +714,95 @@ const TrainOperations: React.FC = () => {
               required
               inputProps={{ min: 1 }}
             />
+            <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+              <TextField
+                label="Max Length (ft)"
+                type="number"
+                value={formData.maxLength ?? ''}
+                onChange={(e) => setFormData({ ...formData, maxLength: parseLimit(e.target.value) })}
+                helperText="Locomotives included; blank for the route's"
+                inputProps={{ min: 1 }}
+              />
+              <TextField
+                label="Max Tonnage"
+                type="number"
+                value={formData.maxTonnage ?? ''}
+                onChange={(e) => setFormData({ ...formData, maxTonnage: parseLimit(e.target.value) })}
+                helperText="Trailing tons; blank for the route's"
+                inputProps={{ min: 1 }}
+              />
+            </Box>
+            {selectedRoute && (
+              <Box>
+                <Typography variant="subtitle2" gutterBottom>
+                  Schedule (fast clock)
+                </Typography>
+                <Box sx={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: 1, alignItems: 'center' }}>
+                  <Typography variant="body2">{getStationName(originStationId)}</Typography>
+                  <span />
+                  <TextField
+                    label="Departs"
+                    type="time"
+                    size="small"
+                    value={toTimeInput(scheduleTimes.departure)}
+                    onChange={(e) => setScheduleTimes({ ...scheduleTimes, departure: parseClockTime(e.target.value) })}
+                    InputLabelProps={{ shrink: true }}
+                  />
+                  {scheduleStationIds.map((stationId, index) => (
+                    <React.Fragment key={`${stationId}-${index}`}>
+                      <Typography variant="body2">{getStationName(stationId)}</Typography>
+                      <TextField
+                        label="Arrives"
+                        type="time"
+                        size="small"
+                        value={toTimeInput(scheduleTimes.stops[index]?.arrival)}
+                        onChange={(e) => handleStopTimeChange(index, 'arrival', e.target.value)}
+                        InputLabelProps={{ shrink: true }}
+                      />
+                      {index < scheduleStationIds.length - 1 ? (
+                        <TextField
+                          label="Departs"
+                          type="time"
+                          size="small"
+                          value={toTimeInput(scheduleTimes.stops[index]?.departure)}
+                          onChange={(e) => handleStopTimeChange(index, 'departure', e.target.value)}
+                          InputLabelProps={{ shrink: true }}
+                        />
+                      ) : <span />}
+                    </React.Fragment>
+                  ))}
+                </Box>
+                <Typography variant="caption" color={scheduleIncomplete ? 'error' : 'text.secondary'}>
+                  {scheduleIncomplete
+                    ? 'Give the departure and every arrival a time, or clear the schedule'
+                    : 'Optional. Leave a stop\'s departure blank if the train doesn\'t wait; earlier times run into the next day.'}
+                </Typography>
+              </Box>
+            )}
+            {crewMembers.length > 0 && (
+              <FormControl fullWidth>
+                <InputLabel>Crew</InputLabel>
+                <Select
+                  multiple
+                  value={formData.crewUserIds || []}
+                  label="Crew"
+                  onChange={(e) => setFormData({ ...formData, crewUserIds: e.target.value as string[] })}
+                  renderValue={(selected) => (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {selected.map((value) => (
+                        <Chip key={value} label={formatCrew([value]) || value} size="small" />
+                      ))}
+                    </Box>
+                  )}
+                >
+                  {crewMembers.map((member) => (
+                    <MenuItem key={member._id} value={member._id}>
+                      {member.displayName || member.username}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
           </Stack>
         </DialogContent>
         <DialogActions>
@@ -589,7 +810,7 @@ const TrainOperations: React.FC = () => {
           <Button
             onClick={handleSubmit}
             variant="contained"
-            disabled={trainsLoading || !formData.name || !formData.routeId || formData.locomotiveIds.length === 0}
+            disabled={trainsLoading || !formData.name || !formData.routeId || formData.locomotiveIds.length === 0 || scheduleIncomplete}
           >
             {dialogMode === 'add' ? 'Add' : 'Save'}
           </Button>
@@ -703,6 +924,18 @@ const TrainOperations: React.FC = () => {
                     Final Car Count: {trainForSwitchList.switchList.finalCarCount}
                   </Typography>
                 </Box>
+                {trainForSwitchList.switchList.limits && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    Train limits: {formatLimit(trainForSwitchList.switchList.limits.peakCars, trainForSwitchList.switchList.limits.maxCars, 'cars')},{' '}
+                    {formatLimit(
+                      trainForSwitchList.switchList.limits.locomotiveLength + trainForSwitchList.switchList.limits.peakLength,
+                      trainForSwitchList.switchList.limits.maxLength,
+                      'ft'
+                    )},{' '}
+                    {formatLimit(trainForSwitchList.switchList.limits.peakTonnage, trainForSwitchList.switchList.limits.maxTonnage, 'tons')}
+                    {trainForSwitchList.switchList.limits.boundBy && ` - ${trainForSwitchList.switchList.limits.boundBy} limit reached`}
+                  </Typography>
+                )}
               </Paper>
 
               {trainForSwitchList.switchList.stations.map((station, index) => (
@@ -712,6 +945,19 @@ const TrainOperations: React.FC = () => {
                   </Typography>
                   <Divider sx={{ my: 1 }} />
 
+                  {station.cutOff && (
+                    <Typography variant="body2" gutterBottom>
+                      Cut off the first {station.cutOff.carCount} car(s), positions {formatPositions(station.cutOff.fromPosition, station.cutOff.toPosition)}, and set them out
+                    </Typography>
+                  )}
+                  {(station.blocks?.length ?? 0) > 0 && (
+                    <Typography variant="body2" color="text.secondary" gutterBottom>
+                      Leave with: {station.blocks!.map(block =>
+                        `${formatPositions(block.fromPosition, block.toPosition)} ${block.stationName}${block.pickedUp > 0 ? ` (${block.pickedUp} added here)` : ''}`
+                      ).join(', ')}
+                    </Typography>
+                  )}
+
                   {station.pickups.length > 0 && (
                     <Box mb={2}>
                       <Typography variant="subtitle2" color="primary" gutterBottom>
@@ -721,8 +967,8 @@ const TrainOperations: React.FC = () => {
                         {station.pickups.map((pickup, idx) => (
                           <ListItem key={idx}>
                             <ListItemText
-                              primary={`${pickup.carReportingMarks} ${pickup.carNumber}`}
-                              secondary={`${pickup.carType} → ${pickup.destinationIndustryName}`}
+                              primary={describeCar(pickup)}
+                              secondary={pickup.blockStationName ? `${describeMove(pickup)}, in the ${pickup.blockStationName} block` : describeMove(pickup)}
                             />
                           </ListItem>
                         ))}
@@ -739,8 +985,8 @@ const TrainOperations: React.FC = () => {
                         {station.setouts.map((setout, idx) => (
                           <ListItem key={idx}>
                             <ListItemText
-                              primary={`${setout.carReportingMarks} ${setout.carNumber}`}
-                              secondary={`${setout.carType} → ${setout.destinationIndustryName}`}
+                              primary={describeCar(setout)}
+                              secondary={setout.needsRunaround ? `${describeMove(setout)} - facing point, no runaround here` : describeMove(setout)}
                             />
                           </ListItem>
                         ))}
@@ -749,12 +995,67 @@ const TrainOperations: React.FC = () => {
                   )}
                 </Paper>
               ))}
+
+              {(trainForSwitchList.switchList.heldCars?.length ?? 0) > 0 && (
+                <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+                  <Typography variant="h6" gutterBottom>
+                    Held Cars ({trainForSwitchList.switchList.heldCars!.length})
+                  </Typography>
+                  <Divider sx={{ my: 1 }} />
+                  <List dense>
+                    {trainForSwitchList.switchList.heldCars!.map((held, idx) => (
+                      <ListItem key={idx}>
+                        <ListItemText
+                          primary={`${held.carReportingMarks} ${held.carNumber} at ${held.stationName}`}
+                          secondary={`${held.carType} → ${held.destinationIndustryName}: ${held.reason}`}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                </Paper>
+              )}
+
+              {(trainForSwitchList.switchList.bumpedOrders?.length ?? 0) > 0 && (
+                <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+                  <Typography variant="h6" gutterBottom>
+                    Bumped Orders ({trainForSwitchList.switchList.bumpedOrders!.length})
+                  </Typography>
+                  <Divider sx={{ my: 1 }} />
+                  <List dense>
+                    {trainForSwitchList.switchList.bumpedOrders!.map((bumped, idx) => (
+                      <ListItem key={idx}>
+                        <ListItemText
+                          primary={`${bumped.industryName} (${bumped.priority})`}
+                          secondary={`Bumped for a ${bumped.bumpedByPriority} order to ${bumped.bumpedByIndustryName}`}
+                        />
+                      </ListItem>
+                    ))}
+                  </List>
+                </Paper>
+              )}
             </Box>
           ) : (
             <Typography>No switch list available for this train.</Typography>
           )}
         </DialogContent>
         <DialogActions>
+          {trainForSwitchList?.switchList && (
+            <>
+              <Button
+                startIcon={<PictureAsPdf />}
+                onClick={() => handleOpenSwitchListOutput('pdf')}
+              >
+                PDF
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<Print />}
+                onClick={() => handleOpenSwitchListOutput('html')}
+              >
+                Print
+              </Button>
+            </>
+          )}
           <Button onClick={() => setSwitchListDialogOpen(false)}>Close</Button>
         </DialogActions>
       </Dialog>
@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Card,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  IconButton,
+  TextField,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Stack,
+  Tooltip,
+} from '@mui/material';
+import { Add, Edit, Delete } from '@mui/icons-material';
+import { DataGrid, type GridColDef } from '@mui/x-data-grid';
+import { useAuth } from '../contexts/useAuth';
+import type { User, UserFormData, UserRole } from '../types';
+
+const ROLE_DESCRIPTIONS: Record<UserRole, string> = {
+  superintendent: 'Manages accounts, imports data and advances or rolls back sessions',
+  dispatcher: 'Plans trains and car orders',
+  crew: 'Sees and works only the trains assigned to them',
+  viewer: 'Read-only',
+};
+
+const emptyForm: UserFormData = {
+  username: '',
+  displayName: '',
+  role: 'crew',
+  password: '',
+  isActive: true,
+};
+
+const UserManagement: React.FC = () => {
+  const { user: currentUser, users, error, fetchUsers, createUser, updateUser, deleteUser } = useAuth();
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [selectedUser, setSelectedUser] = useState<User | null>(null);
+  const [formData, setFormData] = useState<UserFormData>(emptyForm);
+  const [userToDelete, setUserToDelete] = useState<User | null>(null);
+
+  useEffect(() => {
+    fetchUsers().catch(() => {
+      // Error is handled by AuthContext
+    });
+  }, [fetchUsers]);
+
+  const handleOpenDialog = (user?: User) => {
+    setSelectedUser(user || null);
+    setFormData(user
+      ? { username: user.username, displayName: user.displayName, role: user.role, password: '', isActive: user.isActive }
+      : emptyForm);
+    setDialogOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      if (selectedUser) {
+        // A blank password keeps the current one
+        await updateUser(selectedUser._id, { ...formData, password: formData.password || undefined });
+      } else {
+        await createUser(formData);
+      }
+      setDialogOpen(false);
+    } catch {
+      // Error is handled by AuthContext
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    if (!userToDelete) return;
+    try {
+      await deleteUser(userToDelete._id);
+      setUserToDelete(null);
+    } catch {
+      // Error is handled by AuthContext
+    }
+  };
+
+  const columns: GridColDef[] = [
+    { field: 'username', headerName: 'Username', flex: 1, minWidth: 140 },
+    { field: 'displayName', headerName: 'Name', flex: 1, minWidth: 140 },
+    {
+      field: 'role',
+      headerName: 'Role',
+      width: 150,
+      renderCell: (params) => (
+        <Chip label={params.value} size="small" color={params.value === 'superintendent' ? 'primary' : 'default'} />
+      ),
+    },
+    {
+      field: 'isActive',
+      headerName: 'Status',
+      width: 110,
+      renderCell: (params) => (
+        <Chip label={params.value ? 'Active' : 'Disabled'} size="small" color={params.value ? 'success' : 'default'} />
+      ),
+    },
+    {
+      field: 'actions',
+      headerName: 'Actions',
+      width: 110,
+      sortable: false,
+      renderCell: (params) => {
+        const user = params.row as User;
+        return (
+          <Box display="flex" gap={0.5}>
+            <Tooltip title="Edit">
+              <IconButton size="small" onClick={() => handleOpenDialog(user)}>
+                <Edit fontSize="small" />
+              </IconButton>
+            </Tooltip>
+            {user._id !== currentUser?._id && (
+              <Tooltip title="Delete">
+                <IconButton size="small" color="error" onClick={() => setUserToDelete(user)}>
+                  <Delete fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
+          </Box>
+        );
+      },
+    },
+  ];
+
+  const passwordRequired = !selectedUser;
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4" component="h1">
+          Users
+        </Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => handleOpenDialog()}>
+          Add User
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Card>
+        <Box sx={{ height: 500, width: '100%' }}>
+          <DataGrid
+            rows={users}
+            columns={columns}
+            getRowId={(row) => row._id}
+            disableRowSelectionOnClick
+            sx={{ border: 'none' }}
+          />
+        </Box>
+      </Card>
+
+      {/* Add/Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{selectedUser ? 'Edit User' : 'Add User'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              label="Username"
+              value={formData.username}
+              onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+              fullWidth
+              required
+            />
+            <TextField
+              label="Display Name"
+              value={formData.displayName}
+              onChange={(e) => setFormData({ ...formData, displayName: e.target.value })}
+              fullWidth
+            />
+            <FormControl fullWidth required>
+              <InputLabel>Role</InputLabel>
+              <Select
+                value={formData.role}
+                label="Role"
+                onChange={(e) => setFormData({ ...formData, role: e.target.value as UserRole })}
+              >
+                {(Object.keys(ROLE_DESCRIPTIONS) as UserRole[]).map((role) => (
+                  <MenuItem key={role} value={role}>
+                    {role}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Typography variant="body2" color="textSecondary">
+              {ROLE_DESCRIPTIONS[formData.role]}
+            </Typography>
+            <TextField
+              label={passwordRequired ? 'Password' : 'New Password'}
+              type="password"
+              value={formData.password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              helperText={passwordRequired ? 'At least 8 characters' : 'Leave blank to keep the current password'}
+              autoComplete="new-password"
+              fullWidth
+              required={passwordRequired}
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={formData.isActive}
+                  onChange={(e) => setFormData({ ...formData, isActive: e.target.checked })}
+                />
+              }
+              label="Active"
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleSubmit}
+            variant="contained"
+            disabled={!formData.username || (passwordRequired && !formData.password)}
+          >
+            {selectedUser ? 'Save' : 'Add'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={userToDelete !== null} onClose={() => setUserToDelete(null)}>
+        <DialogTitle>Delete User?</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Delete the account "{userToDelete?.username}"? They will be signed out everywhere.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setUserToDelete(null)}>Cancel</Button>
+          <Button onClick={handleDeleteConfirm} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default UserManagement;
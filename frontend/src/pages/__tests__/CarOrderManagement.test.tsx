@@ -38,7 +38,9 @@ vi.mock('@mui/x-data-grid', () => ({
 
 // Mock apiService
 vi.mock('../../services/api', () => ({
+  DEFAULT_LAYOUT_ID: 'default',
   apiService: {
+    withAccessToken: vi.fn((url: string) => url),
     getCars: vi.fn(),
     getLocomotives: vi.fn(),
     getIndustries: vi.fn(),
@@ -53,6 +55,8 @@ vi.mock('../../services/api', () => ({
     getCarOrders: vi.fn(),
     generateCarOrders: vi.fn(),
     deleteCarOrder: vi.fn(),
+    expediteCarOrder: vi.fn(),
+    getDemandPreview: vi.fn(),
   },
 }));
 
@@ -98,6 +102,8 @@ describe('CarOrderManagement Page', () => {
       aarTypeId: 'aar1',
       sessionNumber: 1,
       status: 'pending' as const,
+      priority: 'hot' as const,
+      backorderAge: 2,
       createdAt: '2025-10-28T14:00:00.000Z',
     },
     {
@@ -149,6 +155,26 @@ describe('CarOrderManagement Page', () => {
         expect(within(grid).getByText('assigned')).toBeInTheDocument();
       });
     });
+
+    it('should display backorder age', async () => {
+      renderWithProviders(<CarOrderManagement />);
+
+      await waitFor(() => {
+        const grid = screen.getByRole('grid');
+        expect(within(grid).getByText('2 sessions')).toBeInTheDocument();
+        expect(screen.getByText('1 backordered')).toBeInTheDocument();
+      });
+    });
+
+    it('should display order priority', async () => {
+      renderWithProviders(<CarOrderManagement />);
+
+      await waitFor(() => {
+        const grid = screen.getByRole('grid');
+        expect(within(grid).getByText('hot')).toBeInTheDocument();
+        expect(within(grid).getByText('normal')).toBeInTheDocument();
+      });
+    });
   });
 
   describe('Statistics Cards', () => {
@@ -189,6 +215,42 @@ describe('CarOrderManagement Page', () => {
     });
   });
 
+  describe('Demand Preview', () => {
+    it('should show the demand the coming sessions will generate', async () => {
+      const user = userEvent.setup();
+      vi.mocked(apiService.getDemandPreview).mockResolvedValue({
+        success: true,
+        data: {
+          fromSession: 2,
+          toSession: 3,
+          seed: 'elmrr-switch',
+          sessionsPerYear: 12,
+          sessions: [
+            {
+              sessionNumber: 2,
+              expectedCars: 1.5,
+              cars: 2,
+              demands: [{ industryId: 'ind1', industryName: 'Lumber Mill', goodsId: 'logs', direction: 'inbound', model: 'range', priority: 'normal', expectedCars: 1.5, cars: 2 }],
+            },
+            { sessionNumber: 3, expectedCars: 1.5, cars: 0, demands: [] },
+          ],
+        },
+      });
+      renderWithProviders(<CarOrderManagement />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: /preview demand/i })).toBeEnabled();
+      });
+      await user.click(screen.getByRole('button', { name: /preview demand/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Lumber Mill: 2 logs inbound')).toBeInTheDocument();
+      });
+      expect(apiService.getDemandPreview).toHaveBeenCalledWith({ sessions: 10, seed: undefined });
+      expect(screen.getByText('Sessions 2-3, 12 sessions to the year')).toBeInTheDocument();
+    });
+  });
+
   describe('Generate Orders', () => {
     it('should open generate orders dialog', async () => {
       const user = userEvent.setup();
@@ -20,7 +20,9 @@ import { apiService } from '../../services/api';
 
 // Mock apiService
 vi.mock('../../services/api', () => ({
+  DEFAULT_LAYOUT_ID: 'default',
   apiService: {
+    withAccessToken: vi.fn((url: string) => url),
     getCars: vi.fn(),
     getLocomotives: vi.fn(),
     getIndustries: vi.fn(),
@@ -31,6 +33,7 @@ vi.mock('../../services/api', () => ({
     getTracks: vi.fn(),
     getRoutes: vi.fn(),
     getCurrentSession: vi.fn(),
+    getFastClock: vi.fn(),
     getTrains: vi.fn(),
     getCarOrders: vi.fn(),
   },
@@ -104,6 +107,7 @@ describe('Dashboard Page', () => {
     (apiService.getTracks as any).mockResolvedValue({ data: [] });
     (apiService.getRoutes as any).mockResolvedValue({ data: mockRoutes });
     (apiService.getCurrentSession as any).mockResolvedValue({ data: mockSession });
+    vi.mocked(apiService.getFastClock).mockResolvedValue({ success: true });
     (apiService.getTrains as any).mockResolvedValue({ data: mockTrains });
     (apiService.getCarOrders as any).mockResolvedValue({ data: mockOrders });
   });
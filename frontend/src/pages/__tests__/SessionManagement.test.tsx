@@ -21,7 +21,9 @@ import { apiService } from '../../services/api';
 
 // Mock apiService
 vi.mock('../../services/api', () => ({
+  DEFAULT_LAYOUT_ID: 'default',
   apiService: {
+    withAccessToken: vi.fn((url: string) => url),
     getCars: vi.fn(),
     getLocomotives: vi.fn(),
     getIndustries: vi.fn(),
@@ -32,6 +34,7 @@ vi.mock('../../services/api', () => ({
     getTracks: vi.fn(),
     getRoutes: vi.fn(),
     getCurrentSession: vi.fn(),
+    getSessionHistory: vi.fn(),
     advanceSession: vi.fn(),
     rollbackSession: vi.fn(),
     updateSessionDescription: vi.fn(),
@@ -48,6 +51,23 @@ const renderWithProviders = (component: React.ReactElement) => {
   );
 };
 
+// Restore points for the given session numbers, newest first
+const mockHistory = (currentSessionNumber: number, sessionNumbers: number[]) => ({
+  success: true,
+  data: {
+    currentSessionNumber,
+    retention: 10,
+    restorePoints: sessionNumbers.map(sessionNumber => ({
+      sessionNumber,
+      name: `Session ${sessionNumber}`,
+      description: '',
+      takenAt: '2025-10-28T12:00:00.000Z',
+      steps: currentSessionNumber - sessionNumber,
+      stats: { cars: 4, trains: 1, carOrders: 2, trainsByStatus: {}, ordersByStatus: {} },
+    })),
+  },
+});
+
 describe('SessionManagement Page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -64,6 +84,7 @@ describe('SessionManagement Page', () => {
     (apiService.getRoutes as any).mockResolvedValue({ data: [] });
     (apiService.getTrains as any).mockResolvedValue({ data: [] });
     (apiService.getCarOrders as any).mockResolvedValue({ data: [] });
+    vi.mocked(apiService.getSessionHistory).mockResolvedValue(mockHistory(1, []));
   });
 
   describe('Session Display', () => {
@@ -293,6 +314,34 @@ describe('SessionManagement Page', () => {
       });
     });
 
+    it('should name the restore point when advancing', async () => {
+      const user = userEvent.setup();
+      const mockSession = {
+        _id: 'session1',
+        currentSessionNumber: 2,
+        sessionDate: '2025-10-28T14:00:00.000Z',
+      };
+      vi.mocked(apiService.getCurrentSession).mockResolvedValue({ success: true, data: mockSession });
+      vi.mocked(apiService.advanceSession).mockResolvedValue({ success: true, data: { ...mockSession, currentSessionNumber: 3 } });
+
+      renderWithProviders(<SessionManagement />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Session 2')).toBeInTheDocument();
+      });
+
+      await user.click(screen.getByRole('button', { name: /advance to next session/i }));
+      await user.type(screen.getByLabelText(/restore point name/i), 'Before the rush');
+
+      const dialogs = screen.getAllByRole('dialog');
+      const confirmDialog = dialogs[dialogs.length - 1];
+      await user.click(within(confirmDialog).getByRole('button', { name: /advance/i }));
+
+      await waitFor(() => {
+        expect(apiService.advanceSession).toHaveBeenCalledWith('Before the rush');
+      });
+    });
+
     it('should cancel advance session', async () => {
       const user = userEvent.setup();
       const mockSession = {
@@ -353,7 +402,7 @@ describe('SessionManagement Page', () => {
       expect(screen.getByText('Cannot rollback from session 1')).toBeInTheDocument();
     });
 
-    it('should enable rollback when snapshot exists', async () => {
+    it('should enable rollback when a restore point exists', async () => {
       const mockSession = {
         _id: 'session1',
         currentSessionNumber: 2,
@@ -366,6 +415,7 @@ describe('SessionManagement Page', () => {
         },
       };
       (apiService.getCurrentSession as any).mockResolvedValue({ data: mockSession });
+      vi.mocked(apiService.getSessionHistory).mockResolvedValue(mockHistory(2, [1]));
 
       renderWithProviders(<SessionManagement />);
 
@@ -374,7 +424,9 @@ describe('SessionManagement Page', () => {
       });
 
       const rollbackButton = screen.getByRole('button', { name: /rollback to previous session/i });
-      expect(rollbackButton).not.toBeDisabled();
+      await waitFor(() => {
+        expect(rollbackButton).not.toBeDisabled();
+      });
     });
 
     it('should show rollback confirmation dialog', async () => {
@@ -391,11 +443,13 @@ describe('SessionManagement Page', () => {
         },
       };
       (apiService.getCurrentSession as any).mockResolvedValue({ data: mockSession });
+      vi.mocked(apiService.getSessionHistory).mockResolvedValue(mockHistory(3, [2, 1]));
 
       renderWithProviders(<SessionManagement />);
 
       await waitFor(() => {
         expect(screen.getByText('Session 3')).toBeInTheDocument();
+        expect(screen.getByText('Session 2')).toBeInTheDocument();
       });
 
       const rollbackButton = screen.getByRole('button', { name: /rollback to previous session/i });
@@ -423,12 +477,14 @@ describe('SessionManagement Page', () => {
         currentSessionNumber: 2,
       };
       (apiService.getCurrentSession as any).mockResolvedValue({ data: mockSession });
+      vi.mocked(apiService.getSessionHistory).mockResolvedValue(mockHistory(3, [2, 1]));
       (apiService.rollbackSession as any).mockResolvedValue({ data: rolledBackSession });
 
       renderWithProviders(<SessionManagement />);
 
       await waitFor(() => {
         expect(screen.getByText('Session 3')).toBeInTheDocument();
+        expect(screen.getByText('Session 2')).toBeInTheDocument();
       });
 
       // Open confirmation
@@ -442,7 +498,51 @@ describe('SessionManagement Page', () => {
       await user.click(confirmButton);
 
       await waitFor(() => {
-        expect(apiService.rollbackSession).toHaveBeenCalled();
+        expect(apiService.rollbackSession).toHaveBeenCalledWith({ steps: 1 });
+      });
+    });
+
+    it('should list restore points and restore an older one', async () => {
+      const user = userEvent.setup();
+      const mockSession = {
+        _id: 'session1',
+        currentSessionNumber: 4,
+        sessionDate: '2025-10-28T14:00:00.000Z',
+      };
+      vi.mocked(apiService.getCurrentSession).mockResolvedValue({ success: true, data: mockSession });
+      vi.mocked(apiService.getSessionHistory).mockResolvedValue(mockHistory(4, [3, 2, 1]));
+      vi.mocked(apiService.rollbackSession).mockResolvedValue({ success: true, data: { ...mockSession, currentSessionNumber: 2 } });
+
+      renderWithProviders(<SessionManagement />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Session 2')).toBeInTheDocument();
+      });
+      expect(screen.getByText('Session 3')).toBeInTheDocument();
+      expect(screen.getByText('Session 1')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Restore Session 2' }));
+      expect(screen.getByText(/Restore session 2/)).toBeInTheDocument();
+
+      const dialogs = screen.getAllByRole('dialog');
+      const confirmDialog = dialogs[dialogs.length - 1];
+      await user.click(within(confirmDialog).getByRole('button', { name: /rollback/i }));
+
+      await waitFor(() => {
+        expect(apiService.rollbackSession).toHaveBeenCalledWith({ steps: 2 });
+      });
+    });
+
+    it('should show an empty restore point list', async () => {
+      vi.mocked(apiService.getCurrentSession).mockResolvedValue({
+        success: true,
+        data: { _id: 'session1', currentSessionNumber: 1, sessionDate: '2025-10-28T14:00:00.000Z' },
+      });
+
+      renderWithProviders(<SessionManagement />);
+
+      await waitFor(() => {
+        expect(screen.getByText('No restore points yet')).toBeInTheDocument();
       });
     });
   });
@@ -42,7 +42,9 @@ vi.mock('@mui/x-data-grid', () => ({
 
 // Mock apiService
 vi.mock('../../services/api', () => ({
+  DEFAULT_LAYOUT_ID: 'default',
   apiService: {
+    withAccessToken: vi.fn((url: string) => url),
     getCars: vi.fn(),
     getLocomotives: vi.fn(),
     getIndustries: vi.fn(),
@@ -270,6 +272,23 @@ describe('TrainOperations Page', () => {
         expect(capacityLabels.length).toBeGreaterThan(0);
       });
     });
+
+    it('should have optional length and tonnage limits in add dialog', async () => {
+      const user = userEvent.setup();
+      renderWithProviders(<TrainOperations />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Train Operations')).toBeInTheDocument();
+      });
+
+      await user.click(screen.getByRole('button', { name: /add train/i }));
+
+      await waitFor(() => {
+        const dialog = screen.getByRole('dialog');
+        expect(within(dialog).getByLabelText(/max length/i)).toHaveValue(null);
+        expect(within(dialog).getByLabelText(/max tonnage/i)).toHaveValue(null);
+      });
+    });
   });
 
   describe('Loading States', () => {
@@ -0,0 +1,148 @@
+/**
+ * API Service Tests for Accounts
+ *
+ * Tests sign-in and the bearer token:
+ * - Login stores the token; logout drops it
+ * - Requests carry the token; printable URLs append it
+ * - A rejected token is dropped and reported
+ * - User management endpoints
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { apiService } from '../api';
+import type { User } from '../../types';
+
+// Mock fetch globally
+const fetchMock = vi.fn<typeof fetch>();
+globalThis.fetch = fetchMock;
+
+describe('API Service - Accounts', () => {
+  const mockUser: User = {
+    _id: 'user1',
+    username: 'engineer',
+    displayName: 'Engineer Bob',
+    role: 'crew',
+    isActive: true,
+  };
+
+  const mockFetch = (body: unknown, status = 200) => {
+    fetchMock.mockResolvedValueOnce({
+      ok: status < 400,
+      status,
+      json: async () => body,
+    } as Response);
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    apiService.onUnauthorized(null);
+  });
+
+  describe('login', () => {
+    it('should store the token it receives', async () => {
+      mockFetch({ success: true, data: { token: 'abc123', expiresAt: '2025-11-04T00:00:00.000Z', user: mockUser } });
+
+      const result = await apiService.login('engineer', 'highball123');
+
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/v1/auth/login',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ username: 'engineer', password: 'highball123' }),
+        })
+      );
+      expect(result.data?.user).toEqual(mockUser);
+      expect(apiService.getAuthToken()).toBe('abc123');
+    });
+
+    it('should surface the server\'s error message', async () => {
+      mockFetch({ success: false, error: 'Invalid username or password' }, 401);
+
+      await expect(apiService.login('engineer', 'wrong')).rejects.toThrow('Invalid username or password');
+      expect(apiService.getAuthToken()).toBeNull();
+    });
+  });
+
+  describe('bearer token', () => {
+    it('should send the stored token with every request', async () => {
+      apiService.setAuthToken('abc123');
+      mockFetch({ success: true, data: [] });
+
+      await apiService.getTrains();
+
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/v1/trains',
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: 'Bearer abc123' }),
+        })
+      );
+    });
+
+    it('should send no Authorization header when signed out', async () => {
+      mockFetch({ success: true, data: [] });
+
+      await apiService.getTrains();
+
+      const [, options] = fetchMock.mock.calls[0];
+      expect(options?.headers).not.toHaveProperty('Authorization');
+    });
+
+    it('should append the token to printable URLs', () => {
+      apiService.setAuthToken('abc 123');
+
+      expect(apiService.getSwitchListUrl('train1', 'pdf')).toBe(
+        'http://localhost:3001/api/v1/trains/train1/switch-list.pdf?access_token=abc%20123'
+      );
+      expect(apiService.getCardSheetUrl('waybills', 'html', ['car1'])).toBe(
+        'http://localhost:3001/api/v1/waybills/waybills.html?carIds=car1&access_token=abc%20123'
+      );
+    });
+
+    it('should drop a rejected token and report it', async () => {
+      const onUnauthorized = vi.fn();
+      apiService.onUnauthorized(onUnauthorized);
+      apiService.setAuthToken('expired');
+      mockFetch({ success: false, error: 'Invalid or expired token' }, 401);
+
+      await expect(apiService.getTrains()).rejects.toThrow('Invalid or expired token');
+      expect(apiService.getAuthToken()).toBeNull();
+      expect(onUnauthorized).toHaveBeenCalled();
+    });
+  });
+
+  describe('logout', () => {
+    it('should drop the token even if the server call fails', async () => {
+      apiService.setAuthToken('abc123');
+      fetchMock.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(apiService.logout()).rejects.toThrow();
+      expect(apiService.getAuthToken()).toBeNull();
+    });
+  });
+
+  describe('Users API', () => {
+    it('should create, update and delete users', async () => {
+      mockFetch({ success: true, data: mockUser });
+      await apiService.createUser({ username: 'engineer', displayName: '', role: 'crew', password: 'highball123', isActive: true });
+      expect(globalThis.fetch).toHaveBeenLastCalledWith(
+        'http://localhost:3001/api/v1/users',
+        expect.objectContaining({ method: 'POST' })
+      );
+
+      mockFetch({ success: true, data: mockUser });
+      await apiService.updateUser('user1', { isActive: false });
+      expect(globalThis.fetch).toHaveBeenLastCalledWith(
+        'http://localhost:3001/api/v1/users/user1',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify({ isActive: false }) })
+      );
+
+      mockFetch({ success: true, data: null });
+      await apiService.deleteUser('user1');
+      expect(globalThis.fetch).toHaveBeenLastCalledWith(
+        'http://localhost:3001/api/v1/users/user1',
+        expect.objectContaining({ method: 'DELETE' })
+      );
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * API Service Tests for JMRI Import and Export
+ *
+ * Tests exchanging roster files with JMRI Operations:
+ * - Roster files are sent as XML text
+ * - Export URLs carry the layout and the token
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { apiService } from '../api';
+
+// Mock fetch globally
+const fetchMock = vi.fn<typeof fetch>();
+globalThis.fetch = fetchMock;
+
+describe('API Service - JMRI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('should send roster files as XML text', async () => {
+    const result = { imported: 3, errors: [], warnings: [], rosters: ['cars'] };
+    fetchMock.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ success: true, data: result }),
+    } as Response);
+
+    const response = await apiService.importJmri(['<operations-config><cars /></operations-config>']);
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      'http://localhost:3001/api/v1/import/jmri',
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ files: ['<operations-config><cars /></operations-config>'] }),
+      })
+    );
+    expect(response.data).toEqual(result);
+  });
+
+  it('should build export URLs for the current layout', () => {
+    expect(apiService.getJmriExportUrl('cars')).toBe('http://localhost:3001/api/v1/import/jmri/cars');
+
+    apiService.setLayoutId('club');
+    apiService.setAuthToken('abc123');
+
+    expect(apiService.getJmriExportUrl('locations')).toBe(
+      'http://localhost:3001/api/v1/layouts/club/import/jmri/locations?access_token=abc123'
+    );
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * API Service Tests for Layouts
+ *
+ * Tests working on more than one layout:
+ * - The chosen layout is remembered and sent with data requests
+ * - Printable URLs name the layout in the path
+ * - Layout management endpoints
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { apiService } from '../api';
+
+// Mock fetch globally
+const fetchMock = vi.fn<typeof fetch>();
+globalThis.fetch = fetchMock;
+
+describe('API Service - Layouts', () => {
+  const mockFetch = (body: unknown, status = 200) => {
+    fetchMock.mockResolvedValueOnce({
+      ok: status < 400,
+      status,
+      json: async () => body,
+    } as Response);
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  describe('layout selection', () => {
+    it('should start on the default layout and send no layout header', async () => {
+      mockFetch({ success: true, data: [] });
+
+      await apiService.getTrains();
+
+      expect(apiService.getLayoutId()).toBe('default');
+      const [, options] = fetchMock.mock.calls[0];
+      expect(options?.headers).not.toHaveProperty('X-Layout-Id');
+    });
+
+    it('should send the chosen layout with every request', async () => {
+      apiService.setLayoutId('club');
+      mockFetch({ success: true, data: [] });
+
+      await apiService.getTrains();
+
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/v1/trains',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'X-Layout-Id': 'club' }),
+        })
+      );
+    });
+
+    it('should forget the choice when switching back to the default layout', () => {
+      apiService.setLayoutId('club');
+      apiService.setLayoutId('default');
+
+      expect(localStorage.getItem('elmrr-layout-id')).toBeNull();
+      expect(apiService.getLayoutId()).toBe('default');
+    });
+
+    it('should put the layout in the path of printable URLs', () => {
+      apiService.setLayoutId('club');
+
+      expect(apiService.getSwitchListUrl('train1', 'pdf')).toBe(
+        'http://localhost:3001/api/v1/layouts/club/trains/train1/switch-list.pdf'
+      );
+      expect(apiService.getCardSheetUrl('car-cards', 'html')).toBe(
+        'http://localhost:3001/api/v1/layouts/club/waybills/car-cards.html'
+      );
+    });
+  });
+
+  describe('Layouts API', () => {
+    it('should create, clone and delete layouts', async () => {
+      mockFetch({ success: true, data: { _id: 'club', name: 'Club Modules', description: '' } });
+      await apiService.createLayout({ name: 'Club Modules', description: '' });
+      expect(globalThis.fetch).toHaveBeenLastCalledWith(
+        'http://localhost:3001/api/v1/layouts',
+        expect.objectContaining({ method: 'POST' })
+      );
+
+      mockFetch({ success: true, data: { layout: { _id: 'copy' }, stats: { copied: {}, totalCopied: 0 } } });
+      await apiService.cloneLayout('club', { name: 'Club Copy', description: '' });
+      expect(globalThis.fetch).toHaveBeenLastCalledWith(
+        'http://localhost:3001/api/v1/layouts/club/clone',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ name: 'Club Copy', description: '' }) })
+      );
+
+      mockFetch({ success: true, data: null });
+      await apiService.deleteLayout('club');
+      expect(globalThis.fetch).toHaveBeenLastCalledWith(
+        'http://localhost:3001/api/v1/layouts/club',
+        expect.objectContaining({ method: 'DELETE' })
+      );
+    });
+  });
+});
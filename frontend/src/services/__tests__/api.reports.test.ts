@@ -0,0 +1,71 @@
+/**
+ * API Service Tests for Reports
+ *
+ * Tests loading the data behind the reports page:
+ * - Reports are requested by name with their session range
+ * - Order statistics are requested per session
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { apiService } from '../api';
+
+// Mock fetch globally
+const fetchMock = vi.fn<typeof fetch>();
+globalThis.fetch = fetchMock;
+
+const respondWith = (data: unknown) => {
+  fetchMock.mockResolvedValueOnce({
+    ok: true,
+    status: 200,
+    json: async () => ({ success: true, data }),
+  } as Response);
+};
+
+describe('API Service - Reports', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  it('should request a report over a session range', async () => {
+    const report = {
+      name: 'locomotive-usage',
+      title: 'Locomotive Usage',
+      columns: [],
+      filters: { fromSession: 2, toSession: 5, currentSession: 5 },
+      rows: [],
+    };
+    respondWith(report);
+
+    const response = await apiService.getReport('locomotive-usage', { fromSession: 2, toSession: 5 });
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      'http://localhost:3001/api/v1/reports/locomotive-usage?fromSession=2&toSession=5',
+      expect.any(Object)
+    );
+    expect(response.data).toEqual(report);
+  });
+
+  it('should leave the range to the server when none is given', async () => {
+    respondWith({ rows: [] });
+
+    await apiService.getReport('car-movements');
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      'http://localhost:3001/api/v1/reports/car-movements',
+      expect.any(Object)
+    );
+  });
+
+  it('should request order statistics for a session', async () => {
+    respondWith({ totalOrders: 4, sessionNumber: 3, pendingOrders: 1, assignedOrders: 1, deliveredOrders: 2 });
+
+    const response = await apiService.getCarOrderStats(3);
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      'http://localhost:3001/api/v1/car-orders/stats?sessionNumber=3',
+      expect.any(Object)
+    );
+    expect(response.data?.deliveredOrders).toBe(2);
+  });
+});
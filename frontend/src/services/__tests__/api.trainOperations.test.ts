@@ -349,6 +349,36 @@ describe('API Service - Train Operations', () => {
       );
     });
 
+    it('should build printable switch list URLs', () => {
+      expect(apiService.getSwitchListUrl('train123', 'html')).toBe(
+        'http://localhost:3001/api/v1/trains/train123/switch-list.html'
+      );
+      expect(apiService.getSwitchListUrl('train123', 'pdf')).toBe(
+        'http://localhost:3001/api/v1/trains/train123/switch-list.pdf'
+      );
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should build printable timetable URLs', () => {
+      expect(apiService.getTimetableUrl()).toBe(
+        'http://localhost:3001/api/v1/timetable/timetable.html'
+      );
+      expect(apiService.getTimetableUrl(4)).toBe(
+        'http://localhost:3001/api/v1/timetable/timetable.html?sessionNumber=4'
+      );
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should build printable car card and waybill sheet URLs', () => {
+      expect(apiService.getCardSheetUrl('car-cards', 'html')).toBe(
+        'http://localhost:3001/api/v1/waybills/car-cards.html'
+      );
+      expect(apiService.getCardSheetUrl('waybills', 'pdf', ['car1', 'car2'])).toBe(
+        'http://localhost:3001/api/v1/waybills/waybills.pdf?carIds=car1%2Ccar2'
+      );
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
     it('should generate switch list', async () => {
       const trainWithSwitchList: Train = {
         ...mockTrain,
@@ -527,6 +557,32 @@ describe('API Service - Train Operations', () => {
       );
     });
 
+    it('should expedite a car order', async () => {
+      mockFetchSuccess({ _id: 'order123', status: 'pending', priority: 'hot' });
+
+      const result = await apiService.expediteCarOrder('order123');
+
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/v1/car-orders/order123/expedite',
+        expect.objectContaining({
+          method: 'POST',
+        })
+      );
+      expect(result.data?.priority).toBe('hot');
+    });
+
+    it('should preview demand for the coming sessions', async () => {
+      mockFetchSuccess({ fromSession: 3, toSession: 7, seed: 'test', sessionsPerYear: 12, sessions: [] });
+
+      const result = await apiService.getDemandPreview({ sessions: 5, seed: 'test' });
+
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/v1/car-orders/demand-preview?sessions=5&seed=test',
+        expect.any(Object)
+      );
+      expect(result.data?.toSession).toBe(7);
+    });
+
     it('should generate car orders with no parameters', async () => {
       const summary: CarOrderGenerationSummary = {
         totalOrdersGenerated: 10,
@@ -0,0 +1,94 @@
+/**
+ * Real-time Layout Events Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { subscribeToLayoutEvents } from '../realtime';
+import { toWebSocketUrl } from '../server';
+
+class FakeWebSocket {
+  static instances: FakeWebSocket[] = [];
+  url: string;
+  onopen: (() => void) | null = null;
+  onmessage: ((message: { data: string }) => void) | null = null;
+  onclose: (() => void) | null = null;
+  close = vi.fn(() => this.onclose?.());
+
+  constructor(url: string) {
+    this.url = url;
+    FakeWebSocket.instances.push(this);
+  }
+
+  static latest() {
+    return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  }
+}
+
+describe('subscribeToLayoutEvents', () => {
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    vi.useFakeTimers();
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('should connect to the backend and deliver parsed events', () => {
+    const onEvent = vi.fn();
+    subscribeToLayoutEvents(onEvent);
+    const event = { type: 'orders-generated', payload: { sessionNumber: 2, ordersCreated: 3 }, timestamp: '2024-01-15T10:00:00.000Z' };
+
+    FakeWebSocket.latest().onmessage?.({ data: JSON.stringify(event) });
+
+    expect(FakeWebSocket.latest().url).toBe('ws://localhost:3001/ws');
+    expect(onEvent).toHaveBeenCalledWith(event);
+  });
+
+  it('should reach the socket on the API server, securely when the API is', () => {
+    expect(toWebSocketUrl('http://localhost:3001')).toBe('ws://localhost:3001');
+    expect(toWebSocketUrl('https://rail.example.org')).toBe('wss://rail.example.org');
+  });
+
+  it('should ignore messages that are not JSON', () => {
+    const onEvent = vi.fn();
+    subscribeToLayoutEvents(onEvent);
+
+    FakeWebSocket.latest().onmessage?.({ data: 'not json' });
+
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  it('should reconnect with backoff and report the reconnect', () => {
+    const onReconnect = vi.fn();
+    subscribeToLayoutEvents(vi.fn(), { onReconnect });
+    FakeWebSocket.latest().onopen?.();
+    expect(onReconnect).not.toHaveBeenCalled();
+
+    FakeWebSocket.latest().onclose?.();
+    vi.advanceTimersByTime(1000);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    FakeWebSocket.latest().onclose?.();
+    vi.advanceTimersByTime(1000);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    vi.advanceTimersByTime(1000);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+
+    FakeWebSocket.latest().onopen?.();
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+  });
+
+  it('should close for good when unsubscribed', () => {
+    const unsubscribe = subscribeToLayoutEvents(vi.fn());
+    const socket = FakeWebSocket.latest();
+
+    unsubscribe();
+    vi.advanceTimersByTime(60000);
+
+    expect(socket.close).toHaveBeenCalled();
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+});
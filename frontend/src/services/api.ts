@@ -1,10 +1,20 @@
 // API service functions for the Model Railroad Layout Tracking System
 
 import type {
+  CardSheet,
+  CarMovement,
   OperatingSession,
+  FastClock,
+  FastClockSettings,
+  SessionHistory,
+  SessionRollbackOptions,
+  SwitchListFormat,
+  Timetable,
   Train,
   CarOrder,
   Route,
+  Track,
+  TrackOccupancy,
   Locomotive,
   LocomotiveStatistics,
   LocomotiveTrainAssignment,
@@ -14,9 +24,27 @@ import type {
   CarOrderGenerationSummary,
   TrainStatus,
   CarOrderStatus,
+  LoginResult,
+  User,
+  UserFormData,
+  RailroadLayout,
+  RailroadLayoutFormData,
+  LayoutCloneResult,
+  ImportResult,
+  JmriRoster,
+  CarOrderStats,
+  DemandPreview,
+  DemandPreviewRequest,
+  Report,
+  ReportName,
+  ReportFilters,
 } from '../types';
+import { SERVER_URL } from './server';
 
-const API_BASE_URL = 'http://localhost:3001/api/v1';
+const API_BASE_URL = `${SERVER_URL}/api/v1`;
+const AUTH_TOKEN_KEY = 'elmrr-auth-token';
+const LAYOUT_ID_KEY = 'elmrr-layout-id';
+export const DEFAULT_LAYOUT_ID = 'default';
 
 export interface ApiResponse<T> {
   success: boolean;
@@ -27,11 +55,17 @@ export interface ApiResponse<T> {
 }
 
 class ApiService {
+  private unauthorizedHandler: (() => void) | null = null;
+
   private async request<T>(endpoint: string, options?: RequestInit): Promise<ApiResponse<T>> {
     try {
+      const token = this.getAuthToken();
+      const layoutId = this.getLayoutId();
       const response = await fetch(`${API_BASE_URL}${endpoint}`, {
         headers: {
           'Content-Type': 'application/json',
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(layoutId !== DEFAULT_LAYOUT_ID && { 'X-Layout-Id': layoutId }),
           ...options?.headers,
         },
         ...options,
@@ -39,8 +73,14 @@ class ApiService {
 
       const data = await response.json();
 
+      if (response.status === 401 && token) {
+        // Token expired or revoked; drop it so the app asks to sign in again
+        this.setAuthToken(null);
+        this.unauthorizedHandler?.();
+      }
+
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        throw new Error(data.message || (typeof data.error === 'string' && data.error) || `HTTP error! status: ${response.status}`);
       }
 
       return data;
@@ -49,6 +89,141 @@ class ApiService {
     }
   }
 
+  // Append the bearer token to URLs the browser opens directly, which cannot send headers
+  withAccessToken(url: string) {
+    const token = this.getAuthToken();
+    if (!token) {
+      return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`;
+  }
+
+  // URL of a data endpoint in the current layout, for links that cannot send the layout header
+  private layoutUrl(path: string) {
+    const layoutId = this.getLayoutId();
+    return layoutId === DEFAULT_LAYOUT_ID
+      ? `${API_BASE_URL}${path}`
+      : `${API_BASE_URL}/layouts/${encodeURIComponent(layoutId)}${path}`;
+  }
+
+  // Auth API
+  getAuthToken(): string | null {
+    return typeof localStorage === 'undefined' ? null : localStorage.getItem(AUTH_TOKEN_KEY);
+  }
+
+  setAuthToken(token: string | null) {
+    if (typeof localStorage === 'undefined') {
+      return;
+    }
+    if (token) {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+  }
+
+  // Called when the server rejects the stored token
+  onUnauthorized(handler: (() => void) | null) {
+    this.unauthorizedHandler = handler;
+  }
+
+  async login(username: string, password: string) {
+    const response = await this.request<LoginResult>('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ username, password }),
+    });
+    this.setAuthToken(response.data?.token ?? null);
+    return response;
+  }
+
+  async logout() {
+    try {
+      return await this.request('/auth/logout', {
+        method: 'POST',
+      });
+    } finally {
+      this.setAuthToken(null);
+    }
+  }
+
+  // Signed-in user; null data means authentication is turned off
+  async getMe() {
+    return this.request<User | null>('/auth/me');
+  }
+
+  // Users API
+  async getUsers() {
+    return this.request<User[]>('/users');
+  }
+
+  async createUser(data: UserFormData) {
+    return this.request<User>('/users', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateUser(id: string, data: Partial<UserFormData>) {
+    return this.request<User>(`/users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteUser(id: string) {
+    return this.request(`/users/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Layouts API
+  // Layout every data request works on; remembered between visits
+  getLayoutId(): string {
+    return (typeof localStorage === 'undefined' ? null : localStorage.getItem(LAYOUT_ID_KEY)) || DEFAULT_LAYOUT_ID;
+  }
+
+  setLayoutId(id: string) {
+    if (typeof localStorage === 'undefined') {
+      return;
+    }
+    if (id === DEFAULT_LAYOUT_ID) {
+      localStorage.removeItem(LAYOUT_ID_KEY);
+    } else {
+      localStorage.setItem(LAYOUT_ID_KEY, id);
+    }
+  }
+
+  async getLayouts() {
+    return this.request<RailroadLayout[]>('/layouts');
+  }
+
+  async createLayout(data: RailroadLayoutFormData) {
+    return this.request<RailroadLayout>('/layouts', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async cloneLayout(sourceId: string, data: RailroadLayoutFormData) {
+    return this.request<LayoutCloneResult>(`/layouts/${sourceId}/clone`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateLayout(id: string, data: Partial<RailroadLayoutFormData>) {
+    return this.request<RailroadLayout>(`/layouts/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteLayout(id: string) {
+    return this.request(`/layouts/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Cars API
   async getCars(filters?: { carType?: string; location?: string; status?: string; homeYard?: string }) {
     const params = new URLSearchParams();
@@ -86,6 +261,16 @@ class ApiService {
     });
   }
 
+  async getCarHistory(carId: string) {
+    return this.request<CarMovement[]>(`/cars/${carId}/history`);
+  }
+
+  // Printable car cards or waybills, four to a page; all cars when carIds is empty
+  getCardSheetUrl(sheet: CardSheet, format: SwitchListFormat, carIds: string[] = []) {
+    const query = carIds.length > 0 ? `?carIds=${encodeURIComponent(carIds.join(','))}` : '';
+    return this.withAccessToken(this.layoutUrl(`/waybills/${sheet}.${format}${query}`));
+  }
+
   async deleteCar(id: string) {
     return this.request(`/cars/${id}`, {
       method: 'DELETE',
@@ -147,6 +332,30 @@ class ApiService {
     return this.request('/tracks');
   }
 
+  async createTrack(data: Partial<Track>) {
+    return this.request<Track>('/tracks', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateTrack(id: string, data: Partial<Track>) {
+    return this.request<Track>(`/tracks/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteTrack(id: string) {
+    return this.request<void>(`/tracks/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getTrackOccupancy(id: string) {
+    return this.request<TrackOccupancy>(`/tracks/${id}/occupancy`);
+  }
+
   // Import/Export API
   async importData(data: any) {
     return this.request('/import/json', {
@@ -159,6 +368,19 @@ class ApiService {
     return this.request('/import/export');
   }
 
+  // JMRI Operations roster files, as XML text; each file is recognised by its content
+  async importJmri(files: string[]) {
+    return this.request<ImportResult>('/import/jmri', {
+      method: 'POST',
+      body: JSON.stringify({ files }),
+    });
+  }
+
+  // Downloadable JMRI roster file, such as OperationsCarRoster.xml
+  getJmriExportUrl(roster: JmriRoster) {
+    return this.withAccessToken(this.layoutUrl(`/import/jmri/${roster}`));
+  }
+
   async clearData() {
     return this.request('/import/clear', {
       method: 'POST',
@@ -199,15 +421,21 @@ class ApiService {
     return this.request<OperatingSession>('/sessions/current');
   }
 
-  async advanceSession() {
+  async getSessionHistory() {
+    return this.request<SessionHistory>('/sessions/history');
+  }
+
+  async advanceSession(snapshotName?: string) {
     return this.request<OperatingSession>('/sessions/advance', {
       method: 'POST',
+      body: JSON.stringify(snapshotName ? { snapshotName } : {}),
     });
   }
 
-  async rollbackSession() {
+  async rollbackSession(options: SessionRollbackOptions = {}) {
     return this.request<OperatingSession>('/sessions/rollback', {
       method: 'POST',
+      body: JSON.stringify(options),
     });
   }
 
@@ -218,6 +446,35 @@ class ApiService {
     });
   }
 
+  async getFastClock() {
+    return this.request<FastClock>('/sessions/clock');
+  }
+
+  async updateFastClock(settings: FastClockSettings) {
+    return this.request<FastClock>('/sessions/clock', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  }
+
+  async startFastClock() {
+    return this.request<FastClock>('/sessions/clock/start', {
+      method: 'POST',
+    });
+  }
+
+  async pauseFastClock() {
+    return this.request<FastClock>('/sessions/clock/pause', {
+      method: 'POST',
+    });
+  }
+
+  async resetFastClock() {
+    return this.request<FastClock>('/sessions/clock/reset', {
+      method: 'POST',
+    });
+  }
+
   // Trains API
   async getTrains(filters?: {
     sessionNumber?: number;
@@ -267,6 +524,11 @@ class ApiService {
     });
   }
 
+  // Printable switch list; opened directly by the browser rather than fetched
+  getSwitchListUrl(id: string, format: SwitchListFormat) {
+    return this.withAccessToken(this.layoutUrl(`/trains/${id}/switch-list.${format}`));
+  }
+
   async completeTrain(id: string) {
     return this.request<Train>(`/trains/${id}/complete`, {
       method: 'POST',
@@ -279,6 +541,16 @@ class ApiService {
     });
   }
 
+  // Timetable API
+  async getTimetable(sessionNumber?: number) {
+    return this.request<Timetable>(`/timetable${sessionNumber ? `?sessionNumber=${sessionNumber}` : ''}`);
+  }
+
+  // Printable timetable; opened directly by the browser rather than fetched
+  getTimetableUrl(sessionNumber?: number) {
+    return this.withAccessToken(this.layoutUrl(`/timetable/timetable.html${sessionNumber ? `?sessionNumber=${sessionNumber}` : ''}`));
+  }
+
   // Car Orders API
   async getCarOrders(filters?: {
     industryId?: string;
@@ -317,6 +589,12 @@ class ApiService {
     });
   }
 
+  async expediteCarOrder(id: string) {
+    return this.request<CarOrder>(`/car-orders/${id}/expedite`, {
+      method: 'POST',
+    });
+  }
+
   async deleteCarOrder(id: string) {
     return this.request<void>(`/car-orders/${id}`, {
       method: 'DELETE',
@@ -330,6 +608,36 @@ class ApiService {
     });
   }
 
+  // Order counts by status for a session; the current session when none is given
+  async getCarOrderStats(sessionNumber?: number) {
+    const query = sessionNumber ? `?sessionNumber=${sessionNumber}` : '';
+    return this.request<CarOrderStats>(`/car-orders/stats${query}`);
+  }
+
+  // Demand the coming sessions will generate
+  async getDemandPreview(request: DemandPreviewRequest = {}) {
+    const params = new URLSearchParams();
+    Object.entries(request).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        params.append(key, String(value));
+      }
+    });
+    const query = params.toString();
+    return this.request<DemandPreview>(`/car-orders/demand-preview${query ? `?${query}` : ''}`);
+  }
+
+  // Reports API
+  async getReport<Row>(name: ReportName, filters: ReportFilters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        params.append(key, String(value));
+      }
+    });
+    const query = params.toString() ? `?${params.toString()}` : '';
+    return this.request<Report<Row>>(`/reports/${name}${query}`);
+  }
+
   // Locomotives API
   async getLocomotives(filters?: {
     manufacturer?: string;
@@ -0,0 +1,66 @@
+// Real-time layout updates pushed by the backend over a WebSocket
+
+import type { LayoutEvent } from '../types';
+import { SERVER_URL, toWebSocketUrl } from './server';
+
+export const REALTIME_URL = `${toWebSocketUrl(SERVER_URL)}/ws`;
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+export interface LayoutEventSubscriptionOptions {
+  url?: string;
+  onReconnect?: () => void; // Called after a dropped connection comes back; events sent meanwhile were missed
+}
+
+/**
+ * Listen for layout changes made by any client, reconnecting with backoff when the connection drops
+ * Returns a function that closes the connection for good.
+ */
+export const subscribeToLayoutEvents = (
+  onEvent: (event: LayoutEvent) => void,
+  { url = REALTIME_URL, onReconnect }: LayoutEventSubscriptionOptions = {}
+): (() => void) => {
+  if (typeof WebSocket === 'undefined') {
+    return () => {};
+  }
+
+  let socket: WebSocket | null = null;
+  let retryTimer: ReturnType<typeof setTimeout> | null = null;
+  let delay = RECONNECT_DELAY_MS;
+  let hasConnected = false;
+  let closed = false;
+
+  const connect = () => {
+    socket = new WebSocket(url);
+
+    socket.onopen = () => {
+      delay = RECONNECT_DELAY_MS;
+      if (hasConnected) {
+        onReconnect?.();
+      }
+      hasConnected = true;
+    };
+
+    socket.onmessage = (message: MessageEvent) => {
+      try {
+        onEvent(JSON.parse(message.data) as LayoutEvent);
+      } catch {
+        // Not a layout event; ignore it
+      }
+    };
+
+    socket.onclose = () => {
+      if (closed) return;
+      retryTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    if (retryTimer) clearTimeout(retryTimer);
+    socket?.close();
+  };
+};
@@ -0,0 +1,6 @@
+// Where the backend runs; the REST API and the real-time socket are both served from here
+
+export const SERVER_URL = 'http://localhost:3001';
+
+// The same server over WebSockets: http becomes ws and https becomes wss
+export const toWebSocketUrl = (url: string): string => url.replace(/^http/, 'ws');
@@ -29,8 +29,19 @@ export interface CarDemandConfig {
   compatibleCarTypes: string[]; // Array of AAR type IDs that can carry this good
   carsPerSession: number; // Number of cars needed per session (min: 1)
   frequency: number; // How often to generate orders (sessionNumber % frequency === 0)
+  dwellTime?: number; // Sessions to load or unload here; overrides the good's loadingTime/unloadingTime
+  priority?: OrderPriority; // Priority of the orders this demand generates; normal if unset
+  model?: DemandModel; // How many cars a due session asks for; fixed if unset
+  probability?: number; // probabilistic: chance (0-1) of ordering carsPerSession
+  minCars?: number; // range: fewest cars ordered
+  maxCars?: number; // range: most cars ordered
+  seasonalCurve?: number[]; // seasonal: factors on carsPerSession spread evenly over the calendar year
 }
 
+export type DemandModel = 'fixed' | 'probabilistic' | 'range' | 'seasonal';
+
+export type PointAccess = 'facing' | 'trailing';
+
 export interface Industry {
   id?: string;
   _id?: string;
@@ -38,6 +49,7 @@ export interface Industry {
   stationId: string;
   isYard?: boolean; // Special type: Yard (accepts all car types)
   isOnLayout: boolean;
+  pointAccess?: PointAccess | null; // How the industry's switch meets an eastward train
   carDemandConfig?: CarDemandConfig[]; // Industry demand configuration for car orders
   
   // Deprecated fields (kept for backward compatibility during migration)
@@ -52,10 +64,32 @@ export interface Industry {
 export interface Track {
   id?: string;
   _id?: string;
+  name: string;
   industryId: string;
-  capacity: number;
-  currentCars: string[]; // Array of car IDs
+  capacity: number; // Capacity in cars
   acceptedCarTypes: string[]; // Array of AAR type IDs, or ["all"] for all types
+  notes?: string;
+}
+
+/**
+ * Cars currently on a track, computed by the backend
+ */
+export interface TrackOccupancy {
+  trackId: string;
+  trackName: string;
+  industryId: string;
+  capacity: number;
+  occupied: number;
+  available: number;
+  percentFull: number;
+  isFull: boolean;
+  cars: Array<{
+    _id: string;
+    reportingMarks: string;
+    reportingNumber: string;
+    carType: string;
+    currentLoad: string | null;
+  }>;
 }
 
 export interface Goods {
@@ -65,6 +99,7 @@ export interface Goods {
   compatibleCarTypes: string[]; // Array of AAR type IDs
   loadingTime: number; // In operating sessions
   unloadingTime: number; // In operating sessions
+  loadWeight?: number; // Tons of lading in a loaded car; a full car when not set
 }
 
 /**
@@ -83,6 +118,8 @@ export interface Locomotive {
   dccAddressFormatted?: string; // Formatted DCC address with leading zeros
   homeYard: string; // Industry ID (must be a yard)
   isInService: boolean; // Service status
+  length?: number; // Feet over the couplers
+  tractiveRating?: number; // Tons it can haul over the ruling grade
   notes?: string; // Optional notes (max 500 characters)
   
   // Enriched fields (from API responses)
@@ -137,6 +174,9 @@ export interface AarType {
   name: string;
   initial: string;
   description?: string;
+  length?: number; // Feet
+  capacity?: number; // Tons of lading
+  emptyWeight?: number; // Tons
 }
 
 export interface RollingStock {
@@ -150,11 +190,69 @@ export interface RollingStock {
   currentLoad?: string; // Goods ID
   homeYard: string; // Industry ID
   currentIndustry: string; // Industry ID
+  currentTrack?: string | null; // Track ID within currentIndustry
   isInService: boolean;
   lastMoved?: Date;
   sessionsAtCurrentLocation: number;
+  waybillCycle?: number; // Active panel of the car's multi-cycle waybill (1-4)
+  nextHop?: NextHop | null; // Set while the car is staged at a transfer yard
+  dwell?: CarDwell | null; // Set while the car is loading or unloading at an industry
+}
+
+/**
+ * Loading or unloading in progress on a spotted car
+ */
+export interface CarDwell {
+  action: 'loading' | 'unloading';
+  goodsId: string;
+  industryId: string;
+  sessionsRemaining: number; // Load flips when this runs out at session advance
+}
+
+/**
+ * Where a car staged at a transfer yard goes next
+ */
+export interface NextHop {
+  finalIndustryId: string; // Industry the car is ultimately bound for
+  carOrderId: string | null;
+  routeId: string | null; // Route whose train takes the next leg; null if none is known
+  stationId: string | null;
+  industryId: string | null;
+}
+
+/**
+ * Why a car moved
+ */
+export type CarMovementReason = 'manual' | 'train' | 'session-advance' | 'session-rollback' | 'import';
+
+/**
+ * Car movement ledger entry (append-only on the backend)
+ */
+export interface CarMovement {
+  _id?: string;
+  carId: string;
+  fromIndustryId: string | null; // Null when the car first appears
+  toIndustryId: string;
+  fromTrackId: string | null;
+  toTrackId: string | null;
+  trainId: string | null;
+  sessionNumber: number;
+  loadState: 'loaded' | 'empty';
+  currentLoad: string | null; // Goods ID after the move
+  reason: CarMovementReason;
+  movedAt: string; // ISO date string
 }
 
+/**
+ * Printable switch list output formats
+ */
+export type SwitchListFormat = 'html' | 'pdf';
+
+/**
+ * Printable 4-up card sheets
+ */
+export type CardSheet = 'car-cards' | 'waybills';
+
 /**
  * Train status enum
  * Workflow: Planned → In Progress → Completed/Cancelled
@@ -171,17 +269,80 @@ export interface SwitchListItem {
   carType: string;
   destinationIndustryId: string;
   destinationIndustryName: string;
+  destinationTrackId?: string | null; // Set when the industry has tracks defined
+  destinationTrackName?: string | null;
   carOrderId?: string | null; // May not have an associated order
+  priority?: OrderPriority; // Priority of the order the car fills
+  finalDestinationIndustryId?: string; // Set when the car is staged at a transfer yard on its way
+  finalDestinationIndustryName?: string | null;
+  routingRuleId?: string | null; // Car routing rule that moved a car no order claimed; null for the default
+  routingReason?: string; // Why the car was moved
+  position?: number; // Place in the train behind the locomotives; on arrival for setouts, on departure for pickups
+  blockStationId?: string; // Station whose block a pickup joins
+  blockStationName?: string;
+  needsRunaround?: boolean; // Setout into a facing-point spur at a station with no runaround
+}
+
+/**
+ * Car left in place because it could not be routed this run
+ */
+export interface HeldCar extends SwitchListItem {
+  stationId: string; // Station where the car is waiting
+  stationName: string;
+  reason: string;
+}
+
+/**
+ * Order left off a full train to make room for a more urgent one
+ */
+export interface BumpedOrder {
+  carOrderId: string;
+  industryId: string;
+  industryName: string;
+  priority: OrderPriority;
+  bumpedByOrderId: string;
+  bumpedByIndustryName: string;
+  bumpedByPriority: OrderPriority;
 }
 
 /**
  * Switch list station with pickups and setouts
  */
+/**
+ * Cars in the train bound for one station, as it leaves a station
+ */
+export interface SwitchListBlock {
+  stationId: string; // Station the block is set out at
+  stationName: string;
+  fromPosition: number;
+  toPosition: number;
+  carCount: number;
+  pickedUp: number; // Cars added to the block at this station
+}
+
 export interface SwitchListStation {
   stationId: string;
   stationName: string;
   pickups: SwitchListItem[];
   setouts: SwitchListItem[];
+  cutOff?: { fromPosition: number; toPosition: number; carCount: number } | null; // Head-end block set out here
+  blocks?: SwitchListBlock[]; // The train leaving the station, head end first
+}
+
+export type TrainLimit = 'cars' | 'length' | 'tonnage';
+
+/**
+ * Limits a switch list was built to, and how close the train came to them
+ */
+export interface SwitchListLimits {
+  maxCars: number;
+  maxLength: number | null; // Feet, locomotives included; null when nothing limits length
+  maxTonnage: number | null; // Trailing tons; null when nothing limits tonnage
+  locomotiveLength: number;
+  peakCars: number; // Most the train carried on any leg
+  peakLength: number; // Feet of cars
+  peakTonnage: number;
+  boundBy: TrainLimit | null; // First limit that turned a car away
 }
 
 /**
@@ -193,9 +354,24 @@ export interface SwitchList {
   totalPickups: number;
   totalSetouts: number;
   finalCarCount: number;
+  heldCars?: HeldCar[];
+  bumpedOrders?: BumpedOrder[];
+  limits?: SwitchListLimits;
   generatedAt: string; // ISO date string
 }
 
+/**
+ * Advanced consist a train's DCC locomotives run as while it is under way
+ */
+export interface TrainConsist {
+  address: number; // Consist address, 1-127
+  locomotives: Array<{
+    locomotiveId: string;
+    address: number; // Locomotive DCC address
+    reversed: boolean;
+  }>;
+}
+
 /**
  * Train entity
  * Represents a train with its route, locomotives, and switch list
@@ -209,8 +385,14 @@ export interface Train {
   status: TrainStatus;
   locomotiveIds: string[]; // Array of locomotive IDs (min: 1)
   maxCapacity: number; // Maximum number of cars (1-100)
+  maxLength?: number | null; // Feet, locomotives included
+  maxTonnage?: number | null; // Trailing tons
+  schedule?: TrainSchedule | null; // Fast-clock times at each station on the route
+  statusHistory?: StatusStamp[]; // Each status change with the fast-clock time it happened at
   switchList?: SwitchList | null; // Generated when status changes to In Progress
   assignedCarIds: string[]; // Cars currently assigned to this train
+  crewUserIds?: string[]; // Crew accounts assigned to run this train
+  consist?: TrainConsist | null; // Set while the command station runs the locomotives as one
   createdAt: string; // ISO date string
   updatedAt: string; // ISO date string
   
@@ -226,6 +408,82 @@ export interface Train {
   }>;
 }
 
+export interface StatusStamp {
+  status: TrainStatus;
+  clockTime: number; // Fast-clock minutes after midnight
+  changedAt: string; // ISO date string
+}
+
+/**
+ * A train's time at one station after its origin, in fast-clock minutes after midnight
+ */
+export interface ScheduledStop {
+  stationId: string;
+  arrival: number;
+  departure?: number; // Same as arrival when the train doesn't wait
+}
+
+export interface TrainSchedule {
+  departure: number; // From the origin yard
+  stops: ScheduledStop[]; // Each station on the route after the origin, in order
+}
+
+export interface TimetableStop {
+  stationId: string;
+  stationName: string;
+  arrival: number | null; // Null at the origin
+  departure: number | null; // Null at the last station
+}
+
+export interface TimetableTrain {
+  trainId: string;
+  trainName: string;
+  status: TrainStatus;
+  routeId: string;
+  routeName: string;
+  departure: number;
+  arrival: number | null;
+  actualDeparture: number | null; // Fast-clock time the train went In Progress
+  actualArrival: number | null; // Fast-clock time the train was completed
+  stops: TimetableStop[];
+}
+
+export type ScheduleConflictType = 'meet' | 'pass';
+
+/**
+ * Two trains that would meet or pass between stations
+ */
+export interface ScheduleConflict {
+  type: ScheduleConflictType;
+  trainIds: [string, string];
+  trainNames: [string, string];
+  fromStationId: string;
+  fromStationName: string;
+  toStationId: string;
+  toStationName: string;
+  from: number; // When both trains are on the stretch
+  to: number;
+}
+
+export interface Timetable {
+  sessionNumber: number;
+  trains: TimetableTrain[]; // Scheduled trains, earliest departure first
+  unscheduled: Array<{ trainId: string; trainName: string; status: TrainStatus }>;
+  conflicts: ScheduleConflict[];
+}
+
+export type TravelDirection = 'east' | 'west';
+
+/**
+ * What a route knows about one of its stops
+ */
+export interface RouteStop {
+  stationId: string;
+  maxLength?: number; // Feet; the longest train the station's siding holds
+  hasRunaround?: boolean; // Assumed when not set
+  direction?: TravelDirection; // Which way trains on the route travel through the station
+}
+
 export interface Route {
   id?: string; // Frontend convenience field
   _id?: string; // NeDB database ID
@@ -234,6 +492,9 @@ export interface Route {
   stationSequence: string[]; // Ordered array of station IDs
   originYard: string; // Industry ID
   terminationYard: string; // Industry ID
+  stops?: RouteStop[]; // Per-station attributes; stations left out have none
+  maxLength?: number; // Feet; the shortest siding a train on the route must fit
+  maxTonnage?: number; // Trailing tons the ruling grade allows
 }
 
 /**
@@ -266,14 +527,79 @@ export interface OperatingSession {
   currentSessionNumber: number; // Current session number (min: 1)
   sessionDate: string; // ISO date string
   description?: string; // Optional session description
-  previousSessionSnapshot?: SessionSnapshot | null; // Snapshot for rollback (null if session 1)
+  fastClock?: StoredFastClock; // Missing until the clock is first set
+  previousSessionSnapshot?: SessionSnapshot | null; // Legacy single snapshot; restore points now live in session history
+}
+
+export interface StoredFastClock {
+  ratio: number;
+  startTime: number;
+  time: number; // Fast minutes at setAt, may be fractional
+  running: boolean;
+  setAt: string; // ISO date string
+}
+
+/**
+ * The session's fast clock as the server read it
+ * While running it moves on `ratio` fast minutes per real minute from `time` at `asOf`.
+ */
+export interface FastClock {
+  ratio: number; // Fast minutes per real minute
+  startTime: number; // Minutes after midnight the clock is set to for each session
+  running: boolean;
+  time: number; // Whole fast minutes after midnight, in the same units as train schedules
+  asOf: string; // ISO date string of the real instant the clock showed `time`
+}
+
+export interface FastClockSettings {
+  ratio?: number;
+  startTime?: number;
+  time?: number;
+}
+
+/**
+ * Restore point captured when a session was advanced
+ */
+export interface SessionRestorePoint {
+  sessionNumber: number; // Session the snapshot restores
+  name: string; // Unique name, defaults to "Session N"
+  description: string; // Session description at the time
+  takenAt: string; // ISO date string
+  steps: number; // Sessions to roll back to reach this point
+  stats: {
+    cars: number;
+    trains: number;
+    carOrders: number;
+    trainsByStatus: Record<string, number>;
+    ordersByStatus: Record<string, number>;
+  };
+}
+
+/**
+ * Restore points available for rollback, newest first
+ */
+export interface SessionHistory {
+  currentSessionNumber: number;
+  retention: number; // Maximum restore points kept
+  restorePoints: SessionRestorePoint[];
+}
+
+/**
+ * Rollback target - a number of sessions or a named restore point
+ */
+export interface SessionRollbackOptions {
+  steps?: number;
+  snapshotName?: string;
 }
 
 /**
  * Car order status enum
  * Workflow: pending → assigned → in-transit → delivered
  */
-export type CarOrderStatus = 'pending' | 'assigned' | 'in-transit' | 'delivered';
+export type CarOrderStatus = 'pending' | 'assigned' | 'in-transit' | 'delivered' | 'expired';
+
+// Hot orders take cars and train space first; low orders are bumped when a train is full
+export type OrderPriority = 'hot' | 'normal' | 'low';
 
 /**
  * Car Order entity
@@ -289,6 +615,8 @@ export interface CarOrder {
   compatibleCarTypes: string[]; // Array of AAR types that can fulfill this order
   sessionNumber: number; // Session when order was created
   status: CarOrderStatus;
+  backorderAge?: number; // Sessions the order has gone unfilled past its own session
+  priority?: OrderPriority; // Normal if unset
   assignedCarId?: string | null; // Car assigned to fulfill this order
   assignedTrainId?: string | null; // Train assigned to deliver this car
   createdAt: string; // ISO date string
@@ -319,6 +647,98 @@ export interface CarOrder {
   };
 }
 
+/**
+ * Account roles, from most to least privileged
+ * Crew members see only the trains assigned to them; viewers cannot change anything.
+ */
+export type UserRole = 'superintendent' | 'dispatcher' | 'crew' | 'viewer';
+
+export interface User {
+  _id: string;
+  username: string;
+  displayName: string;
+  role: UserRole;
+  isActive: boolean;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface UserFormData {
+  username: string;
+  displayName: string;
+  role: UserRole;
+  password?: string; // Required when creating; leave blank to keep the current one
+  isActive: boolean;
+}
+
+export interface LoginResult {
+  token: string;
+  expiresAt: string;
+  user: User;
+}
+
+export interface AuthContextType {
+  user: User | null; // Signed-in user; null when signed out or when authentication is off
+  authEnabled: boolean;
+  loading: boolean;
+  error: string | null;
+  users: User[];
+  login: (username: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
+  hasRole: (...roles: UserRole[]) => boolean; // Always true when authentication is off
+  fetchUsers: () => Promise<void>;
+  createUser: (data: UserFormData) => Promise<User>;
+  updateUser: (id: string, data: Partial<UserFormData>) => Promise<void>;
+  deleteUser: (id: string) => Promise<void>;
+}
+
+/**
+ * A railroad layout kept by the backend; each has its own cars, industries, trains and sessions.
+ * Named RailroadLayout so it does not clash with the Layout page frame component.
+ */
+export interface RailroadLayout {
+  _id: string;
+  name: string;
+  description: string;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface RailroadLayoutFormData {
+  name: string;
+  description: string;
+}
+
+export interface LayoutCloneResult {
+  layout: RailroadLayout;
+  stats: {
+    copied: Record<string, number>;
+    totalCopied: number;
+  };
+}
+
+export interface LayoutsContextType {
+  layouts: RailroadLayout[];
+  currentLayoutId: string;
+  currentLayout: RailroadLayout | null;
+  error: string | null;
+  switchLayout: (id: string) => void;
+  fetchLayouts: () => Promise<void>;
+  createLayout: (data: RailroadLayoutFormData) => Promise<RailroadLayout>;
+  cloneLayout: (sourceId: string, data: RailroadLayoutFormData) => Promise<LayoutCloneResult>;
+  deleteLayout: (id: string) => Promise<void>;
+}
+
+/**
+ * Layout change broadcast by the backend over the real-time WebSocket
+ */
+export type LayoutEvent =
+  | { type: 'cars-moved'; payload: { cars: RollingStock[] }; layoutId: string; timestamp: string }
+  | { type: 'train-updated'; payload: { train: Train }; layoutId: string; timestamp: string }
+  | { type: 'orders-generated'; payload: { sessionNumber: number; ordersCreated: number }; layoutId: string; timestamp: string }
+  | { type: 'session-advanced' | 'session-rolled-back'; payload: { session: OperatingSession }; layoutId: string; timestamp: string }
+  | { type: 'fast-clock-changed'; payload: { clock: FastClock }; layoutId: string; timestamp: string };
+
 // UI-specific interfaces
 export interface FilterOptions {
   carType?: string;
@@ -344,8 +764,12 @@ export interface ImportResult {
   imported: number;
   errors: string[];
   warnings: string[];
+  rosters?: JmriRoster[]; // JMRI import: the rosters recognised in the files
 }
 
+// JMRI Operations roster files
+export type JmriRoster = 'locations' | 'cars' | 'engines' | 'routes';
+
 // Dashboard data interfaces
 export interface DashboardStats {
   totalCars: number;
@@ -384,6 +808,7 @@ export interface IndustryFormData {
   preferredCarTypes: string[];
   isYard?: boolean;
   isOnLayout: boolean;
+  pointAccess?: PointAccess | null;
   carDemandConfig?: CarDemandConfig[];
 }
 
@@ -392,6 +817,10 @@ export interface TrainFormData {
   routeId: string;
   locomotiveIds: string[];
   maxCapacity: number;
+  maxLength?: number | null;
+  maxTonnage?: number | null;
+  schedule?: TrainSchedule | null;
+  crewUserIds?: string[];
 }
 
 export interface LocomotiveFormData {
@@ -403,6 +832,8 @@ export interface LocomotiveFormData {
   dccAddress?: number;
   homeYard: string;
   isInService: boolean;
+  length?: number;
+  tractiveRating?: number;
   notes?: string;
 }
 
@@ -410,6 +841,7 @@ export interface CarOrderGenerationRequest {
   sessionNumber?: number; // If not provided, use current session
   industryIds?: string[]; // If provided, only generate for these industries
   force?: boolean; // Force generation even if orders already exist
+  seed?: string; // Seed for random demand; the server's seed if not provided
 }
 
 export interface CarOrderGenerationSummary {
@@ -419,6 +851,108 @@ export interface CarOrderGenerationSummary {
   ordersByAarType: Record<string, number>;
 }
 
+export interface DemandPreviewEntry {
+  industryId: string;
+  industryName: string;
+  goodsId: string;
+  direction: 'inbound' | 'outbound';
+  model: DemandModel;
+  priority: OrderPriority;
+  expectedCars: number; // Average for the session
+  cars: number; // What the seeded draw orders for the session
+}
+
+export interface DemandPreviewSession {
+  sessionNumber: number;
+  expectedCars: number;
+  cars: number;
+  demands: DemandPreviewEntry[];
+}
+
+export interface DemandPreview {
+  fromSession: number;
+  toSession: number;
+  seed: string;
+  sessionsPerYear: number;
+  sessions: DemandPreviewSession[];
+}
+
+export interface DemandPreviewRequest {
+  sessions?: number; // Default 10
+  fromSession?: number; // Default the session after the current one
+  industryId?: string;
+  seed?: string;
+}
+
+export interface CarOrderStats {
+  totalOrders: number;
+  sessionNumber: number | null;
+  ordersByStatus: Partial<Record<CarOrderStatus, number>>;
+  ordersByAarType: Record<string, number>;
+  pendingOrders: number;
+  assignedOrders: number;
+  deliveredOrders: number;
+}
+
+// Reports served by /reports, over a range of sessions
+export type ReportName =
+  | 'car-movements'
+  | 'car-utilization'
+  | 'idle-cars'
+  | 'industry-activity'
+  | 'goods'
+  | 'train-performance'
+  | 'locomotive-usage';
+
+export interface ReportColumn {
+  key: string;
+  header: string;
+}
+
+export interface ReportFilters {
+  fromSession?: number; // Session 1 when omitted
+  toSession?: number; // The current session when omitted
+}
+
+export interface Report<Row> {
+  name: ReportName;
+  title: string;
+  columns: ReportColumn[];
+  filters: {
+    fromSession: number;
+    toSession: number;
+    currentSession: number;
+  };
+  rows: Row[];
+}
+
+export interface CarMovementReportRow {
+  movementId: string;
+  sessionNumber: number;
+  movedAt: string | null;
+  carId: string;
+  car: string;
+  fromIndustryId: string | null;
+  fromIndustry: string;
+  toIndustryId: string;
+  toIndustry: string;
+  trainId: string | null;
+  train: string;
+  reason: CarMovementReason;
+  loadState: 'loaded' | 'empty';
+  load: string;
+}
+
+export interface LocomotiveUsageReportRow {
+  locomotiveId: string;
+  locomotive: string;
+  model: string;
+  trains: number;
+  completed: number;
+  sessionsUsed: number;
+  carsHandled: number; // Pickups and setouts of completed trains
+}
+
 // Context interfaces
 export interface AppContextType {
   // Core Data
@@ -434,6 +968,7 @@ export interface AppContextType {
 
   // Train Operations Data
   currentSession: OperatingSession | null;
+  fastClock: FastClock | null;
   trains: Train[];
   carOrders: CarOrder[];
   locomotiveStatistics: LocomotiveStatistics | null;
@@ -448,6 +983,8 @@ export interface AppContextType {
   // Core Actions
   fetchData: () => Promise<void>;
   importData: (data: any) => Promise<ImportResult>;
+  importJmri: (files: string[]) => Promise<ImportResult>;
+  getJmriExportUrl: (roster: JmriRoster) => string;
   clearDatabase: () => Promise<void>;
 
   // Car Actions
@@ -455,12 +992,17 @@ export interface AppContextType {
   updateCar: (id: string, data: Partial<RollingStock>) => Promise<void>;
   deleteCar: (id: string) => Promise<void>;
   moveCar: (carId: string, destinationIndustryId: string) => Promise<void>;
+  getCarHistory: (carId: string) => Promise<CarMovement[]>;
+  getCardSheetUrl: (sheet: CardSheet, format: SwitchListFormat, carIds?: string[]) => string;
 
   // Industry Actions
   createIndustry: (data: Partial<Industry>) => Promise<Industry>;
   updateIndustry: (id: string, data: Partial<Industry>) => Promise<void>;
   deleteIndustry: (id: string) => Promise<void>;
 
+  // Track Actions
+  getTrackOccupancy: (id: string) => Promise<TrackOccupancy>;
+
   // Route Actions
   createRoute: (data: Partial<Route>) => Promise<Route>;
   updateRoute: (id: string, data: Partial<Route>) => Promise<void>;
@@ -468,9 +1010,15 @@ export interface AppContextType {
 
   // Session Actions
   fetchCurrentSession: () => Promise<void>;
-  advanceSession: () => Promise<OperatingSession>;
-  rollbackSession: () => Promise<OperatingSession>;
+  fetchSessionHistory: () => Promise<SessionHistory>;
+  advanceSession: (snapshotName?: string) => Promise<OperatingSession>;
+  rollbackSession: (options?: SessionRollbackOptions) => Promise<OperatingSession>;
   updateSessionDescription: (description: string) => Promise<void>;
+  fetchFastClock: () => Promise<void>;
+  updateFastClock: (settings: FastClockSettings) => Promise<void>;
+  startFastClock: () => Promise<void>;
+  pauseFastClock: () => Promise<void>;
+  resetFastClock: () => Promise<void>;
 
   // Train Actions
   fetchTrains: (filters?: { sessionNumber?: number; status?: TrainStatus; routeId?: string; search?: string }) => Promise<void>;
@@ -478,12 +1026,16 @@ export interface AppContextType {
   updateTrain: (id: string, data: Partial<TrainFormData>) => Promise<void>;
   deleteTrain: (id: string) => Promise<void>;
   generateSwitchList: (id: string) => Promise<Train>;
+  getSwitchListUrl: (id: string, format: SwitchListFormat) => string;
+  getTimetable: (sessionNumber?: number) => Promise<Timetable>;
+  getTimetableUrl: (sessionNumber?: number) => string;
   completeTrain: (id: string) => Promise<Train>;
   cancelTrain: (id: string) => Promise<Train>;
 
   // Car Order Actions
   fetchCarOrders: (filters?: { industryId?: string; status?: CarOrderStatus; sessionNumber?: number; aarTypeId?: string; search?: string }) => Promise<void>;
   generateCarOrders: (request?: CarOrderGenerationRequest) => Promise<CarOrderGenerationSummary>;
+  expediteCarOrder: (id: string) => Promise<CarOrder>;
   deleteCarOrder: (id: string) => Promise<void>;
 
   // Locomotive Actions
@@ -493,4 +1045,9 @@ export interface AppContextType {
   updateLocomotive: (id: string, data: Partial<LocomotiveFormData>) => Promise<void>;
   deleteLocomotive: (id: string) => Promise<void>;
   getLocomotiveAssignments: (id: string) => Promise<LocomotiveTrainAssignment>;
+
+  // Report Actions
+  getReport: <Row>(name: ReportName, filters?: ReportFilters) => Promise<Report<Row>>;
+  getCarOrderStats: (sessionNumber?: number) => Promise<CarOrderStats>;
+  getDemandPreview: (request?: DemandPreviewRequest) => Promise<DemandPreview>;
 }
@@ -0,0 +1,47 @@
+/**
+ * Fast Clock Utility Tests
+ *
+ * Tests the clock as shown between pushed changes:
+ * - A running clock moves on ratio fast minutes per real minute from when it was read
+ * - A paused clock holds its time
+ * - The clock stops at the end of the second day
+ */
+
+import { describe, it, expect } from 'vitest';
+import type { FastClock } from '../../types';
+import { currentClockTime, fastMinuteMs, formatRatio } from '../fastClock';
+
+describe('currentClockTime', () => {
+  const asOf = '2024-01-15T19:00:00.000Z';
+  const at = (seconds: number) => new Date(asOf).getTime() + seconds * 1000;
+  const clock = (overrides: Partial<FastClock> = {}): FastClock => ({
+    ratio: 4,
+    startTime: 360,
+    running: true,
+    time: 360,
+    asOf,
+    ...overrides,
+  });
+
+  it('moves on ratio fast minutes per real minute while running', () => {
+    expect(currentClockTime(clock(), at(0))).toBe(360);
+    expect(currentClockTime(clock(), at(14))).toBe(360);
+    expect(currentClockTime(clock(), at(15))).toBe(361);
+    expect(currentClockTime(clock(), at(150))).toBe(370);
+  });
+
+  it('holds its time while paused', () => {
+    expect(currentClockTime(clock({ running: false }), at(150))).toBe(360);
+  });
+
+  it('stops at the end of the second day', () => {
+    expect(currentClockTime(clock({ ratio: 60, time: 2870 }), at(3600))).toBe(2879);
+  });
+});
+
+describe('fastMinuteMs and formatRatio', () => {
+  it('describes the ratio', () => {
+    expect(fastMinuteMs({ ratio: 4 } as FastClock)).toBe(15000);
+    expect(formatRatio(4)).toBe('4:1');
+  });
+});
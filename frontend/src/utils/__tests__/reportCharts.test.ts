@@ -0,0 +1,115 @@
+/**
+ * Report Chart Tests
+ *
+ * Tests turning report data into chart series:
+ * - Car utilization counts each car once per session
+ * - Order statistics become one point per session
+ * - The industry heatmap counts moves in and out, leaving out yards
+ * - CSV export quotes fields that need it
+ */
+
+import { describe, it, expect } from 'vitest';
+import type { CarMovementReportRow, CarOrderStats, Industry } from '../../types';
+import {
+  buildCarUtilizationSeries,
+  buildIndustryHeatmap,
+  buildOrderStatusSeries,
+  defaultSessionRange,
+  heatmapTable,
+  sessionsInRange,
+  toCsv,
+} from '../reportCharts';
+
+const move = (overrides: Partial<CarMovementReportRow>): CarMovementReportRow => ({
+  movementId: 'm1',
+  sessionNumber: 1,
+  movedAt: null,
+  carId: 'car1',
+  car: 'ATSF 1001',
+  fromIndustryId: 'yard',
+  fromIndustry: 'Yard',
+  toIndustryId: 'mill',
+  toIndustry: 'Mill',
+  trainId: 'train1',
+  train: 'Local',
+  reason: 'train',
+  loadState: 'empty',
+  load: '',
+  ...overrides,
+});
+
+const industries: Industry[] = [
+  { _id: 'yard', name: 'Yard', stationId: 's1', isYard: true, isOnLayout: true },
+  { _id: 'mill', name: 'Mill', stationId: 's1', isOnLayout: true },
+  { _id: 'cannery', name: 'Cannery', stationId: 's2', isOnLayout: true },
+];
+
+describe('reportCharts', () => {
+  it('should default to the last ten sessions', () => {
+    expect(defaultSessionRange(15)).toEqual({ fromSession: 6, toSession: 15 });
+    expect(defaultSessionRange(3)).toEqual({ fromSession: 1, toSession: 3 });
+    expect(sessionsInRange({ fromSession: 2, toSession: 4 })).toEqual([2, 3, 4]);
+  });
+
+  it('should count each car moved by a train once per session', () => {
+    const rows = [
+      move({ sessionNumber: 1, carId: 'car1' }),
+      move({ sessionNumber: 1, carId: 'car1', toIndustryId: 'yard' }),
+      move({ sessionNumber: 1, carId: 'car2' }),
+      move({ sessionNumber: 2, carId: 'car3', reason: 'manual' }),
+    ];
+
+    expect(buildCarUtilizationSeries(rows, { fromSession: 1, toSession: 2 }, 4)).toEqual([
+      { sessionNumber: 1, carsMoved: 2, utilization: 50 },
+      { sessionNumber: 2, carsMoved: 0, utilization: 0 },
+    ]);
+  });
+
+  it('should turn order statistics into one point per session', () => {
+    const stats = (sessionNumber: number, delivered: number): CarOrderStats => ({
+      totalOrders: 5,
+      sessionNumber,
+      ordersByStatus: { pending: 1, assigned: 2, 'in-transit': 1, delivered },
+      ordersByAarType: {},
+      pendingOrders: 1,
+      assignedOrders: 2,
+      deliveredOrders: delivered,
+    });
+
+    expect(buildOrderStatusSeries([stats(2, 1), stats(1, 3)])).toEqual([
+      { sessionNumber: 1, pending: 1, inProgress: 3, delivered: 3 },
+      { sessionNumber: 2, pending: 1, inProgress: 3, delivered: 1 },
+    ]);
+  });
+
+  it('should count moves in and out of each industry, leaving out yards', () => {
+    const rows = [
+      move({ sessionNumber: 1, fromIndustryId: 'yard', toIndustryId: 'mill' }),
+      move({ sessionNumber: 2, fromIndustryId: 'mill', toIndustryId: 'cannery' }),
+      move({ sessionNumber: 2, fromIndustryId: 'yard', toIndustryId: 'mill' }),
+      move({ sessionNumber: 2, toIndustryId: 'cannery', reason: 'manual' }),
+    ];
+
+    const heatmap = buildIndustryHeatmap(rows, industries, { fromSession: 1, toSession: 2 });
+
+    expect(heatmap.sessions).toEqual([1, 2]);
+    expect(heatmap.industries).toEqual([
+      { industryId: 'cannery', name: 'Cannery', counts: [0, 1] },
+      { industryId: 'mill', name: 'Mill', counts: [1, 2] },
+    ]);
+    expect(heatmap.max).toBe(2);
+    expect(heatmapTable(heatmap).rows).toEqual([
+      { industry: 'Cannery', session1: 0, session2: 1 },
+      { industry: 'Mill', session1: 1, session2: 2 },
+    ]);
+  });
+
+  it('should write CSV with quoted fields where needed', () => {
+    const csv = toCsv(
+      [{ name: 'Smith, "Big" Mill', count: 3 }, { name: 'Cannery', count: null }],
+      [{ key: 'name', header: 'Industry' }, { key: 'count', header: 'Cars' }]
+    );
+
+    expect(csv).toBe('Industry,Cars\r\n"Smith, ""Big"" Mill",3\r\nCannery,\r\n');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Timetable Utility Tests
+ *
+ * Tests fast-clock times and the timetable grid:
+ * - Times format and parse as HH:MM, with next-day times marked
+ * - A schedule entered as times of day runs forward into the next day
+ * - A route's stations resolve yards to their stations
+ * - The grid lists each station once, with every call a train makes there
+ * - Actual departures and arrivals compare with the schedule once trains have run
+ */
+
+import { describe, it, expect } from 'vitest';
+import type { Industry, Route, Timetable } from '../../types';
+import {
+  buildActualRows,
+  buildSchedule,
+  buildTimetableGrid,
+  formatActualTime,
+  formatClockTime,
+  parseClockTime,
+  routeStationIds,
+  toTimeInput,
+} from '../timetable';
+
+describe('formatClockTime', () => {
+  it('formats minutes after midnight', () => {
+    expect(formatClockTime(390)).toBe('06:30');
+    expect(formatClockTime(1445)).toBe('00:05 +1');
+    expect(formatClockTime(null)).toBe('');
+  });
+});
+
+describe('parseClockTime', () => {
+  it('parses time input values and leaves blanks as null', () => {
+    expect(parseClockTime('06:30')).toBe(390);
+    expect(parseClockTime('')).toBeNull();
+  });
+
+  it('shows next-day times as a time of day', () => {
+    expect(toTimeInput(1445)).toBe('00:05');
+    expect(toTimeInput(null)).toBe('');
+  });
+});
+
+describe('buildSchedule', () => {
+  it('leaves out departures that match the arrival', () => {
+    expect(buildSchedule(360, [
+      { stationId: 'mill', arrival: 380, departure: 390 },
+      { stationId: 'west', arrival: 400, departure: 400 },
+    ])).toEqual({
+      departure: 360,
+      stops: [
+        { stationId: 'mill', arrival: 380, departure: 390 },
+        { stationId: 'west', arrival: 400 },
+      ],
+    });
+  });
+
+  it('runs times earlier than the one before into the next day', () => {
+    const schedule = buildSchedule(1420, [{ stationId: 'west', arrival: 10, departure: null }]);
+    expect(schedule?.stops[0].arrival).toBe(1450);
+  });
+
+  it('is null until every station has an arrival time', () => {
+    expect(buildSchedule(360, [{ stationId: 'west', arrival: null, departure: null }])).toBeNull();
+    expect(buildSchedule(null, [])).toBeNull();
+  });
+});
+
+describe('routeStationIds', () => {
+  it('resolves the yards to their stations', () => {
+    const industries = [
+      { _id: 'eastYard', name: 'East Yard', stationId: 'east' },
+      { _id: 'westYard', name: 'West Yard', stationId: 'west' },
+    ] as Industry[];
+    const route = { name: 'Valley', originYard: 'eastYard', terminationYard: 'westYard', stationSequence: ['east', 'mill'] } as Route;
+
+    expect(routeStationIds(route, industries)).toEqual(['east', 'mill', 'west']);
+  });
+});
+
+describe('buildTimetableGrid', () => {
+  it('lists each station once with every call a train makes there', () => {
+    const timetable = {
+      sessionNumber: 1,
+      trains: [
+        {
+          trainId: 't1',
+          trainName: 'Mill Turn',
+          stops: [
+            { stationId: 'east', stationName: 'East Yard', arrival: null, departure: 360 },
+            { stationId: 'mill', stationName: 'Mill Town', arrival: 380, departure: 400 },
+            { stationId: 'east', stationName: 'East Yard', arrival: 420, departure: null },
+          ],
+        },
+        {
+          trainId: 't2',
+          trainName: 'Through Freight',
+          stops: [
+            { stationId: 'east', stationName: 'East Yard', arrival: null, departure: 450 },
+            { stationId: 'west', stationName: 'West Yard', arrival: 500, departure: null },
+          ],
+        },
+      ],
+      unscheduled: [],
+      conflicts: [],
+    } as unknown as Timetable;
+
+    expect(buildTimetableGrid(timetable)).toEqual([
+      { stationId: 'east', stationName: 'East Yard', times: ['lv 06:00, ar 07:00', 'lv 07:30'] },
+      { stationId: 'mill', stationName: 'Mill Town', times: ['06:20-06:40', ''] },
+      { stationId: 'west', stationName: 'West Yard', times: ['', 'ar 08:20'] },
+    ]);
+  });
+});
+
+describe('buildActualRows', () => {
+  const timetable = (actuals: Array<{ actualDeparture: number | null; actualArrival: number | null }>) => ({
+    sessionNumber: 1,
+    trains: actuals.map((actual, index) => ({ trainId: `t${index}`, departure: 360, arrival: 420, stops: [], ...actual })),
+    unscheduled: [],
+    conflicts: [],
+  }) as unknown as Timetable;
+
+  it('has no rows until a train has run', () => {
+    expect(buildActualRows(timetable([{ actualDeparture: null, actualArrival: null }]))).toEqual([]);
+  });
+
+  it('compares actual times with the schedule', () => {
+    expect(buildActualRows(timetable([
+      { actualDeparture: 365, actualArrival: 418 },
+      { actualDeparture: 360, actualArrival: null },
+    ]))).toEqual([
+      { label: 'Departed', times: ['06:05 (5 late)', '06:00 (on time)'] },
+      { label: 'Arrived', times: ['06:58 (2 early)', ''] },
+    ]);
+  });
+
+  it('shows an actual time on its own when there is nothing to compare with', () => {
+    expect(formatActualTime(365, null)).toBe('06:05');
+  });
+});
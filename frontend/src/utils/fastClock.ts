@@ -0,0 +1,20 @@
+// Keeping the session's fast clock ticking between the changes the server pushes
+
+import type { FastClock } from '../types';
+
+const MS_PER_MINUTE = 60000;
+const MAX_CLOCK_MINUTES = 2879; // End of the second day, as far as schedules run
+
+// Fast minutes after midnight the clock shows at `now`; it stops at the end of the second day
+export const currentClockTime = (clock: FastClock, now: number = Date.now()): number => {
+  if (!clock.running) {
+    return clock.time;
+  }
+  const elapsed = Math.max(0, now - new Date(clock.asOf).getTime());
+  return Math.min(MAX_CLOCK_MINUTES, clock.time + Math.floor((elapsed / MS_PER_MINUTE) * clock.ratio));
+};
+
+// Real milliseconds per fast minute, for ticking the display
+export const fastMinuteMs = (clock: FastClock): number => MS_PER_MINUTE / clock.ratio;
+
+export const formatRatio = (ratio: number): string => `${ratio}:1`;
@@ -0,0 +1,210 @@
+// Turn report data into chart series, and export charts as CSV or PNG
+
+import type { CarMovementReportRow, CarOrderStats, Industry, ReportColumn } from '../types';
+
+export interface SessionRange {
+  fromSession: number;
+  toSession: number;
+}
+
+export interface CarUtilizationPoint {
+  sessionNumber: number;
+  carsMoved: number; // Cars moved by a train at least once in the session
+  utilization: number; // carsMoved as a percentage of the cars in service
+}
+
+export interface OrderStatusPoint {
+  sessionNumber: number;
+  pending: number;
+  inProgress: number; // Assigned to a train or in transit
+  delivered: number;
+}
+
+export interface IndustryHeatmap {
+  sessions: number[];
+  industries: Array<{
+    industryId: string;
+    name: string;
+    counts: number[]; // Cars delivered or picked up by trains, one per session
+  }>;
+  max: number;
+}
+
+// Sessions shown by default: the last ten
+export const DEFAULT_SESSION_SPAN = 10;
+
+export const defaultSessionRange = (currentSession: number): SessionRange => ({
+  fromSession: Math.max(1, currentSession - DEFAULT_SESSION_SPAN + 1),
+  toSession: Math.max(1, currentSession),
+});
+
+export const sessionsInRange = ({ fromSession, toSession }: SessionRange): number[] =>
+  Array.from({ length: Math.max(0, toSession - fromSession + 1) }, (_, index) => fromSession + index);
+
+const trainMoves = (rows: CarMovementReportRow[]) => rows.filter(row => row.reason === 'train');
+
+/**
+ * Share of the fleet that trains moved in each session
+ */
+export const buildCarUtilizationSeries = (
+  rows: CarMovementReportRow[],
+  range: SessionRange,
+  carsInService: number
+): CarUtilizationPoint[] => {
+  const moved = new Map<number, Set<string>>();
+  trainMoves(rows).forEach(row => {
+    if (!moved.has(row.sessionNumber)) {
+      moved.set(row.sessionNumber, new Set());
+    }
+    moved.get(row.sessionNumber)!.add(row.carId);
+  });
+
+  return sessionsInRange(range).map(sessionNumber => {
+    const carsMoved = moved.get(sessionNumber)?.size ?? 0;
+    return {
+      sessionNumber,
+      carsMoved,
+      utilization: carsInService > 0 ? Math.round((carsMoved / carsInService) * 1000) / 10 : 0,
+    };
+  });
+};
+
+/**
+ * Pending, in-progress and delivered orders for each session
+ */
+export const buildOrderStatusSeries = (stats: CarOrderStats[]): OrderStatusPoint[] =>
+  stats
+    .filter(stat => stat.sessionNumber !== null)
+    .map(stat => ({
+      sessionNumber: stat.sessionNumber as number,
+      pending: stat.pendingOrders,
+      inProgress: (stat.ordersByStatus.assigned ?? 0) + (stat.ordersByStatus['in-transit'] ?? 0),
+      delivered: stat.deliveredOrders,
+    }))
+    .sort((a, b) => a.sessionNumber - b.sessionNumber);
+
+/**
+ * Train moves in and out of each industry per session; yards are left out
+ */
+export const buildIndustryHeatmap = (
+  rows: CarMovementReportRow[],
+  industries: Industry[],
+  range: SessionRange
+): IndustryHeatmap => {
+  const sessions = sessionsInRange(range);
+  const counts = new Map<string, number>();
+  const key = (industryId: string, sessionNumber: number) => `${industryId}:${sessionNumber}`;
+  const bump = (industryId: string | null, sessionNumber: number) => {
+    if (industryId) {
+      counts.set(key(industryId, sessionNumber), (counts.get(key(industryId, sessionNumber)) ?? 0) + 1);
+    }
+  };
+  trainMoves(rows).forEach(row => {
+    bump(row.toIndustryId, row.sessionNumber);
+    bump(row.fromIndustryId, row.sessionNumber);
+  });
+
+  const rowsByIndustry = industries
+    .filter(industry => !industry.isYard)
+    .map(industry => {
+      const industryId = industry._id || industry.id || '';
+      return {
+        industryId,
+        name: industry.name,
+        counts: sessions.map(sessionNumber => counts.get(key(industryId, sessionNumber)) ?? 0),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    sessions,
+    industries: rowsByIndustry,
+    max: Math.max(0, ...rowsByIndustry.flatMap(industry => industry.counts)),
+  };
+};
+
+/**
+ * Heatmap as one row per industry with a column per session, for CSV export
+ */
+export const heatmapTable = (heatmap: IndustryHeatmap) => ({
+  columns: [
+    { key: 'industry', header: 'Industry' },
+    ...heatmap.sessions.map(sessionNumber => ({ key: `session${sessionNumber}`, header: `Session ${sessionNumber}` })),
+  ],
+  rows: heatmap.industries.map(industry => ({
+    industry: industry.name,
+    ...Object.fromEntries(heatmap.sessions.map((sessionNumber, index) => [`session${sessionNumber}`, industry.counts[index]])),
+  })),
+});
+
+const escapeCsvField = (value: unknown) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows as CSV, in the same format the backend's report CSV uses
+ */
+export const toCsv = (rows: object[], columns: ReportColumn[]): string =>
+  [
+    columns.map(column => escapeCsvField(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvField((row as Record<string, unknown>)[column.key])).join(',')),
+  ].join('\r\n') + '\r\n';
+
+export const downloadBlob = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadCsv = (rows: object[], columns: ReportColumn[], filename: string) => {
+  downloadBlob(new Blob([toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+/**
+ * Draw a chart's SVG onto a white canvas and download it as a PNG
+ */
+export const downloadSvgAsPng = (svg: SVGSVGElement, filename: string, scale = 2): Promise<void> => {
+  const { width, height } = svg.getBoundingClientRect();
+  const copy = svg.cloneNode(true) as SVGSVGElement;
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', String(width));
+  copy.setAttribute('height', String(height));
+  const source = new XMLSerializer().serializeToString(copy);
+  const image = new Image();
+
+  return new Promise((resolve, reject) => {
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      if (!context) {
+        reject(new Error('Canvas is not available'));
+        return;
+      }
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => {
+        if (blob) {
+          downloadBlob(blob, filename);
+          resolve();
+        } else {
+          reject(new Error('Could not create the PNG'));
+        }
+      }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('Could not draw the chart'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`;
+  });
+};
@@ -0,0 +1,131 @@
+// Fast-clock times for train schedules, and the stations a schedule has to cover
+
+import type { Industry, Route, Timetable, TimetableStop, TrainSchedule } from '../types';
+
+const MINUTES_PER_DAY = 1440;
+
+// Minutes after midnight as a time of day, e.g. 390 -> "06:30"; times on the next day get "+1"
+export const formatClockTime = (minutes: number | null | undefined): string => {
+  if (minutes === null || minutes === undefined) {
+    return '';
+  }
+  const day = Math.floor(minutes / MINUTES_PER_DAY);
+  const time = minutes % MINUTES_PER_DAY;
+  const clock = `${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`;
+  return day > 0 ? `${clock} +${day}` : clock;
+};
+
+// "HH:MM" from a time input as minutes after midnight; null when blank
+export const parseClockTime = (value: string): number | null => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+// Time input value for minutes that may run into the next day
+export const toTimeInput = (minutes: number | null | undefined): string =>
+  minutes === null || minutes === undefined ? '' : formatClockTime(minutes % MINUTES_PER_DAY);
+
+// Stations a route runs through, origin first; yards resolve to their stations and repeats collapse
+export const routeStationIds = (route: Route, industries: Industry[]): string[] => {
+  const yardStation = (yardId: string) => industries.find(industry => (industry._id || industry.id) === yardId)?.stationId || yardId;
+  const run = [yardStation(route.originYard), ...(route.stationSequence || []), yardStation(route.terminationYard)];
+  return run.filter((stationId, index) => stationId && stationId !== run[index - 1]);
+};
+
+/**
+ * Keep a schedule's times in order when it is entered as times of day
+ * A time earlier than the one before it is taken to be on the next day.
+ * @returns The schedule, or null when any station is missing a time
+ */
+export const buildSchedule = (
+  departure: number | null,
+  stops: Array<{ stationId: string; arrival: number | null; departure: number | null }>
+): TrainSchedule | null => {
+  if (departure === null || stops.some(stop => stop.arrival === null)) {
+    return null;
+  }
+  let previous = departure;
+  const later = (time: number) => {
+    let minutes = time;
+    while (minutes < previous) {
+      minutes += MINUTES_PER_DAY;
+    }
+    previous = minutes;
+    return minutes;
+  };
+  return {
+    departure,
+    stops: stops.map(stop => {
+      const arrival = later(stop.arrival!);
+      const leaves = stop.departure === null ? arrival : later(stop.departure);
+      return leaves === arrival ? { stationId: stop.stationId, arrival } : { stationId: stop.stationId, arrival, departure: leaves };
+    }),
+  };
+};
+
+// A train's time at a station: "lv" at its origin, "ar" at its last stop, otherwise arrival and departure
+export const formatStopTime = (stop: TimetableStop): string => {
+  if (stop.arrival === null) {
+    return `lv ${formatClockTime(stop.departure)}`;
+  }
+  if (stop.departure === null) {
+    return `ar ${formatClockTime(stop.arrival)}`;
+  }
+  return stop.arrival === stop.departure
+    ? formatClockTime(stop.arrival)
+    : `${formatClockTime(stop.arrival)}-${formatClockTime(stop.departure)}`;
+};
+
+// An actual time against the scheduled one, e.g. "06:12 (12 late)"
+export const formatActualTime = (actual: number | null, scheduled: number | null): string => {
+  if (actual === null || scheduled === null) {
+    return actual === null ? '' : formatClockTime(actual);
+  }
+  const delay = actual - scheduled;
+  if (delay === 0) {
+    return `${formatClockTime(actual)} (on time)`;
+  }
+  return `${formatClockTime(actual)} (${Math.abs(delay)} ${delay > 0 ? 'late' : 'early'})`;
+};
+
+export interface TimetableGridRow {
+  stationId: string;
+  stationName: string;
+  times: string[]; // One per train, in timetable order; blank where the train doesn't call
+}
+
+// Stations down the side in the order the earliest trains reach them, trains across the top
+export const buildTimetableGrid = (timetable: Timetable): TimetableGridRow[] => {
+  const rows: TimetableGridRow[] = [];
+  for (const train of timetable.trains) {
+    for (const stop of train.stops) {
+      if (!rows.some(row => row.stationId === stop.stationId)) {
+        rows.push({ stationId: stop.stationId, stationName: stop.stationName, times: [] });
+      }
+    }
+  }
+  return rows.map(row => ({
+    ...row,
+    // A route can call at a station twice; show every call
+    times: timetable.trains.map(train => train.stops
+      .filter(stop => stop.stationId === row.stationId)
+      .map(formatStopTime)
+      .join(', ')),
+  }));
+};
+
+export interface TimetableActualRow {
+  label: string;
+  times: string[]; // One per train; blank until the train has left or arrived
+}
+
+// When trains actually left and arrived by the fast clock; none until a train has run
+export const buildActualRows = (timetable: Timetable): TimetableActualRow[] => {
+  if (!timetable.trains.some(train => train.actualDeparture !== null)) {
+    return [];
+  }
+  return [
+    { label: 'Departed', times: timetable.trains.map(train => formatActualTime(train.actualDeparture, train.departure)) },
+    { label: 'Arrived', times: timetable.trains.map(train => formatActualTime(train.actualArrival, train.arrival)) },
+  ];
+};